@@ -4,6 +4,8 @@
  * @module utils/manageUsers
  *
  * This script allows IT administrators to manage user credentials securely without a frontend interface.
+ * Day-to-day account administration is available to wardens through `/prisonsphere/users`;
+ * this script remains for bootstrapping the first warden account.
  *
  * Features:
  * - Create new users with role-based access control (Warden or Admin).
@@ -0,0 +1,111 @@
+/**
+ * @file migrateVisitors.js
+ * @description Command-line script for moving visitor logs into the visitor registry in the PrisonSphere Prison Management System.
+ * @module utils/migrateVisitors
+ *
+ * Visitor logs recorded before the visitor registry held the visitor's details on every
+ * visit. This script registers each person once (matched by name and contact number),
+ * puts them on the approved-visitor list of every inmate they visited, and moves each
+ * log to a visit record. Logs already moved are skipped, so the script can be re-run.
+ *
+ * Features:
+ * - Registers each visitor found in the old logs once.
+ * - Approves them for the inmates they have already visited.
+ * - Creates a visit for each old log, keeping its original ID.
+ * - Reports how many visitors, approvals and visits were created.
+ *
+ * Usage:
+ * - Move all visitor logs: `node migrateVisitors.js`
+ *
+ * @requires dotenv - Loads environment variables.
+ * @requires mongoose - MongoDB ODM library.
+ * @requires connectDB - Establishes a database connection.
+ * @requires VisitorProfile - Registered visitor model schema.
+ * @requires VisitorApproval - Visitor approval model schema.
+ * @requires Visit - Visit model schema.
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const connectDB = require("./src/config/db");
+const VisitorProfile = require("./src/models/VisitorProfile");
+const VisitorApproval = require("./src/models/VisitorApproval");
+const Visit = require("./src/models/Visit");
+
+dotenv.config();
+
+/**
+ * Migrate Visitors
+ * ----------------
+ * - Connects to the database and moves each old visitor log into the registry.
+ */
+const init = async () => {
+  await connectDB();
+
+  try {
+    const created = { visitors: 0, approvals: 0, visits: 0 };
+    const legacyVisitors = mongoose.connection.collection("visitors");
+
+    for await (const log of legacyVisitors.find()) {
+      if (await Visit.exists({ _id: log._id })) continue;
+
+      const fullName = log.visitorName.trim();
+      let visitor = await VisitorProfile.findOne({
+        fullName,
+        contactNumber: log.contactNumber,
+      });
+      if (!visitor) {
+        visitor = await VisitorProfile.create({
+          fullName,
+          contactNumber: log.contactNumber,
+          email: log.email,
+        });
+        created.visitors++;
+      }
+
+      const approval = await VisitorApproval.findOne({
+        inmate: log.inmate,
+        visitor: visitor._id,
+      });
+      if (!approval) {
+        await VisitorApproval.create({
+          inmate: log.inmate,
+          visitor: visitor._id,
+          relationshipToInmate: log.relationshipToInmate,
+          status: "Approved",
+          decidedAt: log.visitTimestamp,
+          history: [
+            {
+              status: "Approved",
+              notes: "Visited before the approved-visitor list was introduced",
+              changedAt: log.visitTimestamp,
+            },
+          ],
+        });
+        created.approvals++;
+      }
+
+      await Visit.create({
+        _id: log._id,
+        inmate: log.inmate,
+        visitor: visitor._id,
+        relationshipToInmate: log.relationshipToInmate,
+        visitTimestamp: log.visitTimestamp,
+        durationMinutes: log.durationMinutes,
+        purposeOfVisit: log.purposeOfVisit,
+        staffNotes: log.staffNotes,
+      });
+      created.visits++;
+    }
+
+    console.log(
+      `Registered ${created.visitors} visitor(s), approved ${created.approvals} and moved ${created.visits} visit(s).`
+    );
+  } catch (error) {
+    console.error("Error migrating visitors:", error);
+    process.exitCode = 1;
+  }
+
+  await mongoose.connection.close();
+};
+
+init();
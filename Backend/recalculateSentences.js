@@ -0,0 +1,66 @@
+/**
+ * @file recalculateSentences.js
+ * @description Command-line script for recomputing projected release dates in the PrisonSphere Prison Management System.
+ * @module utils/recalculateSentences
+ *
+ * Inmates recorded before structured sentences were introduced only have a
+ * `sentenceDuration`. This script gives them a single sentence from their admission
+ * date and stores the projected release date, so they appear in upcoming releases.
+ *
+ * Features:
+ * - Recomputes the projected release date of every inmate.
+ * - Creates the single sentence for older records that have none.
+ * - Reports how many records were updated.
+ *
+ * Usage:
+ * - Recompute all inmates: `node recalculateSentences.js`
+ *
+ * @requires dotenv - Loads environment variables.
+ * @requires mongoose - MongoDB ODM library.
+ * @requires connectDB - Establishes a database connection.
+ * @requires Inmate - Inmate model schema.
+ * @requires sentence - Computes sentences and projected release dates.
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const connectDB = require("./src/config/db");
+const Inmate = require("./src/models/Inmate");
+const { getSentenceFields, syncSingleSentence } = require("./utils/sentence");
+
+dotenv.config();
+
+/**
+ * Recalculate Sentences
+ * ---------------------
+ * - Connects to the database and updates each inmate's sentence fields.
+ */
+const init = async () => {
+  await connectDB();
+
+  try {
+    let updated = 0;
+
+    for await (const inmate of Inmate.find().cursor()) {
+      if (inmate.sentences.length === 0) {
+        inmate.sentences = syncSingleSentence(inmate, {
+          sentenceDuration: inmate.sentenceDuration,
+        });
+      }
+      inmate.set(getSentenceFields(inmate));
+
+      if (inmate.isModified()) {
+        await inmate.save();
+        updated++;
+      }
+    }
+
+    console.log(`Projected release dates updated for ${updated} inmate(s).`);
+  } catch (error) {
+    console.error("Error recalculating sentences:", error);
+    process.exitCode = 1;
+  }
+
+  await mongoose.connection.close();
+};
+
+init();
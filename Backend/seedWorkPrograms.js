@@ -37,20 +37,24 @@ const seedWorkPrograms = async () => {
     {
       name: "Kitchen Services",
       description: "Food preparation and kitchen duties.",
+      maxCustodyLevel: "Medium",
     },
     {
       name: "Carpentry Workshop",
       description: "Woodwork and furniture making.",
+      maxCustodyLevel: "Medium",
     },
     { name: "Tailoring Unit", description: "Sewing and garment production." },
     {
       name: "Agricultural Program",
       description: "Farming and crop production.",
+      maxCustodyLevel: "Minimum",
     },
     { name: "Laundry Services", description: "Laundry and uniform services." },
     {
       name: "Maintenance Crew",
       description: "Facility maintenance and repair.",
+      maxCustodyLevel: "Minimum",
     },
     {
       name: "Cleaning & Sanitation",
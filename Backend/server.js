@@ -28,15 +28,19 @@ const dotenv = require("dotenv");
 const cookieParser = require("cookie-parser");
 const cors = require("cors");
 
+// **Load environment variables** (before project modules read their configuration)
+dotenv.config();
+
 //Project files Imports
 const connectDB = require("./src/config/db");
 const errorHandler = require("./src/middleware/errorMiddleware");
-const { protect, isWarden } = require("./src/middleware/authMiddleware");
+const { protect } = require("./src/middleware/authMiddleware");
 
 // **Import API Routes**
 const authRoutes = require("./src/routes/authRoutes");
 const inmateRoutes = require("./src/routes/inmateRoutes");
 const visitorRoutes = require("./src/routes/visitorRoutes");
+const visitorRegistryRoutes = require("./src/routes/visitorRegistryRoutes"); // Visitor Registry & Approved Visitors
 const paroleRoutes = require("./src/routes/paroleRoutes");
 const workProgramRoutes = require("./src/routes/workProgramRoute");
 const workProgramEnrollmentRoutes = require("./src/routes/workProgramEnrollmentRoutes"); // Work Program Enrollments
@@ -44,9 +48,22 @@ const behaviorLogRoutes = require("./src/routes/behaviorLogRoutes"); // Behavior
 const activityLogRoutes = require("./src/routes/activityLogRoutes"); // Activity Logs
 const dashboardRoutes = require("./src/routes/dashboardRoutes");
 const recentActivityLogRoutes = require("./src/routes/recentActivityLogRoutes");
-
-// **Load environment variables**
-dotenv.config();
+const userRoutes = require("./src/routes/userRoutes"); // Staff Account Administration
+const securityLogRoutes = require("./src/routes/securityLogRoutes"); // Login Security Log
+const auditRoutes = require("./src/routes/auditRoutes"); // Audit Trail
+const housingRoutes = require("./src/routes/housingRoutes"); // Facilities, Blocks & Cells
+const movementRoutes = require("./src/routes/movementRoutes"); // Transfers & Movement History
+const sentenceRoutes = require("./src/routes/sentenceRoutes"); // Sentences & Release Dates
+const releaseRoutes = require("./src/routes/releaseRoutes"); // Discharge Checklist & Certificates
+const chargeRoutes = require("./src/routes/chargeRoutes"); // Charges & Offenses
+const classificationRoutes = require("./src/routes/classificationRoutes"); // Custody Classification
+const alertRoutes = require("./src/routes/alertRoutes"); // Inmate Alerts & Flags
+const incidentRoutes = require("./src/routes/incidentRoutes"); // Disciplinary Incidents & Hearings
+const grievanceRoutes = require("./src/routes/grievanceRoutes"); // Inmate Grievances & Responses
+const trustAccountRoutes = require("./src/routes/trustAccountRoutes"); // Inmate Trust Accounts & Commissary
+const medicalRoutes = require("./src/routes/medicalRoutes"); // Medical Records & Appointments
+const headcountRoutes = require("./src/routes/headcountRoutes"); // Block Headcounts & Count Sheets
+const visitBookingRoutes = require("./src/routes/visitBookingRoutes"); // Visit Booking, Visiting Rooms, Hours & Gate
 
 // **Cleanup scheduled tasks (e.g., log deletion)**
 require("./utils/logCleanup");
@@ -63,6 +80,12 @@ const allowedOrigins = [
   "https://prisonsphere.vercel.app",
 ];
 
+// Trust the reverse proxy's X-Forwarded-For so `req.ip` is the client address
+// (TRUST_PROXY = number of proxy hops in front of the API)
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY));
+}
+
 //Middleware Setup
 app.use(express.json()); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded data
@@ -89,11 +112,28 @@ app.use("/prisonsphere/dashboard", dashboardRoutes);
 app.use("/prisonsphere/recent-activities", recentActivityLogRoutes);
 app.use("/prisonsphere/inmates", inmateRoutes);
 app.use("/prisonsphere/visitors", visitorRoutes);
+app.use("/prisonsphere/visitor-registry", visitorRegistryRoutes);
 app.use("/prisonsphere/paroles", paroleRoutes);
 app.use("/prisonsphere/work-programs", workProgramRoutes);
 app.use("/prisonsphere/work-programs/enrollments", workProgramEnrollmentRoutes);
 app.use("/prisonsphere/behavior-logs", behaviorLogRoutes);
 app.use("/prisonsphere/activity-logs", activityLogRoutes);
+app.use("/prisonsphere/users", userRoutes);
+app.use("/prisonsphere/security-logs", securityLogRoutes);
+app.use("/prisonsphere/audit", auditRoutes);
+app.use("/prisonsphere/housing", housingRoutes);
+app.use("/prisonsphere/movements", movementRoutes);
+app.use("/prisonsphere/sentences", sentenceRoutes);
+app.use("/prisonsphere/releases", releaseRoutes);
+app.use("/prisonsphere/charges", chargeRoutes);
+app.use("/prisonsphere/classifications", classificationRoutes);
+app.use("/prisonsphere/alerts", alertRoutes);
+app.use("/prisonsphere/incidents", incidentRoutes);
+app.use("/prisonsphere/grievances", grievanceRoutes);
+app.use("/prisonsphere/trust-accounts", trustAccountRoutes);
+app.use("/prisonsphere/medical", medicalRoutes);
+app.use("/prisonsphere/headcounts", headcountRoutes);
+app.use("/prisonsphere/visits", visitBookingRoutes);
 
 // **Use Global Error Handling Middleware**
 app.use(errorHandler);
@@ -0,0 +1,29 @@
+/**
+ * @file alerts.js
+ * @description Defines the alert types and severities used to flag inmate records.
+ * @module config/alerts
+ *
+ * This module:
+ * - Lists the kinds of warnings officers can place on an inmate's record.
+ * - Lists alert severities, least to most severe.
+ */
+
+// Kinds of warnings shown on an inmate's record
+const ALERT_TYPES = [
+  "Medical",
+  "Self-Harm Risk",
+  "Suicide Watch",
+  "Gang Affiliation",
+  "Keep Separate",
+  "Escape Risk",
+  "Violence",
+  "Other",
+];
+
+// Alerts that name another inmate who must be kept apart from this one
+const KEEP_SEPARATE = "Keep Separate";
+
+// Severities, least to most severe
+const ALERT_SEVERITIES = ["Low", "Medium", "High"];
+
+module.exports = { ALERT_TYPES, KEEP_SEPARATE, ALERT_SEVERITIES };
@@ -0,0 +1,51 @@
+/**
+ * @file classification.js
+ * @description Defines the scoring rules used to suggest an inmate's custody level in the PrisonSphere system.
+ * @module config/classification
+ *
+ * This module:
+ * - Sets how often an inmate's custody level must be reviewed.
+ * - Weighs offense severity, recent incidents and time served into a risk score.
+ * - Maps the risk score to a suggested custody level (see `config/securityLevels`).
+ *
+ * Configuration:
+ * - `CLASSIFICATION_REVIEW_MONTHS` overrides the review interval (default: 6 months).
+ */
+
+// Months between periodic classification reviews
+const CLASSIFICATION_REVIEW_MONTHS =
+  parseInt(process.env.CLASSIFICATION_REVIEW_MONTHS) || 6;
+
+// Points for the most serious pending or convicted charge
+const SEVERITY_POINTS = { Felony: 3, Misdemeanor: 1, Infraction: 0 };
+
+// Offense categories that add points on top of their severity
+const VIOLENT_OFFENSE_CATEGORIES = ["Violent", "Sexual", "Weapons"];
+const VIOLENT_OFFENSE_POINTS = 2;
+
+// Incidents in behavior logs count for this many months, one point each
+const INCIDENT_LOOKBACK_MONTHS = 12;
+const MAX_INCIDENT_POINTS = 4;
+
+// One point off for every full period served, up to the maximum
+const TIME_SERVED_CREDIT_MONTHS = 24;
+const MAX_TIME_SERVED_CREDIT = 2;
+
+// Lowest score for each custody level, most restrictive first
+const SCORE_THRESHOLDS = [
+  { level: "Maximum", minScore: 6 },
+  { level: "Medium", minScore: 3 },
+  { level: "Minimum", minScore: -Infinity },
+];
+
+module.exports = {
+  CLASSIFICATION_REVIEW_MONTHS,
+  SEVERITY_POINTS,
+  VIOLENT_OFFENSE_CATEGORIES,
+  VIOLENT_OFFENSE_POINTS,
+  INCIDENT_LOOKBACK_MONTHS,
+  MAX_INCIDENT_POINTS,
+  TIME_SERVED_CREDIT_MONTHS,
+  MAX_TIME_SERVED_CREDIT,
+  SCORE_THRESHOLDS,
+};
@@ -0,0 +1,20 @@
+/**
+ * @file discharge.js
+ * @description Defines the discharge reasons used when an inmate is released.
+ * @module config/discharge
+ *
+ * This module:
+ * - Lists the reasons an inmate can be discharged from custody.
+ */
+
+// Why an inmate left custody (recorded on the discharge certificate)
+const DISCHARGE_REASONS = [
+  "Sentence Completed",
+  "Court Order",
+  "Bail",
+  "Transfer to Another Facility",
+  "Pardon",
+  "Other",
+];
+
+module.exports = { DISCHARGE_REASONS };
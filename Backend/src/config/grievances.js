@@ -0,0 +1,55 @@
+/**
+ * @file grievances.js
+ * @description Defines grievance categories, statuses and response deadlines in the PrisonSphere system.
+ * @module config/grievances
+ *
+ * This module:
+ * - Lists the categories an inmate can file a grievance under.
+ * - Lists the statuses of a grievance and the transitions allowed between them.
+ * - Sets how long staff have to respond to a grievance or an appeal.
+ *
+ * Configuration:
+ * - `GRIEVANCE_RESPONSE_DAYS` overrides the days allowed to resolve a grievance (default: 14).
+ * - `GRIEVANCE_APPEAL_DAYS` overrides the days allowed to decide an appeal (default: 10).
+ */
+
+// What a grievance is about
+const GRIEVANCE_CATEGORIES = [
+  "Medical",
+  "Food",
+  "Housing Conditions",
+  "Staff Conduct",
+  "Safety",
+  "Property",
+  "Visitation",
+  "Discrimination",
+  "Other",
+];
+
+// Grievance statuses, in the order a grievance normally moves through them
+const GRIEVANCE_STATUSES = ["Filed", "Under Review", "Resolved", "Appealed"];
+
+// Statuses a grievance can move to from each status
+const GRIEVANCE_TRANSITIONS = {
+  Filed: ["Under Review", "Resolved"],
+  "Under Review": ["Resolved"],
+  Resolved: ["Appealed"],
+  Appealed: ["Resolved"],
+};
+
+// Statuses still waiting for a staff response
+const OPEN_GRIEVANCE_STATUSES = ["Filed", "Under Review", "Appealed"];
+
+// Days allowed to resolve a grievance, and to decide an appeal
+const GRIEVANCE_RESPONSE_DAYS =
+  parseInt(process.env.GRIEVANCE_RESPONSE_DAYS) || 14;
+const GRIEVANCE_APPEAL_DAYS = parseInt(process.env.GRIEVANCE_APPEAL_DAYS) || 10;
+
+module.exports = {
+  GRIEVANCE_CATEGORIES,
+  GRIEVANCE_STATUSES,
+  GRIEVANCE_TRANSITIONS,
+  OPEN_GRIEVANCE_STATUSES,
+  GRIEVANCE_RESPONSE_DAYS,
+  GRIEVANCE_APPEAL_DAYS,
+};
@@ -0,0 +1,32 @@
+/**
+ * @file headcounts.js
+ * @description Defines headcount types and the statuses an inmate can be counted under in the PrisonSphere system.
+ * @module config/headcounts
+ *
+ * This module:
+ * - Lists the kinds of count officers carry out during the day.
+ * - Lists the statuses an inmate can be marked with, and which of them are accounted for.
+ */
+
+// When a count is carried out
+const COUNT_TYPES = ["Morning", "Midday", "Evening", "Night", "Emergency"];
+
+// How each inmate on the count sheet was found
+const COUNT_STATUSES = ["Present", "Absent", "Out to Court", "In Medical"];
+
+// Statuses that account for an inmate who is not in their cell
+const OUT_COUNT_STATUSES = ["Out to Court", "In Medical"];
+
+// Statuses that are a discrepancy and must be reported at once
+const DISCREPANCY_STATUSES = ["Absent"];
+
+// Headcount statuses
+const HEADCOUNT_STATUSES = ["In Progress", "Completed"];
+
+module.exports = {
+  COUNT_TYPES,
+  COUNT_STATUSES,
+  OUT_COUNT_STATUSES,
+  DISCREPANCY_STATUSES,
+  HEADCOUNT_STATUSES,
+};
@@ -0,0 +1,56 @@
+/**
+ * @file incidents.js
+ * @description Defines the incident types, hearing outcomes and sanctions used in disciplinary proceedings.
+ * @module config/incidents
+ *
+ * This module:
+ * - Lists the kinds of disciplinary incidents that can be reported.
+ * - Lists how an inmate can be involved in an incident.
+ * - Lists the outcomes of a disciplinary hearing.
+ * - Lists the sanctions a hearing can impose.
+ */
+
+// Kinds of disciplinary incidents
+const INCIDENT_TYPES = [
+  "Assault",
+  "Fighting",
+  "Contraband",
+  "Threats",
+  "Property Damage",
+  "Disobeying Orders",
+  "Escape Attempt",
+  "Self-Harm",
+  "Other",
+];
+
+// How an inmate was involved; only offenders go before a hearing
+const INVOLVEMENT_ROLES = ["Offender", "Victim", "Witness"];
+
+// Outcome of an offender's disciplinary hearing
+const HEARING_OUTCOMES = ["Pending", "Guilty", "Not Guilty", "Dismissed"];
+
+// Sanctions imposed on a guilty finding
+const SANCTION_TYPES = [
+  "Warning",
+  "Loss of Privileges",
+  "Cell Confinement",
+  "Loss of Visits",
+  "Non-Contact Visits",
+  "Loss of Good Conduct Credit",
+];
+
+// Sanctions that run for a number of days from the hearing
+const TIMED_SANCTIONS = [
+  "Loss of Privileges",
+  "Cell Confinement",
+  "Loss of Visits",
+  "Non-Contact Visits",
+];
+
+module.exports = {
+  INCIDENT_TYPES,
+  INVOLVEMENT_ROLES,
+  HEARING_OUTCOMES,
+  SANCTION_TYPES,
+  TIMED_SANCTIONS,
+};
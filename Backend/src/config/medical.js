@@ -0,0 +1,59 @@
+/**
+ * @file medical.js
+ * @description Defines the clinical vocabularies of inmate medical records in the PrisonSphere system.
+ * @module config/medical
+ *
+ * This module:
+ * - Lists encounter and appointment types, and appointment statuses.
+ * - Lists allergy severities and the alert severity shown to non-medical staff for each.
+ * - Lists condition statuses, medication routes and statuses, and dose administration outcomes.
+ */
+
+// Kinds of clinical encounters (also used for appointments)
+const ENCOUNTER_TYPES = [
+  "Intake Screening",
+  "Sick Call",
+  "Routine Checkup",
+  "Follow-up",
+  "Emergency",
+  "Mental Health",
+  "Dental",
+  "Specialist Referral",
+];
+
+// Scheduled until it is Completed, Missed or Cancelled
+const APPOINTMENT_STATUSES = ["Scheduled", "Completed", "Missed", "Cancelled"];
+
+// Allergy severities, least to most severe
+const ALLERGY_SEVERITIES = ["Mild", "Moderate", "Severe", "Life-Threatening"];
+
+// Alert severity shown on the inmate profile for each allergy severity
+const ALLERGY_ALERT_SEVERITY = {
+  Mild: "Low",
+  Moderate: "Medium",
+  Severe: "High",
+  "Life-Threatening": "High",
+};
+
+// Conditions stay on the record once Resolved
+const CONDITION_STATUSES = ["Active", "Resolved"];
+
+// How a medication is given
+const MEDICATION_ROUTES = ["Oral", "Injection", "Topical", "Inhaled", "Other"];
+
+// Medications are Active until Discontinued
+const MEDICATION_STATUSES = ["Active", "Discontinued"];
+
+// Outcome of each scheduled dose
+const ADMINISTRATION_STATUSES = ["Given", "Refused", "Missed", "Held"];
+
+module.exports = {
+  ENCOUNTER_TYPES,
+  APPOINTMENT_STATUSES,
+  ALLERGY_SEVERITIES,
+  ALLERGY_ALERT_SEVERITY,
+  CONDITION_STATUSES,
+  MEDICATION_ROUTES,
+  MEDICATION_STATUSES,
+  ADMINISTRATION_STATUSES,
+};
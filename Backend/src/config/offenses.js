@@ -0,0 +1,31 @@
+/**
+ * @file offenses.js
+ * @description Defines the offense categories, severity classes and charge statuses used across the PrisonSphere system.
+ * @module config/offenses
+ *
+ * This module:
+ * - Lists the offense categories inmates can be searched by.
+ * - Lists the severity classes of an offense, most serious first.
+ * - Lists the outcomes of a charge.
+ */
+
+// Broad offense categories (used to filter inmate searches)
+const OFFENSE_CATEGORIES = [
+  "Violent",
+  "Sexual",
+  "Property",
+  "Drug",
+  "Fraud",
+  "Weapons",
+  "Public Order",
+  "Traffic",
+  "Other",
+];
+
+// Severity classes, most serious first
+const SEVERITY_CLASSES = ["Felony", "Misdemeanor", "Infraction"];
+
+// Outcome of a charge
+const CHARGE_STATUSES = ["Pending", "Convicted", "Acquitted", "Dismissed"];
+
+module.exports = { OFFENSE_CATEGORIES, SEVERITY_CLASSES, CHARGE_STATUSES };
@@ -0,0 +1,271 @@
+/**
+ * @file permissions.js
+ * @description Defines staff roles and the role-to-permission matrix used for authorization.
+ * @module config/permissions
+ *
+ * This module:
+ * - Lists every permission a route can require (e.g., "inmates:update").
+ * - Lists the staff roles accepted by the `User` model.
+ * - Maps each role to the permissions it grants.
+ * - Lists the roles that must use two-factor authentication.
+ *
+ * Configuration:
+ * - The default matrix below can be overridden without code changes by pointing
+ *   `ROLE_PERMISSIONS_PATH` at a JSON file, e.g.:
+ *     { "counselor": ["dashboard:view", "inmates:view", "rehabilitation:log"] }
+ * - Each role listed in the file replaces that role's default permissions.
+ * - Unknown roles or permissions in the file are ignored with a warning.
+ * - `TWO_FACTOR_REQUIRED_ROLES` is a comma-separated list of roles that must enroll
+ *   in two-factor authentication before they can sign in (e.g., "warden,auditor").
+ *
+ * @requires fs - Node.js file system module for reading the override file.
+ * @requires path - Node.js path module for resolving the override file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Permissions
+ * -----------
+ * - One entry per protected capability; routes declare which one they require.
+ */
+const PERMISSIONS = {
+  DASHBOARD_VIEW: "dashboard:view",
+
+  INMATES_VIEW: "inmates:view",
+  INMATES_CREATE: "inmates:create",
+  INMATES_UPDATE: "inmates:update",
+
+  VISITORS_VIEW: "visitors:view",
+  VISITORS_LOG: "visitors:log",
+  VISITORS_UPDATE: "visitors:update",
+  VISITORS_APPROVE: "visitors:approve",
+  VISITORS_RESTRICT: "visitors:restrict",
+  VISITORS_VOID: "visitors:void",
+
+  PAROLES_VIEW: "paroles:view",
+  PAROLES_SUBMIT: "paroles:submit",
+  PAROLES_DECIDE: "paroles:decide",
+
+  WORK_PROGRAMS_VIEW: "workPrograms:view",
+  WORK_PROGRAMS_ENROLL: "workPrograms:enroll",
+
+  REHABILITATION_VIEW: "rehabilitation:view",
+  REHABILITATION_LOG: "rehabilitation:log",
+
+  REPORTS_VIEW: "reports:view",
+
+  HOUSING_VIEW: "housing:view",
+  HOUSING_MANAGE: "housing:manage",
+
+  INCIDENTS_VIEW: "incidents:view",
+  INCIDENTS_REPORT: "incidents:report",
+  INCIDENTS_ADJUDICATE: "incidents:adjudicate",
+
+  GRIEVANCES_VIEW: "grievances:view",
+  GRIEVANCES_FILE: "grievances:file",
+  GRIEVANCES_RESPOND: "grievances:respond",
+
+  TRUST_VIEW: "trust:view",
+  TRUST_TRANSACT: "trust:transact",
+  TRUST_REVERSE: "trust:reverse",
+
+  HEADCOUNTS_VIEW: "headcounts:view",
+  HEADCOUNTS_CONDUCT: "headcounts:conduct",
+
+  MEDICAL_VIEW: "medical:view",
+  MEDICAL_RECORD: "medical:record",
+
+  USERS_MANAGE: "users:manage",
+  SECURITY_LOGS_VIEW: "securityLogs:view",
+  AUDIT_VIEW: "audit:view",
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Clinical permissions, granted to the medical role only
+const CLINICAL_PERMISSIONS = [
+  PERMISSIONS.MEDICAL_VIEW,
+  PERMISSIONS.MEDICAL_RECORD,
+];
+
+// Permissions outside the medical record
+const NON_CLINICAL_PERMISSIONS = ALL_PERMISSIONS.filter(
+  (permission) => !CLINICAL_PERMISSIONS.includes(permission)
+);
+
+// Read-only permissions (every non-clinical "*:view" permission)
+const VIEW_PERMISSIONS = NON_CLINICAL_PERMISSIONS.filter((permission) =>
+  permission.endsWith(":view")
+);
+
+/**
+ * Roles
+ * -----
+ * - Values stored in `User.role`.
+ */
+const ROLES = {
+  WARDEN: "warden",
+  ADMIN: "admin",
+  CORRECTIONAL_OFFICER: "correctional_officer",
+  COUNSELOR: "counselor",
+  PAROLE_BOARD: "parole_board",
+  VISITATION_CLERK: "visitation_clerk",
+  AUDITOR: "auditor",
+  MEDICAL_STAFF: "medical_staff",
+};
+
+/**
+ * Default Role-to-Permission Matrix
+ * ---------------------------------
+ * - `warden` keeps full access; `admin` keeps the access it had before roles were split.
+ * - `auditor` is strictly read-only, but can also review the security log and audit trail.
+ * - Medical records are confidential: only `medical_staff` can read or change them,
+ *   so the warden, admin and auditor do not get the clinical permissions.
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.WARDEN]: NON_CLINICAL_PERMISSIONS,
+  [ROLES.ADMIN]: [
+    ...VIEW_PERMISSIONS.filter(
+      (permission) =>
+        ![PERMISSIONS.SECURITY_LOGS_VIEW, PERMISSIONS.AUDIT_VIEW].includes(
+          permission
+        )
+    ),
+    PERMISSIONS.VISITORS_LOG,
+    PERMISSIONS.WORK_PROGRAMS_ENROLL,
+  ],
+  [ROLES.CORRECTIONAL_OFFICER]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.INMATES_VIEW,
+    PERMISSIONS.HOUSING_VIEW,
+    PERMISSIONS.VISITORS_VIEW,
+    PERMISSIONS.VISITORS_LOG,
+    PERMISSIONS.VISITORS_RESTRICT,
+    PERMISSIONS.WORK_PROGRAMS_VIEW,
+    PERMISSIONS.REHABILITATION_VIEW,
+    PERMISSIONS.REHABILITATION_LOG,
+    PERMISSIONS.INCIDENTS_VIEW,
+    PERMISSIONS.INCIDENTS_REPORT,
+    PERMISSIONS.GRIEVANCES_VIEW,
+    PERMISSIONS.GRIEVANCES_FILE,
+    PERMISSIONS.TRUST_VIEW,
+    PERMISSIONS.TRUST_TRANSACT,
+    PERMISSIONS.HEADCOUNTS_VIEW,
+    PERMISSIONS.HEADCOUNTS_CONDUCT,
+  ],
+  [ROLES.COUNSELOR]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.INMATES_VIEW,
+    PERMISSIONS.WORK_PROGRAMS_VIEW,
+    PERMISSIONS.WORK_PROGRAMS_ENROLL,
+    PERMISSIONS.REHABILITATION_VIEW,
+    PERMISSIONS.REHABILITATION_LOG,
+    PERMISSIONS.REPORTS_VIEW,
+    PERMISSIONS.INCIDENTS_VIEW,
+    PERMISSIONS.GRIEVANCES_VIEW,
+    PERMISSIONS.GRIEVANCES_FILE,
+    PERMISSIONS.GRIEVANCES_RESPOND,
+  ],
+  [ROLES.PAROLE_BOARD]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.INMATES_VIEW,
+    PERMISSIONS.PAROLES_VIEW,
+    PERMISSIONS.PAROLES_DECIDE,
+    PERMISSIONS.WORK_PROGRAMS_VIEW,
+    PERMISSIONS.REHABILITATION_VIEW,
+    PERMISSIONS.REPORTS_VIEW,
+    PERMISSIONS.INCIDENTS_VIEW,
+  ],
+  [ROLES.VISITATION_CLERK]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.INMATES_VIEW,
+    PERMISSIONS.VISITORS_VIEW,
+    PERMISSIONS.VISITORS_LOG,
+    PERMISSIONS.VISITORS_UPDATE,
+  ],
+  [ROLES.AUDITOR]: VIEW_PERMISSIONS,
+  [ROLES.MEDICAL_STAFF]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.INMATES_VIEW,
+    PERMISSIONS.MEDICAL_VIEW,
+    PERMISSIONS.MEDICAL_RECORD,
+  ],
+};
+
+/**
+ * Loads the role-to-permission matrix, applying the optional JSON override file.
+ *
+ * @returns {Object<String, Array<String>>} - Permissions granted to each role.
+ */
+const loadRolePermissions = () => {
+  const rolePermissions = { ...DEFAULT_ROLE_PERMISSIONS };
+  const overridePath = process.env.ROLE_PERMISSIONS_PATH;
+  if (!overridePath) return rolePermissions;
+
+  try {
+    const overrides = JSON.parse(
+      fs.readFileSync(path.resolve(overridePath), "utf8")
+    );
+
+    Object.entries(overrides).forEach(([role, permissions]) => {
+      if (!rolePermissions[role]) {
+        console.warn(`Ignoring permissions for unknown role "${role}"`);
+        return;
+      }
+      rolePermissions[role] = permissions.filter((permission) => {
+        const known = ALL_PERMISSIONS.includes(permission);
+        if (!known) console.warn(`Ignoring unknown permission "${permission}"`);
+        return known;
+      });
+    });
+  } catch (error) {
+    console.error("Error loading role permissions:", error.message);
+  }
+
+  return rolePermissions;
+};
+
+const ROLE_PERMISSIONS = loadRolePermissions();
+
+// Roles that must use two-factor authentication
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+  .split(",")
+  .map((role) => role.trim().toLowerCase())
+  .filter((role) => Object.values(ROLES).includes(role));
+
+/**
+ * Returns the permissions granted to a role.
+ *
+ * @param {String} role - The user's role.
+ * @returns {Array<String>} - Permissions granted to the role (empty if unknown).
+ */
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Checks whether a role grants a permission.
+ *
+ * @param {String} role - The user's role.
+ * @param {String} permission - The permission being checked.
+ * @returns {Boolean} - True if the role grants the permission.
+ */
+const hasPermission = (role, permission) =>
+  getPermissionsForRole(role).includes(permission);
+
+/**
+ * Checks whether a role must use two-factor authentication.
+ *
+ * @param {String} role - The user's role.
+ * @returns {Boolean} - True if the role is listed in `TWO_FACTOR_REQUIRED_ROLES`.
+ */
+const isTwoFactorRequired = (role) => TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  hasPermission,
+  isTwoFactorRequired,
+};
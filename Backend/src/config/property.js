@@ -0,0 +1,17 @@
+/**
+ * @file property.js
+ * @description Defines the conditions and statuses of inmate property in the PrisonSphere system.
+ * @module config/property
+ *
+ * This module:
+ * - Lists the conditions recorded when property is taken at admission or returned at release.
+ * - Lists the statuses of a stored item.
+ */
+
+// Condition of an item when it is taken or returned
+const PROPERTY_CONDITIONS = ["New", "Good", "Fair", "Poor", "Damaged"];
+
+// Stored until release, then Returned to the inmate or flagged Missing
+const PROPERTY_STATUSES = ["Stored", "Returned", "Missing"];
+
+module.exports = { PROPERTY_CONDITIONS, PROPERTY_STATUSES };
@@ -0,0 +1,14 @@
+/**
+ * @file securityLevels.js
+ * @description Defines the custody security levels used across the PrisonSphere system.
+ * @module config/securityLevels
+ *
+ * This module:
+ * - Lists the security levels used by housing blocks and cells.
+ * - Orders the levels from least to most restrictive, so they can be compared by index.
+ */
+
+// Security levels, least to most restrictive
+const SECURITY_LEVELS = ["Minimum", "Medium", "Maximum"];
+
+module.exports = { SECURITY_LEVELS };
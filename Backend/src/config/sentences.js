@@ -0,0 +1,25 @@
+/**
+ * @file sentences.js
+ * @description Defines the sentence and sentence credit types used across the PrisonSphere system.
+ * @module config/sentences
+ *
+ * This module:
+ * - Lists how a sentence runs relative to the one before it.
+ * - Lists the credits that shorten the time to release.
+ * - Names the forfeiture of good-conduct days imposed by a disciplinary hearing.
+ */
+
+// How a sentence runs relative to the previous sentence
+const SENTENCE_RELATIONS = ["Concurrent", "Consecutive"];
+
+// Credits deducted from the full term, in days
+const SENTENCE_CREDIT_TYPES = ["Time Served", "Good Conduct"];
+
+// Good-conduct days forfeited as a disciplinary sanction (recorded by hearings, not granted)
+const GOOD_CONDUCT_FORFEITURE = "Good Conduct Forfeiture";
+
+module.exports = {
+  SENTENCE_RELATIONS,
+  SENTENCE_CREDIT_TYPES,
+  GOOD_CONDUCT_FORFEITURE,
+};
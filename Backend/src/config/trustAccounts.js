@@ -0,0 +1,61 @@
+/**
+ * @file trustAccounts.js
+ * @description Defines the ledger accounts and transaction types of inmate trust accounts in the PrisonSphere system.
+ * @module config/trustAccounts
+ *
+ * This module:
+ * - Lists the ledger accounts money moves between.
+ * - Lists the transaction types staff can post, and the accounts each one debits and credits.
+ *
+ * Every transaction is a balanced double entry: the amount debited from one account is
+ * credited to another. An inmate's balance is what the facility holds in their trust
+ * account, so credits to `Inmate Trust` raise it and debits lower it.
+ *
+ * Amounts are stored in cents to avoid rounding errors.
+ */
+
+// Ledger accounts
+const LEDGER_ACCOUNTS = {
+  INMATE_TRUST: "Inmate Trust",
+  CASH: "Facility Cash",
+  COMMISSARY: "Commissary Sales",
+  WAGES: "Work Wages",
+};
+
+// Transaction types staff can post (corrections are posted as reversals)
+const TRUST_TRANSACTION_TYPES = [
+  "Deposit",
+  "Withdrawal",
+  "Commissary Purchase",
+  "Work Wage",
+];
+
+// Reverses an earlier transaction by swapping its debits and credits
+const REVERSAL_TYPE = "Reversal";
+
+// Account debited and account credited by each transaction type
+const TRANSACTION_POSTINGS = {
+  Deposit: {
+    debit: LEDGER_ACCOUNTS.CASH,
+    credit: LEDGER_ACCOUNTS.INMATE_TRUST,
+  },
+  Withdrawal: {
+    debit: LEDGER_ACCOUNTS.INMATE_TRUST,
+    credit: LEDGER_ACCOUNTS.CASH,
+  },
+  "Commissary Purchase": {
+    debit: LEDGER_ACCOUNTS.INMATE_TRUST,
+    credit: LEDGER_ACCOUNTS.COMMISSARY,
+  },
+  "Work Wage": {
+    debit: LEDGER_ACCOUNTS.WAGES,
+    credit: LEDGER_ACCOUNTS.INMATE_TRUST,
+  },
+};
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  TRUST_TRANSACTION_TYPES,
+  REVERSAL_TYPE,
+  TRANSACTION_POSTINGS,
+};
@@ -0,0 +1,36 @@
+/**
+ * @file visitors.js
+ * @description Defines the approval statuses and restrictions of visitors in the PrisonSphere system.
+ * @module config/visitors
+ *
+ * This module:
+ * - Lists the statuses a visitor can have on an inmate's approved-visitor list.
+ * - Lists the transitions allowed between them.
+ * - Lists the restrictions that can be placed on a visitor.
+ */
+
+// Statuses of a visitor on an inmate's list, in the order a request normally moves through them
+const APPROVAL_STATUSES = ["Pending", "Approved", "Denied", "Revoked"];
+
+// Statuses an approval can move to from each status
+// (a denied or revoked visitor can be put forward again)
+const APPROVAL_TRANSITIONS = {
+  Pending: ["Approved", "Denied"],
+  Approved: ["Revoked"],
+  Denied: ["Pending"],
+  Revoked: ["Pending"],
+};
+
+// Decisions that must be given with a reason
+const REASON_REQUIRED_STATUSES = ["Denied", "Revoked"];
+
+// Restrictions placed on a visitor (e.g., after smuggling contraband):
+// barred from every visit, limited to non-contact visits, or barred from one inmate
+const RESTRICTION_TYPES = ["Full Ban", "Non-Contact Only", "Inmate-Specific"];
+
+module.exports = {
+  APPROVAL_STATUSES,
+  APPROVAL_TRANSITIONS,
+  REASON_REQUIRED_STATUSES,
+  RESTRICTION_TYPES,
+};
@@ -0,0 +1,93 @@
+/**
+ * @file visits.js
+ * @description Defines visit booking statuses, slot length and weekly quotas in the PrisonSphere system.
+ * @module config/visits
+ *
+ * This module:
+ * - Lists the statuses of a visit and the transitions allowed from a booking.
+ * - Lists which statuses hold a room, an inmate or a visitor, and which count towards the quota.
+ * - Sets the length of a visiting slot and how many visits an inmate can have each week.
+ * - Lists the ID documents accepted at the gate, and how early visitors can check in.
+ * - Lists whether a visit allows physical contact.
+ * - Lists the reasons a visit record can be voided.
+ * - Sets the time zone the facility's visiting hours and weeks are kept in.
+ *
+ * Configuration:
+ * - `VISIT_SLOT_MINUTES` overrides the length of a visiting slot (default: 60).
+ * - `WEEKLY_VISIT_QUOTA` overrides the visits allowed per inmate each week (default: 2).
+ * - `CHECK_IN_EARLY_MINUTES` overrides how long before the slot visitors can check in (default: 30).
+ * - `FACILITY_TIMEZONE` sets the IANA time zone of the facility, e.g. "Europe/London"
+ *   (default: the server's time zone).
+ */
+
+// Visit statuses (visits logged after the fact are recorded as Completed)
+const VISIT_STATUSES = [
+  "Booked",
+  "Checked In",
+  "Completed",
+  "Cancelled",
+  "No-Show",
+];
+
+// Statuses a visit can move to from each status (check-in and check-out happen at the gate)
+const VISIT_STATUS_TRANSITIONS = {
+  Booked: ["Checked In", "Cancelled", "No-Show"],
+  "Checked In": ["Completed"],
+};
+
+// Statuses that hold a room, the inmate and the visitor for the time of the visit
+const OCCUPYING_VISIT_STATUSES = ["Booked", "Checked In", "Completed"];
+
+// Statuses that count towards an inmate's weekly quota (a no-show still used the slot)
+const QUOTA_VISIT_STATUSES = ["Booked", "Checked In", "Completed", "No-Show"];
+
+// Statuses of visits that took place (visits logged before bookings existed have no status)
+const HELD_VISIT_STATUSES = ["Completed", null];
+
+// Whether the visitor and inmate can touch, or meet through a screen
+const VISIT_CONTACT_TYPES = ["Contact", "Non-Contact"];
+
+// Why a visit record is voided (records entered by mistake); "Other" needs notes
+const VISIT_VOID_REASONS = [
+  "Entered in Error",
+  "Duplicate Entry",
+  "Wrong Inmate",
+  "Wrong Visitor",
+  "Other",
+];
+
+// ID documents a visitor can present at the gate
+const ID_DOCUMENT_TYPES = [
+  "National ID",
+  "Passport",
+  "Driver's License",
+  "Other",
+];
+
+// Length of a visiting slot, and visits allowed per inmate each week (Monday to Sunday)
+const VISIT_SLOT_MINUTES = parseInt(process.env.VISIT_SLOT_MINUTES) || 60;
+const WEEKLY_VISIT_QUOTA = parseInt(process.env.WEEKLY_VISIT_QUOTA) || 2;
+
+// How long before the start of the slot a visitor can check in
+const CHECK_IN_EARLY_MINUTES =
+  parseInt(process.env.CHECK_IN_EARLY_MINUTES) || 30;
+
+// Time zone of visiting hours, slot days and quota weeks (not the server's, which may differ)
+const FACILITY_TIMEZONE =
+  process.env.FACILITY_TIMEZONE ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+module.exports = {
+  VISIT_STATUSES,
+  VISIT_STATUS_TRANSITIONS,
+  OCCUPYING_VISIT_STATUSES,
+  QUOTA_VISIT_STATUSES,
+  HELD_VISIT_STATUSES,
+  VISIT_CONTACT_TYPES,
+  VISIT_VOID_REASONS,
+  ID_DOCUMENT_TYPES,
+  VISIT_SLOT_MINUTES,
+  WEEKLY_VISIT_QUOTA,
+  CHECK_IN_EARLY_MINUTES,
+  FACILITY_TIMEZONE,
+};
@@ -6,13 +6,19 @@
  * Features:
  * - Logs inmate participation in work-related activities.
  * - Fetches activity logs for a specific inmate.
+ * - Keeps clinical details out of activity logs: health sessions are recorded in the
+ *   medical record, and older health session logs are redacted for non-medical staff.
  *
  * @requires mongoose - MongoDB ODM library.
  * @requires ActivityLog - The Activity Log model.
  * @requires logRecentActivity - Function to log activities in the system.
+ * @requires recordAuditEvent - Records new activity logs in the audit trail.
+ * @requires medical - Redacts health session logs for staff without medical access.
  */
 
 const ActivityLog = require("../models/ActivityLog");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { HEALTH_SESSION, redactHealthSessions } = require("../../utils/medical");
 
 /**
  * Log Inmate Activity in a Work Program
@@ -32,6 +38,11 @@ const logActivity = async (req, res) => {
     if (!inmateId || !activityType || !description) {
       return res.status(400).json({ message: "All fields are required." });
     }
+    if (activityType === HEALTH_SESSION) {
+      return res.status(400).json({
+        message: "⚠ Health sessions are recorded in the medical record.",
+      });
+    }
 
     const newActivityLog = new ActivityLog({
       inmateId,
@@ -40,6 +51,12 @@ const logActivity = async (req, res) => {
     });
 
     await newActivityLog.save();
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "ActivityLog",
+      after: newActivityLog,
+      inmate: newActivityLog.inmateId,
+    });
 
     res.status(201).json({ message: "Activity logged successfully!" });
   } catch (error) {
@@ -51,6 +68,7 @@ const logActivity = async (req, res) => {
  * Fetch All Activity Logs for an Inmate
  * -------------------------------------
  * - Retrieves all activity logs recorded for an inmate.
+ * - Health session descriptions are hidden from staff without medical access.
  *
  * @route   GET /prisonsphere/activity-logs/inmate/:inmateId
  * @access  Admin & Warden
@@ -70,7 +88,7 @@ const getActivityLogsForInmate = async (req, res) => {
       .limit(parseInt(limit));
 
     res.status(200).json({
-      logs,
+      logs: redactHealthSessions(logs, req.user?.role),
       totalLogs,
     });
   } catch (error) {
@@ -0,0 +1,299 @@
+/**
+ * @file alertController.js
+ * @description Manages alerts and flags on inmate records in the PrisonSphere system.
+ * @module controllers/alertController
+ *
+ * This module provides functionalities to:
+ * - Raise an alert on an inmate (medical, self-harm risk, gang affiliation, keep separate, ...).
+ * - Retrieve the alerts on an inmate's record, including keep-separate alerts naming them.
+ * - Retrieve the alerts in force for a list of inmates (for list badges).
+ * - Update or deactivate an alert.
+ *
+ * Keep-separate alerts name the other inmate by their inmate ID and are enforced
+ * when assigning cells and enrolling inmates in work programs.
+ * Every change is recorded in the audit trail against the flagged inmate.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Alert - Alert model schema.
+ * @requires Inmate - Inmate model schema.
+ * @requires recordAuditEvent - Records alert changes in the audit trail.
+ * @requires alerts - Alert types, severities and the active-alert query.
+ */
+
+const mongoose = require("mongoose");
+const Alert = require("../models/Alert");
+const Inmate = require("../models/Inmate");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { getActiveAlertFilter, isAlertActive } = require("../../utils/alerts");
+const {
+  ALERT_TYPES,
+  KEEP_SEPARATE,
+  ALERT_SEVERITIES,
+} = require("../config/alerts");
+
+/**
+ * Validates the editable fields of an alert.
+ *
+ * @param {Object} fields - Severity, description and expiry.
+ * @returns {String|null} - Error message, or null if the fields are valid.
+ */
+const validateAlertFields = ({ severity, description, expiresAt }) => {
+  if (severity !== undefined && !ALERT_SEVERITIES.includes(severity)) {
+    return "Please select a valid severity.";
+  }
+  if (description !== undefined && !description?.trim()) {
+    return "Please describe the alert.";
+  }
+  if (expiresAt) {
+    if (isNaN(new Date(expiresAt))) return "Please enter a valid expiry date.";
+    if (new Date(expiresAt) <= new Date()) {
+      return "The expiry date must be in the future.";
+    }
+  }
+  return null;
+};
+
+/**
+ * Raise an Alert
+ * --------------
+ * - Adds an alert to an inmate's record.
+ * - Keep-separate alerts require the inmate ID of the other inmate.
+ * - The signed-in user is recorded as having raised the alert.
+ *
+ * @route  POST /prisonsphere/alerts
+ * @access Private (inmates:update)
+ */
+const addAlert = async (req, res) => {
+  try {
+    const { type, severity, description, expiresAt, separateFromInmateID } =
+      req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.body.inmate)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    if (!ALERT_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ message: "Please select a valid alert type." });
+    }
+    const error = validateAlertFields({
+      severity,
+      description: description ?? "",
+      expiresAt,
+    });
+    if (error) return res.status(400).json({ message: error });
+
+    const inmate = await Inmate.findById(req.body.inmate).select("_id");
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    let separateFrom = null;
+    if (type === KEEP_SEPARATE) {
+      if (!separateFromInmateID?.trim()) {
+        return res.status(400).json({
+          message:
+            "Please enter the inmate ID to keep this inmate separate from.",
+        });
+      }
+      const other = await Inmate.findOne({
+        inmateID: separateFromInmateID.trim(),
+      }).select("_id");
+      if (!other) {
+        return res.status(404).json({
+          message: `No inmate found with ID ${separateFromInmateID.trim()}.`,
+        });
+      }
+      if (String(other._id) === String(inmate._id)) {
+        return res
+          .status(400)
+          .json({
+            message: "An inmate cannot be kept separate from themselves.",
+          });
+      }
+      separateFrom = other._id;
+    }
+
+    const alert = await Alert.create({
+      inmate: inmate._id,
+      type,
+      severity,
+      description: description.trim(),
+      separateFrom,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdBy: req.user?.id || null,
+    });
+
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Alert",
+      after: alert,
+      inmate: inmate._id,
+    });
+
+    res.status(201).json({ message: "Alert raised successfully", alert });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Alerts for an Inmate
+ * ------------------------
+ * - Retrieves the alerts raised on an inmate and the keep-separate alerts naming them.
+ * - Alerts in force come first; pass `includeInactive=true` for expired and
+ *   deactivated alerts as well.
+ *
+ * @route  GET /prisonsphere/alerts/inmate/:inmateId
+ * @access Private (inmates:view)
+ */
+const getAlertsByInmate = async (req, res) => {
+  try {
+    const { inmateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const alerts = await Alert.find({
+      $and: [
+        {
+          $or: [
+            { inmate: inmateId },
+            { type: KEEP_SEPARATE, separateFrom: inmateId },
+          ],
+        },
+        ...(req.query.includeInactive === "true"
+          ? []
+          : [getActiveAlertFilter()]),
+      ],
+    })
+      .populate("inmate separateFrom", "firstName lastName inmateID")
+      .populate("createdBy", "username")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const withStatus = alerts.map((alert) => ({
+      ...alert,
+      active: isAlertActive(alert),
+    }));
+    withStatus.sort((a, b) => Number(b.active) - Number(a.active));
+
+    res.status(200).json(withStatus);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Active Alerts for Several Inmates
+ * -------------------------------------
+ * - Returns the alerts in force for each of the given inmates, keyed by inmate ID.
+ * - Keep-separate alerts are listed under both inmates.
+ *
+ * @route  GET /prisonsphere/alerts/active?inmates=<id>,<id>
+ * @access Private (inmates:view)
+ */
+const getActiveAlerts = async (req, res) => {
+  try {
+    const inmateIds = (req.query.inmates || "")
+      .split(",")
+      .filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (inmateIds.length === 0) return res.status(200).json({});
+
+    const alerts = await Alert.find({
+      $and: [
+        {
+          $or: [
+            { inmate: { $in: inmateIds } },
+            { type: KEEP_SEPARATE, separateFrom: { $in: inmateIds } },
+          ],
+        },
+        getActiveAlertFilter(),
+      ],
+    })
+      .select("inmate separateFrom type severity")
+      .lean();
+
+    const alertsByInmate = {};
+    alerts.forEach((alert) => {
+      [alert.inmate, alert.separateFrom]
+        .filter((id) => id && inmateIds.includes(String(id)))
+        .forEach((id) => {
+          alertsByInmate[id] = alertsByInmate[id] || [];
+          alertsByInmate[id].push({
+            _id: alert._id,
+            type: alert.type,
+            severity: alert.severity,
+          });
+        });
+    });
+
+    res.status(200).json(alertsByInmate);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update an Alert
+ * ---------------
+ * - Updates the severity, description or expiry of an alert.
+ * - Setting `isActive` to false deactivates the alert; the signed-in user is
+ *   recorded as having deactivated it.
+ *
+ * @route  PUT /prisonsphere/alerts/:id
+ * @access Private (inmates:update)
+ */
+const updateAlert = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid alert ID format" });
+    }
+
+    const { severity, description, expiresAt, isActive } = req.body;
+    const error = validateAlertFields({ severity, description, expiresAt });
+    if (error) return res.status(400).json({ message: error });
+
+    const alert = await Alert.findById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+    if (!alert.isActive) {
+      return res
+        .status(400)
+        .json({ message: "This alert has already been deactivated." });
+    }
+
+    const previousAlert = alert.toObject();
+    if (severity !== undefined) alert.severity = severity;
+    if (description !== undefined) alert.description = description.trim();
+    if (expiresAt !== undefined) {
+      alert.expiresAt = expiresAt ? new Date(expiresAt) : null;
+    }
+    if ([false, "false"].includes(isActive)) {
+      alert.isActive = false;
+      alert.deactivatedBy = req.user?.id || null;
+      alert.deactivatedAt = new Date();
+    }
+    await alert.save();
+
+    await recordAuditEvent(req, {
+      action: alert.isActive ? "UPDATE" : "STATUS_CHANGE",
+      entityType: "Alert",
+      before: previousAlert,
+      after: alert,
+      inmate: alert.inmate,
+    });
+
+    res.status(200).json({
+      message: alert.isActive
+        ? "Alert updated successfully"
+        : "Alert deactivated successfully",
+      alert,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = { addAlert, getAlertsByInmate, getActiveAlerts, updateAlert };
@@ -0,0 +1,130 @@
+/**
+ * @file auditController.js
+ * @description Provides read access to the audit trail in the PrisonSphere system.
+ * @module controllers/auditController
+ *
+ * This module:
+ * - Lists audit events (who changed what, when, from where, and the before/after values).
+ * - Filters by action, record type, record, inmate, actor, changed field and date range.
+ * - Paginates results, newest first.
+ * - Verifies the audit hash chain and reports the first broken link.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires AuditEvent - AuditEvent model schema.
+ * @requires verifyAuditChain - Walks the audit hash chain.
+ */
+
+const mongoose = require("mongoose");
+const AuditEvent = require("../models/AuditEvent");
+const { verifyAuditChain } = require("../../utils/auditTrail");
+
+/**
+ * Get Audit Events (With Filtering & Pagination)
+ * ----------------------------------------------
+ * - Retrieves audit events with optional filters.
+ * - Populates the actor's username and the inmate's name.
+ *
+ * @route  GET /prisonsphere/audit
+ * @access Private (audit:view)
+ */
+const getAuditEvents = async (req, res) => {
+  try {
+    const {
+      action,
+      entityType,
+      entityId,
+      inmate,
+      actor,
+      field,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    let query = {};
+
+    if (action) {
+      if (!AuditEvent.schema.path("action").enumValues.includes(action)) {
+        return res.status(400).json({ message: "Invalid action" });
+      }
+      query.action = action;
+    }
+
+    if (entityType) {
+      if (
+        !AuditEvent.schema.path("entityType").enumValues.includes(entityType)
+      ) {
+        return res.status(400).json({ message: "Invalid entity type" });
+      }
+      query.entityType = entityType;
+    }
+
+    // Validate ID filters before querying
+    const idFilters = { entityId, inmate, actor };
+    for (const [key, value] of Object.entries(idFilters)) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${key}` });
+      }
+      query[key] = value;
+    }
+
+    if (field) query["changes.field"] = field;
+
+    // Filter by date range, rejecting dates that cannot be parsed
+    const dateFilters = { startDate, endDate };
+    for (const [key, value] of Object.entries(dateFilters)) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date)) {
+        return res.status(400).json({ message: `Invalid ${key}` });
+      }
+      query.createdAt = {
+        ...query.createdAt,
+        [key === "startDate" ? "$gte" : "$lte"]: date,
+      };
+    }
+
+    const totalEvents = await AuditEvent.countDocuments(query);
+    const events = await AuditEvent.find(query)
+      .populate("actor", "username")
+      .populate("inmate", "firstName lastName inmateID")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .lean();
+
+    res.status(200).json({
+      events,
+      totalEvents,
+      totalPages: Math.ceil(totalEvents / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    console.error("Error fetching audit events:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Verify the Audit Hash Chain
+ * ---------------------------
+ * - Recomputes every event hash and checks each link to the previous event.
+ * - Reports the first broken link, or the latest hash if the chain is intact.
+ *
+ * @route  GET /prisonsphere/audit/verify
+ * @access Private (audit:view)
+ */
+const verifyAuditTrail = async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Error verifying audit chain:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Export controller functions for use in routes
+module.exports = { getAuditEvents, verifyAuditTrail };
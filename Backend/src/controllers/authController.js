@@ -4,14 +4,20 @@
  * @module controllers/authController
  *
  * This module:
- * - Manages user login, logout, and session verification.
+ * - Manages user login, logout, token refresh, and session verification.
  * - Uses bcrypt.js for password hashing and verification.
  * - Implements JWT authentication with HTTP-only cookies.
  *
  * Authentication Features:
  * - **Secure Password Handling**: Uses bcrypt to compare hashed passwords.
- * - **JWT Tokens**: Generates authentication tokens valid for 1 hour.
+ * - **JWT Tokens**: Generates short-lived access tokens (15 minutes) bound to a server-side session.
+ * - **Refresh Tokens**: Rotated on every use; a replayed token revokes its session.
  * - **HTTP-only Cookies**: Stores JWT tokens securely to prevent client-side access.
+ * - **Permissions**: Login and refresh responses include the permissions granted to the user's role.
+ * - **Brute-force Protection**: Accounts lock after repeated failures and IP addresses are backed off.
+ * - **Security Log**: Every login success and failure is recorded.
+ * - **Two-Factor Authentication**: Accounts with TOTP enabled (or in a role that requires it)
+ *   receive a short-lived challenge token instead of session tokens until a code is verified.
  *
  * Security:
  * - Prevents unauthorized access by verifying user credentials.
@@ -20,15 +26,48 @@
  */
 
 const User = require("../models/User");
+const Session = require("../models/Session");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const {
+  hashToken,
+  startSession,
+  rotateSession,
+  clearAuthCookies,
+  signChallengeToken,
+  verifyChallengeToken,
+} = require("../../utils/sessionTokens");
+const {
+  getPermissionsForRole,
+  isTwoFactorRequired,
+} = require("../config/permissions");
+const {
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require("../../utils/totp");
+const {
+  logSecurityEvent,
+  getIpRetryAfter,
+  isAccountLocked,
+  registerFailedAttempt,
+  resetFailedAttempts,
+  getLockoutMinutesRemaining,
+} = require("../../utils/loginProtection");
+
+// A refresh token replayed within this window is treated as a concurrent
+// refresh from another tab rather than theft.
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
 
 /**
  * Login User
  * ----------
- * - Authenticates a user and issues a JWT token.
+ * - Authenticates a user and starts a new server-side session.
  * - Verifies credentials against the database.
- * - Stores the JWT in an HTTP-only cookie.
+ * - Refuses logins from IP addresses in backoff and from locked accounts.
+ * - Counts failed attempts and locks the account after the configured threshold.
+ * - Records the outcome in the security log.
+ * - Stores the access and refresh tokens in HTTP-only cookies.
  *
  * @route  POST /prisonsphere/auth/login
  * @access Public
@@ -40,29 +79,208 @@ const login_post = async (req, res) => {
   const { username, password } = req.body;
 
   try {
+    // Back off IP addresses with repeated failures
+    const retryAfter = await getIpRetryAfter(req.ip);
+    if (retryAfter > 0) {
+      await logSecurityEvent(req, "LOGIN_BLOCKED", {
+        username: String(username),
+        reason: "IP backoff",
+      });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+      });
+    }
+
     // Check if user exists
     const user = await User.findOne({ username });
-    if (!user) return res.status(401).json({ message: "Invalid credentials" });
+    if (!user) {
+      await logSecurityEvent(req, "LOGIN_FAILURE", {
+        username: String(username),
+        reason: "Unknown username",
+      });
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    // Refuse locked accounts without checking the password
+    if (isAccountLocked(user)) {
+      await logSecurityEvent(req, "LOGIN_BLOCKED", {
+        username,
+        user,
+        reason: "Account locked",
+      });
+      return res.status(423).json({
+        message: `This account is temporarily locked. Try again in ${getLockoutMinutesRemaining(
+          user.lockedUntil
+        )} minutes.`,
+      });
+    }
 
     // Verify password
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch)
+    if (!isMatch) {
+      const locked = await registerFailedAttempt(user);
+      await logSecurityEvent(req, "LOGIN_FAILURE", {
+        username,
+        user,
+        reason: "Invalid password",
+      });
+      if (locked) {
+        await logSecurityEvent(req, "ACCOUNT_LOCKED", {
+          username,
+          user,
+          reason: "Too many failed login attempts",
+        });
+      }
       return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    // Block deactivated accounts
+    if (!user.isActive) {
+      await logSecurityEvent(req, "LOGIN_FAILURE", {
+        username,
+        user,
+        reason: "Account deactivated",
+      });
+      return res
+        .status(403)
+        .json({ message: "This account has been deactivated" });
+    }
+
+    // Hold back the session until the second factor is verified
+    if (user.twoFactorEnabled || isTwoFactorRequired(user.role)) {
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        setupRequired: !user.twoFactorEnabled,
+        challengeToken: signChallengeToken(user),
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    res.status(500).json({ message: "Server error" });
+  }
+};
 
-    // Generate JWT Token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
-
-    // Set cookie with JWT
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: true,
-      sameSite: "Strict",
+/**
+ * Verify Two-Factor Code
+ * ----------------------
+ * - Second login step for accounts using two-factor authentication.
+ * - Accepts a TOTP code or a one-time recovery code (which is then used up).
+ * - For roles that require two-factor authentication, the first verified code
+ *   also confirms enrollment and returns the new recovery codes.
+ * - Invalid codes count towards the account lockout.
+ *
+ * @route  POST /prisonsphere/auth/2fa/verify
+ * @access Public (requires challenge token from the login step)
+ *
+ * @param {Object} req - Express request object containing challengeToken and code or recoveryCode.
+ * @param {Object} res - Express response object.
+ */
+const verify2fa_post = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  try {
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId)
+      return res
+        .status(401)
+        .json({ message: "Verification expired. Please sign in again." });
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive)
+      return res.status(401).json({ message: "Invalid credentials" });
+
+    if (isAccountLocked(user)) {
+      return res.status(423).json({
+        message: `This account is temporarily locked. Try again in ${getLockoutMinutesRemaining(
+          user.lockedUntil
+        )} minutes.`,
+      });
+    }
+
+    let verified = false;
+    let newRecoveryCodes = null;
+    let reason = null;
+
+    if (user.twoFactorEnabled && recoveryCode) {
+      // One-time recovery code
+      const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+      if (user.twoFactorRecoveryCodes.includes(codeHash)) {
+        user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(
+          (hash) => hash !== codeHash
+        );
+        verified = true;
+        reason = "Recovery code used";
+      }
+    } else if (user.twoFactorEnabled) {
+      const step = verifyTotp(
+        user.twoFactorSecret,
+        code,
+        user.twoFactorLastUsedStep
+      );
+      if (step !== null) {
+        user.twoFactorLastUsedStep = step;
+        verified = true;
+      }
+    } else if (isTwoFactorRequired(user.role)) {
+      // Required enrollment: confirm the secret from the setup step
+      if (!user.twoFactorPendingSecret)
+        return res
+          .status(400)
+          .json({ message: "Please set up two-factor authentication first." });
+
+      const step = verifyTotp(user.twoFactorPendingSecret, code);
+      if (step !== null) {
+        newRecoveryCodes = generateRecoveryCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = null;
+        user.twoFactorRecoveryCodes = newRecoveryCodes.map((recovery) =>
+          hashToken(normalizeRecoveryCode(recovery))
+        );
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorEnabledAt = new Date();
+        verified = true;
+      }
+    } else {
+      return res.status(400).json({
+        message: "Two-factor authentication is not enabled for this account.",
+      });
+    }
+
+    if (!verified) {
+      const locked = await registerFailedAttempt(user);
+      await logSecurityEvent(req, "LOGIN_FAILURE", {
+        username: user.username,
+        user,
+        reason: "Invalid two-factor code",
+      });
+      if (locked) {
+        await logSecurityEvent(req, "ACCOUNT_LOCKED", {
+          username: user.username,
+          user,
+          reason: "Too many failed login attempts",
+        });
+      }
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    await user.save();
+
+    if (newRecoveryCodes) {
+      await logSecurityEvent(req, "TWO_FACTOR_ENABLED", {
+        username: user.username,
+        user,
+        reason: "Enrolled at login",
+      });
+    }
+
+    await completeLogin(req, res, user, {
+      reason,
+      recoveryCodes: newRecoveryCodes,
     });
-    res.json({ message: "Login successful", token, role: user.role });
   } catch (error) {
     res.status(500).json({ message: "Server error" });
   }
@@ -86,16 +304,115 @@ const login_get = async (req, res) => {
     if (!token) return res.status(401).json({ message: "Not logged in" });
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    res.json({ message: "Authenticated", user: decoded });
+
+    // Ensure the session behind the token is still active
+    const session = decoded.sid && (await Session.findById(decoded.sid));
+    if (!session || !session.isActive())
+      return res.status(401).json({ message: "Invalid or expired session" });
+
+    res.json({
+      message: "Authenticated",
+      user: decoded,
+      permissions: getPermissionsForRole(decoded.role),
+    });
   } catch (error) {
     res.status(401).json({ message: "Invalid or expired session" });
   }
 };
 
+/**
+ * Refresh Access Token
+ * --------------------
+ * - Exchanges the refresh token cookie for a new access token.
+ * - Rotates the refresh token on every call.
+ * - Revokes the session if an already-rotated token is replayed.
+ *
+ * @route  POST /prisonsphere/auth/refresh
+ * @access Public (requires refresh token cookie)
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const refresh_post = async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refreshToken;
+    if (!refreshToken)
+      return res.status(401).json({ message: "No refresh token provided" });
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({
+      $or: [
+        { refreshTokenHash: tokenHash },
+        { previousRefreshTokenHash: tokenHash },
+      ],
+    });
+
+    if (!session || !session.isActive()) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session expired or revoked" });
+    }
+
+    // Replayed token: revoke the session unless it was a concurrent refresh
+    if (session.refreshTokenHash !== tokenHash) {
+      if (Date.now() - session.lastUsedAt.getTime() > REFRESH_REUSE_GRACE_MS) {
+        session.revokedAt = new Date();
+        session.revokedReason = "Refresh token reuse detected";
+        await session.save();
+        clearAuthCookies(res);
+      }
+      return res.status(401).json({ message: "Refresh token already used" });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session expired or revoked" });
+    }
+
+    const token = await rotateSession(res, session, user);
+
+    res.json({
+      message: "Token refreshed",
+      token,
+      role: user.role,
+      permissions: getPermissionsForRole(user.role),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Helper Function: Start a session once every login step has succeeded
+const completeLogin = async (
+  req,
+  res,
+  user,
+  { reason = null, recoveryCodes = null } = {}
+) => {
+  await resetFailedAttempts(user);
+
+  // Start a session and set the token cookies
+  const token = await startSession(req, res, user);
+
+  await logSecurityEvent(req, "LOGIN_SUCCESS", {
+    username: user.username,
+    user,
+    reason,
+  });
+
+  res.json({
+    message: "Login successful",
+    token,
+    role: user.role,
+    permissions: getPermissionsForRole(user.role),
+    ...(recoveryCodes && { recoveryCodes }),
+  });
+};
+
 /**
  * Logout User
  * -----------
- * - Logs out a user by clearing the JWT cookie.
+ * - Revokes the current session and clears the token cookies.
  *
  * @route  GET /prisonsphere/auth/logout
  * @access Private
@@ -104,8 +421,26 @@ const login_get = async (req, res) => {
  * @param {Object} res - Express response object.
  */
 const logout = async (req, res) => {
-  res.cookie("token", "", { expires: new Date(0) }); // Expire the JWT token
+  try {
+    const refreshToken = req.cookies.refreshToken;
+    if (refreshToken) {
+      await Session.updateOne(
+        { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "Logout" }
+      );
+    }
+  } catch (error) {
+    console.error("Error revoking session on logout:", error);
+  }
+
+  clearAuthCookies(res); // Expire the token cookies
   res.json({ message: "Logged out successfully" });
 };
 
-module.exports = { login_post, login_get, logout };
+module.exports = {
+  login_post,
+  verify2fa_post,
+  login_get,
+  refresh_post,
+  logout,
+};
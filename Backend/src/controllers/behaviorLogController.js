@@ -11,10 +11,12 @@
  * @requires mongoose - MongoDB ODM library.
  * @requires BehavioralLog - The Behavioral Log model.
  * @requires logRecentActivity - Function to log activities in the system.
+ * @requires recordAuditEvent - Records behavioral log changes in the audit trail.
  */
 
 const BehavioralLog = require("../models/BehaviorLog");
 const WorkProgramEnrollment = require("../models/WorkProgramEnrollment");
+const { recordAuditEvent } = require("../../utils/auditTrail");
 
 /**
  * Log or Update Inmate Behavior in a Work Program
@@ -90,12 +92,20 @@ const logBehavior = async (req, res) => {
 
     if (behavioralLog) {
       // Update existing log
+      const previousLog = behavioralLog.toObject();
       behavioralLog.workEthic = parsedWorkEthic;
       behavioralLog.cooperation = parsedCooperation;
       behavioralLog.incidentReports = parsedIncidentReports;
       behavioralLog.socialSkills = parsedSocialSkills;
 
       await behavioralLog.save();
+      await recordAuditEvent(req, {
+        action: "UPDATE",
+        entityType: "BehaviorLog",
+        before: previousLog,
+        after: behavioralLog,
+        inmate: behavioralLog.inmateId,
+      });
 
       return res
         .status(200)
@@ -113,6 +123,12 @@ const logBehavior = async (req, res) => {
     });
 
     await newBehaviorLog.save();
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "BehaviorLog",
+      after: newBehaviorLog,
+      inmate: newBehaviorLog.inmateId,
+    });
 
     res.status(201).json({ message: "Behavior logged successfully!" });
   } catch (error) {
@@ -0,0 +1,246 @@
+/**
+ * @file chargeController.js
+ * @description Manages the charges and offenses recorded against inmates in the PrisonSphere system.
+ * @module controllers/chargeController
+ *
+ * This module provides functionalities to:
+ * - Record a charge (statute code, offense category, severity class, offense date).
+ * - Retrieve the charges of an inmate.
+ * - Update or delete a charge.
+ *
+ * Every change is recorded in the audit trail against the charged inmate.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Charge - Charge model schema.
+ * @requires Inmate - Inmate model schema.
+ * @requires recordAuditEvent - Records charge changes in the audit trail.
+ * @requires offenses - Offense categories, severity classes and charge statuses.
+ */
+
+const mongoose = require("mongoose");
+const Charge = require("../models/Charge");
+const Inmate = require("../models/Inmate");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  OFFENSE_CATEGORIES,
+  SEVERITY_CLASSES,
+  CHARGE_STATUSES,
+} = require("../config/offenses");
+
+// Fields that can be set on a charge
+const CHARGE_FIELDS = [
+  "description",
+  "statuteCode",
+  "category",
+  "severity",
+  "offenseDate",
+  "status",
+  "convictionDate",
+];
+
+/**
+ * Validates the charge fields of a request body.
+ * - Missing dates are stored as null.
+ *
+ * @param {Object} body - Request body.
+ * @returns {Object} - `{ charge }` with the fields to save, or `{ error }`.
+ */
+const validateCharge = (body) => {
+  const charge = {};
+  CHARGE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) charge[field] = body[field];
+  });
+
+  if (!charge.description?.trim()) {
+    return { error: "Please describe the offense." };
+  }
+  if (!OFFENSE_CATEGORIES.includes(charge.category)) {
+    return { error: "Please select a valid offense category." };
+  }
+  if (!SEVERITY_CLASSES.includes(charge.severity)) {
+    return { error: "Please select a valid severity class." };
+  }
+  if (charge.status && !CHARGE_STATUSES.includes(charge.status)) {
+    return { error: "Invalid charge status provided" };
+  }
+
+  for (const field of ["offenseDate", "convictionDate"]) {
+    if (!charge[field]) {
+      charge[field] = null;
+    } else if (isNaN(new Date(charge[field]))) {
+      return {
+        error: `Please enter a valid ${field.replace("Date", "")} date.`,
+      };
+    } else {
+      charge[field] = new Date(charge[field]);
+    }
+  }
+  if (charge.offenseDate && charge.offenseDate > new Date()) {
+    return { error: "The offense date cannot be in the future." };
+  }
+  if (
+    charge.offenseDate &&
+    charge.convictionDate &&
+    charge.convictionDate < charge.offenseDate
+  ) {
+    return { error: "The conviction date cannot be before the offense date." };
+  }
+
+  return { charge };
+};
+
+/**
+ * Record a Charge
+ * ---------------
+ * - Adds a charge to an inmate's record.
+ * - The signed-in user is recorded as having entered the charge.
+ *
+ * @route  POST /prisonsphere/charges
+ * @access Private (inmates:update)
+ */
+const addCharge = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.body.inmate)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const { charge, error } = validateCharge(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const inmate = await Inmate.findById(req.body.inmate).select("_id");
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    const newCharge = await Charge.create({
+      ...charge,
+      inmate: inmate._id,
+      recordedBy: req.user?.id || null,
+    });
+
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Charge",
+      after: newCharge,
+      inmate: inmate._id,
+    });
+
+    res
+      .status(201)
+      .json({ message: "Charge recorded successfully", charge: newCharge });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Charges for an Inmate
+ * -------------------------
+ * - Retrieves an inmate's charges, most recent offense first.
+ *
+ * @route  GET /prisonsphere/charges/inmate/:inmateId
+ * @access Private (inmates:view)
+ */
+const getChargesByInmate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const charges = await Charge.find({ inmate: req.params.inmateId })
+      .sort({ offenseDate: -1, createdAt: -1 })
+      .lean();
+
+    res.status(200).json(charges);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a Charge
+ * ---------------
+ * - Updates the details or outcome of a charge.
+ *
+ * @route  PUT /prisonsphere/charges/:id
+ * @access Private (inmates:update)
+ */
+const updateCharge = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid charge ID format" });
+    }
+
+    const existingCharge = await Charge.findById(req.params.id);
+    if (!existingCharge) {
+      return res.status(404).json({ message: "Charge not found" });
+    }
+
+    const { charge, error } = validateCharge({
+      ...existingCharge.toObject(),
+      ...req.body,
+    });
+    if (error) return res.status(400).json({ message: error });
+
+    const previousCharge = existingCharge.toObject();
+    existingCharge.set(charge);
+    await existingCharge.save();
+
+    await recordAuditEvent(req, {
+      action:
+        existingCharge.status !== previousCharge.status
+          ? "STATUS_CHANGE"
+          : "UPDATE",
+      entityType: "Charge",
+      before: previousCharge,
+      after: existingCharge,
+      inmate: existingCharge.inmate,
+    });
+
+    res
+      .status(200)
+      .json({ message: "Charge updated successfully", charge: existingCharge });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Delete a Charge
+ * ---------------
+ * - Removes a charge entered in error. The audit trail keeps its last values.
+ *
+ * @route  DELETE /prisonsphere/charges/:id
+ * @access Private (inmates:update)
+ */
+const deleteCharge = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid charge ID format" });
+    }
+
+    const charge = await Charge.findByIdAndDelete(req.params.id);
+    if (!charge) {
+      return res.status(404).json({ message: "Charge not found" });
+    }
+
+    await recordAuditEvent(req, {
+      action: "DELETE",
+      entityType: "Charge",
+      before: charge,
+      after: null,
+      inmate: charge.inmate,
+    });
+
+    res.status(200).json({ message: "Charge deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  addCharge,
+  getChargesByInmate,
+  updateCharge,
+  deleteCharge,
+};
@@ -0,0 +1,238 @@
+/**
+ * @file classificationController.js
+ * @description Manages inmate custody classification and periodic reclassification in the PrisonSphere system.
+ * @module controllers/classificationController
+ *
+ * This module provides functionalities to:
+ * - Retrieve an inmate's custody level, suggested level and classification history.
+ * - Classify or reclassify an inmate (Minimum, Medium, Maximum custody).
+ * - List incarcerated inmates who are due for a periodic review.
+ *
+ * Classification Rules:
+ * - A level is suggested from offense severity, recent incidents and time served.
+ * - Assigning a level other than the suggested one requires an override reason.
+ * - Each decision schedules the next periodic review.
+ * - Reclassification does not move the inmate; placements that no longer match
+ *   the new level are returned as warnings so they can be reviewed.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Inmate - Inmate model schema.
+ * @requires Cell - Cell model schema.
+ * @requires Classification - Classification model schema.
+ * @requires WorkProgramEnrollment - Work program enrollment model schema.
+ * @requires logRecentActivity - Logs classification decisions.
+ * @requires recordAuditEvent - Records classification decisions in the audit trail.
+ * @requires classification - Suggests custody levels and checks placements.
+ * @requires SECURITY_LEVELS - Custody security levels.
+ */
+
+const mongoose = require("mongoose");
+const Inmate = require("../models/Inmate");
+const Cell = require("../models/Cell");
+const Classification = require("../models/Classification");
+const WorkProgramEnrollment = require("../models/WorkProgramEnrollment");
+const { logRecentActivity } = require("./recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  suggestCustodyLevel,
+  getNextReviewDate,
+  isReviewDue,
+  getPlacementError,
+} = require("../../utils/classification");
+const { SECURITY_LEVELS } = require("../config/securityLevels");
+
+/**
+ * Lists the inmate's current placements that do not accept a custody level.
+ *
+ * @async
+ * @param {Object} inmate - Inmate document.
+ * @param {String} custodyLevel - The custody level to check.
+ * @returns {Promise<Array<String>>} - Warning messages (empty if all placements match).
+ */
+const getPlacementWarnings = async (inmate, custodyLevel) => {
+  const warnings = [];
+
+  if (inmate.cell) {
+    const cell = await Cell.findById(inmate.cell).select("securityLevel");
+    const error = getPlacementError(
+      custodyLevel,
+      cell?.securityLevel,
+      `cell ${inmate.assignedCell}`
+    );
+    if (error) warnings.push(error);
+  }
+
+  const enrollment = await WorkProgramEnrollment.findOne({
+    inmateId: inmate._id,
+    status: "Active",
+  }).populate("workProgramId", "name maxCustodyLevel");
+  if (enrollment?.workProgramId) {
+    const error = getPlacementError(
+      custodyLevel,
+      enrollment.workProgramId.maxCustodyLevel,
+      enrollment.workProgramId.name
+    );
+    if (error) warnings.push(error);
+  }
+
+  return warnings;
+};
+
+/**
+ * Get an Inmate's Classification
+ * ------------------------------
+ * - Returns the current custody level, the next review date and whether a review is due.
+ * - Returns the level suggested from the inmate's current risk factors.
+ * - Returns the classification history, most recent first.
+ *
+ * @route  GET /prisonsphere/classifications/inmate/:inmateId
+ * @access Private (inmates:view)
+ */
+const getClassification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const inmate = await Inmate.findById(req.params.inmateId);
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    const suggestion = await suggestCustodyLevel(inmate);
+    const history = await Classification.find({ inmate: inmate._id })
+      .populate("classifiedBy", "username")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      custodyLevel: inmate.custodyLevel,
+      nextReviewDate: inmate.nextClassificationReview,
+      reviewDue: isReviewDue(inmate),
+      suggestion,
+      history,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Classify an Inmate
+ * ------------------
+ * - Records a classification decision and stores the level on the inmate.
+ * - Requires an override reason when the level differs from the suggestion.
+ * - Schedules the next periodic review.
+ * - The signed-in user is recorded as having made the decision.
+ * - Logs the activity as "INMATE_CLASSIFIED".
+ *
+ * @route  POST /prisonsphere/classifications/inmate/:inmateId
+ * @access Private (inmates:update)
+ */
+const classifyInmate = async (req, res) => {
+  try {
+    const { level, overrideReason, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    if (!SECURITY_LEVELS.includes(level)) {
+      return res
+        .status(400)
+        .json({ message: "Please select a valid custody level." });
+    }
+
+    const inmate = await Inmate.findById(req.params.inmateId);
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    if (inmate.status !== "Incarcerated") {
+      return res
+        .status(400)
+        .json({ message: "Only incarcerated inmates can be classified." });
+    }
+
+    const suggestion = await suggestCustodyLevel(inmate);
+    if (level !== suggestion.level && !overrideReason?.trim()) {
+      return res.status(400).json({
+        message: `The suggested level is ${suggestion.level}. Please give a reason for overriding it.`,
+      });
+    }
+
+    const classification = await Classification.create({
+      inmate: inmate._id,
+      level,
+      previousLevel: inmate.custodyLevel || null,
+      suggestedLevel: suggestion.level,
+      score: suggestion.score,
+      factors: suggestion.factors,
+      overrideReason: level !== suggestion.level ? overrideReason.trim() : "",
+      notes: notes?.trim() || "",
+      classifiedBy: req.user?.id || null,
+      nextReviewDate: getNextReviewDate(),
+    });
+
+    inmate.custodyLevel = level;
+    inmate.nextClassificationReview = classification.nextReviewDate;
+    await inmate.save();
+
+    await logRecentActivity("INMATE_CLASSIFIED");
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Classification",
+      after: classification,
+      inmate: inmate._id,
+    });
+
+    res.status(201).json({
+      message: "Inmate classified successfully",
+      classification,
+      warnings: await getPlacementWarnings(inmate, level),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Inmates Due for Review
+ * --------------------------
+ * - Lists incarcerated inmates whose review falls within the next `days` days
+ *   (default 30), including overdue reviews and inmates never classified.
+ *
+ * @route  GET /prisonsphere/classifications/reviews-due
+ * @access Private (inmates:view)
+ */
+const getReviewsDue = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const until = new Date();
+    until.setDate(until.getDate() + days);
+
+    const inmates = await Inmate.find({
+      status: "Incarcerated",
+      $or: [
+        { custodyLevel: null },
+        { nextClassificationReview: null },
+        { nextClassificationReview: { $lte: until } },
+      ],
+    })
+      .select(
+        "firstName lastName inmateID assignedCell custodyLevel nextClassificationReview"
+      )
+      .sort({ nextClassificationReview: 1 })
+      .lean();
+
+    res.status(200).json({
+      days,
+      inmates: inmates.map((inmate) => ({
+        ...inmate,
+        overdue: isReviewDue(inmate),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = { getClassification, classifyInmate, getReviewsDue };
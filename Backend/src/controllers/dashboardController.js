@@ -6,6 +6,7 @@
  * This module:
  * - Provides prison-wide statistics for the dashboard.
  * - Fetches inmate distribution and trends over time.
+ * - Lists inmates due for release in the coming days.
  * - Uses MongoDB aggregation for optimized data retrieval.
  *
  * @requires mongoose - MongoDB ODM library.
@@ -111,4 +112,47 @@ const getDashboardAnalytics = async (req, res) => {
   }
 };
 
-module.exports = { getDashboardStats, getDashboardAnalytics };
+/**
+ * Get Upcoming Releases
+ * ---------------------
+ * - Lists incarcerated inmates whose projected release date falls within the
+ *   next `days` days (default: 30), soonest first.
+ *
+ * @route  GET /prisonsphere/dashboard/upcoming-releases
+ * @access Private (dashboard:view)
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the inmates due for release.
+ */
+const getUpcomingReleases = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const until = new Date(today);
+    until.setDate(until.getDate() + days);
+
+    const releases = await Inmate.find({
+      status: "Incarcerated",
+      projectedReleaseDate: { $gte: today, $lte: until },
+    })
+      .select("firstName lastName inmateID assignedCell projectedReleaseDate")
+      .sort({ projectedReleaseDate: 1 })
+      .lean();
+
+    res.status(200).json({ days, releases });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching upcoming releases",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getDashboardStats,
+  getDashboardAnalytics,
+  getUpcomingReleases,
+};
@@ -0,0 +1,507 @@
+/**
+ * @file grievanceController.js
+ * @description Manages grievances filed by inmates and the responses to them in the PrisonSphere system.
+ * @module controllers/grievanceController
+ *
+ * This module provides functionalities to:
+ * - File a grievance on behalf of an inmate and assign a staff member to respond.
+ * - List grievances with filters (status, category, assignee, overdue) and pagination.
+ * - List open grievances past their response deadline (dashboard alerts).
+ * - Record responses, move a grievance under review or resolve it.
+ * - Lodge an appeal against a resolved grievance.
+ * - Reassign a grievance to another responder.
+ *
+ * Statuses move Filed → Under Review → Resolved → Appealed → Resolved; every move and
+ * response is kept in the grievance's history and recorded in the audit trail.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Grievance - Grievance model schema.
+ * @requires Inmate - Inmate model schema.
+ * @requires User - User model schema.
+ * @requires logRecentActivity - Logs filed and resolved grievances.
+ * @requires recordAuditEvent - Records grievance changes in the audit trail.
+ * @requires grievances - Deadlines, transitions and the overdue query.
+ * @requires permissions - Finds the staff who may respond to grievances.
+ */
+
+const mongoose = require("mongoose");
+const Grievance = require("../models/Grievance");
+const Inmate = require("../models/Inmate");
+const User = require("../models/User");
+const { logRecentActivity } = require("./recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  getGrievanceDueDate,
+  canTransition,
+  getOverdueGrievanceFilter,
+  isGrievanceOverdue,
+} = require("../../utils/grievances");
+const { GRIEVANCE_CATEGORIES } = require("../config/grievances");
+const { PERMISSIONS, ROLES, hasPermission } = require("../config/permissions");
+
+// Fields of the inmate and responder shown with a grievance
+const INMATE_FIELDS = "firstName lastName inmateID";
+const RESPONDER_FIELDS = "username role";
+
+/**
+ * Returns the roles allowed to respond to grievances.
+ *
+ * @returns {Array<String>} - Roles granting "grievances:respond".
+ */
+const getResponderRoles = () =>
+  Object.values(ROLES).filter((role) =>
+    hasPermission(role, PERMISSIONS.GRIEVANCES_RESPOND)
+  );
+
+/**
+ * Checks that a user can be assigned to respond to grievances.
+ *
+ * @async
+ * @param {String} userId - The user's ID.
+ * @returns {Promise<String|null>} - Error message, or null if the user can respond.
+ */
+const getResponderError = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return "Invalid responder ID format";
+  }
+  const user = await User.findById(userId).select("role isActive");
+  if (!user || !user.isActive) {
+    return "⚠ The selected responder was not found or is inactive.";
+  }
+  if (!getResponderRoles().includes(user.role)) {
+    return "⚠ The selected staff member cannot respond to grievances.";
+  }
+  return null;
+};
+
+/**
+ * File a Grievance
+ * ----------------
+ * - Records a grievance for the inmate with the given inmate ID; the response is
+ *   due `GRIEVANCE_RESPONSE_DAYS` later.
+ * - Optionally assigns a staff member to respond.
+ * - Logs the activity as "GRIEVANCE_FILED".
+ *
+ * @route  POST /prisonsphere/grievances
+ * @access Private (grievances:file)
+ */
+const fileGrievance = async (req, res) => {
+  try {
+    const { inmateID, category, statement, assignedTo } = req.body;
+
+    if (!inmateID?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter the inmate's ID." });
+    }
+    if (!GRIEVANCE_CATEGORIES.includes(category)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid category." });
+    }
+    if (!statement?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter the inmate's statement." });
+    }
+    if (assignedTo) {
+      const error = await getResponderError(assignedTo);
+      if (error) return res.status(400).json({ message: error });
+    }
+
+    const inmate = await Inmate.findOne({ inmateID: inmateID.trim() }).select(
+      "_id"
+    );
+    if (!inmate) {
+      return res
+        .status(404)
+        .json({ message: `⚠ No inmate found with ID ${inmateID.trim()}.` });
+    }
+
+    const filedAt = new Date();
+    const grievance = await Grievance.create({
+      inmate: inmate._id,
+      category,
+      statement: statement.trim(),
+      assignedTo: assignedTo || null,
+      filedAt,
+      dueDate: getGrievanceDueDate("Filed", filedAt),
+      filedBy: req.user?.id || null,
+      history: [
+        {
+          status: "Filed",
+          respondedBy: req.user?.id || null,
+          respondedAt: filedAt,
+        },
+      ],
+    });
+
+    await logRecentActivity("GRIEVANCE_FILED");
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Grievance",
+      after: grievance,
+      inmate: inmate._id,
+    });
+
+    res
+      .status(201)
+      .json({ message: "Grievance filed successfully", grievance });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get All Grievances
+ * ------------------
+ * - Retrieves grievances, oldest deadline first, with pagination.
+ * - Filters by status, category, assignee (`assignedTo=me` for the signed-in user),
+ *   overdue grievances only, and inmate ID or name.
+ *
+ * @route  GET /prisonsphere/grievances
+ * @access Private (grievances:view)
+ */
+const getGrievances = async (req, res) => {
+  try {
+    const {
+      search,
+      status,
+      category,
+      assignedTo,
+      overdue,
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    const query = overdue === "true" ? getOverdueGrievanceFilter() : {};
+    // Overdue grievances are already limited to open statuses
+    if (status) {
+      query.status =
+        overdue === "true" ? { ...query.status, $eq: status } : status;
+    }
+    if (category) query.category = category;
+    if (assignedTo === "me") {
+      query.assignedTo = req.user?.id;
+    } else if (mongoose.Types.ObjectId.isValid(assignedTo)) {
+      query.assignedTo = assignedTo;
+    }
+
+    // Search by inmate ID or name
+    if (search) {
+      const inmates = await Inmate.find({
+        $or: [
+          { inmateID: { $regex: search, $options: "i" } },
+          { firstName: { $regex: search, $options: "i" } },
+          { lastName: { $regex: search, $options: "i" } },
+        ],
+      }).select("_id");
+      if (inmates.length === 0) {
+        return res
+          .status(200)
+          .json({ grievances: [], totalGrievances: 0, totalPages: 0 });
+      }
+      query.inmate = { $in: inmates.map((inmate) => inmate._id) };
+    }
+
+    const totalGrievances = await Grievance.countDocuments(query);
+    const grievances = await Grievance.find(query)
+      .select("-history")
+      .populate("inmate", INMATE_FIELDS)
+      .populate("assignedTo", RESPONDER_FIELDS)
+      .sort({ dueDate: 1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .lean();
+
+    res.status(200).json({
+      grievances: grievances.map((grievance) => ({
+        ...grievance,
+        overdue: isGrievanceOverdue(grievance),
+      })),
+      totalGrievances,
+      totalPages: Math.ceil(totalGrievances / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Overdue Grievances
+ * ----------------------
+ * - Lists open grievances past their response deadline, most overdue first.
+ *
+ * @route  GET /prisonsphere/grievances/overdue
+ * @access Private (grievances:view)
+ */
+const getOverdueGrievances = async (req, res) => {
+  try {
+    const grievances = await Grievance.find(getOverdueGrievanceFilter())
+      .select("inmate category status assignedTo dueDate")
+      .populate("inmate", INMATE_FIELDS)
+      .populate("assignedTo", RESPONDER_FIELDS)
+      .sort({ dueDate: 1 })
+      .lean();
+
+    res.status(200).json(grievances);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Grievance Responders
+ * ------------------------
+ * - Lists the active staff who may be assigned to respond to grievances.
+ *
+ * @route  GET /prisonsphere/grievances/responders
+ * @access Private (grievances:view)
+ */
+const getResponders = async (req, res) => {
+  try {
+    const responders = await User.find({
+      isActive: true,
+      role: { $in: getResponderRoles() },
+    })
+      .select(RESPONDER_FIELDS)
+      .sort({ username: 1 })
+      .lean();
+
+    res.status(200).json(responders);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get a Grievance by ID
+ * ---------------------
+ * - Retrieves a grievance with its full response history.
+ *
+ * @route  GET /prisonsphere/grievances/:id
+ * @access Private (grievances:view)
+ */
+const getGrievanceById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid grievance ID format" });
+    }
+
+    const grievance = await Grievance.findById(req.params.id)
+      .populate("inmate", INMATE_FIELDS)
+      .populate("assignedTo", RESPONDER_FIELDS)
+      .populate("filedBy history.respondedBy", "username")
+      .lean();
+    if (!grievance) {
+      return res.status(404).json({ message: "Grievance not found" });
+    }
+
+    res
+      .status(200)
+      .json({ ...grievance, overdue: isGrievanceOverdue(grievance) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Applies a history entry to a grievance, moving it to a new status if one is given.
+ *
+ * @param {Object} grievance - Grievance document.
+ * @param {Object} entry - `{ status, response }`; `status` defaults to the current status.
+ * @param {String} userId - The signed-in user recording the entry.
+ */
+const addHistoryEntry = (grievance, { status, response }, userId) => {
+  const respondedAt = new Date();
+  const fromStatus = grievance.status;
+  const nextStatus = status || fromStatus;
+
+  if (nextStatus === "Resolved" && fromStatus !== "Resolved") {
+    grievance.resolvedAt = respondedAt;
+  }
+  if (nextStatus === "Appealed") {
+    grievance.dueDate = getGrievanceDueDate("Appealed", respondedAt);
+  }
+  grievance.status = nextStatus;
+  grievance.history.push({
+    status: nextStatus,
+    fromStatus,
+    response: response.trim(),
+    respondedBy: userId || null,
+    respondedAt,
+  });
+};
+
+/**
+ * Respond to a Grievance
+ * ----------------------
+ * - Records a staff response, optionally moving the grievance under review or
+ *   resolving it.
+ * - Logs the activity as "GRIEVANCE_RESOLVED" when the grievance is resolved.
+ *
+ * @route  POST /prisonsphere/grievances/:id/responses
+ * @access Private (grievances:respond)
+ */
+const respondToGrievance = async (req, res) => {
+  try {
+    const { status, response } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid grievance ID format" });
+    }
+    if (!response?.trim()) {
+      return res.status(400).json({ message: "⚠ Please enter a response." });
+    }
+    if (status && !["Under Review", "Resolved"].includes(status)) {
+      return res.status(400).json({
+        message:
+          "⚠ A response can only move a grievance under review or resolve it.",
+      });
+    }
+
+    const grievance = await Grievance.findById(req.params.id);
+    if (!grievance) {
+      return res.status(404).json({ message: "Grievance not found" });
+    }
+    if (status && status !== grievance.status) {
+      if (!canTransition(grievance.status, status)) {
+        return res.status(400).json({
+          message: `⚠ A grievance that is ${grievance.status.toLowerCase()} cannot be moved to ${status.toLowerCase()}.`,
+        });
+      }
+    } else if (grievance.status === "Resolved") {
+      return res.status(400).json({
+        message: "⚠ This grievance is resolved. Lodge an appeal to reopen it.",
+      });
+    }
+
+    const previousGrievance = grievance.toObject();
+    addHistoryEntry(grievance, { status, response }, req.user?.id);
+    await grievance.save();
+
+    if (grievance.status === "Resolved") {
+      await logRecentActivity("GRIEVANCE_RESOLVED");
+    }
+    await recordAuditEvent(req, {
+      action:
+        grievance.status !== previousGrievance.status
+          ? "STATUS_CHANGE"
+          : "UPDATE",
+      entityType: "Grievance",
+      before: previousGrievance,
+      after: grievance,
+      inmate: grievance.inmate,
+    });
+
+    res
+      .status(200)
+      .json({ message: "Response recorded successfully", grievance });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Appeal a Grievance
+ * ------------------
+ * - Reopens a resolved grievance on the inmate's appeal; the decision is due
+ *   `GRIEVANCE_APPEAL_DAYS` later.
+ *
+ * @route  POST /prisonsphere/grievances/:id/appeal
+ * @access Private (grievances:file)
+ */
+const appealGrievance = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid grievance ID format" });
+    }
+    if (!req.body.reason?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter the grounds for the appeal." });
+    }
+
+    const grievance = await Grievance.findById(req.params.id);
+    if (!grievance) {
+      return res.status(404).json({ message: "Grievance not found" });
+    }
+    if (!canTransition(grievance.status, "Appealed")) {
+      return res.status(400).json({
+        message: "⚠ Only resolved grievances can be appealed.",
+      });
+    }
+
+    const previousGrievance = grievance.toObject();
+    addHistoryEntry(
+      grievance,
+      { status: "Appealed", response: req.body.reason },
+      req.user?.id
+    );
+    await grievance.save();
+
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType: "Grievance",
+      before: previousGrievance,
+      after: grievance,
+      inmate: grievance.inmate,
+    });
+
+    res.status(200).json({ message: "Appeal lodged successfully", grievance });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Assign a Grievance
+ * ------------------
+ * - Assigns (or reassigns) the staff member responsible for responding.
+ *
+ * @route  PUT /prisonsphere/grievances/:id/assign
+ * @access Private (grievances:respond)
+ */
+const assignGrievance = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid grievance ID format" });
+    }
+    const error = await getResponderError(req.body.assignedTo);
+    if (error) return res.status(400).json({ message: error });
+
+    const grievance = await Grievance.findById(req.params.id);
+    if (!grievance) {
+      return res.status(404).json({ message: "Grievance not found" });
+    }
+
+    const previousGrievance = grievance.toObject();
+    grievance.assignedTo = req.body.assignedTo;
+    await grievance.save();
+
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "Grievance",
+      before: previousGrievance,
+      after: grievance,
+      inmate: grievance.inmate,
+    });
+
+    res
+      .status(200)
+      .json({ message: "Grievance assigned successfully", grievance });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  fileGrievance,
+  getGrievances,
+  getOverdueGrievances,
+  getResponders,
+  getGrievanceById,
+  respondToGrievance,
+  appealGrievance,
+  assignGrievance,
+};
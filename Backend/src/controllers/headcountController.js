@@ -0,0 +1,529 @@
+/**
+ * @file headcountController.js
+ * @description Manages block headcounts (roll calls) in the PrisonSphere system.
+ * @module controllers/headcountController
+ *
+ * This module provides functionalities to:
+ * - Start a count of a block from its current housing assignments.
+ * - Mark each inmate present, absent, out to court or in medical.
+ * - Flag the count as soon as an inmate is marked absent.
+ * - Complete a count once every inmate has been marked.
+ * - List the count history and print a count sheet as a PDF.
+ *
+ * Completed counts are kept unchanged as history (see `models/Headcount.js`);
+ * starting and completing a count, corrected marks and discrepancies are also
+ * recorded in the audit trail.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Headcount - Headcount model schema.
+ * @requires Block - Block model schema.
+ * @requires headcounts - Builds count sheets and tallies counts.
+ * @requires recordAuditEvent - Records counts, corrected marks and discrepancies in the audit trail.
+ * @requires logRecentActivity - Reports discrepancies and completed counts on the dashboard.
+ * @requires pdfPrinter - Renders the count sheet.
+ * @requires config/headcounts - Count types and statuses.
+ */
+
+const mongoose = require("mongoose");
+const Headcount = require("../models/Headcount");
+const Block = require("../models/Block");
+const {
+  buildCountSheet,
+  tallyCount,
+  summarizeCount,
+  summarizeMark,
+} = require("../../utils/headcounts");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { logRecentActivity } = require("./recentActivityLogController");
+const { backgroundLogo, sendPdf } = require("../../utils/pdfPrinter");
+const {
+  COUNT_TYPES,
+  COUNT_STATUSES,
+  DISCREPANCY_STATUSES,
+} = require("../config/headcounts");
+
+// Whether any saved entry is a discrepancy, worked out by MongoDB in an update pipeline
+const HAS_DISCREPANCY = {
+  $anyElementTrue: [
+    {
+      $map: {
+        input: "$entries",
+        in: { $in: ["$$this.status", DISCREPANCY_STATUSES] },
+      },
+    },
+  ],
+};
+
+/**
+ * Returns a count with its tally, for the API responses.
+ *
+ * @param {Object} headcount - Headcount document.
+ * @returns {Object} - The count as a plain object with its `tally`.
+ */
+const withTally = (headcount) => ({
+  ...headcount.toObject(),
+  tally: tallyCount(headcount.entries),
+});
+
+/**
+ * Get Headcounts
+ * --------------
+ * - Lists counts, newest first, with pagination and their tallies (without entries).
+ * - Filters by block, status, and `discrepancy=true` for counts with absent inmates.
+ *
+ * @route  GET /prisonsphere/headcounts
+ * @access Private (headcounts:view)
+ */
+const getHeadcounts = async (req, res) => {
+  try {
+    const { block, status, discrepancy, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (block) {
+      if (!mongoose.Types.ObjectId.isValid(block)) {
+        return res.status(400).json({ message: "Invalid block ID format" });
+      }
+      query.block = block;
+    }
+    if (status) query.status = status;
+    if (discrepancy === "true") query.discrepancy = true;
+
+    const totalHeadcounts = await Headcount.countDocuments(query);
+    const headcounts = await Headcount.find(query)
+      .select("-entries.note -entries.markedBy -entries.markedAt")
+      .populate("startedBy", "username")
+      .populate("completedBy", "username")
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .lean();
+
+    res.status(200).json({
+      headcounts: headcounts.map(({ entries, ...headcount }) => ({
+        ...headcount,
+        tally: tallyCount(entries),
+      })),
+      totalHeadcounts,
+      totalPages: Math.ceil(totalHeadcounts / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get a Headcount
+ * ---------------
+ * - Retrieves a count with its count sheet and tally.
+ *
+ * @route  GET /prisonsphere/headcounts/:id
+ * @access Private (headcounts:view)
+ */
+const getHeadcountById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid headcount ID format" });
+    }
+
+    const headcount = await Headcount.findById(id)
+      .populate("startedBy", "username")
+      .populate("completedBy", "username")
+      .populate("entries.markedBy", "username");
+    if (!headcount) {
+      return res.status(404).json({ message: "Headcount not found" });
+    }
+
+    res.status(200).json(withTally(headcount));
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Start a Headcount
+ * -----------------
+ * - Builds the count sheet from the inmates currently housed in the block.
+ * - Only one count can be in progress per block.
+ *
+ * @route  POST /prisonsphere/headcounts
+ * @access Private (headcounts:conduct)
+ */
+const startHeadcount = async (req, res) => {
+  try {
+    const { blockId, countType } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(blockId)) {
+      return res.status(400).json({ message: "⚠ Please select a block." });
+    }
+    if (!COUNT_TYPES.includes(countType)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid count type." });
+    }
+
+    const block = await Block.findById(blockId).select("code name isActive");
+    if (!block) {
+      return res.status(404).json({ message: "Block not found" });
+    }
+    if (!block.isActive) {
+      return res
+        .status(400)
+        .json({ message: "⚠ This block is no longer in use." });
+    }
+
+    const entries = await buildCountSheet(block._id);
+    if (entries.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "⚠ No inmates are housed in this block." });
+    }
+
+    const headcount = await Headcount.create({
+      block: block._id,
+      blockName: `${block.code} - ${block.name}`,
+      countType,
+      entries,
+      startedBy: req.user?.id || null,
+    });
+
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Headcount",
+      after: summarizeCount(headcount),
+    });
+
+    res.status(201).json({
+      message: "Headcount started successfully",
+      headcount: withTally(headcount),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: "⚠ A count is already in progress for this block.",
+      });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Mark an Inmate
+ * --------------
+ * - Records how an inmate on the count sheet was found; marks can be corrected
+ *   until the count is completed.
+ * - Marking an inmate absent flags the count and reports the discrepancy at once.
+ * - Each mark is set in place and the flag worked out from the saved marks, so
+ *   officers marking different inmates at once do not undo each other's marks.
+ * - Records corrected marks and absences in the audit trail, so the history of
+ *   each mark survives the correction.
+ *
+ * @route  PUT /prisonsphere/headcounts/:id/entries/:entryId
+ * @access Private (headcounts:conduct)
+ */
+const markEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const { status, note } = req.body;
+    if (
+      !mongoose.Types.ObjectId.isValid(id) ||
+      !mongoose.Types.ObjectId.isValid(entryId)
+    ) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+    if (!COUNT_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid count status." });
+    }
+    if (DISCREPANCY_STATUSES.includes(status) && !note?.trim()) {
+      return res.status(400).json({
+        message: "⚠ Please note where the inmate was last seen.",
+      });
+    }
+
+    // Set the mark in place; the count as it was is returned for the audit trail
+    const previous = await Headcount.findOneAndUpdate(
+      { _id: id, status: "In Progress", "entries._id": entryId },
+      {
+        $set: {
+          "entries.$.status": status,
+          "entries.$.note": note?.trim() || "",
+          "entries.$.markedBy": req.user?.id || null,
+          "entries.$.markedAt": new Date(),
+        },
+      }
+    );
+    if (!previous) {
+      const headcount = await Headcount.findById(id).select(
+        "status entries._id"
+      );
+      if (!headcount?.entries.id(entryId)) {
+        return res.status(404).json({ message: "Headcount entry not found" });
+      }
+      return res
+        .status(400)
+        .json({ message: "⚠ This count has already been completed." });
+    }
+
+    // Flag the count from the saved marks, including those made meanwhile
+    const headcount = await Headcount.findOneAndUpdate(
+      { _id: id, status: "In Progress" },
+      [{ $set: { discrepancy: HAS_DISCREPANCY } }],
+      { new: true }
+    );
+    const entry = headcount.entries.id(entryId);
+    const previousEntry = previous.entries.id(entryId);
+
+    const newDiscrepancy =
+      DISCREPANCY_STATUSES.includes(status) &&
+      !DISCREPANCY_STATUSES.includes(previousEntry.status);
+    if (previousEntry.status || DISCREPANCY_STATUSES.includes(status)) {
+      await recordAuditEvent(req, {
+        action: "UPDATE",
+        entityType: "Headcount",
+        before: previousEntry.status
+          ? summarizeMark(previous, previousEntry)
+          : null,
+        after: summarizeMark(headcount, entry),
+        inmate: entry.inmate,
+      });
+    }
+    if (newDiscrepancy) await logRecentActivity("COUNT_DISCREPANCY");
+
+    res.status(200).json({
+      message: newDiscrepancy
+        ? `⚠ Discrepancy: ${entry.name} (${entry.inmateID}) is not accounted for.`
+        : "Inmate marked successfully",
+      discrepancy: DISCREPANCY_STATUSES.includes(status),
+      entry,
+      tally: tallyCount(headcount.entries),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Complete a Headcount
+ * --------------------
+ * - Every inmate on the count sheet must be marked first.
+ * - Sets the discrepancy flag from the final marks.
+ * - The completed count can no longer be changed.
+ *
+ * @route  POST /prisonsphere/headcounts/:id/complete
+ * @access Private (headcounts:conduct)
+ */
+const completeHeadcount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid headcount ID format" });
+    }
+
+    const headcount = await Headcount.findById(id);
+    if (!headcount) {
+      return res.status(404).json({ message: "Headcount not found" });
+    }
+    if (headcount.status === "Completed") {
+      return res
+        .status(400)
+        .json({ message: "⚠ This count has already been completed." });
+    }
+
+    const tally = tallyCount(headcount.entries);
+    if (tally.unmarked > 0) {
+      return res.status(400).json({
+        message: `⚠ ${tally.unmarked} inmate(s) have not been marked yet.`,
+      });
+    }
+
+    const before = summarizeCount(headcount);
+    headcount.discrepancy = tally.absent > 0;
+    headcount.status = "Completed";
+    headcount.notes = req.body.notes?.trim() || "";
+    headcount.completedBy = req.user?.id || null;
+    headcount.completedAt = new Date();
+    await headcount.save();
+
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType: "Headcount",
+      before,
+      after: summarizeCount(headcount),
+    });
+    await logRecentActivity("HEADCOUNT_COMPLETED");
+
+    res.status(200).json({
+      message: tally.cleared
+        ? "Count cleared. All inmates are accounted for."
+        : `⚠ Count completed with ${tally.absent} inmate(s) absent.`,
+      headcount: withTally(headcount),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Download a Count Sheet
+ * ----------------------
+ * - Prints the count sheet of a count, by cell and bed.
+ * - Counts in progress print with a blank status for any inmate not yet marked,
+ *   so the sheet can be filled in on the landing.
+ *
+ * @route  GET /prisonsphere/headcounts/:id/sheet
+ * @access Private (headcounts:view)
+ */
+const getCountSheet = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid headcount ID format" });
+    }
+
+    const headcount = await Headcount.findById(id)
+      .populate("startedBy", "username")
+      .populate("completedBy", "username")
+      .lean();
+    if (!headcount) {
+      return res.status(404).json({ message: "Headcount not found" });
+    }
+
+    const tally = tallyCount(headcount.entries);
+    const docDefinition = {
+      content: [
+        {
+          image: backgroundLogo,
+          width: 400,
+          absolutePosition: { x: 100, y: 150 },
+          opacity: 0.09,
+        },
+        {
+          text: "Headcount Sheet",
+          alignment: "center",
+          fontSize: 18,
+          bold: true,
+          margin: [0, 0, 0, 15],
+        },
+        {
+          table: {
+            widths: [140, "*"],
+            body: [
+              [{ text: "Block:", bold: true }, { text: headcount.blockName }],
+              [
+                { text: "Count:", bold: true },
+                {
+                  text: `${headcount.countType} · ${formatDateTime(
+                    headcount.startedAt
+                  )}`,
+                },
+              ],
+              [
+                { text: "Started By:", bold: true },
+                { text: headcount.startedBy?.username || "N/A" },
+              ],
+              [
+                { text: "Status:", bold: true },
+                {
+                  text:
+                    headcount.status === "Completed"
+                      ? `Completed ${formatDateTime(headcount.completedAt)}${
+                          headcount.completedBy
+                            ? ` by ${headcount.completedBy.username}`
+                            : ""
+                        }`
+                      : "In Progress",
+                },
+              ],
+            ],
+          },
+          layout: "noBorders",
+          margin: [0, 5, 0, 15],
+        },
+        {
+          table: {
+            headerRows: 1,
+            widths: [50, 25, 70, "*", 80, "*"],
+            body: [
+              ["Cell", "Bed", "Inmate ID", "Name", "Status", "Note"].map(
+                (text) => ({ text, bold: true })
+              ),
+              ...headcount.entries.map((entry) => [
+                entry.cellLabel,
+                entry.bed ?? "—",
+                entry.inmateID,
+                entry.name,
+                DISCREPANCY_STATUSES.includes(entry.status)
+                  ? {
+                      text: entry.status.toUpperCase(),
+                      bold: true,
+                      color: "red",
+                    }
+                  : entry.status || "",
+                entry.note || "",
+              ]),
+            ],
+          },
+          layout: "lightHorizontalLines",
+          margin: [0, 5, 0, 10],
+        },
+        {
+          text: `Expected ${tally.expected} · Present ${tally.present} · Out ${
+            tally.out
+          } · Absent ${tally.absent}${
+            tally.unmarked > 0 ? ` · Not marked ${tally.unmarked}` : ""
+          }`,
+          bold: true,
+          color: tally.absent > 0 ? "red" : "black",
+          margin: [0, 0, 0, 10],
+        },
+        ...(headcount.notes
+          ? [{ text: `Notes: ${headcount.notes}`, margin: [0, 0, 0, 10] }]
+          : []),
+        {
+          columns: [
+            {
+              text: "____________________\nCounting Officer",
+              alignment: "center",
+            },
+            {
+              text: "____________________\nShift Supervisor",
+              alignment: "center",
+            },
+          ],
+          margin: [0, 50, 0, 0],
+        },
+      ],
+    };
+
+    sendPdf(
+      res,
+      docDefinition,
+      `headcount_${headcount.blockName.split(" ")[0]}_${
+        headcount.countType
+      }.pdf`
+    );
+  } catch (error) {
+    console.error("Error generating count sheet:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Helper Function: Format Date and Time as DD/MM/YYYY, HH:MM
+const formatDateTime = (dateString) => {
+  if (!dateString) return "N/A";
+  return new Date(dateString).toLocaleString("en-GB", {
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+};
+
+module.exports = {
+  getHeadcounts,
+  getHeadcountById,
+  startHeadcount,
+  markEntry,
+  completeHeadcount,
+  getCountSheet,
+};
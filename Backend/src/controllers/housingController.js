@@ -0,0 +1,401 @@
+/**
+ * @file housingController.js
+ * @description Manages facilities, housing blocks, cells and occupancy in the PrisonSphere system.
+ * @module controllers/housingController
+ *
+ * This module provides functionalities to:
+ * - Create and list facilities, blocks and cells.
+ * - Change a cell's capacity, security level or availability.
+ * - List cells with their current occupancy (used when assigning inmates).
+ * - Report occupancy per block for the housing map.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Facility - Facility model schema.
+ * @requires Block - Block model schema.
+ * @requires Cell - Cell model schema.
+ * @requires Inmate - Inmate model schema.
+ * @requires SECURITY_LEVELS - Custody security levels.
+ * @requires getCellLabel - Builds cell labels such as "A-101".
+ */
+
+const mongoose = require("mongoose");
+const Facility = require("../models/Facility");
+const Block = require("../models/Block");
+const Cell = require("../models/Cell");
+const Inmate = require("../models/Inmate");
+const { SECURITY_LEVELS } = require("../config/securityLevels");
+const { getCellLabel } = require("../../utils/housing");
+
+/**
+ * Create a Facility
+ * -----------------
+ *
+ * @route  POST /prisonsphere/housing/facilities
+ * @access Private (housing:manage)
+ */
+const createFacility = async (req, res) => {
+  try {
+    const { name, code, address } = req.body;
+
+    if (!name) return res.status(400).json({ message: "Name is required" });
+    if (!code) return res.status(400).json({ message: "Code is required" });
+
+    const facility = await Facility.create({ name, code, address });
+
+    res
+      .status(201)
+      .json({ message: "Facility created successfully", facility });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ message: "A facility with this name or code already exists" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get All Facilities
+ * ------------------
+ *
+ * @route  GET /prisonsphere/housing/facilities
+ * @access Private (housing:view)
+ */
+const getFacilities = async (req, res) => {
+  try {
+    const facilities = await Facility.find().sort({ name: 1 }).lean();
+    res.status(200).json(facilities);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create a Housing Block
+ * ----------------------
+ * - Ensures the facility exists and the security level is valid.
+ *
+ * @route  POST /prisonsphere/housing/blocks
+ * @access Private (housing:manage)
+ */
+const createBlock = async (req, res) => {
+  try {
+    const { facility, name, code, securityLevel } = req.body;
+
+    if (!name) return res.status(400).json({ message: "Name is required" });
+    if (!code) return res.status(400).json({ message: "Code is required" });
+    if (securityLevel && !SECURITY_LEVELS.includes(securityLevel)) {
+      return res.status(400).json({ message: "Invalid security level" });
+    }
+    if (
+      !mongoose.Types.ObjectId.isValid(facility) ||
+      !(await Facility.findById(facility))
+    ) {
+      return res.status(404).json({ message: "Facility not found" });
+    }
+
+    const block = await Block.create({ facility, name, code, securityLevel });
+
+    res.status(201).json({ message: "Block created successfully", block });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ message: "A block with this code already exists" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Housing Blocks
+ * ------------------
+ * - Optionally filtered by facility.
+ *
+ * @route  GET /prisonsphere/housing/blocks
+ * @access Private (housing:view)
+ */
+const getBlocks = async (req, res) => {
+  try {
+    const query = req.query.facility ? { facility: req.query.facility } : {};
+    const blocks = await Block.find(query)
+      .populate("facility", "name code")
+      .sort({ code: 1 })
+      .lean();
+    res.status(200).json(blocks);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create a Cell
+ * -------------
+ * - Ensures the block exists and the capacity is a whole number of beds.
+ * - Inherits the block's security level unless one is given.
+ *
+ * @route  POST /prisonsphere/housing/cells
+ * @access Private (housing:manage)
+ */
+const createCell = async (req, res) => {
+  try {
+    const { block, cellNumber, capacity, securityLevel } = req.body;
+    const parsedCapacity = Number(capacity);
+
+    if (!cellNumber) {
+      return res.status(400).json({ message: "Cell number is required" });
+    }
+    if (!Number.isInteger(parsedCapacity) || parsedCapacity < 1) {
+      return res
+        .status(400)
+        .json({ message: "Capacity must be a whole number of at least 1" });
+    }
+    if (securityLevel && !SECURITY_LEVELS.includes(securityLevel)) {
+      return res.status(400).json({ message: "Invalid security level" });
+    }
+
+    const existingBlock = mongoose.Types.ObjectId.isValid(block)
+      ? await Block.findById(block)
+      : null;
+    if (!existingBlock) {
+      return res.status(404).json({ message: "Block not found" });
+    }
+
+    const cell = await Cell.create({
+      block,
+      cellNumber,
+      capacity: parsedCapacity,
+      securityLevel: securityLevel || existingBlock.securityLevel,
+    });
+
+    res.status(201).json({ message: "Cell created successfully", cell });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ message: "A cell with this number already exists" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a Cell
+ * -------------
+ * - Changes capacity, security level or availability.
+ * - Capacity cannot drop below an occupied bed number.
+ * - Occupied cells cannot be taken out of use.
+ *
+ * @route  PUT /prisonsphere/housing/cells/:id
+ * @access Private (housing:manage)
+ */
+const updateCell = async (req, res) => {
+  try {
+    const { capacity, securityLevel, isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid cell ID" });
+    }
+
+    const cell = await Cell.findById(req.params.id);
+    if (!cell) return res.status(404).json({ message: "Cell not found" });
+
+    const occupants = await Inmate.find({
+      cell: cell._id,
+      status: "Incarcerated",
+    })
+      .select("bed")
+      .lean();
+
+    if (capacity !== undefined) {
+      const parsedCapacity = Number(capacity);
+      const highestBed = Math.max(0, ...occupants.map((o) => o.bed || 0));
+      if (!Number.isInteger(parsedCapacity) || parsedCapacity < 1) {
+        return res
+          .status(400)
+          .json({ message: "Capacity must be a whole number of at least 1" });
+      }
+      if (parsedCapacity < highestBed) {
+        return res.status(400).json({
+          message: `Bed ${highestBed} is occupied. Move the inmate before reducing capacity.`,
+        });
+      }
+      cell.capacity = parsedCapacity;
+    }
+
+    if (securityLevel !== undefined) {
+      if (!SECURITY_LEVELS.includes(securityLevel)) {
+        return res.status(400).json({ message: "Invalid security level" });
+      }
+      cell.securityLevel = securityLevel;
+    }
+
+    if (isActive !== undefined) {
+      if (!isActive && occupants.length > 0) {
+        return res.status(400).json({
+          message: "Occupied cells cannot be taken out of use",
+        });
+      }
+      cell.isActive = Boolean(isActive);
+    }
+
+    await cell.save();
+
+    res.status(200).json({ message: "Cell updated successfully", cell });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Cells With Occupancy
+ * ------------------------
+ * - Lists cells (optionally for one block) with the number of occupied beds.
+ * - `available=true` returns only cells in use that still have a free bed.
+ *
+ * @route  GET /prisonsphere/housing/cells
+ * @access Private (housing:view)
+ */
+const getCells = async (req, res) => {
+  try {
+    const { block, available } = req.query;
+
+    let query = {};
+    if (block) query.block = block;
+    if (available === "true") query.isActive = true;
+
+    const cells = await Cell.find(query)
+      .populate("block", "name code isActive")
+      .sort({ cellNumber: 1 })
+      .lean();
+
+    const occupancy = await countOccupants(cells.map((cell) => cell._id));
+
+    let results = cells.map((cell) => ({
+      ...cell,
+      label: getCellLabel(cell),
+      occupied: occupancy[cell._id] || 0,
+    }));
+
+    if (available === "true") {
+      results = results.filter(
+        (cell) =>
+          cell.block?.isActive !== false && cell.occupied < cell.capacity
+      );
+    }
+
+    res.status(200).json(results);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Occupancy per Block
+ * -----------------------
+ * - Returns every block (optionally for one facility) with its cells, occupants,
+ *   total capacity, occupied beds and occupancy rate.
+ * - Cells that are out of use are listed but do not count toward capacity.
+ *
+ * @route  GET /prisonsphere/housing/occupancy
+ * @access Private (housing:view)
+ */
+const getOccupancy = async (req, res) => {
+  try {
+    const blockQuery = req.query.facility
+      ? { facility: req.query.facility }
+      : {};
+
+    const blocks = await Block.find(blockQuery)
+      .populate("facility", "name code")
+      .sort({ code: 1 })
+      .lean();
+    const cells = await Cell.find({
+      block: { $in: blocks.map((block) => block._id) },
+    })
+      .sort({ cellNumber: 1 })
+      .lean();
+    const occupants = await Inmate.find({
+      status: "Incarcerated",
+      cell: { $in: cells.map((cell) => cell._id) },
+    })
+      .select("firstName lastName inmateID cell bed")
+      .sort({ bed: 1 })
+      .lean();
+
+    const totals = { capacity: 0, occupied: 0, available: 0 };
+
+    const results = blocks.map((block) => {
+      const blockCells = cells
+        .filter((cell) => String(cell.block) === String(block._id))
+        .map((cell) => {
+          const cellOccupants = occupants.filter(
+            (occupant) => String(occupant.cell) === String(cell._id)
+          );
+          return {
+            ...cell,
+            label: getCellLabel({ ...cell, block }),
+            occupied: cellOccupants.length,
+            occupants: cellOccupants,
+          };
+        });
+
+      const activeCells = blockCells.filter((cell) => cell.isActive);
+      const capacity = activeCells.reduce(
+        (sum, cell) => sum + cell.capacity,
+        0
+      );
+      const occupied = blockCells.reduce((sum, cell) => sum + cell.occupied, 0);
+      const available = Math.max(0, capacity - occupied);
+
+      totals.capacity += capacity;
+      totals.occupied += occupied;
+      totals.available += available;
+
+      return {
+        ...block,
+        capacity,
+        occupied,
+        available,
+        occupancyRate: capacity ? Math.round((occupied / capacity) * 100) : 0,
+        cells: blockCells,
+      };
+    });
+
+    res.status(200).json({ blocks: results, totals });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Helper: Counts incarcerated inmates per cell.
+ *
+ * @async
+ * @param {Array<ObjectId>} cellIds - Cells to count.
+ * @returns {Promise<Object>} - Map of cell ID to number of occupants.
+ */
+const countOccupants = async (cellIds) => {
+  const counts = await Inmate.aggregate([
+    { $match: { status: "Incarcerated", cell: { $in: cellIds } } },
+    { $group: { _id: "$cell", count: { $sum: 1 } } },
+  ]);
+
+  return (counts || []).reduce((map, { _id, count }) => {
+    map[_id] = count;
+    return map;
+  }, {});
+};
+
+// Export controller functions for use in routes
+module.exports = {
+  createFacility,
+  getFacilities,
+  createBlock,
+  getBlocks,
+  createCell,
+  updateCell,
+  getCells,
+  getOccupancy,
+};
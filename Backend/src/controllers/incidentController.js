@@ -0,0 +1,465 @@
+/**
+ * @file incidentController.js
+ * @description Manages disciplinary incident reports, hearings and sanctions in the PrisonSphere system.
+ * @module controllers/incidentController
+ *
+ * This module provides functionalities to:
+ * - Report an incident with its date, location, narrative and the inmates and staff involved.
+ * - Attach evidence (photos, scanned statements) to an incident.
+ * - List incidents, retrieve one incident, or the incidents an inmate was involved in.
+ * - Record the outcome of an offender's disciplinary hearing and the sanctions imposed.
+ *
+ * Sanctions:
+ * - "Loss of Visits" refuses visitor logging until the sanction ends.
+ * - "Loss of Good Conduct Credit" is recorded as a forfeiture on the inmate's sentence
+ *   and moves the projected release date.
+ * - Guilty findings lower the rehabilitation score and raise the suggested custody level.
+ *
+ * An incident is closed once every offender's hearing has an outcome.
+ * Every change is recorded in the audit trail.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Incident - Incident model schema.
+ * @requires Inmate - Inmate model schema.
+ * @requires logRecentActivity - Logs reported incidents.
+ * @requires recordAuditEvent - Records incident changes in the audit trail.
+ * @requires incidents - Validates sanctions.
+ * @requires sentence - Recomputes the projected release date after a forfeiture.
+ */
+
+const mongoose = require("mongoose");
+const Incident = require("../models/Incident");
+const Inmate = require("../models/Inmate");
+const { logRecentActivity } = require("./recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { validateSanctions } = require("../../utils/incidents");
+const { getSentenceFields } = require("../../utils/sentence");
+const {
+  INCIDENT_TYPES,
+  INVOLVEMENT_ROLES,
+  HEARING_OUTCOMES,
+} = require("../config/incidents");
+const { GOOD_CONDUCT_FORFEITURE } = require("../config/sentences");
+
+// Fields of the inmates shown with an incident
+const INMATE_FIELDS = "firstName lastName inmateID";
+
+/**
+ * Returns the inmate an incident is filed against in the audit trail: the first
+ * offender, or the first inmate involved if there is no offender.
+ *
+ * @param {Object} incident - Incident document.
+ * @returns {ObjectId} - The inmate's ID.
+ */
+const getAuditInmate = (incident) =>
+  (
+    incident.involvedInmates.find((involved) => involved.role === "Offender") ||
+    incident.involvedInmates[0]
+  ).inmate;
+
+/**
+ * Report an Incident
+ * ------------------
+ * - Records a disciplinary incident; inmates are named by their inmate ID.
+ * - Offenders start with a pending hearing.
+ * - The signed-in user is recorded as having reported the incident.
+ * - Logs the activity as "INCIDENT_REPORTED".
+ *
+ * @route  POST /prisonsphere/incidents
+ * @access Private (incidents:report)
+ */
+const reportIncident = async (req, res) => {
+  try {
+    const { incidentType, occurredAt, location, narrative } = req.body;
+    const involvedInmates = req.body.involvedInmates || [];
+    const involvedStaff = Array.isArray(req.body.involvedStaff)
+      ? req.body.involvedStaff
+      : (req.body.involvedStaff || "").split(",");
+
+    if (!INCIDENT_TYPES.includes(incidentType)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid incident type." });
+    }
+    const parsedDate = new Date(occurredAt);
+    if (!occurredAt || isNaN(parsedDate.getTime())) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter when the incident happened." });
+    }
+    if (parsedDate > new Date()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ The incident date cannot be in the future." });
+    }
+    if (!location?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter where the incident happened." });
+    }
+    if (!narrative?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please describe what happened." });
+    }
+    if (!Array.isArray(involvedInmates) || involvedInmates.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please add at least one inmate involved." });
+    }
+
+    const inmateIDs = involvedInmates.map((involved) =>
+      (involved.inmateID || "").trim()
+    );
+    if (new Set(inmateIDs).size !== inmateIDs.length) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Each inmate can only be listed once." });
+    }
+    const invalidRole = involvedInmates.find(
+      (involved) => !INVOLVEMENT_ROLES.includes(involved.role)
+    );
+    if (invalidRole) {
+      return res.status(400).json({
+        message: `⚠ Please select how ${
+          invalidRole.inmateID || "each inmate"
+        } was involved.`,
+      });
+    }
+
+    const inmates = await Inmate.find({ inmateID: { $in: inmateIDs } })
+      .select("_id inmateID")
+      .lean();
+    const missing = inmateIDs.filter(
+      (inmateID) => !inmates.some((inmate) => inmate.inmateID === inmateID)
+    );
+    if (missing.length) {
+      return res.status(404).json({
+        message: `⚠ No inmate found with ID ${missing.join(", ")}.`,
+      });
+    }
+
+    const incident = await Incident.create({
+      incidentType,
+      occurredAt: parsedDate,
+      location: location.trim(),
+      narrative: narrative.trim(),
+      involvedInmates: involvedInmates.map((involved, index) => ({
+        inmate: inmates.find((inmate) => inmate.inmateID === inmateIDs[index])
+          ._id,
+        role: involved.role,
+      })),
+      involvedStaff: involvedStaff
+        .map((name) => name.trim())
+        .filter((name) => name),
+      reportedBy: req.user?.id || null,
+    });
+
+    await logRecentActivity("INCIDENT_REPORTED");
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Incident",
+      after: incident,
+      inmate: getAuditInmate(incident),
+    });
+
+    res
+      .status(201)
+      .json({ message: "Incident reported successfully", incident });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get All Incidents
+ * -----------------
+ * - Retrieves incidents, most recent first, with pagination.
+ * - Filters by status (Open, Closed) and incident type.
+ *
+ * @route  GET /prisonsphere/incidents
+ * @access Private (incidents:view)
+ */
+const getIncidents = async (req, res) => {
+  try {
+    const { status, incidentType, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (incidentType) query.incidentType = incidentType;
+
+    const totalIncidents = await Incident.countDocuments(query);
+    const incidents = await Incident.find(query)
+      .populate("involvedInmates.inmate", INMATE_FIELDS)
+      .sort({ occurredAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .lean();
+
+    res.status(200).json({
+      incidents,
+      totalIncidents,
+      totalPages: Math.ceil(totalIncidents / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get an Incident by ID
+ * ---------------------
+ * - Retrieves an incident with the inmates involved, its evidence and hearings.
+ *
+ * @route  GET /prisonsphere/incidents/:id
+ * @access Private (incidents:view)
+ */
+const getIncidentById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid incident ID format" });
+    }
+
+    const incident = await Incident.findById(req.params.id)
+      .populate("involvedInmates.inmate", INMATE_FIELDS)
+      .populate(
+        "reportedBy involvedInmates.decidedBy evidence.uploadedBy",
+        "username"
+      )
+      .lean();
+    if (!incident) {
+      return res.status(404).json({ message: "Incident not found" });
+    }
+
+    res.status(200).json(incident);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Incidents for an Inmate
+ * ---------------------------
+ * - Retrieves the incidents an inmate was involved in, most recent first.
+ *
+ * @route  GET /prisonsphere/incidents/inmate/:inmateId
+ * @access Private (incidents:view)
+ */
+const getIncidentsByInmate = async (req, res) => {
+  try {
+    const { inmateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const incidents = await Incident.find({
+      "involvedInmates.inmate": inmateId,
+    })
+      .populate("involvedInmates.inmate", INMATE_FIELDS)
+      .populate("reportedBy", "username")
+      .sort({ occurredAt: -1 })
+      .lean();
+
+    res.status(200).json(incidents);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Attach Evidence to an Incident
+ * ------------------------------
+ * - Stores up to five uploaded files (images or PDFs) against the incident.
+ * - The signed-in user is recorded as having uploaded them.
+ *
+ * @route  POST /prisonsphere/incidents/:id/evidence
+ * @access Private (incidents:report)
+ */
+const addEvidence = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid incident ID format" });
+    }
+    if (!req.files?.length) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select at least one file to upload." });
+    }
+
+    const incident = await Incident.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ message: "Incident not found" });
+    }
+
+    const previousIncident = incident.toObject();
+    req.files.forEach((file) => {
+      incident.evidence.push({
+        url: file.path,
+        fileName: file.originalname || "",
+        uploadedBy: req.user?.id || null,
+      });
+    });
+    await incident.save();
+
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "Incident",
+      before: previousIncident,
+      after: incident,
+      inmate: getAuditInmate(incident),
+    });
+
+    res
+      .status(201)
+      .json({ message: "Evidence uploaded successfully", incident });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Record a Disciplinary Hearing
+ * -----------------------------
+ * - Records the outcome of an offender's hearing (Guilty, Not Guilty, Dismissed).
+ * - Sanctions can only be imposed on a guilty finding; they start on the hearing date.
+ * - A loss of good-conduct credit is forfeited on the inmate's sentence and the
+ *   projected release date is recomputed.
+ * - Closes the incident once every offender's hearing has an outcome.
+ *
+ * @route  POST /prisonsphere/incidents/:id/hearings
+ * @access Private (incidents:adjudicate)
+ */
+const recordHearing = async (req, res) => {
+  try {
+    const { inmate: inmateId, outcome, hearingDate, notes } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid incident ID format" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    if (!HEARING_OUTCOMES.includes(outcome) || outcome === "Pending") {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select the outcome of the hearing." });
+    }
+    const parsedHearingDate = new Date(hearingDate || Date.now());
+    if (isNaN(parsedHearingDate.getTime())) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter a valid hearing date." });
+    }
+    if (parsedHearingDate > new Date()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ The hearing date cannot be in the future." });
+    }
+    if (outcome !== "Guilty" && req.body.sanctions?.length) {
+      return res.status(400).json({
+        message: "⚠ Sanctions can only be imposed on a guilty finding.",
+      });
+    }
+    const { sanctions, error } = validateSanctions(
+      req.body.sanctions,
+      parsedHearingDate
+    );
+    if (error) return res.status(400).json({ message: error });
+
+    const incident = await Incident.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ message: "Incident not found" });
+    }
+    // Hearing dates are whole days, so compare with the day of the incident
+    const incidentDay = new Date(incident.occurredAt);
+    incidentDay.setUTCHours(0, 0, 0, 0);
+    if (parsedHearingDate < incidentDay) {
+      return res.status(400).json({
+        message: "⚠ The hearing cannot be held before the incident.",
+      });
+    }
+
+    const involvement = incident.involvedInmates.find(
+      (involved) => String(involved.inmate) === String(inmateId)
+    );
+    if (!involvement || involvement.role !== "Offender") {
+      return res.status(400).json({
+        message: "⚠ Only inmates involved as offenders go before a hearing.",
+      });
+    }
+    if (involvement.outcome !== "Pending") {
+      return res.status(400).json({
+        message: "⚠ This inmate's hearing has already been recorded.",
+      });
+    }
+
+    const forfeitedDays = sanctions
+      .filter((sanction) => sanction.type === "Loss of Good Conduct Credit")
+      .reduce((total, sanction) => total + sanction.days, 0);
+    const inmate = forfeitedDays ? await Inmate.findById(inmateId) : null;
+    if (forfeitedDays && !inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    const previousIncident = incident.toObject();
+    involvement.outcome = outcome;
+    involvement.hearingDate = parsedHearingDate;
+    involvement.hearingNotes = notes || "";
+    involvement.decidedBy = req.user?.id || null;
+    involvement.sanctions = sanctions;
+    if (
+      incident.involvedInmates.every(
+        (involved) =>
+          involved.role !== "Offender" || involved.outcome !== "Pending"
+      )
+    ) {
+      incident.status = "Closed";
+    }
+    await incident.save();
+
+    await recordAuditEvent(req, {
+      action: incident.status === "Closed" ? "STATUS_CHANGE" : "UPDATE",
+      entityType: "Incident",
+      before: previousIncident,
+      after: incident,
+      inmate: inmateId,
+    });
+
+    // Forfeit good-conduct days on the inmate's sentence
+    if (inmate) {
+      const previousInmate = inmate.toObject();
+      inmate.sentenceCredits.push({
+        type: GOOD_CONDUCT_FORFEITURE,
+        days: forfeitedDays,
+        note: `Forfeited at disciplinary hearing (${incident.incidentType})`,
+        incident: incident._id,
+        grantedBy: req.user?.id || null,
+      });
+      inmate.set(getSentenceFields(inmate));
+      await inmate.save();
+
+      await recordAuditEvent(req, {
+        action: "UPDATE",
+        entityType: "Inmate",
+        before: previousInmate,
+        after: inmate,
+        inmate: inmate._id,
+      });
+    }
+
+    res
+      .status(200)
+      .json({ message: "Hearing recorded successfully", incident });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  reportIncident,
+  getIncidents,
+  getIncidentById,
+  getIncidentsByInmate,
+  addEvidence,
+  recordHearing,
+};
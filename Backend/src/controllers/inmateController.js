@@ -5,39 +5,75 @@
  *
  * This module provides functionalities to:
  * - Register new inmates.
- * - Retrieve, search, and paginate inmate records.
+ * - Retrieve, search, and paginate inmate records (optionally by offense category).
  * - Update inmate details (including status updates).
- * - Implement soft deletion (marking an inmate as "Released").
+ * - Refuse releases, which go through the release workflow and its discharge checklist.
  * - Generate sequential inmate IDs to maintain record integrity.
+ * - Validate cell and bed assignments against cell capacity.
+ * - Record a movement whenever an inmate's housing changes.
+ * - Keep each inmate's projected release date in step with their sentence.
  *
  * @requires mongoose - ODM library for MongoDB.
  * @requires Inmate - Inmate model schema.
+ * @requires Charge - Charge model schema (offense category filter and report charge table).
  * @requires logRecentActivity - Logs inmate-related activities.
+ * @requires recordAuditEvent - Records who changed an inmate record and how.
+ * @requires housing - Validates cell and bed assignments.
+ * @requires movements - Records inmate movements.
+ * @requires sentence - Computes sentences and projected release dates.
+ * @requires pdfPrinter - Renders the inmate PDF reports.
+ * @requires incidents - Counts guilty disciplinary findings for the rehabilitation score.
+ * @requires medical - Redacts health session logs for staff without medical access.
+ * @requires visits - Statuses of visits that took place (report visit counts).
  */
 
 const axios = require("axios");
-const PdfPrinter = require("pdfmake");
-const path = require("path");
 const mongoose = require("mongoose");
 const Inmate = require("../models/Inmate");
 const WorkProgramEnrollment = require("../models/WorkProgramEnrollment");
 const BehaviorLog = require("../models/BehaviorLog");
 const Parole = require("../models/Parole");
-const Visitor = require("../models/Visitor");
+const Visit = require("../models/Visit");
 const ActivityLog = require("../models/ActivityLog");
+const Charge = require("../models/Charge");
+const { OFFENSE_CATEGORIES } = require("../config/offenses");
+const { HELD_VISIT_STATUSES } = require("../config/visits");
 const {
   logRecentActivity,
 } = require("../controllers/recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  UNASSIGNED_HOUSING,
+  BED_CONFLICT_MESSAGE,
+  isEmptyCellValue,
+  resolveHousingAssignment,
+  isBedConflict,
+} = require("../../utils/housing");
+const {
+  getHousingLocation,
+  getCurrentLocation,
+  recordMovement,
+} = require("../../utils/movements");
+const {
+  computeSentence,
+  getSentenceFields,
+  syncSingleSentence,
+} = require("../../utils/sentence");
+const { backgroundLogo, sendPdf } = require("../../utils/pdfPrinter");
+const { redactHealthSessions } = require("../../utils/medical");
+const { countDisciplinaryFindings } = require("../../utils/incidents");
 
 /**
  * Register a New Inmate
  * ---------------------
  * - Adds a new inmate to the system.
  * - Ensures inmate ID is unique.
+ * - Assigns the selected cell, rejecting full or unavailable cells.
+ * - Records the sentence (and any time already served) and computes the projected release date.
  * - Logs the activity as "INMATE_ADDED".
  *
  * @route  POST /prisonsphere/inmates
- * @access Warden Only
+ * @access Private (inmates:create)
  */
 const registerInmate = async (req, res) => {
   try {
@@ -56,18 +92,23 @@ const registerInmate = async (req, res) => {
       return res
         .status(400)
         .json({ message: "Please enter a valid admission date." });
-    if (!req.body.sentenceDuration || isNaN(req.body.sentenceDuration))
+    if (!isValidSentenceDuration(req.body.sentenceDuration))
       return res
         .status(400)
         .json({ message: "Please enter the sentence duration in months." });
+    if (
+      req.body.timeServedDays &&
+      !(
+        Number.isInteger(Number(req.body.timeServedDays)) &&
+        req.body.timeServedDays >= 0
+      )
+    )
+      return res
+        .status(400)
+        .json({ message: "Time served must be a whole number of days." });
     if (!req.body.crimeDetails)
       return res.status(400).json({ message: "Please provide crime details." });
 
-    // Check if user is authorized to register an inmate
-    if (req.user.role !== "warden") {
-      return res.status(403).json({ message: "Access denied" });
-    }
-
     // Extract inmate details from request body
     const {
       firstName,
@@ -77,8 +118,39 @@ const registerInmate = async (req, res) => {
       admissionDate,
       sentenceDuration,
       crimeDetails,
-      assignedCell,
     } = req.body;
+
+    // Validate the housing assignment (optional at admission)
+    let housing = {};
+    if (!isEmptyCellValue(req.body.cell)) {
+      housing = await resolveHousingAssignment(req.body.cell, req.body.bed);
+      if (housing.error) {
+        return res.status(400).json({ message: housing.error });
+      }
+    }
+
+    // One sentence from the admission date; earlier custody counts as time served
+    const sentence = {
+      sentences: [
+        {
+          lengthMonths: Number(sentenceDuration),
+          startDate: admissionDate,
+          relation: "Concurrent",
+        },
+      ],
+      sentenceCredits:
+        Number(req.body.timeServedDays) > 0
+          ? [
+              {
+                type: "Time Served",
+                days: Number(req.body.timeServedDays),
+                note: "Time served before admission",
+                grantedBy: req.user?.id || null,
+              },
+            ]
+          : [],
+    };
+
     const nextInmateID = await generateNextInmateID();
 
     // Assign profile image if uploaded
@@ -94,12 +166,28 @@ const registerInmate = async (req, res) => {
       admissionDate,
       sentenceDuration,
       crimeDetails,
-      assignedCell,
+      ...sentence,
+      ...getSentenceFields({ admissionDate, ...sentence }),
+      ...housing,
       profileImage,
     });
 
     // Log activity: Inmate registered
     await logRecentActivity("INMATE_ADDED");
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Inmate",
+      after: inmate,
+      inmate: inmate._id,
+    });
+    if (inmate.cell) {
+      await recordMovement(req, {
+        inmate: inmate._id,
+        from: null,
+        to: getHousingLocation(inmate),
+        reason: "Admission",
+      });
+    }
 
     res.status(201).json({
       message: "Inmate registered successfully",
@@ -107,6 +195,9 @@ const registerInmate = async (req, res) => {
       nextInmateID,
     });
   } catch (error) {
+    if (isBedConflict(error)) {
+      return res.status(409).json({ message: BED_CONFLICT_MESSAGE });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
@@ -151,13 +242,14 @@ const getNextInmateID = async (req, res) => {
  * Retrieve All Inmates
  * --------------------
  * - Fetches all inmate records with optional search and pagination.
+ * - `category` limits the results to inmates charged with that offense category.
  *
  * @route  GET /prisonsphere/inmates
  * @access Admin & Warden
  */
 const getAllInmates = async (req, res) => {
   try {
-    let { page, limit, search } = req.query; // Get query parameters
+    let { page, limit, search, category } = req.query; // Get query parameters
     let query = {}; // Default empty query
 
     // If a search query exists, filter by Inmate ID or Full Name
@@ -180,6 +272,14 @@ const getAllInmates = async (req, res) => {
       };
     }
 
+    // Filter by offense category
+    if (category) {
+      if (!OFFENSE_CATEGORIES.includes(category)) {
+        return res.status(400).json({ message: "Invalid offense category" });
+      }
+      query._id = { $in: await getInmateIdsByCategory(category) };
+    }
+
     // Check if pagination is requested
     let inmatesQuery = Inmate.find(query).sort({ createdAt: -1 });
 
@@ -208,35 +308,47 @@ const getAllInmates = async (req, res) => {
  * Search Inmate
  * ----------------------
  * - Searches for an inmate by Inmate ID or Full Name.
+ * - `category` limits the results to inmates charged with that offense category
+ *   (the name or ID query is optional when a category is given).
  *
- * @route  GET /prisonsphere/inmates/search?query=value
+ * @route  GET /prisonsphere/inmates/search?query=value&category=value
  * @access Admin & Warden
  */
 const searchInmate = async (req, res) => {
   try {
-    const { query } = req.query;
+    const { query, category } = req.query;
 
-    if (!query) {
+    if (!query && !category) {
       return res.status(400).json({ message: "Search query is required." });
     }
+    if (category && !OFFENSE_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: "Invalid offense category" });
+    }
 
     // Search inmates based on ID or Full Name (case-insensitive)
-    const inmates = await Inmate.find({
-      $or: [
-        { inmateID: { $regex: query, $options: "i" } },
-        { firstName: { $regex: query, $options: "i" } },
-        { lastName: { $regex: query, $options: "i" } },
-        {
-          $expr: {
-            $regexMatch: {
-              input: { $concat: ["$firstName", " ", "$lastName"] },
-              regex: query,
-              options: "i",
+    const filter = query
+      ? {
+          $or: [
+            { inmateID: { $regex: query, $options: "i" } },
+            { firstName: { $regex: query, $options: "i" } },
+            { lastName: { $regex: query, $options: "i" } },
+            {
+              $expr: {
+                $regexMatch: {
+                  input: { $concat: ["$firstName", " ", "$lastName"] },
+                  regex: query,
+                  options: "i",
+                },
+              },
             },
-          },
-        },
-      ],
-    }).lean();
+          ],
+        }
+      : {};
+    if (category) {
+      filter._id = { $in: await getInmateIdsByCategory(category) };
+    }
+
+    const inmates = await Inmate.find(filter).lean();
 
     if (!inmates.length) {
       return res.status(404).json({ message: "No inmates found." });
@@ -253,6 +365,7 @@ const searchInmate = async (req, res) => {
  * Get a Single Inmate by ID
  * -------------------------
  * - Retrieves details of a specific inmate.
+ * - Includes the computed sentence (full term, credits, projected release date).
  * - Validates the inmate ID format before querying.
  *
  * @route  GET /prisonsphere/inmates/:id
@@ -270,7 +383,9 @@ const getInmateById = async (req, res) => {
       return res.status(404).json({ message: "Inmate not found" });
     }
 
-    res.status(200).json(inmate);
+    res
+      .status(200)
+      .json({ ...inmate.toObject(), sentenceSummary: computeSentence(inmate) });
   } catch (error) {
     console.error("Error fetching inmate:", error);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -281,10 +396,19 @@ const getInmateById = async (req, res) => {
  * Update Inmate Details (Including Status)
  * ----------------------------------------
  * - Updates an inmate's details.
+ * - Moves the inmate to the selected cell, keeping their bed if the cell is unchanged.
+ * - Unassigns the inmate's cell when they are no longer incarcerated.
+ * - Refuses to release the inmate: `POST /prisonsphere/releases/inmate/:inmateId`
+ *   runs the discharge checklist and issues the certificate.
+ * - Records a movement when the inmate's housing changes (reason from `movementReason`).
+ * - Recomputes the projected release date (sentences and credits have their own endpoints).
+ * - Never changes the property inventory (recorded and reconciled through its own endpoints).
+ * - Never changes the custody level (set through `POST /prisonsphere/classifications/inmate/:inmateId`).
  * - Logs the activity as "INMATE_UPDATED".
+ * - Records the changed fields in the audit trail.
  *
  * @route  PUT /prisonsphere/inmates/:id
- * @access Warden Only
+ * @access Private (inmates:update)
  */
 const updateInmate = async (req, res) => {
   try {
@@ -292,12 +416,18 @@ const updateInmate = async (req, res) => {
     const behaviorReports = req.body.behaviorReports || [];
     let updatedData = { ...req.body };
 
-    // Ensure only Wardens can edit inmate details**
-    if (req.user.role !== "warden") {
-      return res.status(403).json({
-        message: "You do not have permission to edit inmate details.",
-      });
-    }
+    // Housing is derived from the selected cell, never taken from the request as-is
+    delete updatedData.cell;
+    delete updatedData.bed;
+    delete updatedData.assignedCell;
+    delete updatedData.movementReason;
+    delete updatedData.sentences;
+    delete updatedData.sentenceCredits;
+    delete updatedData.projectedReleaseDate;
+    delete updatedData.property;
+    delete updatedData.discharge;
+    delete updatedData.custodyLevel;
+    delete updatedData.nextClassificationReview;
 
     // Ensure correct date formatting
     if (req.body.dateOfBirth) {
@@ -325,6 +455,53 @@ const updateInmate = async (req, res) => {
     if (status && !["Incarcerated", "Released"].includes(status)) {
       return res.status(400).json({ message: "Invalid status provided" });
     }
+    if (
+      req.body.sentenceDuration !== undefined &&
+      !isValidSentenceDuration(req.body.sentenceDuration)
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Please enter the sentence duration in months." });
+    }
+
+    const existingInmate = await Inmate.findById(req.params.id);
+    if (!existingInmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    // Releases run the discharge checklist (POST /prisonsphere/releases/inmate/:inmateId)
+    if (status === "Released" && existingInmate.status !== "Released") {
+      return res.status(400).json({
+        message:
+          "⚠ Use the Release action on the inmate's profile to release this inmate.",
+      });
+    }
+
+    // Recompute the sentence from the edited duration and admission date
+    const sentences = syncSingleSentence(existingInmate, updatedData);
+    if (sentences) updatedData.sentences = sentences;
+    Object.assign(
+      updatedData,
+      getSentenceFields({ ...existingInmate.toObject(), ...updatedData })
+    );
+
+    // Validate the housing assignment
+    if ((status || existingInmate.status) !== "Incarcerated") {
+      Object.assign(updatedData, UNASSIGNED_HOUSING);
+    } else if (!isEmptyCellValue(req.body.cell)) {
+      const sameCell = String(existingInmate.cell) === String(req.body.cell);
+      const housing = await resolveHousingAssignment(
+        req.body.cell,
+        isEmptyCellValue(req.body.bed) && sameCell
+          ? existingInmate.bed
+          : req.body.bed,
+        existingInmate._id,
+        existingInmate.custodyLevel
+      );
+      if (housing.error) {
+        return res.status(400).json({ message: housing.error });
+      }
+      Object.assign(updatedData, housing);
+    }
 
     // Update inmate details
     const inmate = await Inmate.findByIdAndUpdate(req.params.id, updatedData, {
@@ -337,9 +514,30 @@ const updateInmate = async (req, res) => {
 
     // Log activity: Inmate details updated
     await logRecentActivity("INMATE_UPDATED");
+    await recordAuditEvent(req, {
+      action:
+        inmate.status !== existingInmate.status ? "STATUS_CHANGE" : "UPDATE",
+      entityType: "Inmate",
+      before: existingInmate,
+      after: inmate,
+      inmate: inmate._id,
+    });
+
+    // Record the move if the inmate changed cell or bed
+    if (inmate.cell) {
+      await recordMovement(req, {
+        inmate: inmate._id,
+        from: await getCurrentLocation(existingInmate),
+        to: getHousingLocation(inmate),
+        reason: req.body.movementReason || "Housing assignment updated",
+      });
+    }
 
     res.status(200).json({ message: "Inmate updated successfully", inmate });
   } catch (error) {
+    if (isBedConflict(error)) {
+      return res.status(409).json({ message: BED_CONFLICT_MESSAGE });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
@@ -378,26 +576,39 @@ const getInmateByIDReport = async (req, res) => {
       .limit(3)
       .lean();
 
-    // Fetch Visitor Records separately
-    const visitorRecords = await Visitor.find({ inmate: id })
-      .select("_id")
-      .lean();
-    const totalVisits = visitorRecords.length;
+    // Count the visits that took place (bookings, cancellations, no-shows and
+    // voided records are not counted)
+    const totalVisits = await Visit.countDocuments({
+      inmate: id,
+      status: { $in: HELD_VISIT_STATUSES },
+      voidedAt: null,
+    });
 
     // Fetch Activity Logs separately
-    const activityLogs = await ActivityLog.find({ inmateId: id })
-      .select("activityType description logDate")
-      .sort({ logDate: -1 })
-      .limit(3)
+    const activityLogs = redactHealthSessions(
+      await ActivityLog.find({ inmateId: id })
+        .select("activityType description logDate")
+        .sort({ logDate: -1 })
+        .limit(3)
+        .lean(),
+      req.user?.role
+    );
+
+    const charges = await Charge.find({ inmate: id })
+      .select("description statuteCode category severity offenseDate status")
+      .sort({ offenseDate: -1 })
       .lean();
 
+    // Disciplinary incidents the inmate was found guilty of
+    const disciplinaryFindings = await countDisciplinaryFindings(id);
+
     // Fetch Profile Image (Cloudinary URL is already stored in inmate.profileImage)
     const profileImageUrl = inmate.profileImage || "";
 
     // Compute rehabilitation score (0-100%)
     let workEthicAvg = 0,
       cooperationAvg = 0,
-      incidentCount = 0;
+      incidentCount = disciplinaryFindings;
     if (behaviorLogs.length) {
       workEthicAvg =
         behaviorLogs.reduce((acc, log) => acc + log.workEthic, 0) /
@@ -405,7 +616,7 @@ const getInmateByIDReport = async (req, res) => {
       cooperationAvg =
         behaviorLogs.reduce((acc, log) => acc + log.cooperation, 0) /
         behaviorLogs.length;
-      incidentCount = behaviorLogs.reduce(
+      incidentCount += behaviorLogs.reduce(
         (acc, log) => acc + log.incidentReports,
         0
       );
@@ -431,7 +642,10 @@ const getInmateByIDReport = async (req, res) => {
         new Date().getFullYear() - new Date(inmate.dateOfBirth).getFullYear(),
       admissionDate: inmate.admissionDate,
       crimeDetails: inmate.crimeDetails,
+      charges,
       sentenceDuration: inmate.sentenceDuration,
+      sentenceSummary: computeSentence(inmate),
+      projectedReleaseDate: inmate.projectedReleaseDate,
       assignedCell: inmate.assignedCell,
       status: inmate.status,
       profileImageUrl,
@@ -440,6 +654,7 @@ const getInmateByIDReport = async (req, res) => {
       paroleRecords: paroleRecords,
       visitorCount: totalVisits,
       activityLogs: activityLogs,
+      disciplinaryFindings,
       rehabilitationScore: rehabilitationScore.toFixed(2),
       evaluationStatus: status,
     };
@@ -471,19 +686,6 @@ const fetchImageAsBase64 = async (imageUrl) => {
   }
 };
 
-//  Load Custom Fonts for Pdfmake
-const fonts = {
-  Roboto: {
-    normal: path.join(__dirname, "../fonts/Roboto-Regular.ttf"),
-    bold: path.join(__dirname, "../fonts/Roboto-Bold.ttf"),
-  },
-};
-
-// Define the background watermark logo path
-const backgroundLogo = path.resolve(__dirname, "../assets/logoBlue.png");
-
-const printer = new PdfPrinter(fonts);
-
 // Function to Generate Star Ratings with Unicode Characters
 const generateStars = (rating, filledStarBase64, emptyStarBase64) => {
   const maxStars = 5;
@@ -539,17 +741,30 @@ const getInmatePDFReport = async (req, res) => {
       .limit(3)
       .lean();
 
-    const visitorRecords = await Visitor.find({ inmate: id })
-      .select("_id")
-      .lean();
-    const totalVisits = visitorRecords.length;
+    const totalVisits = await Visit.countDocuments({
+      inmate: id,
+      status: { $in: HELD_VISIT_STATUSES },
+      voidedAt: null,
+    });
 
-    const activityLogs = await ActivityLog.find({ inmateId: id })
-      .select("activityType description logDate")
-      .sort({ logDate: -1 })
-      .limit(3)
+    const activityLogs = redactHealthSessions(
+      await ActivityLog.find({ inmateId: id })
+        .select("activityType description logDate")
+        .sort({ logDate: -1 })
+        .limit(3)
+        .lean(),
+      req.user?.role
+    );
+
+    const charges = await Charge.find({ inmate: id })
+      .sort({ offenseDate: -1 })
       .lean();
 
+    const disciplinaryFindings = await countDisciplinaryFindings(id);
+
+    // Compute the sentence and projected release date
+    const sentenceSummary = computeSentence(inmate);
+
     // Fetch Profile Image as Base64
     let profileImageBase64 = null;
     if (inmate.profileImage) {
@@ -575,7 +790,7 @@ const getInmatePDFReport = async (req, res) => {
     // Compute Rehabilitation Score
     let workEthicAvg = 0,
       cooperationAvg = 0,
-      incidentCount = 0;
+      incidentCount = disciplinaryFindings;
     if (behaviorLogs.length) {
       workEthicAvg =
         behaviorLogs.reduce((acc, log) => acc + log.workEthic, 0) /
@@ -583,7 +798,7 @@ const getInmatePDFReport = async (req, res) => {
       cooperationAvg =
         behaviorLogs.reduce((acc, log) => acc + log.cooperation, 0) /
         behaviorLogs.length;
-      incidentCount = behaviorLogs.reduce(
+      incidentCount += behaviorLogs.reduce(
         (acc, log) => acc + (log.incidentReports || 0),
         0
       );
@@ -677,10 +892,31 @@ const getInmatePDFReport = async (req, res) => {
                 { text: "Admission Date:", bold: true },
                 { text: formatDate(inmate.admissionDate) },
               ],
-              [{ text: "Crime:", bold: true }, { text: inmate.crimeDetails }],
               [
                 { text: "Sentence Duration:", bold: true },
-                { text: `${inmate.sentenceDuration} years` },
+                { text: `${inmate.sentenceDuration} months` },
+              ],
+              [
+                { text: "Sentence Credits:", bold: true },
+                {
+                  text: sentenceSummary
+                    ? `${sentenceSummary.creditDays} days (time served ${
+                        sentenceSummary.timeServedDays
+                      }, good conduct ${sentenceSummary.goodConductDays}${
+                        sentenceSummary.forfeitedDays
+                          ? `, forfeited ${sentenceSummary.forfeitedDays}`
+                          : ""
+                      })`
+                    : "N/A",
+                },
+              ],
+              [
+                { text: "Projected Release:", bold: true },
+                {
+                  text: sentenceSummary
+                    ? formatDate(sentenceSummary.projectedReleaseDate)
+                    : "N/A",
+                },
               ],
               [
                 { text: "Assigned Cell:", bold: true },
@@ -694,7 +930,38 @@ const getInmatePDFReport = async (req, res) => {
           },
           layout: "noBorders",
           margin: [0, 5, 0, 15], // Spacing below this section
-        }
+        },
+        // Charges (falls back to the admission summary if none were recorded)
+        { text: "Charges", style: "section" },
+        charges.length > 0
+          ? {
+              table: {
+                headerRows: 1,
+                widths: [60, "*", 65, 65, 60, 60],
+                body: [
+                  [
+                    { text: "Statute", bold: true },
+                    { text: "Offense", bold: true },
+                    { text: "Category", bold: true },
+                    { text: "Severity", bold: true },
+                    { text: "Date", bold: true },
+                    { text: "Outcome", bold: true },
+                  ],
+                  ...charges.map((charge) => [
+                    { text: charge.statuteCode || "-" },
+                    { text: charge.description },
+                    { text: charge.category },
+                    { text: charge.severity },
+                    { text: formatDate(charge.offenseDate) },
+                    { text: charge.status },
+                  ]),
+                ],
+              },
+              layout: "lightHorizontalLines",
+              fontSize: 9,
+              margin: [0, 5, 0, 15],
+            }
+          : { text: inmate.crimeDetails, margin: [0, 5, 0, 15] }
       );
       // Work Program & Parole Record Side by Side
       docContent.push({
@@ -856,6 +1123,11 @@ const getInmatePDFReport = async (req, res) => {
               margin: [0, 5],
             },
 
+        {
+          text: `Disciplinary Findings (Guilty): ${disciplinaryFindings}`,
+          margin: [0, 5],
+        },
+
         // Rehabilitation Score & Evaluation Status (Centered at Bottom)
         {
           text: `Rehabilitation Score: ${rehabilitationScore.toFixed(2)}%`,
@@ -897,29 +1169,21 @@ const getInmatePDFReport = async (req, res) => {
     };
 
     // Generate PDF
-    const pdfDoc = printer.createPdfKitDocument(docDefinition);
-    const chunks = [];
-
-    // Collect PDF Data
-    pdfDoc.on("data", (chunk) => chunks.push(chunk));
-
-    pdfDoc.on("end", () => {
-      const pdfBuffer = Buffer.concat(chunks);
-      res.set({
-        "Content-Type": "application/pdf",
-        "Content-Disposition": `attachment; filename="inmate_report_${inmate.inmateID}.pdf"`,
-        "Content-Length": pdfBuffer.length,
-      });
-      res.send(pdfBuffer);
-    });
-
-    pdfDoc.end();
+    sendPdf(res, docDefinition, `inmate_report_${inmate.inmateID}.pdf`);
   } catch (error) {
     console.error("Error generating PDF report:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// Helper Function: IDs of inmates charged with an offense in a category
+const getInmateIdsByCategory = (category) =>
+  Charge.distinct("inmate", { category });
+
+// Helper Function: Sentence durations are a whole number of months
+const isValidSentenceDuration = (value) =>
+  Number.isInteger(Number(value)) && Number(value) >= 1;
+
 // Helper Function: Format Date as DD-MM-YYYY
 const formatDate = (dateString) => {
   if (!dateString) return "N/A"; // Handle missing dates gracefully
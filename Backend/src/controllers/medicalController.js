@@ -0,0 +1,699 @@
+/**
+ * @file medicalController.js
+ * @description Manages inmate medical records, encounters, appointments and medication administration in the PrisonSphere system.
+ * @module controllers/medicalController
+ *
+ * This module provides functionalities to:
+ * - Retrieve an inmate's medical record with recent encounters and appointments.
+ * - Record and update allergies, conditions and medications.
+ * - Record encounters, completing the appointment they were scheduled under.
+ * - Schedule, reschedule and close appointments, and list the clinic schedule.
+ * - Record and list the administration of each medication dose.
+ * - Serve allergy and condition alerts to all staff without clinical details.
+ *
+ * Confidentiality:
+ * - Everything except the alerts requires the clinical permissions, which only the
+ *   medical role holds (see `config/permissions.js`).
+ * - Every change is written to the audit trail with who made it, when, and which
+ *   fields changed, but without the clinical values, since auditors read the trail.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires MedicalRecord - MedicalRecord model schema.
+ * @requires MedicalEncounter - MedicalEncounter model schema.
+ * @requires MedicalAppointment - MedicalAppointment model schema.
+ * @requires MedicationAdministration - MedicationAdministration model schema.
+ * @requires Inmate - Inmate model schema.
+ * @requires medical - Validates record entries and builds the alerts.
+ * @requires recordAuditEvent - Records clinical changes in the audit trail, without their values.
+ * @requires config/medical - Encounter types and appointment and administration statuses.
+ */
+
+const mongoose = require("mongoose");
+const MedicalRecord = require("../models/MedicalRecord");
+const MedicalEncounter = require("../models/MedicalEncounter");
+const MedicalAppointment = require("../models/MedicalAppointment");
+const MedicationAdministration = require("../models/MedicationAdministration");
+const Inmate = require("../models/Inmate");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  validateAllergy,
+  validateCondition,
+  validateMedication,
+  getMedicalAlerts,
+} = require("../../utils/medical");
+const {
+  ENCOUNTER_TYPES,
+  APPOINTMENT_STATUSES,
+  ADMINISTRATION_STATUSES,
+} = require("../config/medical");
+
+// Fields of the inmate shown with an appointment
+const INMATE_FIELDS = "firstName lastName inmateID assignedCell";
+
+// Days of upcoming appointments listed by default
+const SCHEDULE_DAYS = 7;
+
+/**
+ * Lists of the medical record, with their editable fields and required fields.
+ */
+const RECORD_LISTS = {
+  allergies: {
+    label: "Allergy",
+    validate: validateAllergy,
+    fields: ["allergen", "reaction", "severity", "isActive"],
+    required: ["allergen"],
+  },
+  conditions: {
+    label: "Condition",
+    validate: validateCondition,
+    fields: ["name", "notes", "diagnosedAt", "status", "staffAlert"],
+    required: ["name"],
+  },
+  medications: {
+    label: "Medication",
+    validate: validateMedication,
+    fields: [
+      "name",
+      "dose",
+      "route",
+      "frequency",
+      "instructions",
+      "prescriber",
+      "startDate",
+      "endDate",
+      "status",
+    ],
+    required: ["name", "dose", "frequency", "startDate"],
+  },
+};
+
+/**
+ * Picks the editable fields present in the request body, trimming text.
+ *
+ * @param {Object} body - Request body.
+ * @param {Array<String>} fields - Editable fields.
+ * @returns {Object} - The fields present in the body.
+ */
+const pickFields = (body, fields) =>
+  fields.reduce((picked, field) => {
+    if (body[field] !== undefined) {
+      picked[field] =
+        typeof body[field] === "string" ? body[field].trim() : body[field];
+    }
+    return picked;
+  }, {});
+
+/**
+ * Finds an inmate's medical record, starting one if the inmate has none yet.
+ *
+ * @async
+ * @param {String} inmateId - The inmate's ID.
+ * @returns {Promise<Object|null>} - The medical record, or null if the inmate does not exist.
+ */
+const findOrStartRecord = async (inmateId) => {
+  const record = await MedicalRecord.findOne({ inmate: inmateId });
+  if (record) return record;
+  if (!(await Inmate.exists({ _id: inmateId }))) return null;
+  return new MedicalRecord({ inmate: inmateId });
+};
+
+/**
+ * Get Medical Alerts
+ * ------------------
+ * - Returns allergy and condition alerts for the given inmates, keyed by inmate ID.
+ * - Alerts carry a type and severity only; the allergen and diagnosis stay restricted.
+ *
+ * @route  GET /prisonsphere/medical/alerts?inmates=<id>,<id>
+ * @access Private (inmates:view)
+ */
+const getMedicalAlertsForInmates = async (req, res) => {
+  try {
+    const inmateIds = (req.query.inmates || "")
+      .split(",")
+      .filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (inmateIds.length === 0) return res.status(200).json({});
+
+    res.status(200).json(await getMedicalAlerts(inmateIds));
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get an Inmate's Medical Record
+ * ------------------------------
+ * - Retrieves the allergies, conditions and medications, the latest encounters,
+ *   and the scheduled and recent appointments.
+ *
+ * @route  GET /prisonsphere/medical/inmate/:inmateId
+ * @access Private (medical:view)
+ */
+const getMedicalRecord = async (req, res) => {
+  try {
+    const { inmateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const record = await MedicalRecord.findOne({ inmate: inmateId }).lean();
+    const encounters = await MedicalEncounter.find({ inmate: inmateId })
+      .populate("clinician", "username")
+      .sort({ occurredAt: -1 })
+      .limit(10)
+      .lean();
+    const appointments = await MedicalAppointment.find({ inmate: inmateId })
+      .sort({ scheduledFor: -1 })
+      .limit(10)
+      .lean();
+
+    res.status(200).json({
+      allergies: record?.allergies || [],
+      conditions: record?.conditions || [],
+      medications: record?.medications || [],
+      encounters,
+      appointments,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Builds the handler recording a new allergy, condition or medication.
+ *
+ * @param {String} list - "allergies", "conditions" or "medications".
+ * @returns {Function} - Express handler.
+ */
+const addRecordEntry = (list) => async (req, res) => {
+  try {
+    const { label, validate, fields, required } = RECORD_LISTS[list];
+    const { inmateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const entry = pickFields(req.body, fields);
+    required.forEach((field) => {
+      if (entry[field] === undefined) entry[field] = "";
+    });
+    const error = validate(entry);
+    if (error) return res.status(400).json({ message: error });
+
+    const record = await findOrStartRecord(inmateId);
+    if (!record) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    const before = { _id: record._id, [list]: record[list].toObject() };
+    record[list].push({ ...entry, recordedBy: req.user?.id || null });
+    await record.save();
+
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "MedicalRecord",
+      before,
+      after: { _id: record._id, [list]: record[list].toObject() },
+      inmate: record.inmate,
+      redact: true,
+    });
+
+    res.status(201).json({
+      message: `${label} recorded successfully`,
+      entry: record[list][record[list].length - 1],
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Builds the handler updating an allergy, condition or medication.
+ * - Allergies are deactivated with `isActive: false`, conditions resolved with
+ *   `status: "Resolved"` and medications stopped with `status: "Discontinued"`.
+ *
+ * @param {String} list - "allergies", "conditions" or "medications".
+ * @returns {Function} - Express handler.
+ */
+const updateRecordEntry = (list) => async (req, res) => {
+  try {
+    const { label, validate, fields } = RECORD_LISTS[list];
+    const { inmateId, entryId } = req.params;
+    if (
+      !mongoose.Types.ObjectId.isValid(inmateId) ||
+      !mongoose.Types.ObjectId.isValid(entryId)
+    ) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const record = await MedicalRecord.findOne({ inmate: inmateId });
+    const entry = record?.[list].id(entryId);
+    if (!entry) {
+      return res.status(404).json({ message: `${label} not found` });
+    }
+
+    const updates = pickFields(req.body, fields);
+    const error = validate({ ...entry.toObject(), ...updates });
+    if (error) return res.status(400).json({ message: error });
+
+    const before = { _id: record._id, [list]: record[list].toObject() };
+    entry.set(updates);
+    await record.save();
+
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "MedicalRecord",
+      before,
+      after: { _id: record._id, [list]: record[list].toObject() },
+      inmate: record.inmate,
+      redact: true,
+    });
+
+    res.status(200).json({ message: `${label} updated successfully`, entry });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get an Inmate's Encounters
+ * --------------------------
+ * - Retrieves the inmate's encounters, newest first, with pagination.
+ *
+ * @route  GET /prisonsphere/medical/inmate/:inmateId/encounters
+ * @access Private (medical:view)
+ */
+const getEncounters = async (req, res) => {
+  try {
+    const { inmateId } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const totalEncounters = await MedicalEncounter.countDocuments({
+      inmate: inmateId,
+    });
+    const encounters = await MedicalEncounter.find({ inmate: inmateId })
+      .populate("clinician", "username")
+      .sort({ occurredAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .lean();
+
+    res.status(200).json({
+      encounters,
+      totalEncounters,
+      totalPages: Math.ceil(totalEncounters / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Record an Encounter
+ * -------------------
+ * - Records an encounter with the clinician's assessment and treatment.
+ * - When `appointmentId` is given, that scheduled appointment is marked Completed.
+ *
+ * @route  POST /prisonsphere/medical/inmate/:inmateId/encounters
+ * @access Private (medical:record)
+ */
+const addEncounter = async (req, res) => {
+  try {
+    const { inmateId } = req.params;
+    const {
+      type,
+      occurredAt,
+      complaint,
+      assessment,
+      treatment,
+      appointmentId,
+    } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    if (!ENCOUNTER_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid encounter type." });
+    }
+    if (!assessment?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter the assessment." });
+    }
+    if (occurredAt && isNaN(new Date(occurredAt))) {
+      return res.status(400).json({ message: "⚠ Please enter a valid date." });
+    }
+
+    if (!(await Inmate.exists({ _id: inmateId }))) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    let appointment = null;
+    if (appointmentId) {
+      appointment = await MedicalAppointment.findOne({
+        _id: mongoose.Types.ObjectId.isValid(appointmentId)
+          ? appointmentId
+          : null,
+        inmate: inmateId,
+        status: "Scheduled",
+      });
+      if (!appointment) {
+        return res.status(400).json({
+          message:
+            "⚠ The selected appointment is not scheduled for this inmate.",
+        });
+      }
+    }
+
+    const encounter = await MedicalEncounter.create({
+      inmate: inmateId,
+      type,
+      occurredAt: occurredAt || new Date(),
+      complaint: complaint?.trim() || "",
+      assessment: assessment.trim(),
+      treatment: treatment?.trim() || "",
+      appointment: appointment?._id || null,
+      clinician: req.user?.id || null,
+    });
+
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "MedicalEncounter",
+      after: encounter,
+      inmate: encounter.inmate,
+      redact: true,
+    });
+
+    if (appointment) {
+      const before = appointment.toObject();
+      appointment.status = "Completed";
+      appointment.encounter = encounter._id;
+      await appointment.save();
+
+      await recordAuditEvent(req, {
+        action: "STATUS_CHANGE",
+        entityType: "MedicalAppointment",
+        before,
+        after: appointment,
+        inmate: appointment.inmate,
+        redact: true,
+      });
+    }
+
+    res
+      .status(201)
+      .json({ message: "Encounter recorded successfully", encounter });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get the Clinic Schedule
+ * -----------------------
+ * - Lists appointments across all inmates, soonest first.
+ * - Defaults to scheduled appointments from today for the next `SCHEDULE_DAYS` days;
+ *   `from`, `to` and `status` narrow or widen the list.
+ *
+ * @route  GET /prisonsphere/medical/appointments
+ * @access Private (medical:view)
+ */
+const getAppointments = async (req, res) => {
+  try {
+    const { status = "Scheduled" } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (!req.query.from) from.setHours(0, 0, 0, 0);
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + SCHEDULE_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: "⚠ Invalid schedule period." });
+    }
+
+    const query = { scheduledFor: { $gte: from, $lte: to } };
+    if (status !== "all") query.status = status;
+
+    const appointments = await MedicalAppointment.find(query)
+      .populate("inmate", INMATE_FIELDS)
+      .sort({ scheduledFor: 1 })
+      .lean();
+
+    res.status(200).json(appointments);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Schedule an Appointment
+ * -----------------------
+ *
+ * @route  POST /prisonsphere/medical/inmate/:inmateId/appointments
+ * @access Private (medical:record)
+ */
+const scheduleAppointment = async (req, res) => {
+  try {
+    const { inmateId } = req.params;
+    const { type, scheduledFor, reason } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    if (!ENCOUNTER_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid appointment type." });
+    }
+    if (!scheduledFor || isNaN(new Date(scheduledFor))) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter the appointment date and time." });
+    }
+
+    const inmate = await Inmate.findById(inmateId).select("status");
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    if (inmate.status !== "Incarcerated") {
+      return res.status(400).json({
+        message:
+          "⚠ Appointments can only be scheduled for incarcerated inmates.",
+      });
+    }
+
+    const appointment = await MedicalAppointment.create({
+      inmate: inmateId,
+      type,
+      scheduledFor,
+      reason: reason?.trim() || "",
+      scheduledBy: req.user?.id || null,
+    });
+
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "MedicalAppointment",
+      after: appointment,
+      inmate: appointment.inmate,
+      redact: true,
+    });
+
+    res
+      .status(201)
+      .json({ message: "Appointment scheduled successfully", appointment });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update an Appointment
+ * ---------------------
+ * - Reschedules a scheduled appointment, or marks it Missed or Cancelled.
+ * - Appointments are completed by recording the encounter.
+ *
+ * @route  PUT /prisonsphere/medical/appointments/:id
+ * @access Private (medical:record)
+ */
+const updateAppointment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduledFor, reason, status } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid appointment ID format" });
+    }
+    if (
+      status !== undefined &&
+      (!APPOINTMENT_STATUSES.includes(status) || status === "Completed")
+    ) {
+      return res.status(400).json({
+        message:
+          "⚠ Appointments are completed by recording the encounter; select Missed or Cancelled.",
+      });
+    }
+    if (scheduledFor !== undefined && isNaN(new Date(scheduledFor))) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter a valid date and time." });
+    }
+
+    const appointment = await MedicalAppointment.findById(id);
+    if (!appointment) {
+      return res.status(404).json({ message: "Appointment not found" });
+    }
+    if (appointment.status !== "Scheduled") {
+      return res.status(400).json({
+        message: `⚠ This appointment is already ${appointment.status.toLowerCase()}.`,
+      });
+    }
+
+    const before = appointment.toObject();
+    if (scheduledFor !== undefined) appointment.scheduledFor = scheduledFor;
+    if (reason !== undefined) appointment.reason = reason.trim();
+    if (status !== undefined) appointment.status = status;
+    await appointment.save();
+
+    await recordAuditEvent(req, {
+      action: appointment.status !== before.status ? "STATUS_CHANGE" : "UPDATE",
+      entityType: "MedicalAppointment",
+      before,
+      after: appointment,
+      inmate: appointment.inmate,
+      redact: true,
+    });
+
+    res
+      .status(200)
+      .json({ message: "Appointment updated successfully", appointment });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get a Medication's Administration Log
+ * -------------------------------------
+ * - Lists the recorded doses of a medication, newest first.
+ *
+ * @route  GET /prisonsphere/medical/inmate/:inmateId/medications/:entryId/administrations
+ * @access Private (medical:view)
+ */
+const getAdministrations = async (req, res) => {
+  try {
+    const { inmateId, entryId } = req.params;
+    if (
+      !mongoose.Types.ObjectId.isValid(inmateId) ||
+      !mongoose.Types.ObjectId.isValid(entryId)
+    ) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const administrations = await MedicationAdministration.find({
+      inmate: inmateId,
+      medication: entryId,
+    })
+      .populate("administeredBy", "username")
+      .sort({ administeredAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.status(200).json(administrations);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Record a Dose
+ * -------------
+ * - Records whether a dose of an active medication was given, refused, missed or held.
+ * - A note is required for doses that were not given.
+ *
+ * @route  POST /prisonsphere/medical/inmate/:inmateId/medications/:entryId/administrations
+ * @access Private (medical:record)
+ */
+const recordAdministration = async (req, res) => {
+  try {
+    const { inmateId, entryId } = req.params;
+    const { status, administeredAt, notes } = req.body;
+    if (
+      !mongoose.Types.ObjectId.isValid(inmateId) ||
+      !mongoose.Types.ObjectId.isValid(entryId)
+    ) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+    if (!ADMINISTRATION_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select the outcome of the dose." });
+    }
+    if (status !== "Given" && !notes?.trim()) {
+      return res.status(400).json({
+        message: `⚠ Please note why the dose was ${status.toLowerCase()}.`,
+      });
+    }
+    if (administeredAt && isNaN(new Date(administeredAt))) {
+      return res.status(400).json({ message: "⚠ Please enter a valid time." });
+    }
+
+    const record = await MedicalRecord.findOne({ inmate: inmateId })
+      .select("medications")
+      .lean();
+    const medication = record?.medications.find(
+      (entry) => String(entry._id) === entryId
+    );
+    if (!medication) {
+      return res.status(404).json({ message: "Medication not found" });
+    }
+    if (medication.status !== "Active") {
+      return res
+        .status(400)
+        .json({ message: "⚠ This medication has been discontinued." });
+    }
+
+    const administration = await MedicationAdministration.create({
+      inmate: inmateId,
+      medication: medication._id,
+      medicationName: medication.name,
+      dose: medication.dose,
+      status,
+      administeredAt: administeredAt || new Date(),
+      notes: notes?.trim() || "",
+      administeredBy: req.user?.id || null,
+    });
+
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "MedicationAdministration",
+      after: administration,
+      inmate: administration.inmate,
+      redact: true,
+    });
+
+    res
+      .status(201)
+      .json({ message: "Dose recorded successfully", administration });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getMedicalAlertsForInmates,
+  getMedicalRecord,
+  addAllergy: addRecordEntry("allergies"),
+  updateAllergy: updateRecordEntry("allergies"),
+  addCondition: addRecordEntry("conditions"),
+  updateCondition: updateRecordEntry("conditions"),
+  addMedication: addRecordEntry("medications"),
+  updateMedication: updateRecordEntry("medications"),
+  getEncounters,
+  addEncounter,
+  getAppointments,
+  scheduleAppointment,
+  updateAppointment,
+  getAdministrations,
+  recordAdministration,
+};
@@ -0,0 +1,175 @@
+/**
+ * @file movementController.js
+ * @description Handles inmate transfers and movement history in the PrisonSphere system.
+ * @module controllers/movementController
+ *
+ * This module provides functionalities to:
+ * - Transfer an inmate to another cell or bed, to an outside location, or back from one.
+ * - Retrieve the movement timeline of an inmate.
+ *
+ * Movements are also recorded automatically when an inmate's housing is changed
+ * through the inmate record or when they are released (see `utils/movements`).
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Inmate - Inmate model schema.
+ * @requires Movement - Movement model schema.
+ * @requires logRecentActivity - Logs inmate transfers.
+ * @requires recordAuditEvent - Records the housing change in the audit trail.
+ * @requires housing - Validates cell and bed assignments.
+ * @requires movements - Records inmate movements.
+ */
+
+const mongoose = require("mongoose");
+const Inmate = require("../models/Inmate");
+const Movement = require("../models/Movement");
+const {
+  logRecentActivity,
+} = require("../controllers/recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  UNASSIGNED_HOUSING,
+  BED_CONFLICT_MESSAGE,
+  isEmptyCellValue,
+  resolveHousingAssignment,
+  isBedConflict,
+} = require("../../utils/housing");
+const {
+  getHousingLocation,
+  getCurrentLocation,
+  recordMovement,
+} = require("../../utils/movements");
+
+/**
+ * Transfer an Inmate
+ * ------------------
+ * - Moves an incarcerated inmate to another cell (and optionally bed), or to an
+ *   outside location such as a hospital, court or another facility.
+ * - Transferring an inmate who is at an outside location into a cell records a return.
+ * - Requires a reason; the signed-in user is recorded as the authorizing officer.
+ * - Logs the activity as "INMATE_TRANSFERRED".
+ *
+ * @route  POST /prisonsphere/movements
+ * @access Private (inmates:update)
+ */
+const transferInmate = async (req, res) => {
+  try {
+    const { inmate: inmateId, cell, bed, destination, reason } = req.body;
+    const hasCell = !isEmptyCellValue(cell);
+    const hasDestination = Boolean(destination?.trim());
+
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    if (!reason?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "Please provide a reason for the transfer." });
+    }
+    if (hasCell === hasDestination) {
+      return res.status(400).json({
+        message: "Please select a cell or enter an outside destination.",
+      });
+    }
+
+    const existingInmate = await Inmate.findById(inmateId);
+    if (!existingInmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    if (existingInmate.status !== "Incarcerated") {
+      return res
+        .status(400)
+        .json({ message: "Only incarcerated inmates can be transferred." });
+    }
+
+    const from = await getCurrentLocation(existingInmate);
+
+    let housing;
+    let to;
+    if (hasCell) {
+      housing = await resolveHousingAssignment(
+        cell,
+        isEmptyCellValue(bed) && String(existingInmate.cell) === String(cell)
+          ? existingInmate.bed
+          : bed,
+        existingInmate._id,
+        existingInmate.custodyLevel
+      );
+      if (housing.error) {
+        return res.status(400).json({ message: housing.error });
+      }
+      to = getHousingLocation(housing);
+      if (
+        String(from?.cell) === String(housing.cell) &&
+        from.bed === housing.bed
+      ) {
+        return res
+          .status(400)
+          .json({ message: "The inmate is already in this cell and bed." });
+      }
+    } else {
+      housing = UNASSIGNED_HOUSING;
+      to = { cell: null, bed: null, location: destination.trim() };
+      if (!from?.cell && from?.location === to.location) {
+        return res
+          .status(400)
+          .json({ message: `The inmate is already at ${to.location}.` });
+      }
+    }
+
+    const inmate = await Inmate.findByIdAndUpdate(inmateId, housing, {
+      new: true,
+    });
+
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "Inmate",
+      before: existingInmate,
+      after: inmate,
+      inmate: inmate._id,
+    });
+    const movement = await recordMovement(req, {
+      inmate: inmate._id,
+      from,
+      to,
+      reason: reason.trim(),
+    });
+    await logRecentActivity("INMATE_TRANSFERRED");
+
+    res
+      .status(201)
+      .json({ message: "Inmate transferred successfully", movement, inmate });
+  } catch (error) {
+    if (isBedConflict(error)) {
+      return res.status(409).json({ message: BED_CONFLICT_MESSAGE });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Movement History for an Inmate
+ * ----------------------------------
+ * - Retrieves an inmate's movements, newest first.
+ * - Populates the authorizing officer's username and role.
+ *
+ * @route  GET /prisonsphere/movements/inmate/:inmateId
+ * @access Private (inmates:view)
+ */
+const getMovementsByInmate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const movements = await Movement.find({ inmate: req.params.inmateId })
+      .populate("authorizedBy", "username role")
+      .sort({ movedAt: -1 })
+      .lean();
+
+    res.status(200).json(movements);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = { transferInmate, getMovementsByInmate };
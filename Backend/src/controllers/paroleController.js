@@ -15,6 +15,9 @@
  * @requires Parole - Parole model schema.
  * @requires Inmate - Inmate model schema.
  * @requires logRecentActivity - Function to log recent system activities.
+ * @requires recordAuditEvent - Records who submitted or decided a parole application.
+ * @requires recordMovement - Records the release of paroled inmates.
+ * @requires closeCustodyRecords - Closes the work programs of paroled inmates.
  */
 
 const Parole = require("../models/Parole");
@@ -22,6 +25,10 @@ const Inmate = require("../models/Inmate");
 const {
   logRecentActivity,
 } = require("../controllers/recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { UNASSIGNED_HOUSING } = require("../../utils/housing");
+const { getCurrentLocation, recordMovement } = require("../../utils/movements");
+const { closeCustodyRecords } = require("../../utils/discharge");
 
 /**
  * Submit a Parole Application
@@ -72,6 +79,12 @@ const submitParoleApplication = async (req, res) => {
 
     // Log activity
     await logRecentActivity("PAROLE_SUBMITTED");
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Parole",
+      after: parole,
+      inmate: parole.inmate,
+    });
 
     res.status(201).json({
       message: "Parole application submitted successfully",
@@ -248,6 +261,7 @@ const getParoleHistoryByInmate = async (req, res) => {
  * Update Parole Status (Approve/Deny)
  * -----------------------------------
  * - Updates the status of a parole application.
+ * - Approval releases the inmate and closes their active work programs.
  * - Logs the decision in the activity log.
  *
  * @route  PUT /prisonsphere/paroles/:id
@@ -274,23 +288,52 @@ const updateParoleStatus = async (req, res) => {
         .json({ message: "This parole decision has already been made" });
     }
 
+    const previousParole = parole.toObject();
     parole.status = status;
     parole.decisionNotes = decisionNotes;
     await parole.save();
 
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType: "Parole",
+      before: previousParole,
+      after: parole,
+      inmate: parole.inmate,
+    });
+
     if (status === "Approved") {
-      const updatedInmate = await Inmate.findByIdAndUpdate(
-        parole.inmate,
-        { status: "Parole" },
-        { new: true }
-      );
+      // Paroled inmates leave custody and free their bed
+      const previousInmate = await Inmate.findByIdAndUpdate(parole.inmate, {
+        status: "Parole",
+        ...UNASSIGNED_HOUSING,
+      });
 
-      if (!updatedInmate) {
+      if (!previousInmate) {
         return res
           .status(404)
           .json({ message: "Inmate not found while updating parole status" });
       }
 
+      await recordAuditEvent(req, {
+        action: "STATUS_CHANGE",
+        entityType: "Inmate",
+        before: previousInmate,
+        after: {
+          ...previousInmate.toObject(),
+          status: "Parole",
+          ...UNASSIGNED_HOUSING,
+        },
+        inmate: previousInmate._id,
+      });
+      await recordMovement(req, {
+        inmate: previousInmate._id,
+        movementType: "Release",
+        from: await getCurrentLocation(previousInmate),
+        to: { location: "Parole" },
+        reason: "Parole approved",
+      });
+      await closeCustodyRecords(req, previousInmate._id, "Parole approved");
+
       await logRecentActivity("PAROLE_APPROVED");
     } else if (status === "Denied") {
       await logRecentActivity("PAROLE_DENIED");
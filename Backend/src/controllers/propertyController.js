@@ -0,0 +1,378 @@
+/**
+ * @file propertyController.js
+ * @description Records the personal property taken from inmates at admission and returned at release.
+ * @module controllers/propertyController
+ *
+ * This module provides functionalities to:
+ * - Retrieve an inmate's property inventory.
+ * - Record the admission inventory, signed by the inmate and the officer.
+ * - Reconcile the inventory at release, flagging items that were not returned as missing.
+ * - Generate a PDF property receipt for the admission inventory or the release reconciliation.
+ *
+ * The release workflow requires the reconciliation before an inventoried inmate
+ * can be discharged, and records the number of missing items on the checklist.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Inmate - Inmate model schema.
+ * @requires recordAuditEvent - Records inventory changes in the audit trail.
+ * @requires property - Validates inventories and applies reconciliations.
+ * @requires pdfPrinter - Renders the property receipt.
+ */
+
+const mongoose = require("mongoose");
+const Inmate = require("../models/Inmate");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  validateSignatures,
+  validatePropertyItems,
+  reconcilePropertyItems,
+  getPropertyReconciliation,
+} = require("../../utils/property");
+const { backgroundLogo, sendPdf } = require("../../utils/pdfPrinter");
+
+// Receipt types: the admission inventory or the release reconciliation
+const RECEIPT_TYPES = ["intake", "release"];
+
+/**
+ * Get an Inmate's Property
+ * ------------------------
+ * - Retrieves the inventory with its signatures and reconciliation summary.
+ *
+ * @route  GET /prisonsphere/inmates/:id/property
+ * @access Private (inmates:view)
+ */
+const getPropertyInventory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const inmate = await Inmate.findById(req.params.id)
+      .select("property status")
+      .populate(
+        "property.intake.signedBy property.release.signedBy",
+        "username"
+      )
+      .lean();
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    res.status(200).json({
+      property: inmate.property,
+      summary: getPropertyReconciliation(inmate),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Record the Admission Inventory
+ * ------------------------------
+ * - Records (or corrects) the items taken from an incarcerated inmate.
+ * - Both parties sign the inventory each time it is recorded.
+ * - The inventory can no longer be changed once it has been reconciled for release.
+ *
+ * @route  PUT /prisonsphere/inmates/:id/property
+ * @access Private (inmates:update)
+ */
+const recordPropertyInventory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    const { items, error } = validatePropertyItems(req.body.items);
+    if (error) return res.status(400).json({ message: error });
+    const { signatures, error: signatureError } = validateSignatures(req.body);
+    if (signatureError) {
+      return res.status(400).json({ message: signatureError });
+    }
+
+    const inmate = await Inmate.findById(req.params.id);
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    if (inmate.status !== "Incarcerated") {
+      return res.status(400).json({
+        message: "Property can only be inventoried for incarcerated inmates.",
+      });
+    }
+    if (inmate.property?.release) {
+      return res.status(400).json({
+        message:
+          "⚠ This inventory has already been reconciled for release and can no longer be changed.",
+      });
+    }
+
+    const previousInmate = inmate.toObject();
+    inmate.property = {
+      items,
+      intake: { ...signatures, signedBy: req.user?.id || null },
+      release: null,
+    };
+    await inmate.save();
+
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "Inmate",
+      before: previousInmate,
+      after: inmate,
+      inmate: inmate._id,
+    });
+
+    res.status(200).json({
+      message: "Property inventory recorded successfully",
+      property: inmate.property,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Reconcile Property at Release
+ * -----------------------------
+ * - Marks each inventoried item as returned to the inmate or missing.
+ * - Both parties sign the reconciliation.
+ * - Can be repeated until the inmate is released (e.g., once a missing item is found).
+ *
+ * @route  POST /prisonsphere/inmates/:id/property/reconcile
+ * @access Private (inmates:update)
+ */
+const reconcileProperty = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    const { signatures, error: signatureError } = validateSignatures(req.body);
+    if (signatureError) {
+      return res.status(400).json({ message: signatureError });
+    }
+
+    const inmate = await Inmate.findById(req.params.id);
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    if (inmate.status !== "Incarcerated") {
+      return res.status(400).json({
+        message: "Property can only be reconciled before the inmate's release.",
+      });
+    }
+    if (!getPropertyReconciliation(inmate).inventoried) {
+      return res
+        .status(400)
+        .json({ message: "⚠ No property was inventoried for this inmate." });
+    }
+
+    const previousInmate = inmate.toObject();
+    const { missing, error } = reconcilePropertyItems(
+      inmate.property.items,
+      req.body.items
+    );
+    if (error) return res.status(400).json({ message: error });
+
+    inmate.property.release = {
+      ...signatures,
+      signedBy: req.user?.id || null,
+      signedAt: new Date(),
+    };
+    await inmate.save();
+
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "Inmate",
+      before: previousInmate,
+      after: inmate,
+      inmate: inmate._id,
+    });
+
+    res.status(200).json({
+      message:
+        missing.length > 0
+          ? `Property reconciled. ${missing.length} item(s) flagged as missing.`
+          : "Property reconciled. All items were returned.",
+      property: inmate.property,
+      missingItems: missing,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Download a Property Receipt
+ * ---------------------------
+ * - `intake`: the items taken at admission, with the admission signatures.
+ * - `release`: each item's return status, with the reconciliation signatures.
+ *
+ * @route  GET /prisonsphere/inmates/:id/property/receipt/:type
+ * @access Private (inmates:view)
+ */
+const getPropertyReceipt = async (req, res) => {
+  try {
+    const { id, type } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    if (!RECEIPT_TYPES.includes(type)) {
+      return res.status(400).json({ message: "Invalid receipt type" });
+    }
+
+    const inmate = await Inmate.findById(id)
+      .select("firstName lastName inmateID admissionDate property")
+      .lean();
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    const signatures = inmate.property?.[type];
+    if (!signatures) {
+      return res.status(400).json({
+        message:
+          type === "intake"
+            ? "No property was inventoried for this inmate."
+            : "This inmate's property has not been reconciled for release.",
+      });
+    }
+
+    const { items } = inmate.property;
+    const missing = items.filter((item) => item.status === "Missing").length;
+    const itemsTable =
+      type === "intake"
+        ? {
+            widths: [20, "*", "*", 30, 60, "*"],
+            body: [
+              ["#", "Item", "Description", "Qty", "Condition", "Stored At"].map(
+                (text) => ({ text, bold: true })
+              ),
+              ...items.map((item, index) => [
+                index + 1,
+                item.item,
+                item.description || "—",
+                item.quantity,
+                item.condition,
+                item.storageLocation,
+              ]),
+            ],
+          }
+        : {
+            widths: [20, "*", 30, 60, 60, "*"],
+            body: [
+              ["#", "Item", "Qty", "Taken", "Returned", "Notes"].map(
+                (text) => ({ text, bold: true })
+              ),
+              ...items.map((item, index) => [
+                index + 1,
+                item.item,
+                item.quantity,
+                item.condition,
+                item.status === "Returned"
+                  ? item.returnedCondition || item.condition
+                  : { text: "MISSING", bold: true, color: "red" },
+                item.returnNotes || "—",
+              ]),
+            ],
+          };
+
+    const docDefinition = {
+      content: [
+        {
+          image: backgroundLogo,
+          width: 400,
+          absolutePosition: { x: 100, y: 150 },
+          opacity: 0.09,
+        },
+        {
+          text:
+            type === "intake"
+              ? "Property Receipt — Admission"
+              : "Property Receipt — Release",
+          alignment: "center",
+          fontSize: 18,
+          bold: true,
+          margin: [0, 0, 0, 15],
+        },
+        {
+          table: {
+            widths: [140, "*"],
+            body: [
+              [
+                { text: "Inmate:", bold: true },
+                { text: `${inmate.firstName} ${inmate.lastName}` },
+              ],
+              [{ text: "Inmate ID:", bold: true }, { text: inmate.inmateID }],
+              [
+                { text: "Admission Date:", bold: true },
+                { text: formatDate(inmate.admissionDate) },
+              ],
+              [
+                { text: "Signed On:", bold: true },
+                { text: formatDate(signatures.signedAt) },
+              ],
+            ],
+          },
+          layout: "noBorders",
+          margin: [0, 5, 0, 15],
+        },
+        { text: "Items", style: "section" },
+        {
+          table: itemsTable,
+          layout: "lightHorizontalLines",
+          margin: [0, 5, 0, 10],
+        },
+        type === "release"
+          ? {
+              text:
+                missing > 0
+                  ? `${missing} item(s) could not be returned and were flagged as missing.`
+                  : "All items were returned to the inmate.",
+              bold: missing > 0,
+              color: missing > 0 ? "red" : "black",
+              margin: [0, 0, 0, 10],
+            }
+          : {
+              text: "The inmate's property listed above was received and will be stored until release.",
+              margin: [0, 0, 0, 10],
+            },
+        {
+          columns: [
+            {
+              text: `${signatures.staffSignature}\n____________________\nOfficer Signature`,
+              alignment: "center",
+            },
+            {
+              text: `${signatures.inmateSignature}\n____________________\nInmate Signature`,
+              alignment: "center",
+            },
+          ],
+          margin: [0, 60, 0, 0],
+        },
+      ],
+      styles: {
+        section: { bold: true, margin: [0, 10, 0, 5] },
+      },
+    };
+
+    sendPdf(
+      res,
+      docDefinition,
+      `property_${type}_receipt_${inmate.inmateID}.pdf`
+    );
+  } catch (error) {
+    console.error("Error generating property receipt:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Helper Function: Format Date as DD/MM/YYYY
+const formatDate = (dateString) => {
+  if (!dateString) return "N/A";
+  return new Date(dateString).toLocaleDateString("en-GB");
+};
+
+module.exports = {
+  getPropertyInventory,
+  recordPropertyInventory,
+  reconcileProperty,
+  getPropertyReceipt,
+};
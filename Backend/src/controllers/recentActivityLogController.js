@@ -133,6 +133,9 @@ const generateActivityMessage = (activityType, count) => {
   const messages = {
     INMATE_ADDED: `${pluralize("inmate", count)} was added to the system`,
     INMATE_UPDATED: `An inmate record was updated`,
+    INMATE_TRANSFERRED: `${pluralize("inmate", count)} was transferred`,
+    INMATE_RELEASED: `${pluralize("inmate", count)} was released`,
+    INMATE_CLASSIFIED: `${pluralize("inmate", count)} was classified`,
     INMATE_DELETED: `${pluralize("inmate", count)} was removed from the system`,
 
     //Parole Messages
@@ -146,11 +149,41 @@ const generateActivityMessage = (activityType, count) => {
       count
     )} was recorded for an inmate`,
     VISITOR_UPDATED: `A visitor's record was updated`,
+    VISITOR_APPROVAL_REQUESTED: `${pluralize(
+      "visitor",
+      count
+    )} was put forward for approval`,
+    VISITOR_APPROVED: `${pluralize("visitor", count)} was approved for visits`,
+    VISITOR_RESTRICTED: `${pluralize("visitor", count)} was restricted`,
+    VISIT_BOOKED: `${pluralize("visit", count)} was booked`,
+    VISITOR_CHECKED_IN: `${pluralize("visitor", count)} was checked in`,
+    VISIT_CANCELLED: `${pluralize("booked visit", count)} was cancelled`,
+    VISIT_NO_SHOW: `${pluralize(
+      "booked visit",
+      count
+    )} was marked as a no-show`,
     VISITOR_DELETED: `${pluralize(
       "visitor log",
       count
     )} was removed from the system`,
 
+    // Disciplinary Incident Messages
+    INCIDENT_REPORTED: `${pluralize(
+      "disciplinary incident",
+      count
+    )} was reported`,
+
+    // Grievance Messages
+    GRIEVANCE_FILED: `${pluralize("grievance", count)} was filed`,
+    GRIEVANCE_RESOLVED: `${pluralize("grievance", count)} was resolved`,
+
+    // Headcount Messages
+    HEADCOUNT_COMPLETED: `${pluralize("headcount", count)} was completed`,
+    COUNT_DISCREPANCY: `${pluralize(
+      "inmate",
+      count
+    )} was marked absent during a headcount`,
+
     // Work Program Messages
     WORK_PROGRAM_ENROLLED: `${pluralize(
       "inmate",
@@ -0,0 +1,304 @@
+/**
+ * @file releaseController.js
+ * @description Handles the formal release (discharge) of inmates in the PrisonSphere system.
+ * @module controllers/releaseController
+ *
+ * This module provides functionalities to:
+ * - Release an incarcerated inmate through the discharge checklist.
+ * - Generate a discharge certificate PDF for a released inmate.
+ *
+ * Discharge Checklist:
+ * - Inventoried property must be reconciled first; items not returned are counted as missing.
+ * - Otherwise the releasing officer confirms the inmate's property has been returned.
+ * - Active work program enrollments are cancelled.
+ * - Pending parole applications are cancelled.
+ * - The discharge reason and destination are recorded on the inmate.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Inmate - Inmate model schema.
+ * @requires logRecentActivity - Logs inmate releases.
+ * @requires recordAuditEvent - Records the release in the audit trail.
+ * @requires housing - Frees the inmate's bed.
+ * @requires movements - Records the release movement.
+ * @requires discharge - Closes work programs and paroles.
+ * @requires property - Checks the property reconciliation.
+ * @requires pdfPrinter - Renders the discharge certificate.
+ */
+
+const mongoose = require("mongoose");
+const Inmate = require("../models/Inmate");
+const {
+  logRecentActivity,
+} = require("../controllers/recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { UNASSIGNED_HOUSING } = require("../../utils/housing");
+const { getCurrentLocation, recordMovement } = require("../../utils/movements");
+const { closeCustodyRecords } = require("../../utils/discharge");
+const { getPropertyReconciliation } = require("../../utils/property");
+const { backgroundLogo, sendPdf } = require("../../utils/pdfPrinter");
+const { DISCHARGE_REASONS } = require("../config/discharge");
+
+/**
+ * Release an Inmate
+ * -----------------
+ * - Runs the discharge checklist and marks the inmate as "Released".
+ * - Frees the inmate's bed and records a release movement to the destination.
+ * - The signed-in user is recorded as the releasing officer.
+ * - Logs the activity as "INMATE_RELEASED".
+ *
+ * @route  POST /prisonsphere/releases/inmate/:inmateId
+ * @access Private (inmates:update)
+ */
+const releaseInmate = async (req, res) => {
+  try {
+    const { reason, destination, notes, propertyReturned } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    if (!DISCHARGE_REASONS.includes(reason)) {
+      return res
+        .status(400)
+        .json({ message: "Please select a valid discharge reason." });
+    }
+    if (!destination?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "Please enter where the inmate is released to." });
+    }
+
+    const inmate = await Inmate.findById(req.params.inmateId);
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    if (inmate.status !== "Incarcerated") {
+      return res
+        .status(400)
+        .json({ message: "Only incarcerated inmates can be released." });
+    }
+
+    // Inventoried property is reconciled item by item; otherwise the officer confirms it
+    const property = getPropertyReconciliation(inmate);
+    if (property.inventoried && !property.reconciled) {
+      return res.status(400).json({
+        message:
+          "Please reconcile the inmate's property inventory before the release.",
+      });
+    }
+    if (!property.inventoried && ![true, "true"].includes(propertyReturned)) {
+      return res.status(400).json({
+        message: "Please confirm the inmate's property has been returned.",
+      });
+    }
+
+    const previousInmate = inmate.toObject();
+    const from = await getCurrentLocation(inmate);
+    const checklist = {
+      propertyReturned: property.missing === 0,
+      propertyMissing: property.missing,
+      ...(await closeCustodyRecords(req, inmate._id, reason)),
+    };
+
+    inmate.set({
+      status: "Released",
+      ...UNASSIGNED_HOUSING,
+      discharge: {
+        reason,
+        destination: destination.trim(),
+        notes: notes?.trim() || "",
+        checklist,
+        releasedBy: req.user?.id || null,
+        releasedAt: new Date(),
+      },
+    });
+    await inmate.save();
+
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType: "Inmate",
+      before: previousInmate,
+      after: inmate,
+      inmate: inmate._id,
+    });
+    await recordMovement(req, {
+      inmate: inmate._id,
+      movementType: "Release",
+      from,
+      to: { location: destination.trim() },
+      reason,
+    });
+    await logRecentActivity("INMATE_RELEASED");
+
+    res
+      .status(200)
+      .json({ message: "Inmate released successfully", inmate, checklist });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Download a Discharge Certificate
+ * --------------------------------
+ * - Generates a PDF certificate for an inmate released through the discharge checklist.
+ *
+ * @route  GET /prisonsphere/releases/inmate/:inmateId/certificate
+ * @access Private (reports:view)
+ */
+const getDischargeCertificate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const inmate = await Inmate.findById(req.params.inmateId)
+      .populate("discharge.releasedBy", "username")
+      .lean();
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    if (inmate.status !== "Released" || !inmate.discharge) {
+      return res.status(400).json({
+        message:
+          "This inmate has not been released through the discharge checklist.",
+      });
+    }
+
+    const { discharge } = inmate;
+    const daysInCustody = Math.round(
+      (new Date(discharge.releasedAt) - new Date(inmate.admissionDate)) /
+        (24 * 60 * 60 * 1000)
+    );
+
+    const docDefinition = {
+      content: [
+        {
+          image: backgroundLogo,
+          width: 400,
+          absolutePosition: { x: 100, y: 150 },
+          opacity: 0.09,
+        },
+        {
+          text: "Certificate of Discharge",
+          alignment: "center",
+          fontSize: 18,
+          bold: true,
+          margin: [0, 0, 0, 15],
+        },
+        {
+          text: `This is to certify that ${inmate.firstName} ${
+            inmate.lastName
+          } (Inmate ID ${
+            inmate.inmateID
+          }) was discharged from custody on ${formatDate(
+            discharge.releasedAt
+          )}.`,
+          margin: [0, 0, 0, 15],
+        },
+        { text: "Discharge Details", style: "section" },
+        {
+          table: {
+            widths: [140, "*"],
+            body: [
+              [
+                { text: "Date of Birth:", bold: true },
+                { text: formatDate(inmate.dateOfBirth) },
+              ],
+              [
+                { text: "Admission Date:", bold: true },
+                { text: formatDate(inmate.admissionDate) },
+              ],
+              [
+                { text: "Release Date:", bold: true },
+                { text: formatDate(discharge.releasedAt) },
+              ],
+              [
+                { text: "Time in Custody:", bold: true },
+                { text: `${daysInCustody} days` },
+              ],
+              [
+                { text: "Sentence Duration:", bold: true },
+                { text: `${inmate.sentenceDuration} months` },
+              ],
+              [
+                { text: "Discharge Reason:", bold: true },
+                { text: discharge.reason },
+              ],
+              [
+                { text: "Released To:", bold: true },
+                { text: discharge.destination },
+              ],
+              [
+                { text: "Released By:", bold: true },
+                { text: discharge.releasedBy?.username || "N/A" },
+              ],
+              [
+                { text: "Notes:", bold: true },
+                { text: discharge.notes || "None" },
+              ],
+            ],
+          },
+          layout: "noBorders",
+          margin: [0, 5, 0, 15],
+        },
+        { text: "Discharge Checklist", style: "section" },
+        {
+          table: {
+            widths: ["*", 100],
+            body: [
+              [
+                { text: "Item", bold: true },
+                { text: "Result", bold: true },
+              ],
+              [
+                "Property returned to inmate",
+                discharge.checklist.propertyReturned
+                  ? "Yes"
+                  : `No (${discharge.checklist.propertyMissing} item(s) missing)`,
+              ],
+              [
+                "Work program enrollments closed",
+                String(discharge.checklist.workProgramsClosed),
+              ],
+              [
+                "Pending parole applications cancelled",
+                String(discharge.checklist.parolesCancelled),
+              ],
+            ],
+          },
+          layout: "lightHorizontalLines",
+          margin: [0, 5, 0, 15],
+        },
+        {
+          columns: [
+            {
+              text: "____________________\nWarden Signature",
+              alignment: "center",
+            },
+            {
+              text: "____________________\nReleased Inmate Signature",
+              alignment: "center",
+            },
+          ],
+          margin: [0, 80, 0, 0],
+        },
+      ],
+      styles: {
+        section: { bold: true, margin: [0, 10, 0, 5] },
+      },
+    };
+
+    sendPdf(res, docDefinition, `discharge_certificate_${inmate.inmateID}.pdf`);
+  } catch (error) {
+    console.error("Error generating discharge certificate:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Helper Function: Format Date as DD/MM/YYYY
+const formatDate = (dateString) => {
+  if (!dateString) return "N/A";
+  return new Date(dateString).toLocaleDateString("en-GB");
+};
+
+module.exports = { releaseInmate, getDischargeCertificate };
@@ -0,0 +1,77 @@
+/**
+ * @file securityLogController.js
+ * @description Provides read access to the authentication security log in the PrisonSphere system.
+ * @module controllers/securityLogController
+ *
+ * This module:
+ * - Lists login successes, failures, lockouts and unlocks.
+ * - Filters by event type, username, IP address and date range.
+ * - Paginates results, newest first.
+ *
+ * @requires SecurityLog - SecurityLog model schema.
+ */
+
+const SecurityLog = require("../models/SecurityLog");
+
+/**
+ * Get Security Logs (With Filtering & Pagination)
+ * -----------------------------------------------
+ * - Retrieves security log entries with optional filters.
+ *
+ * @route  GET /prisonsphere/security-logs
+ * @access Private (securityLogs:view)
+ */
+const getSecurityLogs = async (req, res) => {
+  try {
+    const {
+      event,
+      username,
+      ipAddress,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    let query = {};
+
+    if (event) {
+      const events = SecurityLog.schema.path("event").enumValues;
+      if (!events.includes(event)) {
+        return res.status(400).json({ message: "Invalid event type" });
+      }
+      query.event = event;
+    }
+
+    if (username) query.username = { $regex: username, $options: "i" };
+    if (ipAddress) query.ipAddress = ipAddress;
+
+    // Filter by date range
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const totalLogs = await SecurityLog.countDocuments(query);
+    const logs = await SecurityLog.find(query)
+      .populate("performedBy", "username")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .lean();
+
+    res.status(200).json({
+      logs,
+      totalLogs,
+      totalPages: Math.ceil(totalLogs / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    console.error("Error fetching security logs:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Export controller functions for use in routes
+module.exports = { getSecurityLogs };
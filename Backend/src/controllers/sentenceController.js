@@ -0,0 +1,154 @@
+/**
+ * @file sentenceController.js
+ * @description Manages inmate sentences and sentence credits in the PrisonSphere system.
+ * @module controllers/sentenceController
+ *
+ * This module provides functionalities to:
+ * - Retrieve an inmate's computed sentence (full term, credits, projected release date).
+ * - Replace an inmate's sentences (length, start date, concurrent or consecutive).
+ * - Grant sentence credits such as time served and good-conduct days.
+ *
+ * Every change recomputes and stores the inmate's projected release date.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Inmate - Inmate model schema.
+ * @requires recordAuditEvent - Records sentence changes in the audit trail.
+ * @requires sentence - Validates and computes sentences.
+ */
+
+const mongoose = require("mongoose");
+const Inmate = require("../models/Inmate");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  computeSentence,
+  getSentenceFields,
+  validateSentences,
+  validateSentenceCredit,
+} = require("../../utils/sentence");
+
+/**
+ * Get an Inmate's Sentence
+ * ------------------------
+ * - Returns each sentence with its effective start and end dates, the credits
+ *   granted and the projected release date.
+ *
+ * @route  GET /prisonsphere/sentences/inmate/:inmateId
+ * @access Private (inmates:view)
+ */
+const getSentence = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const inmate = await Inmate.findById(req.params.inmateId).populate(
+      "sentenceCredits.grantedBy",
+      "username"
+    );
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    res.status(200).json({
+      ...computeSentence(inmate),
+      credits: inmate.sentenceCredits,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update an Inmate's Sentences
+ * ----------------------------
+ * - Replaces the list of sentences and recomputes the projected release date.
+ * - Sentences without a start date start on the admission date.
+ *
+ * @route  PUT /prisonsphere/sentences/inmate/:inmateId
+ * @access Private (inmates:update)
+ */
+const updateSentences = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const inmate = await Inmate.findById(req.params.inmateId);
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    const { sentences, error } = validateSentences(
+      req.body.sentences,
+      inmate.admissionDate
+    );
+    if (error) return res.status(400).json({ message: error });
+
+    const previousInmate = inmate.toObject();
+    inmate.sentences = sentences;
+    inmate.set(getSentenceFields(inmate));
+    await inmate.save();
+
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "Inmate",
+      before: previousInmate,
+      after: inmate,
+      inmate: inmate._id,
+    });
+
+    res.status(200).json({
+      message: "Sentences updated successfully",
+      sentence: computeSentence(inmate),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Grant a Sentence Credit
+ * -----------------------
+ * - Adds time-served or good-conduct days and recomputes the projected release date.
+ * - The signed-in user is recorded as granting the credit.
+ *
+ * @route  POST /prisonsphere/sentences/inmate/:inmateId/credits
+ * @access Private (inmates:update)
+ */
+const addSentenceCredit = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const { credit, error } = validateSentenceCredit(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const inmate = await Inmate.findById(req.params.inmateId);
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    const previousInmate = inmate.toObject();
+    inmate.sentenceCredits.push({ ...credit, grantedBy: req.user?.id || null });
+    inmate.set(getSentenceFields(inmate));
+    await inmate.save();
+
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "Inmate",
+      before: previousInmate,
+      after: inmate,
+      inmate: inmate._id,
+    });
+
+    res.status(201).json({
+      message: "Sentence credit added successfully",
+      sentence: computeSentence(inmate),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = { getSentence, updateSentences, addSentenceCredit };
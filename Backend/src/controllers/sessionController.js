@@ -0,0 +1,163 @@
+/**
+ * @file sessionController.js
+ * @description Lets wardens inspect and revoke login sessions in the PrisonSphere system.
+ * @module controllers/sessionController
+ *
+ * This module:
+ * - Lists the active sessions of a user.
+ * - Revokes a single session.
+ * - Revokes every session of a user.
+ * - Revokes every session in the system (except the caller's own).
+ *
+ * Revoked sessions are rejected by the `protect` middleware immediately and
+ * their refresh tokens can no longer be exchanged for new access tokens.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Session - Session model schema.
+ * @requires User - User model schema.
+ * @requires revokeUserSessions - Helper for revoking all sessions of a user.
+ */
+
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { revokeUserSessions } = require("../../utils/sessionTokens");
+
+/**
+ * Get Active Sessions for a User
+ * ------------------------------
+ * - Retrieves sessions that are neither revoked nor expired.
+ *
+ * @route  GET /prisonsphere/users/:id/sessions
+ * @access Warden Only
+ */
+const getUserSessions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const sessions = await Session.find({
+      user: req.params.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("-refreshTokenHash -previousRefreshTokenHash")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json(sessions);
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Revoke a Single Session
+ * -----------------------
+ * - Marks one session as revoked.
+ *
+ * @route  PUT /prisonsphere/users/sessions/:sessionId/revoke
+ * @access Warden Only
+ */
+const revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({ message: "Invalid session ID format" });
+    }
+
+    const session = await Session.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    if (session.revokedAt) {
+      return res
+        .status(400)
+        .json({ message: "This session has already been revoked." });
+    }
+
+    session.revokedAt = new Date();
+    session.revokedReason = "Revoked by warden";
+    session.revokedBy = req.user.id;
+    await session.save();
+
+    res.status(200).json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Revoke All Sessions of a User
+ * -----------------------------
+ * - Signs a user out of every device.
+ *
+ * @route  PUT /prisonsphere/users/:id/sessions/revoke
+ * @access Warden Only
+ */
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const revokedCount = await revokeUserSessions(
+      user._id,
+      "Revoked by warden",
+      req.user.id
+    );
+
+    res
+      .status(200)
+      .json({ message: "User sessions revoked successfully", revokedCount });
+  } catch (error) {
+    console.error("Error revoking user sessions:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Revoke Every Session
+ * --------------------
+ * - Signs every user out of every device (e.g., after a suspected breach).
+ * - Keeps the calling warden's current session so they are not locked out.
+ *
+ * @route  PUT /prisonsphere/users/sessions/revoke-all
+ * @access Warden Only
+ */
+const revokeAllSessions = async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { revokedAt: null, _id: { $ne: req.user.sid } },
+      {
+        revokedAt: new Date(),
+        revokedReason: "Global revocation by warden",
+        revokedBy: req.user.id,
+      }
+    );
+
+    res.status(200).json({
+      message: "All sessions revoked successfully",
+      revokedCount: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error revoking all sessions:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Export controller functions for use in routes
+module.exports = {
+  getUserSessions,
+  revokeSession,
+  revokeAllUserSessions,
+  revokeAllSessions,
+};
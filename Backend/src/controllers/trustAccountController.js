@@ -0,0 +1,452 @@
+/**
+ * @file trustAccountController.js
+ * @description Manages inmate trust accounts (deposits, withdrawals, commissary and wages) in the PrisonSphere system.
+ * @module controllers/trustAccountController
+ *
+ * This module provides functionalities to:
+ * - Retrieve an inmate's balance and transactions with pagination.
+ * - Post deposits, withdrawals, commissary purchases and work wages.
+ * - Correct a transaction by posting a reversal.
+ * - Generate a PDF statement for a period, with opening and closing balances.
+ *
+ * Transactions are double entries and can never be edited or deleted; withdrawals and
+ * purchases that would overdraw the account are refused.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires TrustTransaction - TrustTransaction model schema.
+ * @requires Inmate - Inmate model schema.
+ * @requires WorkProgramEnrollment - Links wages to the work program they were earned in.
+ * @requires recordAuditEvent - Records posted transactions in the audit trail.
+ * @requires trustLedger - Builds entries, posts transactions and reads balances.
+ * @requires trustAccounts - Transaction types.
+ * @requires pdfPrinter - Renders the statement.
+ */
+
+const mongoose = require("mongoose");
+const TrustTransaction = require("../models/TrustTransaction");
+const Inmate = require("../models/Inmate");
+const WorkProgramEnrollment = require("../models/WorkProgramEnrollment");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  toCents,
+  formatCents,
+  buildEntries,
+  buildReversalEntries,
+  getBalanceChange,
+  getTrustBalance,
+  postTrustTransaction,
+} = require("../../utils/trustLedger");
+const {
+  TRUST_TRANSACTION_TYPES,
+  REVERSAL_TYPE,
+} = require("../config/trustAccounts");
+const { backgroundLogo, sendPdf } = require("../../utils/pdfPrinter");
+
+// Only withdrawals (e.g., paying out the balance) are posted after the release
+const POST_RELEASE_TYPES = ["Withdrawal"];
+
+/**
+ * Get an Inmate's Trust Account
+ * -----------------------------
+ * - Retrieves the current balance and the transactions, most recent first.
+ * - Supports filtering by transaction type and pagination.
+ * - Marks transactions that have been reversed.
+ *
+ * @route  GET /prisonsphere/trust-accounts/inmate/:inmateId
+ * @access Private (trust:view)
+ */
+const getTrustAccount = async (req, res) => {
+  try {
+    const { inmateId } = req.params;
+    const { type, page = 1, limit = 10 } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const query = { inmate: inmateId };
+    if (type) query.type = type;
+
+    const totalTransactions = await TrustTransaction.countDocuments(query);
+    const transactions = await TrustTransaction.find(query)
+      .populate("createdBy", "username")
+      .populate("reverses", "sequence type")
+      .populate({
+        path: "workProgramEnrollment",
+        select: "workProgramId",
+        populate: { path: "workProgramId", select: "name" },
+      })
+      .sort({ sequence: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .lean();
+
+    const reversals = await TrustTransaction.find({
+      inmate: inmateId,
+      reverses: { $in: transactions.map((transaction) => transaction._id) },
+    })
+      .select("reverses")
+      .lean();
+    const reversedIds = new Set(
+      reversals.map((reversal) => String(reversal.reverses))
+    );
+
+    res.status(200).json({
+      balance: await getTrustBalance(inmateId),
+      transactions: transactions.map((transaction) => ({
+        ...transaction,
+        reversed: reversedIds.has(String(transaction._id)),
+      })),
+      totalTransactions,
+      totalPages: Math.ceil(totalTransactions / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Post a Transaction
+ * ------------------
+ * - Posts a deposit, withdrawal, commissary purchase or work wage.
+ * - `amount` is entered in currency units (e.g., 12.50) and stored in cents.
+ * - Work wages must name the inmate's work program enrollment they were earned in.
+ * - Withdrawals and purchases that would overdraw the account are refused.
+ *
+ * @route  POST /prisonsphere/trust-accounts/inmate/:inmateId/transactions
+ * @access Private (trust:transact)
+ */
+const postTransaction = async (req, res) => {
+  try {
+    const { inmateId } = req.params;
+    const { type, description, reference, enrollmentId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+    if (!TRUST_TRANSACTION_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid transaction type." });
+    }
+    const amount = toCents(req.body.amount);
+    if (!amount) {
+      return res.status(400).json({
+        message: "⚠ Please enter a positive amount with up to two decimals.",
+      });
+    }
+
+    const inmate = await Inmate.findById(inmateId).select("status");
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+    if (
+      inmate.status !== "Incarcerated" &&
+      !POST_RELEASE_TYPES.includes(type)
+    ) {
+      return res.status(400).json({
+        message: `⚠ A ${type.toLowerCase()} can only be posted for incarcerated inmates.`,
+      });
+    }
+
+    if (type === "Work Wage") {
+      if (!mongoose.Types.ObjectId.isValid(enrollmentId)) {
+        return res.status(400).json({
+          message: "⚠ Please select the work program the wage was earned in.",
+        });
+      }
+      const enrollment = await WorkProgramEnrollment.findOne({
+        _id: enrollmentId,
+        inmateId,
+      }).select("_id");
+      if (!enrollment) {
+        return res.status(400).json({
+          message: "⚠ The inmate is not enrolled in the selected work program.",
+        });
+      }
+    }
+
+    const { transaction, error } = await postTrustTransaction({
+      inmate: inmateId,
+      type,
+      amount,
+      entries: buildEntries(type, amount),
+      description: description?.trim() || "",
+      reference: reference?.trim() || "",
+      workProgramEnrollment: type === "Work Wage" ? enrollmentId : null,
+      createdBy: req.user?.id || null,
+    });
+    if (error) return res.status(400).json({ message: error });
+
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "TrustTransaction",
+      before: null,
+      after: transaction,
+      inmate: inmateId,
+    });
+
+    res.status(201).json({
+      message: `${type} of ${formatCents(amount)} posted successfully`,
+      transaction,
+      balance: transaction.balanceAfter,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Reverse a Transaction
+ * ---------------------
+ * - Corrects a transaction by posting its debits and credits the other way round.
+ * - A reason is required; reversals themselves cannot be reversed.
+ * - A transaction can only be reversed once, and not if it would overdraw the account
+ *   (e.g., a deposit that has already been spent).
+ *
+ * @route  POST /prisonsphere/trust-accounts/transactions/:id/reverse
+ * @access Private (trust:reverse)
+ */
+const reverseTransaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid transaction ID format" });
+    }
+    if (!reason?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please enter the reason for the reversal." });
+    }
+
+    const original = await TrustTransaction.findById(id).lean();
+    if (!original) {
+      return res.status(404).json({ message: "Transaction not found" });
+    }
+    if (original.type === REVERSAL_TYPE) {
+      return res
+        .status(400)
+        .json({ message: "⚠ A reversal cannot be reversed." });
+    }
+    if (await TrustTransaction.exists({ reverses: original._id })) {
+      return res
+        .status(400)
+        .json({ message: "⚠ This transaction has already been reversed." });
+    }
+
+    let result;
+    try {
+      result = await postTrustTransaction({
+        inmate: original.inmate,
+        type: REVERSAL_TYPE,
+        amount: original.amount,
+        entries: buildReversalEntries(original.entries),
+        description: reason.trim(),
+        reference: original.reference,
+        reverses: original._id,
+        createdBy: req.user?.id || null,
+      });
+    } catch (error) {
+      // Another reversal of the same transaction was posted concurrently
+      if (error.code === 11000 && error.keyPattern?.reverses) {
+        return res
+          .status(400)
+          .json({ message: "⚠ This transaction has already been reversed." });
+      }
+      throw error;
+    }
+    if (result.error) return res.status(400).json({ message: result.error });
+
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "TrustTransaction",
+      before: null,
+      after: result.transaction,
+      inmate: original.inmate,
+    });
+
+    res.status(201).json({
+      message: `Transaction #${original.sequence} reversed successfully`,
+      transaction: result.transaction,
+      balance: result.transaction.balanceAfter,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Download a Statement
+ * --------------------
+ * - Lists the transactions posted between `from` and `to` (inclusive) with the running
+ *   balance, and the opening and closing balances of the period.
+ * - Defaults to the current month.
+ *
+ * @route  GET /prisonsphere/trust-accounts/inmate/:inmateId/statement
+ * @access Private (trust:view)
+ */
+const getStatement = async (req, res) => {
+  try {
+    const { inmateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "Invalid inmate ID format" });
+    }
+
+    const now = new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? new Date(req.query.to) : now;
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ message: "⚠ Invalid statement period." });
+    }
+    to.setHours(23, 59, 59, 999);
+
+    const inmate = await Inmate.findById(inmateId)
+      .select("firstName lastName inmateID")
+      .lean();
+    if (!inmate) {
+      return res.status(404).json({ message: "Inmate not found" });
+    }
+
+    const opening = await TrustTransaction.findOne({
+      inmate: inmateId,
+      createdAt: { $lt: from },
+    })
+      .sort({ sequence: -1 })
+      .select("balanceAfter")
+      .lean();
+    const openingBalance = opening ? opening.balanceAfter : 0;
+
+    const transactions = await TrustTransaction.find({
+      inmate: inmateId,
+      createdAt: { $gte: from, $lte: to },
+    })
+      .populate("reverses", "sequence")
+      .sort({ sequence: 1 })
+      .lean();
+    const closingBalance = transactions.length
+      ? transactions[transactions.length - 1].balanceAfter
+      : openingBalance;
+
+    let totalIn = 0;
+    let totalOut = 0;
+    const rows = transactions.map((transaction) => {
+      const change = getBalanceChange(transaction.entries);
+      if (change > 0) totalIn += change;
+      else totalOut -= change;
+      return [
+        formatDate(transaction.createdAt),
+        transaction.sequence,
+        transaction.reverses
+          ? `${transaction.type} of #${transaction.reverses.sequence}`
+          : transaction.type,
+        transaction.description || "—",
+        change < 0 ? formatCents(-change) : "",
+        change > 0 ? formatCents(change) : "",
+        formatCents(transaction.balanceAfter),
+      ];
+    });
+
+    const docDefinition = {
+      content: [
+        {
+          image: backgroundLogo,
+          width: 400,
+          absolutePosition: { x: 100, y: 150 },
+          opacity: 0.09,
+        },
+        {
+          text: "Trust Account Statement",
+          alignment: "center",
+          fontSize: 18,
+          bold: true,
+          margin: [0, 0, 0, 15],
+        },
+        {
+          table: {
+            widths: [140, "*"],
+            body: [
+              [
+                { text: "Inmate:", bold: true },
+                { text: `${inmate.firstName} ${inmate.lastName}` },
+              ],
+              [{ text: "Inmate ID:", bold: true }, { text: inmate.inmateID }],
+              [
+                { text: "Period:", bold: true },
+                { text: `${formatDate(from)} – ${formatDate(to)}` },
+              ],
+              [
+                { text: "Opening Balance:", bold: true },
+                { text: formatCents(openingBalance) },
+              ],
+              [
+                { text: "Closing Balance:", bold: true },
+                { text: formatCents(closingBalance), bold: true },
+              ],
+            ],
+          },
+          layout: "noBorders",
+          margin: [0, 5, 0, 15],
+        },
+        { text: "Transactions", style: "section" },
+        rows.length > 0
+          ? {
+              table: {
+                headerRows: 1,
+                widths: [60, 25, 80, "*", 45, 45, 50],
+                body: [
+                  [
+                    "Date",
+                    "No.",
+                    "Type",
+                    "Description",
+                    "Out",
+                    "In",
+                    "Balance",
+                  ].map((text) => ({ text, bold: true })),
+                  ...rows,
+                  [
+                    { text: "Totals", bold: true, colSpan: 4 },
+                    "",
+                    "",
+                    "",
+                    { text: formatCents(totalOut), bold: true },
+                    { text: formatCents(totalIn), bold: true },
+                    "",
+                  ],
+                ],
+              },
+              layout: "lightHorizontalLines",
+              fontSize: 9,
+              margin: [0, 5, 0, 10],
+            }
+          : {
+              text: "No transactions were posted in this period.",
+              margin: [0, 5, 0, 10],
+            },
+      ],
+      styles: {
+        section: { bold: true, margin: [0, 10, 0, 5] },
+      },
+    };
+
+    sendPdf(res, docDefinition, `trust_statement_${inmate.inmateID}.pdf`);
+  } catch (error) {
+    console.error("Error generating trust statement:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Helper Function: Format Date as DD/MM/YYYY
+const formatDate = (dateString) => {
+  if (!dateString) return "N/A";
+  return new Date(dateString).toLocaleDateString("en-GB");
+};
+
+module.exports = {
+  getTrustAccount,
+  postTransaction,
+  reverseTransaction,
+  getStatement,
+};
@@ -0,0 +1,303 @@
+/**
+ * @file twoFactorController.js
+ * @description Manages TOTP two-factor authentication enrollment in the PrisonSphere system.
+ * @module controllers/twoFactorController
+ *
+ * This module:
+ * - Reports whether two-factor authentication is enabled or required for the signed-in user.
+ * - Starts enrollment by generating a secret and an `otpauth://` provisioning URI.
+ * - Confirms enrollment with a code from the authenticator app and issues recovery codes.
+ * - Regenerates recovery codes and disables two-factor authentication.
+ * - Starts enrollment during login for roles that require two-factor authentication.
+ *
+ * Security:
+ * - Secrets only become active once a valid code proves the app was set up.
+ * - Recovery codes are shown once and stored as hashes.
+ * - Users in roles that require two-factor authentication cannot disable it.
+ *
+ * @requires bcryptjs - Library for verifying the password before disabling.
+ * @requires User - User model schema.
+ * @requires totp - TOTP secret, code and recovery code helpers.
+ * @requires sessionTokens - Token hashing and challenge token verification.
+ * @requires loginProtection - Security log helper.
+ * @requires permissions - Per-role two-factor requirement.
+ */
+
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const {
+  generateSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require("../../utils/totp");
+const {
+  hashToken,
+  verifyChallengeToken,
+} = require("../../utils/sessionTokens");
+const { logSecurityEvent } = require("../../utils/loginProtection");
+const { isTwoFactorRequired } = require("../config/permissions");
+
+/**
+ * Get Two-Factor Status
+ * ---------------------
+ * - Returns whether two-factor authentication is enabled and required for the caller.
+ *
+ * @route  GET /prisonsphere/auth/2fa
+ * @access Private
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.status(200).json({
+      enabled: user.twoFactorEnabled,
+      required: isTwoFactorRequired(user.role),
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+    });
+  } catch (error) {
+    console.error("Error fetching two-factor status:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Start Two-Factor Enrollment
+ * ---------------------------
+ * - Generates a new secret for the signed-in user.
+ * - The secret stays pending until confirmed with `enableTwoFactor`.
+ *
+ * @route  POST /prisonsphere/auth/2fa/setup
+ * @access Private
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is already enabled.",
+      });
+    }
+
+    res.status(200).json(await startEnrollment(user));
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Start Two-Factor Enrollment During Login
+ * ----------------------------------------
+ * - Used when the login step reports `setupRequired` (role requires two-factor).
+ * - Authenticated by the challenge token instead of a session.
+ *
+ * @route  POST /prisonsphere/auth/2fa/login-setup
+ * @access Public (requires challenge token from the login step)
+ */
+const setupTwoFactorAtLogin = async (req, res) => {
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    if (!userId) {
+      return res
+        .status(401)
+        .json({ message: "Verification expired. Please sign in again." });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is already enabled.",
+      });
+    }
+
+    res.status(200).json(await startEnrollment(user));
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Enable Two-Factor Authentication
+ * --------------------------------
+ * - Confirms the pending secret with a code from the authenticator app.
+ * - Returns a fresh set of recovery codes (shown only once).
+ *
+ * @route  POST /prisonsphere/auth/2fa/enable
+ * @access Private
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is already enabled.",
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res
+        .status(400)
+        .json({ message: "Please set up two-factor authentication first." });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = hashRecoveryCodes(recoveryCodes);
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabledAt = new Date();
+    await user.save();
+
+    await logSecurityEvent(req, "TWO_FACTOR_ENABLED", {
+      username: user.username,
+      user,
+    });
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Regenerate Recovery Codes
+ * -------------------------
+ * - Replaces every recovery code after verifying a current code.
+ *
+ * @route  POST /prisonsphere/auth/2fa/recovery-codes
+ * @access Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is not enabled.",
+      });
+    }
+
+    const step = verifyTotp(
+      user.twoFactorSecret,
+      req.body.code,
+      user.twoFactorLastUsedStep
+    );
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashRecoveryCodes(recoveryCodes);
+    user.twoFactorLastUsedStep = step;
+    await user.save();
+
+    res.status(200).json({
+      message: "Recovery codes regenerated",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Disable Two-Factor Authentication
+ * ---------------------------------
+ * - Removes the secret and recovery codes after verifying the password.
+ * - Refused for roles that require two-factor authentication.
+ *
+ * @route  POST /prisonsphere/auth/2fa/disable
+ * @access Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your role.",
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is not enabled.",
+      });
+    }
+
+    const isMatch = await bcrypt.compare(
+      req.body.password || "",
+      user.password
+    );
+    if (!isMatch) {
+      return res.status(401).json({ message: "Incorrect password" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = null;
+    user.twoFactorEnabledAt = null;
+    await user.save();
+
+    await logSecurityEvent(req, "TWO_FACTOR_DISABLED", {
+      username: user.username,
+      user,
+    });
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Helper Function: Store a new pending secret and return the enrollment details
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  return { secret, otpauthUrl: buildOtpauthUrl(user.username, secret) };
+};
+
+// Helper Function: Hash recovery codes before they are stored
+const hashRecoveryCodes = (codes) =>
+  codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+
+// Export controller functions for use in routes
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  setupTwoFactorAtLogin,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -0,0 +1,398 @@
+/**
+ * @file userController.js
+ * @description Manages staff user accounts within the PrisonSphere system.
+ * @module controllers/userController
+ *
+ * This module:
+ * - Lists all registered staff accounts.
+ * - Creates new accounts with a staff role.
+ * - Updates a user's role and resets passwords.
+ * - Deactivates accounts instead of deleting them.
+ * - Unlocks accounts locked after repeated failed logins.
+ * - Resets two-factor authentication for users who lost their authenticator.
+ * - Revokes a user's sessions when their password is reset or they are deactivated.
+ * - Exposes the role-to-permission matrix for the user management page.
+ *
+ * Security:
+ * - Passwords are hashed by the `User` model's pre-save hook.
+ * - Password hashes and two-factor secrets are never included in responses.
+ * - Wardens cannot demote or deactivate their own account.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires User - User model schema.
+ * @requires revokeUserSessions - Helper for revoking all sessions of a user.
+ * @requires permissions - Staff roles and the role-to-permission matrix.
+ * @requires logSecurityEvent - Helper for writing to the security log.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { revokeUserSessions } = require("../../utils/sessionTokens");
+const { ROLES, ROLE_PERMISSIONS } = require("../config/permissions");
+const { logSecurityEvent } = require("../../utils/loginProtection");
+
+// Roles accepted by the User model
+const USER_ROLES = Object.values(ROLES);
+
+// Minimum length enforced when setting a password
+const MIN_PASSWORD_LENGTH = 8;
+
+// Credentials and two-factor secrets never included in responses
+const PRIVATE_USER_FIELDS = [
+  "password",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorRecoveryCodes",
+  "twoFactorLastUsedStep",
+];
+
+/**
+ * Get All Users
+ * -------------
+ * - Retrieves all staff accounts (without password hashes).
+ * - Supports filtering by role, active state and a username search.
+ *
+ * @route  GET /prisonsphere/users
+ * @access Warden Only
+ */
+const getAllUsers = async (req, res) => {
+  try {
+    const { role, active, search } = req.query;
+
+    const filters = {};
+    if (role) filters.role = role.toLowerCase();
+    if (active === "true") filters.isActive = true;
+    if (active === "false") filters.isActive = false;
+    if (search) filters.username = { $regex: search, $options: "i" };
+
+    const users = await User.find(filters)
+      .select(PRIVATE_USER_FIELDS.map((field) => `-${field}`).join(" "))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json(users);
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create a New User
+ * -----------------
+ * - Adds a new staff account with the given role.
+ * - Prevents duplicate usernames.
+ *
+ * @route  POST /prisonsphere/users
+ * @access Warden Only
+ */
+const createUser = async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    // Validation Checks
+    if (!username)
+      return res.status(400).json({ message: "Please enter a username." });
+    if (!password || password.length < MIN_PASSWORD_LENGTH)
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+      });
+    if (!role || !USER_ROLES.includes(role.toLowerCase()))
+      return res.status(400).json({ message: "Please select a valid role." });
+
+    const existingUser = await User.findOne({ username });
+    if (existingUser) {
+      return res.status(400).json({ message: "Username is already taken." });
+    }
+
+    // The pre-save hook hashes the password
+    const user = await User.create({ username, password, role });
+
+    res.status(201).json({
+      message: "User created successfully",
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a User's Role
+ * --------------------
+ * - Changes the role assigned to an account.
+ * - Signs the user out of every device so the new role applies at once.
+ * - Wardens cannot change their own role.
+ *
+ * @route  PUT /prisonsphere/users/:id/role
+ * @access Warden Only
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    if (!role || !USER_ROLES.includes(role.toLowerCase())) {
+      return res.status(400).json({ message: "Please select a valid role." });
+    }
+
+    if (req.user.id === req.params.id) {
+      return res
+        .status(400)
+        .json({ message: "You cannot change your own role." });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const roleChanged = user.role !== role.toLowerCase();
+    user.role = role;
+    await user.save();
+
+    // Access tokens carry the role, so old tokens must stop working
+    if (roleChanged) {
+      await revokeUserSessions(user._id, "Role changed", req.user.id);
+    }
+
+    res.status(200).json({
+      message: "User role updated successfully",
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Reset a User's Password
+ * -----------------------
+ * - Sets a new password for an account.
+ * - The pre-save hook hashes the new password before it is stored.
+ * - Signs the user out of every device.
+ *
+ * @route  PUT /prisonsphere/users/:id/password
+ * @access Warden Only
+ */
+const resetUserPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    user.password = password;
+    await user.save();
+
+    await revokeUserSessions(user._id, "Password reset", req.user.id);
+
+    res.status(200).json({ message: "Password reset successfully" });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Deactivate a User
+ * -----------------
+ * - Marks an account as inactive so it can no longer sign in.
+ * - Signs the user out of every device.
+ * - Keeps the record so past actions remain attributable.
+ * - Wardens cannot deactivate their own account.
+ *
+ * @route  PUT /prisonsphere/users/:id/deactivate
+ * @access Warden Only
+ */
+const deactivateUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    if (req.user.id === req.params.id) {
+      return res
+        .status(400)
+        .json({ message: "You cannot deactivate your own account." });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.isActive) {
+      return res
+        .status(400)
+        .json({ message: "This account is already deactivated." });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+
+    await revokeUserSessions(user._id, "Account deactivated", req.user.id);
+
+    res.status(200).json({
+      message: "User deactivated successfully",
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    console.error("Error deactivating user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Unlock a User
+ * -------------
+ * - Clears a lockout caused by repeated failed logins.
+ * - Resets the failed-attempt counter.
+ * - Records the unlock in the security log.
+ *
+ * @route  PUT /prisonsphere/users/:id/unlock
+ * @access Private (users:manage)
+ */
+const unlockUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.lockedUntil || user.lockedUntil <= new Date()) {
+      return res.status(400).json({ message: "This account is not locked." });
+    }
+
+    user.lockedUntil = null;
+    user.failedLoginAttempts = 0;
+    await user.save();
+
+    await logSecurityEvent(req, "ACCOUNT_UNLOCKED", {
+      username: user.username,
+      user,
+      reason: "Unlocked by warden",
+      performedBy: req.user.id,
+    });
+
+    res.status(200).json({
+      message: "User unlocked successfully",
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    console.error("Error unlocking user:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Reset a User's Two-Factor Authentication
+ * ----------------------------------------
+ * - Removes the TOTP secret and recovery codes (e.g., after a lost phone).
+ * - Signs the user out of every device.
+ * - Users in roles that require two-factor authentication must enroll again at next login.
+ *
+ * @route  PUT /prisonsphere/users/:id/2fa/reset
+ * @access Private (users:manage)
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is not enabled for this account.",
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = null;
+    user.twoFactorEnabledAt = null;
+    await user.save();
+
+    await revokeUserSessions(user._id, "Two-factor reset", req.user.id);
+
+    await logSecurityEvent(req, "TWO_FACTOR_RESET", {
+      username: user.username,
+      user,
+      reason: "Reset by warden",
+      performedBy: req.user.id,
+    });
+
+    res.status(200).json({
+      message: "Two-factor authentication reset successfully",
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    console.error("Error resetting two-factor authentication:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Roles and Permissions
+ * -------------------------
+ * - Lists every staff role with the permissions it grants.
+ *
+ * @route  GET /prisonsphere/users/roles
+ * @access Private (users:manage)
+ */
+const getRoles = (req, res) => {
+  const roles = USER_ROLES.map((role) => ({
+    role,
+    permissions: ROLE_PERMISSIONS[role],
+  }));
+
+  res.status(200).json(roles);
+};
+
+// Helper Function: Strip the password hash and two-factor secrets from a user document
+const sanitizeUser = (user) => {
+  const safeUser = user.toObject();
+  PRIVATE_USER_FIELDS.forEach((field) => delete safeUser[field]);
+  return safeUser;
+};
+
+// Export controller functions for use in routes
+module.exports = {
+  getAllUsers,
+  getRoles,
+  createUser,
+  updateUserRole,
+  resetUserPassword,
+  deactivateUser,
+  unlockUser,
+  resetUserTwoFactor,
+};
@@ -0,0 +1,620 @@
+/**
+ * @file visitBookingController.js
+ * @description Manages visiting rooms, visiting hours and advance visit bookings in the PrisonSphere system.
+ * @module controllers/visitBookingController
+ *
+ * This controller:
+ * - Creates, lists and updates visiting rooms and their capacity.
+ * - Sets the visiting hours of a housing block.
+ * - Lists the slots open to an inmate on a day, with the places left in each room.
+ * - Books visits, refusing rooms that are full, inmates or visitors already booked,
+ *   and inmates who have used their weekly quota.
+ * - Cancels booked visits or marks them as no-shows.
+ * - Lists bookings for the visiting calendar.
+ *
+ * Visits logged after the fact are recorded through `visitorController`; booked
+ * visits are started and completed at the gate through `visitGateController`.
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires Visit - Visit model schema.
+ * @requires VisitingRoom - Visiting room model schema.
+ * @requires Facility - Facility model schema.
+ * @requires Block - Block model schema.
+ * @requires Inmate - Inmate model schema.
+ * @requires logRecentActivity - Function to log recent system activities.
+ * @requires auditTrail - Records visit bookings in the audit trail.
+ * @requires visitors - Checks the visitor is approved for the inmate, and finds
+ *   sanctions and restrictions that bar the visit.
+ * @requires visits - Builds slots and checks bookings.
+ */
+
+const mongoose = require("mongoose");
+const Visit = require("../models/Visit");
+const VisitingRoom = require("../models/VisitingRoom");
+const Facility = require("../models/Facility");
+const Block = require("../models/Block");
+const Inmate = require("../models/Inmate");
+const {
+  logRecentActivity,
+} = require("../controllers/recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { getApprovedVisitor, getVisitDenial } = require("../../utils/visitors");
+const {
+  getVisitingHoursError,
+  getInmateBlock,
+  parseFacilityDay,
+  buildSlots,
+  findConflictingVisit,
+  countRoomBookings,
+  getWeekRange,
+  countWeeklyVisits,
+  createBooking,
+} = require("../../utils/visits");
+const {
+  VISIT_STATUS_TRANSITIONS,
+  VISIT_CONTACT_TYPES,
+  VISIT_SLOT_MINUTES,
+  WEEKLY_VISIT_QUOTA,
+} = require("../config/visits");
+
+// Statuses set from the calendar, and the activity logged for each
+const STATUS_ACTIVITIES = {
+  Cancelled: "VISIT_CANCELLED",
+  "No-Show": "VISIT_NO_SHOW",
+};
+
+/**
+ * Get Visiting Rooms
+ * ------------------
+ * - Optionally filtered by facility.
+ *
+ * @route  GET /prisonsphere/visits/rooms
+ * @access Private (visitors:view)
+ */
+const getRooms = async (req, res) => {
+  try {
+    const query = req.query.facility ? { facility: req.query.facility } : {};
+    const rooms = await VisitingRoom.find(query)
+      .populate("facility", "name code")
+      .sort({ name: 1 })
+      .lean();
+    res.status(200).json(rooms);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create a Visiting Room
+ * ----------------------
+ * - Ensures the facility exists and the capacity is a whole number.
+ *
+ * @route  POST /prisonsphere/visits/rooms
+ * @access Private (housing:manage)
+ */
+const createRoom = async (req, res) => {
+  try {
+    const { facility, name, capacity } = req.body;
+    const parsedCapacity = Number(capacity);
+
+    if (!name?.trim())
+      return res.status(400).json({ message: "⚠ Room name is required." });
+    if (!Number.isInteger(parsedCapacity) || parsedCapacity < 1) {
+      return res.status(400).json({
+        message: "⚠ Capacity must be a whole number of at least 1.",
+      });
+    }
+    if (
+      !mongoose.Types.ObjectId.isValid(facility) ||
+      !(await Facility.findById(facility))
+    ) {
+      return res.status(404).json({ message: "⚠ Facility not found." });
+    }
+
+    const room = await VisitingRoom.create({
+      facility,
+      name,
+      capacity: parsedCapacity,
+    });
+
+    res
+      .status(201)
+      .json({ message: "Visiting room created successfully", room });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: "⚠ A visiting room with this name already exists.",
+      });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a Visiting Room
+ * ----------------------
+ * - Changes the name, capacity or availability of a room.
+ * - Visits already booked are kept when capacity is reduced or the room is closed.
+ *
+ * @route  PUT /prisonsphere/visits/rooms/:roomId
+ * @access Private (housing:manage)
+ */
+const updateRoom = async (req, res) => {
+  try {
+    const { name, capacity, isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.roomId)) {
+      return res.status(400).json({ message: "Invalid room ID" });
+    }
+
+    const room = await VisitingRoom.findById(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ message: "⚠ Visiting room not found." });
+    }
+
+    if (name !== undefined) {
+      if (!name.trim())
+        return res.status(400).json({ message: "⚠ Room name is required." });
+      room.name = name;
+    }
+    if (capacity !== undefined) {
+      const parsedCapacity = Number(capacity);
+      if (!Number.isInteger(parsedCapacity) || parsedCapacity < 1) {
+        return res.status(400).json({
+          message: "⚠ Capacity must be a whole number of at least 1.",
+        });
+      }
+      room.capacity = parsedCapacity;
+    }
+    if (isActive !== undefined) room.isActive = !!isActive;
+
+    await room.save();
+
+    res
+      .status(200)
+      .json({ message: "Visiting room updated successfully", room });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: "⚠ A visiting room with this name already exists.",
+      });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Set a Block's Visiting Hours
+ * ----------------------------
+ * - Replaces the block's weekly visiting hours.
+ * - Visits already booked outside the new hours are kept.
+ *
+ * @route  PUT /prisonsphere/visits/hours/:blockId
+ * @access Private (housing:manage)
+ */
+const updateVisitingHours = async (req, res) => {
+  try {
+    const { visitingHours } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.blockId)) {
+      return res.status(400).json({ message: "Invalid block ID" });
+    }
+
+    const hoursError = getVisitingHoursError(visitingHours);
+    if (hoursError) return res.status(400).json({ message: hoursError });
+
+    const block = await Block.findById(req.params.blockId);
+    if (!block) {
+      return res.status(404).json({ message: "⚠ Block not found." });
+    }
+
+    block.visitingHours = visitingHours
+      .map(({ day, start, end }) => ({ day: Number(day), start, end }))
+      .sort((a, b) => a.day - b.day || a.start.localeCompare(b.start));
+    await block.save();
+
+    res
+      .status(200)
+      .json({ message: "Visiting hours updated successfully", block });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Visiting Slots for an Inmate
+ * --------------------------------
+ * - Lists the slots in the visiting hours of the inmate's block on a day
+ *   ("YYYY-MM-DD", read on the facility's clock).
+ * - Shows the places left in each active room of the facility, and whether the
+ *   inmate (or the selected visitor) is already booked for the slot.
+ * - Reports how many visits the inmate has used of the weekly quota.
+ *
+ * @route  GET /prisonsphere/visits/slots?inmateId=&date=&visitorId=
+ * @access Private (visitors:view)
+ */
+const getSlots = async (req, res) => {
+  try {
+    const { inmateId, visitorId, date } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "⚠ Please select an inmate." });
+    }
+    const day = parseFacilityDay(date);
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({ message: "⚠ Please select a valid date." });
+    }
+
+    const inmate = await Inmate.findById(inmateId);
+    if (!inmate) {
+      return res.status(404).json({ message: "⚠ Inmate not found." });
+    }
+
+    const block = await getInmateBlock(inmate);
+    if (!block) {
+      return res.status(400).json({
+        message:
+          "⚠ This inmate has no housing assignment, so no visiting hours apply.",
+      });
+    }
+
+    const rooms = await VisitingRoom.find({
+      facility: block.facility,
+      isActive: true,
+    })
+      .sort({ name: 1 })
+      .lean();
+
+    const slots = await Promise.all(
+      buildSlots(block, day).map(async (slot) => ({
+        ...slot,
+        rooms: await Promise.all(
+          rooms.map(async (room) => {
+            const booked = await countRoomBookings(
+              room._id,
+              slot.start,
+              slot.end
+            );
+            return {
+              _id: room._id,
+              name: room.name,
+              capacity: room.capacity,
+              booked,
+              available: Math.max(room.capacity - booked, 0),
+            };
+          })
+        ),
+        inmateBooked: !!(await findConflictingVisit(
+          { inmate: inmateId },
+          slot.start,
+          slot.end
+        )),
+        visitorBooked: mongoose.Types.ObjectId.isValid(visitorId)
+          ? !!(await findConflictingVisit(
+              { visitor: visitorId },
+              slot.start,
+              slot.end
+            ))
+          : false,
+      }))
+    );
+
+    res.status(200).json({
+      block: { _id: block._id, name: block.name, code: block.code },
+      slotMinutes: VISIT_SLOT_MINUTES,
+      weeklyVisits: await countWeeklyVisits(inmateId, day),
+      weeklyQuota: WEEKLY_VISIT_QUOTA,
+      slots,
+    });
+  } catch (error) {
+    console.error("Error fetching visiting slots:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Visit Bookings
+ * ------------------
+ * - Lists visits in a period for the visiting calendar (default: this week).
+ * - Leaves out voided visits.
+ * - Filters by room, inmate or status.
+ *
+ * @route  GET /prisonsphere/visits?from=&to=&room=&inmate=&status=
+ * @access Private (visitors:view)
+ */
+const getBookings = async (req, res) => {
+  try {
+    const { from, to, room, inmate, status } = req.query;
+    const week = getWeekRange(new Date());
+
+    const start = from ? new Date(from) : week.start;
+    const end = to ? new Date(to) : week.end;
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ message: "⚠ Please select valid dates." });
+    }
+
+    const query = { visitTimestamp: { $gte: start, $lt: end }, voidedAt: null };
+    if (room) query.room = room;
+    if (inmate) query.inmate = inmate;
+    if (status) query.status = status;
+
+    const visits = await Visit.find(query)
+      .populate("inmate", "firstName lastName inmateID")
+      .populate("visitor", "fullName contactNumber")
+      .populate("room", "name capacity")
+      .sort({ visitTimestamp: 1 })
+      .lean();
+
+    res.status(200).json(visits);
+  } catch (error) {
+    console.error("Error fetching visit bookings:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Book a Visit
+ * ------------
+ * - Books an approved visitor into a slot of the inmate's visiting hours.
+ * - Refuses the booking while a "Loss of Visits" sanction is in force, and contact
+ *   visits while a "Non-Contact Visits" sanction is in force.
+ * - Refuses banned visitors, and contact visits by visitors restricted to
+ *   non-contact visits.
+ * - Refuses rooms that are closed, in another facility or full for the slot.
+ * - Refuses the booking if the inmate or the visitor is already booked at that time.
+ * - Refuses the booking once the inmate has used the weekly visit quota.
+ * - Claims the room seat, the inmate's and visitor's slot and a weekly quota place as
+ *   the booking is saved, so bookings made at the same moment cannot share them.
+ * - Logs the activity as "VISIT_BOOKED".
+ *
+ * @route  POST /prisonsphere/visits
+ * @access Private (visitors:log)
+ */
+const bookVisit = async (req, res) => {
+  try {
+    const {
+      inmateId,
+      visitorId,
+      roomId,
+      visitTimestamp,
+      purposeOfVisit,
+      staffNotes,
+      contactType = "Contact",
+    } = req.body;
+
+    // **Validation Checks**
+    if (!mongoose.Types.ObjectId.isValid(inmateId))
+      return res.status(400).json({ message: "⚠ Please select an inmate." });
+    if (!mongoose.Types.ObjectId.isValid(visitorId))
+      return res.status(400).json({ message: "⚠ Please select a visitor." });
+    if (!mongoose.Types.ObjectId.isValid(roomId))
+      return res.status(400).json({ message: "⚠ Please select a room." });
+
+    const start = new Date(visitTimestamp);
+    if (isNaN(start.getTime())) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a visiting slot." });
+    }
+    if (start <= new Date()) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Visits can only be booked for a future slot." });
+    }
+    if (!purposeOfVisit)
+      return res
+        .status(400)
+        .json({ message: "⚠ Purpose of visit is required." });
+    if (!VISIT_CONTACT_TYPES.includes(contactType))
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid visit type." });
+
+    const inmate = await Inmate.findById(inmateId);
+    if (!inmate) {
+      return res.status(404).json({ message: "⚠ Inmate not found." });
+    }
+    if (inmate.status !== "Incarcerated") {
+      return res.status(400).json({
+        message: "⚠ Visit booking denied. This inmate is not incarcerated.",
+      });
+    }
+
+    // **No visits while a sanction or visitor restriction bars them**
+    const denial = await getVisitDenial(
+      inmateId,
+      visitorId,
+      contactType,
+      start
+    );
+    if (denial) {
+      return res
+        .status(400)
+        .json({ message: `⚠ Visit booking denied. ${denial}` });
+    }
+
+    // **Only visitors on the inmate's approved list may visit**
+    const approval = await getApprovedVisitor(inmateId, visitorId);
+    if (!approval) {
+      return res.status(400).json({
+        message:
+          "⚠ Visit booking denied. This visitor is not on the inmate's approved-visitor list.",
+      });
+    }
+
+    // **The time must be a slot in the visiting hours of the inmate's block**
+    const block = await getInmateBlock(inmate);
+    if (!block) {
+      return res.status(400).json({
+        message:
+          "⚠ This inmate has no housing assignment, so no visiting hours apply.",
+      });
+    }
+    const slot = buildSlots(block, start).find(
+      (candidate) => candidate.start.getTime() === start.getTime()
+    );
+    if (!slot) {
+      return res.status(400).json({
+        message: `⚠ This time is not a visiting slot for ${block.name}.`,
+      });
+    }
+
+    // **The room must be open, in the inmate's facility and have a place left**
+    const room = await VisitingRoom.findById(roomId);
+    if (
+      !room ||
+      !room.isActive ||
+      String(room.facility) !== String(block.facility)
+    ) {
+      return res.status(400).json({
+        message: "⚠ This room cannot be booked for the inmate's block.",
+      });
+    }
+    if (
+      (await countRoomBookings(roomId, slot.start, slot.end)) >= room.capacity
+    ) {
+      return res
+        .status(409)
+        .json({ message: `⚠ ${room.name} is fully booked for this slot.` });
+    }
+
+    // **Neither the inmate nor the visitor can be in two visits at once**
+    if (
+      await findConflictingVisit({ inmate: inmateId }, slot.start, slot.end)
+    ) {
+      return res.status(409).json({
+        message: "⚠ This inmate already has a visit booked at this time.",
+      });
+    }
+    if (
+      await findConflictingVisit({ visitor: visitorId }, slot.start, slot.end)
+    ) {
+      return res.status(409).json({
+        message: "⚠ This visitor already has a visit booked at this time.",
+      });
+    }
+
+    // **Weekly visit quota**
+    if ((await countWeeklyVisits(inmateId, start)) >= WEEKLY_VISIT_QUOTA) {
+      return res.status(400).json({
+        message: `⚠ This inmate has already used the ${WEEKLY_VISIT_QUOTA} visit(s) allowed this week.`,
+      });
+    }
+
+    // **Claim the places as the booking is saved (bookings made at the same moment cannot share them)**
+    const booking = await createBooking(
+      {
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: approval.relationshipToInmate,
+        visitTimestamp: slot.start,
+        durationMinutes: VISIT_SLOT_MINUTES,
+        visitEnd: slot.end,
+        purposeOfVisit,
+        staffNotes,
+        contactType,
+        status: "Booked",
+        room: roomId,
+        bookedBy: req.user?.id || null,
+      },
+      room
+    );
+    if (booking.error) {
+      return res.status(booking.status).json({ message: booking.error });
+    }
+    const { visit } = booking;
+
+    await logRecentActivity("VISIT_BOOKED");
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Visit",
+      after: visit,
+      inmate: visit.inmate,
+    });
+
+    res.status(201).json({ message: "Visit booked successfully!", visit });
+  } catch (error) {
+    console.error("Error booking visit:", error);
+    res
+      .status(500)
+      .json({ message: "⚠ Server error. Please try again later." });
+  }
+};
+
+/**
+ * Update a Booked Visit's Status
+ * ------------------------------
+ * - Cancels or marks a booked visit as a no-show; visits are started and
+ *   completed by checking the visitor in and out at the gate.
+ * - A reason is required to cancel; visits can only be marked as no-shows once
+ *   the slot has started.
+ * - Cancelled visits free the room, and no longer count towards the weekly quota.
+ *
+ * @route  PUT /prisonsphere/visits/:visitId/status
+ * @access Private (visitors:log)
+ */
+const updateVisitStatus = async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (!STATUS_ACTIVITIES[status]) {
+      return res.status(400).json({
+        message:
+          "⚠ Invalid visit status. Visits are started and completed at the gate.",
+      });
+    }
+    if (status === "Cancelled" && !notes?.trim()) {
+      return res.status(400).json({ message: "⚠ Please give a reason." });
+    }
+
+    const visit = await Visit.findById(req.params.visitId);
+    if (!visit) {
+      return res.status(404).json({ message: "Visit not found" });
+    }
+
+    if (!(VISIT_STATUS_TRANSITIONS[visit.status] || []).includes(status)) {
+      return res.status(400).json({
+        message: `⚠ A visit that is ${visit.status.toLowerCase()} cannot be marked as ${status.toLowerCase()}.`,
+      });
+    }
+    if (status === "No-Show" && visit.visitTimestamp > new Date()) {
+      return res.status(400).json({
+        message: `⚠ A visit cannot be marked as ${status.toLowerCase()} before it starts.`,
+      });
+    }
+
+    const before = visit.toObject();
+    visit.status = status;
+    visit.statusNotes = notes || "";
+    visit.statusChangedBy = req.user?.id || null;
+    visit.statusChangedAt = new Date();
+    await visit.save();
+
+    await logRecentActivity(STATUS_ACTIVITIES[status]);
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType: "Visit",
+      before,
+      after: visit,
+      inmate: visit.inmate,
+    });
+
+    res
+      .status(200)
+      .json({ message: `Visit marked as ${status.toLowerCase()}`, visit });
+  } catch (error) {
+    console.error("Error updating visit status:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getRooms,
+  createRoom,
+  updateRoom,
+  updateVisitingHours,
+  getSlots,
+  getBookings,
+  bookVisit,
+  updateVisitStatus,
+};
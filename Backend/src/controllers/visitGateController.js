@@ -0,0 +1,277 @@
+/**
+ * @file visitGateController.js
+ * @description Manages visitor check-in and check-out at the gate in the PrisonSphere system.
+ * @module controllers/visitGateController
+ *
+ * This controller:
+ * - Checks visitors in for a booked visit, recording the badge issued and the ID checked.
+ * - Checks visitors out, recording how long the visit actually lasted and any overstay.
+ * - Lists the visitors currently on the premises (used for emergency evacuations).
+ *
+ * @requires Visit - Visit model schema.
+ * @requires VisitorProfile - Registered visitor model schema.
+ * @requires logRecentActivity - Function to log recent system activities.
+ * @requires auditTrail - Records check-ins and check-outs in the audit trail.
+ * @requires visitors - Checks the visitor is still approved for the inmate, and finds
+ *   sanctions and restrictions issued since the visit was booked.
+ * @requires visits - ID document types and how early visitors can check in.
+ */
+
+const Visit = require("../models/Visit");
+const VisitorProfile = require("../models/VisitorProfile");
+const {
+  logRecentActivity,
+} = require("../controllers/recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { getApprovedVisitor, getVisitDenial } = require("../../utils/visitors");
+const {
+  ID_DOCUMENT_TYPES,
+  CHECK_IN_EARLY_MINUTES,
+} = require("../config/visits");
+
+/**
+ * Minutes from one time to another, rounded to the nearest minute.
+ *
+ * @param {Date} from - Earlier time.
+ * @param {Date} to - Later time.
+ * @returns {Number} - Whole minutes between them.
+ */
+const minutesBetween = (from, to) =>
+  Math.round((new Date(to) - new Date(from)) / 60000);
+
+/**
+ * Check a Visitor In
+ * ------------------
+ * - Starts a booked visit when the visitor arrives at the gate.
+ * - Requires the badge number issued and the ID document checked; the ID number
+ *   must match the one the visitor registered with, if any.
+ * - The badge must not already be worn by a visitor on the premises (a unique index
+ *   also refuses a badge issued to two visitors checked in at the same moment).
+ * - Refuses visitors arriving too early or after the slot has ended, visitors no
+ *   longer approved or since restricted, and inmates who have since lost visiting
+ *   privileges.
+ * - Logs the activity as "VISITOR_CHECKED_IN".
+ *
+ * @route  POST /prisonsphere/visits/:visitId/check-in
+ * @access Private (visitors:log)
+ */
+const checkInVisitor = async (req, res) => {
+  try {
+    const { badgeNumber, idDocumentType, idDocumentNumber } = req.body;
+
+    if (!badgeNumber?.trim())
+      return res.status(400).json({ message: "⚠ Badge number is required." });
+    if (!ID_DOCUMENT_TYPES.includes(idDocumentType))
+      return res
+        .status(400)
+        .json({ message: "⚠ Select the type of ID document checked." });
+    if (!idDocumentNumber?.trim())
+      return res
+        .status(400)
+        .json({ message: "⚠ ID document number is required." });
+
+    const visit = await Visit.findById(req.params.visitId);
+    if (!visit) {
+      return res.status(404).json({ message: "Visit not found" });
+    }
+    if (visit.status !== "Booked") {
+      return res.status(400).json({
+        message: `⚠ Only booked visits can be checked in. This visit is ${visit.status.toLowerCase()}.`,
+      });
+    }
+
+    // **The visitor must arrive within the check-in window of the slot**
+    const now = new Date();
+    const opensAt = new Date(
+      visit.visitTimestamp.getTime() - CHECK_IN_EARLY_MINUTES * 60000
+    );
+    if (now < opensAt) {
+      return res.status(400).json({
+        message: `⚠ Check-in opens ${CHECK_IN_EARLY_MINUTES} minutes before the visit.`,
+      });
+    }
+    if (visit.visitEnd && now >= visit.visitEnd) {
+      return res.status(400).json({
+        message: "⚠ This visit's slot has ended. Mark it as a no-show instead.",
+      });
+    }
+
+    // **Privileges may have changed since the visit was booked**
+    const denial = await getVisitDenial(
+      visit.inmate,
+      visit.visitor,
+      visit.contactType,
+      now
+    );
+    if (denial) {
+      return res.status(400).json({ message: `⚠ Check-in denied. ${denial}` });
+    }
+    if (!(await getApprovedVisitor(visit.inmate, visit.visitor))) {
+      return res.status(400).json({
+        message:
+          "⚠ Check-in denied. This visitor is no longer on the inmate's approved-visitor list.",
+      });
+    }
+
+    // **The ID presented must be the visitor's own**
+    const visitor = await VisitorProfile.findById(visit.visitor).lean();
+    if (
+      visitor?.idNumber &&
+      visitor.idNumber.trim().toLowerCase() !==
+        idDocumentNumber.trim().toLowerCase()
+    ) {
+      return res.status(400).json({
+        message:
+          "⚠ Check-in denied. The ID number does not match the visitor's registered ID.",
+      });
+    }
+
+    // **Each badge is worn by one visitor at a time**
+    const badgeInUse = `⚠ Badge ${badgeNumber.trim()} is already issued to a visitor on the premises.`;
+    if (
+      await Visit.exists({
+        status: "Checked In",
+        "checkIn.badgeNumber": badgeNumber.trim(),
+      })
+    ) {
+      return res.status(409).json({ message: badgeInUse });
+    }
+
+    const before = visit.toObject();
+    visit.status = "Checked In";
+    visit.statusChangedBy = req.user?.id || null;
+    visit.statusChangedAt = now;
+    visit.checkIn = {
+      at: now,
+      by: req.user?.id || null,
+      badgeNumber,
+      idDocumentType,
+      idDocumentNumber,
+    };
+    try {
+      await visit.save();
+    } catch (error) {
+      // The badge was issued to another visitor checked in at the same moment
+      if (error.code === 11000 && error.keyPattern?.["checkIn.badgeNumber"]) {
+        return res.status(409).json({ message: badgeInUse });
+      }
+      throw error;
+    }
+
+    await logRecentActivity("VISITOR_CHECKED_IN");
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType: "Visit",
+      before,
+      after: visit,
+      inmate: visit.inmate,
+    });
+
+    res.status(200).json({ message: "Visitor checked in successfully", visit });
+  } catch (error) {
+    console.error("Error checking visitor in:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Check a Visitor Out
+ * -------------------
+ * - Completes a visit when the visitor leaves through the gate.
+ * - Records the actual duration from the check-in and check-out times, and the
+ *   minutes the visitor stayed past the end of the slot.
+ * - Logs the activity as "VISITOR_LOGGED".
+ *
+ * @route  POST /prisonsphere/visits/:visitId/check-out
+ * @access Private (visitors:log)
+ */
+const checkOutVisitor = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.visitId);
+    if (!visit) {
+      return res.status(404).json({ message: "Visit not found" });
+    }
+    if (visit.status !== "Checked In") {
+      return res.status(400).json({
+        message: "⚠ Only visitors who are checked in can be checked out.",
+      });
+    }
+
+    const now = new Date();
+    const before = visit.toObject();
+    visit.status = "Completed";
+    visit.statusChangedBy = req.user?.id || null;
+    visit.statusChangedAt = now;
+    visit.loggedBy = req.user?.id || null;
+    visit.checkOut = { at: now, by: req.user?.id || null };
+    visit.actualDurationMinutes = minutesBetween(visit.checkIn.at, now);
+    visit.overstayMinutes = Math.max(minutesBetween(visit.visitEnd, now), 0);
+    await visit.save();
+
+    await logRecentActivity("VISITOR_LOGGED");
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType: "Visit",
+      before,
+      after: visit,
+      inmate: visit.inmate,
+    });
+
+    res.status(200).json({
+      message: visit.overstayMinutes
+        ? `Visitor checked out. ⚠ The visit overran its slot by ${visit.overstayMinutes} minute(s).`
+        : "Visitor checked out successfully",
+      visit,
+    });
+  } catch (error) {
+    console.error("Error checking visitor out:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Visitors on the Premises
+ * ----------------------------
+ * - Lists every visitor checked in and not yet checked out, oldest check-in first.
+ * - Flags visitors who have stayed past the end of their slot, and by how long.
+ *
+ * @route  GET /prisonsphere/visits/on-premises
+ * @access Private (visitors:view)
+ */
+const getVisitorsOnPremises = async (req, res) => {
+  try {
+    const now = new Date();
+    const visits = await Visit.find({ status: "Checked In" })
+      .populate("inmate", "firstName lastName inmateID")
+      .populate("visitor", "fullName contactNumber")
+      .populate("room", "name")
+      .sort({ "checkIn.at": 1 })
+      .lean();
+
+    const onPremises = visits.map((visit) => {
+      const overstayMinutes = Math.max(minutesBetween(visit.visitEnd, now), 0);
+      return {
+        ...visit,
+        minutesOnPremises: minutesBetween(visit.checkIn?.at, now),
+        overstayMinutes,
+        isOverstaying: overstayMinutes > 0,
+      };
+    });
+
+    res.status(200).json({
+      count: onPremises.length,
+      overstaying: onPremises.filter((visit) => visit.isOverstaying).length,
+      generatedAt: now,
+      visits: onPremises,
+    });
+  } catch (error) {
+    console.error("Error fetching visitors on premises:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  checkInVisitor,
+  checkOutVisitor,
+  getVisitorsOnPremises,
+};
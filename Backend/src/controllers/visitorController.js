@@ -1,67 +1,83 @@
 /**
  * @file visitorController.js
- * @description Manages visitor logging and retrieval for inmates in the PrisonSphere system.
+ * @description Manages visit logging and retrieval for inmates in the PrisonSphere system.
  * @module controllers/visitorController
  *
  * This controller:
- * - Logs visitor visits for specific inmates.
- * - Retrieves all visitors for a given inmate.
- * - Fetches detailed visitor records.
- * - Updates visitor details.
+ * - Logs visits by registered visitors on the inmate's approved-visitor list.
+ * - Retrieves all visits to a given inmate.
+ * - Fetches detailed visit records.
+ * - Updates visit details.
+ * - Voids visit records entered by mistake, and lists voided records for auditors.
+ *
+ * Visitors themselves are registered, and approved for each inmate, through the
+ * visitor registry (see `visitorRegistryController`).
  *
  * @requires mongoose - ODM library for MongoDB.
- * @requires Visitor - Visitor model schema.
+ * @requires Visit - Visit model schema.
+ * @requires VisitorProfile - Registered visitor model schema.
  * @requires Inmate - Inmate model schema.
  * @requires logRecentActivity - Function to log recent system activities.
+ * @requires visitors - Checks the visitor is approved for the inmate, and finds
+ *   sanctions and restrictions that bar the visit.
+ * @requires visits - Visit contact types and void reasons.
+ * @requires permissions - Lets auditors see voided visits.
  */
 
-const Visitor = require("../models/Visitor");
+const mongoose = require("mongoose");
+const Visit = require("../models/Visit");
+const VisitorProfile = require("../models/VisitorProfile");
 const Inmate = require("../models/Inmate");
 const {
   logRecentActivity,
 } = require("../controllers/recentActivityLogController"); // Import logging function
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { getApprovedVisitor, getVisitDenial } = require("../../utils/visitors");
+const { VISIT_CONTACT_TYPES, VISIT_VOID_REASONS } = require("../config/visits");
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+
+// Fields of the registered visitor shown with a visit
+const VISITOR_FIELDS = "fullName contactNumber email";
+
+// Visit fields staff can correct after the visit is logged
+const EDITABLE_VISIT_FIELDS = [
+  "visitTimestamp",
+  "durationMinutes",
+  "purposeOfVisit",
+  "staffNotes",
+];
 
 /**
- * Log a Visitor for an Inmate
- * ---------------------------
- * - Registers a visitor visit for a specific inmate.
+ * Log a Visit to an Inmate
+ * ------------------------
+ * - Registers a visit by a registered visitor to a specific inmate.
  * - Ensures the inmate exists before logging the visit.
+ * - Refuses visitors who are not on the inmate's approved-visitor list.
+ * - Refuses the visit while a "Loss of Visits" sanction is in force, and contact
+ *   visits while a "Non-Contact Visits" sanction is in force.
+ * - Refuses banned visitors, and contact visits by visitors restricted to
+ *   non-contact visits.
  * - Logs the activity as "VISITOR_LOGGED".
  *
  * @route  POST /prisonsphere/visitors/:inmateId
- * @access Admin & Warden
+ * @access Private (visitors:log)
  */
 const logVisitor = async (req, res) => {
   try {
-    // Extract visitor details from request body
+    // Extract visit details from request body
     const {
-      visitorName,
-      relationshipToInmate,
-      contactNumber,
-      email,
+      visitorId,
       visitTimestamp,
       durationMinutes,
       purposeOfVisit,
       staffNotes,
+      contactType = "Contact",
     } = req.body;
     const { inmateId } = req.params;
 
     // **Validation Checks**
-    if (!visitorName)
-      return res.status(400).json({ message: "⚠ Visitor Name is required." });
-
-    if (!relationshipToInmate)
-      return res.status(400).json({ message: "⚠ Relationship is required." });
-
-    if (!contactNumber || !/^\d{10,15}$/.test(contactNumber))
-      return res
-        .status(400)
-        .json({ message: "⚠ Enter a valid contact number (10-15 digits)." });
-
-    if (!email || !/^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/.test(email))
-      return res
-        .status(400)
-        .json({ message: "⚠ Enter a valid email address." });
+    if (!visitorId || !mongoose.Types.ObjectId.isValid(visitorId))
+      return res.status(400).json({ message: "⚠ Please select a visitor." });
 
     // **Ensure visit duration is a valid positive integer**
     const parsedVisitDate = new Date(visitTimestamp);
@@ -84,6 +100,11 @@ const logVisitor = async (req, res) => {
         .status(400)
         .json({ message: "⚠ Purpose of visit is required." });
 
+    if (!VISIT_CONTACT_TYPES.includes(contactType))
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid visit type." });
+
     // Check if inmate exists before logging the visit
     const inmate = await Inmate.findById(inmateId);
     if (!inmate) {
@@ -97,23 +118,51 @@ const logVisitor = async (req, res) => {
       });
     }
 
-    // Create the visitor record
-    const visitor = await Visitor.create({
+    // **Prevent visit logging while a sanction or visitor restriction bars it**
+    const denial = await getVisitDenial(
+      inmateId,
+      visitorId,
+      contactType,
+      parsedVisitDate
+    );
+    if (denial) {
+      return res
+        .status(400)
+        .json({ message: `⚠ Visitor logging denied. ${denial}` });
+    }
+
+    // **Only visitors on the inmate's approved list may visit**
+    const approval = await getApprovedVisitor(inmateId, visitorId);
+    if (!approval) {
+      return res.status(400).json({
+        message:
+          "⚠ Visitor logging denied. This visitor is not on the inmate's approved-visitor list.",
+      });
+    }
+
+    // Create the visit record
+    const visit = await Visit.create({
       inmate: inmateId,
-      visitorName,
-      relationshipToInmate,
-      contactNumber,
-      email,
+      visitor: visitorId,
+      relationshipToInmate: approval.relationshipToInmate,
       visitTimestamp: parsedVisitDate,
       durationMinutes: parsedDuration,
       purposeOfVisit,
       staffNotes,
+      contactType,
+      loggedBy: req.user?.id || null,
     });
 
     // Log activity: Visitor logged
     await logRecentActivity("VISITOR_LOGGED");
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "Visit",
+      after: visit,
+      inmate: visit.inmate,
+    });
 
-    res.status(201).json({ message: "Visitor logged successfully!", visitor });
+    res.status(201).json({ message: "Visit logged successfully!", visit });
   } catch (error) {
     console.error("Error logging visitor:", error);
     res
@@ -123,15 +172,16 @@ const logVisitor = async (req, res) => {
 };
 
 /**
- * Get All Visitors for a Specific Inmate
- * --------------------------------------
- * - Retrieves all visitor logs for a given inmate.
+ * Get All Visits to a Specific Inmate
+ * -----------------------------------
+ * - Retrieves all visits to a given inmate, with the visitor's details.
+ * - Leaves out voided visits.
  * - Ensures the inmate exists before querying.
  *
  * @route  GET /prisonsphere/visitors/:inmateId
- * @access Admin & Warden
+ * @access Private (visitors:view)
  */
-const getVisitorsByInmate = async (req, res) => {
+const getVisitsByInmate = async (req, res) => {
   try {
     const { inmateId } = req.params;
     const { page = 1, limit = 5, startDate, endDate, search } = req.query;
@@ -145,7 +195,7 @@ const getVisitorsByInmate = async (req, res) => {
     }
 
     // Build query filters
-    let filters = { inmate: inmateId };
+    let filters = { inmate: inmateId, voidedAt: null };
 
     if (startDate && endDate) {
       filters.visitTimestamp = {
@@ -156,88 +206,258 @@ const getVisitorsByInmate = async (req, res) => {
 
     // Apply search filter for visitor name or purpose
     if (search) {
+      const visitors = await VisitorProfile.find({
+        fullName: { $regex: search, $options: "i" },
+      }).select("_id");
       filters.$or = [
-        { visitorName: { $regex: search, $options: "i" } },
+        { visitor: { $in: visitors.map((visitor) => visitor._id) } },
         { purposeOfVisit: { $regex: search, $options: "i" } },
       ];
     }
 
     // Get total count
-    const totalVisitors = await Visitor.countDocuments(filters);
+    const totalVisits = await Visit.countDocuments(filters);
 
-    // Fetch visitors sorted by latest visit date
-    const visitors = await Visitor.find(filters)
+    // Fetch visits sorted by latest visit date
+    const visits = await Visit.find(filters)
+      .populate("visitor", VISITOR_FIELDS)
+      .populate("room", "name")
       .sort({ visitTimestamp: -1 }) // Sort newest visits first
       .skip(skip)
       .limit(limit);
 
     res.status(200).json({
-      visitors,
-      totalVisitors,
-      totalPages: Math.ceil(totalVisitors / limit),
+      visits,
+      totalVisits,
+      totalPages: Math.ceil(totalVisits / limit),
     });
   } catch (error) {
-    console.error("Error fetching visitors:", error);
+    console.error("Error fetching visits:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
 /**
- * Get a Single Visitor's Details
- * ------------------------------
- * - Retrieves details of a specific visitor.
- * - Populates inmate information for context.
+ * Get a Single Visit's Details
+ * ----------------------------
+ * - Retrieves details of a specific visit.
+ * - Populates inmate and visitor information for context.
+ * - Voided visits are only shown to users who can view the audit trail.
  *
- * @route  GET /prisonsphere/visitors/details/:visitorId
- * @access Admin & Warden
+ * @route  GET /prisonsphere/visitors/details/:visitId
+ * @access Private (visitors:view)
  */
-const getVisitorById = async (req, res) => {
+const getVisitById = async (req, res) => {
   try {
-    const visitor = await Visitor.findById(req.params.visitorId).populate(
-      "inmate",
-      "firstName lastName inmateID"
-    );
+    const visit = await Visit.findById(req.params.visitId)
+      .populate("inmate", "firstName lastName inmateID")
+      .populate("visitor", VISITOR_FIELDS)
+      .populate("void.by", "username");
 
-    if (!visitor) {
-      return res.status(404).json({ message: "Visitor not found" });
+    if (
+      !visit ||
+      (visit.voidedAt && !hasPermission(req.user?.role, PERMISSIONS.AUDIT_VIEW))
+    ) {
+      return res.status(404).json({ message: "Visit not found" });
     }
 
-    res.status(200).json(visitor);
+    res.status(200).json(visit);
   } catch (error) {
-    console.error("Error fetching visitor details:", error);
+    console.error("Error fetching visit details:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
 /**
- * Update a Visitor's Details
- * --------------------------
- * - Updates the visitor record.
+ * Update a Visit's Details
+ * ------------------------
+ * - Corrects the time, duration, purpose or notes of a visit; the inmate and
+ *   visitor cannot be changed.
+ * - A booked visit keeps its slot; it is cancelled and booked again to move it.
+ * - Visits checked in at the gate keep the times recorded at the gate.
  * - Logs the activity as "VISITOR_UPDATED".
  *
- * @route  PUT /prisonsphere/visitors/details/:visitorId
- * @access Warden Only
+ * @route  PUT /prisonsphere/visitors/details/:visitId
+ * @access Private (visitors:update)
  */
-const updateVisitor = async (req, res) => {
+const updateVisit = async (req, res) => {
   try {
-    const visitor = await Visitor.findByIdAndUpdate(
-      req.params.visitorId,
-      req.body,
-      { new: true }
-    );
+    const existingVisit = await Visit.findById(req.params.visitId);
+    if (!existingVisit) {
+      return res.status(404).json({ message: "Visit not found" });
+    }
+    if (existingVisit.voidedAt) {
+      return res
+        .status(400)
+        .json({ message: "⚠ A voided visit cannot be changed." });
+    }
+
+    const updates = {};
+    EDITABLE_VISIT_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
 
-    if (!visitor) {
-      return res.status(404).json({ message: "Visitor not found" });
+    const changesTime =
+      updates.visitTimestamp !== undefined ||
+      updates.durationMinutes !== undefined;
+    if (changesTime && existingVisit.status === "Booked") {
+      return res.status(400).json({
+        message:
+          "⚠ Cancel this booking and book a new slot to change its time.",
+      });
+    }
+    if (changesTime && existingVisit.checkIn) {
+      return res.status(400).json({
+        message:
+          "⚠ The time of a visit checked in at the gate comes from its check-in and check-out.",
+      });
+    }
+
+    // Keep the end of the visit in step with its start and duration
+    if (changesTime) {
+      const start = new Date(
+        updates.visitTimestamp ?? existingVisit.visitTimestamp
+      );
+      const duration = Number(
+        updates.durationMinutes ?? existingVisit.durationMinutes
+      );
+      if (!isNaN(start.getTime()) && duration > 0)
+        updates.visitEnd = new Date(start.getTime() + duration * 60000);
     }
 
-    // Log activity: Visitor details updated
+    const visit = await Visit.findByIdAndUpdate(req.params.visitId, updates, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!visit) {
+      return res.status(404).json({ message: "Visit not found" });
+    }
+
+    // Log activity: Visit details updated
     await logRecentActivity("VISITOR_UPDATED");
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "Visit",
+      before: existingVisit,
+      after: visit,
+      inmate: visit.inmate,
+    });
 
     res
       .status(200)
-      .json({ message: "Visitor details updated successfully", visitor });
+      .json({ message: "Visit details updated successfully", visit });
+  } catch (error) {
+    console.error("Error updating visit:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Void a Visit Record
+ * -------------------
+ * - Removes a visit entered by mistake from the inmate's visits, the visiting
+ *   calendar and the visit counts in reports.
+ * - The record is kept, with who voided it and why, for auditors.
+ * - Needs a reason code; "Other" also needs notes.
+ * - Booked visits are cancelled instead, and visitors on the premises are checked
+ *   out first.
+ * - Logs the activity as "VISITOR_DELETED".
+ *
+ * @route  DELETE /prisonsphere/visitors/details/:visitId
+ * @access Private (visitors:void)
+ */
+const voidVisit = async (req, res) => {
+  try {
+    const { reasonCode, notes } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.visitId)) {
+      return res.status(400).json({ message: "Invalid visit ID format" });
+    }
+    if (!VISIT_VOID_REASONS.includes(reasonCode)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select why the visit is voided." });
+    }
+    if (reasonCode === "Other" && !notes?.trim()) {
+      return res.status(400).json({ message: "⚠ Please give a reason." });
+    }
+
+    const visit = await Visit.findById(req.params.visitId);
+    if (!visit) {
+      return res.status(404).json({ message: "Visit not found" });
+    }
+    if (visit.voidedAt) {
+      return res
+        .status(400)
+        .json({ message: "⚠ This visit has already been voided." });
+    }
+    if (visit.status === "Booked") {
+      return res
+        .status(400)
+        .json({ message: "⚠ Cancel this booking instead of voiding it." });
+    }
+    if (visit.status === "Checked In") {
+      return res.status(400).json({
+        message: "⚠ Check the visitor out before voiding this visit.",
+      });
+    }
+
+    const previousVisit = visit.toObject();
+    visit.voidedAt = new Date();
+    visit.void = {
+      at: visit.voidedAt,
+      by: req.user?.id || null,
+      reasonCode,
+      notes: notes?.trim() || "",
+    };
+    await visit.save();
+
+    await logRecentActivity("VISITOR_DELETED");
+    await recordAuditEvent(req, {
+      action: "DELETE",
+      entityType: "Visit",
+      before: previousVisit,
+      after: visit,
+      inmate: visit.inmate,
+    });
+
+    res.status(200).json({ message: "Visit voided successfully", visit });
+  } catch (error) {
+    console.error("Error voiding visit:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Voided Visits
+ * -----------------
+ * - Lists voided visit records, newest first, optionally for one inmate.
+ *
+ * @route  GET /prisonsphere/visitors/voided
+ * @access Private (audit:view)
+ */
+const getVoidedVisits = async (req, res) => {
+  try {
+    const { inmate } = req.query;
+
+    const query = { voidedAt: { $ne: null } };
+    if (inmate) {
+      if (!mongoose.Types.ObjectId.isValid(inmate)) {
+        return res.status(400).json({ message: "Invalid inmate ID format" });
+      }
+      query.inmate = inmate;
+    }
+
+    const visits = await Visit.find(query)
+      .populate("inmate", "firstName lastName inmateID")
+      .populate("visitor", VISITOR_FIELDS)
+      .populate("void.by", "username")
+      .sort({ voidedAt: -1 })
+      .lean();
+
+    res.status(200).json(visits);
   } catch (error) {
-    console.error("Error updating visitor:", error);
+    console.error("Error fetching voided visits:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
@@ -245,7 +465,9 @@ const updateVisitor = async (req, res) => {
 // Export controller functions for use in routes
 module.exports = {
   logVisitor,
-  getVisitorsByInmate,
-  getVisitorById,
-  updateVisitor,
+  getVisitsByInmate,
+  getVisitById,
+  updateVisit,
+  voidVisit,
+  getVoidedVisits,
 };
@@ -0,0 +1,672 @@
+/**
+ * @file visitorRegistryController.js
+ * @description Manages the visitor registry and each inmate's approved-visitor list in the PrisonSphere system.
+ * @module controllers/visitorRegistryController
+ *
+ * This module provides functionalities to:
+ * - Register a visitor once and reuse them for every visit and inmate.
+ * - Search the registry and view a visitor with their approvals and recent visits.
+ * - Update a visitor's contact details.
+ * - Put a visitor forward for an inmate's approved-visitor list.
+ * - Approve, deny or revoke a visitor for an inmate.
+ * - Restrict a visitor (full ban, non-contact only, or barred from one inmate) until
+ *   an expiry date, and lift restrictions early.
+ *
+ * Approvals move Pending → Approved → Revoked, or Pending → Denied; a denied or revoked
+ * visitor can be put forward again. Every move is kept in the approval's history and
+ * recorded in the audit trail. Restrictions are enforced wherever a visit is logged,
+ * booked or checked in (see `getVisitDenial`).
+ *
+ * @requires mongoose - ODM library for MongoDB.
+ * @requires VisitorProfile - Registered visitor model schema.
+ * @requires VisitorApproval - Visitor approval model schema.
+ * @requires VisitorRestriction - Visitor restriction model schema.
+ * @requires Visit - Visit model schema.
+ * @requires Inmate - Inmate model schema.
+ * @requires logRecentActivity - Logs approval requests, approvals and restrictions.
+ * @requires recordAuditEvent - Records registry, approval and restriction changes in the audit trail.
+ * @requires visitors - Validates visitor details and approval transitions, and finds restrictions in force.
+ * @requires config/visits - Statuses of visits that took place.
+ */
+
+const mongoose = require("mongoose");
+const VisitorProfile = require("../models/VisitorProfile");
+const VisitorApproval = require("../models/VisitorApproval");
+const VisitorRestriction = require("../models/VisitorRestriction");
+const Visit = require("../models/Visit");
+const Inmate = require("../models/Inmate");
+const { logRecentActivity } = require("./recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const {
+  getVisitorDetailsError,
+  canTransitionApproval,
+  getActiveRestrictions,
+} = require("../../utils/visitors");
+const {
+  APPROVAL_STATUSES,
+  REASON_REQUIRED_STATUSES,
+  RESTRICTION_TYPES,
+} = require("../config/visitors");
+const { HELD_VISIT_STATUSES } = require("../config/visits");
+
+// Fields of the inmate and visitor shown with an approval
+const INMATE_FIELDS = "firstName lastName inmateID status";
+const VISITOR_FIELDS = "fullName contactNumber email";
+
+// Visitor fields staff can register or update
+const PROFILE_FIELDS = ["fullName", "contactNumber", "email", "idNumber"];
+
+/**
+ * Picks the visitor fields present in a request body.
+ *
+ * @param {Object} body - Request body.
+ * @returns {Object} - The registry fields that were given.
+ */
+const pickProfileFields = (body) =>
+  PROFILE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] =
+        typeof body[field] === "string" ? body[field].trim() : body[field];
+    }
+    return fields;
+  }, {});
+
+/**
+ * Escapes a search term for use in a regular expression.
+ *
+ * @param {String} term - Search input.
+ * @returns {String} - The term with regex characters escaped.
+ */
+const escapeRegex = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Get Registered Visitors
+ * -----------------------
+ * - Searches the registry by name, contact number, email or ID number.
+ * - Lists the restrictions in force for each visitor.
+ * - Supports pagination.
+ *
+ * @route  GET /prisonsphere/visitor-registry
+ * @access Private (visitors:view)
+ */
+const getVisitorProfiles = async (req, res) => {
+  try {
+    const { search, page = 1, limit = 10 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 10, 1);
+
+    const query = {};
+    if (search?.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i");
+      query.$or = [
+        { fullName: pattern },
+        { contactNumber: pattern },
+        { email: pattern },
+        { idNumber: pattern },
+      ];
+    }
+
+    const totalVisitors = await VisitorProfile.countDocuments(query);
+    const visitors = await VisitorProfile.find(query)
+      .sort({ fullName: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean();
+
+    const restrictions = await getActiveRestrictions(
+      visitors.map((visitor) => visitor._id)
+    );
+    visitors.forEach((visitor) => {
+      visitor.activeRestrictions = restrictions.filter(
+        (restriction) => String(restriction.visitor) === String(visitor._id)
+      );
+    });
+
+    res.status(200).json({
+      visitors,
+      totalVisitors,
+      totalPages: Math.ceil(totalVisitors / pageSize),
+      currentPage: pageNumber,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Register a Visitor
+ * ------------------
+ * - Adds a visitor to the registry so they can be put forward for inmates' lists.
+ * - Refuses a visitor already registered under the same name and contact number.
+ *
+ * @route  POST /prisonsphere/visitor-registry
+ * @access Private (visitors:log)
+ */
+const registerVisitor = async (req, res) => {
+  try {
+    const details = pickProfileFields(req.body);
+    const detailsError = getVisitorDetailsError(details);
+    if (detailsError) {
+      return res.status(400).json({ message: detailsError });
+    }
+
+    const existingVisitor = await VisitorProfile.findOne({
+      fullName: new RegExp(`^${escapeRegex(details.fullName)}$`, "i"),
+      contactNumber: details.contactNumber,
+    }).lean();
+    if (existingVisitor) {
+      return res
+        .status(409)
+        .json({ message: "⚠ This visitor is already registered." });
+    }
+
+    const visitor = await VisitorProfile.create({
+      ...details,
+      registeredBy: req.user?.id || null,
+    });
+
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "VisitorProfile",
+      after: visitor,
+    });
+
+    res
+      .status(201)
+      .json({ message: "Visitor registered successfully!", visitor });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get a Registered Visitor
+ * ------------------------
+ * - Returns the visitor with the inmates they are on the list of, their
+ *   restrictions and the recent visits that took place.
+ *
+ * @route  GET /prisonsphere/visitor-registry/:visitorId
+ * @access Private (visitors:view)
+ */
+const getVisitorProfileById = async (req, res) => {
+  try {
+    const { visitorId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(visitorId)) {
+      return res.status(400).json({ message: "Invalid visitor ID format" });
+    }
+
+    const visitor = await VisitorProfile.findById(visitorId).lean();
+    if (!visitor) {
+      return res.status(404).json({ message: "Visitor not found" });
+    }
+
+    const approvals = await VisitorApproval.find({ visitor: visitorId })
+      .populate("inmate", INMATE_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+    const visits = await Visit.find({
+      visitor: visitorId,
+      status: { $in: HELD_VISIT_STATUSES },
+      voidedAt: null,
+    })
+      .populate("inmate", "firstName lastName inmateID")
+      .sort({ visitTimestamp: -1 })
+      .limit(10)
+      .lean();
+    const restrictions = await VisitorRestriction.find({ visitor: visitorId })
+      .populate("inmate", "firstName lastName inmateID")
+      .populate("issuedBy liftedBy", "username")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({ visitor, approvals, restrictions, visits });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a Registered Visitor
+ * ---------------------------
+ * - Updates the visitor's contact details; every inmate's list and visit history
+ *   picks up the change.
+ * - Logs the activity as "VISITOR_UPDATED".
+ *
+ * @route  PUT /prisonsphere/visitor-registry/:visitorId
+ * @access Private (visitors:update)
+ */
+const updateVisitorProfile = async (req, res) => {
+  try {
+    const { visitorId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(visitorId)) {
+      return res.status(400).json({ message: "Invalid visitor ID format" });
+    }
+
+    const updates = pickProfileFields(req.body);
+    const detailsError = getVisitorDetailsError(updates, true);
+    if (detailsError) {
+      return res.status(400).json({ message: detailsError });
+    }
+
+    const visitor = await VisitorProfile.findById(visitorId);
+    if (!visitor) {
+      return res.status(404).json({ message: "Visitor not found" });
+    }
+
+    const previousVisitor = visitor.toObject();
+    visitor.set(updates);
+    await visitor.save();
+
+    await logRecentActivity("VISITOR_UPDATED");
+    await recordAuditEvent(req, {
+      action: "UPDATE",
+      entityType: "VisitorProfile",
+      before: previousVisitor,
+      after: visitor,
+    });
+
+    res
+      .status(200)
+      .json({ message: "Visitor details updated successfully", visitor });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Visitor Approvals
+ * ---------------------
+ * - Lists approvals, filtered by inmate, visitor and status (e.g. an inmate's
+ *   approved-visitor list, or the requests waiting for a decision).
+ *
+ * @route  GET /prisonsphere/visitor-registry/approvals
+ * @access Private (visitors:view)
+ */
+const getApprovals = async (req, res) => {
+  try {
+    const { inmate, visitor, status } = req.query;
+
+    const query = {};
+    for (const [field, id] of Object.entries({ inmate, visitor })) {
+      if (!id) continue;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: `Invalid ${field} ID format` });
+      }
+      query[field] = id;
+    }
+    if (status) query.status = status;
+
+    const approvals = await VisitorApproval.find(query)
+      .populate("inmate", INMATE_FIELDS)
+      .populate("visitor", VISITOR_FIELDS)
+      .populate("history.changedBy", "username")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json(approvals);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Request a Visitor Approval
+ * --------------------------
+ * - Puts a registered visitor forward for an inmate's approved-visitor list.
+ * - A visitor who was denied or revoked is put forward again.
+ * - Logs the activity as "VISITOR_APPROVAL_REQUESTED".
+ *
+ * @route  POST /prisonsphere/visitor-registry/approvals
+ * @access Private (visitors:log)
+ */
+const requestApproval = async (req, res) => {
+  try {
+    const { inmateId, visitorId, relationshipToInmate, notes } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(inmateId)) {
+      return res.status(400).json({ message: "⚠ Please select an inmate." });
+    }
+    if (!mongoose.Types.ObjectId.isValid(visitorId)) {
+      return res.status(400).json({ message: "⚠ Please select a visitor." });
+    }
+    if (!relationshipToInmate?.trim()) {
+      return res.status(400).json({ message: "⚠ Relationship is required." });
+    }
+
+    const inmate = await Inmate.findById(inmateId).select("status").lean();
+    if (!inmate) {
+      return res.status(404).json({ message: "⚠ Inmate not found." });
+    }
+    if (inmate.status !== "Incarcerated") {
+      return res
+        .status(400)
+        .json({ message: "⚠ This inmate is not incarcerated." });
+    }
+
+    const visitor = await VisitorProfile.findById(visitorId)
+      .select("_id")
+      .lean();
+    if (!visitor) {
+      return res.status(404).json({ message: "Visitor not found" });
+    }
+
+    const entry = {
+      status: "Pending",
+      notes: notes?.trim() || "",
+      changedBy: req.user?.id || null,
+      changedAt: new Date(),
+    };
+
+    let approval = await VisitorApproval.findOne({
+      inmate: inmateId,
+      visitor: visitorId,
+    });
+    let previousApproval = null;
+
+    if (approval) {
+      if (!canTransitionApproval(approval.status, "Pending")) {
+        return res.status(409).json({
+          message: `⚠ This visitor is already ${approval.status.toLowerCase()} for this inmate.`,
+        });
+      }
+      previousApproval = approval.toObject();
+      approval.history.push({ ...entry, fromStatus: approval.status });
+      approval.status = "Pending";
+      approval.relationshipToInmate = relationshipToInmate.trim();
+      approval.requestedBy = req.user?.id || null;
+      approval.decidedAt = null;
+      await approval.save();
+    } else {
+      approval = await VisitorApproval.create({
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: relationshipToInmate.trim(),
+        requestedBy: req.user?.id || null,
+        history: [{ ...entry, fromStatus: null }],
+      });
+    }
+
+    await logRecentActivity("VISITOR_APPROVAL_REQUESTED");
+    await recordAuditEvent(req, {
+      action: previousApproval ? "STATUS_CHANGE" : "CREATE",
+      entityType: "VisitorApproval",
+      before: previousApproval,
+      after: approval,
+      inmate: approval.inmate,
+    });
+
+    res.status(previousApproval ? 200 : 201).json({
+      message: "Visitor put forward for approval",
+      approval,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: "⚠ This visitor is already on the inmate's list.",
+      });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Decide a Visitor Approval
+ * -------------------------
+ * - Approves or denies a pending visitor, or revokes an approved one.
+ * - Denials and revocations need a reason.
+ * - Logs the activity as "VISITOR_APPROVED" when the visitor is approved.
+ *
+ * @route  PUT /prisonsphere/visitor-registry/approvals/:approvalId
+ * @access Private (visitors:approve)
+ */
+const decideApproval = async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.approvalId)) {
+      return res.status(400).json({ message: "Invalid approval ID format" });
+    }
+    if (!APPROVAL_STATUSES.includes(status) || status === "Pending") {
+      return res.status(400).json({
+        message: "⚠ A visitor can only be approved, denied or revoked.",
+      });
+    }
+    if (REASON_REQUIRED_STATUSES.includes(status) && !notes?.trim()) {
+      return res.status(400).json({ message: "⚠ Please give a reason." });
+    }
+
+    const approval = await VisitorApproval.findById(req.params.approvalId);
+    if (!approval) {
+      return res.status(404).json({ message: "Approval not found" });
+    }
+    if (!canTransitionApproval(approval.status, status)) {
+      return res.status(400).json({
+        message: `⚠ A visitor who is ${approval.status.toLowerCase()} cannot be ${status.toLowerCase()}.`,
+      });
+    }
+
+    const previousApproval = approval.toObject();
+    const changedAt = new Date();
+    approval.history.push({
+      status,
+      fromStatus: approval.status,
+      notes: notes?.trim() || "",
+      changedBy: req.user?.id || null,
+      changedAt,
+    });
+    approval.status = status;
+    approval.decidedAt = changedAt;
+    await approval.save();
+
+    if (status === "Approved") {
+      await logRecentActivity("VISITOR_APPROVED");
+    }
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType: "VisitorApproval",
+      before: previousApproval,
+      after: approval,
+      inmate: approval.inmate,
+    });
+
+    res.status(200).json({
+      message: `Visitor ${status.toLowerCase()} successfully`,
+      approval,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Visitor Restrictions
+ * ------------------------
+ * - Lists restrictions, filtered by visitor and inmate.
+ * - `active=true` lists only the restrictions in force now.
+ *
+ * @route  GET /prisonsphere/visitor-registry/restrictions
+ * @access Private (visitors:view)
+ */
+const getRestrictions = async (req, res) => {
+  try {
+    const { visitor, inmate, active } = req.query;
+
+    const query = {};
+    for (const [field, id] of Object.entries({ visitor, inmate })) {
+      if (!id) continue;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: `Invalid ${field} ID format` });
+      }
+      query[field] = id;
+    }
+    if (active === "true") {
+      const now = new Date();
+      query.liftedAt = null;
+      query.startDate = { $lte: now };
+      query.expiresAt = { $gt: now };
+    }
+
+    const restrictions = await VisitorRestriction.find(query)
+      .populate("visitor", VISITOR_FIELDS)
+      .populate("inmate", INMATE_FIELDS)
+      .populate("issuedBy liftedBy", "username")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json(restrictions);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Restrict a Visitor
+ * ------------------
+ * - Bars a visitor from every visit, limits them to non-contact visits, or bars
+ *   them from one inmate, until an expiry date.
+ * - Needs a reason; the signed-in officer is recorded as the issuer.
+ * - Logs the activity as "VISITOR_RESTRICTED".
+ *
+ * @route  POST /prisonsphere/visitor-registry/:visitorId/restrictions
+ * @access Private (visitors:restrict)
+ */
+const restrictVisitor = async (req, res) => {
+  try {
+    const { visitorId } = req.params;
+    const { type, inmateId, reason, startDate, expiresAt } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(visitorId)) {
+      return res.status(400).json({ message: "Invalid visitor ID format" });
+    }
+    if (!RESTRICTION_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid restriction type." });
+    }
+    if (
+      type === "Inmate-Specific" &&
+      !mongoose.Types.ObjectId.isValid(inmateId)
+    ) {
+      return res.status(400).json({ message: "⚠ Please select an inmate." });
+    }
+    if (!reason?.trim()) {
+      return res.status(400).json({ message: "⚠ Please give a reason." });
+    }
+
+    const start = startDate ? new Date(startDate) : new Date();
+    const expiry = new Date(expiresAt);
+    if (isNaN(start.getTime())) {
+      return res
+        .status(400)
+        .json({ message: "⚠ Please select a valid start date." });
+    }
+    if (isNaN(expiry.getTime()) || expiry <= start || expiry <= new Date()) {
+      return res.status(400).json({
+        message: "⚠ The expiry date must be in the future and after the start.",
+      });
+    }
+
+    const visitor = await VisitorProfile.findById(visitorId)
+      .select("_id")
+      .lean();
+    if (!visitor) {
+      return res.status(404).json({ message: "Visitor not found" });
+    }
+    if (
+      type === "Inmate-Specific" &&
+      !(await Inmate.exists({ _id: inmateId }))
+    ) {
+      return res.status(404).json({ message: "⚠ Inmate not found." });
+    }
+
+    const restriction = await VisitorRestriction.create({
+      visitor: visitorId,
+      type,
+      inmate: type === "Inmate-Specific" ? inmateId : null,
+      reason: reason.trim(),
+      issuedBy: req.user?.id || null,
+      startDate: start,
+      expiresAt: expiry,
+    });
+
+    await logRecentActivity("VISITOR_RESTRICTED");
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "VisitorRestriction",
+      after: restriction,
+      inmate: restriction.inmate,
+    });
+
+    res
+      .status(201)
+      .json({ message: "Visitor restricted successfully", restriction });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Lift a Visitor Restriction
+ * --------------------------
+ * - Ends a restriction before it expires; needs a reason.
+ * - The restriction is kept, with who lifted it and why.
+ *
+ * @route  PUT /prisonsphere/visitor-registry/restrictions/:restrictionId/lift
+ * @access Private (visitors:restrict)
+ */
+const liftRestriction = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.restrictionId)) {
+      return res.status(400).json({ message: "Invalid restriction ID format" });
+    }
+    if (!reason?.trim()) {
+      return res.status(400).json({ message: "⚠ Please give a reason." });
+    }
+
+    const restriction = await VisitorRestriction.findById(
+      req.params.restrictionId
+    );
+    if (!restriction) {
+      return res.status(404).json({ message: "Restriction not found" });
+    }
+    if (restriction.liftedAt || restriction.expiresAt <= new Date()) {
+      return res.status(400).json({
+        message: `⚠ This restriction has already ${
+          restriction.liftedAt ? "been lifted" : "expired"
+        }.`,
+      });
+    }
+
+    const previousRestriction = restriction.toObject();
+    restriction.liftedAt = new Date();
+    restriction.liftedBy = req.user?.id || null;
+    restriction.liftReason = reason.trim();
+    await restriction.save();
+
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType: "VisitorRestriction",
+      before: previousRestriction,
+      after: restriction,
+      inmate: restriction.inmate,
+    });
+
+    res
+      .status(200)
+      .json({ message: "Restriction lifted successfully", restriction });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getVisitorProfiles,
+  registerVisitor,
+  getVisitorProfileById,
+  updateVisitorProfile,
+  getApprovals,
+  requestApproval,
+  decideApproval,
+  getRestrictions,
+  restrictVisitor,
+  liftRestriction,
+};
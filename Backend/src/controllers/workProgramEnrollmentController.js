@@ -10,6 +10,8 @@
  * - Auto-completes work programs when the end date is met.
  * - Calculates performance ratings based on behavioral logs.
  * - Ensures inmates can only have one active work program at a time.
+ * - Refuses programs that do not accept the inmate's custody level.
+ * - Refuses programs with an inmate they must be kept separate from.
  *
  * @requires mongoose - MongoDB ODM library.
  * @requires WorkProgramEnrollment - The Work Program Enrollment model.
@@ -17,6 +19,10 @@
  * @requires Inmate - The Inmate model.
  * @requires BehavioralLog - The Behavioral Log model.
  * @requires logRecentActivity - Function to log activities in the system.
+ * @requires recordAuditEvent - Records enrollments and completions in the audit trail.
+ * @requires getPlacementError - Checks placements against custody levels.
+ * @requires getKeepSeparateError - Checks placements against keep-separate alerts.
+ * @requires redactHealthSessions - Hides health session details from non-medical staff.
  */
 
 const mongoose = require("mongoose");
@@ -26,11 +32,17 @@ const Inmate = require("../models/Inmate");
 const BehavioralLog = require("../models/BehaviorLog");
 const ActivityLog = require("../models/ActivityLog");
 const { logRecentActivity } = require("./recentActivityLogController");
+const { recordAuditEvent } = require("../../utils/auditTrail");
+const { getPlacementError } = require("../../utils/classification");
+const { getKeepSeparateError } = require("../../utils/alerts");
+const { redactHealthSessions } = require("../../utils/medical");
 
 /**
  * Assign an Inmate to a Work Program
  * ----------------------------------
  * - Ensures an inmate cannot be enrolled in more than one active work program.
+ * - Refuses programs that do not accept the inmate's custody level.
+ * - Refuses programs with an inmate they must be kept separate from.
  * - Logs the assignment as a recent activity.
  *
  * @route   POST /prisonsphere/work-programs/enroll
@@ -65,6 +77,16 @@ const assignInmateToWorkProgram = async (req, res) => {
       });
     }
 
+    // Check the program accepts the inmate's custody level
+    const placementError = getPlacementError(
+      inmate.custodyLevel,
+      workProgram.maxCustodyLevel,
+      workProgram.name
+    );
+    if (placementError) {
+      return res.status(400).json({ message: placementError });
+    }
+
     // Check if the inmate is already in an active work program
     const existingEnrollment = await WorkProgramEnrollment.findOne({
       inmateId,
@@ -78,6 +100,20 @@ const assignInmateToWorkProgram = async (req, res) => {
       });
     }
 
+    // Check no one in the program must be kept separate from the inmate
+    const participants = await WorkProgramEnrollment.distinct("inmateId", {
+      workProgramId,
+      status: "Active",
+    });
+    const keepSeparateError = await getKeepSeparateError(
+      inmate._id,
+      participants,
+      workProgram.name
+    );
+    if (keepSeparateError) {
+      return res.status(400).json({ message: keepSeparateError });
+    }
+
     // Create a new work program enrollment
     const newEnrollment = new WorkProgramEnrollment({
       inmateId,
@@ -90,6 +126,12 @@ const assignInmateToWorkProgram = async (req, res) => {
 
     // Log recent activity
     await logRecentActivity("WORK_PROGRAM_ENROLLED");
+    await recordAuditEvent(req, {
+      action: "CREATE",
+      entityType: "WorkProgramEnrollment",
+      after: newEnrollment,
+      inmate: newEnrollment.inmateId,
+    });
 
     res.status(201).json({ message: "Work program assigned successfully!" });
   } catch (error) {
@@ -246,10 +288,20 @@ const autoCompleteWorkPrograms = async () => {
       // Calculate final performance rating from behavioral logs
       const finalRating = await calculatePerformanceRating(program._id);
 
+      const previousProgram = program.toObject();
       program.status = "Completed";
       program.completionDate = today;
       program.performanceRating = finalRating;
       await program.save();
+
+      // Scheduled job: recorded without an actor
+      await recordAuditEvent(null, {
+        action: "STATUS_CHANGE",
+        entityType: "WorkProgramEnrollment",
+        before: previousProgram,
+        after: program,
+        inmate: program.inmateId,
+      });
     }
 
     if (programsToComplete.length > 0) {
@@ -364,7 +416,7 @@ const getWorkProgramSampleDisplay = async (req, res) => {
       workProgram: activeProgram,
       performanceRating,
       behavioralLog: latestBehavioralLog || null,
-      activityLogs: latestActivityLogs,
+      activityLogs: redactHealthSessions(latestActivityLogs, req.user?.role),
     });
   } catch (error) {
     console.error("Error fetching sample work program display:", error);
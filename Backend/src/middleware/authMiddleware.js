@@ -5,18 +5,23 @@
  *
  * This module:
  * - Protects API routes by enforcing authentication using JWT.
- * - Restricts access to certain routes based on user roles.
+ * - Restricts access to routes based on the permissions granted to the user's role.
  * - Ensures only authorized users can perform specific actions.
  *
  * Security Features:
  * - Extracts JWT from HTTP-only cookies or Authorization headers.
  * - Verifies and decodes the token to authenticate users.
- * - Prevents access to unauthorized users based on role.
+ * - Rejects tokens whose server-side session has been revoked or has expired.
+ * - Prevents access to unauthorized users based on role permissions.
  *
  * @requires jsonwebtoken - Library for verifying JWT tokens.
+ * @requires Session - The Session model.
+ * @requires hasPermission - Helper for checking the role-to-permission matrix.
  */
 
 const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const { hasPermission } = require("../config/permissions");
 
 /**
  * Protect Middleware (Authentication)
@@ -25,46 +30,58 @@ const jwt = require("jsonwebtoken");
  * - Extracts JWT from either:
  *   - HTTP-only cookies (`req.cookies.token`).
  *   - Authorization header (`Bearer Token` format).
+ * - Checks that the session referenced by the token (`sid`) is still active.
  * - If the token is valid, attaches the decoded user object to `req.user` and allows access.
- * - If invalid or missing, returns a `401 Unauthorized` response.
+ * - If invalid, missing, or revoked, returns a `401 Unauthorized` response.
  *
  * @middleware protect
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
  * @param {Function} next - Express next middleware function.
  */
-const protect = (req, res, next) => {
+const protect = async (req, res, next) => {
   let token = req.cookies.token || req.headers.authorization?.split(" ")[1];
 
   if (!token) return res.status(401).json({ message: "Unauthorized" });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Attach user details to request
-    next(); // Proceed to next middleware or route handler
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    res.status(401).json({ message: "Invalid token" });
+    return res.status(401).json({ message: "Invalid token" });
   }
+
+  try {
+    // Reject tokens whose session was revoked (logout, warden action, etc.)
+    const session = decoded.sid && (await Session.findById(decoded.sid));
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: "Session has been revoked" });
+    }
+  } catch (error) {
+    return res.status(500).json({ message: "Server error" });
+  }
+
+  req.user = decoded; // Attach user details to request
+  next(); // Proceed to next middleware or route handler
 };
 
 /**
- * Role-Based Access Control (RBAC) - Warden Only
- * ----------------------------------------------
- * - Ensures that only users with the "warden" role can access certain routes.
+ * Permission-Based Access Control
+ * -------------------------------
+ * - Ensures the authenticated user's role grants the permission a route requires.
+ * - Permissions per role are defined in `config/permissions.js`.
  * - Assumes that `protect` middleware has already authenticated the user.
- * - If the user is not a warden, returns a `403 Forbidden` response.
+ * - If the role lacks the permission, returns a `403 Forbidden` response.
  *
- * @middleware isWarden
- * @param {Object} req - Express request object.
- * @param {Object} res - Express response object.
- * @param {Function} next - Express next middleware function.
+ * @middleware authorize
+ * @param {String} permission - The permission required by the route (e.g., "inmates:update").
+ * @returns {Function} - Express middleware enforcing the permission.
  */
-
-const isWarden = (req, res, next) => {
-  if (req.user.role !== "warden") {
+const authorize = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user.role, permission)) {
     return res.status(403).json({ message: "Access denied" });
   }
   next();
 };
 
-module.exports = { protect, isWarden };
+module.exports = { protect, authorize };
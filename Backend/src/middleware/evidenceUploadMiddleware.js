@@ -0,0 +1,45 @@
+/**
+ * @file evidenceUploadMiddleware.js
+ * @description Configures `multer` with `multer-storage-cloudinary` to handle incident evidence uploads to Cloudinary.
+ * @module middleware/evidenceUploadMiddleware
+ *
+ * This module:
+ * - Accepts photos and scanned documents (`jpg`, `png`, `jpeg`, `pdf`) attached to incident reports.
+ * - Organizes uploaded files into the "prisonsphere_evidence" folder in Cloudinary,
+ *   apart from inmate profile images.
+ *
+ * Usage:
+ * - Example:
+ *     router.post('/:id/evidence', evidenceUpload.array('evidence', 5), (req, res) => { ... });
+ *
+ * @requires multer - Middleware for handling file uploads.
+ * @requires multer-storage-cloudinary - Cloudinary storage engine for Multer.
+ * @requires cloudinary - Cloudinary configuration utility.
+ */
+
+const multer = require("multer");
+const { CloudinaryStorage } = require("multer-storage-cloudinary");
+const cloudinary = require("../../utils/cloudinary");
+
+/**
+ * Cloudinary Storage Configuration
+ * ---------------------------------
+ * - Stores evidence in the "prisonsphere_evidence" folder.
+ * - `resource_type: "auto"` lets Cloudinary accept PDF documents as well as images.
+ */
+const storage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: "prisonsphere_evidence",
+    allowed_formats: ["jpg", "png", "jpeg", "pdf"],
+    resource_type: "auto",
+  },
+});
+
+// Limit each evidence file to 10 MB
+const evidenceUpload = multer({
+  storage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+module.exports = evidenceUpload;
@@ -0,0 +1,68 @@
+/**
+ * @file Alert.js
+ * @description Defines the Mongoose schema for alerts and flags on inmate records in the PrisonSphere system.
+ * @module models/Alert
+ *
+ * This schema:
+ * - Records warnings such as medical conditions, self-harm risk or gang affiliation.
+ * - Names the other inmate for "Keep Separate" alerts; the two inmates may not share
+ *   a cell or an active work program while the alert is active.
+ * - Expires automatically at `expiresAt`, or when it is deactivated.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires alerts - Alert types and severities.
+ */
+
+const mongoose = require("mongoose");
+const { ALERT_TYPES, ALERT_SEVERITIES } = require("../config/alerts");
+
+/**
+ * @typedef Alert
+ * @property {ObjectId} inmate - Reference to the flagged inmate (required).
+ * @property {String} type - Kind of alert (e.g., Medical, Keep Separate) (required).
+ * @property {String} severity - Low, Medium or High (default: Medium).
+ * @property {String} description - Details officers need to know (required).
+ * @property {ObjectId} separateFrom - Inmate to keep apart from (Keep Separate alerts only).
+ * @property {Date} expiresAt - When the alert stops applying (null if it does not expire).
+ * @property {Boolean} isActive - False once the alert has been deactivated (default: true).
+ * @property {ObjectId} createdBy - Reference to the user who raised the alert.
+ * @property {ObjectId} deactivatedBy - Reference to the user who deactivated the alert.
+ * @property {Date} deactivatedAt - When the alert was deactivated.
+ */
+const alertSchema = new mongoose.Schema(
+  {
+    inmate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inmate",
+      required: true,
+    },
+    type: { type: String, enum: ALERT_TYPES, required: true },
+    severity: { type: String, enum: ALERT_SEVERITIES, default: "Medium" },
+    description: { type: String, required: true },
+    separateFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inmate",
+      default: null,
+    },
+    expiresAt: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    deactivatedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Alerts on an inmate's record, and keep-separate alerts naming an inmate
+alertSchema.index({ inmate: 1, isActive: 1 });
+alertSchema.index({ separateFrom: 1, isActive: 1 });
+
+module.exports = mongoose.model("Alert", alertSchema);
@@ -0,0 +1,137 @@
+/**
+ * @file AuditEvent.js
+ * @description Defines the Mongoose schema for the permanent audit trail in the PrisonSphere system.
+ * @module models/AuditEvent
+ *
+ * This schema:
+ * - Records every create, update, status change and deletion made to inmate-related records.
+ * - Attributes each change to the staff member who made it, with their IP address.
+ * - Stores a field-level diff (before/after values) of the affected record.
+ *
+ * Unlike `RecentActivityLog` (hourly counters for the dashboard), audit events are
+ * never grouped or cleaned up.
+ *
+ * Security Features:
+ * - Audit events are append-only: updates and deletes are rejected by the model.
+ * - Events are hash-chained: each event stores a SHA-256 hash of its content and
+ *   the hash of the previous event, so edits or deletions made directly in the
+ *   database are detected by `verifyAuditChain` (see `utils/auditTrail.js`).
+ *
+ * @requires mongoose - MongoDB ODM library.
+ */
+
+const mongoose = require("mongoose");
+
+// Audited actions
+const AUDIT_ACTIONS = ["CREATE", "UPDATE", "STATUS_CHANGE", "DELETE"];
+
+// Audited record types (model names)
+const AUDIT_ENTITY_TYPES = [
+  "Inmate",
+  "Parole",
+  "Visitor", // Combined visitor and visit records, before the visitor registry
+  "Visit",
+  "VisitorProfile",
+  "VisitorApproval",
+  "VisitorRestriction",
+  "WorkProgramEnrollment",
+  "BehaviorLog",
+  "ActivityLog",
+  "Charge",
+  "Classification",
+  "Alert",
+  "Incident",
+  "Grievance",
+  "TrustTransaction",
+  "Headcount",
+  "MedicalRecord", // Clinical records are audited without their values
+  "MedicalEncounter",
+  "MedicalAppointment",
+  "MedicationAdministration",
+];
+
+/**
+ * @typedef AuditChange
+ * @property {String} field - Path of the changed field (e.g., "assignedCell").
+ * @property {*} before - Value before the change (null on create).
+ * @property {*} after - Value after the change.
+ */
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef AuditEvent
+ * @property {String} action - What happened (e.g., "UPDATE").
+ * @property {String} entityType - Type of record affected (e.g., "Inmate").
+ * @property {ObjectId} entityId - ID of the record affected.
+ * @property {ObjectId} inmate - Inmate the record belongs to, if any.
+ * @property {Array<AuditChange>} changes - Field-level before/after values.
+ * @property {ObjectId} actor - Staff member who made the change (null for scheduled jobs).
+ * @property {String} actorRole - Role of the staff member at the time of the change.
+ * @property {String} ipAddress - IP address the request came from.
+ * @property {Number} sequence - Position of the event in the hash chain (starts at 1).
+ * @property {String} previousHash - Hash of the previous event (zeros for the first event).
+ * @property {String} hash - SHA-256 hash of this event's content and `previousHash`.
+ * @property {Date} createdAt - When the change was recorded (part of the hashed content).
+ */
+const auditEventSchema = new mongoose.Schema({
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  entityType: { type: String, enum: AUDIT_ENTITY_TYPES, required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  inmate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Inmate",
+    default: null,
+  },
+  changes: { type: [auditChangeSchema], default: [] },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  actorRole: { type: String, default: null },
+  ipAddress: { type: String, default: null },
+  sequence: { type: Number, required: true, unique: true },
+  previousHash: { type: String, required: true },
+  hash: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Supports the audit query API
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ inmate: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+
+/**
+ * Append-Only Enforcement
+ * -----------------------
+ * - Existing audit events can never be modified or removed.
+ */
+auditEventSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit events cannot be modified"));
+  next();
+});
+
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Audit events cannot be modified"));
+  }
+);
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
@@ -0,0 +1,64 @@
+/**
+ * @file Block.js
+ * @description Defines the Mongoose schema for housing blocks in the PrisonSphere system.
+ * @module models/Block
+ *
+ * This schema:
+ * - Represents a housing block (wing/unit) within a facility.
+ * - Sets the default security level for the cells it contains.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires SECURITY_LEVELS - Custody security levels.
+ */
+
+const mongoose = require("mongoose");
+const { SECURITY_LEVELS } = require("../config/securityLevels");
+
+/**
+ * @typedef VisitingHours
+ * @property {Number} day - Day of the week (0 = Sunday .. 6 = Saturday) (required).
+ * @property {String} start - Time visits start, "HH:mm" (required).
+ * @property {String} end - Time the last visit must end, "HH:mm" (required).
+ */
+const visitingHoursSchema = new mongoose.Schema(
+  {
+    day: { type: Number, required: true, min: 0, max: 6 },
+    start: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    end: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef Block
+ * @property {ObjectId} facility - Reference to the facility (required).
+ * @property {String} name - Name of the block (e.g., "North Wing") (required).
+ * @property {String} code - Short code used in cell labels (e.g., "A") (required, unique per facility).
+ * @property {String} securityLevel - Security level of the block (Minimum, Medium, Maximum).
+ * @property {Boolean} isActive - Whether the block is in use (default: true).
+ * @property {Array<VisitingHours>} visitingHours - When inmates of the block can receive visits.
+ */
+const blockSchema = new mongoose.Schema(
+  {
+    facility: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Facility",
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    code: { type: String, required: true, trim: true, uppercase: true },
+    securityLevel: {
+      type: String,
+      enum: SECURITY_LEVELS,
+      default: "Medium",
+    },
+    isActive: { type: Boolean, default: true },
+    visitingHours: [visitingHoursSchema],
+  },
+  { timestamps: true }
+);
+
+// Block codes are unique within a facility
+blockSchema.index({ facility: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model("Block", blockSchema);
@@ -0,0 +1,49 @@
+/**
+ * @file Cell.js
+ * @description Defines the Mongoose schema for cells in the PrisonSphere system.
+ * @module models/Cell
+ *
+ * This schema:
+ * - Represents a cell within a housing block.
+ * - Defines how many beds the cell has (`capacity`); beds are numbered 1..capacity.
+ * - Is referenced by `Inmate.cell`; occupancy is the number of incarcerated inmates
+ *   assigned to the cell.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires SECURITY_LEVELS - Custody security levels.
+ */
+
+const mongoose = require("mongoose");
+const { SECURITY_LEVELS } = require("../config/securityLevels");
+
+/**
+ * @typedef Cell
+ * @property {ObjectId} block - Reference to the housing block (required).
+ * @property {String} cellNumber - Cell number within the block (e.g., "101") (required, unique per block).
+ * @property {Number} capacity - Number of beds in the cell (required, at least 1).
+ * @property {String} securityLevel - Security level of the cell (Minimum, Medium, Maximum).
+ * @property {Boolean} isActive - Whether the cell can receive inmates (default: true).
+ */
+const cellSchema = new mongoose.Schema(
+  {
+    block: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Block",
+      required: true,
+    },
+    cellNumber: { type: String, required: true, trim: true },
+    capacity: { type: Number, required: true, min: 1 },
+    securityLevel: {
+      type: String,
+      enum: SECURITY_LEVELS,
+      default: "Medium",
+    },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// Cell numbers are unique within a block
+cellSchema.index({ block: 1, cellNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model("Cell", cellSchema);
@@ -0,0 +1,63 @@
+/**
+ * @file Charge.js
+ * @description Defines the Mongoose schema for the charges and offenses recorded against inmates.
+ * @module models/Charge
+ *
+ * This schema:
+ * - Links each charge to an inmate, so an inmate can have several convictions.
+ * - Stores the statute code, offense category, severity class and offense date.
+ * - Tracks the outcome of the charge and when the inmate was convicted.
+ *
+ * `Inmate.crimeDetails` remains the free-text summary entered at admission.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires offenses - Offense categories, severity classes and charge statuses.
+ */
+
+const mongoose = require("mongoose");
+const {
+  OFFENSE_CATEGORIES,
+  SEVERITY_CLASSES,
+  CHARGE_STATUSES,
+} = require("../config/offenses");
+
+/**
+ * @typedef Charge
+ * @property {ObjectId} inmate - Reference to the charged inmate (required).
+ * @property {String} description - Description of the offense (required).
+ * @property {String} statuteCode - Statute or section the charge was brought under.
+ * @property {String} category - Offense category (required).
+ * @property {String} severity - Felony, Misdemeanor or Infraction (required).
+ * @property {Date} offenseDate - Date the offense was committed.
+ * @property {String} status - Pending, Convicted, Acquitted or Dismissed (default: Convicted).
+ * @property {Date} convictionDate - Date the inmate was convicted.
+ * @property {ObjectId} recordedBy - Reference to the user who recorded the charge.
+ */
+const chargeSchema = new mongoose.Schema(
+  {
+    inmate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inmate",
+      required: true,
+    },
+    description: { type: String, required: true, trim: true },
+    statuteCode: { type: String, default: "", trim: true },
+    category: { type: String, enum: OFFENSE_CATEGORIES, required: true },
+    severity: { type: String, enum: SEVERITY_CLASSES, required: true },
+    offenseDate: { type: Date, default: null },
+    status: { type: String, enum: CHARGE_STATUSES, default: "Convicted" },
+    convictionDate: { type: Date, default: null },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Charges of an inmate, and inmates by offense category
+chargeSchema.index({ inmate: 1, offenseDate: -1 });
+chargeSchema.index({ category: 1 });
+
+module.exports = mongoose.model("Charge", chargeSchema);
@@ -0,0 +1,70 @@
+/**
+ * @file Classification.js
+ * @description Defines the Mongoose schema for custody classification decisions in the PrisonSphere system.
+ * @module models/Classification
+ *
+ * This schema:
+ * - Records each classification or reclassification of an inmate, forming their history.
+ * - Keeps the suggested level and the factors it was computed from at the time.
+ * - Requires a reason whenever the assigned level differs from the suggestion.
+ *
+ * The inmate's current level is also stored on `Inmate.custodyLevel`, so that
+ * housing and work-program placements can be checked without reading the history.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires SECURITY_LEVELS - Custody security levels.
+ */
+
+const mongoose = require("mongoose");
+const { SECURITY_LEVELS } = require("../config/securityLevels");
+
+/**
+ * @typedef Classification
+ * @property {ObjectId} inmate - Reference to the classified inmate (required).
+ * @property {String} level - Custody level assigned (Minimum, Medium, Maximum) (required).
+ * @property {String} previousLevel - Custody level before this decision (null on first classification).
+ * @property {String} suggestedLevel - Custody level suggested by the risk score (required).
+ * @property {Number} score - Risk score the suggestion was based on.
+ * @property {Object} factors - Inputs to the risk score.
+ * @property {String} factors.severity - Most serious pending or convicted charge.
+ * @property {Boolean} factors.violentOffense - Whether any such charge is in a violent category.
+ * @property {Number} factors.incidents - Incidents reported in recent behavior logs.
+ * @property {Number} factors.monthsServed - Whole months since admission.
+ * @property {String} overrideReason - Why the assigned level differs from the suggestion.
+ * @property {String} notes - Additional remarks.
+ * @property {ObjectId} classifiedBy - Reference to the user who made the decision.
+ * @property {Date} nextReviewDate - When the inmate is due for their next review.
+ */
+const classificationSchema = new mongoose.Schema(
+  {
+    inmate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inmate",
+      required: true,
+    },
+    level: { type: String, enum: SECURITY_LEVELS, required: true },
+    previousLevel: { type: String, enum: SECURITY_LEVELS, default: null },
+    suggestedLevel: { type: String, enum: SECURITY_LEVELS, required: true },
+    score: { type: Number, default: 0 },
+    factors: {
+      severity: { type: String, default: null },
+      violentOffense: { type: Boolean, default: false },
+      incidents: { type: Number, default: 0 },
+      monthsServed: { type: Number, default: 0 },
+    },
+    overrideReason: { type: String, default: "" },
+    notes: { type: String, default: "" },
+    classifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    nextReviewDate: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Classification history of an inmate
+classificationSchema.index({ inmate: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Classification", classificationSchema);
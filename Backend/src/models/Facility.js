@@ -0,0 +1,38 @@
+/**
+ * @file Facility.js
+ * @description Defines the Mongoose schema for correctional facilities in the PrisonSphere system.
+ * @module models/Facility
+ *
+ * This schema:
+ * - Represents a facility (site) that contains housing blocks.
+ * - Is the top level of the housing hierarchy: Facility → Block → Cell.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * @typedef Facility
+ * @property {String} name - Name of the facility (required, unique).
+ * @property {String} code - Short code of the facility (required, unique, uppercase).
+ * @property {String} address - Postal address of the facility.
+ * @property {Boolean} isActive - Whether the facility is in use (default: true).
+ */
+const facilitySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    address: { type: String, default: "" },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Facility", facilitySchema);
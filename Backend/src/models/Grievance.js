@@ -0,0 +1,72 @@
+/**
+ * @file Grievance.js
+ * @description Defines the Mongoose schema for grievances filed by inmates in the PrisonSphere system.
+ * @module models/Grievance
+ *
+ * This schema:
+ * - Records what the grievance is about and the inmate's statement.
+ * - Assigns a staff member to respond and sets the date a response is due.
+ * - Moves through Filed, Under Review, Resolved and Appealed.
+ * - Keeps every status change and response in an append-only history.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires grievances - Grievance categories and statuses.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const {
+  GRIEVANCE_CATEGORIES,
+  GRIEVANCE_STATUSES,
+} = require("../config/grievances");
+
+/**
+ * @typedef GrievanceResponse
+ * @property {String} status - Status of the grievance after this entry (required).
+ * @property {String} fromStatus - Status before this entry (null when filed).
+ * @property {String} response - Response or note recorded by staff.
+ * @property {ObjectId} respondedBy - Reference to the user who recorded the entry.
+ * @property {Date} respondedAt - When the entry was recorded.
+ */
+const grievanceResponseSchema = new Schema({
+  status: { type: String, enum: GRIEVANCE_STATUSES, required: true },
+  fromStatus: { type: String, enum: GRIEVANCE_STATUSES, default: null },
+  response: { type: String, default: "" },
+  respondedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  respondedAt: { type: Date, default: Date.now },
+});
+
+/**
+ * @typedef Grievance
+ * @property {ObjectId} inmate - Reference to the inmate who filed the grievance (required).
+ * @property {String} category - What the grievance is about (required).
+ * @property {String} statement - The inmate's statement (required).
+ * @property {String} status - Filed, Under Review, Resolved or Appealed (default: Filed).
+ * @property {ObjectId} assignedTo - Reference to the staff member responsible for responding.
+ * @property {Date} filedAt - When the grievance was filed.
+ * @property {Date} dueDate - When a response is due (required).
+ * @property {Date} resolvedAt - When the grievance was last resolved.
+ * @property {ObjectId} filedBy - Reference to the user who recorded the grievance.
+ * @property {Array<GrievanceResponse>} history - Status changes and responses, oldest first.
+ */
+const grievanceSchema = new Schema(
+  {
+    inmate: { type: Schema.Types.ObjectId, ref: "Inmate", required: true },
+    category: { type: String, enum: GRIEVANCE_CATEGORIES, required: true },
+    statement: { type: String, required: true },
+    status: { type: String, enum: GRIEVANCE_STATUSES, default: "Filed" },
+    assignedTo: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    filedAt: { type: Date, default: Date.now },
+    dueDate: { type: Date, required: true },
+    resolvedAt: { type: Date, default: null },
+    filedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    history: [grievanceResponseSchema],
+  },
+  { timestamps: true }
+);
+
+// Open grievances by deadline (overdue alerts), and each inmate's grievances
+grievanceSchema.index({ status: 1, dueDate: 1 });
+grievanceSchema.index({ inmate: 1, filedAt: -1 });
+
+module.exports = mongoose.model("Grievance", grievanceSchema);
@@ -0,0 +1,160 @@
+/**
+ * @file Headcount.js
+ * @description Defines the Mongoose schema for block headcounts (roll calls) in the PrisonSphere system.
+ * @module models/Headcount
+ *
+ * This schema:
+ * - Lists the inmates housed in a block when the count started, with their cell and bed.
+ * - Records how each inmate was found (present, absent, out to court or in medical).
+ * - Flags the count when an inmate is marked absent.
+ *
+ * Counts are kept as history: a completed count can no longer be modified,
+ * and counts are never deleted.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires headcounts - Count types and statuses.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const {
+  COUNT_TYPES,
+  COUNT_STATUSES,
+  HEADCOUNT_STATUSES,
+} = require("../config/headcounts");
+
+/**
+ * @typedef HeadcountEntry
+ * @property {ObjectId} inmate - Reference to the inmate (required).
+ * @property {String} inmateID - Inmate ID when the count started.
+ * @property {String} name - Inmate name when the count started.
+ * @property {ObjectId} cell - Reference to the inmate's cell.
+ * @property {String} cellLabel - Cell label when the count started (e.g., "A-101").
+ * @property {Number} bed - Bed number within the cell.
+ * @property {String} status - How the inmate was found (null until marked).
+ * @property {String} note - Officer's note (e.g., where an absent inmate was last seen).
+ * @property {ObjectId} markedBy - Reference to the officer who marked the inmate.
+ * @property {Date} markedAt - When the inmate was marked.
+ */
+const headcountEntrySchema = new Schema({
+  inmate: { type: Schema.Types.ObjectId, ref: "Inmate", required: true },
+  inmateID: { type: String, required: true },
+  name: { type: String, required: true },
+  cell: { type: Schema.Types.ObjectId, ref: "Cell", default: null },
+  cellLabel: { type: String, default: "" },
+  bed: { type: Number, default: null },
+  status: { type: String, enum: [...COUNT_STATUSES, null], default: null },
+  note: { type: String, default: "" },
+  markedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  markedAt: { type: Date, default: null },
+});
+
+/**
+ * @typedef Headcount
+ * @property {ObjectId} block - Reference to the block counted (required).
+ * @property {String} blockName - Block code and name when the count started.
+ * @property {String} countType - Morning, Midday, Evening, Night or Emergency (required).
+ * @property {String} status - In Progress or Completed (default: In Progress).
+ * @property {Array<HeadcountEntry>} entries - One entry per inmate expected in the block.
+ * @property {Boolean} discrepancy - Whether any inmate was marked absent.
+ * @property {String} notes - Notes recorded when the count was completed.
+ * @property {ObjectId} startedBy - Reference to the officer who started the count.
+ * @property {Date} startedAt - When the count started.
+ * @property {ObjectId} completedBy - Reference to the officer who completed the count.
+ * @property {Date} completedAt - When the count was completed.
+ */
+const headcountSchema = new Schema({
+  block: { type: Schema.Types.ObjectId, ref: "Block", required: true },
+  blockName: { type: String, required: true },
+  countType: { type: String, enum: COUNT_TYPES, required: true },
+  status: { type: String, enum: HEADCOUNT_STATUSES, default: "In Progress" },
+  entries: [headcountEntrySchema],
+  discrepancy: { type: Boolean, default: false },
+  notes: { type: String, default: "" },
+  startedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  startedAt: { type: Date, default: Date.now },
+  completedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  completedAt: { type: Date, default: null },
+});
+
+// One count in progress per block at a time
+headcountSchema.index(
+  { block: 1 },
+  { unique: true, partialFilterExpression: { status: "In Progress" } }
+);
+
+// Count history, newest first
+headcountSchema.index({ startedAt: -1 });
+
+// Fields a mark may set in place on a count in progress
+const MARK_FIELDS = [
+  "entries.$.status",
+  "entries.$.note",
+  "entries.$.markedBy",
+  "entries.$.markedAt",
+  "discrepancy",
+];
+
+/**
+ * Whether a query only marks an inmate on a count in progress.
+ * - Accepts `$set` of the mark fields, as an update or an update pipeline.
+ *
+ * @param {Object} query - Mongoose query.
+ * @returns {Boolean} - Whether the update may run.
+ */
+const isMarkUpdate = (query) => {
+  if (query.getFilter().status !== "In Progress") return false;
+  const update = query.getUpdate();
+  const stages = Array.isArray(update) ? update : [update];
+  return stages.every(
+    (stage) =>
+      Object.keys(stage || {}).length > 0 &&
+      Object.entries(stage).every(
+        ([operator, fields]) =>
+          operator === "$set" &&
+          Object.keys(fields).every((field) => MARK_FIELDS.includes(field))
+      )
+  );
+};
+
+/**
+ * History Enforcement
+ * -------------------
+ * - Completed counts can never be modified, and no count can be deleted.
+ * - Counts in progress are updated through `save()`, except marks, which are set in
+ *   place so officers marking different inmates at once cannot undo each other's marks.
+ */
+headcountSchema.post("init", function () {
+  this.$locals.wasCompleted = this.status === "Completed";
+});
+
+headcountSchema.pre("save", function (next) {
+  if (this.$locals.wasCompleted) {
+    return next(new Error("Completed headcounts cannot be modified"));
+  }
+  next();
+});
+
+headcountSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    if (
+      ["updateOne", "findOneAndUpdate"].includes(this.op) &&
+      isMarkUpdate(this)
+    ) {
+      return next();
+    }
+    next(new Error("Headcounts cannot be modified or deleted"));
+  }
+);
+
+module.exports = mongoose.model("Headcount", headcountSchema);
@@ -0,0 +1,112 @@
+/**
+ * @file Incident.js
+ * @description Defines the Mongoose schema for disciplinary incident reports in the PrisonSphere system.
+ * @module models/Incident
+ *
+ * This schema:
+ * - Records when and where an incident happened, who was involved and what happened.
+ * - Keeps links to evidence attachments (photos, scanned statements) stored on Cloudinary.
+ * - Records the disciplinary hearing of each inmate involved as an offender, and the
+ *   sanctions imposed on a guilty finding.
+ * - Is closed once every offender's hearing has an outcome.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires incidents - Incident types, roles, hearing outcomes and sanctions.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const {
+  INCIDENT_TYPES,
+  INVOLVEMENT_ROLES,
+  HEARING_OUTCOMES,
+  SANCTION_TYPES,
+} = require("../config/incidents");
+
+/**
+ * @typedef Sanction
+ * @property {String} type - Kind of sanction (required).
+ * @property {Number} days - Length of the sanction, or days of credit forfeited.
+ * @property {Date} startDate - When the sanction starts (the hearing date).
+ * @property {Date} endDate - When a timed sanction ends (null for warnings and forfeitures).
+ * @property {String} notes - Additional remarks.
+ */
+const sanctionSchema = new Schema({
+  type: { type: String, enum: SANCTION_TYPES, required: true },
+  days: { type: Number, default: 0, min: 0 },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, default: null },
+  notes: { type: String, default: "" },
+});
+
+/**
+ * @typedef InvolvedInmate
+ * @property {ObjectId} inmate - Reference to the inmate (required).
+ * @property {String} role - Offender, Victim or Witness (required).
+ * @property {String} outcome - Hearing outcome (offenders only; default: Pending).
+ * @property {Date} hearingDate - When the hearing was held.
+ * @property {String} hearingNotes - Findings of the hearing.
+ * @property {ObjectId} decidedBy - Reference to the user who recorded the outcome.
+ * @property {Array<Sanction>} sanctions - Sanctions imposed on a guilty finding.
+ */
+const involvedInmateSchema = new Schema({
+  inmate: { type: Schema.Types.ObjectId, ref: "Inmate", required: true },
+  role: { type: String, enum: INVOLVEMENT_ROLES, required: true },
+  outcome: { type: String, enum: HEARING_OUTCOMES, default: "Pending" },
+  hearingDate: { type: Date, default: null },
+  hearingNotes: { type: String, default: "" },
+  decidedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  sanctions: [sanctionSchema],
+});
+
+/**
+ * @typedef Evidence
+ * @property {String} url - Cloudinary URL of the file (required).
+ * @property {String} fileName - Original name of the uploaded file.
+ * @property {ObjectId} uploadedBy - Reference to the user who uploaded the file.
+ * @property {Date} uploadedAt - When the file was uploaded.
+ */
+const evidenceSchema = new Schema({
+  url: { type: String, required: true },
+  fileName: { type: String, default: "" },
+  uploadedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  uploadedAt: { type: Date, default: Date.now },
+});
+
+/**
+ * @typedef Incident
+ * @property {String} incidentType - Kind of incident (required).
+ * @property {Date} occurredAt - When the incident happened (required).
+ * @property {String} location - Where the incident happened (required).
+ * @property {String} narrative - Account of what happened (required).
+ * @property {Array<InvolvedInmate>} involvedInmates - Inmates involved (at least one).
+ * @property {Array<String>} involvedStaff - Names of the staff involved or present.
+ * @property {Array<Evidence>} evidence - Evidence attachments.
+ * @property {String} status - Open until every offender's hearing has an outcome, then Closed.
+ * @property {ObjectId} reportedBy - Reference to the user who reported the incident.
+ */
+const incidentSchema = new Schema(
+  {
+    incidentType: { type: String, enum: INCIDENT_TYPES, required: true },
+    occurredAt: { type: Date, required: true },
+    location: { type: String, required: true },
+    narrative: { type: String, required: true },
+    involvedInmates: {
+      type: [involvedInmateSchema],
+      validate: [
+        (involved) => involved.length > 0,
+        "At least one inmate must be involved.",
+      ],
+    },
+    involvedStaff: [{ type: String }],
+    evidence: [evidenceSchema],
+    status: { type: String, enum: ["Open", "Closed"], default: "Open" },
+    reportedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+// Incidents an inmate was involved in, most recent first
+incidentSchema.index({ "involvedInmates.inmate": 1, occurredAt: -1 });
+
+module.exports = mongoose.model("Incident", incidentSchema);
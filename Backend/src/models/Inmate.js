@@ -6,16 +6,158 @@
  * This schema represents inmates in the PrisonSphere system and includes:
  * - Personal details (name, DOB, gender).
  * - Admission details (inmate ID, admission date, sentence duration, crime details).
+ * - Structured sentences, sentence credits and the projected release date.
  * - Status tracking (incarceration, parole, or release).
+ * - Discharge details recorded by the release workflow.
+ * - Personal property taken at admission and reconciled at release.
+ * - Custody classification level and the date of the next periodic review.
  * - Behavior reports reference.
- * - Assigned cell and profile image.
- * - A virtual field to calculate the estimated release date.
+ * - Housing assignment (cell and bed) and profile image.
+ *
+ * The projected release date is computed by `utils/sentence` and stored so that
+ * upcoming releases can be queried; controllers recompute it whenever the
+ * sentences, credits or admission date change.
  *
  * @requires mongoose - MongoDB ODM library.
+ * @requires sentences - Sentence relations and credit types.
+ * @requires discharge - Discharge reasons.
+ * @requires property - Property conditions and statuses.
+ * @requires SECURITY_LEVELS - Custody security levels.
  */
 
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const {
+  SENTENCE_RELATIONS,
+  SENTENCE_CREDIT_TYPES,
+  GOOD_CONDUCT_FORFEITURE,
+} = require("../config/sentences");
+const { DISCHARGE_REASONS } = require("../config/discharge");
+const {
+  PROPERTY_CONDITIONS,
+  PROPERTY_STATUSES,
+} = require("../config/property");
+const { SECURITY_LEVELS } = require("../config/securityLevels");
+
+/**
+ * @typedef Sentence
+ * @property {String} description - Offense or court reference the sentence was imposed for.
+ * @property {Number} lengthMonths - Length of the sentence in months (required).
+ * @property {Date} startDate - Date the sentence starts (required).
+ * @property {String} relation - Concurrent or Consecutive (to the previous sentence).
+ */
+const sentenceSchema = new Schema({
+  description: { type: String, default: "" },
+  lengthMonths: { type: Number, required: true, min: 1 },
+  startDate: { type: Date, required: true },
+  relation: { type: String, enum: SENTENCE_RELATIONS, default: "Concurrent" },
+});
+
+/**
+ * @typedef SentenceCredit
+ * @property {String} type - Time Served, Good Conduct or Good Conduct Forfeiture (required).
+ * @property {Number} days - Days deducted from the sentence, or good-conduct days forfeited (required).
+ * @property {String} note - Reason for the credit.
+ * @property {ObjectId} incident - Reference to the incident whose hearing forfeited the days.
+ * @property {ObjectId} grantedBy - Reference to the user who granted the credit.
+ * @property {Date} grantedAt - When the credit was granted.
+ */
+const sentenceCreditSchema = new Schema({
+  type: {
+    type: String,
+    enum: [...SENTENCE_CREDIT_TYPES, GOOD_CONDUCT_FORFEITURE],
+    required: true,
+  },
+  days: { type: Number, required: true, min: 1 },
+  note: { type: String, default: "" },
+  incident: { type: Schema.Types.ObjectId, ref: "Incident", default: null },
+  grantedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  grantedAt: { type: Date, default: Date.now },
+});
+
+/**
+ * @typedef Discharge
+ * @property {String} reason - Why the inmate was released (required).
+ * @property {String} destination - Where the inmate was released to (required).
+ * @property {String} notes - Additional remarks.
+ * @property {Object} checklist - Discharge checklist results.
+ * @property {Boolean} checklist.propertyReturned - Property was returned to the inmate.
+ * @property {Number} checklist.propertyMissing - Inventoried items flagged missing at reconciliation.
+ * @property {Number} checklist.workProgramsClosed - Active work program enrollments closed.
+ * @property {Number} checklist.parolesCancelled - Pending parole applications cancelled.
+ * @property {ObjectId} releasedBy - Reference to the user who released the inmate.
+ * @property {Date} releasedAt - When the inmate was released.
+ */
+const dischargeSchema = new Schema(
+  {
+    reason: { type: String, enum: DISCHARGE_REASONS, required: true },
+    destination: { type: String, required: true },
+    notes: { type: String, default: "" },
+    checklist: {
+      propertyReturned: { type: Boolean, default: false },
+      propertyMissing: { type: Number, default: 0 },
+      workProgramsClosed: { type: Number, default: 0 },
+      parolesCancelled: { type: Number, default: 0 },
+    },
+    releasedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    releasedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef PropertyItem
+ * @property {String} item - What the item is (e.g., "Wristwatch") (required).
+ * @property {String} description - Make, colour, serial number or other identifying details.
+ * @property {Number} quantity - Number of identical items (default: 1).
+ * @property {String} condition - Condition when taken at admission (required).
+ * @property {String} storageLocation - Where the item is stored (required).
+ * @property {String} status - Stored, Returned or Missing (default: Stored).
+ * @property {String} returnedCondition - Condition when returned at release.
+ * @property {String} returnNotes - Notes recorded at reconciliation.
+ */
+const propertyItemSchema = new Schema({
+  item: { type: String, required: true },
+  description: { type: String, default: "" },
+  quantity: { type: Number, default: 1, min: 1 },
+  condition: { type: String, enum: PROPERTY_CONDITIONS, required: true },
+  storageLocation: { type: String, required: true },
+  status: { type: String, enum: PROPERTY_STATUSES, default: "Stored" },
+  returnedCondition: { type: String, enum: PROPERTY_CONDITIONS, default: null },
+  returnNotes: { type: String, default: "" },
+});
+
+/**
+ * @typedef PropertySignatures
+ * @property {String} inmateSignature - Full name the inmate signed with (required).
+ * @property {String} staffSignature - Full name the officer signed with (required).
+ * @property {ObjectId} signedBy - Reference to the user who recorded the signatures.
+ * @property {Date} signedAt - When both parties signed.
+ */
+const propertySignaturesSchema = new Schema(
+  {
+    inmateSignature: { type: String, required: true },
+    staffSignature: { type: String, required: true },
+    signedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    signedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef PropertyInventory
+ * @property {Array<PropertyItem>} items - Items taken at admission.
+ * @property {PropertySignatures} intake - Signatures on the admission inventory.
+ * @property {PropertySignatures} release - Signatures on the release reconciliation (null until reconciled).
+ */
+const propertyInventorySchema = new Schema(
+  {
+    items: [propertyItemSchema],
+    intake: { type: propertySignaturesSchema, default: null },
+    release: { type: propertySignaturesSchema, default: null },
+  },
+  { _id: false }
+);
 
 /**
  * @typedef Inmate
@@ -25,10 +167,19 @@ const Schema = mongoose.Schema;
  * @property {Date} dateOfBirth - Inmate's date of birth (required).
  * @property {String} gender - Gender of the inmate (Male, Female, Other) (required).
  * @property {Date} admissionDate - Date the inmate was admitted (required).
- * @property {Number} sentenceDuration - Duration of the sentence in months (required).
+ * @property {Number} sentenceDuration - Full term of all sentences in months (required).
+ * @property {Array<Sentence>} sentences - Sentences imposed on the inmate.
+ * @property {Array<SentenceCredit>} sentenceCredits - Credits deducted from the sentences.
+ * @property {Date} projectedReleaseDate - Projected release date after credits.
  * @property {String} crimeDetails - Description of the crime committed (required).
  * @property {String} status - Inmate status (Incarcerated, Released, Parole), default: Incarcerated.
- * @property {String} assignedCell - The cell assigned to the inmate.
+ * @property {Discharge} discharge - Discharge details (set by the release workflow).
+ * @property {PropertyInventory} property - Personal property taken at admission (null until inventoried).
+ * @property {String} custodyLevel - Current custody classification (null until first classified).
+ * @property {Date} nextClassificationReview - When the custody level is due for review.
+ * @property {ObjectId} cell - Reference to the assigned cell (null when not housed).
+ * @property {Number} bed - Bed number within the assigned cell (1..capacity).
+ * @property {String} assignedCell - Label of the assigned cell (e.g., "A-101"), kept in sync with `cell`.
  * @property {Array<ObjectId>} behaviorReports - References to behavior reports.
  * @property {String} profileImage - URL of the inmate's profile image (default: empty string).
  */
@@ -42,12 +193,25 @@ const inmateSchema = new Schema(
     gender: { type: String, enum: ["Male", "Female", "Other"], required: true },
     admissionDate: { type: Date, required: true },
     sentenceDuration: { type: Number, required: true },
+    sentences: [sentenceSchema],
+    sentenceCredits: [sentenceCreditSchema],
+    projectedReleaseDate: { type: Date, default: null },
     crimeDetails: { type: String, required: true },
     status: {
       type: String,
       enum: ["Incarcerated", "Released", "Parole"],
       default: "Incarcerated",
     },
+    discharge: { type: dischargeSchema, default: null },
+    property: { type: propertyInventorySchema, default: null },
+    custodyLevel: { type: String, enum: SECURITY_LEVELS, default: null },
+    nextClassificationReview: { type: Date, default: null },
+    cell: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cell",
+      default: null,
+    },
+    bed: { type: Number, default: null },
     assignedCell: { type: String },
     behaviorReports: [
       { type: mongoose.Schema.Types.ObjectId, ref: "BehaviorReport" },
@@ -57,5 +221,17 @@ const inmateSchema = new Schema(
   { timestamps: true }
 );
 
+// One inmate per bed: rejects concurrent assignments to the same bed
+inmateSchema.index(
+  { cell: 1, bed: 1 },
+  { unique: true, partialFilterExpression: { cell: { $type: "objectId" } } }
+);
+
+// Upcoming releases for the dashboard
+inmateSchema.index({ status: 1, projectedReleaseDate: 1 });
+
+// Classification reviews that are due
+inmateSchema.index({ status: 1, nextClassificationReview: 1 });
+
 // Export the model for use in the application
 module.exports = mongoose.model("Inmate", inmateSchema);
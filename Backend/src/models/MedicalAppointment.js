@@ -0,0 +1,49 @@
+/**
+ * @file MedicalAppointment.js
+ * @description Defines the Mongoose schema for medical appointments in the PrisonSphere system.
+ * @module models/MedicalAppointment
+ *
+ * This schema:
+ * - Schedules an inmate to be seen by the medical unit.
+ * - Moves from Scheduled to Completed (with the encounter recorded), Missed or Cancelled.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires medical - Encounter types and appointment statuses.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { ENCOUNTER_TYPES, APPOINTMENT_STATUSES } = require("../config/medical");
+
+/**
+ * @typedef MedicalAppointment
+ * @property {ObjectId} inmate - Reference to the patient (required).
+ * @property {String} type - Kind of encounter scheduled (required).
+ * @property {Date} scheduledFor - Date and time of the appointment (required).
+ * @property {String} reason - Why the inmate is being seen.
+ * @property {String} status - Scheduled, Completed, Missed or Cancelled (default: Scheduled).
+ * @property {ObjectId} encounter - Reference to the encounter that completed the appointment.
+ * @property {ObjectId} scheduledBy - Reference to the user who scheduled it.
+ */
+const medicalAppointmentSchema = new Schema(
+  {
+    inmate: { type: Schema.Types.ObjectId, ref: "Inmate", required: true },
+    type: { type: String, enum: ENCOUNTER_TYPES, required: true },
+    scheduledFor: { type: Date, required: true },
+    reason: { type: String, default: "" },
+    status: { type: String, enum: APPOINTMENT_STATUSES, default: "Scheduled" },
+    encounter: {
+      type: Schema.Types.ObjectId,
+      ref: "MedicalEncounter",
+      default: null,
+    },
+    scheduledBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+// The clinic schedule, and each inmate's appointments
+medicalAppointmentSchema.index({ status: 1, scheduledFor: 1 });
+medicalAppointmentSchema.index({ inmate: 1, scheduledFor: -1 });
+
+module.exports = mongoose.model("MedicalAppointment", medicalAppointmentSchema);
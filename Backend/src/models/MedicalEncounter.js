@@ -0,0 +1,51 @@
+/**
+ * @file MedicalEncounter.js
+ * @description Defines the Mongoose schema for clinical encounters in the PrisonSphere system.
+ * @module models/MedicalEncounter
+ *
+ * This schema:
+ * - Records each time an inmate is seen by the medical unit (sick call, checkup, emergency, ...).
+ * - Stores the complaint, the clinician's assessment and the treatment given.
+ * - Links the encounter to the appointment it completed, if any.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires medical - Encounter types.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { ENCOUNTER_TYPES } = require("../config/medical");
+
+/**
+ * @typedef MedicalEncounter
+ * @property {ObjectId} inmate - Reference to the patient (required).
+ * @property {String} type - Kind of encounter (required).
+ * @property {Date} occurredAt - When the inmate was seen.
+ * @property {String} complaint - Presenting complaint or reason for the visit.
+ * @property {String} assessment - Clinician's findings and assessment (required).
+ * @property {String} treatment - Treatment given or planned.
+ * @property {ObjectId} appointment - Reference to the appointment completed by this encounter.
+ * @property {ObjectId} clinician - Reference to the clinician who saw the inmate.
+ */
+const medicalEncounterSchema = new Schema(
+  {
+    inmate: { type: Schema.Types.ObjectId, ref: "Inmate", required: true },
+    type: { type: String, enum: ENCOUNTER_TYPES, required: true },
+    occurredAt: { type: Date, default: Date.now },
+    complaint: { type: String, default: "" },
+    assessment: { type: String, required: true },
+    treatment: { type: String, default: "" },
+    appointment: {
+      type: Schema.Types.ObjectId,
+      ref: "MedicalAppointment",
+      default: null,
+    },
+    clinician: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+// Each inmate's encounters, newest first
+medicalEncounterSchema.index({ inmate: 1, occurredAt: -1 });
+
+module.exports = mongoose.model("MedicalEncounter", medicalEncounterSchema);
@@ -0,0 +1,119 @@
+/**
+ * @file MedicalRecord.js
+ * @description Defines the Mongoose schema for inmate medical records in the PrisonSphere system.
+ * @module models/MedicalRecord
+ *
+ * This schema:
+ * - Holds one record per inmate with their allergies, conditions and medications.
+ * - Keeps resolved conditions, inactive allergies and discontinued medications on the record.
+ * - Flags the conditions staff outside the medical unit need to be aware of.
+ *
+ * Encounters, appointments and dose administrations are stored in their own collections.
+ * Only the medical role can read or change medical records; other staff see only
+ * alerts without clinical details (see `utils/medical.js`).
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires medical - Allergy severities, condition statuses and medication routes.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const {
+  ALLERGY_SEVERITIES,
+  CONDITION_STATUSES,
+  MEDICATION_ROUTES,
+  MEDICATION_STATUSES,
+} = require("../config/medical");
+
+/**
+ * @typedef Allergy
+ * @property {String} allergen - What the inmate is allergic to (required).
+ * @property {String} reaction - The reaction it causes.
+ * @property {String} severity - Mild, Moderate, Severe or Life-Threatening (default: Moderate).
+ * @property {Boolean} isActive - False once the allergy was recorded in error or ruled out.
+ * @property {ObjectId} recordedBy - Reference to the clinician who recorded it.
+ */
+const allergySchema = new Schema(
+  {
+    allergen: { type: String, required: true },
+    reaction: { type: String, default: "" },
+    severity: { type: String, enum: ALLERGY_SEVERITIES, default: "Moderate" },
+    isActive: { type: Boolean, default: true },
+    recordedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+/**
+ * @typedef Condition
+ * @property {String} name - Diagnosis (required).
+ * @property {String} notes - Clinical notes.
+ * @property {Date} diagnosedAt - When it was diagnosed.
+ * @property {String} status - Active or Resolved (default: Active).
+ * @property {Boolean} staffAlert - Whether other staff are alerted (without the diagnosis).
+ * @property {ObjectId} recordedBy - Reference to the clinician who recorded it.
+ */
+const conditionSchema = new Schema(
+  {
+    name: { type: String, required: true },
+    notes: { type: String, default: "" },
+    diagnosedAt: { type: Date, default: null },
+    status: { type: String, enum: CONDITION_STATUSES, default: "Active" },
+    staffAlert: { type: Boolean, default: false },
+    recordedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+/**
+ * @typedef Medication
+ * @property {String} name - Medication name (required).
+ * @property {String} dose - Dose per administration, e.g. "500 mg" (required).
+ * @property {String} route - Oral, Injection, Topical, Inhaled or Other (default: Oral).
+ * @property {String} frequency - How often it is given, e.g. "Twice daily" (required).
+ * @property {String} instructions - Administration instructions.
+ * @property {String} prescriber - Name of the prescribing clinician.
+ * @property {Date} startDate - First day of the prescription (required).
+ * @property {Date} endDate - Last day of the prescription (null if ongoing).
+ * @property {String} status - Active or Discontinued (default: Active).
+ * @property {ObjectId} recordedBy - Reference to the clinician who recorded it.
+ */
+const medicationSchema = new Schema(
+  {
+    name: { type: String, required: true },
+    dose: { type: String, required: true },
+    route: { type: String, enum: MEDICATION_ROUTES, default: "Oral" },
+    frequency: { type: String, required: true },
+    instructions: { type: String, default: "" },
+    prescriber: { type: String, default: "" },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, default: null },
+    status: { type: String, enum: MEDICATION_STATUSES, default: "Active" },
+    recordedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+/**
+ * @typedef MedicalRecord
+ * @property {ObjectId} inmate - Reference to the patient (required, unique).
+ * @property {Array<Allergy>} allergies - Recorded allergies.
+ * @property {Array<Condition>} conditions - Diagnosed conditions.
+ * @property {Array<Medication>} medications - Prescribed medications.
+ */
+const medicalRecordSchema = new Schema(
+  {
+    inmate: {
+      type: Schema.Types.ObjectId,
+      ref: "Inmate",
+      required: true,
+      unique: true,
+    },
+    allergies: [allergySchema],
+    conditions: [conditionSchema],
+    medications: [medicationSchema],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("MedicalRecord", medicalRecordSchema);
@@ -0,0 +1,79 @@
+/**
+ * @file MedicationAdministration.js
+ * @description Defines the Mongoose schema for the medication administration log in the PrisonSphere system.
+ * @module models/MedicationAdministration
+ *
+ * This schema:
+ * - Records the outcome of each dose of a prescribed medication (given, refused, missed or held).
+ * - Keeps the medication name and dose as prescribed when the dose was due.
+ *
+ * Administrations are append-only: updates and deletes are rejected by the model,
+ * so a dose recorded in error is corrected by recording another entry.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires medical - Administration statuses.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { ADMINISTRATION_STATUSES } = require("../config/medical");
+
+/**
+ * @typedef MedicationAdministration
+ * @property {ObjectId} inmate - Reference to the patient (required).
+ * @property {ObjectId} medication - ID of the medication on the inmate's medical record (required).
+ * @property {String} medicationName - Medication name when the dose was due (required).
+ * @property {String} dose - Dose when it was due (required).
+ * @property {String} status - Given, Refused, Missed or Held (required).
+ * @property {Date} administeredAt - When the dose was given or due.
+ * @property {String} notes - Why a dose was refused, missed or held, or other observations.
+ * @property {ObjectId} administeredBy - Reference to the clinician who recorded the dose.
+ * @property {Date} createdAt - When the entry was recorded.
+ */
+const medicationAdministrationSchema = new Schema({
+  inmate: { type: Schema.Types.ObjectId, ref: "Inmate", required: true },
+  medication: { type: Schema.Types.ObjectId, required: true },
+  medicationName: { type: String, required: true },
+  dose: { type: String, required: true },
+  status: { type: String, enum: ADMINISTRATION_STATUSES, required: true },
+  administeredAt: { type: Date, default: Date.now },
+  notes: { type: String, default: "" },
+  administeredBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Each medication's doses, newest first
+medicationAdministrationSchema.index({ medication: 1, administeredAt: -1 });
+
+/**
+ * Append-Only Enforcement
+ * -----------------------
+ * - Recorded doses can never be modified or removed.
+ */
+medicationAdministrationSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Medication administrations cannot be modified"));
+  }
+  next();
+});
+
+medicationAdministrationSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Medication administrations cannot be modified"));
+  }
+);
+
+module.exports = mongoose.model(
+  "MedicationAdministration",
+  medicationAdministrationSchema
+);
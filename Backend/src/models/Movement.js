@@ -0,0 +1,78 @@
+/**
+ * @file Movement.js
+ * @description Defines the Mongoose schema for inmate movements in the PrisonSphere system.
+ * @module models/Movement
+ *
+ * This schema:
+ * - Records every change to where an inmate is held: cell and bed changes, transfers
+ *   to and from outside locations (e.g., hospital, court, another facility) and releases.
+ * - Stores where the inmate moved from and to, why, who authorized it and when.
+ * - Is created automatically when an inmate's housing changes and by the transfer endpoint.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ */
+
+const mongoose = require("mongoose");
+
+const MOVEMENT_TYPES = [
+  "Housing Assignment",
+  "Internal Transfer",
+  "External Transfer",
+  "Return",
+  "Release",
+];
+
+/**
+ * @typedef MovementLocation
+ * @property {ObjectId} cell - Reference to the cell (null for outside locations).
+ * @property {Number} bed - Bed number within the cell.
+ * @property {String} location - Cell label (e.g., "A-101") or outside location name.
+ */
+const locationSchema = new mongoose.Schema(
+  {
+    cell: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cell",
+      default: null,
+    },
+    bed: { type: Number, default: null },
+    location: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef Movement
+ * @property {ObjectId} inmate - Reference to the inmate who moved (required).
+ * @property {String} movementType - Housing Assignment, Internal Transfer, External Transfer, Return or Release.
+ * @property {MovementLocation} from - Where the inmate was held (null when first housed).
+ * @property {MovementLocation} to - Where the inmate was moved.
+ * @property {String} reason - Reason for the movement (required).
+ * @property {ObjectId} authorizedBy - Reference to the officer who authorized the movement.
+ * @property {Date} movedAt - When the movement took place (default: now).
+ */
+const movementSchema = new mongoose.Schema(
+  {
+    inmate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inmate",
+      required: true,
+    },
+    movementType: { type: String, enum: MOVEMENT_TYPES, required: true },
+    from: { type: locationSchema, default: null },
+    to: { type: locationSchema, required: true },
+    reason: { type: String, required: true, trim: true },
+    authorizedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    movedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+// Movement timeline of an inmate, newest first
+movementSchema.index({ inmate: 1, movedAt: -1 });
+
+module.exports = mongoose.model("Movement", movementSchema);
@@ -6,7 +6,7 @@
  * This schema:
  * - Links a parole application to a specific inmate.
  * - Tracks the application and hearing dates.
- * - Maintains the parole status (Pending, Approved, Denied).
+ * - Maintains the parole status (Pending, Approved, Denied, or Cancelled on release).
  * - Stores decision notes from the parole board.
  *
  * @requires mongoose - MongoDB ODM library.
@@ -19,7 +19,7 @@ const mongoose = require("mongoose");
  * @property {ObjectId} inmate - Reference to the associated inmate (required).
  * @property {Date} applicationDate - Date the parole application was submitted (default: now).
  * @property {Date} hearingDate - Date scheduled for the parole hearing.
- * @property {String} status - Current status of the parole application (Pending, Approved, Denied).
+ * @property {String} status - Current status of the parole application (Pending, Approved, Denied, Cancelled).
  * @property {String} decisionNotes - Notes on the parole decision (optional).
  */
 const paroleSchema = new mongoose.Schema(
@@ -33,7 +33,7 @@ const paroleSchema = new mongoose.Schema(
     hearingDate: { type: Date },
     status: {
       type: String,
-      enum: ["Pending", "Approved", "Denied"],
+      enum: ["Pending", "Approved", "Denied", "Cancelled"],
       default: "Pending",
     },
     decisionNotes: { type: String },
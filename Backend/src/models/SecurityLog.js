@@ -0,0 +1,68 @@
+/**
+ * @file SecurityLog.js
+ * @description Defines the Mongoose schema for authentication security events.
+ * @module models/SecurityLog
+ *
+ * This schema:
+ * - Records every login success and failure with the username and IP address.
+ * - Records account lockouts, unlocks and logins blocked by the IP backoff.
+ * - Records two-factor enrollment, removal and resets.
+ * - Is queried by the login throttle to apply backoff per IP address.
+ *
+ * Security Features:
+ * - Failed attempts are logged even when the username does not exist.
+ * - Passwords are never stored; only the outcome and the reason are recorded.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ */
+
+const mongoose = require("mongoose");
+
+// Security event types
+const SECURITY_EVENTS = [
+  "LOGIN_SUCCESS",
+  "LOGIN_FAILURE",
+  "LOGIN_BLOCKED",
+  "ACCOUNT_LOCKED",
+  "ACCOUNT_UNLOCKED",
+  "TWO_FACTOR_ENABLED",
+  "TWO_FACTOR_DISABLED",
+  "TWO_FACTOR_RESET",
+];
+
+/**
+ * @typedef SecurityLog
+ * @property {String} event - Type of security event (e.g., "LOGIN_FAILURE").
+ * @property {String} username - Username supplied or affected (required).
+ * @property {ObjectId} user - Reference to the matching user, if one exists.
+ * @property {String} ipAddress - IP address the request came from.
+ * @property {String} userAgent - Browser user agent of the request.
+ * @property {String} reason - Why the event happened (e.g., "Invalid password").
+ * @property {ObjectId} performedBy - The warden who performed the action (unlocks only).
+ */
+const securityLogSchema = new mongoose.Schema(
+  {
+    event: { type: String, enum: SECURITY_EVENTS, required: true },
+    username: { type: String, required: true },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ipAddress: { type: String },
+    userAgent: { type: String },
+    reason: { type: String, default: null },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Supports the per-IP backoff lookup and log queries
+securityLogSchema.index({ ipAddress: 1, event: 1, createdAt: -1 });
+securityLogSchema.index({ username: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SecurityLog", securityLogSchema);
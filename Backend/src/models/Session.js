@@ -0,0 +1,76 @@
+/**
+ * @file Session.js
+ * @description Defines the Mongoose schema for server-side login sessions.
+ * @module models/Session
+ *
+ * This schema:
+ * - Represents one signed-in device/browser for a user.
+ * - Stores a SHA-256 hash of the current refresh token (never the token itself).
+ * - Allows wardens to revoke a single session or every session of a user.
+ *
+ * Security Features:
+ * - **Refresh token rotation**: each refresh replaces the stored hash and keeps
+ *   the previous one so a replayed (stolen) token can be detected.
+ * - **Revocation**: access tokens carry the session ID and are rejected by
+ *   `protect` once the session is revoked.
+ * - **TTL cleanup**: sessions are purged 30 days after they expire.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * @typedef Session
+ * @property {ObjectId} user - Reference to the signed-in user (required).
+ * @property {String} refreshTokenHash - Hash of the current refresh token (required).
+ * @property {String} previousRefreshTokenHash - Hash of the token replaced by the last rotation.
+ * @property {Date} expiresAt - Absolute expiry of the session (required).
+ * @property {Date} lastUsedAt - Last time the session was refreshed.
+ * @property {Date} revokedAt - Timestamp of revocation (null while active).
+ * @property {String} revokedReason - Why the session was revoked (e.g., "Logout").
+ * @property {ObjectId} revokedBy - The user who revoked the session, if revoked by a warden.
+ * @property {String} ipAddress - IP address the session was created from.
+ * @property {String} userAgent - Browser user agent the session was created from.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    previousRefreshTokenHash: { type: String, default: null, index: true },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ipAddress: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Purge sessions 30 days after they expire
+sessionSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+/**
+ * Checks whether the session can still be used.
+ *
+ * @returns {Boolean} - True if the session is neither revoked nor expired.
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
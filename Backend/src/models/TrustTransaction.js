@@ -0,0 +1,141 @@
+/**
+ * @file TrustTransaction.js
+ * @description Defines the Mongoose schema for inmate trust account transactions in the PrisonSphere system.
+ * @module models/TrustTransaction
+ *
+ * This schema:
+ * - Records deposits, withdrawals, commissary purchases and work wages as double entries.
+ * - Numbers each inmate's transactions in order and stores the balance after each one.
+ * - Links a reversal to the transaction it corrects.
+ *
+ * Ledger Rules:
+ * - Transactions are immutable: updates and deletes are rejected by the model, so
+ *   mistakes are corrected by posting a reversal.
+ * - The debits and credits of a transaction must balance.
+ * - A transaction can only be reversed once.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires trustAccounts - Ledger accounts and transaction types.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const {
+  LEDGER_ACCOUNTS,
+  TRUST_TRANSACTION_TYPES,
+  REVERSAL_TYPE,
+} = require("../config/trustAccounts");
+
+/**
+ * @typedef LedgerEntry
+ * @property {String} account - Ledger account (e.g., "Inmate Trust").
+ * @property {Number} debit - Amount debited, in cents.
+ * @property {Number} credit - Amount credited, in cents.
+ */
+const ledgerEntrySchema = new Schema(
+  {
+    account: {
+      type: String,
+      enum: Object.values(LEDGER_ACCOUNTS),
+      required: true,
+    },
+    debit: { type: Number, min: 0, default: 0 },
+    credit: { type: Number, min: 0, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef TrustTransaction
+ * @property {ObjectId} inmate - Reference to the account holder (required).
+ * @property {Number} sequence - Position in the inmate's ledger (starts at 1).
+ * @property {String} type - Deposit, Withdrawal, Commissary Purchase, Work Wage or Reversal.
+ * @property {Number} amount - Amount in cents (required).
+ * @property {Array<LedgerEntry>} entries - Balanced debits and credits.
+ * @property {Number} balanceAfter - Inmate's balance after the transaction, in cents.
+ * @property {String} description - What the transaction was for.
+ * @property {String} reference - Receipt, order or payroll number.
+ * @property {ObjectId} workProgramEnrollment - Enrollment a wage was earned in.
+ * @property {ObjectId} reverses - Transaction corrected by this reversal.
+ * @property {ObjectId} createdBy - Reference to the user who posted the transaction.
+ * @property {Date} createdAt - When the transaction was posted.
+ */
+const trustTransactionSchema = new Schema({
+  inmate: { type: Schema.Types.ObjectId, ref: "Inmate", required: true },
+  sequence: { type: Number, required: true },
+  type: {
+    type: String,
+    enum: [...TRUST_TRANSACTION_TYPES, REVERSAL_TYPE],
+    required: true,
+  },
+  amount: { type: Number, min: 1, required: true },
+  entries: { type: [ledgerEntrySchema], required: true },
+  balanceAfter: { type: Number, min: 0, required: true },
+  description: { type: String, default: "" },
+  reference: { type: String, default: "" },
+  workProgramEnrollment: {
+    type: Schema.Types.ObjectId,
+    ref: "WorkProgramEnrollment",
+    default: null,
+  },
+  reverses: {
+    type: Schema.Types.ObjectId,
+    ref: "TrustTransaction",
+    default: null,
+  },
+  createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One transaction per position in each inmate's ledger
+trustTransactionSchema.index({ inmate: 1, sequence: 1 }, { unique: true });
+
+// A transaction can only be reversed once
+trustTransactionSchema.index(
+  { reverses: 1 },
+  { unique: true, partialFilterExpression: { reverses: { $type: "objectId" } } }
+);
+
+/**
+ * Balanced Entries
+ * ----------------
+ * - Total debits must equal total credits, and both must equal the amount.
+ */
+trustTransactionSchema.pre("validate", function (next) {
+  const debits = this.entries.reduce((sum, entry) => sum + entry.debit, 0);
+  const credits = this.entries.reduce((sum, entry) => sum + entry.credit, 0);
+  if (debits !== credits || debits !== this.amount) {
+    return next(new Error("Trust transaction entries must balance"));
+  }
+  next();
+});
+
+/**
+ * Immutability
+ * ------------
+ * - Posted transactions can never be modified or removed.
+ */
+trustTransactionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Trust transactions cannot be modified"));
+  }
+  next();
+});
+
+trustTransactionSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Trust transactions cannot be modified"));
+  }
+);
+
+module.exports = mongoose.model("TrustTransaction", trustTransactionSchema);
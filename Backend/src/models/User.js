@@ -6,28 +6,46 @@
  * This schema:
  * - Manages user authentication and role-based access control (RBAC).
  * - Uses bcrypt.js for secure password hashing.
- * - Defines user roles (warden, admin) for restricted access to system features.
+ * - Assigns each user a staff role whose permissions are defined in `config/permissions.js`.
+ * - Supports deactivating accounts without deleting their history.
+ * - Tracks failed login attempts and temporary lockouts.
+ * - Stores optional TOTP two-factor authentication settings.
  *
  * Security Features:
  * - **Unique usernames** ensure no duplicate accounts.
  * - **Hashed passwords** prevent storing plain-text credentials.
  * - **Pre-save middleware** automatically hashes passwords before storing them.
+ * - **Recovery codes** are stored as SHA-256 hashes and removed once used.
  *
  * Relationships:
  * - Used for authentication & role-based authorization across the system.
  *
  * @requires mongoose - MongoDB ODM library.
  * @requires bcryptjs - Library for hashing passwords securely.
+ * @requires ROLES - Staff roles defined in the permission matrix.
  */
 
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { ROLES } = require("../config/permissions");
 
 /**
  * @typedef User
  * @property {String} username - Unique username for the user (required).
  * @property {String} password - Hashed password for authentication (required).
- * @property {String} role - Defines the user's access level (warden, admin).
+ * @property {String} role - Staff role (warden, admin, correctional_officer, counselor, parole_board, visitation_clerk, auditor, medical_staff).
+ * @property {Boolean} isActive - Whether the account may sign in (default: true).
+ * @property {Date} deactivatedAt - Timestamp of deactivation (null while active).
+ * @property {Number} failedLoginAttempts - Consecutive failed logins since the last success or lockout.
+ * @property {Date} lastFailedLoginAt - Timestamp of the most recent failed login.
+ * @property {Date} lockedUntil - Logins are refused until this time (null when not locked).
+ * @property {Date} lastLoginAt - Timestamp of the most recent successful login.
+ * @property {Boolean} twoFactorEnabled - Whether a TOTP code is required at login (default: false).
+ * @property {String} twoFactorSecret - Base32 TOTP secret (null until enrollment is confirmed).
+ * @property {String} twoFactorPendingSecret - Secret awaiting confirmation during enrollment.
+ * @property {Array<String>} twoFactorRecoveryCodes - Hashes of unused recovery codes.
+ * @property {Number} twoFactorLastUsedStep - Time step of the last accepted code (prevents reuse).
+ * @property {Date} twoFactorEnabledAt - Timestamp of enrollment.
  */
 
 const userSchema = new mongoose.Schema(
@@ -36,10 +54,22 @@ const userSchema = new mongoose.Schema(
     password: { type: String, required: true },
     role: {
       type: String,
-      enum: ["warden", "admin"],
+      enum: Object.values(ROLES),
       required: true,
       lowercase: true, // Ensures consistent role formatting
     },
+    isActive: { type: Boolean, default: true },
+    deactivatedAt: { type: Date, default: null },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    lastLoginAt: { type: Date, default: null },
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, default: null },
+    twoFactorPendingSecret: { type: String, default: null },
+    twoFactorRecoveryCodes: { type: [String], default: [] },
+    twoFactorLastUsedStep: { type: Number, default: null },
+    twoFactorEnabledAt: { type: Date, default: null },
   },
   { timestamps: true } // Automatically adds `createdAt` and `updatedAt` fields
 );
@@ -0,0 +1,207 @@
+/**
+ * @file Visit.js
+ * @description Defines the Mongoose schema for visits to inmates in the PrisonSphere system.
+ * @module models/Visit
+ *
+ * This schema:
+ * - Links a visit to the inmate and the registered visitor.
+ * - Records the visit timestamp, duration and purpose.
+ * - Keeps the visitor's relationship to the inmate as it was at the time of the visit.
+ * - Books visits in advance in a visiting room, moving Booked → Checked In → Completed,
+ *   or to Cancelled or No-Show.
+ * - Records whether the visit allowed contact or was held through a screen.
+ * - Voids records entered by mistake, keeping them (with the reason) for auditors.
+ * - Records the gate check-in (badge and ID checked) and check-out, and the actual
+ *   duration and overstay they give.
+ * - Holds a booking's places (the inmate's and visitor's slot, a room seat and a place
+ *   in the inmate's weekly quota) under unique indexes, so bookings made at the same
+ *   moment cannot share them; the places are given up once the booking no longer needs them.
+ * - Lets a badge be worn by only one visitor checked in at a time.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires visits - Visit statuses, contact types, void reasons, ID document types and
+ *   the statuses that hold a slot or count towards the quota.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const {
+  VISIT_STATUSES,
+  VISIT_CONTACT_TYPES,
+  VISIT_VOID_REASONS,
+  ID_DOCUMENT_TYPES,
+  OCCUPYING_VISIT_STATUSES,
+  QUOTA_VISIT_STATUSES,
+} = require("../config/visits");
+
+/**
+ * @typedef VisitCheckIn
+ * @property {Date} at - When the visitor was checked in at the gate.
+ * @property {ObjectId} by - Reference to the user who checked the visitor in.
+ * @property {String} badgeNumber - Visitor badge issued at the gate.
+ * @property {String} idDocumentType - Type of ID document checked (e.g., "Passport").
+ * @property {String} idDocumentNumber - Number of the ID document checked.
+ */
+const checkInSchema = new Schema(
+  {
+    at: { type: Date, required: true },
+    by: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    badgeNumber: { type: String, required: true, trim: true },
+    idDocumentType: { type: String, enum: ID_DOCUMENT_TYPES, required: true },
+    idDocumentNumber: { type: String, required: true, trim: true },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef VisitCheckOut
+ * @property {Date} at - When the visitor was checked out at the gate.
+ * @property {ObjectId} by - Reference to the user who checked the visitor out.
+ */
+const checkOutSchema = new Schema(
+  {
+    at: { type: Date, required: true },
+    by: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef VisitVoid
+ * @property {Date} at - When the record was voided.
+ * @property {ObjectId} by - Reference to the user who voided the record.
+ * @property {String} reasonCode - Why the record was voided (e.g., "Duplicate Entry").
+ * @property {String} notes - Details of the reason (required for "Other").
+ */
+const voidSchema = new Schema(
+  {
+    at: { type: Date, required: true },
+    by: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reasonCode: { type: String, enum: VISIT_VOID_REASONS, required: true },
+    notes: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef Visit
+ * @property {ObjectId} inmate - Reference to the inmate visited (required).
+ * @property {ObjectId} visitor - Reference to the registered visitor (required).
+ * @property {String} relationshipToInmate - Relationship between visitor and inmate (required).
+ * @property {Date} visitTimestamp - Date and time of the visit (defaults to current time).
+ * @property {Number} durationMinutes - Duration of the visit in minutes (required).
+ * @property {String} purposeOfVisit - Purpose or reason for the visit (required).
+ * @property {String} staffNotes - Notes entered by staff regarding the visit (optional).
+ * @property {ObjectId} loggedBy - Reference to the user who logged the visit.
+ * @property {String} contactType - Contact or Non-Contact (default: Contact).
+ * @property {String} status - Booked, Completed, Cancelled or No-Show (default: Completed).
+ * @property {Date} visitEnd - When the visit ends (set from the timestamp and duration).
+ * @property {ObjectId} room - Reference to the visiting room (booked visits).
+ * @property {ObjectId} bookedBy - Reference to the user who booked the visit.
+ * @property {String} statusNotes - Reason the visit was cancelled, or note on a no-show.
+ * @property {ObjectId} statusChangedBy - Reference to the user who last changed the status.
+ * @property {Date} statusChangedAt - When the status last changed.
+ * @property {VisitCheckIn} checkIn - Gate check-in (booked visits).
+ * @property {VisitCheckOut} checkOut - Gate check-out (booked visits).
+ * @property {Number} actualDurationMinutes - Minutes between check-in and check-out.
+ * @property {Number} overstayMinutes - Minutes the visitor stayed past the end of the slot.
+ * @property {Date} voidedAt - When the record was voided (null while it stands).
+ * @property {VisitVoid} void - Who voided the record and why.
+ * @property {Boolean} holdsSlot - Whether the booking holds its slot for the inmate, the visitor and a room seat.
+ * @property {Number} roomSeat - Seat of the room held in the slot (0 to capacity - 1).
+ * @property {Boolean} holdsQuota - Whether the booking holds a place in the inmate's weekly quota.
+ * @property {Date} quotaWeek - Start of the week (Monday) whose quota the booking counts towards.
+ * @property {Number} quotaSeat - Place held in the week's quota (0 to quota - 1).
+ */
+const visitSchema = new Schema(
+  {
+    inmate: { type: Schema.Types.ObjectId, ref: "Inmate", required: true },
+    visitor: {
+      type: Schema.Types.ObjectId,
+      ref: "VisitorProfile",
+      required: true,
+    },
+    relationshipToInmate: { type: String, required: true },
+    visitTimestamp: { type: Date, required: true, default: Date.now },
+    durationMinutes: { type: Number, required: true },
+    purposeOfVisit: { type: String, required: true },
+    staffNotes: { type: String },
+    loggedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    contactType: {
+      type: String,
+      enum: VISIT_CONTACT_TYPES,
+      default: "Contact",
+    },
+    status: { type: String, enum: VISIT_STATUSES, default: "Completed" },
+    visitEnd: { type: Date },
+    room: { type: Schema.Types.ObjectId, ref: "VisitingRoom", default: null },
+    bookedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    statusNotes: { type: String, default: "" },
+    statusChangedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    statusChangedAt: { type: Date, default: null },
+    checkIn: { type: checkInSchema, default: null },
+    checkOut: { type: checkOutSchema, default: null },
+    actualDurationMinutes: { type: Number, default: null },
+    overstayMinutes: { type: Number, default: 0 },
+    voidedAt: { type: Date, default: null },
+    void: { type: voidSchema, default: null },
+    holdsSlot: { type: Boolean, default: false },
+    roomSeat: { type: Number, default: null },
+    holdsQuota: { type: Boolean, default: false },
+    quotaWeek: { type: Date, default: null },
+    quotaSeat: { type: Number, default: null },
+  },
+  { timestamps: true }
+);
+
+// Keep the end of the visit in step with its start and duration (used for conflicts)
+visitSchema.pre("validate", function (next) {
+  if (this.visitTimestamp && this.durationMinutes) {
+    this.visitEnd = new Date(
+      this.visitTimestamp.getTime() + this.durationMinutes * 60000
+    );
+  }
+  next();
+});
+
+// Give up the places once the booking no longer holds them (a no-show keeps its quota place)
+visitSchema.pre("validate", function (next) {
+  if (this.voidedAt || !OCCUPYING_VISIT_STATUSES.includes(this.status)) {
+    this.holdsSlot = false;
+  }
+  if (this.voidedAt || !QUOTA_VISIT_STATUSES.includes(this.status)) {
+    this.holdsQuota = false;
+  }
+  next();
+});
+
+// Each inmate's visits and each visitor's visits, newest first
+visitSchema.index({ inmate: 1, visitTimestamp: -1 });
+visitSchema.index({ visitor: 1, visitTimestamp: -1 });
+// Room bookings and the visiting calendar
+visitSchema.index({ room: 1, visitTimestamp: 1 });
+visitSchema.index({ status: 1, visitTimestamp: 1 });
+// Places held by bookings: one slot per inmate and visitor, one booking per room seat
+// and per quota place
+const holdingSlot = {
+  unique: true,
+  partialFilterExpression: { holdsSlot: true },
+};
+visitSchema.index({ inmate: 1, visitTimestamp: 1 }, holdingSlot);
+visitSchema.index({ visitor: 1, visitTimestamp: 1 }, holdingSlot);
+visitSchema.index({ room: 1, visitTimestamp: 1, roomSeat: 1 }, holdingSlot);
+visitSchema.index(
+  { inmate: 1, quotaWeek: 1, quotaSeat: 1 },
+  { unique: true, partialFilterExpression: { holdsQuota: true } }
+);
+// Each badge is worn by one visitor on the premises at a time
+visitSchema.index(
+  { "checkIn.badgeNumber": 1 },
+  { unique: true, partialFilterExpression: { status: "Checked In" } }
+);
+
+module.exports = mongoose.model("Visit", visitSchema);
@@ -0,0 +1,39 @@
+/**
+ * @file VisitingRoom.js
+ * @description Defines the Mongoose schema for visiting rooms in the PrisonSphere system.
+ * @module models/VisitingRoom
+ *
+ * This schema:
+ * - Belongs to a facility and is shared by the blocks of that facility.
+ * - Sets how many visits the room can hold at the same time.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * @typedef VisitingRoom
+ * @property {ObjectId} facility - Reference to the facility (required).
+ * @property {String} name - Name of the room (e.g., "Visiting Hall 1") (required, unique per facility).
+ * @property {Number} capacity - Visits the room can hold at the same time (required, min 1).
+ * @property {Boolean} isActive - Whether the room can be booked (default: true).
+ */
+const visitingRoomSchema = new mongoose.Schema(
+  {
+    facility: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Facility",
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    capacity: { type: Number, required: true, min: 1 },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// Room names are unique within a facility
+visitingRoomSchema.index({ facility: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("VisitingRoom", visitingRoomSchema);
@@ -0,0 +1,67 @@
+/**
+ * @file VisitorApproval.js
+ * @description Defines the Mongoose schema for the visitors on an inmate's approved-visitor list in the PrisonSphere system.
+ * @module models/VisitorApproval
+ *
+ * This schema:
+ * - Links a registered visitor to an inmate, with their relationship to the inmate.
+ * - Moves through Pending, Approved, Denied and Revoked.
+ * - Keeps every request and decision in an append-only history.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires visitors - Approval statuses.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { APPROVAL_STATUSES } = require("../config/visitors");
+
+/**
+ * @typedef ApprovalHistoryEntry
+ * @property {String} status - Status of the approval after this entry (required).
+ * @property {String} fromStatus - Status before this entry (null when first requested).
+ * @property {String} notes - Reason or note recorded with the entry.
+ * @property {ObjectId} changedBy - Reference to the user who recorded the entry.
+ * @property {Date} changedAt - When the entry was recorded.
+ */
+const approvalHistorySchema = new Schema({
+  status: { type: String, enum: APPROVAL_STATUSES, required: true },
+  fromStatus: { type: String, enum: APPROVAL_STATUSES, default: null },
+  notes: { type: String, default: "" },
+  changedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  changedAt: { type: Date, default: Date.now },
+});
+
+/**
+ * @typedef VisitorApproval
+ * @property {ObjectId} inmate - Reference to the inmate (required).
+ * @property {ObjectId} visitor - Reference to the registered visitor (required).
+ * @property {String} relationshipToInmate - Relationship between visitor and inmate (required).
+ * @property {String} status - Pending, Approved, Denied or Revoked (default: Pending).
+ * @property {ObjectId} requestedBy - Reference to the user who put the visitor forward.
+ * @property {Date} decidedAt - When the latest decision was made.
+ * @property {Array<ApprovalHistoryEntry>} history - Requests and decisions, oldest first.
+ */
+const visitorApprovalSchema = new Schema(
+  {
+    inmate: { type: Schema.Types.ObjectId, ref: "Inmate", required: true },
+    visitor: {
+      type: Schema.Types.ObjectId,
+      ref: "VisitorProfile",
+      required: true,
+    },
+    relationshipToInmate: { type: String, required: true, trim: true },
+    status: { type: String, enum: APPROVAL_STATUSES, default: "Pending" },
+    requestedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    decidedAt: { type: Date, default: null },
+    history: [approvalHistorySchema],
+  },
+  { timestamps: true }
+);
+
+// A visitor appears once on each inmate's list
+visitorApprovalSchema.index({ inmate: 1, visitor: 1 }, { unique: true });
+// Requests waiting for a decision
+visitorApprovalSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("VisitorApproval", visitorApprovalSchema);
@@ -0,0 +1,40 @@
+/**
+ * @file VisitorProfile.js
+ * @description Defines the Mongoose schema for registered visitors in the PrisonSphere system.
+ * @module models/VisitorProfile
+ *
+ * This schema:
+ * - Records a visitor once, with their contact details and identification.
+ * - Is shared by every inmate the person visits; the relationship to each inmate
+ *   is kept on their approval (see `VisitorApproval`).
+ *
+ * @requires mongoose - MongoDB ODM library.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+/**
+ * @typedef VisitorProfile
+ * @property {String} fullName - Name of the visitor (required).
+ * @property {String} contactNumber - Contact number of the visitor (required).
+ * @property {String} email - Visitor's email address (required).
+ * @property {String} idNumber - Number of the identification document presented (optional).
+ * @property {ObjectId} registeredBy - Reference to the user who registered the visitor.
+ */
+const visitorProfileSchema = new Schema(
+  {
+    fullName: { type: String, required: true, trim: true },
+    contactNumber: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    idNumber: { type: String, trim: true, default: "" },
+    registeredBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+// Registry search, and finding a visitor who is already registered
+visitorProfileSchema.index({ fullName: 1 });
+visitorProfileSchema.index({ contactNumber: 1 });
+
+module.exports = mongoose.model("VisitorProfile", visitorProfileSchema);
@@ -0,0 +1,63 @@
+/**
+ * @file VisitorRestriction.js
+ * @description Defines the Mongoose schema for restrictions placed on registered visitors in the PrisonSphere system.
+ * @module models/VisitorRestriction
+ *
+ * This schema:
+ * - Bars a visitor from every visit, limits them to non-contact visits, or bars
+ *   them from visiting one inmate.
+ * - Records the reason, the officer who issued it and when it expires.
+ * - Records when, by whom and why a restriction was lifted early.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires visitors - Restriction types.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { RESTRICTION_TYPES } = require("../config/visitors");
+
+/**
+ * @typedef VisitorRestriction
+ * @property {ObjectId} visitor - Reference to the restricted visitor (required).
+ * @property {String} type - Full Ban, Non-Contact Only or Inmate-Specific (required).
+ * @property {ObjectId} inmate - Reference to the inmate the visitor is barred from (Inmate-Specific only).
+ * @property {String} reason - Why the restriction was issued (required).
+ * @property {ObjectId} issuedBy - Reference to the officer who issued the restriction.
+ * @property {Date} startDate - When the restriction takes effect (defaults to now).
+ * @property {Date} expiresAt - When the restriction ends (required).
+ * @property {Date} liftedAt - When the restriction was lifted early.
+ * @property {ObjectId} liftedBy - Reference to the user who lifted the restriction.
+ * @property {String} liftReason - Why the restriction was lifted.
+ */
+const visitorRestrictionSchema = new Schema(
+  {
+    visitor: {
+      type: Schema.Types.ObjectId,
+      ref: "VisitorProfile",
+      required: true,
+    },
+    type: { type: String, enum: RESTRICTION_TYPES, required: true },
+    inmate: {
+      type: Schema.Types.ObjectId,
+      ref: "Inmate",
+      default: null,
+      required: function () {
+        return this.type === "Inmate-Specific";
+      },
+    },
+    reason: { type: String, required: true, trim: true },
+    issuedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    startDate: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    liftedAt: { type: Date, default: null },
+    liftedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    liftReason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// Restrictions in force for a visitor
+visitorRestrictionSchema.index({ visitor: 1, expiresAt: -1 });
+
+module.exports = mongoose.model("VisitorRestriction", visitorRestrictionSchema);
@@ -7,21 +7,30 @@
  * - Stores predefined work programs (e.g., Kitchen, Carpentry, Cleaning).
  * - Allows dynamic addition and modification by administrators.
  * - Prevents redundancy with unique work program names.
+ * - Limits enrollment to inmates classified at or below a custody level.
  *
  * @requires mongoose - MongoDB ODM library.
+ * @requires SECURITY_LEVELS - Custody security levels.
  */
 
 const mongoose = require("mongoose");
+const { SECURITY_LEVELS } = require("../config/securityLevels");
 
 /**
  * @typedef WorkProgram
  * @property {String} name - Name of the work program (Unique).
  * @property {String} description - Short description of the work program.
+ * @property {String} maxCustodyLevel - Most restrictive custody level allowed to enroll (default: Maximum).
  */
 const workProgramSchema = new mongoose.Schema(
   {
     name: { type: String, unique: true, required: true },
     description: { type: String },
+    maxCustodyLevel: {
+      type: String,
+      enum: SECURITY_LEVELS,
+      default: "Maximum",
+    },
   },
   { timestamps: true }
 );
@@ -19,11 +19,22 @@ const {
   logActivity,
   getActivityLogsForInmate,
 } = require("../controllers/activityLogController");
-const { protect, isWarden } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
-router.post("/", protect, isWarden, logActivity);
-router.get("/inmate/:inmateId", protect, getActivityLogsForInmate);
+router.post(
+  "/",
+  protect,
+  authorize(PERMISSIONS.REHABILITATION_LOG),
+  logActivity
+);
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.REHABILITATION_VIEW),
+  getActivityLogsForInmate
+);
 
 module.exports = router;
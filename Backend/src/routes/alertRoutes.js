@@ -0,0 +1,75 @@
+/**
+ * @file alertRoutes.js
+ * @description Defines API routes for alerts and flags on inmate records in the PrisonSphere system.
+ * @module routes/alertRoutes
+ *
+ * This route file:
+ * - Raises, updates and deactivates alerts.
+ * - Retrieves the alerts of an inmate, or the alerts in force for a list of inmates.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires alertController - Controller functions for alerts.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  addAlert,
+  getAlertsByInmate,
+  getActiveAlerts,
+  updateAlert,
+} = require("../controllers/alertController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   POST /prisonsphere/alerts
+ * @desc    Raise an alert on an inmate.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.post("/", protect, authorize(PERMISSIONS.INMATES_UPDATE), addAlert);
+
+/**
+ * @route   GET /prisonsphere/alerts/active
+ * @desc    Retrieve the alerts in force for a list of inmates.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/active",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getActiveAlerts
+);
+
+/**
+ * @route   GET /prisonsphere/alerts/inmate/:inmateId
+ * @desc    Retrieve the alerts on an inmate's record.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getAlertsByInmate
+);
+
+/**
+ * @route   PUT /prisonsphere/alerts/:id
+ * @desc    Update or deactivate an alert.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.put("/:id", protect, authorize(PERMISSIONS.INMATES_UPDATE), updateAlert);
+
+module.exports = router;
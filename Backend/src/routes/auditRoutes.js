@@ -0,0 +1,51 @@
+/**
+ * @file auditRoutes.js
+ * @description Defines API routes for the audit trail in the PrisonSphere system.
+ * @module routes/auditRoutes
+ *
+ * This route file:
+ * - Lists audit events for inmate, parole, visitor and work program records.
+ * - Verifies that the audit trail has not been edited or truncated.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires getAuditEvents - Controller function for querying the audit trail.
+ * @requires verifyAuditTrail - Controller function for verifying the audit hash chain.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  getAuditEvents,
+  verifyAuditTrail,
+} = require("../controllers/auditController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/audit
+ * @desc    Retrieve audit events (optional action/entity/inmate/actor/field/date filters).
+ * @access  Private (audit:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "audit:view" permission.
+ */
+router.get("/", protect, authorize(PERMISSIONS.AUDIT_VIEW), getAuditEvents);
+
+/**
+ * @route   GET /prisonsphere/audit/verify
+ * @desc    Verify the audit hash chain and report the first broken link.
+ * @access  Private (audit:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "audit:view" permission.
+ */
+router.get(
+  "/verify",
+  protect,
+  authorize(PERMISSIONS.AUDIT_VIEW),
+  verifyAuditTrail
+);
+
+module.exports = router;
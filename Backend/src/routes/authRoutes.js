@@ -8,23 +8,42 @@
  * - Handles user login, session verification, and logout functionality.
  *
  * Routes:
- * - `POST /prisonsphere/auth/login` → Authenticates the user and returns a JWT token.
+ * - `POST /prisonsphere/auth/login` → Authenticates the user and returns a JWT token
+ *   (or a two-factor challenge token).
+ * - `POST /prisonsphere/auth/2fa/verify` → Verifies the two-factor code and returns a JWT token.
+ * - `POST /prisonsphere/auth/2fa/login-setup` → Starts required two-factor enrollment during login.
+ * - `GET|POST /prisonsphere/auth/2fa/...` → Manages the signed-in user's two-factor settings.
  * - `GET /prisonsphere/auth/login` → Checks if the user is logged in and returns session info.
+ * - `POST /prisonsphere/auth/refresh` → Rotates the refresh token and issues a new access token.
  * - `GET /prisonsphere/auth/logout` → Logs the user out and invalidates the session.
  *
  * Middleware:
  * - Authentication and session handling is managed via the **authController**.
+ * - Two-factor settings routes use `protect` to require a signed-in user.
  *
  * @requires express - Express framework for handling routes.
  * @requires authController - Controller for managing authentication.
+ * @requires twoFactorController - Controller for managing two-factor enrollment.
+ * @requires protect - Middleware function for authentication.
  */
 
 const express = require("express");
 const {
   login_post,
+  verify2fa_post,
   login_get,
+  refresh_post,
   logout,
 } = require("../controllers/authController");
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  setupTwoFactorAtLogin,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require("../controllers/twoFactorController");
+const { protect } = require("../middleware/authMiddleware");
 
 const router = express.Router();
 
@@ -36,6 +55,61 @@ const router = express.Router();
  */
 router.post("/login", login_post);
 
+/**
+ * @route   POST /prisonsphere/auth/2fa/verify
+ * @desc    Completes login with a TOTP code or a recovery code.
+ * @access  Public (requires challenge token from the login step)
+ * @middleware verify2fa_post - Verifies the second factor and issues the session tokens.
+ */
+router.post("/2fa/verify", verify2fa_post);
+
+/**
+ * @route   POST /prisonsphere/auth/2fa/login-setup
+ * @desc    Starts two-factor enrollment during login for roles that require it.
+ * @access  Public (requires challenge token from the login step)
+ */
+router.post("/2fa/login-setup", setupTwoFactorAtLogin);
+
+/**
+ * @route   GET /prisonsphere/auth/2fa
+ * @desc    Returns the signed-in user's two-factor status.
+ * @access  Private
+ * @middleware protect - Ensures user is authenticated.
+ */
+router.get("/2fa", protect, getTwoFactorStatus);
+
+/**
+ * @route   POST /prisonsphere/auth/2fa/setup
+ * @desc    Generates a secret and provisioning URI for the signed-in user.
+ * @access  Private
+ * @middleware protect - Ensures user is authenticated.
+ */
+router.post("/2fa/setup", protect, setupTwoFactor);
+
+/**
+ * @route   POST /prisonsphere/auth/2fa/enable
+ * @desc    Confirms enrollment with a code and returns recovery codes.
+ * @access  Private
+ * @middleware protect - Ensures user is authenticated.
+ */
+router.post("/2fa/enable", protect, enableTwoFactor);
+
+/**
+ * @route   POST /prisonsphere/auth/2fa/recovery-codes
+ * @desc    Replaces the signed-in user's recovery codes.
+ * @access  Private
+ * @middleware protect - Ensures user is authenticated.
+ */
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+
+/**
+ * @route   POST /prisonsphere/auth/2fa/disable
+ * @desc    Turns off two-factor authentication after verifying the password.
+ * @access  Private
+ * @middleware protect - Ensures user is authenticated.
+ */
+router.post("/2fa/disable", protect, disableTwoFactor);
+
 /**
  * @route   GET /prisonsphere/auth/login
  * @desc    Checks if the user is currently logged in.
@@ -44,9 +118,17 @@ router.post("/login", login_post);
  */
 router.get("/login", login_get);
 
+/**
+ * @route   POST /prisonsphere/auth/refresh
+ * @desc    Exchanges the refresh token cookie for a new access token.
+ * @access  Public (requires refresh token cookie)
+ * @middleware refresh_post - Rotates the refresh token and issues a new access token.
+ */
+router.post("/refresh", refresh_post);
+
 /**
  * @route   GET /prisonsphere/auth/logout
- * @desc    Logs the user out and clears authentication cookies.
+ * @desc    Logs the user out, revokes the session and clears authentication cookies.
  * @access  Private
  * @middleware logout - Clears the user's session token.
  */
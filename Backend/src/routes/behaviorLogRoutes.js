@@ -3,14 +3,25 @@ const {
   logBehavior,
   getLatestBehaviorLog,
 } = require("../controllers/behaviorLogController");
-const { protect, isWarden } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
 // Route to log or update behavior
-router.post("/", protect, isWarden, logBehavior);
+router.post(
+  "/",
+  protect,
+  authorize(PERMISSIONS.REHABILITATION_LOG),
+  logBehavior
+);
 
 // Route to get the latest behavioral log for an inmate
-router.get("/inmate/:inmateId", protect, getLatestBehaviorLog);
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.REHABILITATION_VIEW),
+  getLatestBehaviorLog
+);
 
 module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * @file chargeRoutes.js
+ * @description Defines API routes for inmate charges and offenses in the PrisonSphere system.
+ * @module routes/chargeRoutes
+ *
+ * This route file:
+ * - Records, updates and deletes charges.
+ * - Retrieves the charges of an inmate.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires chargeController - Controller functions for charges.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  addCharge,
+  getChargesByInmate,
+  updateCharge,
+  deleteCharge,
+} = require("../controllers/chargeController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   POST /prisonsphere/charges
+ * @desc    Record a charge against an inmate.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.post("/", protect, authorize(PERMISSIONS.INMATES_UPDATE), addCharge);
+
+/**
+ * @route   GET /prisonsphere/charges/inmate/:inmateId
+ * @desc    Retrieve the charges of an inmate.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getChargesByInmate
+);
+
+/**
+ * @route   PUT /prisonsphere/charges/:id
+ * @desc    Update a charge.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.put(
+  "/:id",
+  protect,
+  authorize(PERMISSIONS.INMATES_UPDATE),
+  updateCharge
+);
+
+/**
+ * @route   DELETE /prisonsphere/charges/:id
+ * @desc    Delete a charge entered in error.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.delete(
+  "/:id",
+  protect,
+  authorize(PERMISSIONS.INMATES_UPDATE),
+  deleteCharge
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * @file classificationRoutes.js
+ * @description Defines API routes for inmate custody classification in the PrisonSphere system.
+ * @module routes/classificationRoutes
+ *
+ * This route file:
+ * - Retrieves an inmate's custody level, suggested level and classification history.
+ * - Classifies or reclassifies an inmate.
+ * - Lists inmates due for a periodic classification review.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires classificationController - Controller functions for classification.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  getClassification,
+  classifyInmate,
+  getReviewsDue,
+} = require("../controllers/classificationController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/classifications/reviews-due
+ * @desc    List incarcerated inmates due for a classification review.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/reviews-due",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getReviewsDue
+);
+
+/**
+ * @route   GET /prisonsphere/classifications/inmate/:inmateId
+ * @desc    Retrieve an inmate's custody level, suggested level and history.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getClassification
+);
+
+/**
+ * @route   POST /prisonsphere/classifications/inmate/:inmateId
+ * @desc    Classify or reclassify an inmate.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.post(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.INMATES_UPDATE),
+  classifyInmate
+);
+
+module.exports = router;
@@ -10,6 +10,7 @@
  * Routes:
  * - `GET /prisonsphere/dashboard/stats` → Fetches key dashboard statistics.
  * - `GET /prisonsphere/dashboard/analytics` → Retrieves analytics data for charts and reports.
+ * - `GET /prisonsphere/dashboard/upcoming-releases` → Lists inmates due for release soon.
  *
  * Middleware:
  * - **protect**: Ensures only authenticated users can access dashboard data.
@@ -23,25 +24,53 @@ const express = require("express");
 const {
   getDashboardStats,
   getDashboardAnalytics,
+  getUpcomingReleases,
 } = require("../controllers/dashboardController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
 /**
  * @route   GET /prisonsphere/dashboard/stats
  * @desc    Fetches key prison statistics for the dashboard.
- * @access  Private (Admin & Warden)
+ * @access  Private (dashboard:view)
  * @middleware protect - Ensures only authenticated users can access the dashboard.
+ * @middleware authorize - Requires the "dashboard:view" permission.
  */
-router.get("/stats", protect, getDashboardStats);
+router.get(
+  "/stats",
+  protect,
+  authorize(PERMISSIONS.DASHBOARD_VIEW),
+  getDashboardStats
+);
 
 /**
  * @route   GET /prisonsphere/dashboard/analytics
  * @desc    Retrieves analytics data for inmate trends and reports.
- * @access  Private (Admin & Warden)
+ * @access  Private (dashboard:view)
  * @middleware protect - Ensures only authenticated users can access the dashboard analytics.
+ * @middleware authorize - Requires the "dashboard:view" permission.
  */
-router.get("/analytics", protect, getDashboardAnalytics);
+router.get(
+  "/analytics",
+  protect,
+  authorize(PERMISSIONS.DASHBOARD_VIEW),
+  getDashboardAnalytics
+);
+
+/**
+ * @route   GET /prisonsphere/dashboard/upcoming-releases
+ * @desc    Lists inmates due for release in the next 30 days (or `days` days).
+ * @access  Private (dashboard:view)
+ * @middleware protect - Ensures only authenticated users can access the dashboard.
+ * @middleware authorize - Requires the "dashboard:view" permission.
+ */
+router.get(
+  "/upcoming-releases",
+  protect,
+  authorize(PERMISSIONS.DASHBOARD_VIEW),
+  getUpcomingReleases
+);
 
 module.exports = router;
@@ -0,0 +1,141 @@
+/**
+ * @file grievanceRoutes.js
+ * @description Defines API routes for inmate grievances and the responses to them in the PrisonSphere system.
+ * @module routes/grievanceRoutes
+ *
+ * This route file:
+ * - Files grievances and lodges appeals on behalf of inmates.
+ * - Retrieves grievances, one grievance, or the grievances past their deadline.
+ * - Records staff responses and assigns the staff member responsible for responding.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires grievanceController - Controller functions for grievances.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  fileGrievance,
+  getGrievances,
+  getOverdueGrievances,
+  getResponders,
+  getGrievanceById,
+  respondToGrievance,
+  appealGrievance,
+  assignGrievance,
+} = require("../controllers/grievanceController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   POST /prisonsphere/grievances
+ * @desc    File a grievance on behalf of an inmate.
+ * @access  Private (grievances:file)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "grievances:file" permission.
+ */
+router.post(
+  "/",
+  protect,
+  authorize(PERMISSIONS.GRIEVANCES_FILE),
+  fileGrievance
+);
+
+/**
+ * @route   GET /prisonsphere/grievances
+ * @desc    Retrieve grievances with pagination and filters.
+ * @access  Private (grievances:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "grievances:view" permission.
+ */
+router.get("/", protect, authorize(PERMISSIONS.GRIEVANCES_VIEW), getGrievances);
+
+/**
+ * @route   GET /prisonsphere/grievances/overdue
+ * @desc    Retrieve open grievances past their response deadline.
+ * @access  Private (grievances:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "grievances:view" permission.
+ */
+router.get(
+  "/overdue",
+  protect,
+  authorize(PERMISSIONS.GRIEVANCES_VIEW),
+  getOverdueGrievances
+);
+
+/**
+ * @route   GET /prisonsphere/grievances/responders
+ * @desc    Retrieve the staff who can be assigned to respond to grievances.
+ * @access  Private (grievances:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "grievances:view" permission.
+ */
+router.get(
+  "/responders",
+  protect,
+  authorize(PERMISSIONS.GRIEVANCES_VIEW),
+  getResponders
+);
+
+/**
+ * @route   GET /prisonsphere/grievances/:id
+ * @desc    Retrieve a grievance with its response history.
+ * @access  Private (grievances:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "grievances:view" permission.
+ */
+router.get(
+  "/:id",
+  protect,
+  authorize(PERMISSIONS.GRIEVANCES_VIEW),
+  getGrievanceById
+);
+
+/**
+ * @route   POST /prisonsphere/grievances/:id/responses
+ * @desc    Record a response, optionally moving the grievance under review or resolving it.
+ * @access  Private (grievances:respond)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "grievances:respond" permission.
+ */
+router.post(
+  "/:id/responses",
+  protect,
+  authorize(PERMISSIONS.GRIEVANCES_RESPOND),
+  respondToGrievance
+);
+
+/**
+ * @route   POST /prisonsphere/grievances/:id/appeal
+ * @desc    Lodge an inmate's appeal against a resolved grievance.
+ * @access  Private (grievances:file)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "grievances:file" permission.
+ */
+router.post(
+  "/:id/appeal",
+  protect,
+  authorize(PERMISSIONS.GRIEVANCES_FILE),
+  appealGrievance
+);
+
+/**
+ * @route   PUT /prisonsphere/grievances/:id/assign
+ * @desc    Assign the staff member responsible for responding to a grievance.
+ * @access  Private (grievances:respond)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "grievances:respond" permission.
+ */
+router.put(
+  "/:id/assign",
+  protect,
+  authorize(PERMISSIONS.GRIEVANCES_RESPOND),
+  assignGrievance
+);
+
+module.exports = router;
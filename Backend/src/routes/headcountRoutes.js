@@ -0,0 +1,111 @@
+/**
+ * @file headcountRoutes.js
+ * @description Defines API routes for block headcounts (roll calls) in the PrisonSphere system.
+ * @module routes/headcountRoutes
+ *
+ * This route file:
+ * - Lists the count history and retrieves a count with its count sheet.
+ * - Starts a count of a block, marks each inmate and completes the count.
+ * - Downloads a count sheet as a PDF.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires headcountController - Controller functions for headcounts.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  getHeadcounts,
+  getHeadcountById,
+  startHeadcount,
+  markEntry,
+  completeHeadcount,
+  getCountSheet,
+} = require("../controllers/headcountController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/headcounts
+ * @desc    Retrieve the count history with pagination and filters.
+ * @access  Private (headcounts:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "headcounts:view" permission.
+ */
+router.get("/", protect, authorize(PERMISSIONS.HEADCOUNTS_VIEW), getHeadcounts);
+
+/**
+ * @route   POST /prisonsphere/headcounts
+ * @desc    Start a count of a block from its current housing assignments.
+ * @access  Private (headcounts:conduct)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "headcounts:conduct" permission.
+ */
+router.post(
+  "/",
+  protect,
+  authorize(PERMISSIONS.HEADCOUNTS_CONDUCT),
+  startHeadcount
+);
+
+/**
+ * @route   GET /prisonsphere/headcounts/:id
+ * @desc    Retrieve a count with its count sheet and tally.
+ * @access  Private (headcounts:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "headcounts:view" permission.
+ */
+router.get(
+  "/:id",
+  protect,
+  authorize(PERMISSIONS.HEADCOUNTS_VIEW),
+  getHeadcountById
+);
+
+/**
+ * @route   GET /prisonsphere/headcounts/:id/sheet
+ * @desc    Download the count sheet as a PDF.
+ * @access  Private (headcounts:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "headcounts:view" permission.
+ */
+router.get(
+  "/:id/sheet",
+  protect,
+  authorize(PERMISSIONS.HEADCOUNTS_VIEW),
+  getCountSheet
+);
+
+/**
+ * @route   PUT /prisonsphere/headcounts/:id/entries/:entryId
+ * @desc    Mark an inmate present, absent, out to court or in medical.
+ * @access  Private (headcounts:conduct)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "headcounts:conduct" permission.
+ */
+router.put(
+  "/:id/entries/:entryId",
+  protect,
+  authorize(PERMISSIONS.HEADCOUNTS_CONDUCT),
+  markEntry
+);
+
+/**
+ * @route   POST /prisonsphere/headcounts/:id/complete
+ * @desc    Complete a count once every inmate has been marked.
+ * @access  Private (headcounts:conduct)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "headcounts:conduct" permission.
+ */
+router.post(
+  "/:id/complete",
+  protect,
+  authorize(PERMISSIONS.HEADCOUNTS_CONDUCT),
+  completeHeadcount
+);
+
+module.exports = router;
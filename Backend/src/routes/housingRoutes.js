@@ -0,0 +1,122 @@
+/**
+ * @file housingRoutes.js
+ * @description Defines API routes for facilities, housing blocks, cells and occupancy in the PrisonSphere system.
+ * @module routes/housingRoutes
+ *
+ * This route file:
+ * - Creates and lists facilities, blocks and cells.
+ * - Updates a cell's capacity, security level or availability.
+ * - Reports occupancy per block for the housing map.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires housingController - Controller functions for housing.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  createFacility,
+  getFacilities,
+  createBlock,
+  getBlocks,
+  createCell,
+  updateCell,
+  getCells,
+  getOccupancy,
+} = require("../controllers/housingController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/housing/occupancy
+ * @desc    Retrieve occupancy per block (optional facility filter).
+ * @access  Private (housing:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "housing:view" permission.
+ */
+router.get(
+  "/occupancy",
+  protect,
+  authorize(PERMISSIONS.HOUSING_VIEW),
+  getOccupancy
+);
+
+/**
+ * @route   GET /prisonsphere/housing/facilities
+ * @desc    Retrieve all facilities.
+ * @access  Private (housing:view)
+ */
+router.get(
+  "/facilities",
+  protect,
+  authorize(PERMISSIONS.HOUSING_VIEW),
+  getFacilities
+);
+
+/**
+ * @route   POST /prisonsphere/housing/facilities
+ * @desc    Create a facility.
+ * @access  Private (housing:manage)
+ */
+router.post(
+  "/facilities",
+  protect,
+  authorize(PERMISSIONS.HOUSING_MANAGE),
+  createFacility
+);
+
+/**
+ * @route   GET /prisonsphere/housing/blocks
+ * @desc    Retrieve housing blocks (optional facility filter).
+ * @access  Private (housing:view)
+ */
+router.get("/blocks", protect, authorize(PERMISSIONS.HOUSING_VIEW), getBlocks);
+
+/**
+ * @route   POST /prisonsphere/housing/blocks
+ * @desc    Create a housing block in a facility.
+ * @access  Private (housing:manage)
+ */
+router.post(
+  "/blocks",
+  protect,
+  authorize(PERMISSIONS.HOUSING_MANAGE),
+  createBlock
+);
+
+/**
+ * @route   GET /prisonsphere/housing/cells
+ * @desc    Retrieve cells with occupancy (optional block filter, `available=true` for free beds only).
+ * @access  Private (housing:view)
+ */
+router.get("/cells", protect, authorize(PERMISSIONS.HOUSING_VIEW), getCells);
+
+/**
+ * @route   POST /prisonsphere/housing/cells
+ * @desc    Create a cell in a housing block.
+ * @access  Private (housing:manage)
+ */
+router.post(
+  "/cells",
+  protect,
+  authorize(PERMISSIONS.HOUSING_MANAGE),
+  createCell
+);
+
+/**
+ * @route   PUT /prisonsphere/housing/cells/:id
+ * @desc    Update a cell's capacity, security level or availability.
+ * @access  Private (housing:manage)
+ */
+router.put(
+  "/cells/:id",
+  protect,
+  authorize(PERMISSIONS.HOUSING_MANAGE),
+  updateCell
+);
+
+module.exports = router;
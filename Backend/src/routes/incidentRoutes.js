@@ -0,0 +1,115 @@
+/**
+ * @file incidentRoutes.js
+ * @description Defines API routes for disciplinary incidents, hearings and sanctions in the PrisonSphere system.
+ * @module routes/incidentRoutes
+ *
+ * This route file:
+ * - Reports incidents and attaches evidence to them.
+ * - Retrieves incidents, one incident, or the incidents an inmate was involved in.
+ * - Records the outcome and sanctions of disciplinary hearings.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires incidentController - Controller functions for incidents.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires evidenceUpload - Middleware function for handling evidence uploads.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  reportIncident,
+  getIncidents,
+  getIncidentById,
+  getIncidentsByInmate,
+  addEvidence,
+  recordHearing,
+} = require("../controllers/incidentController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const evidenceUpload = require("../middleware/evidenceUploadMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   POST /prisonsphere/incidents
+ * @desc    Report a disciplinary incident.
+ * @access  Private (incidents:report)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "incidents:report" permission.
+ */
+router.post(
+  "/",
+  protect,
+  authorize(PERMISSIONS.INCIDENTS_REPORT),
+  reportIncident
+);
+
+/**
+ * @route   GET /prisonsphere/incidents
+ * @desc    Retrieve incidents with pagination and filters.
+ * @access  Private (incidents:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "incidents:view" permission.
+ */
+router.get("/", protect, authorize(PERMISSIONS.INCIDENTS_VIEW), getIncidents);
+
+/**
+ * @route   GET /prisonsphere/incidents/inmate/:inmateId
+ * @desc    Retrieve the incidents an inmate was involved in.
+ * @access  Private (incidents:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "incidents:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.INCIDENTS_VIEW),
+  getIncidentsByInmate
+);
+
+/**
+ * @route   GET /prisonsphere/incidents/:id
+ * @desc    Retrieve an incident with its evidence and hearings.
+ * @access  Private (incidents:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "incidents:view" permission.
+ */
+router.get(
+  "/:id",
+  protect,
+  authorize(PERMISSIONS.INCIDENTS_VIEW),
+  getIncidentById
+);
+
+/**
+ * @route   POST /prisonsphere/incidents/:id/evidence
+ * @desc    Attach evidence files (up to five) to an incident.
+ * @access  Private (incidents:report)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "incidents:report" permission.
+ * @middleware evidenceUpload.array("evidence", 5) - Handles the file uploads.
+ */
+router.post(
+  "/:id/evidence",
+  protect,
+  authorize(PERMISSIONS.INCIDENTS_REPORT),
+  evidenceUpload.array("evidence", 5),
+  addEvidence
+);
+
+/**
+ * @route   POST /prisonsphere/incidents/:id/hearings
+ * @desc    Record the outcome and sanctions of an offender's hearing.
+ * @access  Private (incidents:adjudicate)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "incidents:adjudicate" permission.
+ */
+router.post(
+  "/:id/hearings",
+  protect,
+  authorize(PERMISSIONS.INCIDENTS_ADJUDICATE),
+  recordHearing
+);
+
+module.exports = router;
@@ -7,6 +7,7 @@
  * - Inmate registration (with file upload).
  * - Fetching all inmates, searching, and retrieving a specific inmate.
  * - Updating and deleting inmate records.
+ * - Recording property taken at admission, reconciling it at release, and property receipts.
  * - Protecting routes using authentication and role-based access control.
  *
  * @requires express - Express framework for handling routes.
@@ -16,8 +17,10 @@
  * @requires searchInmate - Controller function for searching inmates.
  * @requires getInmateById - Controller function for retrieving a specific inmate.
  * @requires updateInmate - Controller function for updating inmate details.
+ * @requires propertyController - Controller functions for inmate property.
  * @requires protect - Middleware function for authentication.
- * @requires isWarden - Middleware function for role-based access control (Warden only).
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
  * @requires upload - Middleware function for handling profile image uploads.
  */
 
@@ -33,8 +36,15 @@ const {
   getInmatePDFReport,
   deleteInmate,
 } = require("../controllers/inmateController");
+const {
+  getPropertyInventory,
+  recordPropertyInventory,
+  reconcileProperty,
+  getPropertyReceipt,
+} = require("../controllers/propertyController");
 
-const { protect, isWarden } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 const upload = require("../middleware/uploadMiddleware"); // Middleware for handling image uploads
 
 const router = express.Router();
@@ -42,15 +52,15 @@ const router = express.Router();
 /**
  * @route   POST /prisonsphere/inmates
  * @desc    Register a new inmate (with profile image upload).
- * @access  Private (Warden only)
+ * @access  Private (inmates:create)
  * @middleware protect - Ensures user is authenticated.
- * @middleware isWarden - Restricts access to wardens only.
+ * @middleware authorize - Requires the "inmates:create" permission.
  * @middleware upload.single("profileImage") - Handles image upload.
  */
 router.post(
   "/",
   protect,
-  isWarden,
+  authorize(PERMISSIONS.INMATES_CREATE),
   upload.single("profileImage"),
   registerInmate
 );
@@ -58,64 +68,144 @@ router.post(
 /**
  * @route   GET /prisonsphere/inmates/next-id
  * @desc    Get the next available Inmate ID.
- * @access  Private (Admin & Warden)
+ * @access  Private (inmates:create)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:create" permission.
  */
-router.get("/next-id", protect, getNextInmateID);
+router.get(
+  "/next-id",
+  protect,
+  authorize(PERMISSIONS.INMATES_CREATE),
+  getNextInmateID
+);
 
 /**
  * @route   GET /prisonsphere/inmates
  * @desc    Retrieve all inmates (with optional pagination and search).
- * @access  Private (Admin & Warden)
+ * @access  Private (inmates:view)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
  */
-router.get("/", protect, getAllInmates);
+router.get("/", protect, authorize(PERMISSIONS.INMATES_VIEW), getAllInmates);
 
 /**
  * @route   GET /prisonsphere/inmates/search
  * @desc    Search for an inmate by Inmate ID or Full Name.
- * @access  Private (Admin & Warden)
+ * @access  Private (inmates:view)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
  */
-router.get("/search", protect, searchInmate);
+router.get(
+  "/search",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  searchInmate
+);
 
 /**
  * @route   GET /prisonsphere/inmates/:id
  * @desc    Get a single inmate's details by ID.
- * @access  Private (Admin & Warden)
+ * @access  Private (inmates:view)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
  */
-router.get("/:id", protect, getInmateById);
+router.get("/:id", protect, authorize(PERMISSIONS.INMATES_VIEW), getInmateById);
 
 /**
  * @route   PUT /prisonsphere/inmates/:id
  * @desc    Update an inmate's details (including profile image).
- * @access  Private (Warden only)
+ * @access  Private (inmates:update)
  * @middleware protect - Ensures user is authenticated.
- * @middleware isWarden - Restricts access to wardens only.
+ * @middleware authorize - Requires the "inmates:update" permission.
  * @middleware upload.single("profileImage") - Handles image upload.
  */
 router.put(
   "/:id",
   protect,
-  isWarden,
+  authorize(PERMISSIONS.INMATES_UPDATE),
   upload.single("profileImage"),
   updateInmate
 );
 
+/**
+ * @route   GET /prisonsphere/inmates/:id/property
+ * @desc    Retrieve the inmate's property inventory.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/:id/property",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getPropertyInventory
+);
+
+/**
+ * @route   PUT /prisonsphere/inmates/:id/property
+ * @desc    Record the property taken at admission, signed by both parties.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.put(
+  "/:id/property",
+  protect,
+  authorize(PERMISSIONS.INMATES_UPDATE),
+  recordPropertyInventory
+);
+
+/**
+ * @route   POST /prisonsphere/inmates/:id/property/reconcile
+ * @desc    Reconcile the property at release, flagging missing items.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.post(
+  "/:id/property/reconcile",
+  protect,
+  authorize(PERMISSIONS.INMATES_UPDATE),
+  reconcileProperty
+);
+
+/**
+ * @route   GET /prisonsphere/inmates/:id/property/receipt/:type
+ * @desc    Download the admission ("intake") or release ("release") property receipt as PDF.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/:id/property/receipt/:type",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getPropertyReceipt
+);
+
 /**
  * @route   GET /prisonsphere/inmates/report/:id
  * @desc    Get full inmate details for report generation.
- * @access  Private (Admin & Warden)
+ * @access  Private (reports:view)
  */
-router.get("/report/:id", protect, getInmateByIDReport);
+router.get(
+  "/report/:id",
+  protect,
+  authorize(PERMISSIONS.REPORTS_VIEW),
+  getInmateByIDReport
+);
 
 /**
  * @route   GET /prisonsphere/inmates/report/:id/pdf
  * @desc    Generate and download inmate report as PDF.
- * @access  Private (Admin & Warden)
+ * @access  Private (reports:view)
  */
-router.get("/report/:id/pdf/:type", protect, getInmatePDFReport);
+router.get(
+  "/report/:id/pdf/:type",
+  protect,
+  authorize(PERMISSIONS.REPORTS_VIEW),
+  getInmatePDFReport
+);
 
 // Export the router to be used in the main application
 module.exports = router;
@@ -0,0 +1,233 @@
+/**
+ * @file medicalRoutes.js
+ * @description Defines API routes for inmate medical records and the clinic schedule in the PrisonSphere system.
+ * @module routes/medicalRoutes
+ *
+ * This route file:
+ * - Serves allergy and condition alerts, without clinical details, to all staff.
+ * - Retrieves and updates an inmate's allergies, conditions and medications.
+ * - Records encounters and the administration of each medication dose.
+ * - Schedules, updates and lists medical appointments.
+ *
+ * All routes other than the alerts require the clinical permissions held by medical staff.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires medicalController - Controller functions for medical records.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  getMedicalAlertsForInmates,
+  getMedicalRecord,
+  addAllergy,
+  updateAllergy,
+  addCondition,
+  updateCondition,
+  addMedication,
+  updateMedication,
+  getEncounters,
+  addEncounter,
+  getAppointments,
+  scheduleAppointment,
+  updateAppointment,
+  getAdministrations,
+  recordAdministration,
+} = require("../controllers/medicalController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/medical/alerts?inmates=<id>,<id>
+ * @desc    Retrieve allergy and condition alerts for inmates, without clinical details.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/alerts",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getMedicalAlertsForInmates
+);
+
+/**
+ * @route   GET /prisonsphere/medical/appointments
+ * @desc    Retrieve the clinic schedule (scheduled appointments for the next 7 days by default).
+ * @access  Private (medical:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:view" permission.
+ */
+router.get(
+  "/appointments",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_VIEW),
+  getAppointments
+);
+
+/**
+ * @route   PUT /prisonsphere/medical/appointments/:id
+ * @desc    Reschedule an appointment, or mark it Missed or Cancelled.
+ * @access  Private (medical:record)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:record" permission.
+ */
+router.put(
+  "/appointments/:id",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  updateAppointment
+);
+
+/**
+ * @route   GET /prisonsphere/medical/inmate/:inmateId
+ * @desc    Retrieve an inmate's medical record, latest encounters and appointments.
+ * @access  Private (medical:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_VIEW),
+  getMedicalRecord
+);
+
+/**
+ * @route   POST /prisonsphere/medical/inmate/:inmateId/allergies
+ * @route   PUT /prisonsphere/medical/inmate/:inmateId/allergies/:entryId
+ * @desc    Record or update an allergy.
+ * @access  Private (medical:record)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:record" permission.
+ */
+router.post(
+  "/inmate/:inmateId/allergies",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  addAllergy
+);
+router.put(
+  "/inmate/:inmateId/allergies/:entryId",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  updateAllergy
+);
+
+/**
+ * @route   POST /prisonsphere/medical/inmate/:inmateId/conditions
+ * @route   PUT /prisonsphere/medical/inmate/:inmateId/conditions/:entryId
+ * @desc    Record or update a condition.
+ * @access  Private (medical:record)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:record" permission.
+ */
+router.post(
+  "/inmate/:inmateId/conditions",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  addCondition
+);
+router.put(
+  "/inmate/:inmateId/conditions/:entryId",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  updateCondition
+);
+
+/**
+ * @route   POST /prisonsphere/medical/inmate/:inmateId/medications
+ * @route   PUT /prisonsphere/medical/inmate/:inmateId/medications/:entryId
+ * @desc    Prescribe, update or discontinue a medication.
+ * @access  Private (medical:record)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:record" permission.
+ */
+router.post(
+  "/inmate/:inmateId/medications",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  addMedication
+);
+router.put(
+  "/inmate/:inmateId/medications/:entryId",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  updateMedication
+);
+
+/**
+ * @route   GET /prisonsphere/medical/inmate/:inmateId/medications/:entryId/administrations
+ * @desc    Retrieve a medication's administration log.
+ * @access  Private (medical:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId/medications/:entryId/administrations",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_VIEW),
+  getAdministrations
+);
+
+/**
+ * @route   POST /prisonsphere/medical/inmate/:inmateId/medications/:entryId/administrations
+ * @desc    Record whether a dose was given, refused, missed or held.
+ * @access  Private (medical:record)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:record" permission.
+ */
+router.post(
+  "/inmate/:inmateId/medications/:entryId/administrations",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  recordAdministration
+);
+
+/**
+ * @route   GET /prisonsphere/medical/inmate/:inmateId/encounters
+ * @desc    Retrieve an inmate's encounters with pagination.
+ * @access  Private (medical:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId/encounters",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_VIEW),
+  getEncounters
+);
+
+/**
+ * @route   POST /prisonsphere/medical/inmate/:inmateId/encounters
+ * @desc    Record an encounter, completing the appointment it was scheduled under.
+ * @access  Private (medical:record)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:record" permission.
+ */
+router.post(
+  "/inmate/:inmateId/encounters",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  addEncounter
+);
+
+/**
+ * @route   POST /prisonsphere/medical/inmate/:inmateId/appointments
+ * @desc    Schedule a medical appointment.
+ * @access  Private (medical:record)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "medical:record" permission.
+ */
+router.post(
+  "/inmate/:inmateId/appointments",
+  protect,
+  authorize(PERMISSIONS.MEDICAL_RECORD),
+  scheduleAppointment
+);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * @file movementRoutes.js
+ * @description Defines API routes for inmate transfers and movement history in the PrisonSphere system.
+ * @module routes/movementRoutes
+ *
+ * This route file:
+ * - Transfers an inmate to another cell or an outside location.
+ * - Retrieves the movement timeline of an inmate.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires movementController - Controller functions for movements.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  transferInmate,
+  getMovementsByInmate,
+} = require("../controllers/movementController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   POST /prisonsphere/movements
+ * @desc    Transfer an inmate to another cell or an outside location.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.post(
+  "/",
+  protect,
+  authorize(PERMISSIONS.INMATES_UPDATE),
+  transferInmate
+);
+
+/**
+ * @route   GET /prisonsphere/movements/inmate/:inmateId
+ * @desc    Retrieve the movement history of an inmate.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getMovementsByInmate
+);
+
+module.exports = router;
@@ -19,7 +19,8 @@
  * @requires getParoleHistoryByInmate - Controller function for retrieving parole history by inmate.
  * @requires updateParoleStatus - Controller function for updating the status of a parole application.
  * @requires protect - Middleware function for authentication.
- * @requires isWarden - Middleware function for role-based access control (Warden only).
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
  */
 
 const express = require("express");
@@ -32,26 +33,38 @@ const {
   updateParoleStatus,
 } = require("../controllers/paroleController");
 
-const { protect, isWarden } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
 /**
  * @route   POST /prisonsphere/paroles
  * @desc    Submit a parole application.
- * @access  Private (Warden Only)
+ * @access  Private (paroles:submit)
  * @middleware protect - Ensures user is authenticated.
- * @middleware isWarden - Restricts access to wardens only.
+ * @middleware authorize - Requires the "paroles:submit" permission.
  */
-router.post("/", protect, isWarden, submitParoleApplication);
+router.post(
+  "/",
+  protect,
+  authorize(PERMISSIONS.PAROLES_SUBMIT),
+  submitParoleApplication
+);
 
 /**
  * @route   GET /prisonsphere/paroles
  * @desc    Retrieve all parole applications with optional filtering and pagination.
- * @access  Private (Admin & Warden)
+ * @access  Private (paroles:view)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "paroles:view" permission.
  */
-router.get("/", protect, getAllParoleApplications);
+router.get(
+  "/",
+  protect,
+  authorize(PERMISSIONS.PAROLES_VIEW),
+  getAllParoleApplications
+);
 
 /**
  * @route   GET /prisonsphere/paroles/upcoming
@@ -63,26 +76,38 @@ router.get("/upcoming", getUpcomingParoles);
 /**
  * @route   GET /prisonsphere/paroles/:id
  * @desc    Get a single parole application by ID.
- * @access  Private (Admin & Warden)
+ * @access  Private (paroles:view)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "paroles:view" permission.
  */
-router.get("/:id", protect, getParoleById);
+router.get("/:id", protect, authorize(PERMISSIONS.PAROLES_VIEW), getParoleById);
 
 /**
  * @route   GET /prisonsphere/paroles/inmate/:inmateId
  * @desc    Retrieve parole history for a specific inmate.
- * @access  Private (Admin & Warden)
+ * @access  Private (paroles:view)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "paroles:view" permission.
  */
-router.get("/inmate/:inmateId", protect, getParoleHistoryByInmate);
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.PAROLES_VIEW),
+  getParoleHistoryByInmate
+);
 
 /**
  * @route   PUT /prisonsphere/paroles/:id
  * @desc    Update the status of a parole application (Approve/Deny).
- * @access  Private (Warden Only)
+ * @access  Private (paroles:decide)
  * @middleware protect - Ensures user is authenticated.
- * @middleware isWarden - Restricts access to wardens only.
+ * @middleware authorize - Requires the "paroles:decide" permission.
  */
-router.put("/:id", protect, isWarden, updateParoleStatus);
+router.put(
+  "/:id",
+  protect,
+  authorize(PERMISSIONS.PAROLES_DECIDE),
+  updateParoleStatus
+);
 
 module.exports = router;
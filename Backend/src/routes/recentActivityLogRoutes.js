@@ -17,17 +17,24 @@ const express = require("express");
 const {
   getRecentActivities,
 } = require("../controllers/recentActivityLogController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
 /**
  * @route GET /prisonsphere/recent-activities
  * @description Retrieves recent activity logs from the past 24 hours.
- * @access Protected (Authenticated Users)
+ * @access Private (dashboard:view)
  * @middleware protect - Ensures only logged-in users can access the endpoint.
+ * @middleware authorize - Requires the "dashboard:view" permission.
  * @controller getRecentActivities - Fetches the recent activity logs.
  */
-router.get("/", protect, getRecentActivities);
+router.get(
+  "/",
+  protect,
+  authorize(PERMISSIONS.DASHBOARD_VIEW),
+  getRecentActivities
+);
 
 module.exports = router;
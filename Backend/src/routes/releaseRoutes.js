@@ -0,0 +1,55 @@
+/**
+ * @file releaseRoutes.js
+ * @description Defines API routes for releasing inmates in the PrisonSphere system.
+ * @module routes/releaseRoutes
+ *
+ * This route file:
+ * - Releases an inmate through the discharge checklist.
+ * - Downloads a released inmate's discharge certificate.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires releaseController - Controller functions for releases.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  releaseInmate,
+  getDischargeCertificate,
+} = require("../controllers/releaseController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   POST /prisonsphere/releases/inmate/:inmateId
+ * @desc    Release an inmate through the discharge checklist.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.post(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.INMATES_UPDATE),
+  releaseInmate
+);
+
+/**
+ * @route   GET /prisonsphere/releases/inmate/:inmateId/certificate
+ * @desc    Download a released inmate's discharge certificate as PDF.
+ * @access  Private (reports:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "reports:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId/certificate",
+  protect,
+  authorize(PERMISSIONS.REPORTS_VIEW),
+  getDischargeCertificate
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * @file securityLogRoutes.js
+ * @description Defines API routes for the authentication security log in the PrisonSphere system.
+ * @module routes/securityLogRoutes
+ *
+ * This route file:
+ * - Lists login successes, failures, lockouts and unlocks.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires getSecurityLogs - Controller function for querying the security log.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const { getSecurityLogs } = require("../controllers/securityLogController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/security-logs
+ * @desc    Retrieve security log entries (optional event/username/IP/date filters).
+ * @access  Private (securityLogs:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "securityLogs:view" permission.
+ */
+router.get(
+  "/",
+  protect,
+  authorize(PERMISSIONS.SECURITY_LOGS_VIEW),
+  getSecurityLogs
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * @file sentenceRoutes.js
+ * @description Defines API routes for inmate sentences and sentence credits in the PrisonSphere system.
+ * @module routes/sentenceRoutes
+ *
+ * This route file:
+ * - Retrieves an inmate's computed sentence and projected release date.
+ * - Updates an inmate's sentences.
+ * - Grants sentence credits (time served, good conduct).
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires sentenceController - Controller functions for sentences.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  getSentence,
+  updateSentences,
+  addSentenceCredit,
+} = require("../controllers/sentenceController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/sentences/inmate/:inmateId
+ * @desc    Retrieve an inmate's sentences, credits and projected release date.
+ * @access  Private (inmates:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.INMATES_VIEW),
+  getSentence
+);
+
+/**
+ * @route   PUT /prisonsphere/sentences/inmate/:inmateId
+ * @desc    Replace an inmate's sentences and recompute the projected release date.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.put(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.INMATES_UPDATE),
+  updateSentences
+);
+
+/**
+ * @route   POST /prisonsphere/sentences/inmate/:inmateId/credits
+ * @desc    Grant a sentence credit and recompute the projected release date.
+ * @access  Private (inmates:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "inmates:update" permission.
+ */
+router.post(
+  "/inmate/:inmateId/credits",
+  protect,
+  authorize(PERMISSIONS.INMATES_UPDATE),
+  addSentenceCredit
+);
+
+module.exports = router;
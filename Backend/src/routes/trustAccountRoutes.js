@@ -0,0 +1,87 @@
+/**
+ * @file trustAccountRoutes.js
+ * @description Defines API routes for inmate trust accounts and the commissary ledger in the PrisonSphere system.
+ * @module routes/trustAccountRoutes
+ *
+ * This route file:
+ * - Retrieves an inmate's balance and transactions.
+ * - Posts deposits, withdrawals, commissary purchases and work wages.
+ * - Reverses a transaction to correct it.
+ * - Downloads an inmate's statement as a PDF.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires trustAccountController - Controller functions for trust accounts.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  getTrustAccount,
+  postTransaction,
+  reverseTransaction,
+  getStatement,
+} = require("../controllers/trustAccountController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/trust-accounts/inmate/:inmateId
+ * @desc    Retrieve an inmate's balance and transactions with pagination.
+ * @access  Private (trust:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "trust:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.TRUST_VIEW),
+  getTrustAccount
+);
+
+/**
+ * @route   GET /prisonsphere/trust-accounts/inmate/:inmateId/statement
+ * @desc    Download an inmate's statement for a period as a PDF.
+ * @access  Private (trust:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "trust:view" permission.
+ */
+router.get(
+  "/inmate/:inmateId/statement",
+  protect,
+  authorize(PERMISSIONS.TRUST_VIEW),
+  getStatement
+);
+
+/**
+ * @route   POST /prisonsphere/trust-accounts/inmate/:inmateId/transactions
+ * @desc    Post a deposit, withdrawal, commissary purchase or work wage.
+ * @access  Private (trust:transact)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "trust:transact" permission.
+ */
+router.post(
+  "/inmate/:inmateId/transactions",
+  protect,
+  authorize(PERMISSIONS.TRUST_TRANSACT),
+  postTransaction
+);
+
+/**
+ * @route   POST /prisonsphere/trust-accounts/transactions/:id/reverse
+ * @desc    Correct a transaction by posting a reversing entry.
+ * @access  Private (trust:reverse)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "trust:reverse" permission.
+ */
+router.post(
+  "/transactions/:id/reverse",
+  protect,
+  authorize(PERMISSIONS.TRUST_REVERSE),
+  reverseTransaction
+);
+
+module.exports = router;
@@ -0,0 +1,197 @@
+/**
+ * @file userRoutes.js
+ * @description Defines API routes for staff account administration in the PrisonSphere system.
+ * @module routes/userRoutes
+ *
+ * This route file:
+ * - Lists staff accounts and the available roles.
+ * - Creates new accounts.
+ * - Updates roles and resets passwords.
+ * - Deactivates and unlocks accounts.
+ * - Resets two-factor authentication.
+ * - Lists and revokes login sessions.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires userController - Controller for managing user accounts.
+ * @requires sessionController - Controller for managing login sessions.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  getAllUsers,
+  getRoles,
+  createUser,
+  updateUserRole,
+  resetUserPassword,
+  deactivateUser,
+  unlockUser,
+  resetUserTwoFactor,
+} = require("../controllers/userController");
+const {
+  getUserSessions,
+  revokeSession,
+  revokeAllUserSessions,
+  revokeAllSessions,
+} = require("../controllers/sessionController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/users
+ * @desc    Retrieve all staff accounts (optional role/active/search filters).
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.get("/", protect, authorize(PERMISSIONS.USERS_MANAGE), getAllUsers);
+
+/**
+ * @route   GET /prisonsphere/users/roles
+ * @desc    Retrieve every staff role with the permissions it grants.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.get("/roles", protect, authorize(PERMISSIONS.USERS_MANAGE), getRoles);
+
+/**
+ * @route   POST /prisonsphere/users
+ * @desc    Create a new staff account.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.post("/", protect, authorize(PERMISSIONS.USERS_MANAGE), createUser);
+
+/**
+ * @route   PUT /prisonsphere/users/sessions/revoke-all
+ * @desc    Revoke every active session except the caller's own.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.put(
+  "/sessions/revoke-all",
+  protect,
+  authorize(PERMISSIONS.USERS_MANAGE),
+  revokeAllSessions
+);
+
+/**
+ * @route   PUT /prisonsphere/users/sessions/:sessionId/revoke
+ * @desc    Revoke a single session.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.put(
+  "/sessions/:sessionId/revoke",
+  protect,
+  authorize(PERMISSIONS.USERS_MANAGE),
+  revokeSession
+);
+
+/**
+ * @route   GET /prisonsphere/users/:id/sessions
+ * @desc    Retrieve the active sessions of a staff account.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.get(
+  "/:id/sessions",
+  protect,
+  authorize(PERMISSIONS.USERS_MANAGE),
+  getUserSessions
+);
+
+/**
+ * @route   PUT /prisonsphere/users/:id/sessions/revoke
+ * @desc    Revoke every active session of a staff account.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.put(
+  "/:id/sessions/revoke",
+  protect,
+  authorize(PERMISSIONS.USERS_MANAGE),
+  revokeAllUserSessions
+);
+
+/**
+ * @route   PUT /prisonsphere/users/:id/role
+ * @desc    Update a staff account's role.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.put(
+  "/:id/role",
+  protect,
+  authorize(PERMISSIONS.USERS_MANAGE),
+  updateUserRole
+);
+
+/**
+ * @route   PUT /prisonsphere/users/:id/password
+ * @desc    Reset a staff account's password.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.put(
+  "/:id/password",
+  protect,
+  authorize(PERMISSIONS.USERS_MANAGE),
+  resetUserPassword
+);
+
+/**
+ * @route   PUT /prisonsphere/users/:id/deactivate
+ * @desc    Deactivate a staff account so it can no longer sign in.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.put(
+  "/:id/deactivate",
+  protect,
+  authorize(PERMISSIONS.USERS_MANAGE),
+  deactivateUser
+);
+
+/**
+ * @route   PUT /prisonsphere/users/:id/unlock
+ * @desc    Unlock a staff account locked after repeated failed logins.
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.put(
+  "/:id/unlock",
+  protect,
+  authorize(PERMISSIONS.USERS_MANAGE),
+  unlockUser
+);
+
+/**
+ * @route   PUT /prisonsphere/users/:id/2fa/reset
+ * @desc    Remove a staff account's two-factor authentication (lost authenticator).
+ * @access  Private (users:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "users:manage" permission.
+ */
+router.put(
+  "/:id/2fa/reset",
+  protect,
+  authorize(PERMISSIONS.USERS_MANAGE),
+  resetUserTwoFactor
+);
+
+module.exports = router;
@@ -0,0 +1,176 @@
+/**
+ * @file visitBookingRoutes.js
+ * @description Defines API routes for visit booking, visiting rooms and visiting hours in the PrisonSphere system.
+ * @module routes/visitBookingRoutes
+ *
+ * This route file:
+ * - Creates, lists and updates visiting rooms.
+ * - Sets the visiting hours of a housing block.
+ * - Lists an inmate's visiting slots for a day, and the bookings for the visiting calendar.
+ * - Books visits, and cancels them or marks them as no-shows.
+ * - Checks visitors in and out at the gate, and lists the visitors on the premises.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires visitBookingController - Controller functions for visit booking.
+ * @requires visitGateController - Controller functions for gate check-in and check-out.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  getRooms,
+  createRoom,
+  updateRoom,
+  updateVisitingHours,
+  getSlots,
+  getBookings,
+  bookVisit,
+  updateVisitStatus,
+} = require("../controllers/visitBookingController");
+const {
+  checkInVisitor,
+  checkOutVisitor,
+  getVisitorsOnPremises,
+} = require("../controllers/visitGateController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/visits/rooms
+ * @desc    Retrieve visiting rooms (optional facility filter).
+ * @access  Private (visitors:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
+ */
+router.get("/rooms", protect, authorize(PERMISSIONS.VISITORS_VIEW), getRooms);
+
+/**
+ * @route   POST /prisonsphere/visits/rooms
+ * @desc    Create a visiting room.
+ * @access  Private (housing:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "housing:manage" permission.
+ */
+router.post(
+  "/rooms",
+  protect,
+  authorize(PERMISSIONS.HOUSING_MANAGE),
+  createRoom
+);
+
+/**
+ * @route   PUT /prisonsphere/visits/rooms/:roomId
+ * @desc    Change a visiting room's name, capacity or availability.
+ * @access  Private (housing:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "housing:manage" permission.
+ */
+router.put(
+  "/rooms/:roomId",
+  protect,
+  authorize(PERMISSIONS.HOUSING_MANAGE),
+  updateRoom
+);
+
+/**
+ * @route   PUT /prisonsphere/visits/hours/:blockId
+ * @desc    Set a block's weekly visiting hours.
+ * @access  Private (housing:manage)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "housing:manage" permission.
+ */
+router.put(
+  "/hours/:blockId",
+  protect,
+  authorize(PERMISSIONS.HOUSING_MANAGE),
+  updateVisitingHours
+);
+
+/**
+ * @route   GET /prisonsphere/visits/slots
+ * @desc    List an inmate's visiting slots for a day, with the places left in each room.
+ * @access  Private (visitors:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
+ */
+router.get("/slots", protect, authorize(PERMISSIONS.VISITORS_VIEW), getSlots);
+
+/**
+ * @route   GET /prisonsphere/visits/on-premises
+ * @desc    List the visitors checked in and not yet checked out (emergency evacuations).
+ * @access  Private (visitors:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
+ */
+router.get(
+  "/on-premises",
+  protect,
+  authorize(PERMISSIONS.VISITORS_VIEW),
+  getVisitorsOnPremises
+);
+
+/**
+ * @route   GET /prisonsphere/visits
+ * @desc    Retrieve visits for the visiting calendar (filter by dates, room, inmate or status).
+ * @access  Private (visitors:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
+ */
+router.get("/", protect, authorize(PERMISSIONS.VISITORS_VIEW), getBookings);
+
+/**
+ * @route   POST /prisonsphere/visits
+ * @desc    Book a visit in a visiting slot.
+ * @access  Private (visitors:log)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:log" permission.
+ */
+router.post("/", protect, authorize(PERMISSIONS.VISITORS_LOG), bookVisit);
+
+/**
+ * @route   PUT /prisonsphere/visits/:visitId/status
+ * @desc    Cancel or mark a booked visit as a no-show.
+ * @access  Private (visitors:log)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:log" permission.
+ */
+router.put(
+  "/:visitId/status",
+  protect,
+  authorize(PERMISSIONS.VISITORS_LOG),
+  updateVisitStatus
+);
+
+/**
+ * @route   POST /prisonsphere/visits/:visitId/check-in
+ * @desc    Check a visitor in at the gate (badge issued and ID checked).
+ * @access  Private (visitors:log)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:log" permission.
+ */
+router.post(
+  "/:visitId/check-in",
+  protect,
+  authorize(PERMISSIONS.VISITORS_LOG),
+  checkInVisitor
+);
+
+/**
+ * @route   POST /prisonsphere/visits/:visitId/check-out
+ * @desc    Check a visitor out at the gate, recording the actual duration.
+ * @access  Private (visitors:log)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:log" permission.
+ */
+router.post(
+  "/:visitId/check-out",
+  protect,
+  authorize(PERMISSIONS.VISITORS_LOG),
+  checkOutVisitor
+);
+
+module.exports = router;
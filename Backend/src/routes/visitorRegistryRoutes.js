@@ -0,0 +1,172 @@
+/**
+ * @file visitorRegistryRoutes.js
+ * @description Defines API routes for the visitor registry and inmates' approved-visitor lists in the PrisonSphere system.
+ * @module routes/visitorRegistryRoutes
+ *
+ * This route file:
+ * - Registers, searches and updates visitors.
+ * - Retrieves visitor approvals by inmate, visitor or status.
+ * - Puts visitors forward for an inmate's list, and approves, denies or revokes them.
+ * - Restricts visitors, lists restrictions and lifts them.
+ *
+ * @requires express - Express framework for handling routes.
+ * @requires visitorRegistryController - Controller functions for the visitor registry and approvals.
+ * @requires protect - Middleware function for authentication.
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
+ */
+
+const express = require("express");
+const {
+  getVisitorProfiles,
+  registerVisitor,
+  getVisitorProfileById,
+  updateVisitorProfile,
+  getApprovals,
+  requestApproval,
+  decideApproval,
+  getRestrictions,
+  restrictVisitor,
+  liftRestriction,
+} = require("../controllers/visitorRegistryController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+/**
+ * @route   GET /prisonsphere/visitor-registry
+ * @desc    Search registered visitors with pagination.
+ * @access  Private (visitors:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
+ */
+router.get(
+  "/",
+  protect,
+  authorize(PERMISSIONS.VISITORS_VIEW),
+  getVisitorProfiles
+);
+
+/**
+ * @route   POST /prisonsphere/visitor-registry
+ * @desc    Register a visitor.
+ * @access  Private (visitors:log)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:log" permission.
+ */
+router.post("/", protect, authorize(PERMISSIONS.VISITORS_LOG), registerVisitor);
+
+/**
+ * @route   GET /prisonsphere/visitor-registry/approvals
+ * @desc    Retrieve visitor approvals (filter by inmate, visitor or status).
+ * @access  Private (visitors:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
+ */
+router.get(
+  "/approvals",
+  protect,
+  authorize(PERMISSIONS.VISITORS_VIEW),
+  getApprovals
+);
+
+/**
+ * @route   POST /prisonsphere/visitor-registry/approvals
+ * @desc    Put a visitor forward for an inmate's approved-visitor list.
+ * @access  Private (visitors:log)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:log" permission.
+ */
+router.post(
+  "/approvals",
+  protect,
+  authorize(PERMISSIONS.VISITORS_LOG),
+  requestApproval
+);
+
+/**
+ * @route   PUT /prisonsphere/visitor-registry/approvals/:approvalId
+ * @desc    Approve, deny or revoke a visitor for an inmate.
+ * @access  Private (visitors:approve)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:approve" permission.
+ */
+router.put(
+  "/approvals/:approvalId",
+  protect,
+  authorize(PERMISSIONS.VISITORS_APPROVE),
+  decideApproval
+);
+
+/**
+ * @route   GET /prisonsphere/visitor-registry/restrictions
+ * @desc    Retrieve visitor restrictions (filter by visitor or inmate, or those in force).
+ * @access  Private (visitors:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
+ */
+router.get(
+  "/restrictions",
+  protect,
+  authorize(PERMISSIONS.VISITORS_VIEW),
+  getRestrictions
+);
+
+/**
+ * @route   PUT /prisonsphere/visitor-registry/restrictions/:restrictionId/lift
+ * @desc    Lift a visitor restriction before it expires.
+ * @access  Private (visitors:restrict)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:restrict" permission.
+ */
+router.put(
+  "/restrictions/:restrictionId/lift",
+  protect,
+  authorize(PERMISSIONS.VISITORS_RESTRICT),
+  liftRestriction
+);
+
+/**
+ * @route   GET /prisonsphere/visitor-registry/:visitorId
+ * @desc    Get a registered visitor with their approvals and recent visits.
+ * @access  Private (visitors:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
+ */
+router.get(
+  "/:visitorId",
+  protect,
+  authorize(PERMISSIONS.VISITORS_VIEW),
+  getVisitorProfileById
+);
+
+/**
+ * @route   PUT /prisonsphere/visitor-registry/:visitorId
+ * @desc    Update a registered visitor's details.
+ * @access  Private (visitors:update)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:update" permission.
+ */
+router.put(
+  "/:visitorId",
+  protect,
+  authorize(PERMISSIONS.VISITORS_UPDATE),
+  updateVisitorProfile
+);
+
+/**
+ * @route   POST /prisonsphere/visitor-registry/:visitorId/restrictions
+ * @desc    Ban a visitor, limit them to non-contact visits, or bar them from an inmate.
+ * @access  Private (visitors:restrict)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:restrict" permission.
+ */
+router.post(
+  "/:visitorId/restrictions",
+  protect,
+  authorize(PERMISSIONS.VISITORS_RESTRICT),
+  restrictVisitor
+);
+
+module.exports = router;
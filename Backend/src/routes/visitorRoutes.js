@@ -4,62 +4,120 @@
  * @module routes/visitorRoutes
  *
  * This route file:
- * - Logs visitor visits for specific inmates.
- * - Retrieves all visitors for an inmate.
- * - Fetches detailed visitor records.
- * - Updates visitor details.
+ * - Logs visits by approved visitors for specific inmates.
+ * - Retrieves all visits to an inmate.
+ * - Fetches detailed visit records.
+ * - Updates visit details.
+ * - Voids visit records entered by mistake, and lists voided records for auditors.
  *
  * @requires express - Express framework for handling routes.
- * @requires logVisitor - Controller function for logging a visitor visit.
- * @requires getVisitorsByInmate - Controller function for fetching all visitors for a given inmate.
- * @requires getVisitorById - Controller function for retrieving a specific visitor's details.
- * @requires updateVisitor - Controller function for updating visitor details.
+ * @requires logVisitor - Controller function for logging a visit.
+ * @requires getVisitsByInmate - Controller function for fetching all visits to a given inmate.
+ * @requires getVisitById - Controller function for retrieving a specific visit's details.
+ * @requires updateVisit - Controller function for updating visit details.
+ * @requires voidVisit - Controller function for voiding a visit record.
+ * @requires getVoidedVisits - Controller function for listing voided visit records.
  * @requires protect - Middleware function for authentication.
- * @requires isWarden - Middleware function for role-based access control (Warden only).
+ * @requires authorize - Middleware function for permission-based access control.
+ * @requires PERMISSIONS - Permission names required by each route.
  */
 
 const express = require("express");
 const {
   logVisitor,
-  getVisitorsByInmate,
-  getVisitorById,
-  updateVisitor,
+  getVisitsByInmate,
+  getVisitById,
+  updateVisit,
+  voidVisit,
+  getVoidedVisits,
 } = require("../controllers/visitorController");
-const { protect, isWarden } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
+/**
+ * @route   GET /prisonsphere/visitors/voided
+ * @desc    List voided visit records (optional inmate filter).
+ * @access  Private (audit:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "audit:view" permission.
+ */
+router.get(
+  "/voided",
+  protect,
+  authorize(PERMISSIONS.AUDIT_VIEW),
+  getVoidedVisits
+);
+
 /**
  * @route   POST /prisonsphere/visitors/:inmateId
- * @desc    Log a visitor visit for a specific inmate.
- * @access  Private (Admin & Warden)
+ * @desc    Log a visit by an approved visitor to a specific inmate.
+ * @access  Private (visitors:log)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:log" permission.
  */
-router.post("/:inmateId", protect, logVisitor);
+router.post(
+  "/:inmateId",
+  protect,
+  authorize(PERMISSIONS.VISITORS_LOG),
+  logVisitor
+);
 
 /**
  * @route   GET /prisonsphere/visitors/:inmateId
- * @desc    Retrieve all visitors for a specific inmate.
- * @access  Private (Admin & Warden)
+ * @desc    Retrieve all visits to a specific inmate.
+ * @access  Private (visitors:view)
+ * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
+ */
+router.get(
+  "/:inmateId",
+  protect,
+  authorize(PERMISSIONS.VISITORS_VIEW),
+  getVisitsByInmate
+);
+
+/**
+ * @route   GET /prisonsphere/visitors/details/:visitId
+ * @desc    Get a single visit's details.
+ * @access  Private (visitors:view)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:view" permission.
  */
-router.get("/:inmateId", protect, getVisitorsByInmate);
+router.get(
+  "/details/:visitId",
+  protect,
+  authorize(PERMISSIONS.VISITORS_VIEW),
+  getVisitById
+);
 
 /**
- * @route   GET /prisonsphere/visitors/details/:visitorId
- * @desc    Get a single visitor's details.
- * @access  Private (Admin & Warden)
+ * @route   PUT /prisonsphere/visitors/details/:visitId
+ * @desc    Update visit details.
+ * @access  Private (visitors:update)
  * @middleware protect - Ensures user is authenticated.
+ * @middleware authorize - Requires the "visitors:update" permission.
  */
-router.get("/details/:visitorId", protect, getVisitorById);
+router.put(
+  "/details/:visitId",
+  protect,
+  authorize(PERMISSIONS.VISITORS_UPDATE),
+  updateVisit
+);
 
 /**
- * @route   PUT /prisonsphere/visitors/details/:visitorId
- * @desc    Update visitor details.
- * @access  Private (Warden Only)
+ * @route   DELETE /prisonsphere/visitors/details/:visitId
+ * @desc    Void a visit record entered by mistake, with a reason code.
+ * @access  Private (visitors:void)
  * @middleware protect - Ensures user is authenticated.
- * @middleware isWarden - Restricts access to wardens only.
+ * @middleware authorize - Requires the "visitors:void" permission.
  */
-router.put("/details/:visitorId", protect, isWarden, updateVisitor);
+router.delete(
+  "/details/:visitId",
+  protect,
+  authorize(PERMISSIONS.VISITORS_VOID),
+  voidVisit
+);
 
 module.exports = router;
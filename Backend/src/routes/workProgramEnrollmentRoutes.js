@@ -24,39 +24,65 @@ const {
   getLatestCompletedWorkProgram,
   getWorkProgramSampleDisplay,
 } = require("../controllers/workProgramEnrollmentController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
 /**
  * @route   POST /prisonsphere/work-programs/enrollments
  * @desc    Assigns an inmate to a work program.
- * @access  Private (Admin)
+ * @access  Private (workPrograms:enroll)
  */
-router.post("/", protect, assignInmateToWorkProgram);
+router.post(
+  "/",
+  protect,
+  authorize(PERMISSIONS.WORK_PROGRAMS_ENROLL),
+  assignInmateToWorkProgram
+);
 
 /**
  * @route   GET /prisonsphere/work-programs/enrollments
  * @desc    Fetches all work program enrollments.
- * @access  Private (Admin & Warden)
+ * @access  Private (workPrograms:view)
  */
-router.get("/", protect, getAllWorkProgramEnrollments);
+router.get(
+  "/",
+  protect,
+  authorize(PERMISSIONS.WORK_PROGRAMS_VIEW),
+  getAllWorkProgramEnrollments
+);
 
 /**
  * @route   GET /prisonsphere/work-programs/enrollments/inmate/:inmateId
  * @desc    Fetches work programs for a specific inmate.
- * @access  Private (Admin & Warden)
+ * @access  Private (workPrograms:view)
  */
-router.get("/inmate/:inmateId", protect, getWorkProgramEnrollmentByInmate);
+router.get(
+  "/inmate/:inmateId",
+  protect,
+  authorize(PERMISSIONS.WORK_PROGRAMS_VIEW),
+  getWorkProgramEnrollmentByInmate
+);
 
 /**
  * @route   GET /prisonsphere/work-programs/enrollments/inmate/:inmateId/latest
  * @desc    Fetches the latest completedwork programs for a specific inmate.
- * @access  Private (Admin & Warden)
+ * @access  Private (workPrograms:view)
  */
-router.get("/inmate/:inmateId/latest", protect, getLatestCompletedWorkProgram);
+router.get(
+  "/inmate/:inmateId/latest",
+  protect,
+  authorize(PERMISSIONS.WORK_PROGRAMS_VIEW),
+  getLatestCompletedWorkProgram
+);
 
 // New Route: Fetch Sample Work Program Display Data
-router.get("/display-sample", protect, getWorkProgramSampleDisplay);
+router.get(
+  "/display-sample",
+  protect,
+  authorize(PERMISSIONS.WORK_PROGRAMS_VIEW),
+  getWorkProgramSampleDisplay
+);
 
 module.exports = router;
@@ -1,14 +1,20 @@
 const express = require("express");
 const { getWorkPrograms } = require("../controllers/workProgramController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
 /**
  * @route   GET /prisonsphere/work-programs
  * @desc    Fetch all available work programs.
- * @access  Private (Admin & Warden)
+ * @access  Private (workPrograms:view)
  */
-router.get("/", protect, getWorkPrograms);
+router.get(
+  "/",
+  protect,
+  authorize(PERMISSIONS.WORK_PROGRAMS_VIEW),
+  getWorkPrograms
+);
 
 module.exports = router;
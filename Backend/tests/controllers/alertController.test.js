@@ -0,0 +1,130 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+const Alert = require("../../src/models/Alert");
+
+const {
+  addAlert,
+  getActiveAlerts,
+  updateAlert,
+} = require("../../src/controllers/alertController");
+
+describe("Alert Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const otherInmateId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("addAlert - should require the other inmate for a keep-separate alert", async () => {
+    mockingoose(Inmate).toReturn({ _id: inmateId }, "findOne");
+
+    const req = httpMocks.createRequest({
+      body: {
+        inmate: inmateId.toString(),
+        type: "Keep Separate",
+        severity: "High",
+        description: "Assaulted INM042 in the yard",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await addAlert(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/inmate ID to keep/);
+  });
+
+  it("addAlert - should raise an alert with an expiry date", async () => {
+    mockingoose(Inmate).toReturn({ _id: inmateId }, "findOne");
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + 7);
+
+    const req = httpMocks.createRequest({
+      body: {
+        inmate: inmateId.toString(),
+        type: "Suicide Watch",
+        severity: "High",
+        description: "Checks every 15 minutes",
+        expiresAt: expiresAt.toISOString(),
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await addAlert(req, res);
+
+    const { alert } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(alert.type).toBe("Suicide Watch");
+    expect(alert.isActive).toBe(true);
+    expect(alert.separateFrom).toBeNull();
+    expect(new Date(alert.expiresAt).getTime()).toBe(expiresAt.getTime());
+  });
+
+  it("getActiveAlerts - should list keep-separate alerts under both inmates", async () => {
+    mockingoose(Alert).toReturn(
+      [
+        {
+          inmate: inmateId,
+          separateFrom: otherInmateId,
+          type: "Keep Separate",
+          severity: "High",
+          description: "Rival gang members",
+        },
+        {
+          inmate: inmateId,
+          type: "Medical",
+          severity: "Low",
+          description: "Asthma",
+        },
+      ],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({
+      query: { inmates: `${inmateId},${otherInmateId},not-an-id` },
+    });
+    const res = httpMocks.createResponse();
+
+    await getActiveAlerts(req, res);
+
+    const data = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(data[inmateId.toString()].map((alert) => alert.type)).toEqual([
+      "Keep Separate",
+      "Medical",
+    ]);
+    expect(data[otherInmateId.toString()]).toHaveLength(1);
+  });
+
+  it("updateAlert - should deactivate an alert", async () => {
+    const alertId = new mongoose.Types.ObjectId();
+    mockingoose(Alert).toReturn(
+      {
+        _id: alertId,
+        inmate: inmateId,
+        type: "Medical",
+        description: "Broken wrist",
+        isActive: true,
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      params: { id: alertId.toString() },
+      body: { isActive: false },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateAlert(req, res);
+
+    const { alert, message } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(message).toMatch(/deactivated/);
+    expect(alert.isActive).toBe(false);
+    expect(alert.deactivatedAt).toBeTruthy();
+  });
+});
@@ -0,0 +1,143 @@
+const mockingoose = require("mockingoose");
+const httpMocks = require("node-mocks-http");
+
+const AuditEvent = require("../../src/models/AuditEvent");
+
+const {
+  getAuditEvents,
+  verifyAuditTrail,
+} = require("../../src/controllers/auditController");
+const { computeAuditHash } = require("../../utils/auditTrail");
+
+// Builds a valid two-event chain
+const buildChain = () => {
+  const first = {
+    _id: "65f000000000000000000001",
+    sequence: 1,
+    previousHash: "0".repeat(64),
+    action: "CREATE",
+    entityType: "Inmate",
+    entityId: "65f0000000000000000000a1",
+    changes: [{ field: "firstName", before: null, after: "John" }],
+    createdAt: new Date("2025-03-01T10:00:00Z"),
+  };
+  first.hash = computeAuditHash(first);
+
+  const second = {
+    _id: "65f000000000000000000002",
+    sequence: 2,
+    previousHash: first.hash,
+    action: "UPDATE",
+    entityType: "Inmate",
+    entityId: "65f0000000000000000000a1",
+    changes: [{ field: "assignedCell", before: "A-101", after: "B-202" }],
+    createdAt: new Date("2025-03-02T10:00:00Z"),
+  };
+  second.hash = computeAuditHash(second);
+
+  return [first, second];
+};
+
+describe("Audit Controller", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("getAuditEvents - should return paginated events", async () => {
+    mockingoose(AuditEvent).toReturn(
+      [{ action: "UPDATE", entityType: "Inmate" }],
+      "find"
+    );
+    mockingoose(AuditEvent).toReturn(1, "countDocuments");
+
+    const req = httpMocks.createRequest({
+      query: { entityType: "Inmate", field: "assignedCell" },
+    });
+    const res = httpMocks.createResponse();
+
+    await getAuditEvents(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const data = res._getJSONData();
+    expect(data.events.length).toBe(1);
+    expect(data.totalEvents).toBe(1);
+  });
+
+  it("getAuditEvents - should return 400 for an unknown entity type", async () => {
+    const req = httpMocks.createRequest({ query: { entityType: "Weapon" } });
+    const res = httpMocks.createResponse();
+
+    await getAuditEvents(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/invalid entity type/i);
+  });
+
+  it("getAuditEvents - should return 400 for an invalid inmate ID", async () => {
+    const req = httpMocks.createRequest({ query: { inmate: "not-an-id" } });
+    const res = httpMocks.createResponse();
+
+    await getAuditEvents(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/invalid inmate/i);
+  });
+
+  it("getAuditEvents - should return 400 for an unparseable date", async () => {
+    const req = httpMocks.createRequest({
+      query: { startDate: "2025-01-01", endDate: "not-a-date" },
+    });
+    const res = httpMocks.createResponse();
+
+    await getAuditEvents(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/invalid endDate/i);
+  });
+
+  it("verifyAuditTrail - should report an intact chain", async () => {
+    mockingoose(AuditEvent).toReturn(buildChain(), "find");
+
+    const req = httpMocks.createRequest();
+    const res = httpMocks.createResponse();
+
+    await verifyAuditTrail(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const data = res._getJSONData();
+    expect(data.valid).toBe(true);
+    expect(data.checkedEvents).toBe(2);
+    expect(data.brokenLink).toBeNull();
+  });
+
+  it("verifyAuditTrail - should report the first edited event", async () => {
+    const chain = buildChain();
+    chain[1].changes[0].after = "C-303"; // Edited directly in the database
+    mockingoose(AuditEvent).toReturn(chain, "find");
+
+    const req = httpMocks.createRequest();
+    const res = httpMocks.createResponse();
+
+    await verifyAuditTrail(req, res);
+
+    const data = res._getJSONData();
+    expect(data.valid).toBe(false);
+    expect(data.brokenLink.sequence).toBe(2);
+    expect(data.brokenLink.reason).toMatch(/does not match its hash/i);
+  });
+
+  it("verifyAuditTrail - should report a deleted event", async () => {
+    const [, second] = buildChain();
+    mockingoose(AuditEvent).toReturn([second], "find");
+
+    const req = httpMocks.createRequest();
+    const res = httpMocks.createResponse();
+
+    await verifyAuditTrail(req, res);
+
+    const data = res._getJSONData();
+    expect(data.valid).toBe(false);
+    expect(data.brokenLink.sequence).toBe(2);
+    expect(data.brokenLink.reason).toMatch(/missing/i);
+  });
+});
@@ -0,0 +1,234 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+const bcrypt = require("bcryptjs");
+
+const User = require("../../src/models/User");
+const Session = require("../../src/models/Session");
+const SecurityLog = require("../../src/models/SecurityLog");
+
+const {
+  login_post,
+  verify2fa_post,
+  refresh_post,
+  logout,
+} = require("../../src/controllers/authController");
+const { signChallengeToken } = require("../../utils/sessionTokens");
+const { generateSecret, generateTotp } = require("../../utils/totp");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+describe("Auth Controller", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("login_post - should return 401 if user does not exist", async () => {
+    mockingoose(User).toReturn(null, "findOne");
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: { username: "ghost", password: "password123" },
+    });
+    const res = httpMocks.createResponse();
+
+    await login_post(req, res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res._getJSONData().message).toMatch(/invalid credentials/i);
+  });
+
+  it("login_post - should return 423 if the account is locked", async () => {
+    mockingoose(SecurityLog).toReturn([], "find");
+    mockingoose(User).toReturn(
+      {
+        username: "officer1",
+        password: "hashed",
+        role: "admin",
+        lockedUntil: new Date(Date.now() + 10 * 60 * 1000),
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: { username: "officer1", password: "password123" },
+    });
+    const res = httpMocks.createResponse();
+
+    await login_post(req, res);
+
+    expect(res.statusCode).toBe(423);
+    expect(res._getJSONData().message).toMatch(/temporarily locked/i);
+  });
+
+  it("login_post - should return 429 when the IP is backed off", async () => {
+    const recentFailures = Array.from({ length: 12 }, () => ({
+      event: "LOGIN_FAILURE",
+      username: "guess",
+      createdAt: new Date(),
+    }));
+    mockingoose(SecurityLog).toReturn(recentFailures, "find");
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: { username: "guess", password: "password123" },
+    });
+    const res = httpMocks.createResponse();
+
+    await login_post(req, res);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.getHeader("Retry-After")).toBeDefined();
+  });
+
+  it("login_post - should return a challenge instead of tokens when 2FA is enabled", async () => {
+    mockingoose(SecurityLog).toReturn([], "find");
+    mockingoose(User).toReturn(
+      {
+        username: "warden1",
+        password: bcrypt.hashSync("password123", 4),
+        role: "warden",
+        twoFactorEnabled: true,
+        twoFactorSecret: generateSecret(),
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: { username: "warden1", password: "password123" },
+    });
+    const res = httpMocks.createResponse();
+
+    await login_post(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const data = res._getJSONData();
+    expect(data.twoFactorRequired).toBe(true);
+    expect(data.challengeToken).toBeDefined();
+    expect(data.token).toBeUndefined();
+    expect(res.cookies.token).toBeUndefined();
+  });
+
+  it("verify2fa_post - should issue tokens for a valid TOTP code", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const secret = generateSecret();
+    mockingoose(User).toReturn(
+      {
+        _id: userId,
+        username: "warden1",
+        password: "hashed",
+        role: "warden",
+        twoFactorEnabled: true,
+        twoFactorSecret: secret,
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: {
+        challengeToken: signChallengeToken({ _id: userId }),
+        code: generateTotp(secret),
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await verify2fa_post(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res._getJSONData().token).toBeDefined();
+  });
+
+  it("verify2fa_post - should return 401 for an invalid code", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    mockingoose(User).toReturn(
+      {
+        _id: userId,
+        username: "warden1",
+        password: "hashed",
+        role: "warden",
+        twoFactorEnabled: true,
+        twoFactorSecret: generateSecret(),
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: {
+        challengeToken: signChallengeToken({ _id: userId }),
+        code: "abc123",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await verify2fa_post(req, res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res._getJSONData().message).toMatch(/invalid verification code/i);
+  });
+
+  it("verify2fa_post - should return 401 for an expired challenge", async () => {
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: { challengeToken: "not-a-token", code: "123456" },
+    });
+    const res = httpMocks.createResponse();
+
+    await verify2fa_post(req, res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res._getJSONData().message).toMatch(/sign in again/i);
+  });
+
+  it("refresh_post - should return 401 if no refresh token cookie", async () => {
+    const req = httpMocks.createRequest({ method: "POST", cookies: {} });
+    const res = httpMocks.createResponse();
+
+    await refresh_post(req, res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res._getJSONData().message).toMatch(/no refresh token/i);
+  });
+
+  it("refresh_post - should return 401 if session is revoked", async () => {
+    mockingoose(Session).toReturn(
+      {
+        user: new mongoose.Types.ObjectId(),
+        refreshTokenHash: "hash",
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        revokedAt: new Date(),
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      cookies: { refreshToken: "stolen-token" },
+    });
+    const res = httpMocks.createResponse();
+
+    await refresh_post(req, res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res._getJSONData().message).toMatch(/expired or revoked/i);
+  });
+
+  it("logout - should clear cookies and respond successfully", async () => {
+    mockingoose(Session).toReturn({ modifiedCount: 1 }, "updateOne");
+
+    const req = httpMocks.createRequest({
+      method: "GET",
+      cookies: { refreshToken: "some-token" },
+    });
+    const res = httpMocks.createResponse();
+
+    await logout(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.cookies.token.value).toBe("");
+    expect(res.cookies.refreshToken.value).toBe("");
+  });
+});
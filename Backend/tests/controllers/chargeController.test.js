@@ -0,0 +1,86 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+const Charge = require("../../src/models/Charge");
+
+const {
+  addCharge,
+  updateCharge,
+} = require("../../src/controllers/chargeController");
+
+describe("Charge Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("addCharge - should return 400 for an unknown offense category", async () => {
+    const req = httpMocks.createRequest({
+      body: {
+        inmate: inmateId.toString(),
+        description: "Possession with intent to supply",
+        category: "Smuggling",
+        severity: "Felony",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await addCharge(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/category/i);
+  });
+
+  it("addCharge - should record a charge against the inmate", async () => {
+    mockingoose(Inmate).toReturn({ _id: inmateId }, "findOne");
+
+    const req = httpMocks.createRequest({
+      body: {
+        inmate: inmateId.toString(),
+        description: "Possession with intent to supply",
+        statuteCode: "MDA 1971 s.5(3)",
+        category: "Drug",
+        severity: "Felony",
+        offenseDate: "2024-03-15",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await addCharge(req, res);
+
+    const { charge } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(charge.inmate).toBe(inmateId.toString());
+    expect(charge.status).toBe("Convicted");
+    expect(charge.statuteCode).toBe("MDA 1971 s.5(3)");
+  });
+
+  it("updateCharge - should reject a conviction date before the offense date", async () => {
+    const chargeId = new mongoose.Types.ObjectId();
+    mockingoose(Charge).toReturn(
+      {
+        _id: chargeId,
+        inmate: inmateId,
+        description: "Burglary",
+        category: "Property",
+        severity: "Felony",
+        offenseDate: new Date("2024-03-15"),
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      params: { id: chargeId.toString() },
+      body: { convictionDate: "2024-01-01" },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateCharge(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/conviction date/i);
+  });
+});
@@ -0,0 +1,117 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+const Charge = require("../../src/models/Charge");
+const BehaviorLog = require("../../src/models/BehaviorLog");
+const Classification = require("../../src/models/Classification");
+const Incident = require("../../src/models/Incident");
+
+const {
+  getClassification,
+  classifyInmate,
+} = require("../../src/controllers/classificationController");
+
+describe("Classification Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const inmate = {
+    _id: inmateId,
+    firstName: "John",
+    lastName: "Doe",
+    inmateID: "INM-2024-001",
+    dateOfBirth: new Date("1990-01-01"),
+    gender: "Male",
+    admissionDate: new Date(),
+    sentenceDuration: 24,
+    crimeDetails: "Fraud",
+    status: "Incarcerated",
+    custodyLevel: null,
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("getClassification - should suggest Maximum for a violent felony with recent incidents", async () => {
+    mockingoose(Incident).toReturn(1, "countDocuments");
+    mockingoose(Inmate).toReturn(inmate, "findOne");
+    mockingoose(Charge).toReturn(
+      [
+        { severity: "Felony", category: "Violent" },
+        { severity: "Misdemeanor", category: "Drug" },
+      ],
+      "find"
+    );
+    mockingoose(BehaviorLog).toReturn(
+      [{ incidentReports: 1 }, { incidentReports: 2 }],
+      "find"
+    );
+    mockingoose(Classification).toReturn([], "find");
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+    });
+    const res = httpMocks.createResponse();
+
+    await getClassification(req, res);
+
+    const data = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(data.reviewDue).toBe(true);
+    expect(data.suggestion.level).toBe("Maximum");
+    expect(data.suggestion.factors).toEqual({
+      severity: "Felony",
+      violentOffense: true,
+      incidents: 4,
+      monthsServed: 0,
+    });
+  });
+
+  it("classifyInmate - should require a reason to override the suggested level", async () => {
+    mockingoose(Inmate).toReturn(inmate, "findOne");
+    mockingoose(Charge).toReturn(
+      [{ severity: "Misdemeanor", category: "Property" }],
+      "find"
+    );
+    mockingoose(BehaviorLog).toReturn([], "find");
+    mockingoose(Incident).toReturn(0, "countDocuments");
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { level: "Maximum" },
+    });
+    const res = httpMocks.createResponse();
+
+    await classifyInmate(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/suggested level is Minimum/);
+  });
+
+  it("classifyInmate - should record the decision and schedule the next review", async () => {
+    mockingoose(Inmate).toReturn(inmate, "findOne");
+    mockingoose(Charge).toReturn(
+      [{ severity: "Felony", category: "Fraud" }],
+      "find"
+    );
+    mockingoose(BehaviorLog).toReturn([], "find");
+    mockingoose(Incident).toReturn(0, "countDocuments");
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { level: "Medium", notes: "Initial classification" },
+    });
+    const res = httpMocks.createResponse();
+
+    await classifyInmate(req, res);
+
+    const { classification, warnings } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(classification.level).toBe("Medium");
+    expect(classification.suggestedLevel).toBe("Medium");
+    expect(classification.previousLevel).toBeNull();
+    expect(new Date(classification.nextReviewDate) > new Date()).toBe(true);
+    expect(warnings).toEqual([]);
+  });
+});
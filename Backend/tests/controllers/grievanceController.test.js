@@ -0,0 +1,169 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+const User = require("../../src/models/User");
+const Grievance = require("../../src/models/Grievance");
+
+const {
+  fileGrievance,
+  getGrievances,
+  respondToGrievance,
+  appealGrievance,
+} = require("../../src/controllers/grievanceController");
+
+jest.mock("../../src/controllers/recentActivityLogController", () => ({
+  logRecentActivity: jest.fn(),
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("Grievance Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const grievanceId = new mongoose.Types.ObjectId();
+  const staffId = new mongoose.Types.ObjectId();
+
+  const grievance = {
+    _id: grievanceId,
+    inmate: inmateId,
+    category: "Food",
+    statement: "Meals are served cold",
+    status: "Resolved",
+    filedAt: new Date(Date.now() - 20 * DAY),
+    dueDate: new Date(Date.now() - 6 * DAY),
+    resolvedAt: new Date(Date.now() - 8 * DAY),
+    history: [{ status: "Filed" }, { status: "Resolved" }],
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("fileGrievance - should refuse an assignee who cannot respond", async () => {
+    mockingoose(User).toReturn(
+      { _id: staffId, role: "correctional_officer", isActive: true },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      body: {
+        inmateID: "INM001",
+        category: "Medical",
+        statement: "Requested a doctor three times",
+        assignedTo: staffId.toString(),
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await fileGrievance(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/cannot respond/);
+  });
+
+  it("fileGrievance - should set the response deadline and start the history", async () => {
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, inmateID: "INM001" },
+      "findOne"
+    );
+    mockingoose(User).toReturn(
+      { _id: staffId, role: "counselor", isActive: true },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      body: {
+        inmateID: "INM001",
+        category: "Medical",
+        statement: "  Requested a doctor three times  ",
+        assignedTo: staffId.toString(),
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await fileGrievance(req, res);
+
+    const { grievance: filed } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(filed.status).toBe("Filed");
+    expect(filed.statement).toBe("Requested a doctor three times");
+    expect(filed.assignedTo).toBe(staffId.toString());
+    expect(
+      new Date(filed.dueDate).getTime() - new Date(filed.filedAt).getTime()
+    ).toBe(14 * DAY);
+    expect(filed.history).toHaveLength(1);
+    expect(filed.history[0]).toEqual(
+      expect.objectContaining({ status: "Filed", fromStatus: null })
+    );
+  });
+
+  it("respondToGrievance - should refuse to move a resolved grievance back under review", async () => {
+    mockingoose(Grievance).toReturn(grievance, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { id: grievanceId.toString() },
+      body: { status: "Under Review", response: "Looking into it again" },
+    });
+    const res = httpMocks.createResponse();
+
+    await respondToGrievance(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(
+      /resolved cannot be moved to under review/
+    );
+  });
+
+  it("appealGrievance - should reopen the grievance with the appeal deadline", async () => {
+    mockingoose(Grievance).toReturn(grievance, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { id: grievanceId.toString() },
+      body: { reason: "Meals are still served cold" },
+    });
+    const res = httpMocks.createResponse();
+
+    await appealGrievance(req, res);
+
+    const { grievance: appealed } = res._getJSONData();
+    const entry = appealed.history[2];
+    expect(res.statusCode).toBe(200);
+    expect(appealed.status).toBe("Appealed");
+    expect(entry).toEqual(
+      expect.objectContaining({
+        status: "Appealed",
+        fromStatus: "Resolved",
+        response: "Meals are still served cold",
+      })
+    );
+    expect(
+      new Date(appealed.dueDate).getTime() -
+        new Date(entry.respondedAt).getTime()
+    ).toBe(10 * DAY);
+  });
+
+  it("getGrievances - should flag open grievances past their deadline", async () => {
+    mockingoose(Grievance).toReturn(2, "countDocuments");
+    mockingoose(Grievance).toReturn(
+      [
+        { ...grievance, status: "Under Review" },
+        { ...grievance, _id: new mongoose.Types.ObjectId() },
+      ],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({ query: {} });
+    const res = httpMocks.createResponse();
+
+    await getGrievances(req, res);
+
+    const { grievances, totalGrievances } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(totalGrievances).toBe(2);
+    expect(grievances.map(({ status, overdue }) => [status, overdue])).toEqual([
+      ["Under Review", true],
+      ["Resolved", false],
+    ]);
+  });
+});
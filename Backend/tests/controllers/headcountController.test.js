@@ -0,0 +1,271 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Block = require("../../src/models/Block");
+const Cell = require("../../src/models/Cell");
+const Inmate = require("../../src/models/Inmate");
+const Headcount = require("../../src/models/Headcount");
+const AuditEvent = require("../../src/models/AuditEvent");
+
+const {
+  startHeadcount,
+  markEntry,
+  completeHeadcount,
+} = require("../../src/controllers/headcountController");
+
+describe("Headcount Controller", () => {
+  const blockId = new mongoose.Types.ObjectId();
+  const cellId = new mongoose.Types.ObjectId();
+  const headcountId = new mongoose.Types.ObjectId();
+  const entryId = new mongoose.Types.ObjectId();
+
+  const entry = {
+    _id: entryId,
+    inmate: new mongoose.Types.ObjectId(),
+    inmateID: "INM-001",
+    name: "John Doe",
+    cell: cellId,
+    cellLabel: "A-101",
+    bed: 1,
+    status: null,
+  };
+
+  const headcount = {
+    _id: headcountId,
+    block: blockId,
+    blockName: "A - Alpha",
+    countType: "Morning",
+    status: "In Progress",
+    entries: [
+      entry,
+      {
+        ...entry,
+        _id: new mongoose.Types.ObjectId(),
+        bed: 2,
+        status: "Present",
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("startHeadcount - should build the count sheet from the inmates housed in the block", async () => {
+    mockingoose(Block).toReturn(
+      { _id: blockId, code: "A", name: "Alpha", isActive: true },
+      "findOne"
+    );
+    mockingoose(Cell).toReturn([{ _id: cellId }], "find");
+    mockingoose(Inmate).toReturn(
+      [
+        {
+          _id: entry.inmate,
+          firstName: "John",
+          lastName: "Doe",
+          inmateID: "INM-001",
+          cell: cellId,
+          bed: 1,
+          assignedCell: "A-101",
+        },
+      ],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({
+      body: { blockId: blockId.toString(), countType: "Morning" },
+    });
+    const res = httpMocks.createResponse();
+
+    await startHeadcount(req, res);
+
+    const { headcount: started } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(started.blockName).toBe("A - Alpha");
+    expect(started.entries).toEqual([
+      expect.objectContaining({
+        inmateID: "INM-001",
+        name: "John Doe",
+        cellLabel: "A-101",
+        status: null,
+      }),
+    ]);
+    expect(started.tally).toEqual(
+      expect.objectContaining({ expected: 1, unmarked: 1, cleared: false })
+    );
+  });
+
+  it("startHeadcount - should refuse a second count in progress for the block", async () => {
+    mockingoose(Block).toReturn(
+      { _id: blockId, code: "A", name: "Alpha", isActive: true },
+      "findOne"
+    );
+    mockingoose(Cell).toReturn([{ _id: cellId }], "find");
+    mockingoose(Inmate).toReturn(
+      [{ firstName: "John", lastName: "Doe", inmateID: "INM-001" }],
+      "find"
+    );
+    const createSpy = jest
+      .spyOn(Headcount, "create")
+      .mockRejectedValueOnce(
+        Object.assign(new Error("duplicate key"), { code: 11000 })
+      );
+
+    const req = httpMocks.createRequest({
+      body: { blockId: blockId.toString(), countType: "Midday" },
+    });
+    const res = httpMocks.createResponse();
+
+    await startHeadcount(req, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res._getJSONData().message).toMatch(/already in progress/);
+    createSpy.mockRestore();
+  });
+
+  it("markEntry - should require a note when an inmate is absent", async () => {
+    const req = httpMocks.createRequest({
+      params: { id: headcountId.toString(), entryId: entryId.toString() },
+      body: { status: "Absent" },
+    });
+    const res = httpMocks.createResponse();
+
+    await markEntry(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/last seen/);
+  });
+
+  /**
+   * Mocks the in-place mark: the count before it, then after it with the flag.
+   */
+  const mockMark = (before, after) => {
+    mockingoose(Headcount).toReturn(
+      // The flag is set with an update pipeline once the mark is in place
+      (query) => (Array.isArray(query.getUpdate()) ? after : before),
+      "findOneAndUpdate"
+    );
+  };
+
+  it("markEntry - should flag the count as soon as an inmate is marked absent", async () => {
+    mockMark(headcount, {
+      ...headcount,
+      discrepancy: true,
+      entries: [
+        { ...entry, status: "Absent", note: "Not in cell at 06:00" },
+        headcount.entries[1],
+      ],
+    });
+
+    const req = httpMocks.createRequest({
+      params: { id: headcountId.toString(), entryId: entryId.toString() },
+      body: { status: "Absent", note: "Not in cell at 06:00" },
+    });
+    const res = httpMocks.createResponse();
+
+    await markEntry(req, res);
+
+    const data = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(data.discrepancy).toBe(true);
+    expect(data.message).toMatch(/Discrepancy: John Doe/);
+    expect(data.tally).toEqual(
+      expect.objectContaining({ present: 1, absent: 1, unmarked: 0 })
+    );
+  });
+
+  it("markEntry - should keep a corrected absence in the audit trail", async () => {
+    mockMark(
+      {
+        ...headcount,
+        discrepancy: true,
+        entries: [
+          { ...entry, status: "Absent", note: "Not in cell at 06:00" },
+          headcount.entries[1],
+        ],
+      },
+      {
+        ...headcount,
+        discrepancy: false,
+        entries: [{ ...entry, status: "Present" }, headcount.entries[1]],
+      }
+    );
+    const createSpy = jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+
+    const req = httpMocks.createRequest({
+      params: { id: headcountId.toString(), entryId: entryId.toString() },
+      user: { id: new mongoose.Types.ObjectId().toString() },
+      body: { status: "Present" },
+    });
+    const res = httpMocks.createResponse();
+
+    await markEntry(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(createSpy).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "UPDATE",
+        entityType: "Headcount",
+        entityId: headcountId,
+        inmate: entry.inmate,
+        changes: expect.arrayContaining([
+          { field: "status", before: "Absent", after: "Present" },
+          { field: "discrepancy", before: true, after: false },
+        ]),
+      })
+    );
+    createSpy.mockRestore();
+  });
+
+  it("markEntry - should refuse a mark on a completed count", async () => {
+    mockMark(null, null);
+    mockingoose(Headcount).toReturn(
+      { ...headcount, status: "Completed" },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      params: { id: headcountId.toString(), entryId: entryId.toString() },
+      body: { status: "Present" },
+    });
+    const res = httpMocks.createResponse();
+
+    await markEntry(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/already been completed/);
+  });
+
+  it("completeHeadcount - should refuse while inmates are not marked", async () => {
+    mockingoose(Headcount).toReturn(headcount, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { id: headcountId.toString() },
+    });
+    const res = httpMocks.createResponse();
+
+    await completeHeadcount(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(
+      /1 inmate\(s\) have not been marked/
+    );
+  });
+
+  it("Headcount model - should reject changes to a completed count", async () => {
+    const completed = Headcount.hydrate({
+      ...headcount,
+      status: "Completed",
+      entries: headcount.entries.map((countEntry) => ({
+        ...countEntry,
+        status: "Present",
+      })),
+    });
+    completed.notes = "Edited afterwards";
+
+    await expect(completed.save()).rejects.toThrow(
+      "Completed headcounts cannot be modified"
+    );
+  });
+});
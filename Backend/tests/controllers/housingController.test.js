@@ -0,0 +1,93 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Block = require("../../src/models/Block");
+const Cell = require("../../src/models/Cell");
+const Inmate = require("../../src/models/Inmate");
+
+const {
+  createCell,
+  updateCell,
+  getOccupancy,
+} = require("../../src/controllers/housingController");
+
+describe("Housing Controller", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("createCell - should return 400 if capacity is not a positive whole number", async () => {
+    const req = httpMocks.createRequest({
+      body: {
+        block: new mongoose.Types.ObjectId().toString(),
+        cellNumber: "101",
+        capacity: 0,
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await createCell(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/capacity/i);
+  });
+
+  it("updateCell - should not reduce capacity below an occupied bed", async () => {
+    const cellId = new mongoose.Types.ObjectId();
+    mockingoose(Cell).toReturn(
+      { _id: cellId, cellNumber: "101", capacity: 4, isActive: true },
+      "findOne"
+    );
+    mockingoose(Inmate).toReturn([{ bed: 1 }, { bed: 3 }], "find");
+
+    const req = httpMocks.createRequest({
+      params: { id: cellId.toString() },
+      body: { capacity: 2 },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateCell(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/bed 3 is occupied/i);
+  });
+
+  it("getOccupancy - should report occupancy per block", async () => {
+    const blockId = new mongoose.Types.ObjectId();
+    const cellId = new mongoose.Types.ObjectId();
+    mockingoose(Block).toReturn(
+      [{ _id: blockId, name: "North Wing", code: "A" }],
+      "find"
+    );
+    mockingoose(Cell).toReturn(
+      [
+        {
+          _id: cellId,
+          block: blockId,
+          cellNumber: "101",
+          capacity: 2,
+          isActive: true,
+        },
+      ],
+      "find"
+    );
+    mockingoose(Inmate).toReturn(
+      [{ firstName: "John", inmateID: "INM001", cell: cellId, bed: 1 }],
+      "find"
+    );
+
+    const req = httpMocks.createRequest();
+    const res = httpMocks.createResponse();
+
+    await getOccupancy(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const data = res._getJSONData();
+    expect(data.blocks[0].capacity).toBe(2);
+    expect(data.blocks[0].occupied).toBe(1);
+    expect(data.blocks[0].occupancyRate).toBe(50);
+    expect(data.blocks[0].cells[0].label).toBe("A-101");
+    expect(data.totals.available).toBe(1);
+  });
+});
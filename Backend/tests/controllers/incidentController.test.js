@@ -0,0 +1,214 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+const Incident = require("../../src/models/Incident");
+
+const {
+  reportIncident,
+  recordHearing,
+} = require("../../src/controllers/incidentController");
+
+jest.mock("../../src/controllers/recentActivityLogController", () => ({
+  logRecentActivity: jest.fn(),
+}));
+
+describe("Incident Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const victimId = new mongoose.Types.ObjectId();
+  const incidentId = new mongoose.Types.ObjectId();
+  const occurredAt = new Date();
+  occurredAt.setDate(occurredAt.getDate() - 3);
+
+  const incident = {
+    _id: incidentId,
+    incidentType: "Assault",
+    occurredAt,
+    location: "Yard",
+    narrative: "Struck another inmate during recreation",
+    involvedInmates: [
+      { inmate: inmateId, role: "Offender", outcome: "Pending" },
+      { inmate: victimId, role: "Victim", outcome: "Pending" },
+    ],
+    status: "Open",
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("reportIncident - should reject unknown inmate IDs", async () => {
+    mockingoose(Inmate).toReturn(
+      [{ _id: inmateId, inmateID: "INM001" }],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({
+      body: {
+        incidentType: "Fighting",
+        occurredAt: occurredAt.toISOString(),
+        location: "Block A corridor",
+        narrative: "Two inmates fought at lunch",
+        involvedInmates: [
+          { inmateID: "INM001", role: "Offender" },
+          { inmateID: "INM999", role: "Offender" },
+        ],
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await reportIncident(req, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(res._getJSONData().message).toMatch(/INM999/);
+  });
+
+  it("reportIncident - should report an incident with pending hearings", async () => {
+    mockingoose(Inmate).toReturn(
+      [
+        { _id: inmateId, inmateID: "INM001" },
+        { _id: victimId, inmateID: "INM002" },
+      ],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({
+      body: {
+        incidentType: "Assault",
+        occurredAt: occurredAt.toISOString(),
+        location: "Yard",
+        narrative: "Struck another inmate during recreation",
+        involvedInmates: [
+          { inmateID: "INM002", role: "Victim" },
+          { inmateID: "INM001", role: "Offender" },
+        ],
+        involvedStaff: "Officer Smith, Officer Jones",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await reportIncident(req, res);
+
+    const { incident: created } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(created.status).toBe("Open");
+    expect(created.involvedStaff).toEqual(["Officer Smith", "Officer Jones"]);
+    expect(
+      created.involvedInmates.map(({ inmate, role, outcome }) => ({
+        inmate,
+        role,
+        outcome,
+      }))
+    ).toEqual([
+      { inmate: victimId.toString(), role: "Victim", outcome: "Pending" },
+      { inmate: inmateId.toString(), role: "Offender", outcome: "Pending" },
+    ]);
+  });
+
+  it("recordHearing - should refuse sanctions without a guilty finding", async () => {
+    const req = httpMocks.createRequest({
+      params: { id: incidentId.toString() },
+      body: {
+        inmate: inmateId.toString(),
+        outcome: "Dismissed",
+        sanctions: [{ type: "Loss of Visits", days: 14 }],
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await recordHearing(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/guilty finding/);
+  });
+
+  it("recordHearing - should impose timed sanctions and close the incident", async () => {
+    mockingoose(Incident).toReturn(incident, "findOne");
+    const hearingDate = new Date();
+
+    const req = httpMocks.createRequest({
+      params: { id: incidentId.toString() },
+      body: {
+        inmate: inmateId.toString(),
+        outcome: "Guilty",
+        hearingDate: hearingDate.toISOString(),
+        notes: "Admitted the assault",
+        sanctions: [
+          { type: "Loss of Visits", days: 14 },
+          { type: "Warning", days: 5 },
+        ],
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await recordHearing(req, res);
+
+    const { incident: updated } = res._getJSONData();
+    const offender = updated.involvedInmates[0];
+    expect(res.statusCode).toBe(200);
+    expect(updated.status).toBe("Closed");
+    expect(offender.outcome).toBe("Guilty");
+    expect(offender.sanctions).toHaveLength(2);
+    expect(offender.sanctions[0].type).toBe("Loss of Visits");
+    expect(new Date(offender.sanctions[0].endDate).getTime()).toBe(
+      hearingDate.getTime() + 14 * 24 * 60 * 60 * 1000
+    );
+    expect(offender.sanctions[1]).toEqual(
+      expect.objectContaining({ type: "Warning", days: 0, endDate: null })
+    );
+  });
+
+  it("recordHearing - should forfeit good-conduct credit on the sentence", async () => {
+    mockingoose(Incident).toReturn(incident, "findOne");
+    mockingoose(Inmate).toReturn(
+      {
+        _id: inmateId,
+        firstName: "John",
+        lastName: "Doe",
+        inmateID: "INM001",
+        dateOfBirth: new Date("1990-01-01"),
+        gender: "Male",
+        admissionDate: new Date("2024-01-01"),
+        sentenceDuration: 12,
+        crimeDetails: "Assault",
+        sentences: [{ lengthMonths: 12, startDate: new Date("2024-01-01") }],
+        sentenceCredits: [{ type: "Good Conduct", days: 20 }],
+      },
+      "findOne"
+    );
+    let savedInmate;
+    const saveSpy = jest
+      .spyOn(Inmate.prototype, "save")
+      .mockImplementation(function () {
+        savedInmate = this;
+        return Promise.resolve(this);
+      });
+
+    const req = httpMocks.createRequest({
+      params: { id: incidentId.toString() },
+      body: {
+        inmate: inmateId.toString(),
+        outcome: "Guilty",
+        sanctions: [{ type: "Loss of Good Conduct Credit", days: 15 }],
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await recordHearing(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(savedInmate.sentenceCredits[1]).toEqual(
+      expect.objectContaining({
+        type: "Good Conduct Forfeiture",
+        days: 15,
+        incident: incidentId,
+      })
+    );
+    // 20 good-conduct days less 15 forfeited leaves 5 days off the full term
+    expect(savedInmate.projectedReleaseDate.toISOString()).toBe(
+      "2024-12-27T00:00:00.000Z"
+    );
+    saveSpy.mockRestore();
+  });
+});
@@ -1,6 +1,14 @@
 const mockingoose = require("mockingoose");
 const mongoose = require("mongoose");
 const Inmate = require("../../src/models/Inmate");
+const AuditEvent = require("../../src/models/AuditEvent");
+const Cell = require("../../src/models/Cell");
+const Charge = require("../../src/models/Charge");
+const Visit = require("../../src/models/Visit");
+const BehaviorLog = require("../../src/models/BehaviorLog");
+const ActivityLog = require("../../src/models/ActivityLog");
+const WorkProgramEnrollment = require("../../src/models/WorkProgramEnrollment");
+const Parole = require("../../src/models/Parole");
 const {
   registerInmate,
   getNextInmateID,
@@ -44,10 +52,17 @@ describe("registerInmate", () => {
     expect(res._getJSONData().message).toMatch(/first name/i);
   });
 
-  it("should return 403 if user is not warden", async () => {
+  it("should return 400 if the selected cell is full", async () => {
+    const cellId = new mongoose.Types.ObjectId();
+    mockingoose(Cell).toReturn(
+      { _id: cellId, cellNumber: "101", capacity: 1, isActive: true },
+      "findOne"
+    );
+    mockingoose(Inmate).toReturn([{ cell: cellId, bed: 1 }], "find");
+
     const req = httpMocks.createRequest({
       method: "POST",
-      user: { role: "visitor" }, // Unauthorized role
+      user: { role: "warden" },
       body: {
         firstName: "John",
         lastName: "Doe",
@@ -56,14 +71,15 @@ describe("registerInmate", () => {
         admissionDate: "2025-03-01",
         sentenceDuration: 12,
         crimeDetails: "Theft",
+        cell: cellId.toString(),
       },
     });
     const res = httpMocks.createResponse();
 
     await registerInmate(req, res);
 
-    expect(res.statusCode).toBe(403);
-    expect(res._getJSONData().message).toMatch(/access denied/i);
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/full capacity/i);
   });
 });
 
@@ -108,6 +124,20 @@ describe("Inmate Controller", () => {
     expect(res._getJSONData().message).toMatch(/search query/i);
   });
 
+  it("searchInmate - should filter by offense category without a name query", async () => {
+    const id = new mongoose.Types.ObjectId();
+    const distinctSpy = jest.spyOn(Charge, "distinct").mockResolvedValue([id]);
+    mockingoose(Inmate).toReturn([{ _id: id, inmateID: "INM001" }], "find");
+    const req = httpMocks.createRequest({ query: { category: "Drug" } });
+    const res = httpMocks.createResponse();
+
+    await searchInmate(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(distinctSpy).toHaveBeenCalledWith("inmate", { category: "Drug" });
+    distinctSpy.mockRestore();
+  });
+
   it("getInmateById - should return 400 for invalid ID", async () => {
     const req = httpMocks.createRequest({ params: { id: "invalid" } });
     const res = httpMocks.createResponse();
@@ -117,33 +147,138 @@ describe("Inmate Controller", () => {
     expect(res.statusCode).toBe(400);
   });
 
-  it("updateInmate - should return 403 if not warden", async () => {
+  it("getInmateByIDReport - should return 404 if inmate not found", async () => {
+    mockingoose(Inmate).toReturn(null, "findOne");
+    mockingoose(Inmate).toReturn(null, "findById");
+
     const req = httpMocks.createRequest({
-      method: "PUT",
-      user: { role: "visitor" },
       params: { id: new mongoose.Types.ObjectId().toString() },
-      body: {},
     });
     const res = httpMocks.createResponse();
 
-    await updateInmate(req, res);
+    await getInmateByIDReport(req, res);
 
-    expect(res.statusCode).toBe(403);
-    expect(res._getJSONData().message).toMatch(/permission/i);
+    expect(res.statusCode).toBe(404);
+    expect(res._getJSONData().message).toMatch(/not found/i);
   });
 
-  it("getInmateByIDReport - should return 404 if inmate not found", async () => {
-    mockingoose(Inmate).toReturn(null, "findOne");
-    mockingoose(Inmate).toReturn(null, "findById");
+  it("getInmateByIDReport - should count only the visits that took place", async () => {
+    const id = new mongoose.Types.ObjectId();
+    mockingoose(Inmate).toReturn(
+      { _id: id, inmateID: "INM001", firstName: "John", lastName: "Doe" },
+      "findOne"
+    );
+    mockingoose(WorkProgramEnrollment).toReturn([], "find");
+    mockingoose(BehaviorLog).toReturn([], "find");
+    mockingoose(Parole).toReturn([], "find");
+    mockingoose(ActivityLog).toReturn([], "find");
+    mockingoose(Charge).toReturn([], "find");
+    mockingoose(Visit).toReturn(4, "countDocuments");
+    const countSpy = jest.spyOn(Visit, "countDocuments");
 
     const req = httpMocks.createRequest({
-      params: { id: new mongoose.Types.ObjectId().toString() },
+      params: { id: id.toString() },
+      user: { role: "warden" },
     });
     const res = httpMocks.createResponse();
 
     await getInmateByIDReport(req, res);
 
-    expect(res.statusCode).toBe(404);
-    expect(res._getJSONData().message).toMatch(/not found/i);
+    expect(res.statusCode).toBe(200);
+    expect(res._getJSONData().visitorCount).toBe(4);
+    expect(countSpy).toHaveBeenCalledWith({
+      inmate: id.toString(),
+      status: { $in: ["Completed", null] },
+      voidedAt: null,
+    });
+    countSpy.mockRestore();
+  });
+
+  it("updateInmate - should record changed fields in the audit trail", async () => {
+    const id = new mongoose.Types.ObjectId();
+    const actorId = new mongoose.Types.ObjectId().toString();
+    mockingoose(Inmate).toReturn(
+      { _id: id, firstName: "John", assignedCell: "A-101" },
+      "findOne"
+    );
+    mockingoose(Inmate).toReturn(
+      { _id: id, firstName: "John", assignedCell: "B-202" },
+      "findOneAndUpdate"
+    );
+    const createSpy = jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+
+    const req = httpMocks.createRequest({
+      params: { id: id.toString() },
+      user: { id: actorId, role: "warden" },
+      body: { assignedCell: "B-202" },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateInmate(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(createSpy).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "UPDATE",
+        entityType: "Inmate",
+        actor: actorId,
+        changes: [{ field: "assignedCell", before: "A-101", after: "B-202" }],
+      })
+    );
+    createSpy.mockRestore();
+  });
+
+  it("updateInmate - should not change the custody level", async () => {
+    const id = new mongoose.Types.ObjectId();
+    mockingoose(Inmate).toReturn(
+      { _id: id, firstName: "John", custodyLevel: "Minimum" },
+      "findOne"
+    );
+    mockingoose(Inmate).toReturn(
+      { _id: id, firstName: "Johnny", custodyLevel: "Minimum" },
+      "findOneAndUpdate"
+    );
+    const updateSpy = jest.spyOn(Inmate, "findByIdAndUpdate");
+
+    const req = httpMocks.createRequest({
+      params: { id: id.toString() },
+      body: {
+        firstName: "Johnny",
+        custodyLevel: "Maximum",
+        nextClassificationReview: "2030-01-01",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateInmate(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const updatedData = updateSpy.mock.calls[0][1];
+    expect(updatedData.firstName).toBe("Johnny");
+    expect(updatedData).not.toHaveProperty("custodyLevel");
+    expect(updatedData).not.toHaveProperty("nextClassificationReview");
+    updateSpy.mockRestore();
+  });
+
+  it("updateInmate - should refuse to release an inmate outside the release workflow", async () => {
+    const id = new mongoose.Types.ObjectId();
+    mockingoose(Inmate).toReturn(
+      { _id: id, firstName: "John", status: "Incarcerated" },
+      "findOne"
+    );
+    const updateSpy = jest.spyOn(Inmate, "findByIdAndUpdate");
+
+    const req = httpMocks.createRequest({
+      params: { id: id.toString() },
+      body: { status: "Released", movementReason: "Sentence completed" },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateInmate(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/Release action/);
+    expect(updateSpy).not.toHaveBeenCalled();
+    updateSpy.mockRestore();
   });
 });
@@ -0,0 +1,190 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+const MedicalRecord = require("../../src/models/MedicalRecord");
+const MedicationAdministration = require("../../src/models/MedicationAdministration");
+const AuditEvent = require("../../src/models/AuditEvent");
+
+const {
+  getMedicalAlertsForInmates,
+  addAllergy,
+  recordAdministration,
+} = require("../../src/controllers/medicalController");
+const { redactHealthSessions } = require("../../utils/medical");
+
+describe("Medical Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const medicationId = new mongoose.Types.ObjectId();
+
+  const record = {
+    _id: new mongoose.Types.ObjectId(),
+    inmate: inmateId,
+    allergies: [
+      { allergen: "Penicillin", severity: "Moderate", isActive: true },
+      { allergen: "Peanuts", severity: "Life-Threatening", isActive: true },
+      { allergen: "Latex", severity: "Severe", isActive: false },
+    ],
+    conditions: [{ name: "Epilepsy", status: "Active", staffAlert: true }],
+    medications: [
+      {
+        _id: medicationId,
+        name: "Levetiracetam",
+        dose: "500 mg",
+        frequency: "Twice daily",
+        startDate: new Date("2026-01-10"),
+        status: "Active",
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("getMedicalAlertsForInmates - should return alerts without clinical details", async () => {
+    mockingoose(MedicalRecord).toReturn([record], "find");
+
+    const req = httpMocks.createRequest({
+      query: { inmates: `${inmateId},not-an-id` },
+    });
+    const res = httpMocks.createResponse();
+
+    await getMedicalAlertsForInmates(req, res);
+
+    const alerts = res._getJSONData()[inmateId.toString()];
+    expect(res.statusCode).toBe(200);
+    expect(alerts.map(({ type, severity }) => ({ type, severity }))).toEqual([
+      { type: "Allergy", severity: "High" },
+      { type: "Medical Condition", severity: "Medium" },
+    ]);
+    expect(JSON.stringify(alerts)).not.toMatch(/Penicillin|Peanuts|Epilepsy/);
+  });
+
+  it("addAllergy - should require the allergen", async () => {
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { severity: "Mild" },
+    });
+    const res = httpMocks.createResponse();
+
+    await addAllergy(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/allergen/);
+  });
+
+  it("addAllergy - should return 404 when the inmate does not exist", async () => {
+    mockingoose(MedicalRecord).toReturn(null, "findOne");
+    mockingoose(Inmate).toReturn(null, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { allergen: "Penicillin", severity: "Severe" },
+    });
+    const res = httpMocks.createResponse();
+
+    await addAllergy(req, res);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it("recordAdministration - should snapshot the prescribed dose", async () => {
+    mockingoose(MedicalRecord).toReturn(record, "findOne");
+    mockingoose(MedicationAdministration).toReturn({}, "save");
+
+    const req = httpMocks.createRequest({
+      params: {
+        inmateId: inmateId.toString(),
+        entryId: medicationId.toString(),
+      },
+      body: { status: "Given" },
+    });
+    const res = httpMocks.createResponse();
+
+    await recordAdministration(req, res);
+
+    expect(res.statusCode).toBe(201);
+    expect(res._getJSONData().administration).toEqual(
+      expect.objectContaining({
+        medicationName: "Levetiracetam",
+        dose: "500 mg",
+        status: "Given",
+      })
+    );
+  });
+
+  it("recordAdministration - should audit the dose without its clinical values", async () => {
+    mockingoose(MedicalRecord).toReturn(record, "findOne");
+    mockingoose(MedicationAdministration).toReturn({}, "save");
+    const createSpy = jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+    const actorId = new mongoose.Types.ObjectId().toString();
+
+    const req = httpMocks.createRequest({
+      params: {
+        inmateId: inmateId.toString(),
+        entryId: medicationId.toString(),
+      },
+      user: { id: actorId, role: "medical_staff" },
+      body: { status: "Refused", notes: "Inmate declined" },
+    });
+    const res = httpMocks.createResponse();
+
+    await recordAdministration(req, res);
+
+    expect(res.statusCode).toBe(201);
+    const event = createSpy.mock.calls[0][0];
+    expect(event).toEqual(
+      expect.objectContaining({
+        action: "CREATE",
+        entityType: "MedicationAdministration",
+        actor: actorId,
+      })
+    );
+    expect(String(event.inmate)).toBe(inmateId.toString());
+    expect(event.changes).toContainEqual({
+      field: "medicationName",
+      before: "[redacted]",
+      after: "[redacted]",
+    });
+    expect(JSON.stringify(event.changes)).not.toMatch(/Levetiracetam|declined/);
+    createSpy.mockRestore();
+  });
+
+  it("recordAdministration - should refuse doses of a discontinued medication", async () => {
+    mockingoose(MedicalRecord).toReturn(
+      {
+        ...record,
+        medications: [{ ...record.medications[0], status: "Discontinued" }],
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      params: {
+        inmateId: inmateId.toString(),
+        entryId: medicationId.toString(),
+      },
+      body: { status: "Refused", notes: "Declined at the hatch" },
+    });
+    const res = httpMocks.createResponse();
+
+    await recordAdministration(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/discontinued/);
+  });
+
+  it("redactHealthSessions - should hide health session details from non-medical staff", () => {
+    const logs = [
+      { activityType: "Health Session", description: "Insulin review" },
+      { activityType: "Work Assignment", description: "Kitchen" },
+    ];
+
+    expect(
+      redactHealthSessions(logs, "warden").map((log) => log.description)
+    ).toEqual(["Restricted to medical staff", "Kitchen"]);
+    expect(redactHealthSessions(logs, "medical_staff")).toBe(logs);
+  });
+});
@@ -0,0 +1,83 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+
+const {
+  transferInmate,
+  getMovementsByInmate,
+} = require("../../src/controllers/movementController");
+
+jest.mock("../../src/controllers/recentActivityLogController", () => ({
+  logRecentActivity: jest.fn(),
+}));
+
+describe("Movement Controller", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("transferInmate - should return 400 if no reason is given", async () => {
+    const req = httpMocks.createRequest({
+      body: {
+        inmate: new mongoose.Types.ObjectId().toString(),
+        destination: "City Hospital",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await transferInmate(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/reason/i);
+  });
+
+  it("transferInmate - should record an external transfer from the inmate's cell", async () => {
+    const inmateId = new mongoose.Types.ObjectId();
+    const cellId = new mongoose.Types.ObjectId();
+    const inmate = {
+      _id: inmateId,
+      firstName: "John",
+      lastName: "Doe",
+      inmateID: "INM001",
+      status: "Incarcerated",
+      cell: cellId,
+      bed: 2,
+      assignedCell: "A-101",
+    };
+    mockingoose(Inmate).toReturn(inmate, "findOne");
+    mockingoose(Inmate).toReturn(
+      { ...inmate, cell: null, bed: null, assignedCell: "" },
+      "findOneAndUpdate"
+    );
+
+    const req = httpMocks.createRequest({
+      body: {
+        inmate: inmateId.toString(),
+        destination: "City Hospital",
+        reason: "Scheduled surgery",
+      },
+    });
+    req.user = { id: new mongoose.Types.ObjectId().toString() };
+    const res = httpMocks.createResponse();
+
+    await transferInmate(req, res);
+
+    const { movement } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(movement.movementType).toBe("External Transfer");
+    expect(movement.from).toMatchObject({ bed: 2, location: "A-101" });
+    expect(movement.to.location).toBe("City Hospital");
+    expect(movement.authorizedBy).toBe(req.user.id);
+  });
+
+  it("getMovementsByInmate - should return 400 for an invalid inmate ID", async () => {
+    const req = httpMocks.createRequest({ params: { inmateId: "invalid" } });
+    const res = httpMocks.createResponse();
+
+    await getMovementsByInmate(req, res);
+
+    expect(res.statusCode).toBe(400);
+  });
+});
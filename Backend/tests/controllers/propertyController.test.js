@@ -0,0 +1,177 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+
+const {
+  recordPropertyInventory,
+  reconcileProperty,
+  getPropertyReceipt,
+} = require("../../src/controllers/propertyController");
+
+describe("Property Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const watchId = new mongoose.Types.ObjectId();
+  const walletId = new mongoose.Types.ObjectId();
+  const inmate = {
+    _id: inmateId,
+    firstName: "John",
+    lastName: "Doe",
+    inmateID: "INM001",
+    dateOfBirth: new Date("1990-01-01"),
+    gender: "Male",
+    admissionDate: new Date("2024-01-01"),
+    sentenceDuration: 12,
+    crimeDetails: "Theft",
+    status: "Incarcerated",
+  };
+  const property = {
+    items: [
+      {
+        _id: watchId,
+        item: "Wristwatch",
+        condition: "Good",
+        storageLocation: "Locker 12",
+      },
+      {
+        _id: walletId,
+        item: "Wallet",
+        description: "Brown leather",
+        condition: "Fair",
+        storageLocation: "Locker 12",
+      },
+    ],
+    intake: { inmateSignature: "John Doe", staffSignature: "J. Smith" },
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("recordPropertyInventory - should require both signatures", async () => {
+    const req = httpMocks.createRequest({
+      params: { id: inmateId.toString() },
+      body: {
+        items: [
+          { item: "Wallet", condition: "Fair", storageLocation: "Locker 12" },
+        ],
+        inmateSignature: "John Doe",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await recordPropertyInventory(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/must sign/);
+  });
+
+  it("recordPropertyInventory - should record the signed admission inventory", async () => {
+    mockingoose(Inmate).toReturn(inmate, "findOne");
+    mockingoose(Inmate).toReturn(inmate, "save");
+
+    const req = httpMocks.createRequest({
+      params: { id: inmateId.toString() },
+      body: {
+        items: [
+          {
+            item: " Wallet ",
+            description: "Brown leather",
+            quantity: "1",
+            condition: "Fair",
+            storageLocation: "Locker 12",
+          },
+        ],
+        inmateSignature: "John Doe",
+        staffSignature: "J. Smith",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await recordPropertyInventory(req, res);
+
+    const { property: recorded } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(recorded.items[0]).toEqual(
+      expect.objectContaining({
+        item: "Wallet",
+        quantity: 1,
+        status: "Stored",
+      })
+    );
+    expect(recorded.intake).toEqual(
+      expect.objectContaining({
+        inmateSignature: "John Doe",
+        staffSignature: "J. Smith",
+      })
+    );
+    expect(recorded.release).toBeNull();
+  });
+
+  it("reconcileProperty - should flag items that were not returned as missing", async () => {
+    mockingoose(Inmate).toReturn({ ...inmate, property }, "findOne");
+    mockingoose(Inmate).toReturn({ ...inmate, property }, "save");
+
+    const req = httpMocks.createRequest({
+      params: { id: inmateId.toString() },
+      body: {
+        items: [
+          { _id: watchId.toString(), returned: true },
+          {
+            _id: walletId.toString(),
+            returned: false,
+            returnNotes: "Not found in locker",
+          },
+        ],
+        inmateSignature: "John Doe",
+        staffSignature: "A. Brown",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await reconcileProperty(req, res);
+
+    const data = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(data.message).toMatch(/1 item\(s\) flagged as missing/);
+    expect(data.missingItems.map((item) => item.item)).toEqual(["Wallet"]);
+    expect(data.property.items[0]).toEqual(
+      expect.objectContaining({ status: "Returned", returnedCondition: "Good" })
+    );
+    expect(data.property.release.staffSignature).toBe("A. Brown");
+  });
+
+  it("reconcileProperty - should refuse a reconciliation that skips an item", async () => {
+    mockingoose(Inmate).toReturn({ ...inmate, property }, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { id: inmateId.toString() },
+      body: {
+        items: [{ _id: watchId.toString(), returned: true }],
+        inmateSignature: "John Doe",
+        staffSignature: "A. Brown",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await reconcileProperty(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/every item/);
+  });
+
+  it("getPropertyReceipt - should return 400 before the release reconciliation", async () => {
+    mockingoose(Inmate).toReturn({ ...inmate, property }, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { id: inmateId.toString(), type: "release" },
+    });
+    const res = httpMocks.createResponse();
+
+    await getPropertyReceipt(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/not been reconciled/);
+  });
+});
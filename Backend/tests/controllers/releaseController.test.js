@@ -0,0 +1,155 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+const Movement = require("../../src/models/Movement");
+const Parole = require("../../src/models/Parole");
+const WorkProgramEnrollment = require("../../src/models/WorkProgramEnrollment");
+
+const {
+  releaseInmate,
+  getDischargeCertificate,
+} = require("../../src/controllers/releaseController");
+
+jest.mock("../../src/controllers/recentActivityLogController", () => ({
+  logRecentActivity: jest.fn(),
+}));
+
+describe("Release Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const cellId = new mongoose.Types.ObjectId();
+  const inmate = {
+    _id: inmateId,
+    firstName: "John",
+    lastName: "Doe",
+    inmateID: "INM001",
+    dateOfBirth: new Date("1990-01-01"),
+    gender: "Male",
+    admissionDate: new Date("2024-01-01"),
+    sentenceDuration: 12,
+    crimeDetails: "Theft",
+    status: "Incarcerated",
+    cell: cellId,
+    bed: 1,
+    assignedCell: "A-101",
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("releaseInmate - should return 400 if property return is not confirmed", async () => {
+    mockingoose(Inmate).toReturn(inmate, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { reason: "Sentence Completed", destination: "Home address" },
+    });
+    const res = httpMocks.createResponse();
+
+    await releaseInmate(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/property/i);
+  });
+
+  it("releaseInmate - should run the discharge checklist and release the inmate", async () => {
+    mockingoose(Inmate).toReturn(inmate, "findOne");
+    mockingoose(Inmate).toReturn(inmate, "save");
+    mockingoose(WorkProgramEnrollment).toReturn(
+      [
+        {
+          _id: new mongoose.Types.ObjectId(),
+          inmateId,
+          workProgramId: new mongoose.Types.ObjectId(),
+          startDate: new Date("2024-02-01"),
+          endDate: new Date("2025-02-01"),
+          status: "Active",
+        },
+      ],
+      "find"
+    );
+    mockingoose(Parole).toReturn([], "find");
+    const createSpy = jest.spyOn(Movement, "create").mockResolvedValue({});
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: {
+        reason: "Sentence Completed",
+        destination: "Home address",
+        propertyReturned: true,
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await releaseInmate(req, res);
+
+    const data = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(data.checklist).toEqual({
+      propertyReturned: true,
+      propertyMissing: 0,
+      workProgramsClosed: 1,
+      parolesCancelled: 0,
+    });
+    expect(data.inmate.status).toBe("Released");
+    expect(data.inmate.cell).toBeNull();
+    expect(data.inmate.discharge.destination).toBe("Home address");
+    expect(createSpy).toHaveBeenCalledWith(
+      expect.objectContaining({
+        movementType: "Release",
+        to: { location: "Home address" },
+        reason: "Sentence Completed",
+      })
+    );
+    createSpy.mockRestore();
+  });
+
+  it("releaseInmate - should require the property inventory to be reconciled", async () => {
+    mockingoose(Inmate).toReturn(
+      {
+        ...inmate,
+        property: {
+          items: [
+            {
+              item: "Wristwatch",
+              condition: "Good",
+              storageLocation: "Locker 12",
+            },
+          ],
+          intake: { inmateSignature: "John Doe", staffSignature: "J. Smith" },
+        },
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: {
+        reason: "Sentence Completed",
+        destination: "Home address",
+        propertyReturned: true,
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await releaseInmate(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/reconcile/);
+  });
+
+  it("getDischargeCertificate - should return 400 if the inmate has not been released", async () => {
+    mockingoose(Inmate).toReturn(inmate, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+    });
+    const res = httpMocks.createResponse();
+
+    await getDischargeCertificate(req, res);
+
+    expect(res.statusCode).toBe(400);
+  });
+});
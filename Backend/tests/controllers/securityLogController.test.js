@@ -0,0 +1,42 @@
+const mockingoose = require("mockingoose");
+const httpMocks = require("node-mocks-http");
+
+const SecurityLog = require("../../src/models/SecurityLog");
+
+const {
+  getSecurityLogs,
+} = require("../../src/controllers/securityLogController");
+
+describe("Security Log Controller", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("getSecurityLogs - should return paginated logs", async () => {
+    mockingoose(SecurityLog).toReturn(
+      [{ event: "LOGIN_FAILURE", username: "officer1" }],
+      "find"
+    );
+    mockingoose(SecurityLog).toReturn(1, "countDocuments");
+
+    const req = httpMocks.createRequest({ query: { username: "officer" } });
+    const res = httpMocks.createResponse();
+
+    await getSecurityLogs(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const data = res._getJSONData();
+    expect(data.logs.length).toBe(1);
+    expect(data.totalLogs).toBe(1);
+  });
+
+  it("getSecurityLogs - should return 400 for an unknown event type", async () => {
+    const req = httpMocks.createRequest({ query: { event: "HACKED" } });
+    const res = httpMocks.createResponse();
+
+    await getSecurityLogs(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/invalid event/i);
+  });
+});
@@ -0,0 +1,82 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+
+const {
+  updateSentences,
+  addSentenceCredit,
+} = require("../../src/controllers/sentenceController");
+
+const inmateId = new mongoose.Types.ObjectId();
+const inmate = {
+  _id: inmateId,
+  firstName: "John",
+  lastName: "Doe",
+  inmateID: "INM001",
+  dateOfBirth: new Date("1990-01-01"),
+  gender: "Male",
+  admissionDate: new Date("2024-01-01"),
+  sentenceDuration: 12,
+  crimeDetails: "Theft",
+  sentences: [{ lengthMonths: 12, startDate: new Date("2024-01-01") }],
+};
+
+describe("Sentence Controller", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+    mockingoose(Inmate).toReturn(inmate, "findOne");
+  });
+
+  it("updateSentences - should start a consecutive sentence when the previous one ends", async () => {
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: {
+        sentences: [
+          { lengthMonths: 12, startDate: "2024-01-01", relation: "Concurrent" },
+          { lengthMonths: 6, startDate: "2024-01-01", relation: "Consecutive" },
+        ],
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateSentences(req, res);
+
+    const { sentence } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(sentence.sentences[1].effectiveStartDate).toBe(
+      "2025-01-01T00:00:00.000Z"
+    );
+    expect(sentence.fullTermDate).toBe("2025-07-01T00:00:00.000Z");
+    expect(sentence.totalMonths).toBe(18);
+  });
+
+  it("updateSentences - should return 400 for a sentence without a valid length", async () => {
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { sentences: [{ lengthMonths: 0 }] },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateSentences(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/whole number of months/i);
+  });
+
+  it("addSentenceCredit - should bring the projected release date forward", async () => {
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { type: "Good Conduct", days: 10, note: "Quarterly review" },
+    });
+    const res = httpMocks.createResponse();
+
+    await addSentenceCredit(req, res);
+
+    const { sentence } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(sentence.goodConductDays).toBe(10);
+    expect(sentence.projectedReleaseDate).toBe("2024-12-22T00:00:00.000Z");
+  });
+});
@@ -0,0 +1,150 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Inmate = require("../../src/models/Inmate");
+const TrustTransaction = require("../../src/models/TrustTransaction");
+
+const {
+  postTransaction,
+  reverseTransaction,
+} = require("../../src/controllers/trustAccountController");
+
+describe("Trust Account Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const depositId = new mongoose.Types.ObjectId();
+
+  const deposit = {
+    _id: depositId,
+    inmate: inmateId,
+    sequence: 1,
+    type: "Deposit",
+    amount: 2500,
+    entries: [
+      { account: "Facility Cash", debit: 2500, credit: 0 },
+      { account: "Inmate Trust", debit: 0, credit: 2500 },
+    ],
+    balanceAfter: 2500,
+    reference: "R-100",
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("postTransaction - should reject amounts with more than two decimals", async () => {
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { type: "Deposit", amount: "12.345" },
+    });
+    const res = httpMocks.createResponse();
+
+    await postTransaction(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/positive amount/);
+  });
+
+  it("postTransaction - should post a balanced deposit and update the balance", async () => {
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(TrustTransaction).toReturn(deposit, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { type: "Deposit", amount: "10.50", description: "Family" },
+    });
+    const res = httpMocks.createResponse();
+
+    await postTransaction(req, res);
+
+    const { transaction, balance } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(transaction).toEqual(
+      expect.objectContaining({ sequence: 2, amount: 1050 })
+    );
+    expect(transaction.entries).toEqual([
+      { account: "Facility Cash", debit: 1050, credit: 0 },
+      { account: "Inmate Trust", debit: 0, credit: 1050 },
+    ]);
+    expect(balance).toBe(3550);
+  });
+
+  it("postTransaction - should refuse a purchase that would overdraw the account", async () => {
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(TrustTransaction).toReturn(deposit, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { inmateId: inmateId.toString() },
+      body: { type: "Commissary Purchase", amount: 30 },
+    });
+    const res = httpMocks.createResponse();
+
+    await postTransaction(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toBe(
+      "⚠ Insufficient funds. The available balance is 25.00."
+    );
+  });
+
+  it("reverseTransaction - should post the entries the other way round", async () => {
+    mockingoose(TrustTransaction).toReturn((query) => {
+      const filter = query.getFilter();
+      if (filter.reverses) return null; // Not reversed yet
+      return deposit; // The deposit, which is also the latest transaction
+    }, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { id: depositId.toString() },
+      body: { reason: "Posted to the wrong inmate" },
+    });
+    const res = httpMocks.createResponse();
+
+    await reverseTransaction(req, res);
+
+    const { transaction, balance } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(transaction).toEqual(
+      expect.objectContaining({
+        type: "Reversal",
+        reverses: depositId.toString(),
+        description: "Posted to the wrong inmate",
+      })
+    );
+    expect(transaction.entries).toEqual([
+      { account: "Facility Cash", debit: 0, credit: 2500 },
+      { account: "Inmate Trust", debit: 2500, credit: 0 },
+    ]);
+    expect(balance).toBe(0);
+  });
+
+  it("reverseTransaction - should refuse to reverse a transaction twice", async () => {
+    mockingoose(TrustTransaction).toReturn(deposit, "findOne");
+
+    const req = httpMocks.createRequest({
+      params: { id: depositId.toString() },
+      body: { reason: "Duplicate" },
+    });
+    const res = httpMocks.createResponse();
+
+    await reverseTransaction(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/already been reversed/);
+  });
+
+  it("TrustTransaction - should reject changes to a posted transaction", async () => {
+    const posted = TrustTransaction.hydrate(deposit);
+    posted.description = "Edited";
+
+    await expect(posted.save()).rejects.toThrow(
+      "Trust transactions cannot be modified"
+    );
+  });
+});
@@ -0,0 +1,110 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const User = require("../../src/models/User");
+
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+} = require("../../src/controllers/twoFactorController");
+const { generateSecret, generateTotp } = require("../../utils/totp");
+
+describe("Two-Factor Controller", () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("setupTwoFactor - should return a secret and provisioning URI", async () => {
+    mockingoose(User).toReturn(
+      { _id: userId, username: "warden1", password: "hashed", role: "warden" },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      user: { id: userId, role: "warden" },
+    });
+    const res = httpMocks.createResponse();
+
+    await setupTwoFactor(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const data = res._getJSONData();
+    expect(data.secret).toMatch(/^[A-Z2-7]+$/);
+    expect(data.otpauthUrl).toMatch(/^otpauth:\/\/totp\/PrisonSphere/);
+  });
+
+  it("enableTwoFactor - should enable 2FA and return recovery codes", async () => {
+    const secret = generateSecret();
+    mockingoose(User).toReturn(
+      {
+        _id: userId,
+        username: "warden1",
+        password: "hashed",
+        role: "warden",
+        twoFactorPendingSecret: secret,
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      user: { id: userId, role: "warden" },
+      body: { code: generateTotp(secret) },
+    });
+    const res = httpMocks.createResponse();
+
+    await enableTwoFactor(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res._getJSONData().recoveryCodes.length).toBe(10);
+  });
+
+  it("enableTwoFactor - should return 400 for an invalid code", async () => {
+    mockingoose(User).toReturn(
+      {
+        _id: userId,
+        username: "warden1",
+        password: "hashed",
+        role: "warden",
+        twoFactorPendingSecret: generateSecret(),
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      user: { id: userId, role: "warden" },
+      body: { code: "000000x" },
+    });
+    const res = httpMocks.createResponse();
+
+    await enableTwoFactor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/invalid verification code/i);
+  });
+
+  it("disableTwoFactor - should return 400 if 2FA is not enabled", async () => {
+    mockingoose(User).toReturn(
+      { _id: userId, username: "admin1", password: "hashed", role: "admin" },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      user: { id: userId, role: "admin" },
+      body: { password: "password123" },
+    });
+    const res = httpMocks.createResponse();
+
+    await disableTwoFactor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/not enabled/i);
+  });
+});
@@ -0,0 +1,159 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const User = require("../../src/models/User");
+const Session = require("../../src/models/Session");
+
+const {
+  getAllUsers,
+  createUser,
+  updateUserRole,
+  resetUserPassword,
+  deactivateUser,
+  unlockUser,
+} = require("../../src/controllers/userController");
+
+describe("User Controller", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("getAllUsers - should return users without password hashes", async () => {
+    mockingoose(User).toReturn(
+      [{ username: "officer1", role: "admin", isActive: true }],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({ query: {} });
+    const res = httpMocks.createResponse();
+
+    await getAllUsers(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const data = res._getJSONData();
+    expect(data.length).toBe(1);
+    expect(data[0]).not.toHaveProperty("password");
+  });
+
+  it("createUser - should return 400 if password is too short", async () => {
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: { username: "officer1", password: "short", role: "admin" },
+    });
+    const res = httpMocks.createResponse();
+
+    await createUser(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/at least 8 characters/i);
+  });
+
+  it("createUser - should return 400 if username already exists", async () => {
+    mockingoose(User).toReturn({ username: "officer1" }, "findOne");
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: { username: "officer1", password: "password123", role: "admin" },
+    });
+    const res = httpMocks.createResponse();
+
+    await createUser(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/already taken/i);
+  });
+
+  it("updateUserRole - should return 400 for an invalid role", async () => {
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      user: { id: new mongoose.Types.ObjectId().toString() },
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      body: { role: "visitor" },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateUserRole(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/valid role/i);
+  });
+
+  it("updateUserRole - should sign the user out when the role changes", async () => {
+    const id = new mongoose.Types.ObjectId();
+    mockingoose(User).toReturn(
+      { _id: id, username: "officer1", password: "hashed", role: "warden" },
+      "findOne"
+    );
+    const updateSpy = jest
+      .spyOn(Session, "updateMany")
+      .mockResolvedValue({ modifiedCount: 2 });
+
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      user: { id: new mongoose.Types.ObjectId().toString(), role: "warden" },
+      params: { id: id.toString() },
+      body: { role: "admin" },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateUserRole(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(updateSpy).toHaveBeenCalledWith(
+      { user: id, revokedAt: null },
+      expect.objectContaining({ revokedReason: "Role changed" })
+    );
+    updateSpy.mockRestore();
+  });
+
+  it("resetUserPassword - should return 404 if user not found", async () => {
+    mockingoose(User).toReturn(null, "findOne");
+
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      body: { password: "newPassword123" },
+    });
+    const res = httpMocks.createResponse();
+
+    await resetUserPassword(req, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(res._getJSONData().message).toMatch(/user not found/i);
+  });
+
+  it("deactivateUser - should not allow deactivating your own account", async () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      user: { id, role: "warden" },
+      params: { id },
+    });
+    const res = httpMocks.createResponse();
+
+    await deactivateUser(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/your own account/i);
+  });
+
+  it("unlockUser - should return 400 if account is not locked", async () => {
+    mockingoose(User).toReturn(
+      { username: "officer1", role: "admin", lockedUntil: null },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      user: { id: new mongoose.Types.ObjectId().toString(), role: "warden" },
+    });
+    const res = httpMocks.createResponse();
+
+    await unlockUser(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/not locked/i);
+  });
+});
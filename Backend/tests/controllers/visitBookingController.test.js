@@ -0,0 +1,344 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Visit = require("../../src/models/Visit");
+const VisitingRoom = require("../../src/models/VisitingRoom");
+const VisitorApproval = require("../../src/models/VisitorApproval");
+const Block = require("../../src/models/Block");
+const Cell = require("../../src/models/Cell");
+const Inmate = require("../../src/models/Inmate");
+const Incident = require("../../src/models/Incident");
+const VisitorRestriction = require("../../src/models/VisitorRestriction");
+
+const {
+  updateVisitingHours,
+  bookVisit,
+  updateVisitStatus,
+} = require("../../src/controllers/visitBookingController");
+
+jest.mock("../../src/controllers/recentActivityLogController", () => ({
+  logRecentActivity: jest.fn(),
+}));
+
+describe("Visit Booking Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const visitorId = new mongoose.Types.ObjectId();
+  const roomId = new mongoose.Types.ObjectId();
+  const facilityId = new mongoose.Types.ObjectId();
+  const cellId = new mongoose.Types.ObjectId();
+  const blockId = new mongoose.Types.ObjectId();
+
+  // A 10:00 slot one week from today, inside 09:00-12:00 visiting hours
+  const slotStart = new Date();
+  slotStart.setDate(slotStart.getDate() + 7);
+  slotStart.setHours(10, 0, 0, 0);
+
+  const booking = {
+    inmateId: inmateId.toString(),
+    visitorId: visitorId.toString(),
+    roomId: roomId.toString(),
+    visitTimestamp: slotStart.toISOString(),
+    purposeOfVisit: "Family visit",
+  };
+
+  /**
+   * Mocks an incarcerated inmate housed in a block with visiting hours, an
+   * approved visitor and a room in the same facility.
+   */
+  const mockBookable = ({ capacity = 2, booked = 0 } = {}) => {
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated", cell: cellId },
+      "findOne"
+    );
+    mockingoose(Incident).toReturn([], "find");
+    mockingoose(VisitorRestriction).toReturn([], "find");
+    mockingoose(VisitorApproval).toReturn(
+      {
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: "Sister",
+        status: "Approved",
+      },
+      "findOne"
+    );
+    mockingoose(Cell).toReturn({ _id: cellId, block: blockId }, "findOne");
+    mockingoose(Block).toReturn(
+      {
+        _id: blockId,
+        facility: facilityId,
+        name: "Alpha",
+        code: "A",
+        visitingHours: [
+          { day: slotStart.getDay(), start: "09:00", end: "12:00" },
+        ],
+      },
+      "findOne"
+    );
+    mockingoose(VisitingRoom).toReturn(
+      { _id: roomId, facility: facilityId, name: "Hall 1", capacity },
+      "findOne"
+    );
+    mockingoose(Visit).toReturn(booked, "countDocuments");
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("updateVisitingHours - should refuse a period shorter than a slot", async () => {
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { blockId: blockId.toString() },
+      body: { visitingHours: [{ day: 6, start: "09:00", end: "09:30" }] },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateVisitingHours(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/at least 60 minutes/);
+  });
+
+  it("bookVisit - should refuse a time that is not a visiting slot", async () => {
+    mockBookable();
+    const offSlot = new Date(slotStart);
+    offSlot.setHours(12, 30);
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: { ...booking, visitTimestamp: offSlot.toISOString() },
+    });
+    const res = httpMocks.createResponse();
+
+    await bookVisit(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/not a visiting slot/);
+  });
+
+  it("bookVisit - should refuse a room that is fully booked", async () => {
+    mockBookable({ capacity: 2, booked: 2 });
+
+    const req = httpMocks.createRequest({ method: "POST", body: booking });
+    const res = httpMocks.createResponse();
+
+    await bookVisit(req, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res._getJSONData().message).toMatch(/fully booked/);
+  });
+
+  it("bookVisit - should refuse an inmate already booked at that time", async () => {
+    mockBookable();
+    mockingoose(Visit).toReturn(
+      { inmate: inmateId, visitTimestamp: slotStart, status: "Booked" },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({ method: "POST", body: booking });
+    const res = httpMocks.createResponse();
+
+    await bookVisit(req, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res._getJSONData().message).toMatch(/inmate already has a visit/);
+  });
+
+  it("bookVisit - should refuse an inmate who has used the weekly quota", async () => {
+    mockBookable({ capacity: 5, booked: 2 });
+
+    const req = httpMocks.createRequest({ method: "POST", body: booking });
+    const res = httpMocks.createResponse();
+
+    await bookVisit(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/allowed this week/);
+  });
+
+  it("bookVisit - should refuse a visitor barred from the inmate", async () => {
+    mockBookable();
+    mockingoose(VisitorRestriction).toReturn(
+      [
+        {
+          visitor: visitorId,
+          type: "Inmate-Specific",
+          inmate: inmateId,
+          reason: "Threatened the inmate",
+          startDate: new Date(Date.now() - 86400000),
+          expiresAt: new Date(slotStart.getTime() + 30 * 86400000),
+        },
+      ],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({ method: "POST", body: booking });
+    const res = httpMocks.createResponse();
+
+    await bookVisit(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(
+      /banned from visiting this inmate/
+    );
+  });
+
+  it("bookVisit - should book a free slot", async () => {
+    mockBookable();
+
+    const req = httpMocks.createRequest({ method: "POST", body: booking });
+    const res = httpMocks.createResponse();
+
+    await bookVisit(req, res);
+
+    const { visit } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(visit.status).toBe("Booked");
+    expect(visit.relationshipToInmate).toBe("Sister");
+    expect(new Date(visit.visitEnd).getTime()).toBe(
+      slotStart.getTime() + 60 * 60000
+    );
+  });
+
+  it("bookVisit - should refuse the last seat once another booking has claimed it", async () => {
+    mockBookable({ capacity: 1 });
+    // Free when checked, but a booking made at the same moment holds the only seat
+    const createSpy = jest
+      .spyOn(Visit, "create")
+      .mockRejectedValue({ code: 11000, keyPattern: { roomSeat: 1 } });
+
+    const req = httpMocks.createRequest({ method: "POST", body: booking });
+    const res = httpMocks.createResponse();
+
+    await bookVisit(req, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res._getJSONData().message).toMatch(/fully booked/);
+    expect(createSpy).toHaveBeenCalledTimes(1);
+    createSpy.mockRestore();
+  });
+
+  it("bookVisit - should take the next seat when another booking claimed the first", async () => {
+    mockBookable({ capacity: 2 });
+    const createSpy = jest
+      .spyOn(Visit, "create")
+      .mockRejectedValueOnce({ code: 11000, keyPattern: { roomSeat: 1 } });
+
+    const req = httpMocks.createRequest({ method: "POST", body: booking });
+    const res = httpMocks.createResponse();
+
+    await bookVisit(req, res);
+
+    const { visit } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(visit).toEqual(
+      expect.objectContaining({ holdsSlot: true, roomSeat: 1, quotaSeat: 0 })
+    );
+    createSpy.mockRestore();
+  });
+
+  it("updateVisitStatus - should require a reason to cancel a visit", async () => {
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { visitId: new mongoose.Types.ObjectId().toString() },
+      body: { status: "Cancelled" },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateVisitStatus(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/reason/);
+  });
+
+  it("updateVisitStatus - should not mark a visit as a no-show before it starts", async () => {
+    mockingoose(Visit).toReturn(
+      {
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: "Sister",
+        visitTimestamp: slotStart,
+        durationMinutes: 60,
+        purposeOfVisit: "Family visit",
+        status: "Booked",
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { visitId: new mongoose.Types.ObjectId().toString() },
+      body: { status: "No-Show" },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateVisitStatus(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/before it starts/);
+  });
+
+  it("updateVisitStatus - should cancel a booked visit and give up its places", async () => {
+    mockingoose(Visit).toReturn(
+      {
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: "Sister",
+        visitTimestamp: slotStart,
+        durationMinutes: 60,
+        purposeOfVisit: "Family visit",
+        status: "Booked",
+        holdsSlot: true,
+        holdsQuota: true,
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { visitId: new mongoose.Types.ObjectId().toString() },
+      body: { status: "Cancelled", notes: "Visitor unwell" },
+    });
+    const res = httpMocks.createResponse();
+
+    await updateVisitStatus(req, res);
+
+    const { visit } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(visit.status).toBe("Cancelled");
+    expect(visit.statusNotes).toBe("Visitor unwell");
+    expect(visit).toEqual(
+      expect.objectContaining({ holdsSlot: false, holdsQuota: false })
+    );
+  });
+
+  it("buildSlots - should build slots and weeks on the facility's clock", () => {
+    const timeZone = process.env.FACILITY_TIMEZONE;
+    process.env.FACILITY_TIMEZONE = "America/New_York";
+    let visits;
+    // Reload the helpers with the new zone, keeping the compiled models
+    jest.isolateModules(() => {
+      jest.doMock("../../src/models/Visit", () => Visit);
+      jest.doMock("../../src/models/Cell", () => Cell);
+      jest.doMock("../../src/models/Block", () => Block);
+      visits = require("../../utils/visits");
+    });
+    process.env.FACILITY_TIMEZONE = timeZone;
+    if (timeZone === undefined) delete process.env.FACILITY_TIMEZONE;
+
+    // Monday 6 July 2026, 09:00-11:00 New York time (UTC-4)
+    const slots = visits.buildSlots(
+      { visitingHours: [{ day: 1, start: "09:00", end: "11:00" }] },
+      visits.parseFacilityDay("2026-07-06")
+    );
+    expect(slots.map((slot) => slot.start.toISOString())).toEqual([
+      "2026-07-06T13:00:00.000Z",
+      "2026-07-06T14:00:00.000Z",
+    ]);
+    // 02:00 UTC on Wednesday is still Tuesday evening at the facility
+    expect(
+      visits.getWeekRange(new Date("2026-07-08T02:00:00Z")).start.toISOString()
+    ).toBe("2026-07-06T04:00:00.000Z");
+  });
+});
@@ -0,0 +1,261 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const Visit = require("../../src/models/Visit");
+const VisitorProfile = require("../../src/models/VisitorProfile");
+const VisitorApproval = require("../../src/models/VisitorApproval");
+const Incident = require("../../src/models/Incident");
+const VisitorRestriction = require("../../src/models/VisitorRestriction");
+
+const {
+  checkInVisitor,
+  checkOutVisitor,
+  getVisitorsOnPremises,
+} = require("../../src/controllers/visitGateController");
+
+jest.mock("../../src/controllers/recentActivityLogController", () => ({
+  logRecentActivity: jest.fn(),
+}));
+
+describe("Visit Gate Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const visitorId = new mongoose.Types.ObjectId();
+  const visitId = new mongoose.Types.ObjectId();
+
+  const gateDetails = {
+    badgeNumber: "V-12",
+    idDocumentType: "Passport",
+    idDocumentNumber: "P1234567",
+  };
+
+  /**
+   * A booked one-hour visit starting `startsIn` minutes from now.
+   */
+  const bookedVisit = (startsIn = 0, extra = {}) => {
+    const visitTimestamp = new Date(Date.now() + startsIn * 60000);
+    return {
+      _id: visitId,
+      inmate: inmateId,
+      visitor: visitorId,
+      relationshipToInmate: "Sister",
+      visitTimestamp,
+      durationMinutes: 60,
+      visitEnd: new Date(visitTimestamp.getTime() + 60 * 60000),
+      purposeOfVisit: "Family visit",
+      status: "Booked",
+      ...extra,
+    };
+  };
+
+  const mockCheckIn = (visit, idNumber = "P1234567", restrictions = []) => {
+    mockingoose(Visit).toReturn(visit, "findOne");
+    mockingoose(Incident).toReturn([], "find");
+    mockingoose(VisitorRestriction).toReturn(restrictions, "find");
+    mockingoose(VisitorApproval).toReturn(
+      { inmate: inmateId, visitor: visitorId, status: "Approved" },
+      "findOne"
+    );
+    mockingoose(VisitorProfile).toReturn(
+      { _id: visitorId, fullName: "Jane Doe", idNumber },
+      "findOne"
+    );
+  };
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+    jest.restoreAllMocks();
+  });
+
+  it("checkInVisitor - should require a badge number", async () => {
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitId: visitId.toString() },
+      body: { ...gateDetails, badgeNumber: " " },
+    });
+    const res = httpMocks.createResponse();
+
+    await checkInVisitor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/Badge number/);
+  });
+
+  it("checkInVisitor - should refuse a visitor arriving too early", async () => {
+    mockCheckIn(bookedVisit(120));
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitId: visitId.toString() },
+      body: gateDetails,
+    });
+    const res = httpMocks.createResponse();
+
+    await checkInVisitor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/Check-in opens/);
+  });
+
+  it("checkInVisitor - should refuse a contact visit once the visitor is restricted", async () => {
+    mockCheckIn(bookedVisit(10), "P1234567", [
+      {
+        visitor: visitorId,
+        type: "Non-Contact Only",
+        reason: "Passed an item during a visit",
+        startDate: new Date(Date.now() - 60000),
+        expiresAt: new Date(Date.now() + 30 * 86400000),
+      },
+    ]);
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitId: visitId.toString() },
+      body: gateDetails,
+    });
+    const res = httpMocks.createResponse();
+
+    await checkInVisitor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(
+      /Check-in denied\. This visitor is restricted to non-contact visits/
+    );
+  });
+
+  it("checkInVisitor - should refuse an ID that does not match the registered one", async () => {
+    mockCheckIn(bookedVisit(10), "X9999999");
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitId: visitId.toString() },
+      body: gateDetails,
+    });
+    const res = httpMocks.createResponse();
+
+    await checkInVisitor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/does not match/);
+  });
+
+  it("checkInVisitor - should refuse a badge already issued on the premises", async () => {
+    mockCheckIn(bookedVisit(10));
+    jest
+      .spyOn(Visit, "exists")
+      .mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitId: visitId.toString() },
+      body: gateDetails,
+    });
+    const res = httpMocks.createResponse();
+
+    await checkInVisitor(req, res);
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it("checkInVisitor - should refuse a badge issued to another visitor at the same moment", async () => {
+    mockCheckIn(bookedVisit(10));
+    jest.spyOn(Visit, "exists").mockResolvedValueOnce(null);
+    jest.spyOn(Visit.prototype, "save").mockRejectedValueOnce({
+      code: 11000,
+      keyPattern: { "checkIn.badgeNumber": 1 },
+    });
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitId: visitId.toString() },
+      body: gateDetails,
+    });
+    const res = httpMocks.createResponse();
+
+    await checkInVisitor(req, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res._getJSONData().message).toMatch(/Badge V-12 is already issued/);
+  });
+
+  it("checkInVisitor - should check a visitor in with the badge and ID recorded", async () => {
+    mockCheckIn(bookedVisit(10));
+    jest.spyOn(Visit, "exists").mockResolvedValueOnce(null);
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitId: visitId.toString() },
+      body: gateDetails,
+    });
+    const res = httpMocks.createResponse();
+
+    await checkInVisitor(req, res);
+
+    const { visit } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(visit.status).toBe("Checked In");
+    expect(visit.checkIn.badgeNumber).toBe("V-12");
+    expect(visit.checkIn.idDocumentType).toBe("Passport");
+  });
+
+  it("checkOutVisitor - should record the actual duration and overstay", async () => {
+    // Checked in 90 minutes ago for a one-hour slot that started 80 minutes ago
+    mockingoose(Visit).toReturn(
+      bookedVisit(-80, {
+        status: "Checked In",
+        checkIn: {
+          at: new Date(Date.now() - 90 * 60000),
+          ...gateDetails,
+        },
+      }),
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitId: visitId.toString() },
+    });
+    const res = httpMocks.createResponse();
+
+    await checkOutVisitor(req, res);
+
+    const { message, visit } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(visit.status).toBe("Completed");
+    expect(visit.actualDurationMinutes).toBe(90);
+    expect(visit.overstayMinutes).toBe(20);
+    expect(message).toMatch(/overran its slot by 20/);
+  });
+
+  it("getVisitorsOnPremises - should flag visitors who have overstayed", async () => {
+    mockingoose(Visit).toReturn(
+      [
+        bookedVisit(-30, {
+          status: "Checked In",
+          checkIn: { at: new Date(Date.now() - 30 * 60000), ...gateDetails },
+        }),
+        bookedVisit(-75, {
+          _id: new mongoose.Types.ObjectId(),
+          status: "Checked In",
+          checkIn: {
+            at: new Date(Date.now() - 75 * 60000),
+            ...gateDetails,
+            badgeNumber: "V-13",
+          },
+        }),
+      ],
+      "find"
+    );
+
+    const req = httpMocks.createRequest();
+    const res = httpMocks.createResponse();
+
+    await getVisitorsOnPremises(req, res);
+
+    const data = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(data.count).toBe(2);
+    expect(data.overstaying).toBe(1);
+    expect(data.visits[1].overstayMinutes).toBe(15);
+  });
+});
@@ -2,14 +2,18 @@ const mockingoose = require("mockingoose");
 const mongoose = require("mongoose");
 const httpMocks = require("node-mocks-http");
 
-const Visitor = require("../../src/models/Visitor");
+const Visit = require("../../src/models/Visit");
+const VisitorApproval = require("../../src/models/VisitorApproval");
 const Inmate = require("../../src/models/Inmate");
+const Incident = require("../../src/models/Incident");
+const VisitorRestriction = require("../../src/models/VisitorRestriction");
 
 const {
   logVisitor,
-  getVisitorsByInmate,
-  getVisitorById,
-  updateVisitor,
+  getVisitsByInmate,
+  getVisitById,
+  updateVisit,
+  voidVisit,
 } = require("../../src/controllers/visitorController");
 
 jest.mock("../../src/controllers/recentActivityLogController", () => ({
@@ -21,14 +25,11 @@ describe("Visitor Controller", () => {
     mockingoose.resetAll();
   });
 
-  it("logVisitor - should return 400 if visitorName is missing", async () => {
+  it("logVisitor - should return 400 if no visitor is selected", async () => {
     const req = httpMocks.createRequest({
       method: "POST",
       params: { inmateId: new mongoose.Types.ObjectId().toString() },
       body: {
-        relationshipToInmate: "Brother",
-        contactNumber: "1234567890",
-        email: "test@example.com",
         visitTimestamp: new Date(),
         durationMinutes: 30,
         purposeOfVisit: "Family Visit",
@@ -39,10 +40,227 @@ describe("Visitor Controller", () => {
     await logVisitor(req, res);
 
     expect(res.statusCode).toBe(400);
-    expect(res._getJSONData().message).toMatch(/visitor name/i);
+    expect(res._getJSONData().message).toMatch(/select a visitor/i);
   });
 
-  it("getVisitorsByInmate - should return 404 if inmate not found", async () => {
+  it("logVisitor - should refuse a visit while visits are suspended", async () => {
+    const inmateId = new mongoose.Types.ObjectId();
+    const hearingDate = new Date();
+    hearingDate.setDate(hearingDate.getDate() - 2);
+    const endDate = new Date(hearingDate);
+    endDate.setDate(endDate.getDate() + 14);
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(Incident).toReturn(
+      [
+        {
+          incidentType: "Fighting",
+          occurredAt: hearingDate,
+          involvedInmates: [
+            {
+              inmate: inmateId,
+              role: "Offender",
+              outcome: "Guilty",
+              sanctions: [
+                {
+                  type: "Loss of Visits",
+                  days: 14,
+                  startDate: hearingDate,
+                  endDate,
+                },
+              ],
+            },
+          ],
+        },
+      ],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { inmateId: inmateId.toString() },
+      body: {
+        visitorId: new mongoose.Types.ObjectId().toString(),
+        visitTimestamp: new Date(),
+        durationMinutes: 30,
+        purposeOfVisit: "Family Visit",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await logVisitor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/lost visiting privileges/);
+  });
+
+  it("logVisitor - should refuse a contact visit while the inmate is on non-contact visits", async () => {
+    const inmateId = new mongoose.Types.ObjectId();
+    const hearingDate = new Date();
+    hearingDate.setDate(hearingDate.getDate() - 2);
+    const endDate = new Date(hearingDate);
+    endDate.setDate(endDate.getDate() + 30);
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(Incident).toReturn(
+      [
+        {
+          incidentType: "Contraband",
+          occurredAt: hearingDate,
+          involvedInmates: [
+            {
+              inmate: inmateId,
+              role: "Offender",
+              outcome: "Guilty",
+              sanctions: [
+                {
+                  type: "Non-Contact Visits",
+                  days: 30,
+                  startDate: hearingDate,
+                  endDate,
+                },
+              ],
+            },
+          ],
+        },
+      ],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { inmateId: inmateId.toString() },
+      body: {
+        visitorId: new mongoose.Types.ObjectId().toString(),
+        visitTimestamp: new Date(),
+        durationMinutes: 30,
+        purposeOfVisit: "Family Visit",
+        contactType: "Contact",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await logVisitor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(
+      /inmate is restricted to non-contact visits/
+    );
+  });
+
+  it("logVisitor - should refuse a banned visitor with the reason", async () => {
+    const inmateId = new mongoose.Types.ObjectId();
+    const visitorId = new mongoose.Types.ObjectId();
+    const expiresAt = new Date();
+    expiresAt.setMonth(expiresAt.getMonth() + 6);
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(Incident).toReturn([], "find");
+    mockingoose(VisitorRestriction).toReturn(
+      [
+        {
+          visitor: visitorId,
+          type: "Full Ban",
+          reason: "Smuggled contraband",
+          startDate: new Date(Date.now() - 86400000),
+          expiresAt,
+        },
+      ],
+      "find"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { inmateId: inmateId.toString() },
+      body: {
+        visitorId: visitorId.toString(),
+        visitTimestamp: new Date(),
+        durationMinutes: 30,
+        purposeOfVisit: "Family Visit",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await logVisitor(req, res);
+
+    const { message } = res._getJSONData();
+    expect(res.statusCode).toBe(400);
+    expect(message).toMatch(/visitor is banned from visiting the facility/);
+    expect(message).toMatch(/Smuggled contraband/);
+  });
+
+  it("logVisitor - should refuse a visitor who is not on the approved list", async () => {
+    const inmateId = new mongoose.Types.ObjectId();
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(Incident).toReturn([], "find");
+    mockingoose(VisitorRestriction).toReturn([], "find");
+    mockingoose(VisitorApproval).toReturn(null, "findOne");
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { inmateId: inmateId.toString() },
+      body: {
+        visitorId: new mongoose.Types.ObjectId().toString(),
+        visitTimestamp: new Date(),
+        durationMinutes: 30,
+        purposeOfVisit: "Family Visit",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await logVisitor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/approved-visitor list/);
+  });
+
+  it("logVisitor - should log a visit by an approved visitor", async () => {
+    const inmateId = new mongoose.Types.ObjectId();
+    const visitorId = new mongoose.Types.ObjectId();
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(Incident).toReturn([], "find");
+    mockingoose(VisitorRestriction).toReturn([], "find");
+    mockingoose(VisitorApproval).toReturn(
+      {
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: "Sister",
+        status: "Approved",
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { inmateId: inmateId.toString() },
+      body: {
+        visitorId: visitorId.toString(),
+        visitTimestamp: new Date(),
+        durationMinutes: 30,
+        purposeOfVisit: "Family Visit",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await logVisitor(req, res);
+
+    expect(res.statusCode).toBe(201);
+    expect(res._getJSONData().visit.relationshipToInmate).toBe("Sister");
+  });
+
+  it("getVisitsByInmate - should return 404 if inmate not found", async () => {
     mockingoose(Inmate).toReturn(null, "findOne");
     mockingoose(Inmate).toReturn(null, "findById");
 
@@ -52,45 +270,131 @@ describe("Visitor Controller", () => {
     });
     const res = httpMocks.createResponse();
 
-    await getVisitorsByInmate(req, res);
+    await getVisitsByInmate(req, res);
 
     expect(res.statusCode).toBe(404);
     expect(res._getJSONData().message).toMatch(/inmate not found/i);
   });
 
-  it("getVisitorById - should return 404 if visitor not found", async () => {
-    mockingoose(Visitor).toReturn(null, "findOne");
-    mockingoose(Visitor).toReturn(null, "findById");
+  it("getVisitById - should return 404 if visit not found", async () => {
+    mockingoose(Visit).toReturn(null, "findOne");
+    mockingoose(Visit).toReturn(null, "findById");
 
     const req = httpMocks.createRequest({
       method: "GET",
-      params: { visitorId: new mongoose.Types.ObjectId().toString() },
+      params: { visitId: new mongoose.Types.ObjectId().toString() },
     });
     const res = httpMocks.createResponse();
 
-    await getVisitorById(req, res);
+    await getVisitById(req, res);
 
     expect(res.statusCode).toBe(404);
-    expect(res._getJSONData().message).toMatch(/visitor not found/i);
+    expect(res._getJSONData().message).toMatch(/visit not found/i);
   });
 
-  it("updateVisitor - should return 404 if visitor not found", async () => {
-    mockingoose(Visitor).toReturn(null, "findOne");
-    mockingoose(Visitor).toReturn(null, "findByIdAndUpdate");
+  it("updateVisit - should return 404 if visit not found", async () => {
+    mockingoose(Visit).toReturn(null, "findOne");
+    mockingoose(Visit).toReturn(null, "findByIdAndUpdate");
 
     const req = httpMocks.createRequest({
       method: "PUT",
-      params: { visitorId: new mongoose.Types.ObjectId().toString() },
+      params: { visitId: new mongoose.Types.ObjectId().toString() },
       body: {
-        visitorName: "Updated Name",
         purposeOfVisit: "Legal Meeting",
       },
     });
     const res = httpMocks.createResponse();
 
-    await updateVisitor(req, res);
+    await updateVisit(req, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(res._getJSONData().message).toMatch(/visit not found/i);
+  });
+
+  /**
+   * A completed visit logged yesterday.
+   */
+  const loggedVisit = (extra = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    inmate: new mongoose.Types.ObjectId(),
+    visitor: new mongoose.Types.ObjectId(),
+    relationshipToInmate: "Sister",
+    visitTimestamp: new Date(Date.now() - 86400000),
+    durationMinutes: 30,
+    purposeOfVisit: "Family Visit",
+    status: "Completed",
+    ...extra,
+  });
+
+  it("getVisitById - should hide a voided visit from users who cannot audit", async () => {
+    mockingoose(Visit).toReturn(
+      loggedVisit({
+        voidedAt: new Date(),
+        void: { at: new Date(), reasonCode: "Duplicate Entry" },
+      }),
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "GET",
+      params: { visitId: new mongoose.Types.ObjectId().toString() },
+    });
+    req.user = { role: "visitation_clerk" };
+    const res = httpMocks.createResponse();
+
+    await getVisitById(req, res);
 
     expect(res.statusCode).toBe(404);
-    expect(res._getJSONData().message).toMatch(/visitor not found/i);
+  });
+
+  it("voidVisit - should require notes when the reason is Other", async () => {
+    const req = httpMocks.createRequest({
+      method: "DELETE",
+      params: { visitId: new mongoose.Types.ObjectId().toString() },
+      body: { reasonCode: "Other", notes: " " },
+    });
+    const res = httpMocks.createResponse();
+
+    await voidVisit(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/give a reason/);
+  });
+
+  it("voidVisit - should not void a booked visit", async () => {
+    mockingoose(Visit).toReturn(loggedVisit({ status: "Booked" }), "findOne");
+
+    const req = httpMocks.createRequest({
+      method: "DELETE",
+      params: { visitId: new mongoose.Types.ObjectId().toString() },
+      body: { reasonCode: "Entered in Error" },
+    });
+    const res = httpMocks.createResponse();
+
+    await voidVisit(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/Cancel this booking/);
+  });
+
+  it("voidVisit - should void a visit and keep the reason", async () => {
+    const wardenId = new mongoose.Types.ObjectId();
+    mockingoose(Visit).toReturn(loggedVisit(), "findOne");
+
+    const req = httpMocks.createRequest({
+      method: "DELETE",
+      params: { visitId: new mongoose.Types.ObjectId().toString() },
+      body: { reasonCode: "Duplicate Entry", notes: "Logged twice" },
+    });
+    req.user = { id: wardenId.toString(), role: "warden" };
+    const res = httpMocks.createResponse();
+
+    await voidVisit(req, res);
+
+    const { visit } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(visit.voidedAt).toBeTruthy();
+    expect(visit.void.reasonCode).toBe("Duplicate Entry");
+    expect(visit.void.by).toBe(wardenId.toString());
   });
 });
@@ -0,0 +1,274 @@
+const mockingoose = require("mockingoose");
+const mongoose = require("mongoose");
+const httpMocks = require("node-mocks-http");
+
+const VisitorProfile = require("../../src/models/VisitorProfile");
+const VisitorApproval = require("../../src/models/VisitorApproval");
+const VisitorRestriction = require("../../src/models/VisitorRestriction");
+const Inmate = require("../../src/models/Inmate");
+
+const {
+  registerVisitor,
+  requestApproval,
+  decideApproval,
+  restrictVisitor,
+  liftRestriction,
+} = require("../../src/controllers/visitorRegistryController");
+
+jest.mock("../../src/controllers/recentActivityLogController", () => ({
+  logRecentActivity: jest.fn(),
+}));
+
+describe("Visitor Registry Controller", () => {
+  const inmateId = new mongoose.Types.ObjectId();
+  const visitorId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("registerVisitor - should return 400 for an invalid contact number", async () => {
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: {
+        fullName: "Jane Doe",
+        contactNumber: "12ab",
+        email: "jane@example.com",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await registerVisitor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/contact number/);
+  });
+
+  it("registerVisitor - should refuse a visitor who is already registered", async () => {
+    mockingoose(VisitorProfile).toReturn(
+      {
+        _id: visitorId,
+        fullName: "Jane Doe",
+        contactNumber: "1234567890",
+        email: "jane@example.com",
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: {
+        fullName: "jane doe",
+        contactNumber: "1234567890",
+        email: "jane@example.com",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await registerVisitor(req, res);
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it("requestApproval - should put a denied visitor forward again", async () => {
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(VisitorProfile).toReturn({ _id: visitorId }, "findOne");
+    mockingoose(VisitorApproval).toReturn(
+      {
+        _id: new mongoose.Types.ObjectId(),
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: "Friend",
+        status: "Denied",
+        history: [{ status: "Pending" }, { status: "Denied" }],
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: {
+        inmateId: inmateId.toString(),
+        visitorId: visitorId.toString(),
+        relationshipToInmate: "Sister",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await requestApproval(req, res);
+
+    const { approval } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(approval.status).toBe("Pending");
+    expect(approval.relationshipToInmate).toBe("Sister");
+    expect(approval.history[2].fromStatus).toBe("Denied");
+  });
+
+  it("requestApproval - should refuse a visitor already approved", async () => {
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(VisitorProfile).toReturn({ _id: visitorId }, "findOne");
+    mockingoose(VisitorApproval).toReturn(
+      {
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: "Sister",
+        status: "Approved",
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: {
+        inmateId: inmateId.toString(),
+        visitorId: visitorId.toString(),
+        relationshipToInmate: "Sister",
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await requestApproval(req, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res._getJSONData().message).toMatch(/already approved/);
+  });
+
+  it("decideApproval - should require a reason to deny a visitor", async () => {
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { approvalId: new mongoose.Types.ObjectId().toString() },
+      body: { status: "Denied" },
+    });
+    const res = httpMocks.createResponse();
+
+    await decideApproval(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/reason/);
+  });
+
+  it("decideApproval - should approve a pending visitor", async () => {
+    mockingoose(VisitorApproval).toReturn(
+      {
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: "Sister",
+        status: "Pending",
+        history: [{ status: "Pending" }],
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { approvalId: new mongoose.Types.ObjectId().toString() },
+      body: { status: "Approved" },
+    });
+    const res = httpMocks.createResponse();
+
+    await decideApproval(req, res);
+
+    const { approval } = res._getJSONData();
+    expect(res.statusCode).toBe(200);
+    expect(approval.status).toBe("Approved");
+    expect(approval.decidedAt).toBeTruthy();
+  });
+
+  it("decideApproval - should not revoke a visitor who is still pending", async () => {
+    mockingoose(VisitorApproval).toReturn(
+      {
+        inmate: inmateId,
+        visitor: visitorId,
+        relationshipToInmate: "Sister",
+        status: "Pending",
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { approvalId: new mongoose.Types.ObjectId().toString() },
+      body: { status: "Revoked", notes: "Contraband" },
+    });
+    const res = httpMocks.createResponse();
+
+    await decideApproval(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/pending cannot be revoked/);
+  });
+
+  it("restrictVisitor - should require an inmate for an inmate-specific restriction", async () => {
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitorId: visitorId.toString() },
+      body: {
+        type: "Inmate-Specific",
+        reason: "Threatened the inmate",
+        expiresAt: new Date(Date.now() + 30 * 86400000),
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await restrictVisitor(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/select an inmate/);
+  });
+
+  it("restrictVisitor - should ban a visitor with the issuing officer recorded", async () => {
+    const officerId = new mongoose.Types.ObjectId();
+    mockingoose(VisitorProfile).toReturn({ _id: visitorId }, "findOne");
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      params: { visitorId: visitorId.toString() },
+      body: {
+        type: "Full Ban",
+        reason: "Smuggled contraband",
+        expiresAt: new Date(Date.now() + 180 * 86400000),
+      },
+    });
+    req.user = { id: officerId.toString() };
+    const res = httpMocks.createResponse();
+
+    await restrictVisitor(req, res);
+
+    const { restriction } = res._getJSONData();
+    expect(res.statusCode).toBe(201);
+    expect(restriction.type).toBe("Full Ban");
+    expect(restriction.issuedBy).toBe(officerId.toString());
+    expect(restriction.inmate).toBeNull();
+  });
+
+  it("liftRestriction - should not lift a restriction that has expired", async () => {
+    mockingoose(VisitorRestriction).toReturn(
+      {
+        visitor: visitorId,
+        type: "Non-Contact Only",
+        reason: "Passed an item during a visit",
+        startDate: new Date(Date.now() - 60 * 86400000),
+        expiresAt: new Date(Date.now() - 86400000),
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "PUT",
+      params: { restrictionId: new mongoose.Types.ObjectId().toString() },
+      body: { reason: "Appeal upheld" },
+    });
+    const res = httpMocks.createResponse();
+
+    await liftRestriction(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/already expired/);
+  });
+});
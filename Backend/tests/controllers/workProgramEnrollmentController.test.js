@@ -7,6 +7,7 @@ const WorkProgram = require("../../src/models/WorkProgram");
 const WorkProgramEnrollment = require("../../src/models/WorkProgramEnrollment");
 const BehavioralLog = require("../../src/models/BehaviorLog");
 const ActivityLog = require("../../src/models/ActivityLog");
+const Alert = require("../../src/models/Alert");
 
 const {
   assignInmateToWorkProgram,
@@ -38,6 +39,66 @@ describe("Work Program Enrollment Controller", () => {
     expect(data.enrollments).toEqual([]);
   });
 
+  it("assignInmateToWorkProgram - should refuse a program that does not accept the inmate's custody level", async () => {
+    mockingoose(WorkProgram).toReturn(
+      { name: "Agricultural Program", maxCustodyLevel: "Minimum" },
+      "findOne"
+    );
+    mockingoose(Inmate).toReturn(
+      { status: "Incarcerated", custodyLevel: "Medium" },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: {
+        inmateId: new mongoose.Types.ObjectId().toString(),
+        workProgramId: new mongoose.Types.ObjectId().toString(),
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await assignInmateToWorkProgram(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/classified Medium custody/);
+  });
+
+  it("assignInmateToWorkProgram - should refuse a program with an inmate to keep separate from", async () => {
+    const inmateId = new mongoose.Types.ObjectId();
+    const otherInmateId = new mongoose.Types.ObjectId();
+    mockingoose(WorkProgram).toReturn({ name: "Kitchen Services" }, "findOne");
+    mockingoose(Inmate).toReturn(
+      { _id: inmateId, status: "Incarcerated" },
+      "findOne"
+    );
+    mockingoose(WorkProgramEnrollment).toReturn(null, "findOne");
+    mockingoose(WorkProgramEnrollment).toReturn([otherInmateId], "distinct");
+    mockingoose(Alert).toReturn(
+      {
+        inmate: otherInmateId,
+        type: "Keep Separate",
+        description: "Rival gang members",
+        separateFrom: inmateId,
+      },
+      "findOne"
+    );
+
+    const req = httpMocks.createRequest({
+      method: "POST",
+      body: {
+        inmateId: inmateId.toString(),
+        workProgramId: new mongoose.Types.ObjectId().toString(),
+      },
+    });
+    const res = httpMocks.createResponse();
+
+    await assignInmateToWorkProgram(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData().message).toMatch(/kept separate/);
+  });
+
   it("getWorkProgramEnrollmentByInmate - should return array of active enrollments", async () => {
     mockingoose(WorkProgramEnrollment).toReturn([], "find");
 
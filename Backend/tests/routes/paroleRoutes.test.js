@@ -12,8 +12,11 @@ jest.mock("../../src/middleware/authMiddleware", () => ({
     req.user = { role: "admin" }; // simulate default user
     next();
   },
-  isWarden: (req, res, next) => {
-    if (req.user.role !== "warden") {
+  authorize: (permission) => (req, res, next) => {
+    const { hasPermission } = jest.requireActual(
+      "../../src/config/permissions"
+    );
+    if (!hasPermission(req.user.role, permission)) {
       return res.status(403).json({ message: "Access denied" });
     }
     next();
@@ -0,0 +1,86 @@
+const request = require("supertest");
+const express = require("express");
+const mockingoose = require("mockingoose");
+const User = require("../../src/models/User");
+
+// Import routes
+const userRoutes = require("../../src/routes/userRoutes");
+
+// Mock auth middleware
+let mockRole = "warden";
+jest.mock("../../src/middleware/authMiddleware", () => ({
+  protect: (req, res, next) => {
+    req.user = { id: "507f1f77bcf86cd799439099", role: mockRole };
+    next();
+  },
+  authorize: (permission) => (req, res, next) => {
+    const { hasPermission } = jest.requireActual(
+      "../../src/config/permissions"
+    );
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    next();
+  },
+}));
+
+const app = express();
+app.use(express.json());
+app.use("/prisonsphere/users", userRoutes);
+
+describe("User Routes", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+    mockRole = "warden";
+  });
+
+  it("GET /users - return 403 if user is not warden", async () => {
+    mockRole = "admin";
+
+    const res = await request(app).get("/prisonsphere/users");
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toMatch(/access denied/i);
+  });
+
+  it("GET /users - return list of users for wardens", async () => {
+    mockingoose(User).toReturn(
+      [{ username: "officer1", role: "admin" }],
+      "find"
+    );
+
+    const res = await request(app).get("/prisonsphere/users");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.length).toBe(1);
+  });
+
+  it("POST /users - return 400 if username is missing", async () => {
+    const res = await request(app)
+      .post("/prisonsphere/users")
+      .send({ password: "password123", role: "admin" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/username/i);
+  });
+
+  it("PUT /users/:id/deactivate - return 404 if user not found", async () => {
+    mockingoose(User).toReturn(null, "findOne");
+
+    const res = await request(app).put(
+      "/prisonsphere/users/507f1f77bcf86cd799439011/deactivate"
+    );
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toMatch(/user not found/i);
+  });
+
+  it("GET /users/roles - return every role with its permissions", async () => {
+    const res = await request(app).get("/prisonsphere/users/roles");
+
+    expect(res.statusCode).toBe(200);
+    const auditor = res.body.find((entry) => entry.role === "auditor");
+    expect(auditor.permissions).toContain("inmates:view");
+    expect(auditor.permissions).not.toContain("inmates:update");
+  });
+});
@@ -15,6 +15,15 @@ jest.mock("../../src/middleware/authMiddleware", () => ({
     req.user = { role: "admin" };
     next();
   },
+  authorize: (permission) => (req, res, next) => {
+    const { hasPermission } = jest.requireActual(
+      "../../src/config/permissions"
+    );
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    next();
+  },
 }));
 
 const app = express();
@@ -0,0 +1,94 @@
+/**
+ * @file alerts.js
+ * @description Finds active alerts and enforces keep-separate alerts in the PrisonSphere system.
+ * @module utils/alerts
+ *
+ * This module:
+ * - Builds the query for alerts that are still in force (active and not expired).
+ * - Finds keep-separate alerts between an inmate and a group of other inmates,
+ *   whichever of the two inmates the alert was raised on.
+ * - Builds the message shown when a placement is refused.
+ *
+ * @requires Alert - The Alert model.
+ * @requires KEEP_SEPARATE - Keep-separate alert type.
+ */
+
+const Alert = require("../src/models/Alert");
+const { KEEP_SEPARATE } = require("../src/config/alerts");
+
+/**
+ * Builds the query for alerts in force.
+ *
+ * @param {Date} [asOf] - Date to check against (default: now).
+ * @returns {Object} - Mongoose filter for active, unexpired alerts.
+ */
+const getActiveAlertFilter = (asOf = new Date()) => ({
+  isActive: true,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: asOf } }],
+});
+
+/**
+ * Checks whether an alert is in force.
+ *
+ * @param {Object} alert - Alert document or plain object.
+ * @param {Date} [asOf] - Date to check against (default: now).
+ * @returns {Boolean} - True if the alert is active and has not expired.
+ */
+const isAlertActive = (alert, asOf = new Date()) =>
+  alert.isActive && (!alert.expiresAt || new Date(alert.expiresAt) > asOf);
+
+/**
+ * Finds an active keep-separate alert between an inmate and any of the other inmates.
+ *
+ * @async
+ * @param {String} inmateId - Inmate being placed.
+ * @param {Array<String>} otherInmateIds - Inmates already in the placement.
+ * @returns {Promise<Object|null>} - `{ alert, other }` with the other inmate's ID, or null.
+ */
+const findKeepSeparateConflict = async (inmateId, otherInmateIds) => {
+  if (!inmateId || otherInmateIds.length === 0) return null;
+
+  const alert = await Alert.findOne({
+    type: KEEP_SEPARATE,
+    ...getActiveAlertFilter(),
+    $and: [
+      {
+        $or: [
+          { inmate: inmateId, separateFrom: { $in: otherInmateIds } },
+          { inmate: { $in: otherInmateIds }, separateFrom: inmateId },
+        ],
+      },
+    ],
+  }).populate("inmate separateFrom", "inmateID");
+  if (!alert) return null;
+
+  const other =
+    String(alert.inmate?._id) === String(inmateId)
+      ? alert.separateFrom
+      : alert.inmate;
+  return { alert, other };
+};
+
+/**
+ * Checks a placement against keep-separate alerts.
+ *
+ * @async
+ * @param {String} inmateId - Inmate being placed.
+ * @param {Array<String>} otherInmateIds - Inmates already in the placement.
+ * @param {String} placement - Description of the placement (e.g., "cell A-101").
+ * @returns {Promise<String|null>} - Error message, or null if the placement is allowed.
+ */
+const getKeepSeparateError = async (inmateId, otherInmateIds, placement) => {
+  const conflict = await findKeepSeparateConflict(inmateId, otherInmateIds);
+  if (!conflict) return null;
+  return `⚠ This inmate must be kept separate from ${
+    conflict.other?.inmateID || "another inmate"
+  }, who is already in ${placement}.`;
+};
+
+module.exports = {
+  getActiveAlertFilter,
+  isAlertActive,
+  findKeepSeparateConflict,
+  getKeepSeparateError,
+};
@@ -0,0 +1,295 @@
+/**
+ * @file auditTrail.js
+ * @description Records actor-attributed audit events for changes to records in the PrisonSphere system.
+ * @module utils/auditTrail
+ *
+ * This module:
+ * - Computes a field-level diff between two versions of a record.
+ * - Writes an `AuditEvent` with the acting user, their role and IP address.
+ * - Links each event to the previous one with a SHA-256 hash chain.
+ * - Walks the chain and reports the first broken link.
+ *
+ * Usage:
+ * - Controllers call `recordAuditEvent` after each successful create, update or status change.
+ * - Scheduled jobs pass `null` as the request; the event is then recorded without an actor.
+ * - `medicalController` passes `redact: true`, so clinical values never reach the trail.
+ * - `GET /prisonsphere/audit/verify` and `node verifyAuditChain.js` call `verifyAuditChain`.
+ *
+ * Hash Chain:
+ * - Each event's hash covers its content, its sequence number and the previous event's hash.
+ * - Editing an event breaks its own hash; deleting one leaves a gap in the sequence.
+ * - Removing events from the end cannot be detected from the chain alone, so the
+ *   verification result includes the latest hash for auditors to record externally.
+ *
+ * @requires crypto - Node.js crypto module for SHA-256 hashing.
+ * @requires AuditEvent - The AuditEvent model.
+ */
+
+const crypto = require("crypto");
+const AuditEvent = require("../src/models/AuditEvent");
+
+// Bookkeeping fields that are never reported as changes
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Stands in for the values of confidential records (e.g. clinical entries)
+const REDACTED_VALUE = "[redacted]";
+
+// `previousHash` of the first event in the chain
+const GENESIS_HASH = "0".repeat(64);
+
+// Attempts to append when another event claims the same sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Events read per query while verifying the chain
+const VERIFY_BATCH_SIZE = 500;
+
+/**
+ * Converts a document (or plain object) into JSON-safe values.
+ * - ObjectIds become strings and dates become ISO strings.
+ *
+ * @param {Object|null} doc - Mongoose document or plain object.
+ * @returns {Object} - Plain object (empty if no document was given).
+ */
+const toPlainObject = (doc) => {
+  if (!doc) return {};
+  const value = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Flattens nested objects into dot-separated paths.
+ * - Arrays are kept as single values so list changes are reported as a whole.
+ *
+ * @param {Object} object - Plain object to flatten.
+ * @param {String} [prefix=""] - Path of the parent object.
+ * @returns {Object} - Map of field path to value.
+ */
+const flatten = (object, prefix = "") =>
+  Object.entries(object).reduce((fields, [key, value]) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.assign(fields, flatten(value, field));
+    } else {
+      fields[field] = value;
+    }
+    return fields;
+  }, {});
+
+/**
+ * Computes the fields that differ between two versions of a record.
+ *
+ * @param {Object|null} before - Record before the change (null on create).
+ * @param {Object|null} after - Record after the change.
+ * @returns {Array<{field: String, before: *, after: *}>} - Changed fields.
+ */
+const diffFields = (before, after) => {
+  const beforeFields = flatten(toPlainObject(before));
+  const afterFields = flatten(toPlainObject(after));
+  const fields = new Set([
+    ...Object.keys(beforeFields),
+    ...Object.keys(afterFields),
+  ]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field.split(".")[0]))
+    .filter(
+      (field) =>
+        JSON.stringify(beforeFields[field]) !==
+        JSON.stringify(afterFields[field])
+    )
+    .map((field) => ({
+      field,
+      before: beforeFields[field] ?? null,
+      after: afterFields[field] ?? null,
+    }));
+};
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal content always
+ * produces the same string regardless of key order.
+ *
+ * @param {*} value - JSON-safe value.
+ * @returns {String} - Canonical JSON string.
+ */
+const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Computes the chain hash of an audit event.
+ *
+ * @param {Object} event - Audit event (document or plain object).
+ * @returns {String} - Hex-encoded SHA-256 hash.
+ */
+const computeAuditHash = (event) => {
+  const content = toPlainObject({
+    sequence: event.sequence,
+    previousHash: event.previousHash,
+    action: event.action,
+    entityType: event.entityType,
+    entityId: event.entityId,
+    inmate: event.inmate ?? null,
+    changes: (event.changes || []).map(({ field, before, after }) => ({
+      field,
+      before: before ?? null,
+      after: after ?? null,
+    })),
+    actor: event.actor ?? null,
+    actorRole: event.actorRole ?? null,
+    ipAddress: event.ipAddress ?? null,
+    createdAt: event.createdAt,
+  });
+
+  return crypto
+    .createHash("sha256")
+    .update(canonicalStringify(content))
+    .digest("hex");
+};
+
+/**
+ * Appends an event to the end of the hash chain.
+ * - The unique index on `sequence` rejects a concurrent append that read the
+ *   same chain head; the append is then retried against the new head.
+ *
+ * @async
+ * @param {Object} data - Audit event fields (without chain fields).
+ * @returns {Promise<Object>} - The created audit event.
+ */
+const appendToChain = async (data) => {
+  for (let attempt = 1; ; attempt++) {
+    const head = await AuditEvent.findOne()
+      .sort({ sequence: -1 })
+      .select("sequence hash")
+      .lean();
+
+    const event = {
+      ...data,
+      sequence: head ? head.sequence + 1 : 1,
+      previousHash: head ? head.hash : GENESIS_HASH,
+      createdAt: new Date(),
+    };
+    event.hash = computeAuditHash(event);
+
+    try {
+      return await AuditEvent.create(event);
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Verifies the audit hash chain from the first event to the last.
+ *
+ * @async
+ * @returns {Promise<Object>} - `{ valid, checkedEvents, lastSequence, lastHash, brokenLink }`,
+ *   where `brokenLink` is `{ sequence, eventId, reason }` for the first broken link (or null).
+ */
+const verifyAuditChain = async () => {
+  let previous = { sequence: 0, hash: GENESIS_HASH };
+  let checkedEvents = 0;
+
+  const brokenAt = (event, reason) => ({
+    valid: false,
+    checkedEvents,
+    lastSequence: previous.sequence,
+    lastHash: previous.hash,
+    brokenLink: { sequence: event.sequence, eventId: event._id, reason },
+  });
+
+  for (;;) {
+    const events = await AuditEvent.find({
+      sequence: { $gt: previous.sequence },
+    })
+      .sort({ sequence: 1 })
+      .limit(VERIFY_BATCH_SIZE)
+      .lean();
+
+    for (const event of events) {
+      if (event.sequence !== previous.sequence + 1) {
+        return brokenAt(
+          event,
+          `Missing audit event(s) before sequence ${event.sequence}`
+        );
+      }
+      if (event.previousHash !== previous.hash) {
+        return brokenAt(event, "Previous hash does not match the chain");
+      }
+      if (computeAuditHash(event) !== event.hash) {
+        return brokenAt(event, "Event content does not match its hash");
+      }
+
+      previous = event;
+      checkedEvents++;
+    }
+
+    if (events.length < VERIFY_BATCH_SIZE) break;
+  }
+
+  return {
+    valid: true,
+    checkedEvents,
+    lastSequence: previous.sequence,
+    lastHash: previous.hash,
+    brokenLink: null,
+  };
+};
+
+/**
+ * Writes an audit event at the end of the hash chain.
+ * - Update events with no changed fields are skipped.
+ * - Audit failures are reported but never undo or block the change itself.
+ *
+ * @async
+ * @param {Object|null} req - Express request (used for the actor and IP), or null for scheduled jobs.
+ * @param {Object} details - Event details.
+ * @param {String} details.action - "CREATE", "UPDATE", "STATUS_CHANGE" or "DELETE".
+ * @param {String} details.entityType - Model name of the record (e.g., "Inmate").
+ * @param {Object|null} details.after - The record after the change (null on delete).
+ * @param {Object} [details.before] - The record before the change (omit on create).
+ * @param {String} [details.inmate] - ID of the inmate the record belongs to.
+ * @param {Boolean} [details.redact=false] - Keeps the changed field names but not their
+ *   values, for records auditors may not read (e.g. clinical entries).
+ */
+const recordAuditEvent = async (
+  req,
+  { action, entityType, after, before = null, inmate = null, redact = false }
+) => {
+  try {
+    const changes = diffFields(before, after).map((change) =>
+      redact
+        ? { field: change.field, before: REDACTED_VALUE, after: REDACTED_VALUE }
+        : change
+    );
+    if (action !== "CREATE" && changes.length === 0) return;
+
+    await appendToChain({
+      action,
+      entityType,
+      entityId: (after || before)._id,
+      inmate,
+      changes,
+      actor: req?.user?.id || null,
+      actorRole: req?.user?.role || null,
+      ipAddress: req?.ip || null,
+    });
+  } catch (error) {
+    console.error("Error writing audit event:", error);
+  }
+};
+
+module.exports = {
+  diffFields,
+  recordAuditEvent,
+  computeAuditHash,
+  verifyAuditChain,
+};
@@ -0,0 +1,201 @@
+/**
+ * @file classification.js
+ * @description Suggests custody levels and checks placements against them in the PrisonSphere system.
+ * @module utils/classification
+ *
+ * This module:
+ * - Gathers the risk factors of an inmate: offense severity, recent incidents and time served.
+ * - Scores the factors and suggests a custody level (Minimum, Medium, Maximum).
+ * - Works out when an inmate is due for a periodic classification review.
+ * - Refuses housing and work-program placements that do not match the custody level.
+ *
+ * Scoring (see `config/classification`):
+ * - The most serious pending or convicted charge scores by its severity class, with
+ *   extra points if any such charge is in a violent category.
+ * - Each incident reported in recent behavior logs, and each recent disciplinary
+ *   incident the inmate was found guilty of, adds a point, up to a maximum.
+ * - Long periods of time served take points off.
+ *
+ * Placement:
+ * - An inmate may be housed in a cell at their custody level or a more restrictive one.
+ * - An inmate may join a work program whose `maxCustodyLevel` is at or above their level.
+ * - Inmates who have not been classified yet are not restricted.
+ *
+ * @requires Charge - The Charge model.
+ * @requires BehaviorLog - The Behavior Log model.
+ * @requires incidents - Counts guilty findings at disciplinary hearings.
+ * @requires SECURITY_LEVELS - Custody security levels, least to most restrictive.
+ * @requires SEVERITY_CLASSES - Offense severity classes, most serious first.
+ * @requires classification - Scoring rules and review interval.
+ * @requires sentence - Date helpers.
+ */
+
+const Charge = require("../src/models/Charge");
+const BehaviorLog = require("../src/models/BehaviorLog");
+const { SECURITY_LEVELS } = require("../src/config/securityLevels");
+const { SEVERITY_CLASSES } = require("../src/config/offenses");
+const {
+  CLASSIFICATION_REVIEW_MONTHS,
+  SEVERITY_POINTS,
+  VIOLENT_OFFENSE_CATEGORIES,
+  VIOLENT_OFFENSE_POINTS,
+  INCIDENT_LOOKBACK_MONTHS,
+  MAX_INCIDENT_POINTS,
+  TIME_SERVED_CREDIT_MONTHS,
+  MAX_TIME_SERVED_CREDIT,
+  SCORE_THRESHOLDS,
+} = require("../src/config/classification");
+const { addMonths } = require("./sentence");
+const { countDisciplinaryFindings } = require("./incidents");
+
+/**
+ * Counts the whole months between two dates.
+ *
+ * @param {Date} from - Start date.
+ * @param {Date} to - End date.
+ * @returns {Number} - Whole months elapsed (0 if `to` is before `from`).
+ */
+const wholeMonthsBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  let months =
+    (end.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+    (end.getUTCMonth() - start.getUTCMonth());
+  if (end.getUTCDate() < start.getUTCDate()) months--;
+  return Math.max(0, months);
+};
+
+/**
+ * Gathers the risk factors used to suggest an inmate's custody level.
+ *
+ * @async
+ * @param {Object} inmate - Inmate document or plain object.
+ * @param {Date} [asOf] - Date the factors are assessed on (default: now).
+ * @returns {Promise<Object>} - `{ severity, violentOffense, incidents, monthsServed }`.
+ */
+const getClassificationFactors = async (inmate, asOf = new Date()) => {
+  const charges = await Charge.find({
+    inmate: inmate._id,
+    status: { $in: ["Pending", "Convicted"] },
+  })
+    .select("severity category")
+    .lean();
+
+  const severity =
+    SEVERITY_CLASSES.find((severityClass) =>
+      charges.some((charge) => charge.severity === severityClass)
+    ) || null;
+  const violentOffense = charges.some((charge) =>
+    VIOLENT_OFFENSE_CATEGORIES.includes(charge.category)
+  );
+
+  const lookbackStart = addMonths(asOf, -INCIDENT_LOOKBACK_MONTHS);
+  const logs = await BehaviorLog.find({
+    inmateId: inmate._id,
+    loggedAt: { $gte: lookbackStart },
+  })
+    .select("incidentReports")
+    .lean();
+  const findings = await countDisciplinaryFindings(inmate._id, lookbackStart);
+  const incidents = logs.reduce(
+    (total, log) => total + (log.incidentReports || 0),
+    findings
+  );
+
+  return {
+    severity,
+    violentOffense,
+    incidents,
+    monthsServed: wholeMonthsBetween(inmate.admissionDate, asOf),
+  };
+};
+
+/**
+ * Scores risk factors and suggests a custody level.
+ *
+ * @param {Object} factors - Factors from `getClassificationFactors`.
+ * @returns {Object} - `{ level, score }`.
+ */
+const computeSuggestedLevel = ({
+  severity,
+  violentOffense,
+  incidents,
+  monthsServed,
+}) => {
+  const score =
+    (SEVERITY_POINTS[severity] || 0) +
+    (violentOffense ? VIOLENT_OFFENSE_POINTS : 0) +
+    Math.min(incidents, MAX_INCIDENT_POINTS) -
+    Math.min(
+      Math.floor(monthsServed / TIME_SERVED_CREDIT_MONTHS),
+      MAX_TIME_SERVED_CREDIT
+    );
+
+  const { level } = SCORE_THRESHOLDS.find(
+    (threshold) => score >= threshold.minScore
+  );
+  return { level, score };
+};
+
+/**
+ * Suggests a custody level for an inmate.
+ *
+ * @async
+ * @param {Object} inmate - Inmate document or plain object.
+ * @returns {Promise<Object>} - `{ level, score, factors }`.
+ */
+const suggestCustodyLevel = async (inmate) => {
+  const factors = await getClassificationFactors(inmate);
+  return { ...computeSuggestedLevel(factors), factors };
+};
+
+/**
+ * Works out when the next periodic review is due.
+ *
+ * @param {Date} [classifiedAt] - When the inmate was classified (default: now).
+ * @returns {Date} - The next review date.
+ */
+const getNextReviewDate = (classifiedAt = new Date()) =>
+  addMonths(classifiedAt, CLASSIFICATION_REVIEW_MONTHS);
+
+/**
+ * Checks whether an inmate is due for a classification review.
+ * - Incarcerated inmates who were never classified are always due.
+ *
+ * @param {Object} inmate - Inmate document or plain object.
+ * @param {Date} [asOf] - Date to check against (default: now).
+ * @returns {Boolean} - True if a review is due.
+ */
+const isReviewDue = (inmate, asOf = new Date()) =>
+  inmate.status === "Incarcerated" &&
+  (!inmate.custodyLevel ||
+    !inmate.nextClassificationReview ||
+    new Date(inmate.nextClassificationReview) <= asOf);
+
+/**
+ * Checks a placement against an inmate's custody level.
+ *
+ * @param {String} custodyLevel - The inmate's custody level (null if not classified).
+ * @param {String} placementLevel - Highest custody level the placement accepts.
+ * @param {String} placement - Description of the placement (e.g., "cell A-101").
+ * @returns {String|null} - Error message, or null if the placement is allowed.
+ */
+const getPlacementError = (custodyLevel, placementLevel, placement) => {
+  if (!custodyLevel || !placementLevel) return null;
+  if (
+    SECURITY_LEVELS.indexOf(custodyLevel) <=
+    SECURITY_LEVELS.indexOf(placementLevel)
+  ) {
+    return null;
+  }
+  return `⚠ This inmate is classified ${custodyLevel} custody; ${placement} only accepts up to ${placementLevel}.`;
+};
+
+module.exports = {
+  getClassificationFactors,
+  computeSuggestedLevel,
+  suggestCustodyLevel,
+  getNextReviewDate,
+  isReviewDue,
+  getPlacementError,
+};
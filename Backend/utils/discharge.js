@@ -0,0 +1,81 @@
+/**
+ * @file discharge.js
+ * @description Closes an inmate's open custody records when they leave custody.
+ * @module utils/discharge
+ *
+ * This module:
+ * - Cancels the inmate's active work program enrollments.
+ * - Cancels the inmate's pending parole applications.
+ * - Records each closed record in the audit trail.
+ *
+ * Usage:
+ * - `releaseController` runs it as part of the discharge checklist.
+ * - `paroleController` runs it when a parole is approved.
+ *
+ * @requires WorkProgramEnrollment - The WorkProgramEnrollment model.
+ * @requires Parole - The Parole model.
+ * @requires recordAuditEvent - Records the closed records in the audit trail.
+ */
+
+const WorkProgramEnrollment = require("../src/models/WorkProgramEnrollment");
+const Parole = require("../src/models/Parole");
+const { recordAuditEvent } = require("./auditTrail");
+
+/**
+ * Sets a new status on each record and audits the change.
+ *
+ * @async
+ * @param {Object|null} req - Express request (used for the acting user).
+ * @param {Array<Object>} records - Mongoose documents to close.
+ * @param {String} entityType - Audit entity type of the records.
+ * @param {Object} changes - Fields to set on each record.
+ * @returns {Promise<Number>} - Number of records closed.
+ */
+const closeRecords = async (req, records, entityType, changes) => {
+  for (const record of records) {
+    const before = record.toObject();
+    record.set(changes);
+    await record.save();
+    await recordAuditEvent(req, {
+      action: "STATUS_CHANGE",
+      entityType,
+      before,
+      after: record,
+      inmate: record.inmateId || record.inmate,
+    });
+  }
+  return records.length;
+};
+
+/**
+ * Closes the work program enrollments and parole applications of an inmate
+ * who is leaving custody.
+ *
+ * @async
+ * @param {Object|null} req - Express request (used for the acting user).
+ * @param {String} inmateId - ID of the inmate leaving custody.
+ * @param {String} reason - Why the inmate is leaving (added to the parole decision notes).
+ * @returns {Promise<Object>} - `{ workProgramsClosed, parolesCancelled }`.
+ */
+const closeCustodyRecords = async (req, inmateId, reason) => {
+  const enrollments = await WorkProgramEnrollment.find({
+    inmateId,
+    status: "Active",
+  });
+  const paroles = await Parole.find({ inmate: inmateId, status: "Pending" });
+
+  return {
+    workProgramsClosed: await closeRecords(
+      req,
+      enrollments,
+      "WorkProgramEnrollment",
+      { status: "Cancelled", completionDate: new Date() }
+    ),
+    parolesCancelled: await closeRecords(req, paroles, "Parole", {
+      status: "Cancelled",
+      decisionNotes: `Cancelled on release: ${reason}`,
+    }),
+  };
+};
+
+module.exports = { closeCustodyRecords };
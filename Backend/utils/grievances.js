@@ -0,0 +1,79 @@
+/**
+ * @file grievances.js
+ * @description Works out grievance deadlines and status transitions in the PrisonSphere system.
+ * @module utils/grievances
+ *
+ * This module:
+ * - Sets the response deadline of a grievance when it is filed or appealed.
+ * - Checks whether a grievance can move from one status to another.
+ * - Builds the query for, and checks, grievances past their deadline.
+ *
+ * Deadlines:
+ * - A filed grievance must be resolved within `GRIEVANCE_RESPONSE_DAYS`.
+ * - An appeal must be decided within `GRIEVANCE_APPEAL_DAYS` of being lodged.
+ * - Resolved grievances are never overdue.
+ *
+ * @requires grievances - Statuses, transitions and response deadlines.
+ */
+
+const {
+  GRIEVANCE_TRANSITIONS,
+  OPEN_GRIEVANCE_STATUSES,
+  GRIEVANCE_RESPONSE_DAYS,
+  GRIEVANCE_APPEAL_DAYS,
+} = require("../src/config/grievances");
+
+/**
+ * Returns the date a response is due.
+ *
+ * @param {String} status - "Filed" or "Appealed".
+ * @param {Date} [from] - When the grievance was filed or appealed (default: now).
+ * @returns {Date} - The response deadline.
+ */
+const getGrievanceDueDate = (status, from = new Date()) => {
+  const dueDate = new Date(from);
+  dueDate.setDate(
+    dueDate.getDate() +
+      (status === "Appealed" ? GRIEVANCE_APPEAL_DAYS : GRIEVANCE_RESPONSE_DAYS)
+  );
+  return dueDate;
+};
+
+/**
+ * Checks whether a grievance can move to a status.
+ *
+ * @param {String} from - Current status.
+ * @param {String} to - Requested status.
+ * @returns {Boolean} - True if the transition is allowed.
+ */
+const canTransition = (from, to) =>
+  (GRIEVANCE_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Builds the query for grievances past their deadline.
+ *
+ * @param {Date} [asOf] - Date to check against (default: now).
+ * @returns {Object} - Mongoose filter for open grievances whose response is overdue.
+ */
+const getOverdueGrievanceFilter = (asOf = new Date()) => ({
+  status: { $in: OPEN_GRIEVANCE_STATUSES },
+  dueDate: { $lt: asOf },
+});
+
+/**
+ * Checks whether a grievance is past its deadline.
+ *
+ * @param {Object} grievance - Grievance document or plain object.
+ * @param {Date} [asOf] - Date to check against (default: now).
+ * @returns {Boolean} - True if the grievance is open and its response is overdue.
+ */
+const isGrievanceOverdue = (grievance, asOf = new Date()) =>
+  OPEN_GRIEVANCE_STATUSES.includes(grievance.status) &&
+  new Date(grievance.dueDate) < asOf;
+
+module.exports = {
+  getGrievanceDueDate,
+  canTransition,
+  getOverdueGrievanceFilter,
+  isGrievanceOverdue,
+};
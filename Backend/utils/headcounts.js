@@ -0,0 +1,120 @@
+/**
+ * @file headcounts.js
+ * @description Builds count sheets and tallies block headcounts in the PrisonSphere system.
+ * @module utils/headcounts
+ *
+ * This module:
+ * - Builds the count sheet of a block from the current housing assignments.
+ * - Tallies a count: expected, present, out (court or medical), absent and not yet marked.
+ * - Summarizes a count for the audit trail, without the per-inmate entries.
+ * - Summarizes one inmate's mark for the audit trail, so corrected marks leave a trace.
+ *
+ * Usage:
+ * - `headcountController` builds the sheet when a count starts, and tallies it
+ *   whenever it is returned, marked or completed.
+ * - `headcountController` records corrected marks and discrepancies in the audit trail.
+ *
+ * @requires Cell - The Cell model.
+ * @requires Inmate - The Inmate model.
+ * @requires headcounts - Statuses that are out-counts or discrepancies.
+ */
+
+const Cell = require("../src/models/Cell");
+const Inmate = require("../src/models/Inmate");
+const {
+  OUT_COUNT_STATUSES,
+  DISCREPANCY_STATUSES,
+} = require("../src/config/headcounts");
+
+/**
+ * Builds the count sheet of a block.
+ * - Lists every incarcerated inmate assigned to a bed in the block, by cell and bed.
+ *
+ * @async
+ * @param {String} blockId - ID of the block.
+ * @returns {Promise<Array<Object>>} - Unmarked entries (`inmate`, `inmateID`, `name`, `cell`, `cellLabel`, `bed`).
+ */
+const buildCountSheet = async (blockId) => {
+  const cells = await Cell.find({ block: blockId }).select("_id").lean();
+
+  const inmates = await Inmate.find({
+    status: "Incarcerated",
+    cell: { $in: cells.map((cell) => cell._id) },
+  })
+    .select("firstName lastName inmateID cell bed assignedCell")
+    .sort({ assignedCell: 1, bed: 1 })
+    .lean();
+
+  return inmates.map((inmate) => ({
+    inmate: inmate._id,
+    inmateID: inmate.inmateID,
+    name: `${inmate.firstName} ${inmate.lastName}`,
+    cell: inmate.cell,
+    cellLabel: inmate.assignedCell || "",
+    bed: inmate.bed ?? null,
+  }));
+};
+
+/**
+ * Tallies the entries of a count.
+ * - The count clears when every inmate is marked and none is absent.
+ *
+ * @param {Array<Object>} entries - Count sheet entries.
+ * @returns {Object} - `{ expected, present, out, absent, unmarked, cleared }`.
+ */
+const tallyCount = (entries) => {
+  const tally = { expected: entries.length, present: 0, out: 0, absent: 0 };
+  entries.forEach(({ status }) => {
+    if (status === "Present") tally.present += 1;
+    else if (OUT_COUNT_STATUSES.includes(status)) tally.out += 1;
+    else if (DISCREPANCY_STATUSES.includes(status)) tally.absent += 1;
+  });
+  tally.unmarked = tally.expected - tally.present - tally.out - tally.absent;
+  tally.cleared = tally.unmarked === 0 && tally.absent === 0;
+  return tally;
+};
+
+/**
+ * Summarizes a count for the audit trail.
+ *
+ * @param {Object} headcount - Headcount document or plain object.
+ * @returns {Object} - The count without its entries, with its tally.
+ */
+const summarizeCount = (headcount) => ({
+  _id: headcount._id,
+  block: headcount.block,
+  blockName: headcount.blockName,
+  countType: headcount.countType,
+  status: headcount.status,
+  discrepancy: headcount.discrepancy,
+  notes: headcount.notes,
+  ...tallyCount(headcount.entries),
+});
+
+/**
+ * Summarizes one inmate's mark on a count for the audit trail.
+ *
+ * @param {Object} headcount - Headcount document.
+ * @param {Object} entry - The count sheet entry.
+ * @returns {Object} - The mark, keyed by the count's ID.
+ */
+const summarizeMark = (headcount, entry) => ({
+  _id: headcount._id,
+  blockName: headcount.blockName,
+  countType: headcount.countType,
+  entry: entry._id,
+  inmateID: entry.inmateID,
+  name: entry.name,
+  status: entry.status,
+  note: entry.note,
+  markedBy: entry.markedBy,
+  markedAt: entry.markedAt,
+  discrepancy: headcount.discrepancy,
+});
+
+module.exports = {
+  buildCountSheet,
+  tallyCount,
+  summarizeCount,
+  summarizeMark,
+};
@@ -0,0 +1,148 @@
+/**
+ * @file housing.js
+ * @description Validates cell and bed assignments for inmates in the PrisonSphere system.
+ * @module utils/housing
+ *
+ * This module:
+ * - Checks that a cell exists and is in use before an inmate is assigned to it.
+ * - Enforces cell capacity and one inmate per bed.
+ * - Picks the lowest free bed when no bed is requested.
+ * - Refuses cells less secure than the inmate's custody classification.
+ * - Refuses cells shared with an inmate they must be kept separate from.
+ * - Builds the cell label stored in `Inmate.assignedCell` (e.g., "A-101").
+ *
+ * Occupancy counts incarcerated inmates only; released and paroled inmates are
+ * unassigned from their cell when their status changes.
+ *
+ * @requires mongoose - MongoDB ODM library.
+ * @requires Cell - The Cell model.
+ * @requires Inmate - The Inmate model.
+ * @requires getPlacementError - Checks placements against custody levels.
+ * @requires getKeepSeparateError - Checks placements against keep-separate alerts.
+ */
+
+const mongoose = require("mongoose");
+const Cell = require("../src/models/Cell");
+const Inmate = require("../src/models/Inmate");
+const { getPlacementError } = require("./classification");
+const { getKeepSeparateError } = require("./alerts");
+
+// Housing fields cleared when an inmate leaves custody
+const UNASSIGNED_HOUSING = { cell: null, bed: null, assignedCell: "" };
+
+// Returned when two requests claim the same bed at the same time
+const BED_CONFLICT_MESSAGE =
+  "⚠ That bed was just assigned to another inmate. Please try again.";
+
+/**
+ * Builds the display label of a cell.
+ *
+ * @param {Object} cell - Cell document with its block populated.
+ * @returns {String} - Label such as "A-101".
+ */
+const getCellLabel = (cell) =>
+  cell.block?.code ? `${cell.block.code}-${cell.cellNumber}` : cell.cellNumber;
+
+/**
+ * Checks whether a request value means "no cell" (multipart forms send strings).
+ *
+ * @param {*} value - Value received for the cell.
+ * @returns {Boolean} - True if no cell was selected.
+ */
+const isEmptyCellValue = (value) =>
+  value === undefined ||
+  value === null ||
+  ["", "null", "undefined"].includes(value);
+
+/**
+ * Validates a cell (and optional bed) assignment.
+ *
+ * @async
+ * @param {String} cellId - ID of the requested cell.
+ * @param {Number|String} [requestedBed] - Requested bed number (lowest free bed if omitted).
+ * @param {String} [inmateId] - Inmate being (re)assigned; their current bed is not counted as taken.
+ * @param {String} [custodyLevel] - The inmate's custody level (unrestricted if not classified).
+ * @returns {Promise<Object>} - `{ cell, bed, assignedCell }` on success, or `{ error }`.
+ */
+const resolveHousingAssignment = async (
+  cellId,
+  requestedBed = null,
+  inmateId = null,
+  custodyLevel = null
+) => {
+  if (!mongoose.Types.ObjectId.isValid(cellId)) {
+    return { error: "⚠ Please select a valid cell." };
+  }
+
+  const cell = await Cell.findById(cellId).populate("block", "code isActive");
+  if (!cell || !cell.isActive || cell.block?.isActive === false) {
+    return { error: "⚠ The selected cell is not available." };
+  }
+  const label = getCellLabel(cell);
+
+  const placementError = getPlacementError(
+    custodyLevel,
+    cell.securityLevel,
+    `cell ${label}`
+  );
+  if (placementError) return { error: placementError };
+
+  const occupants = await Inmate.find({
+    cell: cell._id,
+    status: "Incarcerated",
+    ...(inmateId && { _id: { $ne: inmateId } }),
+  })
+    .select("bed")
+    .lean();
+  const takenBeds = occupants.map((occupant) => occupant.bed);
+
+  const keepSeparateError = await getKeepSeparateError(
+    inmateId,
+    occupants.map((occupant) => occupant._id),
+    `cell ${label}`
+  );
+  if (keepSeparateError) return { error: keepSeparateError };
+
+  let bed = isEmptyCellValue(requestedBed) ? null : Number(requestedBed);
+  if (bed !== null) {
+    if (!Number.isInteger(bed) || bed < 1 || bed > cell.capacity) {
+      return {
+        error: `⚠ Cell ${label} has beds 1 to ${cell.capacity}.`,
+      };
+    }
+    if (takenBeds.includes(bed)) {
+      return { error: `⚠ Bed ${bed} in cell ${label} is already occupied.` };
+    }
+  } else {
+    bed = null;
+    for (let candidate = 1; candidate <= cell.capacity; candidate++) {
+      if (!takenBeds.includes(candidate)) {
+        bed = candidate;
+        break;
+      }
+    }
+    if (bed === null) {
+      return { error: `⚠ Cell ${label} is at full capacity.` };
+    }
+  }
+
+  return { cell: cell._id, bed, assignedCell: label };
+};
+
+/**
+ * Checks whether a save failed because the bed was taken concurrently.
+ *
+ * @param {Error} error - Error thrown by Mongoose.
+ * @returns {Boolean} - True for a duplicate key on the cell/bed index.
+ */
+const isBedConflict = (error) =>
+  error?.code === 11000 && Boolean(error.keyPattern?.cell);
+
+module.exports = {
+  UNASSIGNED_HOUSING,
+  BED_CONFLICT_MESSAGE,
+  getCellLabel,
+  isEmptyCellValue,
+  resolveHousingAssignment,
+  isBedConflict,
+};
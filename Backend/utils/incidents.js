@@ -0,0 +1,137 @@
+/**
+ * @file incidents.js
+ * @description Validates disciplinary sanctions and looks up their effects in the PrisonSphere system.
+ * @module utils/incidents
+ *
+ * This module:
+ * - Validates and normalizes the sanctions imposed at a disciplinary hearing.
+ * - Finds a sanction of a given type that is in force for an inmate (e.g., loss of visits).
+ * - Counts an inmate's guilty findings, which lower the rehabilitation score and
+ *   raise the suggested custody level.
+ *
+ * Sanctions:
+ * - Timed sanctions run for their number of days from the hearing date.
+ * - A loss of good-conduct credit forfeits its number of days on the sentence.
+ * - Warnings carry no days.
+ *
+ * @requires Incident - The Incident model.
+ * @requires incidents - Sanction types.
+ */
+
+const Incident = require("../src/models/Incident");
+const { SANCTION_TYPES, TIMED_SANCTIONS } = require("../src/config/incidents");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates the sanctions imposed at a hearing.
+ *
+ * @param {Array<Object>} sanctions - Sanctions from the request (`type`, `days`, `notes`).
+ * @param {Date} hearingDate - Date the sanctions start.
+ * @returns {Object} - `{ sanctions }` with start and end dates set, or `{ error }`.
+ */
+const validateSanctions = (sanctions = [], hearingDate) => {
+  if (!Array.isArray(sanctions)) {
+    return { error: "⚠ Sanctions must be a list." };
+  }
+
+  const normalized = [];
+  for (const [index, sanction] of sanctions.entries()) {
+    if (!SANCTION_TYPES.includes(sanction.type)) {
+      return {
+        error: `⚠ Sanction ${index + 1}: please select a valid sanction.`,
+      };
+    }
+
+    const days = sanction.type === "Warning" ? 0 : Number(sanction.days);
+    if (sanction.type !== "Warning" && (!Number.isInteger(days) || days < 1)) {
+      return {
+        error: `⚠ Sanction ${index + 1}: days must be a whole number.`,
+      };
+    }
+
+    const startDate = new Date(hearingDate);
+    normalized.push({
+      type: sanction.type,
+      days,
+      startDate,
+      endDate: TIMED_SANCTIONS.includes(sanction.type)
+        ? new Date(startDate.getTime() + days * DAY_MS)
+        : null,
+      notes: sanction.notes || "",
+    });
+  }
+
+  return { sanctions: normalized };
+};
+
+/**
+ * Finds a timed sanction of the given type that is in force for an inmate.
+ *
+ * @async
+ * @param {String} inmateId - The inmate's ID.
+ * @param {String} type - Sanction type (e.g., "Loss of Visits").
+ * @param {Date} [at] - Date to check against (default: now).
+ * @returns {Promise<Object|null>} - `{ incident, sanction }` for the sanction ending last, or null.
+ */
+const getActiveSanction = async (inmateId, type, at = new Date()) => {
+  const incidents = await Incident.find({
+    involvedInmates: {
+      $elemMatch: {
+        inmate: inmateId,
+        outcome: "Guilty",
+        sanctions: {
+          $elemMatch: {
+            type,
+            startDate: { $lte: at },
+            endDate: { $gt: at },
+          },
+        },
+      },
+    },
+  })
+    .select("incidentType occurredAt involvedInmates")
+    .lean();
+
+  let active = null;
+  incidents.forEach((incident) => {
+    incident.involvedInmates
+      .filter((involved) => String(involved.inmate) === String(inmateId))
+      .flatMap((involved) => involved.sanctions)
+      .filter(
+        (sanction) =>
+          sanction.type === type &&
+          new Date(sanction.startDate) <= at &&
+          new Date(sanction.endDate) > at
+      )
+      .forEach((sanction) => {
+        if (!active || sanction.endDate > active.sanction.endDate) {
+          active = { incident, sanction };
+        }
+      });
+  });
+
+  return active;
+};
+
+/**
+ * Counts the incidents an inmate was found guilty of.
+ *
+ * @async
+ * @param {String} inmateId - The inmate's ID.
+ * @param {Date} [since] - Only count incidents that occurred on or after this date.
+ * @returns {Promise<Number>} - Number of guilty findings.
+ */
+const countDisciplinaryFindings = (inmateId, since = null) =>
+  Incident.countDocuments({
+    involvedInmates: {
+      $elemMatch: { inmate: inmateId, role: "Offender", outcome: "Guilty" },
+    },
+    ...(since ? { occurredAt: { $gte: since } } : {}),
+  });
+
+module.exports = {
+  validateSanctions,
+  getActiveSanction,
+  countDisciplinaryFindings,
+};
@@ -0,0 +1,191 @@
+/**
+ * @file loginProtection.js
+ * @description Protects the login endpoint against password guessing in the PrisonSphere system.
+ * @module utils/loginProtection
+ *
+ * This module:
+ * - Records login successes, failures and lockouts in the security log.
+ * - Counts failed attempts per account and locks the account after a threshold.
+ * - Applies an exponential backoff to IP addresses with repeated failures.
+ *
+ * Configuration (environment variables):
+ * - `LOGIN_MAX_FAILED_ATTEMPTS` - Failed attempts before an account is locked (default: 5).
+ * - `LOGIN_LOCKOUT_MINUTES` - How long a locked account stays locked (default: 15).
+ * - `LOGIN_IP_BACKOFF_THRESHOLD` - Failures from one IP before backoff starts (default: 10).
+ * - `LOGIN_IP_WINDOW_MINUTES` - Window in which IP failures are counted (default: 15).
+ *
+ * @requires User - The User model.
+ * @requires SecurityLog - The SecurityLog model.
+ */
+
+const User = require("../src/models/User");
+const SecurityLog = require("../src/models/SecurityLog");
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MS =
+  (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const IP_BACKOFF_THRESHOLD =
+  Number(process.env.LOGIN_IP_BACKOFF_THRESHOLD) || 10;
+const IP_WINDOW_MS =
+  (Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Upper bound for a single IP backoff delay
+const MAX_IP_BACKOFF_MS = 15 * 60 * 1000;
+
+/**
+ * Writes an entry to the security log.
+ * - Logging failures are reported but never block the login flow.
+ *
+ * @async
+ * @param {Object} req - Express request object (used for IP and user agent).
+ * @param {String} event - Security event type (e.g., "LOGIN_FAILURE").
+ * @param {Object} details - Event details.
+ * @param {String} details.username - Username supplied or affected.
+ * @param {Object} [details.user] - The matching user document, if any.
+ * @param {String} [details.reason] - Why the event happened.
+ * @param {String} [details.performedBy] - ID of the warden performing the action.
+ */
+const logSecurityEvent = async (
+  req,
+  event,
+  { username, user = null, reason = null, performedBy = null }
+) => {
+  try {
+    await SecurityLog.create({
+      event,
+      username,
+      user: user?._id || null,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+      reason,
+      performedBy,
+    });
+  } catch (error) {
+    console.error("Error writing security log:", error);
+  }
+};
+
+/**
+ * Checks whether an IP address must wait before trying to log in again.
+ * - Below the threshold no delay is applied.
+ * - Each failure above the threshold doubles the delay (1s, 2s, 4s, ...),
+ *   measured from the most recent failure.
+ *
+ * @async
+ * @param {String} ipAddress - IP address of the login request.
+ * @returns {Promise<Number>} - Seconds to wait before retrying (0 if allowed).
+ */
+const getIpRetryAfter = async (ipAddress) => {
+  const failures = await SecurityLog.find({
+    ipAddress,
+    event: "LOGIN_FAILURE",
+    createdAt: { $gte: new Date(Date.now() - IP_WINDOW_MS) },
+  })
+    .select("createdAt")
+    .sort({ createdAt: -1 })
+    .limit(IP_BACKOFF_THRESHOLD + 20)
+    .lean();
+
+  if (!failures || failures.length < IP_BACKOFF_THRESHOLD) return 0;
+
+  const delayMs = Math.min(
+    1000 * 2 ** (failures.length - IP_BACKOFF_THRESHOLD),
+    MAX_IP_BACKOFF_MS
+  );
+  const retryAt = new Date(failures[0].createdAt).getTime() + delayMs;
+
+  return Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+};
+
+/**
+ * Checks whether an account is currently locked.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Boolean} - True if the lockout has not yet expired.
+ */
+const isAccountLocked = (user) =>
+  Boolean(user.lockedUntil && user.lockedUntil > new Date());
+
+/**
+ * Records a failed password attempt against an account.
+ * - Uses atomic updates so parallel guesses cannot bypass the threshold.
+ * - Counters from an expired lockout start again from zero.
+ * - Locks the account once the threshold is reached.
+ *
+ * @async
+ * @param {Object} user - The user document.
+ * @returns {Promise<Boolean>} - True if this attempt locked the account.
+ */
+const registerFailedAttempt = async (user) => {
+  const now = new Date();
+  const lockExpired = user.lockedUntil && user.lockedUntil <= now;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    lockExpired
+      ? {
+          $set: {
+            failedLoginAttempts: 1,
+            lockedUntil: null,
+            lastFailedLoginAt: now,
+          },
+        }
+      : {
+          $inc: { failedLoginAttempts: 1 },
+          $set: { lastFailedLoginAt: now },
+        },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+    return false;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        lockedUntil: new Date(Date.now() + LOCKOUT_MS),
+        failedLoginAttempts: 0,
+      },
+    }
+  );
+  return true;
+};
+
+/**
+ * Clears the failed-attempt counter after a successful login.
+ *
+ * @async
+ * @param {Object} user - The user document.
+ */
+const resetFailedAttempts = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+        lastLoginAt: new Date(),
+      },
+    }
+  );
+};
+
+/**
+ * Formats the remaining lockout time for error messages.
+ *
+ * @param {Date} lockedUntil - When the lockout expires.
+ * @returns {Number} - Minutes remaining (at least 1).
+ */
+const getLockoutMinutesRemaining = (lockedUntil) =>
+  Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+
+module.exports = {
+  logSecurityEvent,
+  getIpRetryAfter,
+  isAccountLocked,
+  registerFailedAttempt,
+  resetFailedAttempts,
+  getLockoutMinutesRemaining,
+};
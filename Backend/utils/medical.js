@@ -0,0 +1,199 @@
+/**
+ * @file medical.js
+ * @description Validates medical record entries and shields clinical details from non-medical staff in the PrisonSphere system.
+ * @module utils/medical
+ *
+ * This module:
+ * - Validates allergies, conditions and medications before they are recorded or updated.
+ * - Builds the alerts shown to all staff for inmates with allergies or flagged conditions,
+ *   without the allergen or diagnosis.
+ * - Hides the description of "Health Session" activity logs from staff without medical access.
+ *
+ * Usage:
+ * - `medicalController` validates entries and serves the alerts.
+ * - `activityLogController`, `inmateController` and `workProgramEnrollmentController`
+ *   redact health sessions before returning activity logs.
+ *
+ * @requires MedicalRecord - The MedicalRecord model.
+ * @requires medical - Clinical vocabularies and alert severities.
+ * @requires permissions - Checks whether the user has medical access.
+ */
+
+const MedicalRecord = require("../src/models/MedicalRecord");
+const {
+  ALLERGY_SEVERITIES,
+  ALLERGY_ALERT_SEVERITY,
+  CONDITION_STATUSES,
+  MEDICATION_ROUTES,
+  MEDICATION_STATUSES,
+} = require("../src/config/medical");
+const { PERMISSIONS, hasPermission } = require("../src/config/permissions");
+
+// Activity log type that may contain clinical details
+const HEALTH_SESSION = "Health Session";
+
+// Shown instead of clinical details to staff without medical access
+const RESTRICTED_TEXT = "Restricted to medical staff";
+
+// Alert severities, least to most severe
+const ALERT_SEVERITY_ORDER = ["Low", "Medium", "High"];
+
+/**
+ * Validates the fields of an allergy.
+ * - Only the fields present are checked, so the same rules apply to updates.
+ *
+ * @param {Object} fields - Allergen and severity.
+ * @returns {String|null} - Error message, or null if the fields are valid.
+ */
+const validateAllergy = ({ allergen, severity }) => {
+  if (allergen !== undefined && !allergen?.trim()) {
+    return "⚠ Please enter the allergen.";
+  }
+  if (severity !== undefined && !ALLERGY_SEVERITIES.includes(severity)) {
+    return "⚠ Please select a valid severity.";
+  }
+  return null;
+};
+
+/**
+ * Validates the fields of a condition.
+ *
+ * @param {Object} fields - Name, status and diagnosis date.
+ * @returns {String|null} - Error message, or null if the fields are valid.
+ */
+const validateCondition = ({ name, status, diagnosedAt }) => {
+  if (name !== undefined && !name?.trim()) {
+    return "⚠ Please enter the diagnosis.";
+  }
+  if (status !== undefined && !CONDITION_STATUSES.includes(status)) {
+    return "⚠ Please select a valid status.";
+  }
+  if (diagnosedAt && isNaN(new Date(diagnosedAt))) {
+    return "⚠ Please enter a valid diagnosis date.";
+  }
+  return null;
+};
+
+/**
+ * Validates the fields of a medication.
+ *
+ * @param {Object} fields - Name, dose, route, frequency, status and dates.
+ * @returns {String|null} - Error message, or null if the fields are valid.
+ */
+const validateMedication = ({
+  name,
+  dose,
+  route,
+  frequency,
+  status,
+  startDate,
+  endDate,
+}) => {
+  if (name !== undefined && !name?.trim()) {
+    return "⚠ Please enter the medication.";
+  }
+  if (dose !== undefined && !dose?.trim()) {
+    return "⚠ Please enter the dose.";
+  }
+  if (frequency !== undefined && !frequency?.trim()) {
+    return "⚠ Please enter how often it is given.";
+  }
+  if (route !== undefined && !MEDICATION_ROUTES.includes(route)) {
+    return "⚠ Please select a valid route.";
+  }
+  if (status !== undefined && !MEDICATION_STATUSES.includes(status)) {
+    return "⚠ Please select a valid status.";
+  }
+  if (startDate !== undefined && isNaN(new Date(startDate))) {
+    return "⚠ Please enter a valid start date.";
+  }
+  if (endDate) {
+    if (isNaN(new Date(endDate))) return "⚠ Please enter a valid end date.";
+    if (startDate && new Date(endDate) < new Date(startDate)) {
+      return "⚠ The end date cannot be before the start date.";
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the medical alerts for several inmates.
+ * - One "Allergy" alert per inmate with active allergies, at the highest severity.
+ * - One "Medical Condition" alert per inmate with active conditions flagged for staff.
+ * - Neither alert names the allergen or the diagnosis.
+ *
+ * @async
+ * @param {Array<String>} inmateIds - IDs of the inmates.
+ * @returns {Promise<Object<String, Array<Object>>>} - Alerts (`_id`, `type`, `severity`,
+ *   `description`) keyed by inmate ID; inmates without alerts are omitted.
+ */
+const getMedicalAlerts = async (inmateIds) => {
+  const records = await MedicalRecord.find({ inmate: { $in: inmateIds } })
+    .select("inmate allergies.severity allergies.isActive conditions")
+    .lean();
+
+  const alertsByInmate = {};
+  records.forEach((record) => {
+    const alerts = [];
+
+    const severities = record.allergies
+      .filter((allergy) => allergy.isActive)
+      .map((allergy) => ALLERGY_ALERT_SEVERITY[allergy.severity]);
+    if (severities.length > 0) {
+      alerts.push({
+        _id: `${record.inmate}-allergy`,
+        type: "Allergy",
+        severity: severities.reduce((highest, severity) =>
+          ALERT_SEVERITY_ORDER.indexOf(severity) >
+          ALERT_SEVERITY_ORDER.indexOf(highest)
+            ? severity
+            : highest
+        ),
+        description: `Allergy on record. ${RESTRICTED_TEXT}.`,
+      });
+    }
+
+    if (
+      record.conditions.some(
+        (condition) => condition.status === "Active" && condition.staffAlert
+      )
+    ) {
+      alerts.push({
+        _id: `${record.inmate}-condition`,
+        type: "Medical Condition",
+        severity: "Medium",
+        description: `Medical condition on record. ${RESTRICTED_TEXT}.`,
+      });
+    }
+
+    if (alerts.length > 0) alertsByInmate[record.inmate] = alerts;
+  });
+
+  return alertsByInmate;
+};
+
+/**
+ * Hides the description of health session activity logs from staff without medical access.
+ *
+ * @param {Array<Object>} logs - Activity logs (documents or plain objects).
+ * @param {String} role - The user's role.
+ * @returns {Array<Object>} - The logs, with health session descriptions replaced.
+ */
+const redactHealthSessions = (logs, role) => {
+  if (hasPermission(role, PERMISSIONS.MEDICAL_VIEW)) return logs;
+
+  return logs.map((log) => {
+    if (log.activityType !== HEALTH_SESSION) return log;
+    const plain = typeof log.toObject === "function" ? log.toObject() : log;
+    return { ...plain, description: RESTRICTED_TEXT };
+  });
+};
+
+module.exports = {
+  HEALTH_SESSION,
+  validateAllergy,
+  validateCondition,
+  validateMedication,
+  getMedicalAlerts,
+  redactHealthSessions,
+};
@@ -0,0 +1,123 @@
+/**
+ * @file movements.js
+ * @description Records inmate movements in the PrisonSphere system.
+ * @module utils/movements
+ *
+ * This module:
+ * - Works out where an inmate is currently held (their cell, or the outside
+ *   location of their last external transfer).
+ * - Writes a `Movement` whenever an inmate's housing changes.
+ *
+ * Usage:
+ * - `inmateController` records movements on admission, housing updates and release.
+ * - `paroleController` records a release when parole is approved.
+ * - `movementController` records transfers requested through the transfer endpoint.
+ *
+ * @requires Movement - The Movement model.
+ */
+
+const Movement = require("../src/models/Movement");
+
+/**
+ * Returns the inmate's current cell and bed.
+ *
+ * @param {Object} inmate - Inmate document or plain object.
+ * @returns {Object|null} - `{ cell, bed, location }`, or null if the inmate has no cell.
+ */
+const getHousingLocation = (inmate) =>
+  inmate?.cell
+    ? {
+        cell: inmate.cell,
+        bed: inmate.bed ?? null,
+        location: inmate.assignedCell || "",
+      }
+    : null;
+
+/**
+ * Returns where the inmate is currently held.
+ * - Inmates without a cell are at the outside location of their last movement, if any.
+ *
+ * @async
+ * @param {Object} inmate - Inmate document or plain object.
+ * @returns {Promise<Object|null>} - `{ cell, bed, location }`, or null if unknown.
+ */
+const getCurrentLocation = async (inmate) => {
+  const housing = getHousingLocation(inmate);
+  if (housing) return housing;
+
+  const lastMovement = await Movement.findOne({ inmate: inmate._id })
+    .sort({ movedAt: -1 })
+    .lean();
+
+  return lastMovement?.movementType === "External Transfer"
+    ? lastMovement.to
+    : null;
+};
+
+/**
+ * Works out the movement type from where the inmate moved from and to.
+ *
+ * @param {Object|null} from - Previous location.
+ * @param {Object} to - New location.
+ * @returns {String} - Movement type.
+ */
+const getMovementType = (from, to) => {
+  if (!to.cell) return "External Transfer";
+  if (from?.cell) return "Internal Transfer";
+  return from?.location ? "Return" : "Housing Assignment";
+};
+
+/**
+ * Checks whether two locations are the same cell and bed (or outside location).
+ *
+ * @param {Object|null} from - Previous location.
+ * @param {Object|null} to - New location.
+ * @returns {Boolean} - True if the inmate did not move.
+ */
+const isSameLocation = (from, to) =>
+  from?.cell || to?.cell
+    ? String(from?.cell) === String(to?.cell) && from.bed === to.bed
+    : (from?.location || "") === (to?.location || "");
+
+/**
+ * Writes a movement record.
+ * - Nothing is recorded if the inmate stays in the same place.
+ * - Failures are reported but never undo the housing change itself.
+ *
+ * @async
+ * @param {Object|null} req - Express request (used for the authorizing officer).
+ * @param {Object} details - Movement details.
+ * @param {String} details.inmate - ID of the inmate who moved.
+ * @param {Object|null} details.from - Previous location (`{ cell, bed, location }`).
+ * @param {Object} details.to - New location (`{ cell, bed, location }`).
+ * @param {String} details.reason - Reason for the movement.
+ * @param {String} [details.movementType] - Movement type (worked out from the locations if omitted).
+ * @returns {Promise<Object|null>} - The created movement, or null if none was recorded.
+ */
+const recordMovement = async (
+  req,
+  { inmate, from, to, reason, movementType = null }
+) => {
+  try {
+    if (!movementType && isSameLocation(from, to)) return null;
+
+    return await Movement.create({
+      inmate,
+      movementType: movementType || getMovementType(from, to),
+      from,
+      to,
+      reason,
+      authorizedBy: req?.user?.id || null,
+    });
+  } catch (error) {
+    console.error("Error recording movement:", error);
+    return null;
+  }
+};
+
+module.exports = {
+  getHousingLocation,
+  getCurrentLocation,
+  getMovementType,
+  recordMovement,
+};
@@ -0,0 +1,63 @@
+/**
+ * @file pdfPrinter.js
+ * @description Shared pdfmake printer for the PDF documents generated by PrisonSphere.
+ * @module utils/pdfPrinter
+ *
+ * This module:
+ * - Loads the Roboto fonts used by every PDF.
+ * - Exposes the watermark logo printed behind report content.
+ * - Renders a pdfmake document definition and sends it as a download.
+ *
+ * Usage:
+ * - `inmateController` generates the inmate information and rehabilitation reports.
+ * - `releaseController` generates discharge certificates.
+ * - `propertyController` generates property receipts.
+ *
+ * @requires pdfmake - PDF generation library.
+ * @requires path - Node.js path module for resolving font and image files.
+ */
+
+const PdfPrinter = require("pdfmake");
+const path = require("path");
+
+//  Load Custom Fonts for Pdfmake
+const fonts = {
+  Roboto: {
+    normal: path.join(__dirname, "../src/fonts/Roboto-Regular.ttf"),
+    bold: path.join(__dirname, "../src/fonts/Roboto-Bold.ttf"),
+  },
+};
+
+// Define the background watermark logo path
+const backgroundLogo = path.resolve(__dirname, "../src/assets/logoBlue.png");
+
+const printer = new PdfPrinter(fonts);
+
+/**
+ * Renders a PDF and sends it as an attachment.
+ *
+ * @param {Object} res - Express response.
+ * @param {Object} docDefinition - pdfmake document definition.
+ * @param {String} fileName - Name of the downloaded file.
+ */
+const sendPdf = (res, docDefinition, fileName) => {
+  const pdfDoc = printer.createPdfKitDocument(docDefinition);
+  const chunks = [];
+
+  // Collect PDF Data
+  pdfDoc.on("data", (chunk) => chunks.push(chunk));
+
+  pdfDoc.on("end", () => {
+    const pdfBuffer = Buffer.concat(chunks);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Content-Length": pdfBuffer.length,
+    });
+    res.send(pdfBuffer);
+  });
+
+  pdfDoc.end();
+};
+
+module.exports = { printer, backgroundLogo, sendPdf };
@@ -0,0 +1,148 @@
+/**
+ * @file property.js
+ * @description Validates inmate property inventories and reconciles them at release in the PrisonSphere system.
+ * @module utils/property
+ *
+ * This module:
+ * - Validates the items and signatures of an admission inventory.
+ * - Applies a release reconciliation, flagging items that were not returned as missing.
+ * - Summarizes whether an inmate's property has been reconciled for release.
+ *
+ * Usage:
+ * - `propertyController` records inventories and reconciliations.
+ * - `releaseController` checks the reconciliation as part of the discharge checklist.
+ *
+ * @requires property - Property conditions.
+ */
+
+const { PROPERTY_CONDITIONS } = require("../src/config/property");
+
+/**
+ * Validates the signatures of both parties.
+ *
+ * @param {Object} body - Request body with `inmateSignature` and `staffSignature`.
+ * @returns {{ signatures: Object }|{ error: String }} - Trimmed signatures, or an error message.
+ */
+const validateSignatures = ({ inmateSignature, staffSignature }) => {
+  if (!inmateSignature?.trim() || !staffSignature?.trim()) {
+    return {
+      error: "⚠ Both the inmate and the officer must sign the property record.",
+    };
+  }
+  return {
+    signatures: {
+      inmateSignature: inmateSignature.trim(),
+      staffSignature: staffSignature.trim(),
+    },
+  };
+};
+
+/**
+ * Validates the items of an admission inventory.
+ *
+ * @param {Array<Object>} items - Items from the request body.
+ * @returns {{ items: Array<Object> }|{ error: String }} - Cleaned items, or an error message.
+ */
+const validatePropertyItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: "⚠ Please list at least one item." };
+  }
+
+  const cleaned = [];
+  for (const entry of items) {
+    if (!entry.item?.trim() || !entry.storageLocation?.trim()) {
+      return {
+        error: "⚠ Every item needs a name and a storage location.",
+      };
+    }
+    if (!PROPERTY_CONDITIONS.includes(entry.condition)) {
+      return {
+        error: `⚠ Please select the condition of "${entry.item.trim()}".`,
+      };
+    }
+    const quantity = Number(entry.quantity || 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return {
+        error: `⚠ The quantity of "${entry.item.trim()}" must be a whole number.`,
+      };
+    }
+
+    cleaned.push({
+      ...(entry._id && { _id: entry._id }),
+      item: entry.item.trim(),
+      description: entry.description?.trim() || "",
+      quantity,
+      condition: entry.condition,
+      storageLocation: entry.storageLocation.trim(),
+    });
+  }
+  return { items: cleaned };
+};
+
+/**
+ * Applies a release reconciliation to the stored items.
+ * - Every stored item must be accounted for, either returned or missing.
+ *
+ * @param {Array<Object>} storedItems - The inventory's item subdocuments (updated in place).
+ * @param {Array<Object>} returns - `{ _id, returned, returnedCondition, returnNotes }` per item.
+ * @returns {{ missing: Array<Object> }|{ error: String }} - Items flagged missing, or an error message.
+ */
+const reconcilePropertyItems = (storedItems, returns) => {
+  if (!Array.isArray(returns)) {
+    return { error: "⚠ Please account for every item in the inventory." };
+  }
+
+  const byId = new Map(returns.map((entry) => [String(entry._id), entry]));
+  if (
+    byId.size !== storedItems.length ||
+    storedItems.some((item) => !byId.has(String(item._id)))
+  ) {
+    return { error: "⚠ Please account for every item in the inventory." };
+  }
+
+  for (const item of storedItems) {
+    const entry = byId.get(String(item._id));
+    const returned = [true, "true"].includes(entry.returned);
+    if (
+      returned &&
+      entry.returnedCondition &&
+      !PROPERTY_CONDITIONS.includes(entry.returnedCondition)
+    ) {
+      return {
+        error: `⚠ Please select the condition "${item.item}" was returned in.`,
+      };
+    }
+
+    item.set({
+      status: returned ? "Returned" : "Missing",
+      returnedCondition: returned
+        ? entry.returnedCondition || item.condition
+        : null,
+      returnNotes: entry.returnNotes?.trim() || "",
+    });
+  }
+
+  return { missing: storedItems.filter((item) => item.status === "Missing") };
+};
+
+/**
+ * Summarizes the reconciliation of an inmate's property.
+ *
+ * @param {Object} inmate - Inmate document or plain object.
+ * @returns {{ inventoried: Boolean, reconciled: Boolean, missing: Number }} - Inventory state.
+ */
+const getPropertyReconciliation = (inmate) => {
+  const items = inmate.property?.items || [];
+  return {
+    inventoried: items.length > 0,
+    reconciled: Boolean(inmate.property?.release),
+    missing: items.filter((item) => item.status === "Missing").length,
+  };
+};
+
+module.exports = {
+  validateSignatures,
+  validatePropertyItems,
+  reconcilePropertyItems,
+  getPropertyReconciliation,
+};
@@ -0,0 +1,268 @@
+/**
+ * @file sentence.js
+ * @description Computes inmate sentences and projected release dates in the PrisonSphere system.
+ * @module utils/sentence
+ *
+ * This module:
+ * - Validates structured sentences (length in months, start date, concurrent or consecutive).
+ * - Works out when each sentence ends and the full term of all sentences together.
+ * - Deducts credits (time served, good conduct) to give the projected release date.
+ * - Takes good-conduct days forfeited at disciplinary hearings off the good-conduct
+ *   credit (never below zero).
+ * - Keeps the stored `sentenceDuration` and `projectedReleaseDate` in step with the sentences.
+ *
+ * Computation:
+ * - A concurrent sentence runs from its own start date.
+ * - A consecutive sentence starts when the previous sentence ends (or on its own
+ *   start date, if that is later).
+ * - The full term ends when the last sentence ends; credits are deducted from it, but
+ *   the projected release date is never before the sentence start.
+ * - Inmates recorded before structured sentences were introduced are treated as
+ *   having one sentence of `sentenceDuration` months from their admission date.
+ *
+ * @requires SENTENCE_RELATIONS - Concurrent or consecutive.
+ * @requires SENTENCE_CREDIT_TYPES - Credit types.
+ */
+
+const {
+  SENTENCE_RELATIONS,
+  SENTENCE_CREDIT_TYPES,
+  GOOD_CONDUCT_FORFEITURE,
+} = require("../src/config/sentences");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Average month length, used to express the full term in months
+const AVERAGE_MONTH_DAYS = 30.4375;
+
+/**
+ * Adds whole months to a date, keeping the day of the month where possible
+ * (e.g., 31 January + 1 month = 28 or 29 February).
+ *
+ * @param {Date} date - Start date.
+ * @param {Number} months - Months to add.
+ * @returns {Date} - The resulting date.
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Returns the inmate's sentences, falling back to a single sentence built from
+ * `sentenceDuration` and the admission date for older records.
+ *
+ * @param {Object} inmate - Inmate document or plain object.
+ * @returns {Array<Object>} - Sentences in the order they were imposed.
+ */
+const getSentences = (inmate) => {
+  if (inmate.sentences?.length) return inmate.sentences;
+  if (!inmate.sentenceDuration) return [];
+  return [
+    {
+      lengthMonths: Math.round(inmate.sentenceDuration),
+      startDate: inmate.admissionDate,
+      relation: "Concurrent",
+    },
+  ];
+};
+
+/**
+ * Computes an inmate's sentence and projected release date.
+ *
+ * @param {Object} inmate - Inmate document or plain object.
+ * @param {Date} [asOf=new Date()] - Date used for the days remaining.
+ * @returns {Object|null} - `{ sentences, startDate, fullTermDate, totalMonths, timeServedDays,
+ *   goodConductDays, forfeitedDays, creditDays, projectedReleaseDate, daysRemaining }`, or null if the
+ *   inmate has no sentence.
+ */
+const computeSentence = (inmate, asOf = new Date()) => {
+  const sentences = getSentences(inmate);
+  if (!sentences.length) return null;
+
+  let previousEnd = null;
+  const terms = sentences.map((sentence) => {
+    const plain =
+      typeof sentence.toObject === "function" ? sentence.toObject() : sentence;
+    const ownStart = new Date(plain.startDate || inmate.admissionDate);
+    const effectiveStartDate =
+      plain.relation === "Consecutive" && previousEnd > ownStart
+        ? previousEnd
+        : ownStart;
+    const endDate = addMonths(effectiveStartDate, plain.lengthMonths);
+    previousEnd = endDate;
+    return { ...plain, effectiveStartDate, endDate };
+  });
+
+  const startDate = new Date(
+    Math.min(
+      ...terms.map(
+        (term) => new Date(term.startDate || term.effectiveStartDate)
+      )
+    )
+  );
+  const fullTermDate = new Date(Math.max(...terms.map((term) => term.endDate)));
+
+  const sumCredits = (type) =>
+    (inmate.sentenceCredits || [])
+      .filter((credit) => credit.type === type)
+      .reduce((total, credit) => total + credit.days, 0);
+  const timeServedDays = sumCredits("Time Served");
+  const goodConductDays = sumCredits("Good Conduct");
+  const forfeitedDays = sumCredits(GOOD_CONDUCT_FORFEITURE);
+  const creditDays =
+    timeServedDays + Math.max(0, goodConductDays - forfeitedDays);
+
+  const projectedReleaseDate = new Date(
+    Math.max(startDate.getTime(), fullTermDate.getTime() - creditDays * DAY_MS)
+  );
+
+  return {
+    sentences: terms,
+    startDate,
+    fullTermDate,
+    totalMonths: Math.round(
+      (fullTermDate - startDate) / (AVERAGE_MONTH_DAYS * DAY_MS)
+    ),
+    timeServedDays,
+    goodConductDays,
+    forfeitedDays,
+    creditDays,
+    projectedReleaseDate,
+    daysRemaining: Math.max(
+      0,
+      Math.ceil((projectedReleaseDate - new Date(asOf)) / DAY_MS)
+    ),
+  };
+};
+
+/**
+ * Returns the stored fields derived from an inmate's sentences.
+ *
+ * @param {Object} inmate - Inmate document or plain object.
+ * @returns {Object} - `{ sentenceDuration, projectedReleaseDate }` (empty if there is no sentence).
+ */
+const getSentenceFields = (inmate) => {
+  const sentence = computeSentence(inmate);
+  if (!sentence) return {};
+  return {
+    sentenceDuration: sentence.totalMonths,
+    projectedReleaseDate: sentence.projectedReleaseDate,
+  };
+};
+
+/**
+ * Validates a list of sentences.
+ *
+ * @param {Array<Object>} sentences - Sentences from the request.
+ * @param {Date} admissionDate - Used when a sentence has no start date.
+ * @returns {Object} - `{ sentences }` with normalized values, or `{ error }`.
+ */
+const validateSentences = (sentences, admissionDate) => {
+  if (!Array.isArray(sentences) || sentences.length === 0) {
+    return { error: "⚠ Please add at least one sentence." };
+  }
+
+  const normalized = [];
+  for (const [index, sentence] of sentences.entries()) {
+    const lengthMonths = Number(sentence.lengthMonths);
+    const startDate = new Date(sentence.startDate || admissionDate);
+    const relation = sentence.relation || "Concurrent";
+
+    if (!Number.isInteger(lengthMonths) || lengthMonths < 1) {
+      return {
+        error: `⚠ Sentence ${
+          index + 1
+        }: length must be a whole number of months.`,
+      };
+    }
+    if (isNaN(startDate.getTime())) {
+      return { error: `⚠ Sentence ${index + 1}: start date is invalid.` };
+    }
+    if (!SENTENCE_RELATIONS.includes(relation)) {
+      return {
+        error: `⚠ Sentence ${index + 1}: must be concurrent or consecutive.`,
+      };
+    }
+
+    normalized.push({
+      description: sentence.description || "",
+      lengthMonths,
+      startDate,
+      relation,
+    });
+  }
+
+  return { sentences: normalized };
+};
+
+/**
+ * Validates a sentence credit.
+ *
+ * @param {Object} credit - Credit from the request (`type`, `days`, `note`).
+ * @returns {Object} - `{ credit }` with normalized values, or `{ error }`.
+ */
+const validateSentenceCredit = ({ type, days, note }) => {
+  const parsedDays = Number(days);
+
+  if (!SENTENCE_CREDIT_TYPES.includes(type)) {
+    return { error: "⚠ Please select a valid credit type." };
+  }
+  if (!Number.isInteger(parsedDays) || parsedDays < 1) {
+    return { error: "⚠ Credit must be a whole number of days." };
+  }
+
+  return { credit: { type, days: parsedDays, note: note || "" } };
+};
+
+/**
+ * Keeps a single-sentence record in step with the inmate form, which edits the
+ * sentence as `sentenceDuration` and `admissionDate`.
+ * - Inmates with several sentences are edited through the sentence endpoints instead.
+ * - A sentence that started on the admission date moves with it.
+ *
+ * @param {Object} inmate - Inmate document before the update.
+ * @param {Object} changes - `sentenceDuration` and `admissionDate` from the update.
+ * @returns {Array<Object>|null} - The updated sentence list, or null if unchanged.
+ */
+const syncSingleSentence = (inmate, { sentenceDuration, admissionDate }) => {
+  if (inmate.sentences?.length > 1) return null;
+  if (!sentenceDuration && !admissionDate) return null;
+
+  const current = inmate.sentences?.[0];
+  const plain = current?.toObject ? current.toObject() : current;
+  const followsAdmission =
+    !plain ||
+    new Date(plain.startDate).getTime() ===
+      new Date(inmate.admissionDate).getTime();
+
+  return [
+    {
+      ...(plain || { relation: "Concurrent" }),
+      lengthMonths: Math.round(
+        Number(
+          sentenceDuration || plain?.lengthMonths || inmate.sentenceDuration
+        )
+      ),
+      startDate: followsAdmission
+        ? new Date(admissionDate || inmate.admissionDate)
+        : plain.startDate,
+    },
+  ];
+};
+
+module.exports = {
+  addMonths,
+  computeSentence,
+  getSentenceFields,
+  validateSentences,
+  validateSentenceCredit,
+  syncSingleSentence,
+};
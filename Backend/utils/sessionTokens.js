@@ -0,0 +1,208 @@
+/**
+ * @file sessionTokens.js
+ * @description Issues, rotates and revokes login sessions for the PrisonSphere system.
+ * @module utils/sessionTokens
+ *
+ * This module:
+ * - Signs short-lived JWT access tokens bound to a server-side session.
+ * - Generates opaque refresh tokens and stores only their hash.
+ * - Sets and clears the authentication cookies.
+ * - Revokes sessions for a single user.
+ * - Signs the short-lived challenge tokens used between the password and two-factor steps.
+ *
+ * Token Lifetimes:
+ * - Access token: 15 minutes (sent as Bearer token or `token` cookie).
+ * - Refresh token: 7 days from login (HTTP-only `refreshToken` cookie, rotated on every use).
+ * - Two-factor challenge token: 5 minutes (returned in the login response body).
+ *
+ * @requires crypto - Node.js crypto module for token generation and hashing.
+ * @requires jsonwebtoken - Library for signing JWT tokens.
+ * @requires Session - The Session model.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../src/models/Session");
+
+const ACCESS_TOKEN_TTL = "15m";
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const CHALLENGE_TOKEN_TTL = "5m";
+const CHALLENGE_TOKEN_PURPOSE = "two-factor";
+
+// Refresh cookie is only sent to the auth endpoints
+const REFRESH_COOKIE_PATH = "/prisonsphere/auth";
+
+/**
+ * Hashes a refresh token so the raw value is never stored.
+ *
+ * @param {String} token - The raw refresh token.
+ * @returns {String} - Hex-encoded SHA-256 hash.
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Generates a new opaque refresh token.
+ *
+ * @returns {String} - 64 random bytes encoded as hex.
+ */
+const generateRefreshToken = () => crypto.randomBytes(64).toString("hex");
+
+/**
+ * Signs a JWT access token for a user and session.
+ *
+ * @param {Object} user - The authenticated user document.
+ * @param {ObjectId} sessionId - The session the token belongs to.
+ * @returns {String} - Signed JWT.
+ */
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+/**
+ * Sets the access and refresh token cookies.
+ *
+ * @param {Object} res - Express response object.
+ * @param {String} accessToken - Signed JWT access token.
+ * @param {String} refreshToken - Raw refresh token.
+ * @param {Date} expiresAt - Session expiry (used for the refresh cookie).
+ */
+const setAuthCookies = (res, accessToken, refreshToken, expiresAt) => {
+  res.cookie("token", accessToken, {
+    httpOnly: true,
+    secure: true,
+    sameSite: "Strict",
+    maxAge: ACCESS_TOKEN_TTL_MS,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    httpOnly: true,
+    secure: true,
+    sameSite: "Strict",
+    path: REFRESH_COOKIE_PATH,
+    expires: expiresAt,
+  });
+};
+
+/**
+ * Clears the access and refresh token cookies.
+ *
+ * @param {Object} res - Express response object.
+ */
+const clearAuthCookies = (res) => {
+  res.cookie("token", "", { expires: new Date(0) });
+  res.cookie("refreshToken", "", {
+    expires: new Date(0),
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+/**
+ * Starts a new session for a user and sets the auth cookies.
+ *
+ * @async
+ * @param {Object} req - Express request object (used for IP and user agent).
+ * @param {Object} res - Express response object.
+ * @param {Object} user - The authenticated user document.
+ * @returns {Promise<String>} - The access token for the new session.
+ */
+const startSession = async (req, res, user) => {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  const accessToken = signAccessToken(user, session._id);
+  setAuthCookies(res, accessToken, refreshToken, expiresAt);
+
+  return accessToken;
+};
+
+/**
+ * Rotates the refresh token of an active session and sets the new cookies.
+ *
+ * @async
+ * @param {Object} res - Express response object.
+ * @param {Object} session - The session being refreshed.
+ * @param {Object} user - The session's user document.
+ * @returns {Promise<String>} - A new access token.
+ */
+const rotateSession = async (res, session, user) => {
+  const refreshToken = generateRefreshToken();
+
+  session.previousRefreshTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  const accessToken = signAccessToken(user, session._id);
+  setAuthCookies(res, accessToken, refreshToken, session.expiresAt);
+
+  return accessToken;
+};
+
+/**
+ * Revokes every active session of a user.
+ *
+ * @async
+ * @param {ObjectId} userId - The user whose sessions are revoked.
+ * @param {String} reason - Why the sessions are revoked.
+ * @param {ObjectId} [revokedBy] - The warden revoking the sessions, if any.
+ * @returns {Promise<Number>} - Number of sessions revoked.
+ */
+const revokeUserSessions = async (userId, reason, revokedBy = null) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Signs a challenge token proving the password step succeeded.
+ * - Carries no session ID, so `protect` never accepts it as an access token.
+ *
+ * @param {Object} user - The user who passed the password check.
+ * @returns {String} - Signed JWT.
+ */
+const signChallengeToken = (user) =>
+  jwt.sign(
+    { id: user._id, purpose: CHALLENGE_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+
+/**
+ * Verifies a challenge token and returns the user ID it was issued for.
+ *
+ * @param {String} token - Challenge token from the login response.
+ * @returns {String|null} - The user ID, or null if the token is invalid or expired.
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_TOKEN_PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  hashToken,
+  startSession,
+  rotateSession,
+  clearAuthCookies,
+  revokeUserSessions,
+  signChallengeToken,
+  verifyChallengeToken,
+};
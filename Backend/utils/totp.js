@@ -0,0 +1,201 @@
+/**
+ * @file totp.js
+ * @description Time-based one-time passwords (RFC 6238) for two-factor authentication.
+ * @module utils/totp
+ *
+ * This module:
+ * - Generates Base32 secrets compatible with authenticator apps.
+ * - Builds `otpauth://` provisioning URIs for enrollment.
+ * - Generates and verifies 6-digit codes (30-second steps, HMAC-SHA1).
+ * - Generates one-time recovery codes.
+ *
+ * Security Features:
+ * - Accepts codes from one step before/after the current one to tolerate clock drift.
+ * - Rejects codes from steps already used, so an intercepted code cannot be replayed.
+ * - Compares codes in constant time.
+ *
+ * @requires crypto - Node.js crypto module for HMAC and random bytes.
+ */
+
+const crypto = require("crypto");
+
+const ISSUER = "PrisonSphere";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encodes bytes as unpadded Base32 (RFC 4648).
+ *
+ * @param {Buffer} buffer - Bytes to encode.
+ * @returns {String} - Base32 string.
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+/**
+ * Decodes a Base32 string (case-insensitive, spaces and padding ignored).
+ *
+ * @param {String} input - Base32 string.
+ * @returns {Buffer} - Decoded bytes.
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid Base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random TOTP secret.
+ *
+ * @returns {String} - 160-bit secret encoded as Base32.
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Builds the provisioning URI scanned or entered by authenticator apps.
+ *
+ * @param {String} username - Account name shown in the app.
+ * @param {String} secret - Base32 TOTP secret.
+ * @returns {String} - `otpauth://totp/...` URI.
+ */
+const buildOtpauthUrl = (username, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Returns the time step for a timestamp.
+ *
+ * @param {Number} [timestamp=Date.now()] - Milliseconds since the epoch.
+ * @returns {Number} - Number of 30-second steps since the epoch.
+ */
+const getTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generates the code for a secret at a given time step (HOTP, RFC 4226).
+ *
+ * @param {String} secret - Base32 TOTP secret.
+ * @param {Number} step - Time step.
+ * @returns {String} - Zero-padded 6-digit code.
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, "0");
+};
+
+/**
+ * Generates the current code for a secret.
+ *
+ * @param {String} secret - Base32 TOTP secret.
+ * @param {Number} [timestamp=Date.now()] - Milliseconds since the epoch.
+ * @returns {String} - Zero-padded 6-digit code.
+ */
+const generateTotp = (secret, timestamp = Date.now()) =>
+  generateCode(secret, getTimeStep(timestamp));
+
+/**
+ * Verifies a code against a secret.
+ *
+ * @param {String} secret - Base32 TOTP secret.
+ * @param {String} code - Code entered by the user.
+ * @param {Number|null} [lastUsedStep=null] - Step of the last accepted code (rejects reuse).
+ * @returns {Number|null} - The matching time step, or null if the code is invalid.
+ */
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!secret || !new RegExp(`^\\d{${DIGITS}}$`).test(token)) return null;
+
+  const currentStep = getTimeStep();
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Generates a set of one-time recovery codes.
+ *
+ * @returns {Array<String>} - Codes formatted as `xxxxx-xxxxx`.
+ */
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+/**
+ * Normalizes a recovery code before hashing (case and separators ignored).
+ *
+ * @param {String} code - Recovery code entered by the user.
+ * @returns {String} - Normalized code.
+ */
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-f0-9]/g, "");
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUrl,
+  generateTotp,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
@@ -0,0 +1,160 @@
+/**
+ * @file trustLedger.js
+ * @description Posts double-entry transactions to inmate trust accounts in the PrisonSphere system.
+ * @module utils/trustLedger
+ *
+ * This module:
+ * - Converts entered amounts to cents and formats cents for display.
+ * - Builds the balanced entries of a transaction, or of the reversal of one.
+ * - Appends a transaction to an inmate's ledger, refusing any that would overdraw the account.
+ * - Reads an inmate's current balance.
+ *
+ * Usage:
+ * - `trustAccountController` posts transactions and reversals and prints statements.
+ *
+ * Overdraft Protection:
+ * - The balance is read from the inmate's latest transaction and the new transaction
+ *   takes the next sequence number. The unique index on `inmate` + `sequence` rejects
+ *   a concurrent transaction that read the same balance; it is then retried against
+ *   the new balance, so two withdrawals can never both spend the same money.
+ *
+ * @requires TrustTransaction - The TrustTransaction model.
+ * @requires trustAccounts - Ledger accounts and transaction postings.
+ */
+
+const TrustTransaction = require("../src/models/TrustTransaction");
+const {
+  LEDGER_ACCOUNTS,
+  TRANSACTION_POSTINGS,
+} = require("../src/config/trustAccounts");
+
+// Attempts to post when another transaction claims the same sequence number
+const MAX_POST_ATTEMPTS = 5;
+
+/**
+ * Converts an entered amount (e.g., "12.50") to cents.
+ *
+ * @param {String|Number} amount - Amount in currency units.
+ * @returns {Number|null} - Positive whole number of cents, or null if the amount is invalid.
+ */
+const toCents = (amount) => {
+  if (!/^\d+(\.\d{1,2})?$/.test(String(amount ?? "").trim())) return null;
+  const cents = Math.round(Number(amount) * 100);
+  return cents > 0 ? cents : null;
+};
+
+/**
+ * Formats cents for display (e.g., 1250 → "12.50").
+ *
+ * @param {Number} cents - Amount in cents.
+ * @returns {String} - Amount with two decimals.
+ */
+const formatCents = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Builds the balanced entries of a transaction.
+ *
+ * @param {String} type - Transaction type (see `TRANSACTION_POSTINGS`).
+ * @param {Number} amount - Amount in cents.
+ * @returns {Array<Object>} - One debit entry and one credit entry.
+ */
+const buildEntries = (type, amount) => {
+  const { debit, credit } = TRANSACTION_POSTINGS[type];
+  return [
+    { account: debit, debit: amount, credit: 0 },
+    { account: credit, debit: 0, credit: amount },
+  ];
+};
+
+/**
+ * Builds the entries that reverse a transaction (debits and credits swapped).
+ *
+ * @param {Array<Object>} entries - Entries of the transaction being reversed.
+ * @returns {Array<Object>} - Reversing entries.
+ */
+const buildReversalEntries = (entries) =>
+  entries.map(({ account, debit, credit }) => ({
+    account,
+    debit: credit,
+    credit: debit,
+  }));
+
+/**
+ * Computes how much a transaction changes the inmate's balance.
+ *
+ * @param {Array<Object>} entries - Entries of the transaction.
+ * @returns {Number} - Credits minus debits to the inmate's trust account, in cents.
+ */
+const getBalanceChange = (entries) =>
+  entries
+    .filter((entry) => entry.account === LEDGER_ACCOUNTS.INMATE_TRUST)
+    .reduce((change, entry) => change + entry.credit - entry.debit, 0);
+
+/**
+ * Reads an inmate's current balance.
+ *
+ * @async
+ * @param {ObjectId|String} inmateId - The inmate's ID.
+ * @returns {Promise<Number>} - Balance in cents (0 if no transaction was posted).
+ */
+const getTrustBalance = async (inmateId) => {
+  const latest = await TrustTransaction.findOne({ inmate: inmateId })
+    .sort({ sequence: -1 })
+    .select("balanceAfter")
+    .lean();
+  return latest ? latest.balanceAfter : 0;
+};
+
+/**
+ * Appends a transaction to the end of an inmate's ledger.
+ *
+ * @async
+ * @param {Object} data - Transaction fields (`inmate`, `type`, `amount`, `entries`, ...).
+ * @returns {Promise<{ transaction: Object }|{ error: String }>} - The posted transaction,
+ *   or an error message if it would overdraw the account.
+ */
+const postTrustTransaction = async (data) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await TrustTransaction.findOne({ inmate: data.inmate })
+      .sort({ sequence: -1 })
+      .select("sequence balanceAfter")
+      .lean();
+
+    const balance = latest ? latest.balanceAfter : 0;
+    const balanceAfter = balance + getBalanceChange(data.entries);
+    if (balanceAfter < 0) {
+      return {
+        error: `⚠ Insufficient funds. The available balance is ${formatCents(
+          balance
+        )}.`,
+      };
+    }
+
+    try {
+      const transaction = await TrustTransaction.create({
+        ...data,
+        sequence: latest ? latest.sequence + 1 : 1,
+        balanceAfter,
+      });
+      return { transaction };
+    } catch (error) {
+      if (
+        error.code !== 11000 ||
+        !error.keyPattern?.sequence ||
+        attempt >= MAX_POST_ATTEMPTS
+      ) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = {
+  toCents,
+  formatCents,
+  buildEntries,
+  buildReversalEntries,
+  getBalanceChange,
+  getTrustBalance,
+  postTrustTransaction,
+};
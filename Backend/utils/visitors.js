@@ -0,0 +1,174 @@
+/**
+ * @file visitors.js
+ * @description Checks visitor registrations and approvals in the PrisonSphere system.
+ * @module utils/visitors
+ *
+ * This module:
+ * - Validates a visitor's contact details before they are registered or updated.
+ * - Checks whether an approval can move from one status to another.
+ * - Finds a visitor's approval to visit an inmate.
+ * - Finds the restrictions in force for visitors.
+ * - Decides whether a visit is barred by a visitor restriction or by an inmate's
+ *   disciplinary sanctions.
+ *
+ * @requires VisitorApproval - Visitor approval model schema.
+ * @requires VisitorRestriction - Visitor restriction model schema.
+ * @requires incidents - Finds sanctions in force for an inmate.
+ * @requires visitors - Approval transitions.
+ */
+
+const VisitorApproval = require("../src/models/VisitorApproval");
+const VisitorRestriction = require("../src/models/VisitorRestriction");
+const { getActiveSanction } = require("./incidents");
+const { APPROVAL_TRANSITIONS } = require("../src/config/visitors");
+
+const CONTACT_NUMBER_PATTERN = /^\d{10,15}$/;
+const EMAIL_PATTERN = /^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/;
+
+/**
+ * Validates a visitor's details.
+ *
+ * @param {Object} details - `{ fullName, contactNumber, email }`.
+ * @param {Boolean} [partial] - Only check the fields that are given (updates).
+ * @returns {String|null} - Error message, or null if the details are valid.
+ */
+const getVisitorDetailsError = (details, partial = false) => {
+  const { fullName, contactNumber, email } = details;
+
+  if ((!partial || fullName !== undefined) && !fullName?.trim())
+    return "⚠ Visitor Name is required.";
+
+  if (
+    (!partial || contactNumber !== undefined) &&
+    !CONTACT_NUMBER_PATTERN.test(contactNumber || "")
+  )
+    return "⚠ Enter a valid contact number (10-15 digits).";
+
+  if ((!partial || email !== undefined) && !EMAIL_PATTERN.test(email || ""))
+    return "⚠ Enter a valid email address.";
+
+  return null;
+};
+
+/**
+ * Checks whether an approval can move to a status.
+ *
+ * @param {String} from - Current status.
+ * @param {String} to - Requested status.
+ * @returns {Boolean} - True if the transition is allowed.
+ */
+const canTransitionApproval = (from, to) =>
+  (APPROVAL_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Finds a visitor's approval to visit an inmate.
+ *
+ * @param {String|ObjectId} inmateId - The inmate being visited.
+ * @param {String|ObjectId} visitorId - The registered visitor.
+ * @returns {Promise<Object|null>} - The approval if the visitor is approved, otherwise null.
+ */
+const getApprovedVisitor = (inmateId, visitorId) =>
+  VisitorApproval.findOne({
+    inmate: inmateId,
+    visitor: visitorId,
+    status: "Approved",
+  }).lean();
+
+/**
+ * Finds the restrictions in force for one or more visitors.
+ *
+ * @param {String|ObjectId|Array} visitorIds - The visitor, or visitors.
+ * @param {Date} [at] - Date to check against (default: now).
+ * @returns {Promise<Array<Object>>} - Restrictions not lifted, started and not yet expired.
+ */
+const getActiveRestrictions = (visitorIds, at = new Date()) =>
+  VisitorRestriction.find({
+    visitor: Array.isArray(visitorIds) ? { $in: visitorIds } : visitorIds,
+    liftedAt: null,
+    startDate: { $lte: at },
+    expiresAt: { $gt: at },
+  })
+    .sort({ expiresAt: -1 })
+    .lean();
+
+/**
+ * Formats a date the way denial messages show it (dd/mm/yyyy).
+ *
+ * @param {Date} date - Date to format.
+ * @returns {String} - The formatted date.
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString("en-GB");
+
+/**
+ * Finds why a visitor cannot visit an inmate, if anything bars it.
+ *
+ * Checked in order: the inmate's "Loss of Visits" and "Non-Contact Visits"
+ * sanctions, then the visitor's restrictions (a full ban, a ban from this inmate,
+ * and non-contact only).
+ *
+ * @async
+ * @param {String|ObjectId} inmateId - The inmate being visited.
+ * @param {String|ObjectId} visitorId - The registered visitor.
+ * @param {String} contactType - "Contact" or "Non-Contact".
+ * @param {Date} [at] - Time of the visit (default: now).
+ * @returns {Promise<String|null>} - Why the visit is barred, or null if it is allowed.
+ */
+const getVisitDenial = async (
+  inmateId,
+  visitorId,
+  contactType,
+  at = new Date()
+) => {
+  const lostVisits = await getActiveSanction(inmateId, "Loss of Visits", at);
+  if (lostVisits) {
+    return `This inmate has lost visiting privileges until ${formatDate(
+      lostVisits.sanction.endDate
+    )}.`;
+  }
+
+  if (contactType !== "Non-Contact") {
+    const nonContact = await getActiveSanction(
+      inmateId,
+      "Non-Contact Visits",
+      at
+    );
+    if (nonContact) {
+      return `This inmate is restricted to non-contact visits until ${formatDate(
+        nonContact.sanction.endDate
+      )}.`;
+    }
+  }
+
+  const restrictions = await getActiveRestrictions(visitorId, at);
+  const ban =
+    restrictions.find((restriction) => restriction.type === "Full Ban") ||
+    restrictions.find(
+      (restriction) =>
+        restriction.type === "Inmate-Specific" &&
+        String(restriction.inmate) === String(inmateId)
+    );
+  if (ban) {
+    return `This visitor is banned from visiting ${
+      ban.type === "Full Ban" ? "the facility" : "this inmate"
+    } until ${formatDate(ban.expiresAt)}. Reason: ${ban.reason}`;
+  }
+
+  const nonContactOnly = restrictions.find(
+    (restriction) => restriction.type === "Non-Contact Only"
+  );
+  if (nonContactOnly && contactType !== "Non-Contact") {
+    return `This visitor is restricted to non-contact visits until ${formatDate(
+      nonContactOnly.expiresAt
+    )}. Reason: ${nonContactOnly.reason}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  getVisitorDetailsError,
+  canTransitionApproval,
+  getApprovedVisitor,
+  getActiveRestrictions,
+  getVisitDenial,
+};
@@ -0,0 +1,366 @@
+/**
+ * @file visits.js
+ * @description Builds visiting slots and checks visit bookings in the PrisonSphere system.
+ * @module utils/visits
+ *
+ * This module:
+ * - Validates a block's visiting hours.
+ * - Finds the block an inmate is housed in, and splits its visiting hours into slots.
+ * - Reads days, visiting hours and weeks on the facility's clock (`FACILITY_TIMEZONE`),
+ *   whatever the server's time zone.
+ * - Finds visits that overlap a slot for an inmate, a visitor or a room.
+ * - Counts an inmate's visits in the week (Monday to Sunday) of a date.
+ * - Saves a booking with its places claimed, so two bookings made at once cannot both
+ *   take the last place.
+ *
+ * Usage:
+ * - `visitBookingController` builds the slots offered for a day and checks every
+ *   booking against the room's capacity, existing visits and the weekly quota,
+ *   then saves it with `createBooking`.
+ *
+ * @requires Visit - The Visit model.
+ * @requires Cell - The Cell model.
+ * @requires Block - The Block model.
+ * @requires visits - Slot length, weekly quota, facility time zone and the statuses that
+ *   hold a slot or count towards the quota.
+ */
+
+const Visit = require("../src/models/Visit");
+const Cell = require("../src/models/Cell");
+const Block = require("../src/models/Block");
+const {
+  VISIT_SLOT_MINUTES,
+  WEEKLY_VISIT_QUOTA,
+  OCCUPYING_VISIT_STATUSES,
+  QUOTA_VISIT_STATUSES,
+  FACILITY_TIMEZONE,
+} = require("../src/config/visits");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Read dates and clock times in the facility's time zone
+const facilityDateFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: FACILITY_TIMEZONE,
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+});
+const facilityTimeFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: FACILITY_TIMEZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+  second: "numeric",
+});
+
+/**
+ * Converts an "HH:mm" time to minutes after midnight.
+ *
+ * @param {String} time - Time of day, "HH:mm".
+ * @returns {Number} - Minutes after midnight.
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Validates a block's visiting hours.
+ * - Each entry needs a day (0 = Sunday .. 6 = Saturday) and "HH:mm" start and end times.
+ * - Each entry must be long enough for at least one slot.
+ *
+ * @param {Array<Object>} visitingHours - `{ day, start, end }` entries.
+ * @returns {String|null} - Error message, or null if the hours are valid.
+ */
+const getVisitingHoursError = (visitingHours) => {
+  if (!Array.isArray(visitingHours)) return "⚠ Visiting hours must be a list.";
+
+  for (const entry of visitingHours) {
+    const day = Number(entry.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6)
+      return "⚠ Select a valid day for each visiting period.";
+    if (
+      !TIME_PATTERN.test(entry.start || "") ||
+      !TIME_PATTERN.test(entry.end || "")
+    )
+      return "⚠ Enter visiting times as HH:mm.";
+    if (toMinutes(entry.end) - toMinutes(entry.start) < VISIT_SLOT_MINUTES)
+      return `⚠ Each visiting period must be at least ${VISIT_SLOT_MINUTES} minutes long.`;
+  }
+
+  return null;
+};
+
+/**
+ * Finds the block an inmate is housed in.
+ *
+ * @async
+ * @param {Object} inmate - The inmate (with `cell`).
+ * @returns {Promise<Object|null>} - The block, or null if the inmate has no cell.
+ */
+const getInmateBlock = async (inmate) => {
+  if (!inmate.cell) return null;
+  const cell = await Cell.findById(inmate.cell).select("block").lean();
+  return cell ? Block.findById(cell.block).lean() : null;
+};
+
+/**
+ * Reads the calendar date of an instant in the facility's time zone.
+ *
+ * @param {Date} date - The instant.
+ * @returns {Object} - `{ year, month, day, weekday }` (month 0-11, weekday 0 = Sunday).
+ */
+const getFacilityDate = (date) => {
+  const parts = Object.fromEntries(
+    facilityDateFormat
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const midnight = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    weekday: midnight.getUTCDay(),
+  };
+};
+
+/**
+ * Finds how far the facility's clock is ahead of UTC at an instant.
+ *
+ * @param {Number} time - The instant, in milliseconds.
+ * @returns {Number} - Offset in milliseconds (negative west of UTC).
+ */
+const getFacilityOffset = (time) => {
+  const parts = Object.fromEntries(
+    facilityTimeFormat
+      .formatToParts(new Date(time))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallTime = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallTime - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Converts a time on the facility's clock to an instant.
+ * - Days and minutes past the end of the month or day roll over.
+ *
+ * @param {Number} year - Year.
+ * @param {Number} month - Month (0-11).
+ * @param {Number} day - Day of the month.
+ * @param {Number} [minutes=0] - Minutes after midnight.
+ * @returns {Date} - The instant.
+ */
+const atFacilityTime = (year, month, day, minutes = 0) => {
+  const wallTime = Date.UTC(year, month, day, 0, minutes);
+  // The offset at the wall time itself may be off by a clock change; the second pass settles it
+  const guess = wallTime - getFacilityOffset(wallTime);
+  return new Date(wallTime - getFacilityOffset(guess));
+};
+
+/**
+ * Reads a requested day: "YYYY-MM-DD" is a day on the facility's clock, anything
+ * else is parsed as a date.
+ *
+ * @param {String} value - Requested day.
+ * @returns {Date} - Midnight of the day at the facility (invalid if the value is not a date).
+ */
+const parseFacilityDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  return match
+    ? atFacilityTime(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+};
+
+/**
+ * Splits a block's visiting hours on a date into slots.
+ * - The day and the visiting hours are read on the facility's clock; a slot starting
+ *   in the hour skipped when the clock goes forward is left out.
+ *
+ * @param {Object} block - The block (with `visitingHours`).
+ * @param {Date|String} date - Any time on the day.
+ * @returns {Array<Object>} - `{ start, end }` slots in time order.
+ */
+const buildSlots = (block, date) => {
+  const { year, month, day, weekday } = getFacilityDate(new Date(date));
+
+  return (block.visitingHours || [])
+    .filter((entry) => entry.day === weekday)
+    .flatMap((entry) => {
+      const slots = [];
+      const end = toMinutes(entry.end);
+      for (
+        let minutes = toMinutes(entry.start);
+        minutes + VISIT_SLOT_MINUTES <= end;
+        minutes += VISIT_SLOT_MINUTES
+      ) {
+        const start = atFacilityTime(year, month, day, minutes);
+        // Skip times the clock jumps over when it goes forward
+        if (
+          start.getTime() + getFacilityOffset(start.getTime()) !==
+          Date.UTC(year, month, day, 0, minutes)
+        )
+          continue;
+        slots.push({
+          start,
+          end: new Date(start.getTime() + VISIT_SLOT_MINUTES * 60000),
+        });
+      }
+      return slots;
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Builds the query for visits that hold a slot overlapping a period.
+ *
+ * @param {Object} filter - Extra conditions (e.g. `{ inmate }`, `{ visitor }` or `{ room }`).
+ * @param {Date} start - Start of the period.
+ * @param {Date} end - End of the period.
+ * @returns {Object} - Mongoose query conditions.
+ */
+const overlappingVisits = (filter, start, end) => ({
+  ...filter,
+  status: { $in: OCCUPYING_VISIT_STATUSES },
+  voidedAt: null,
+  visitTimestamp: { $lt: end },
+  visitEnd: { $gt: start },
+});
+
+/**
+ * Finds a visit that overlaps a period (used for inmate and visitor conflicts).
+ *
+ * @param {Object} filter - `{ inmate }` or `{ visitor }`.
+ * @param {Date} start - Start of the period.
+ * @param {Date} end - End of the period.
+ * @returns {Promise<Object|null>} - The first overlapping visit, or null.
+ */
+const findConflictingVisit = (filter, start, end) =>
+  Visit.findOne(overlappingVisits(filter, start, end)).lean();
+
+/**
+ * Counts the visits booked in a room over a period.
+ *
+ * @param {String|ObjectId} roomId - The visiting room.
+ * @param {Date} start - Start of the period.
+ * @param {Date} end - End of the period.
+ * @returns {Promise<Number>} - Number of overlapping visits.
+ */
+const countRoomBookings = (roomId, start, end) =>
+  Visit.countDocuments(overlappingVisits({ room: roomId }, start, end));
+
+/**
+ * Finds the week (Monday 00:00 to the next Monday 00:00 on the facility's clock)
+ * containing a date.
+ *
+ * @param {Date|String} date - Any time in the week.
+ * @returns {Object} - `{ start, end }` of the week.
+ */
+const getWeekRange = (date) => {
+  const { year, month, day, weekday } = getFacilityDate(new Date(date));
+  const monday = day - ((weekday + 6) % 7);
+
+  return {
+    start: atFacilityTime(year, month, monday),
+    end: atFacilityTime(year, month, monday + 7),
+  };
+};
+
+/**
+ * Counts an inmate's visits in the week of a date.
+ * - Cancelled and voided visits do not count; no-shows do.
+ *
+ * @param {String|ObjectId} inmateId - The inmate.
+ * @param {Date|String} date - Any time in the week.
+ * @returns {Promise<Number>} - Number of visits counting towards the quota.
+ */
+const countWeeklyVisits = (inmateId, date) => {
+  const { start, end } = getWeekRange(date);
+  return Visit.countDocuments({
+    inmate: inmateId,
+    status: { $in: QUOTA_VISIT_STATUSES },
+    voidedAt: null,
+    visitTimestamp: { $gte: start, $lt: end },
+  });
+};
+
+/**
+ * Saves a booking, claiming its places as it is saved.
+ * - The booking holds the inmate's and visitor's slot, a seat of the room and a place
+ *   in the inmate's weekly quota; unique indexes on these let only one booking hold
+ *   each, so bookings made at the same moment cannot share them.
+ * - When a seat or quota place is taken, the next one is tried until none are left.
+ *
+ * @async
+ * @param {Object} data - Visit fields of the booking.
+ * @param {Object} room - The booked visiting room.
+ * @returns {Promise<{ visit: Object }|{ status: Number, error: String }>} - The saved
+ *   booking, or the HTTP status and message of the place that could not be claimed.
+ */
+const createBooking = async (data, room) => {
+  const quotaWeek = getWeekRange(data.visitTimestamp).start;
+  let roomSeat = 0;
+  let quotaSeat = 0;
+
+  while (roomSeat < room.capacity && quotaSeat < WEEKLY_VISIT_QUOTA) {
+    try {
+      const visit = await Visit.create({
+        ...data,
+        holdsSlot: true,
+        roomSeat,
+        holdsQuota: true,
+        quotaWeek,
+        quotaSeat,
+      });
+      return { visit };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (error.keyPattern?.roomSeat) {
+        roomSeat++;
+      } else if (error.keyPattern?.quotaSeat) {
+        quotaSeat++;
+      } else if (error.keyPattern?.visitor) {
+        return {
+          status: 409,
+          error: "⚠ This visitor already has a visit booked at this time.",
+        };
+      } else if (error.keyPattern?.inmate) {
+        return {
+          status: 409,
+          error: "⚠ This inmate already has a visit booked at this time.",
+        };
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  return roomSeat >= room.capacity
+    ? { status: 409, error: `⚠ ${room.name} is fully booked for this slot.` }
+    : {
+        status: 400,
+        error: `⚠ This inmate has already used the ${WEEKLY_VISIT_QUOTA} visit(s) allowed this week.`,
+      };
+};
+
+module.exports = {
+  getVisitingHoursError,
+  getInmateBlock,
+  parseFacilityDay,
+  buildSlots,
+  findConflictingVisit,
+  countRoomBookings,
+  getWeekRange,
+  countWeeklyVisits,
+  createBooking,
+};
@@ -0,0 +1,66 @@
+/**
+ * @file verifyAuditChain.js
+ * @description Command-line script for verifying the audit trail of the PrisonSphere Prison Management System.
+ * @module utils/verifyAuditChain
+ *
+ * This script lets auditors check, without the web interface, that no audit event
+ * has been edited or deleted since it was recorded.
+ *
+ * Features:
+ * - Walks the audit hash chain from the first event to the last.
+ * - Reports the first broken link (missing event, wrong previous hash or edited content).
+ * - Prints the latest sequence number and hash so they can be recorded externally.
+ * - Exits with code 1 if the chain is broken, so it can be used in scheduled checks.
+ *
+ * Usage:
+ * - Verify the chain: `node verifyAuditChain.js`
+ *
+ * @requires dotenv - Loads environment variables.
+ * @requires mongoose - MongoDB ODM library.
+ * @requires connectDB - Establishes a database connection.
+ * @requires verifyAuditChain - Walks the audit hash chain.
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const connectDB = require("./src/config/db");
+const { verifyAuditChain } = require("./utils/auditTrail");
+
+dotenv.config();
+
+/**
+ * Verify the Audit Chain
+ * ----------------------
+ * - Connects to the database, verifies the chain and prints the result.
+ */
+const init = async () => {
+  await connectDB();
+
+  try {
+    const result = await verifyAuditChain();
+
+    if (result.valid) {
+      console.log(
+        `Audit chain intact: ${result.checkedEvents} event(s) verified.`
+      );
+    } else {
+      const { sequence, eventId, reason } = result.brokenLink;
+      console.log(
+        `Audit chain BROKEN at sequence ${sequence} (event ${eventId}): ${reason}`
+      );
+      console.log(
+        `${result.checkedEvents} event(s) verified before the break.`
+      );
+    }
+    console.log(`Last verified sequence: ${result.lastSequence}`);
+    console.log(`Last verified hash: ${result.lastHash}`);
+
+    process.exitCode = result.valid ? 0 : 1;
+  } catch (error) {
+    console.error("Error verifying audit chain:", error);
+    process.exitCode = 1;
+  }
+
+  await mongoose.connection.close();
+};
+
+init();
@@ -26,11 +26,17 @@ import ViewInmate from "./pages/ViewInmate";
 import VisitorManagement from "./pages/VisitorManagement";
 import VisitorHistory from "./pages/VisitorHistory";
 import VisitorDetails from "./pages/VisitorDetails";
+import VisitorRegistry from "./pages/VisitorRegistry";
 import ParoleManagement from "./pages/ParoleManagement";
 import ParoleDetails from "./pages/ParoleDetails";
 import RehabilitaionAndWork from "./pages/RehabilitaionAndWork";
 import AllWorkProgramEnrollments from "./pages/AllWorkProgramEnrollments";
 import Report from "./pages/Report";
+import UserManagement from "./pages/UserManagement";
+import AccountSecurity from "./pages/AccountSecurity";
+import HousingMap from "./pages/HousingMap";
+import GrievanceManagement from "./pages/GrievanceManagement";
+import HeadcountManagement from "./pages/HeadcountManagement";
 
 /**
  * Main Application Component
@@ -51,6 +57,7 @@ function App() {
         <Route path="/inmates" element={<InmateManagement />} />
         <Route path="/inmates/view/:id" element={<ViewInmate />} />
         <Route path="/visitors" element={<VisitorManagement />} />
+        <Route path="/visitors/registry" element={<VisitorRegistry />} />
         <Route
           path="/visitors/history/:inmateId"
           element={<VisitorHistory />}
@@ -67,6 +74,11 @@ function App() {
           element={<AllWorkProgramEnrollments />}
         />
         <Route path="/reports" element={<Report />} />
+        <Route path="/users" element={<UserManagement />} />
+        <Route path="/housing" element={<HousingMap />} />
+        <Route path="/grievances" element={<GrievanceManagement />} />
+        <Route path="/headcounts" element={<HeadcountManagement />} />
+        <Route path="/account" element={<AccountSecurity />} />
       </Routes>
     </Router>
   );
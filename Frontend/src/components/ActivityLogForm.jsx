@@ -96,7 +96,6 @@ const ActivityLogForm = ({ inmateId, onClose }) => {
               <option value="Education">Education</option>
               <option value="Conflict">Conflict Resolution</option>
               <option value="Recreation">Recreation</option>
-              <option value="Health Session">Health Session</option>
             </select>
           </div>
 
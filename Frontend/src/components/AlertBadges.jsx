@@ -0,0 +1,47 @@
+/**
+ * @file AlertBadges.jsx
+ * @description Displays the alerts in force on an inmate as coloured badges.
+ * @module components/AlertBadges
+ *
+ * This component:
+ * - Shows one badge per alert, coloured by severity (High, Medium, Low).
+ * - Shows the alert details on hover when a description is available.
+ */
+
+// Badge colours by alert severity
+const SEVERITY_STYLES = {
+  High: "bg-red-100 text-red-700 border-red-300",
+  Medium: "bg-orange-100 text-orange-700 border-orange-300",
+  Low: "bg-yellow-100 text-yellow-700 border-yellow-300",
+};
+
+/**
+ * AlertBadges Component
+ * ---------------------
+ * - Renders nothing when there are no alerts.
+ *
+ * @component
+ * @param {Array<Object>} alerts - Alerts in force (`type`, `severity`, optional `description`).
+ * @returns {JSX.Element|null} - The alert badges.
+ */
+const AlertBadges = ({ alerts = [] }) => {
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {alerts.map((alert) => (
+        <span
+          key={alert._id}
+          title={alert.description}
+          className={`px-2 py-0.5 text-xs font-medium rounded border ${
+            SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.Medium
+          }`}
+        >
+          ⚠ {alert.type}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default AlertBadges;
@@ -0,0 +1,276 @@
+/**
+ * @file AlertForm.jsx
+ * @description Form for raising or editing an alert on an inmate's record.
+ * @module components/AlertForm
+ *
+ * This component:
+ * - Raises alerts such as medical conditions, self-harm risk or gang affiliation.
+ * - Names the other inmate (by inmate ID) for keep-separate alerts.
+ * - Edits the severity, description and expiry of an existing alert.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const ALERT_TYPES = [
+  "Medical",
+  "Self-Harm Risk",
+  "Suicide Watch",
+  "Gang Affiliation",
+  "Keep Separate",
+  "Escape Risk",
+  "Violence",
+  "Other",
+];
+const ALERT_SEVERITIES = ["Low", "Medium", "High"];
+
+/**
+ * Validation Schema for Alert Form
+ * - Keep-separate alerts need the other inmate's ID; expiry must be in the future.
+ */
+const alertSchema = yup.object().shape({
+  type: yup.string().oneOf(ALERT_TYPES, "⚠ Please select an alert type."),
+  severity: yup.string().oneOf(ALERT_SEVERITIES),
+  description: yup.string().required("⚠ Please describe the alert."),
+  separateFromInmateID: yup.string().when("type", {
+    is: "Keep Separate",
+    then: (schema) =>
+      schema.required("⚠ Please enter the inmate ID to keep separate from."),
+  }),
+  expiresAt: yup
+    .date()
+    .transform((value, original) => (original === "" ? null : value))
+    .nullable()
+    .min(new Date(), "⚠ The expiry date must be in the future."),
+});
+
+// Helper Function: Date as YYYY-MM-DD for date inputs
+const toDateInput = (date) =>
+  date ? new Date(date).toISOString().split("T")[0] : "";
+
+/**
+ * AlertForm Component
+ * -------------------
+ * - Raises a new alert, or edits `alert` when given.
+ *
+ * @component
+ * @param {String} inmateId - ID of the flagged inmate.
+ * @param {Object} [alert] - The alert being edited.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the alerts after saving.
+ * @returns {JSX.Element} - The alert form UI component.
+ */
+const AlertForm = ({ inmateId, alert, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(alertSchema),
+    defaultValues: alert
+      ? {
+          type: alert.type,
+          severity: alert.severity,
+          description: alert.description,
+          separateFromInmateID: alert.separateFrom?.inmateID || "",
+          expiresAt: toDateInput(alert.expiresAt),
+        }
+      : {
+          type: "",
+          severity: "Medium",
+          description: "",
+          separateFromInmateID: "",
+          expiresAt: "",
+        },
+  });
+
+  /**
+   * Handles form submission.
+   * - Raises or updates the alert.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    const headers = {
+      Authorization: `Bearer ${localStorage.getItem("token")}`,
+    };
+
+    try {
+      setLoading(true);
+      if (alert) {
+        await axios.put(
+          `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/alerts/${
+            alert._id
+          }`,
+          {
+            severity: data.severity,
+            description: data.description,
+            expiresAt: data.expiresAt,
+          },
+          { headers }
+        );
+      } else {
+        await axios.post(
+          `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/alerts`,
+          { ...data, inmate: inmateId },
+          { headers }
+        );
+      }
+
+      toast.success(
+        alert ? "Alert updated successfully!" : "Alert raised successfully!",
+        { position: "top-right", autoClose: 2000 }
+      );
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh the inmate's alerts
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          {alert ? "Edit Alert" : "Raise Alert"}
+        </h2>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Type</label>
+              <select
+                {...register("type")}
+                disabled={Boolean(alert)}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="">Select Type</option>
+                {ALERT_TYPES.map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+              <p className="text-red-500 text-sm">{errors.type?.message}</p>
+            </div>
+            <div>
+              <label className="block">Severity</label>
+              <select
+                {...register("severity")}
+                className="w-full p-2 border rounded-md"
+              >
+                {ALERT_SEVERITIES.map((severity) => (
+                  <option key={severity} value={severity}>
+                    {severity}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {watch("type") === "Keep Separate" && (
+            <div>
+              <label className="block">Keep Separate From (Inmate ID)</label>
+              <input
+                {...register("separateFromInmateID")}
+                disabled={Boolean(alert)}
+                placeholder="e.g., INM042"
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.separateFromInmateID?.message}
+              </p>
+            </div>
+          )}
+
+          <div>
+            <label className="block">Description</label>
+            <textarea
+              {...register("description")}
+              rows={3}
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">
+              {errors.description?.message}
+            </p>
+          </div>
+
+          <div>
+            <label className="block">Expires On (optional)</label>
+            <input
+              type="date"
+              {...register("expiresAt")}
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">{errors.expiresAt?.message}</p>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default AlertForm;
@@ -0,0 +1,358 @@
+/**
+ * @file ApprovedVisitors.jsx
+ * @description Lists visitor approvals and handles the approval workflow.
+ * @module components/ApprovedVisitors
+ *
+ * This component:
+ * - Shows an inmate's approved-visitor list, or the requests waiting for a decision.
+ * - Puts a registered visitor forward for the inmate's list, registering them first if needed.
+ * - Approves, denies or revokes visitors for users allowed to decide.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires VisitorProfileForm - Modal component for registering visitors.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import VisitorProfileForm from "./VisitorProfileForm";
+import { hasPermission } from "../services/authService";
+
+// Badge colour of each approval status
+const STATUS_STYLES = {
+  Pending: "bg-yellow-100 text-yellow-700",
+  Approved: "bg-green-100 text-green-700",
+  Denied: "bg-red-100 text-red-700",
+  Revoked: "bg-gray-200 text-gray-700",
+};
+
+// Decisions available from each status
+const DECISIONS = {
+  Pending: ["Approved", "Denied"],
+  Approved: ["Revoked"],
+};
+
+// Button label of each decision
+const DECISION_LABELS = {
+  Approved: "Approve",
+  Denied: "Deny",
+  Revoked: "Revoke",
+};
+
+/**
+ * ApprovedVisitors Component
+ * --------------------------
+ *
+ * @component
+ * @param {String} [inmateId] - Inmate whose list is shown; all inmates when omitted.
+ * @param {String} [status] - Only show approvals with this status (e.g. "Pending").
+ * @returns {JSX.Element} - The approved-visitor list UI component.
+ */
+const ApprovedVisitors = ({ inmateId, status = "" }) => {
+  const [approvals, setApprovals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showRequest, setShowRequest] = useState(false); // Toggles the put-forward form
+  const [search, setSearch] = useState(""); // Registry search input
+  const [matches, setMatches] = useState([]); // Registered visitors matching the search
+  const [visitorId, setVisitorId] = useState(""); // Visitor being put forward
+  const [relationship, setRelationship] = useState("");
+  const [showRegister, setShowRegister] = useState(false); // Toggles the registration form
+  const [saving, setSaving] = useState(false);
+
+  const headers = {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  };
+  const baseUrl = `${
+    import.meta.env.VITE_API_BASE_URL
+  }/prisonsphere/visitor-registry`;
+
+  /**
+   * Fetches the approvals for the inmate (or all inmates) and status.
+   */
+  const fetchApprovals = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        `${baseUrl}/approvals?inmate=${inmateId || ""}&status=${status}`,
+        { headers }
+      );
+      setApprovals(response.data);
+    } catch (error) {
+      console.error("Error fetching visitor approvals:", error);
+      setApprovals([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchApprovals();
+  }, [inmateId, status]);
+
+  /**
+   * Searches the registry for the visitor to put forward.
+   */
+  useEffect(() => {
+    if (!showRequest || search.trim().length < 2) {
+      setMatches([]);
+      return;
+    }
+    const searchRegistry = async () => {
+      try {
+        const response = await axios.get(
+          `${baseUrl}?search=${encodeURIComponent(search.trim())}&limit=5`,
+          { headers }
+        );
+        setMatches(response.data.visitors || []);
+      } catch (error) {
+        console.error("Error searching visitors:", error);
+      }
+    };
+    searchRegistry();
+  }, [search, showRequest]);
+
+  /**
+   * Puts the selected visitor forward for the inmate's list.
+   */
+  const handleRequest = async () => {
+    if (!visitorId) {
+      toast.error("⚠ Please select a visitor.", { position: "top-right" });
+      return;
+    }
+    if (!relationship.trim()) {
+      toast.error("⚠ Relationship is required.", { position: "top-right" });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await axios.post(
+        `${baseUrl}/approvals`,
+        { inmateId, visitorId, relationshipToInmate: relationship },
+        { headers }
+      );
+      toast.success(response.data.message, { position: "top-right" });
+      setShowRequest(false);
+      setSearch("");
+      setVisitorId("");
+      setRelationship("");
+      fetchApprovals();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Approves, denies or revokes a visitor; denials and revocations ask for a reason.
+   *
+   * @param {Object} approval - The approval to decide.
+   * @param {String} decision - "Approved", "Denied" or "Revoked".
+   */
+  const handleDecision = async (approval, decision) => {
+    let notes = "";
+    if (decision !== "Approved") {
+      notes = window.prompt(
+        `Reason ${approval.visitor?.fullName} is ${decision.toLowerCase()}:`
+      );
+      if (!notes?.trim()) return;
+    }
+
+    try {
+      const response = await axios.put(
+        `${baseUrl}/approvals/${approval._id}`,
+        { status: decision, notes },
+        { headers }
+      );
+      toast.success(response.data.message, { position: "top-right" });
+      fetchApprovals();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    }
+  };
+
+  const canDecide = hasPermission("visitors:approve");
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <ToastContainer />
+
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-800">
+          {inmateId ? "Approved Visitors" : "Pending Approvals"}
+        </h3>
+        {inmateId && hasPermission("visitors:log") && (
+          <button
+            onClick={() => setShowRequest(!showRequest)}
+            className="px-3 py-1 text-blue-600 border rounded-md text-sm hover:bg-blue-50 transition"
+          >
+            {showRequest ? "Cancel" : "+ Put Visitor Forward"}
+          </button>
+        )}
+      </div>
+
+      {/* Put a visitor forward */}
+      {showRequest && (
+        <div className="bg-gray-50 p-4 rounded-md mb-4 grid grid-cols-3 gap-4 items-end text-sm">
+          <div>
+            <label className="text-gray-600 font-medium">Find Visitor</label>
+            <input
+              type="text"
+              placeholder="Name, phone or email..."
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setVisitorId("");
+              }}
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+          <div>
+            <label className="text-gray-600 font-medium">Visitor</label>
+            <select
+              value={visitorId}
+              onChange={(e) => setVisitorId(e.target.value)}
+              className="w-full p-2 border rounded-md"
+            >
+              <option value="">
+                {matches.length ? "Select visitor" : "No matches"}
+              </option>
+              {matches.map((visitor) => (
+                <option key={visitor._id} value={visitor._id}>
+                  {visitor.fullName} · {visitor.contactNumber}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="text-gray-600 font-medium">Relationship</label>
+            <input
+              type="text"
+              value={relationship}
+              onChange={(e) => setRelationship(e.target.value)}
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+          <div className="col-span-3 flex justify-between">
+            <button
+              onClick={() => setShowRegister(true)}
+              className="text-blue-600 hover:underline"
+            >
+              Not registered? Register visitor
+            </button>
+            <button
+              onClick={handleRequest}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {saving ? "Processing..." : "Submit for Approval"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Approvals */}
+      {loading ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : approvals.length === 0 ? (
+        <p className="text-gray-500 text-center">
+          {inmateId
+            ? "No visitors on this inmate's list."
+            : "No requests waiting for a decision."}
+        </p>
+      ) : (
+        <table className="w-full border-collapse text-gray-700 text-sm">
+          <thead>
+            <tr className="bg-gray-100 text-left font-semibold">
+              {!inmateId && <th className="p-2">Inmate</th>}
+              <th className="p-2">Visitor</th>
+              <th className="p-2">Relationship</th>
+              <th className="p-2">Status</th>
+              {canDecide && <th className="p-2">Action</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {approvals.map((approval) => {
+              const lastEntry = approval.history[approval.history.length - 1];
+              return (
+                <tr key={approval._id} className="border-b border-gray-200">
+                  {!inmateId && (
+                    <td className="p-2">
+                      {approval.inmate?.firstName} {approval.inmate?.lastName}
+                      <p className="text-xs text-gray-500">
+                        {approval.inmate?.inmateID}
+                      </p>
+                    </td>
+                  )}
+                  <td className="p-2">
+                    {approval.visitor?.fullName}
+                    <p className="text-xs text-gray-500">
+                      {approval.visitor?.contactNumber}
+                    </p>
+                  </td>
+                  <td className="p-2">{approval.relationshipToInmate}</td>
+                  <td className="p-2">
+                    <span
+                      className={`px-3 py-1 text-xs font-medium rounded-full ${
+                        STATUS_STYLES[approval.status]
+                      }`}
+                    >
+                      {approval.status}
+                    </span>
+                    {lastEntry?.notes && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        {lastEntry.notes}
+                      </p>
+                    )}
+                  </td>
+                  {canDecide && (
+                    <td className="p-2 space-x-2 whitespace-nowrap">
+                      {(DECISIONS[approval.status] || []).map((decision) => (
+                        <button
+                          key={decision}
+                          onClick={() => handleDecision(approval, decision)}
+                          className={`px-3 py-1 border rounded-md text-xs transition ${
+                            decision === "Approved"
+                              ? "text-green-600 hover:bg-green-50"
+                              : "text-red-600 hover:bg-red-50"
+                          }`}
+                        >
+                          {DECISION_LABELS[decision]}
+                        </button>
+                      ))}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {/* Visitor Registration Modal */}
+      {showRegister && (
+        <VisitorProfileForm
+          onClose={() => setShowRegister(false)}
+          onFormSuccess={(visitor) => {
+            setMatches([visitor]);
+            setVisitorId(visitor._id);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ApprovedVisitors;
@@ -0,0 +1,314 @@
+/**
+ * @file ChargeForm.jsx
+ * @description Form for recording or editing a charge against an inmate.
+ * @module components/ChargeForm
+ *
+ * This component:
+ * - Records the offense, statute code, category, severity class and dates of a charge.
+ * - Edits an existing charge, including its outcome.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const OFFENSE_CATEGORIES = [
+  "Violent",
+  "Sexual",
+  "Property",
+  "Drug",
+  "Fraud",
+  "Weapons",
+  "Public Order",
+  "Traffic",
+  "Other",
+];
+const SEVERITY_CLASSES = ["Felony", "Misdemeanor", "Infraction"];
+const CHARGE_STATUSES = ["Pending", "Convicted", "Acquitted", "Dismissed"];
+
+/**
+ * Validation Schema for Charge Form
+ * - The conviction date cannot be before the offense date.
+ */
+const chargeSchema = yup.object().shape({
+  description: yup.string().required("⚠ Please describe the offense."),
+  statuteCode: yup.string(),
+  category: yup
+    .string()
+    .oneOf(OFFENSE_CATEGORIES, "⚠ Please select an offense category."),
+  severity: yup
+    .string()
+    .oneOf(SEVERITY_CLASSES, "⚠ Please select a severity class."),
+  status: yup.string().oneOf(CHARGE_STATUSES),
+  offenseDate: yup
+    .date()
+    .transform((value, original) => (original === "" ? null : value))
+    .nullable()
+    .max(new Date(), "⚠ The offense date cannot be in the future."),
+  convictionDate: yup
+    .date()
+    .transform((value, original) => (original === "" ? null : value))
+    .nullable()
+    .when("offenseDate", {
+      is: (offenseDate) => offenseDate instanceof Date,
+      then: (schema) =>
+        schema.min(
+          yup.ref("offenseDate"),
+          "⚠ The conviction date cannot be before the offense date."
+        ),
+    }),
+});
+
+// Helper Function: Date as YYYY-MM-DD for date inputs
+const toDateInput = (date) =>
+  date ? new Date(date).toISOString().split("T")[0] : "";
+
+/**
+ * ChargeForm Component
+ * --------------------
+ * - Records a new charge, or edits `charge` when given.
+ *
+ * @component
+ * @param {String} inmateId - ID of the charged inmate.
+ * @param {Object} [charge] - The charge being edited.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the charges after saving.
+ * @returns {JSX.Element} - The charge form UI component.
+ */
+const ChargeForm = ({ inmateId, charge, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(chargeSchema),
+    defaultValues: charge
+      ? {
+          ...charge,
+          offenseDate: toDateInput(charge.offenseDate),
+          convictionDate: toDateInput(charge.convictionDate),
+        }
+      : {
+          description: "",
+          statuteCode: "",
+          category: "",
+          severity: "",
+          status: "Convicted",
+          offenseDate: "",
+          convictionDate: "",
+        },
+  });
+
+  /**
+   * Handles form submission.
+   * - Creates or updates the charge.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    const payload = {
+      description: data.description,
+      statuteCode: data.statuteCode,
+      category: data.category,
+      severity: data.severity,
+      status: data.status,
+      offenseDate: data.offenseDate,
+      convictionDate: data.convictionDate,
+    };
+    const headers = {
+      Authorization: `Bearer ${localStorage.getItem("token")}`,
+    };
+
+    try {
+      setLoading(true);
+      if (charge) {
+        await axios.put(
+          `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/charges/${
+            charge._id
+          }`,
+          payload,
+          { headers }
+        );
+      } else {
+        await axios.post(
+          `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/charges`,
+          { ...payload, inmate: inmateId },
+          { headers }
+        );
+      }
+
+      toast.success(
+        charge
+          ? "Charge updated successfully!"
+          : "Charge recorded successfully!",
+        { position: "top-right", autoClose: 2000 }
+      );
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh the inmate's charges
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          {charge ? "Edit Charge" : "Record Charge"}
+        </h2>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div>
+            <label className="block">Offense</label>
+            <input
+              {...register("description")}
+              placeholder="e.g., Burglary of a dwelling"
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">
+              {errors.description?.message}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Statute Code</label>
+              <input
+                {...register("statuteCode")}
+                className="w-full p-2 border rounded-md"
+              />
+            </div>
+            <div>
+              <label className="block">Outcome</label>
+              <select
+                {...register("status")}
+                className="w-full p-2 border rounded-md"
+              >
+                {CHARGE_STATUSES.map((status) => (
+                  <option key={status} value={status}>
+                    {status}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block">Category</label>
+              <select
+                {...register("category")}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="">Select Category</option>
+                {OFFENSE_CATEGORIES.map((category) => (
+                  <option key={category} value={category}>
+                    {category}
+                  </option>
+                ))}
+              </select>
+              <p className="text-red-500 text-sm">{errors.category?.message}</p>
+            </div>
+            <div>
+              <label className="block">Severity</label>
+              <select
+                {...register("severity")}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="">Select Severity</option>
+                {SEVERITY_CLASSES.map((severity) => (
+                  <option key={severity} value={severity}>
+                    {severity}
+                  </option>
+                ))}
+              </select>
+              <p className="text-red-500 text-sm">{errors.severity?.message}</p>
+            </div>
+            <div>
+              <label className="block">Offense Date</label>
+              <input
+                type="date"
+                {...register("offenseDate")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.offenseDate?.message}
+              </p>
+            </div>
+            <div>
+              <label className="block">Conviction Date</label>
+              <input
+                type="date"
+                {...register("convictionDate")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.convictionDate?.message}
+              </p>
+            </div>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ChargeForm;
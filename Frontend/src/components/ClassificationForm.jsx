@@ -0,0 +1,236 @@
+/**
+ * @file ClassificationForm.jsx
+ * @description Form for classifying or reclassifying an inmate's custody level.
+ * @module components/ClassificationForm
+ *
+ * This component:
+ * - Shows the suggested custody level and the risk factors behind it.
+ * - Records the assigned custody level (Minimum, Medium, Maximum).
+ * - Requires a reason when the assigned level differs from the suggestion.
+ * - Warns when the inmate's current cell or work program no longer matches.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const CUSTODY_LEVELS = ["Minimum", "Medium", "Maximum"];
+
+/**
+ * Builds the validation schema for the Classification Form.
+ * - An override reason is required when the level differs from the suggestion.
+ *
+ * @param {String} suggestedLevel - The suggested custody level.
+ * @returns {Object} - Yup validation schema.
+ */
+const getClassificationSchema = (suggestedLevel) =>
+  yup.object().shape({
+    level: yup
+      .string()
+      .oneOf(CUSTODY_LEVELS, "⚠ Please select a custody level.")
+      .required("⚠ Please select a custody level."),
+    overrideReason: yup.string().when("level", {
+      is: (level) => level !== suggestedLevel,
+      then: (schema) =>
+        schema.required(
+          `⚠ Please explain why you are overriding the suggested level (${suggestedLevel}).`
+        ),
+    }),
+    notes: yup.string(),
+  });
+
+/**
+ * ClassificationForm Component
+ * ----------------------------
+ * - Classifies or reclassifies an inmate.
+ *
+ * @component
+ * @param {Object} inmate - The inmate being classified.
+ * @param {Object} suggestion - Suggested level, score and factors.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the classification after saving.
+ * @returns {JSX.Element} - The classification form UI component.
+ */
+const ClassificationForm = ({ inmate, suggestion, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(getClassificationSchema(suggestion.level)),
+    defaultValues: { level: suggestion.level, overrideReason: "", notes: "" },
+  });
+  const isOverride = watch("level") !== suggestion.level;
+
+  /**
+   * Handles form submission.
+   * - Sends the classification decision to the API.
+   * - Displays toast notifications for success, placement warnings or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      const response = await axios.post(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/classifications/inmate/${inmate._id}`,
+        data,
+        {
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+        }
+      );
+
+      toast.success("Inmate classified successfully!", {
+        position: "top-right",
+        autoClose: 2000,
+      });
+      response.data.warnings.forEach((warning) =>
+        toast.warn(warning, { position: "top-right", autoClose: 4000 })
+      );
+
+      setTimeout(
+        () => {
+          onClose();
+          onFormSuccess(); // Refresh the classification
+        },
+        response.data.warnings.length ? 3000 : 1000
+      );
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const { factors } = suggestion;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          {inmate.custodyLevel ? "Reclassify Inmate" : "Classify Inmate"}
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {inmate.firstName} {inmate.lastName} · {inmate.inmateID}
+        </p>
+
+        <ToastContainer />
+
+        {/* Suggested Level */}
+        <div className="p-3 bg-gray-50 rounded-md text-sm space-y-1 mb-4">
+          <p className="font-semibold text-gray-700">
+            Suggested Level: {suggestion.level} (score {suggestion.score})
+          </p>
+          <p className="text-gray-600">
+            Most serious charge: {factors.severity || "None recorded"}
+            {factors.violentOffense && " (violent category)"}
+          </p>
+          <p className="text-gray-600">
+            Incidents in the last 12 months: {factors.incidents}
+          </p>
+          <p className="text-gray-600">
+            Time served: {factors.monthsServed} months
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div>
+            <label className="block">Custody Level</label>
+            <select
+              {...register("level")}
+              className="w-full p-2 border rounded-md"
+            >
+              {CUSTODY_LEVELS.map((level) => (
+                <option key={level} value={level}>
+                  {level}
+                </option>
+              ))}
+            </select>
+            <p className="text-red-500 text-sm">{errors.level?.message}</p>
+          </div>
+
+          {isOverride && (
+            <div>
+              <label className="block">Override Reason</label>
+              <textarea
+                {...register("overrideReason")}
+                rows={2}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.overrideReason?.message}
+              </p>
+            </div>
+          )}
+
+          <div>
+            <label className="block">Notes</label>
+            <textarea
+              {...register("notes")}
+              rows={2}
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ClassificationForm;
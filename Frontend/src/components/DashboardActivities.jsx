@@ -28,6 +28,20 @@ import {
   FaClipboardList,
   FaClipboardCheck,
   FaClipboard,
+  FaExchangeAlt,
+  FaDoorOpen,
+  FaShieldAlt,
+  FaExclamationTriangle,
+  FaCommentDots,
+  FaCheckCircle,
+  FaUserCheck,
+  FaUserSlash,
+  FaUserClock,
+  FaIdCard,
+  FaCalendarPlus,
+  FaCalendarTimes,
+  FaIdBadge,
+  FaBan,
 } from "react-icons/fa";
 import { motion } from "framer-motion";
 
@@ -41,10 +55,29 @@ const getActivityIcon = (activityType) => {
   const icons = {
     INMATE_ADDED: <FaUserPlus className="text-blue-500 text-xl" />,
     INMATE_UPDATED: <FaUserEdit className="text-yellow-500 text-xl" />,
+    INMATE_TRANSFERRED: <FaExchangeAlt className="text-blue-500 text-xl" />,
+    INMATE_RELEASED: <FaDoorOpen className="text-green-500 text-xl" />,
+    INMATE_CLASSIFIED: <FaShieldAlt className="text-purple-500 text-xl" />,
     INMATE_DELETED: <FaUserTimes className="text-red-500 text-xl" />,
     PAROLE_SUBMITTED: <FaClipboardList className="text-blue-500 text-xl" />,
     PAROLE_APPROVED: <FaClipboardCheck className="text-green-500 text-xl" />,
     PAROLE_DENIED: <FaClipboard className="text-red-500 text-xl" />,
+    INCIDENT_REPORTED: (
+      <FaExclamationTriangle className="text-orange-500 text-xl" />
+    ),
+    GRIEVANCE_FILED: <FaCommentDots className="text-yellow-500 text-xl" />,
+    GRIEVANCE_RESOLVED: <FaCheckCircle className="text-green-500 text-xl" />,
+    VISITOR_APPROVAL_REQUESTED: (
+      <FaUserClock className="text-yellow-500 text-xl" />
+    ),
+    VISITOR_APPROVED: <FaIdCard className="text-green-500 text-xl" />,
+    VISITOR_RESTRICTED: <FaBan className="text-red-500 text-xl" />,
+    VISIT_BOOKED: <FaCalendarPlus className="text-blue-500 text-xl" />,
+    VISITOR_CHECKED_IN: <FaIdBadge className="text-blue-500 text-xl" />,
+    VISIT_CANCELLED: <FaCalendarTimes className="text-gray-500 text-xl" />,
+    VISIT_NO_SHOW: <FaCalendarTimes className="text-red-500 text-xl" />,
+    HEADCOUNT_COMPLETED: <FaUserCheck className="text-green-500 text-xl" />,
+    COUNT_DISCREPANCY: <FaUserSlash className="text-red-500 text-xl" />,
   };
 
   return (
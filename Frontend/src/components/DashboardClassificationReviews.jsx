@@ -0,0 +1,122 @@
+/**
+ * @file DashboardClassificationReviews.jsx
+ * @description Lists inmates due for a custody classification review on the dashboard.
+ * @module components/DashboardClassificationReviews
+ *
+ * This component:
+ * - Fetches incarcerated inmates whose review is overdue or due in the next 30 days.
+ * - Includes inmates who have never been classified.
+ * - Shows each inmate's custody level and review date, and links to their profile.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-router-dom - Links inmates to their profiles.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { Link } from "react-router-dom";
+
+/**
+ * DashboardClassificationReviews Component
+ * ----------------------------------------
+ * - Displays classification reviews, unclassified and most overdue first.
+ *
+ * @component
+ * @returns {JSX.Element} - The classification reviews UI component.
+ */
+const DashboardClassificationReviews = () => {
+  const [inmates, setInmates] = useState([]); // Inmates due for review
+  const [loading, setLoading] = useState(true); // Indicates loading state
+
+  /**
+   * Fetches inmates due for a classification review in the next 30 days.
+   */
+  useEffect(() => {
+    const fetchReviews = async () => {
+      try {
+        const { data } = await axios.get(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/classifications/reviews-due?days=30`,
+          {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem("token")}`,
+            },
+          }
+        );
+        setInmates(data.inmates);
+      } catch (error) {
+        console.error("Error fetching classification reviews:", error);
+        setInmates([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReviews();
+  }, []);
+
+  return (
+    <div className="mt-8 bg-white shadow-lg rounded-xl p-6">
+      <h2 className="text-xl font-semibold text-gray-900">
+        Classification Reviews
+      </h2>
+      <p className="text-gray-600 text-sm mb-4">
+        Inmates to classify, or due for a custody review in the next 30 days.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-4 border-blue-500 border-opacity-75"></div>
+        </div>
+      ) : inmates.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">
+          No classification reviews due.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {inmates.map((inmate) => (
+            <li
+              key={inmate._id}
+              className="py-3 flex justify-between items-center"
+            >
+              <div>
+                <Link
+                  to={`/inmates/view/${inmate._id}`}
+                  className="font-medium text-blue-600 hover:underline"
+                >
+                  {inmate.firstName} {inmate.lastName}
+                </Link>
+                <p className="text-sm text-gray-500">
+                  {inmate.inmateID} · {inmate.custodyLevel || "Not classified"}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className="text-sm text-gray-800">
+                  {inmate.nextClassificationReview
+                    ? new Date(
+                        inmate.nextClassificationReview
+                      ).toLocaleDateString()
+                    : "—"}
+                </p>
+                <p
+                  className={`text-xs ${
+                    inmate.overdue ? "text-red-600" : "text-gray-500"
+                  }`}
+                >
+                  {!inmate.custodyLevel
+                    ? "Initial classification"
+                    : inmate.overdue
+                    ? "Overdue"
+                    : "Due soon"}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DashboardClassificationReviews;
@@ -0,0 +1,126 @@
+/**
+ * @file DashboardGrievances.jsx
+ * @description Alerts staff on the dashboard to grievances past their response deadline.
+ * @module components/DashboardGrievances
+ *
+ * This component:
+ * - Fetches open grievances whose response is overdue.
+ * - Shows each grievance's inmate, category, responder and days overdue.
+ * - Links to the grievance management page filtered to overdue grievances.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-router-dom - Links to the grievance management page.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { Link } from "react-router-dom";
+
+/**
+ * Returns the whole days since a deadline passed.
+ *
+ * @param {String} dueDate - The response deadline.
+ * @returns {Number} - Days overdue (at least 1).
+ */
+const getDaysOverdue = (dueDate) =>
+  Math.max(1, Math.floor((Date.now() - new Date(dueDate)) / 86400000));
+
+/**
+ * DashboardGrievances Component
+ * -----------------------------
+ * - Displays overdue grievances, most overdue first.
+ *
+ * @component
+ * @returns {JSX.Element} - The overdue grievances UI component.
+ */
+const DashboardGrievances = () => {
+  const [grievances, setGrievances] = useState([]); // Overdue grievances
+  const [loading, setLoading] = useState(true); // Indicates loading state
+
+  /**
+   * Fetches grievances past their response deadline.
+   */
+  useEffect(() => {
+    const fetchOverdue = async () => {
+      try {
+        const { data } = await axios.get(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/grievances/overdue`,
+          {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem("token")}`,
+            },
+          }
+        );
+        setGrievances(data);
+      } catch (error) {
+        console.error("Error fetching overdue grievances:", error);
+        setGrievances([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOverdue();
+  }, []);
+
+  return (
+    <div className="mt-8 bg-white shadow-lg rounded-xl p-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold text-gray-900">
+          Overdue Grievances
+        </h2>
+        {grievances.length > 0 && (
+          <Link
+            to="/grievances?overdue=true"
+            className="text-sm text-blue-600 hover:underline"
+          >
+            View all
+          </Link>
+        )}
+      </div>
+      <p className="text-gray-600 text-sm mb-4">
+        Open grievances past their response deadline.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-4 border-blue-500 border-opacity-75"></div>
+        </div>
+      ) : grievances.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">No overdue grievances.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {grievances.slice(0, 5).map((grievance) => (
+            <li
+              key={grievance._id}
+              className="py-3 flex justify-between items-center"
+            >
+              <div>
+                <Link
+                  to={`/inmates/view/${grievance.inmate?._id}`}
+                  className="font-medium text-blue-600 hover:underline"
+                >
+                  {grievance.inmate?.firstName} {grievance.inmate?.lastName}
+                </Link>
+                <p className="text-sm text-gray-500">
+                  {grievance.inmate?.inmateID} · {grievance.category} ·{" "}
+                  {grievance.assignedTo?.username || "Unassigned"}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className="text-sm text-gray-800">{grievance.status}</p>
+                <p className="text-xs text-red-600">
+                  {getDaysOverdue(grievance.dueDate)} day(s) overdue
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DashboardGrievances;
@@ -0,0 +1,112 @@
+/**
+ * @file DashboardMedicalAppointments.jsx
+ * @description Shows medical staff the clinic schedule on the dashboard.
+ * @module components/DashboardMedicalAppointments
+ *
+ * This component:
+ * - Fetches the appointments scheduled for the next 7 days.
+ * - Shows each appointment's time, inmate, cell and type; the reason stays on the medical record.
+ * - Links to the inmate profile, where the encounter is recorded.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-router-dom - Links to the inmate profiles.
+ * @requires date-fns - Formats appointment times.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { Link } from "react-router-dom";
+import { format } from "date-fns";
+
+/**
+ * DashboardMedicalAppointments Component
+ * --------------------------------------
+ * - Displays upcoming appointments, soonest first.
+ *
+ * @component
+ * @returns {JSX.Element} - The clinic schedule UI component.
+ */
+const DashboardMedicalAppointments = () => {
+  const [appointments, setAppointments] = useState([]); // Upcoming appointments
+  const [loading, setLoading] = useState(true); // Indicates loading state
+
+  /**
+   * Fetches the scheduled appointments.
+   */
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        const { data } = await axios.get(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/medical/appointments`,
+          {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem("token")}`,
+            },
+          }
+        );
+        setAppointments(data);
+      } catch (error) {
+        console.error("Error fetching clinic schedule:", error);
+        setAppointments([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSchedule();
+  }, []);
+
+  return (
+    <div className="mt-8 bg-white shadow-lg rounded-xl p-6">
+      <h2 className="text-xl font-semibold text-gray-900">Clinic Schedule</h2>
+      <p className="text-gray-600 text-sm mb-4">
+        Medical appointments scheduled for the next 7 days.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-4 border-blue-500 border-opacity-75"></div>
+        </div>
+      ) : appointments.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">
+          No appointments scheduled.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {appointments.map((appointment) => (
+            <li
+              key={appointment._id}
+              className="py-3 flex justify-between items-center"
+            >
+              <div>
+                <Link
+                  to={`/inmates/view/${appointment.inmate?._id}`}
+                  className="font-medium text-blue-600 hover:underline"
+                >
+                  {appointment.inmate?.firstName} {appointment.inmate?.lastName}
+                </Link>
+                <p className="text-sm text-gray-500">
+                  {appointment.inmate?.inmateID} ·{" "}
+                  {appointment.inmate?.assignedCell || "Unassigned"}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className="text-sm text-gray-800">{appointment.type}</p>
+                <p className="text-xs text-gray-500">
+                  {format(
+                    new Date(appointment.scheduledFor),
+                    "EEE dd MMM, hh:mm a"
+                  )}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DashboardMedicalAppointments;
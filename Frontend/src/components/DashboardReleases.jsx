@@ -0,0 +1,120 @@
+/**
+ * @file DashboardReleases.jsx
+ * @description Lists inmates due for release in the next 30 days on the dashboard.
+ * @module components/DashboardReleases
+ *
+ * This component:
+ * - Fetches incarcerated inmates whose projected release date is within 30 days.
+ * - Shows each inmate's cell, projected release date and days remaining.
+ * - Links each inmate to their profile.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-router-dom - Links inmates to their profiles.
+ * @requires date-fns - Computes the days remaining.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { Link } from "react-router-dom";
+import { differenceInCalendarDays } from "date-fns";
+
+/**
+ * DashboardReleases Component
+ * ---------------------------
+ * - Displays upcoming releases, soonest first.
+ *
+ * @component
+ * @returns {JSX.Element} - The upcoming releases UI component.
+ */
+const DashboardReleases = () => {
+  const [releases, setReleases] = useState([]); // Inmates due for release
+  const [loading, setLoading] = useState(true); // Indicates loading state
+
+  /**
+   * Fetches inmates due for release in the next 30 days.
+   */
+  useEffect(() => {
+    const fetchReleases = async () => {
+      try {
+        const { data } = await axios.get(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/dashboard/upcoming-releases?days=30`,
+          {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem("token")}`,
+            },
+          }
+        );
+        setReleases(data.releases);
+      } catch (error) {
+        console.error("Error fetching upcoming releases:", error);
+        setReleases([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReleases();
+  }, []);
+
+  return (
+    <div className="mt-8 bg-white shadow-lg rounded-xl p-6">
+      <h2 className="text-xl font-semibold text-gray-900">Upcoming Releases</h2>
+      <p className="text-gray-600 text-sm mb-4">
+        Inmates due for release in the next 30 days.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-4 border-blue-500 border-opacity-75"></div>
+        </div>
+      ) : releases.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">
+          No releases in the next 30 days.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {releases.map((inmate) => {
+            const daysLeft = differenceInCalendarDays(
+              new Date(inmate.projectedReleaseDate),
+              new Date()
+            );
+            return (
+              <li
+                key={inmate._id}
+                className="py-3 flex justify-between items-center"
+              >
+                <div>
+                  <Link
+                    to={`/inmates/view/${inmate._id}`}
+                    className="font-medium text-blue-600 hover:underline"
+                  >
+                    {inmate.firstName} {inmate.lastName}
+                  </Link>
+                  <p className="text-sm text-gray-500">
+                    {inmate.inmateID} · {inmate.assignedCell || "No cell"}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className="text-sm text-gray-800">
+                    {new Date(inmate.projectedReleaseDate).toLocaleDateString()}
+                  </p>
+                  <p
+                    className={`text-xs ${
+                      daysLeft <= 7 ? "text-red-600" : "text-gray-500"
+                    }`}
+                  >
+                    {daysLeft === 0 ? "Today" : `In ${daysLeft} days`}
+                  </p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DashboardReleases;
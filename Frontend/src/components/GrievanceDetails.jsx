@@ -0,0 +1,362 @@
+/**
+ * @file GrievanceDetails.jsx
+ * @description Shows a grievance with its response history, and records responses and appeals.
+ * @module components/GrievanceDetails
+ *
+ * This component:
+ * - Displays the inmate's statement, the status, deadline and assigned responder.
+ * - Lists every status change and response, oldest first.
+ * - Lets responders reply, move the grievance under review or resolve it, and reassign it.
+ * - Lets staff who file grievances lodge an appeal against a resolved grievance.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import { hasPermission, ROLE_LABELS } from "../services/authService";
+
+// Statuses a response can move a grievance to, from each open status
+const RESPONSE_STATUSES = {
+  Filed: ["Under Review", "Resolved"],
+  "Under Review": ["Resolved"],
+  Appealed: ["Resolved"],
+};
+
+/**
+ * GrievanceDetails Component
+ * --------------------------
+ * - Modal showing one grievance and the actions available on it.
+ *
+ * @component
+ * @param {String} grievanceId - ID of the grievance to show.
+ * @param {Function} onClose - Function to close the modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the grievances after a change.
+ * @returns {JSX.Element} - The grievance details UI component.
+ */
+const GrievanceDetails = ({ grievanceId, onClose, onFormSuccess }) => {
+  const [grievance, setGrievance] = useState(null); // Grievance with its history
+  const [responders, setResponders] = useState([]); // Staff who can respond
+  const [response, setResponse] = useState(""); // Response or appeal grounds
+  const [status, setStatus] = useState(""); // Status to move to ("" keeps the current one)
+  const [saving, setSaving] = useState(false);
+
+  const canRespond = hasPermission("grievances:respond");
+  const canAppeal = hasPermission("grievances:file");
+  const headers = {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  };
+
+  /**
+   * Fetches the grievance with its response history.
+   */
+  const fetchGrievance = async () => {
+    try {
+      const { data } = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/grievances/${grievanceId}`,
+        { headers }
+      );
+      setGrievance(data);
+    } catch (error) {
+      console.error("Error fetching grievance:", error);
+      toast.error("⚠ Could not load the grievance.");
+    }
+  };
+
+  /**
+   * Fetches the grievance, and the staff it can be assigned to.
+   */
+  useEffect(() => {
+    const fetchResponders = async () => {
+      try {
+        const { data } = await axios.get(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/grievances/responders`,
+          { headers }
+        );
+        setResponders(data);
+      } catch (error) {
+        console.error("Error fetching grievance responders:", error);
+      }
+    };
+
+    fetchGrievance();
+    if (canRespond) fetchResponders();
+  }, [grievanceId]);
+
+  /**
+   * Sends a change to the grievance, then refreshes it and the list behind the modal.
+   *
+   * @param {Function} request - Makes the API call.
+   * @param {String} successMessage - Toast shown when the change is saved.
+   */
+  const saveChange = async (request, successMessage) => {
+    try {
+      setSaving(true);
+      await request();
+      toast.success(successMessage, { position: "top-right", autoClose: 2000 });
+      setResponse("");
+      setStatus("");
+      await fetchGrievance();
+      onFormSuccess();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Records a response, moving the grievance to the selected status.
+   */
+  const handleRespond = (e) => {
+    e.preventDefault();
+    if (!response.trim()) {
+      toast.error("⚠ Please enter a response.");
+      return;
+    }
+    saveChange(
+      () =>
+        axios.post(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/grievances/${grievanceId}/responses`,
+          { response, status: status || undefined },
+          { headers }
+        ),
+      status === "Resolved" ? "Grievance resolved." : "Response recorded."
+    );
+  };
+
+  /**
+   * Lodges the inmate's appeal against the resolution.
+   */
+  const handleAppeal = (e) => {
+    e.preventDefault();
+    if (!response.trim()) {
+      toast.error("⚠ Please enter the grounds for the appeal.");
+      return;
+    }
+    saveChange(
+      () =>
+        axios.post(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/grievances/${grievanceId}/appeal`,
+          { reason: response },
+          { headers }
+        ),
+      "Appeal lodged."
+    );
+  };
+
+  /**
+   * Assigns the grievance to another responder.
+   */
+  const handleAssign = (assignedTo) =>
+    saveChange(
+      () =>
+        axios.put(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/grievances/${grievanceId}/assign`,
+          { assignedTo },
+          { headers }
+        ),
+      "Grievance assigned."
+    );
+
+  const open = grievance && grievance.status !== "Resolved";
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <ToastContainer />
+
+        {!grievance ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : (
+          <>
+            <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+              {grievance.category} Grievance
+            </h2>
+            <p className="text-sm text-gray-500 mb-4">
+              {grievance.inmate?.inmateID} ({grievance.inmate?.firstName}{" "}
+              {grievance.inmate?.lastName}) · Filed{" "}
+              {new Date(grievance.filedAt).toLocaleDateString()}
+            </p>
+
+            {/* Summary */}
+            <div className="grid grid-cols-3 gap-4 text-sm mb-4">
+              <div>
+                <p className="text-gray-500">Status</p>
+                <p className="font-medium">{grievance.status}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">
+                  {grievance.status === "Resolved" ? "Resolved" : "Due"}
+                </p>
+                <p
+                  className={`font-medium ${
+                    grievance.overdue ? "text-red-600" : ""
+                  }`}
+                >
+                  {new Date(
+                    grievance.status === "Resolved"
+                      ? grievance.resolvedAt
+                      : grievance.dueDate
+                  ).toLocaleDateString()}
+                  {grievance.overdue && " (Overdue)"}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Assigned To</p>
+                {canRespond && open ? (
+                  <select
+                    value={grievance.assignedTo?._id || ""}
+                    onChange={(e) => handleAssign(e.target.value)}
+                    disabled={saving}
+                    className="w-full p-1 border rounded-md"
+                  >
+                    <option value="" disabled>
+                      Unassigned
+                    </option>
+                    {responders.map((responder) => (
+                      <option key={responder._id} value={responder._id}>
+                        {responder.username} ({ROLE_LABELS[responder.role]})
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <p className="font-medium">
+                    {grievance.assignedTo?.username || "Unassigned"}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="bg-gray-50 p-3 rounded-md mb-4">
+              <p className="text-gray-500 text-sm">Statement</p>
+              <p className="text-gray-800 whitespace-pre-line">
+                {grievance.statement}
+              </p>
+            </div>
+
+            {/* Response History */}
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">
+              History
+            </h3>
+            <ul className="border-l-2 border-gray-200 pl-4 space-y-3 mb-4">
+              {grievance.history.map((entry) => (
+                <li key={entry._id}>
+                  <p className="text-sm font-medium text-gray-800">
+                    {entry.fromStatus && entry.fromStatus !== entry.status
+                      ? `${entry.fromStatus} → ${entry.status}`
+                      : entry.fromStatus
+                      ? "Response"
+                      : "Filed"}
+                  </p>
+                  {entry.response && (
+                    <p className="text-gray-700 whitespace-pre-line">
+                      {entry.response}
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {new Date(entry.respondedAt).toLocaleString()} ·{" "}
+                    {entry.respondedBy?.username || "Unknown"}
+                  </p>
+                </li>
+              ))}
+            </ul>
+
+            {/* Respond (open grievances) */}
+            {canRespond && open && (
+              <form onSubmit={handleRespond} className="space-y-2">
+                <label className="block">Response</label>
+                <textarea
+                  value={response}
+                  onChange={(e) => setResponse(e.target.value)}
+                  rows={3}
+                  className="w-full p-2 border rounded-md"
+                />
+                <div className="flex justify-end items-center space-x-4">
+                  <select
+                    value={status}
+                    onChange={(e) => setStatus(e.target.value)}
+                    className="p-2 border rounded-md"
+                  >
+                    <option value="">Keep {grievance.status}</option>
+                    {RESPONSE_STATUSES[grievance.status].map((next) => (
+                      <option key={next} value={next}>
+                        Mark {next}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                  >
+                    {saving ? "Processing..." : "Respond"}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {/* Appeal (resolved grievances) */}
+            {canAppeal && !open && (
+              <form onSubmit={handleAppeal} className="space-y-2">
+                <label className="block">Grounds for Appeal</label>
+                <textarea
+                  value={response}
+                  onChange={(e) => setResponse(e.target.value)}
+                  rows={3}
+                  className="w-full p-2 border rounded-md"
+                />
+                <div className="flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 bg-orange-500 text-white rounded-md hover:bg-orange-600"
+                  >
+                    {saving ? "Processing..." : "Lodge Appeal"}
+                  </button>
+                </div>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default GrievanceDetails;
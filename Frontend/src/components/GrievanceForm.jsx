@@ -0,0 +1,254 @@
+/**
+ * @file GrievanceForm.jsx
+ * @description Form for filing a grievance on behalf of an inmate.
+ * @module components/GrievanceForm
+ *
+ * This component:
+ * - Records the inmate filing the grievance, its category and the inmate's statement.
+ * - Optionally assigns the staff member responsible for responding.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires authService - Provides the staff role labels.
+ */
+import { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import { ROLE_LABELS } from "../services/authService";
+
+const GRIEVANCE_CATEGORIES = [
+  "Medical",
+  "Food",
+  "Housing Conditions",
+  "Staff Conduct",
+  "Safety",
+  "Property",
+  "Visitation",
+  "Discrimination",
+  "Other",
+];
+
+/**
+ * Validation Schema for Grievance Form
+ */
+const grievanceSchema = yup.object().shape({
+  inmateID: yup.string().trim().required("⚠ Please enter the inmate's ID."),
+  category: yup
+    .string()
+    .oneOf(GRIEVANCE_CATEGORIES, "⚠ Please select a category."),
+  statement: yup
+    .string()
+    .trim()
+    .required("⚠ Please enter the inmate's statement."),
+  assignedTo: yup.string(),
+});
+
+/**
+ * GrievanceForm Component
+ * -----------------------
+ * - Files a grievance, optionally for a known inmate.
+ *
+ * @component
+ * @param {String} [inmateID] - Inmate ID to file for (the field is locked when given).
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the grievances after filing.
+ * @returns {JSX.Element} - The grievance form UI component.
+ */
+const GrievanceForm = ({ inmateID, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+  const [responders, setResponders] = useState([]); // Staff who can respond
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(grievanceSchema),
+    defaultValues: {
+      inmateID: inmateID || "",
+      category: "",
+      statement: "",
+      assignedTo: "",
+    },
+  });
+
+  /**
+   * Fetches the staff who can be assigned to respond.
+   */
+  useEffect(() => {
+    const fetchResponders = async () => {
+      try {
+        const { data } = await axios.get(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/grievances/responders`,
+          {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem("token")}`,
+            },
+          }
+        );
+        setResponders(data);
+      } catch (error) {
+        console.error("Error fetching grievance responders:", error);
+      }
+    };
+
+    fetchResponders();
+  }, []);
+
+  /**
+   * Handles form submission.
+   * - Sends the grievance to the API.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/grievances`,
+        { ...data, assignedTo: data.assignedTo || null },
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+
+      toast.success("Grievance filed successfully!", {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh the grievances
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-xl p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          File Grievance
+        </h2>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Inmate ID</label>
+              <input
+                {...register("inmateID")}
+                readOnly={Boolean(inmateID)}
+                placeholder="e.g. INM001"
+                className="w-full p-2 border rounded-md read-only:bg-gray-100"
+              />
+              <p className="text-red-500 text-sm">{errors.inmateID?.message}</p>
+            </div>
+            <div>
+              <label className="block">Category</label>
+              <select
+                {...register("category")}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="">Select Category</option>
+                {GRIEVANCE_CATEGORIES.map((category) => (
+                  <option key={category} value={category}>
+                    {category}
+                  </option>
+                ))}
+              </select>
+              <p className="text-red-500 text-sm">{errors.category?.message}</p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block">Statement</label>
+            <textarea
+              {...register("statement")}
+              rows={4}
+              placeholder="The inmate's account of the grievance"
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">{errors.statement?.message}</p>
+          </div>
+
+          <div>
+            <label className="block">Assign To</label>
+            <select
+              {...register("assignedTo")}
+              className="w-full p-2 border rounded-md"
+            >
+              <option value="">Unassigned</option>
+              {responders.map((responder) => (
+                <option key={responder._id} value={responder._id}>
+                  {responder.username} ({ROLE_LABELS[responder.role]})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "File"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default GrievanceForm;
@@ -0,0 +1,347 @@
+/**
+ * @file HeadcountSheet.jsx
+ * @description Modal for conducting a block headcount and reviewing completed counts.
+ * @module components/HeadcountSheet
+ *
+ * This component:
+ * - Lists the inmates on the count sheet by cell and bed, with a running tally.
+ * - Marks each inmate present, absent, out to court or in medical.
+ * - Warns as soon as an inmate is marked absent.
+ * - Completes the count once every inmate has been marked, and downloads the count sheet.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import { hasPermission } from "../services/authService";
+
+const COUNT_STATUSES = ["Present", "Absent", "Out to Court", "In Medical"];
+
+// Button colour of each count status when selected
+const STATUS_STYLES = {
+  Present: "bg-green-600 text-white",
+  Absent: "bg-red-600 text-white",
+  "Out to Court": "bg-blue-600 text-white",
+  "In Medical": "bg-purple-600 text-white",
+};
+
+/**
+ * HeadcountSheet Component
+ * ------------------------
+ *
+ * @component
+ * @param {String} headcountId - ID of the count to open.
+ * @param {Function} onClose - Function to close the modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the count history after a change.
+ * @returns {JSX.Element} - The count sheet UI component.
+ */
+const HeadcountSheet = ({ headcountId, onClose, onFormSuccess }) => {
+  const [headcount, setHeadcount] = useState(null); // Count with its entries and tally
+  const [saving, setSaving] = useState(false);
+
+  const headers = {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  };
+  const baseUrl = `${
+    import.meta.env.VITE_API_BASE_URL
+  }/prisonsphere/headcounts/${headcountId}`;
+
+  /**
+   * Fetches the count with its count sheet.
+   */
+  const fetchHeadcount = async () => {
+    try {
+      const { data } = await axios.get(baseUrl, { headers });
+      setHeadcount(data);
+    } catch (error) {
+      console.error("Error fetching headcount:", error);
+      toast.error("⚠ Could not load the count.");
+    }
+  };
+
+  useEffect(() => {
+    fetchHeadcount();
+  }, [headcountId]);
+
+  /**
+   * Marks an inmate on the count sheet.
+   * - Absent inmates need a note on where they were last seen.
+   *
+   * @param {Object} entry - The count sheet entry.
+   * @param {String} status - How the inmate was found.
+   */
+  const handleMark = async (entry, status) => {
+    let note = "";
+    if (status === "Absent") {
+      note = window.prompt(
+        `Where was ${entry.name} (${entry.inmateID}) last seen?`
+      );
+      if (!note?.trim()) return;
+    }
+
+    try {
+      setSaving(true);
+      const { data } = await axios.put(
+        `${baseUrl}/entries/${entry._id}`,
+        { status, note },
+        { headers }
+      );
+      if (data.discrepancy) {
+        toast.error(data.message, { position: "top-right", autoClose: false });
+      }
+      setHeadcount((current) => ({
+        ...current,
+        discrepancy: data.tally.absent > 0,
+        tally: data.tally,
+        entries: current.entries.map((countEntry) =>
+          countEntry._id === entry._id ? data.entry : countEntry
+        ),
+      }));
+      onFormSuccess();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Completes the count after confirmation, with optional notes.
+   */
+  const handleComplete = async () => {
+    const notes = window.prompt("Notes for this count (optional):", "");
+    if (notes === null) return;
+
+    try {
+      setSaving(true);
+      const { data } = await axios.post(
+        `${baseUrl}/complete`,
+        { notes },
+        { headers }
+      );
+      if (data.headcount.tally.cleared) {
+        toast.success(data.message, { position: "top-right" });
+      } else {
+        toast.error(data.message, { position: "top-right" });
+      }
+      await fetchHeadcount();
+      onFormSuccess();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Downloads the count sheet as a PDF.
+   */
+  const downloadSheet = async () => {
+    try {
+      const response = await axios.get(`${baseUrl}/sheet`, {
+        headers,
+        responseType: "blob", // Ensures response is treated as a file
+      });
+
+      const pdfUrl = URL.createObjectURL(
+        new Blob([response.data], { type: "application/pdf" })
+      );
+      const link = document.createElement("a");
+      link.href = pdfUrl;
+      link.download = `headcount_${headcount.blockName.split(" ")[0]}_${
+        headcount.countType
+      }.pdf`;
+      link.click();
+      URL.revokeObjectURL(pdfUrl);
+    } catch (error) {
+      console.error("Error downloading count sheet:", error);
+    }
+  };
+
+  const canConduct =
+    hasPermission("headcounts:conduct") && headcount?.status === "In Progress";
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-4xl max-h-[90vh] overflow-y-auto p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <ToastContainer />
+
+        {!headcount ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : (
+          <>
+            <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+              {headcount.blockName} · {headcount.countType} Count
+            </h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Started {new Date(headcount.startedAt).toLocaleString()}
+              {headcount.startedBy?.username &&
+                ` by ${headcount.startedBy.username}`}
+              {headcount.status === "Completed" &&
+                ` · Completed ${new Date(
+                  headcount.completedAt
+                ).toLocaleString()}${
+                  headcount.completedBy?.username
+                    ? ` by ${headcount.completedBy.username}`
+                    : ""
+                }`}
+            </p>
+
+            {/* Tally */}
+            <div
+              className={`grid grid-cols-5 gap-4 text-sm p-3 rounded-md mb-4 ${
+                headcount.tally.absent > 0 ? "bg-red-50" : "bg-gray-50"
+              }`}
+            >
+              <div>
+                <p className="text-gray-500">Expected</p>
+                <p className="font-semibold">{headcount.tally.expected}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Present</p>
+                <p className="font-semibold">{headcount.tally.present}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Out</p>
+                <p className="font-semibold">{headcount.tally.out}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Absent</p>
+                <p
+                  className={`font-semibold ${
+                    headcount.tally.absent > 0 ? "text-red-600" : ""
+                  }`}
+                >
+                  {headcount.tally.absent}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Not Marked</p>
+                <p className="font-semibold">{headcount.tally.unmarked}</p>
+              </div>
+            </div>
+
+            {/* Count Sheet */}
+            <table className="w-full border-collapse text-gray-700 text-sm">
+              <thead>
+                <tr className="bg-gray-100 text-left font-semibold">
+                  <th className="p-2">Cell</th>
+                  <th className="p-2">Bed</th>
+                  <th className="p-2">Inmate</th>
+                  <th className="p-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {headcount.entries.map((entry) => (
+                  <tr
+                    key={entry._id}
+                    className={`border-b border-gray-200 ${
+                      entry.status === "Absent" ? "bg-red-50" : ""
+                    }`}
+                  >
+                    <td className="p-2">{entry.cellLabel}</td>
+                    <td className="p-2">{entry.bed ?? "—"}</td>
+                    <td className="p-2">
+                      {entry.name}
+                      <p className="text-xs text-gray-500">
+                        {entry.inmateID}
+                        {entry.note && ` · ${entry.note}`}
+                      </p>
+                    </td>
+                    <td className="p-2">
+                      {canConduct ? (
+                        <div className="flex flex-wrap gap-1">
+                          {COUNT_STATUSES.map((status) => (
+                            <button
+                              key={status}
+                              onClick={() => handleMark(entry, status)}
+                              disabled={saving}
+                              className={`px-2 py-1 text-xs rounded border ${
+                                entry.status === status
+                                  ? STATUS_STYLES[status]
+                                  : "bg-white hover:bg-gray-100"
+                              }`}
+                            >
+                              {status}
+                            </button>
+                          ))}
+                        </div>
+                      ) : (
+                        <span
+                          className={
+                            entry.status === "Absent"
+                              ? "text-red-600 font-semibold"
+                              : ""
+                          }
+                        >
+                          {entry.status || "Not marked"}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {headcount.notes && (
+              <p className="text-sm text-gray-700 mt-4">
+                Notes: {headcount.notes}
+              </p>
+            )}
+
+            {/* Actions */}
+            <div className="flex justify-end space-x-4 mt-6">
+              <button
+                onClick={downloadSheet}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+              >
+                Count Sheet (PDF)
+              </button>
+              {canConduct && (
+                <button
+                  onClick={handleComplete}
+                  disabled={saving || headcount.tally.unmarked > 0}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-300"
+                >
+                  {saving ? "Processing..." : "Complete Count"}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default HeadcountSheet;
@@ -0,0 +1,303 @@
+/**
+ * @file HearingForm.jsx
+ * @description Form for recording the outcome of an offender's disciplinary hearing.
+ * @module components/HearingForm
+ *
+ * This component:
+ * - Records the hearing date, outcome (Guilty, Not Guilty, Dismissed) and findings.
+ * - Imposes sanctions on a guilty finding, such as loss of visits for a number of
+ *   days or the forfeiture of good-conduct credit days.
+ *
+ * Features:
+ * - Uses `react-hook-form` (with `useFieldArray` for the sanctions) and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm, useFieldArray } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const HEARING_OUTCOMES = ["Guilty", "Not Guilty", "Dismissed"];
+const SANCTION_TYPES = [
+  "Warning",
+  "Loss of Privileges",
+  "Cell Confinement",
+  "Loss of Visits",
+  "Non-Contact Visits",
+  "Loss of Good Conduct Credit",
+];
+
+/**
+ * Validation Schema for Hearing Form
+ * - Every sanction other than a warning needs a number of days.
+ */
+const hearingSchema = yup.object().shape({
+  outcome: yup
+    .string()
+    .oneOf(HEARING_OUTCOMES, "⚠ Please select the outcome of the hearing."),
+  hearingDate: yup
+    .date()
+    .typeError("⚠ Please select the hearing date.")
+    .max(new Date(), "⚠ The hearing date cannot be in the future.")
+    .required(),
+  notes: yup.string(),
+  sanctions: yup.array().of(
+    yup.object().shape({
+      type: yup.string().oneOf(SANCTION_TYPES),
+      days: yup.number().when("type", {
+        is: "Warning",
+        then: (schema) => schema.strip(),
+        otherwise: (schema) =>
+          schema
+            .typeError("⚠ Days must be a number.")
+            .integer("⚠ Days must be a whole number.")
+            .min(1, "⚠ Days must be at least one."),
+      }),
+      notes: yup.string(),
+    })
+  ),
+});
+
+/**
+ * HearingForm Component
+ * ---------------------
+ * - Records the hearing of one offender in `incident`.
+ *
+ * @component
+ * @param {Object} incident - The incident the hearing is for.
+ * @param {Object} offender - The offender (populated inmate) going before the hearing.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the incidents after saving.
+ * @returns {JSX.Element} - The hearing form UI component.
+ */
+const HearingForm = ({ incident, offender, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(hearingSchema),
+    defaultValues: {
+      outcome: "",
+      hearingDate: new Date().toISOString().split("T")[0],
+      notes: "",
+      sanctions: [],
+    },
+  });
+
+  const { fields, append, remove } = useFieldArray({
+    control,
+    name: "sanctions",
+  });
+  const guilty = watch("outcome") === "Guilty";
+
+  /**
+   * Handles form submission.
+   * - Sends the outcome, and the sanctions on a guilty finding, to the incident API.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/incidents/${
+          incident._id
+        }/hearings`,
+        {
+          ...data,
+          inmate: offender._id,
+          sanctions: guilty ? data.sanctions : [],
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+
+      toast.success("Hearing recorded successfully!", {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh the incidents and the sentence
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-2xl p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          Record Hearing
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {offender.inmateID} ({offender.firstName} {offender.lastName}) ·{" "}
+          {incident.incidentType}
+        </p>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Outcome</label>
+              <select
+                {...register("outcome")}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="">Select Outcome</option>
+                {HEARING_OUTCOMES.map((outcome) => (
+                  <option key={outcome} value={outcome}>
+                    {outcome}
+                  </option>
+                ))}
+              </select>
+              <p className="text-red-500 text-sm">{errors.outcome?.message}</p>
+            </div>
+            <div>
+              <label className="block">Hearing Date</label>
+              <input
+                type="date"
+                {...register("hearingDate")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.hearingDate?.message}
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block">Findings</label>
+            <textarea
+              {...register("notes")}
+              rows={3}
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          {/* Sanctions (guilty findings only) */}
+          {guilty && (
+            <div>
+              <label className="block">Sanctions</label>
+              {fields.map((field, index) => (
+                <div
+                  key={field.id}
+                  className="grid grid-cols-12 gap-2 items-start mb-2"
+                >
+                  <select
+                    {...register(`sanctions.${index}.type`)}
+                    className="col-span-5 p-2 border rounded-md"
+                  >
+                    {SANCTION_TYPES.map((type) => (
+                      <option key={type} value={type}>
+                        {type}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    {...register(`sanctions.${index}.days`)}
+                    disabled={watch(`sanctions.${index}.type`) === "Warning"}
+                    placeholder="Days"
+                    className="col-span-2 p-2 border rounded-md disabled:bg-gray-100"
+                  />
+                  <input
+                    {...register(`sanctions.${index}.notes`)}
+                    placeholder="Notes"
+                    className="col-span-4 p-2 border rounded-md"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => remove(index)}
+                    className="col-span-1 mt-2 text-red-500 hover:text-red-700"
+                  >
+                    <IoClose size={20} />
+                  </button>
+                  <p className="col-span-12 text-red-500 text-sm">
+                    {errors.sanctions?.[index]?.days?.message}
+                  </p>
+                </div>
+              ))}
+              <p className="text-gray-500 text-xs mb-2">
+                Sanctions start on the hearing date. Forfeited good-conduct days
+                are taken off the inmate&apos;s sentence credits.
+              </p>
+              <button
+                type="button"
+                onClick={() =>
+                  append({ type: "Loss of Visits", days: "", notes: "" })
+                }
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+              >
+                + Add Sanction
+              </button>
+            </div>
+          )}
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default HearingForm;
@@ -0,0 +1,289 @@
+/**
+ * @file HousingForm.js
+ * @description Form for adding facilities, housing blocks and cells.
+ * @module components/HousingForm
+ *
+ * This component:
+ * - Adds a facility (name, code, address).
+ * - Adds a housing block to a facility with its security level.
+ * - Adds a cell to a block with its bed capacity.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const SECURITY_LEVELS = ["Minimum", "Medium", "Maximum"];
+
+/**
+ * Validation Schemas for Housing Form
+ * - One schema per record type.
+ */
+const schemas = {
+  facility: yup.object().shape({
+    name: yup.string().required("⚠ Name is required."),
+    code: yup.string().required("⚠ Code is required."),
+    address: yup.string(),
+  }),
+  block: yup.object().shape({
+    facility: yup.string().required("⚠ Please select a facility."),
+    name: yup.string().required("⚠ Name is required."),
+    code: yup.string().required("⚠ Code is required."),
+    securityLevel: yup.string().oneOf(SECURITY_LEVELS),
+  }),
+  cell: yup.object().shape({
+    block: yup.string().required("⚠ Please select a block."),
+    cellNumber: yup.string().required("⚠ Cell number is required."),
+    capacity: yup
+      .number()
+      .typeError("⚠ Capacity must be a number.")
+      .integer("⚠ Capacity must be a whole number.")
+      .min(1, "⚠ A cell needs at least one bed.")
+      .required("⚠ Capacity is required."),
+  }),
+};
+
+const TITLES = {
+  facility: "Add Facility",
+  block: "Add Block",
+  cell: "Add Cell",
+};
+
+/**
+ * HousingForm Component
+ * ---------------------
+ * - Adds a facility, block or cell depending on `type`.
+ *
+ * @component
+ * @param {String} type - "facility", "block" or "cell".
+ * @param {Array} facilities - Facilities to choose from (blocks only).
+ * @param {Array} blocks - Blocks to choose from (cells only).
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the housing map after submission.
+ * @returns {JSX.Element} - The housing form UI component.
+ */
+const HousingForm = ({ type, facilities, blocks, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(schemas[type]),
+    defaultValues: { securityLevel: "Medium", capacity: 2 },
+  });
+
+  /**
+   * Handles form submission.
+   * - Sends data to the housing API for the selected record type.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/housing/${
+          type === "facility" ? "facilities" : `${type}s`
+        }`,
+        data,
+        {
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+        }
+      );
+
+      toast.success(`${TITLES[type].replace("Add ", "")} added successfully!`, {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh housing map
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          {TITLES[type]}
+        </h2>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {type === "block" && (
+            <div>
+              <label className="block">Facility</label>
+              <select
+                {...register("facility")}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="">Select Facility</option>
+                {facilities.map((facility) => (
+                  <option key={facility._id} value={facility._id}>
+                    {facility.name}
+                  </option>
+                ))}
+              </select>
+              <p className="text-red-500 text-sm">{errors.facility?.message}</p>
+            </div>
+          )}
+
+          {type === "cell" && (
+            <div>
+              <label className="block">Block</label>
+              <select
+                {...register("block")}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="">Select Block</option>
+                {blocks.map((block) => (
+                  <option key={block._id} value={block._id}>
+                    {block.code} · {block.name}
+                    {block.facility?.name ? ` (${block.facility.name})` : ""}
+                  </option>
+                ))}
+              </select>
+              <p className="text-red-500 text-sm">{errors.block?.message}</p>
+            </div>
+          )}
+
+          {type === "cell" ? (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block">Cell Number</label>
+                <input
+                  {...register("cellNumber")}
+                  placeholder="e.g., 101"
+                  className="w-full p-2 border rounded-md"
+                />
+                <p className="text-red-500 text-sm">
+                  {errors.cellNumber?.message}
+                </p>
+              </div>
+              <div>
+                <label className="block">Beds</label>
+                <input
+                  type="number"
+                  {...register("capacity")}
+                  className="w-full p-2 border rounded-md"
+                />
+                <p className="text-red-500 text-sm">
+                  {errors.capacity?.message}
+                </p>
+              </div>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block">Name</label>
+                <input
+                  {...register("name")}
+                  className="w-full p-2 border rounded-md"
+                />
+                <p className="text-red-500 text-sm">{errors.name?.message}</p>
+              </div>
+              <div>
+                <label className="block">Code</label>
+                <input
+                  {...register("code")}
+                  placeholder={type === "block" ? "e.g., A" : "e.g., CCF"}
+                  className="w-full p-2 border rounded-md"
+                />
+                <p className="text-red-500 text-sm">{errors.code?.message}</p>
+              </div>
+            </div>
+          )}
+
+          {type === "facility" && (
+            <div>
+              <label className="block">Address</label>
+              <input
+                {...register("address")}
+                className="w-full p-2 border rounded-md"
+              />
+            </div>
+          )}
+
+          {type === "block" && (
+            <div>
+              <label className="block">Security Level</label>
+              <select
+                {...register("securityLevel")}
+                className="w-full p-2 border rounded-md"
+              >
+                {SECURITY_LEVELS.map((level) => (
+                  <option key={level} value={level}>
+                    {level}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : TITLES[type]}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default HousingForm;
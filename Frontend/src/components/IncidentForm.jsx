@@ -0,0 +1,332 @@
+/**
+ * @file IncidentForm.jsx
+ * @description Form for reporting a disciplinary incident.
+ * @module components/IncidentForm
+ *
+ * This component:
+ * - Records when and where the incident happened and what happened.
+ * - Lists the inmates involved (by inmate ID) as offender, victim or witness,
+ *   starting with the inmate whose record is open.
+ * - Lists the staff involved or present.
+ * - Attaches up to five evidence files (images or PDFs) once the incident is reported.
+ *
+ * Features:
+ * - Uses `react-hook-form` (with `useFieldArray` for the inmates involved) and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm, useFieldArray } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const INCIDENT_TYPES = [
+  "Assault",
+  "Fighting",
+  "Contraband",
+  "Threats",
+  "Property Damage",
+  "Disobeying Orders",
+  "Escape Attempt",
+  "Self-Harm",
+  "Other",
+];
+const INVOLVEMENT_ROLES = ["Offender", "Victim", "Witness"];
+
+/**
+ * Validation Schema for Incident Form
+ * - At least one inmate must be involved; evidence is limited to five files.
+ */
+const incidentSchema = yup.object().shape({
+  incidentType: yup
+    .string()
+    .oneOf(INCIDENT_TYPES, "⚠ Please select an incident type."),
+  occurredAt: yup
+    .date()
+    .typeError("⚠ Please enter when the incident happened.")
+    .max(new Date(), "⚠ The incident date cannot be in the future.")
+    .required(),
+  location: yup.string().required("⚠ Location is required."),
+  narrative: yup.string().required("⚠ Please describe what happened."),
+  involvedStaff: yup.string(),
+  involvedInmates: yup
+    .array()
+    .of(
+      yup.object().shape({
+        inmateID: yup.string().required("⚠ Inmate ID is required."),
+        role: yup.string().oneOf(INVOLVEMENT_ROLES),
+      })
+    )
+    .min(1, "⚠ Please add at least one inmate involved."),
+  evidence: yup
+    .mixed()
+    .test(
+      "maxFiles",
+      "⚠ You can attach up to five files.",
+      (files) => !files || files.length <= 5
+    ),
+});
+
+/**
+ * IncidentForm Component
+ * ----------------------
+ * - Reports an incident involving `inmate`, then uploads any evidence selected.
+ *
+ * @component
+ * @param {Object} inmate - The inmate whose record the incident is reported from.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the incidents after saving.
+ * @returns {JSX.Element} - The incident form UI component.
+ */
+const IncidentForm = ({ inmate, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(incidentSchema),
+    defaultValues: {
+      incidentType: "",
+      occurredAt: "",
+      location: "",
+      narrative: "",
+      involvedStaff: "",
+      involvedInmates: [{ inmateID: inmate.inmateID, role: "Offender" }],
+    },
+  });
+
+  const { fields, append, remove } = useFieldArray({
+    control,
+    name: "involvedInmates",
+  });
+
+  /**
+   * Handles form submission.
+   * - Reports the incident, then uploads the evidence files to it.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async ({ evidence, ...data }) => {
+    const url = `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/incidents`;
+    const headers = {
+      Authorization: `Bearer ${localStorage.getItem("token")}`,
+    };
+
+    try {
+      setLoading(true);
+      const response = await axios.post(url, data, { headers });
+
+      if (evidence?.length) {
+        const formData = new FormData();
+        Array.from(evidence).forEach((file) =>
+          formData.append("evidence", file)
+        );
+        await axios.post(
+          `${url}/${response.data.incident._id}/evidence`,
+          formData,
+          { headers: { ...headers, "Content-Type": "multipart/form-data" } }
+        );
+      }
+
+      toast.success("Incident reported successfully!", {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh the inmate's incidents
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-2xl p-6 rounded-lg shadow-lg relative max-h-screen overflow-y-auto">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          Report Incident
+        </h2>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Type</label>
+              <select
+                {...register("incidentType")}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="">Select Type</option>
+                {INCIDENT_TYPES.map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+              <p className="text-red-500 text-sm">
+                {errors.incidentType?.message}
+              </p>
+            </div>
+            <div>
+              <label className="block">Date & Time</label>
+              <input
+                type="datetime-local"
+                {...register("occurredAt")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.occurredAt?.message}
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block">Location</label>
+            <input
+              {...register("location")}
+              placeholder="e.g., Block A dining hall"
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">{errors.location?.message}</p>
+          </div>
+
+          <div>
+            <label className="block">Narrative</label>
+            <textarea
+              {...register("narrative")}
+              rows={4}
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">{errors.narrative?.message}</p>
+          </div>
+
+          {/* Inmates Involved */}
+          <div>
+            <label className="block">Inmates Involved</label>
+            {fields.map((field, index) => (
+              <div
+                key={field.id}
+                className="grid grid-cols-12 gap-2 items-start mb-2"
+              >
+                <input
+                  {...register(`involvedInmates.${index}.inmateID`)}
+                  placeholder="Inmate ID"
+                  className="col-span-6 p-2 border rounded-md"
+                />
+                <select
+                  {...register(`involvedInmates.${index}.role`)}
+                  className="col-span-5 p-2 border rounded-md"
+                >
+                  {INVOLVEMENT_ROLES.map((role) => (
+                    <option key={role} value={role}>
+                      {role}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => remove(index)}
+                  disabled={fields.length === 1}
+                  className="col-span-1 mt-2 text-red-500 hover:text-red-700 disabled:opacity-30"
+                >
+                  <IoClose size={20} />
+                </button>
+                <p className="col-span-12 text-red-500 text-sm">
+                  {errors.involvedInmates?.[index]?.inmateID?.message}
+                </p>
+              </div>
+            ))}
+            <p className="text-red-500 text-sm">
+              {errors.involvedInmates?.message}
+            </p>
+            <button
+              type="button"
+              onClick={() => append({ inmateID: "", role: "Offender" })}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+            >
+              + Add Inmate
+            </button>
+          </div>
+
+          <div>
+            <label className="block">Staff Involved (comma-separated)</label>
+            <input
+              {...register("involvedStaff")}
+              placeholder="e.g., Officer Smith, Officer Jones"
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          <div>
+            <label className="block">Evidence (images or PDFs, up to 5)</label>
+            <input
+              type="file"
+              multiple
+              accept="image/jpeg,image/png,application/pdf"
+              {...register("evidence")}
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">{errors.evidence?.message}</p>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default IncidentForm;
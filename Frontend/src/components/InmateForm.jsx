@@ -7,6 +7,7 @@
  * - Register a new inmate.
  * - Update an existing inmate's details.
  * - Upload a profile image for the inmate.
+ * - Assign the inmate to a cell with a free bed.
  *
  * @requires react - React library for component-based UI.
  * @requires react-hook-form - Hook-based form handling.
@@ -25,6 +26,14 @@ import axios from "axios";
 import { motion } from "framer-motion";
 import { IoClose } from "react-icons/io5";
 
+// Sentence fields managed from the sentence panel, never sent with the inmate form
+const SENTENCE_KEYS = [
+  "sentences",
+  "sentenceCredits",
+  "sentenceSummary",
+  "projectedReleaseDate",
+];
+
 // **Validation Schema**
 // Defines validation rules for each input field
 const inmateSchema = yup.object().shape({
@@ -48,9 +57,22 @@ const inmateSchema = yup.object().shape({
     .positive("⚠ Sentence Duration must be greater than zero.")
     .integer("⚠ Sentence Duration must be a whole number.")
     .required("⚠ Sentence Duration (months) is required."),
+  timeServedDays: yup
+    .number()
+    .transform((value, original) => (original === "" ? undefined : value))
+    .typeError("⚠ Time Served must be a number of days.")
+    .min(0, "⚠ Time Served cannot be negative.")
+    .integer("⚠ Time Served must be a whole number of days."),
   crimeDetails: yup.string().required("⚠ Crime Details are required."),
-  assignedCell: yup.string().required("⚠ Assigned Cell is required."),
-  status: yup.string().oneOf(["Incarcerated", "Released"]),
+  cell: yup
+    .string()
+    .nullable()
+    .when("status", {
+      is: "Incarcerated",
+      then: (schema) => schema.required("⚠ Assigned Cell is required."),
+    }),
+  // Releases go through ReleaseForm; an inmate out of custody keeps their status
+  status: yup.string().oneOf(["Incarcerated", yup.ref("$currentStatus")]),
   profileImage: yup.mixed().nullable(),
 });
 
@@ -66,19 +88,53 @@ const inmateSchema = yup.object().shape({
  */
 const InmateForm = ({ nextInmateID, onClose, inmateData, onFormSuccess }) => {
   const isEditMode = !!inmateData; // Detect if the form is in edit mode
+  const hasSeveralSentences = inmateData?.sentences?.length > 1;
 
   // React Hook Form setup
   const {
     register,
     handleSubmit,
     setValue,
+    watch,
     formState: { errors },
   } = useForm({
     resolver: yupResolver(inmateSchema),
     defaultValues: inmateData || { status: "Incarcerated" },
+    context: { currentStatus: inmateData?.status },
   });
 
   const [selectedImage, setSelectedImage] = useState(null);
+  const [cells, setCells] = useState([]); // Cells with current occupancy
+  const status = watch("status");
+
+  /**
+   * Fetches cells that are in use, with their occupancy.
+   */
+  useEffect(() => {
+    const fetchCells = async () => {
+      try {
+        const response = await axios.get(
+          `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/housing/cells`,
+          {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem("token")}`,
+            },
+          }
+        );
+        setCells(
+          response.data.filter(
+            (cell) =>
+              (cell.isActive && cell.block?.isActive !== false) ||
+              cell._id === inmateData?.cell
+          )
+        );
+      } catch (error) {
+        console.error("Error fetching cells:", error);
+      }
+    };
+
+    fetchCells();
+  }, [inmateData]);
 
   /**
    * Load inmate data into the form if in edit mode.
@@ -135,6 +191,16 @@ const InmateForm = ({ nextInmateID, onClose, inmateData, onFormSuccess }) => {
             key,
             data[key] ? new Date(data[key]).toISOString() : ""
           );
+        } else if (key === "bed" || key === "assignedCell") {
+          // Bed and cell label are assigned by the server from the selected cell
+          return;
+        } else if (key === "timeServedDays") {
+          if (data[key]) formData.append(key, data[key]);
+        } else if (SENTENCE_KEYS.includes(key)) {
+          // Sentences and credits are edited from the inmate's sentence panel
+          return;
+        } else if (key === "cell") {
+          formData.append(key, data[key] || "");
         } else if (key === "profileImage" && data[key] instanceof File) {
           formData.append(key, data[key]); // Append file separately
         } else if (key === "behaviorReports") {
@@ -324,13 +390,37 @@ const InmateForm = ({ nextInmateID, onClose, inmateData, onFormSuccess }) => {
               <input
                 type="number"
                 {...register("sentenceDuration")}
+                readOnly={hasSeveralSentences}
                 className="w-full p-3 border rounded-lg"
               />
               <p className="text-red-500 text-sm">
                 {errors.sentenceDuration?.message}
               </p>
+              {hasSeveralSentences && (
+                <p className="text-gray-500 text-xs">
+                  This inmate has several sentences. Edit them from the Sentence
+                  panel.
+                </p>
+              )}
             </div>
 
+            {!isEditMode && (
+              <div>
+                <label className="block">
+                  Time Served Before Admission (Days)
+                </label>
+                <input
+                  type="number"
+                  {...register("timeServedDays")}
+                  placeholder="0"
+                  className="w-full p-3 border rounded-lg"
+                />
+                <p className="text-red-500 text-sm">
+                  {errors.timeServedDays?.message}
+                </p>
+              </div>
+            )}
+
             <div>
               <label className="block">Status</label>
               <select
@@ -339,7 +429,9 @@ const InmateForm = ({ nextInmateID, onClose, inmateData, onFormSuccess }) => {
                 className="w-full p-3 border rounded-lg"
               >
                 <option value="Incarcerated">Incarcerated</option>
-                <option value="Released">Released</option>
+                {inmateData?.status && inmateData.status !== "Incarcerated" && (
+                  <option value={inmateData.status}>{inmateData.status}</option>
+                )}
               </select>
             </div>
           </div>
@@ -358,14 +450,24 @@ const InmateForm = ({ nextInmateID, onClose, inmateData, onFormSuccess }) => {
 
           <div>
             <label className="block">Assigned Cell</label>
-            <input
-              {...register("assignedCell")}
+            <select
+              {...register("cell")}
+              disabled={status !== "Incarcerated"}
               className="w-full p-3 border rounded-lg"
-              placeholder="Enter assigned cell (e.g., Block A-12)"
-            />
-            <p className="text-red-500 text-sm">
-              {errors.assignedCell?.message}
-            </p>
+            >
+              <option value="">Select Cell</option>
+              {cells.map((cell) => {
+                const isCurrentCell = cell._id === inmateData?.cell;
+                const isFull = cell.occupied >= cell.capacity && !isCurrentCell;
+                return (
+                  <option key={cell._id} value={cell._id} disabled={isFull}>
+                    {cell.label} · {cell.securityLevel} · {cell.occupied}/
+                    {cell.capacity} beds{isFull ? " (Full)" : ""}
+                  </option>
+                );
+              })}
+            </select>
+            <p className="text-red-500 text-sm">{errors.cell?.message}</p>
           </div>
 
           {/* Profile Image Upload */}
@@ -0,0 +1,479 @@
+/**
+ * @file InmateMedicalRecord.jsx
+ * @description Displays an inmate's medical record on the inmate profile, for medical staff only.
+ * @module components/InmateMedicalRecord
+ *
+ * This component:
+ * - Lists allergies, conditions, medications, appointments and the latest encounters.
+ * - Shows each medication's administration log on demand.
+ * - Deactivates allergies, resolves conditions, discontinues medications and closes
+ *   missed or cancelled appointments.
+ * - Opens `MedicalForm` to record entries, doses, encounters and appointments.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Fetches and updates the medical record.
+ * @requires date-fns - Formats dates.
+ * @requires MedicalForm - Component for adding to the medical record.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { format } from "date-fns";
+import MedicalForm from "./MedicalForm";
+import { hasPermission } from "../services/authService";
+
+/**
+ * InmateMedicalRecord Component
+ * -----------------------------
+ *
+ * @component
+ * @param {Object} inmate - The patient.
+ * @param {Function} onRecordChange - Callback function to refresh the medical alerts after a change.
+ * @returns {JSX.Element|null} - The medical record UI component.
+ */
+const InmateMedicalRecord = ({ inmate, onRecordChange }) => {
+  const [record, setRecord] = useState(null); // { allergies, conditions, medications, encounters, appointments }
+  const [medicalForm, setMedicalForm] = useState(null); // { type, entry } being recorded
+  const [administrations, setAdministrations] = useState(null); // { medicationId, doses } shown
+
+  const canRecord = hasPermission("medical:record");
+  const authHeaders = {
+    headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+  };
+  const baseUrl = `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/medical`;
+
+  /**
+   * Fetches the inmate's medical record.
+   */
+  const fetchRecord = async () => {
+    try {
+      const response = await axios.get(
+        `${baseUrl}/inmate/${inmate._id}`,
+        authHeaders
+      );
+      setRecord(response.data);
+    } catch (error) {
+      console.error("Error fetching medical record:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchRecord();
+  }, [inmate._id]);
+
+  /**
+   * Refreshes the record, and the alerts when allergies or conditions changed.
+   */
+  const handleRecordChange = () => {
+    setAdministrations(null); // The dose log is fetched again when reopened
+    fetchRecord();
+    onRecordChange();
+  };
+
+  /**
+   * Updates an allergy, condition or medication after confirmation.
+   *
+   * @param {String} list - "allergies", "conditions" or "medications".
+   * @param {Object} entry - The entry to update.
+   * @param {Object} updates - Fields to change.
+   * @param {String} confirmation - Question shown before the update.
+   */
+  const updateEntry = async (list, entry, updates, confirmation) => {
+    if (!window.confirm(confirmation)) return;
+
+    try {
+      await axios.put(
+        `${baseUrl}/inmate/${inmate._id}/${list}/${entry._id}`,
+        updates,
+        authHeaders
+      );
+      handleRecordChange();
+    } catch (error) {
+      alert(error.response?.data?.message || "Error updating medical record.");
+    }
+  };
+
+  /**
+   * Marks a scheduled appointment as missed or cancelled.
+   *
+   * @param {Object} appointment - The appointment.
+   * @param {String} status - "Missed" or "Cancelled".
+   */
+  const closeAppointment = async (appointment, status) => {
+    if (
+      !window.confirm(
+        `Mark the ${appointment.type} appointment as ${status.toLowerCase()}?`
+      )
+    )
+      return;
+
+    try {
+      await axios.put(
+        `${baseUrl}/appointments/${appointment._id}`,
+        { status },
+        authHeaders
+      );
+      fetchRecord();
+    } catch (error) {
+      alert(error.response?.data?.message || "Error updating appointment.");
+    }
+  };
+
+  /**
+   * Shows or hides the administration log of a medication.
+   *
+   * @param {Object} medication - The medication.
+   */
+  const toggleAdministrations = async (medication) => {
+    if (administrations?.medicationId === medication._id) {
+      setAdministrations(null);
+      return;
+    }
+
+    try {
+      const response = await axios.get(
+        `${baseUrl}/inmate/${inmate._id}/medications/${medication._id}/administrations`,
+        authHeaders
+      );
+      setAdministrations({
+        medicationId: medication._id,
+        doses: response.data,
+      });
+    } catch (error) {
+      console.error("Error fetching administration log:", error);
+    }
+  };
+
+  if (!record) return null;
+
+  /**
+   * Renders a section header with an optional add button.
+   */
+  const renderHeader = (title, type, label) => (
+    <div className="flex justify-between items-center mb-2">
+      <h3 className="font-semibold">{title}</h3>
+      {canRecord && (
+        <button
+          onClick={() => setMedicalForm({ type })}
+          className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+        >
+          + {label}
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <p className="text-xs text-gray-500">
+        Confidential medical information. Visible to medical staff only.
+      </p>
+
+      {/* Allergies & Conditions */}
+      <div className="grid grid-cols-2 gap-6">
+        <div>
+          {renderHeader("Allergies", "allergy", "Allergy")}
+          {record.allergies.length > 0 ? (
+            <ul className="bg-white shadow-md rounded-lg p-5 divide-y divide-gray-200">
+              {record.allergies.map((allergy) => (
+                <li
+                  key={allergy._id}
+                  className={`py-2 flex justify-between items-center text-sm ${
+                    allergy.isActive ? "" : "opacity-50"
+                  }`}
+                >
+                  <div>
+                    <p className="font-semibold text-gray-800">
+                      {allergy.allergen} · {allergy.severity}
+                      {!allergy.isActive && " · Inactive"}
+                    </p>
+                    {allergy.reaction && (
+                      <p className="text-xs text-gray-600">
+                        {allergy.reaction}
+                      </p>
+                    )}
+                  </div>
+                  {canRecord && allergy.isActive && (
+                    <button
+                      onClick={() =>
+                        updateEntry(
+                          "allergies",
+                          allergy,
+                          { isActive: false },
+                          `Mark the ${allergy.allergen} allergy as inactive?`
+                        )
+                      }
+                      className="text-red-600 hover:underline"
+                    >
+                      Deactivate
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-gray-500">No known allergies.</p>
+          )}
+        </div>
+
+        <div>
+          {renderHeader("Conditions", "condition", "Condition")}
+          {record.conditions.length > 0 ? (
+            <ul className="bg-white shadow-md rounded-lg p-5 divide-y divide-gray-200">
+              {record.conditions.map((condition) => (
+                <li
+                  key={condition._id}
+                  className={`py-2 flex justify-between items-center text-sm ${
+                    condition.status === "Active" ? "" : "opacity-50"
+                  }`}
+                >
+                  <div>
+                    <p className="font-semibold text-gray-800">
+                      {condition.name} · {condition.status}
+                      {condition.staffAlert && " · Staff alert"}
+                    </p>
+                    <p className="text-xs text-gray-600">
+                      {condition.diagnosedAt &&
+                        `Diagnosed ${format(
+                          new Date(condition.diagnosedAt),
+                          "dd MMM yyyy"
+                        )}`}
+                      {condition.notes && ` · ${condition.notes}`}
+                    </p>
+                  </div>
+                  {canRecord && condition.status === "Active" && (
+                    <button
+                      onClick={() =>
+                        updateEntry(
+                          "conditions",
+                          condition,
+                          { status: "Resolved" },
+                          `Mark ${condition.name} as resolved?`
+                        )
+                      }
+                      className="text-blue-600 hover:underline"
+                    >
+                      Resolve
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-gray-500">No conditions recorded.</p>
+          )}
+        </div>
+      </div>
+
+      {/* Medications & Administration Log */}
+      <div>
+        {renderHeader("Medications", "medication", "Prescribe")}
+        {record.medications.length > 0 ? (
+          <ul className="bg-white shadow-md rounded-lg p-5 divide-y divide-gray-200">
+            {record.medications.map((medication) => (
+              <li key={medication._id} className="py-3 text-sm">
+                <div
+                  className={`flex justify-between items-center ${
+                    medication.status === "Active" ? "" : "opacity-50"
+                  }`}
+                >
+                  <div>
+                    <p className="font-semibold text-gray-800">
+                      {medication.name} {medication.dose} · {medication.route} ·{" "}
+                      {medication.frequency}
+                      {medication.status !== "Active" &&
+                        ` · ${medication.status}`}
+                    </p>
+                    <p className="text-xs text-gray-600">
+                      From{" "}
+                      {format(new Date(medication.startDate), "dd MMM yyyy")}
+                      {medication.endDate &&
+                        ` to ${format(
+                          new Date(medication.endDate),
+                          "dd MMM yyyy"
+                        )}`}
+                      {medication.prescriber && ` · ${medication.prescriber}`}
+                      {medication.instructions &&
+                        ` · ${medication.instructions}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => toggleAdministrations(medication)}
+                      className="text-gray-600 hover:underline"
+                    >
+                      Dose Log
+                    </button>
+                    {canRecord && medication.status === "Active" && (
+                      <>
+                        <button
+                          onClick={() =>
+                            setMedicalForm({ type: "dose", entry: medication })
+                          }
+                          className="text-blue-600 hover:underline"
+                        >
+                          Record Dose
+                        </button>
+                        <button
+                          onClick={() =>
+                            updateEntry(
+                              "medications",
+                              medication,
+                              { status: "Discontinued" },
+                              `Discontinue ${medication.name}?`
+                            )
+                          }
+                          className="text-red-600 hover:underline"
+                        >
+                          Discontinue
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {administrations?.medicationId === medication._id && (
+                  <ul className="mt-2 ml-4 border-l pl-4 space-y-1 text-xs text-gray-600">
+                    {administrations.doses.length > 0 ? (
+                      administrations.doses.map((dose) => (
+                        <li key={dose._id}>
+                          {format(
+                            new Date(dose.administeredAt),
+                            "dd MMM yyyy, hh:mm a"
+                          )}{" "}
+                          ·{" "}
+                          <span
+                            className={
+                              dose.status === "Given"
+                                ? "text-green-600"
+                                : "text-red-600"
+                            }
+                          >
+                            {dose.status}
+                          </span>
+                          {dose.administeredBy?.username &&
+                            ` · ${dose.administeredBy.username}`}
+                          {dose.notes && ` · ${dose.notes}`}
+                        </li>
+                      ))
+                    ) : (
+                      <li>No doses recorded.</li>
+                    )}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500">No medications prescribed.</p>
+        )}
+      </div>
+
+      {/* Appointments */}
+      <div>
+        {renderHeader("Appointments", "appointment", "Schedule")}
+        {record.appointments.length > 0 ? (
+          <ul className="bg-white shadow-md rounded-lg p-5 divide-y divide-gray-200">
+            {record.appointments.map((appointment) => (
+              <li
+                key={appointment._id}
+                className="py-2 flex justify-between items-center text-sm"
+              >
+                <div>
+                  <p className="font-semibold text-gray-800">
+                    {appointment.type} · {appointment.status}
+                  </p>
+                  <p className="text-xs text-gray-600">
+                    {format(
+                      new Date(appointment.scheduledFor),
+                      "dd MMM yyyy, hh:mm a"
+                    )}
+                    {appointment.reason && ` · ${appointment.reason}`}
+                  </p>
+                </div>
+                {canRecord && appointment.status === "Scheduled" && (
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() =>
+                        setMedicalForm({
+                          type: "encounter",
+                          entry: appointment,
+                        })
+                      }
+                      className="text-blue-600 hover:underline"
+                    >
+                      Record Encounter
+                    </button>
+                    <button
+                      onClick={() => closeAppointment(appointment, "Missed")}
+                      className="text-gray-600 hover:underline"
+                    >
+                      Missed
+                    </button>
+                    <button
+                      onClick={() => closeAppointment(appointment, "Cancelled")}
+                      className="text-red-600 hover:underline"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500">No appointments scheduled.</p>
+        )}
+      </div>
+
+      {/* Encounters */}
+      <div>
+        {renderHeader("Latest Encounters", "encounter", "Encounter")}
+        {record.encounters.length > 0 ? (
+          <ul className="bg-white shadow-md rounded-lg p-5 divide-y divide-gray-200">
+            {record.encounters.map((encounter) => (
+              <li key={encounter._id} className="py-3 text-sm">
+                <p className="font-semibold text-gray-800">
+                  {encounter.type} ·{" "}
+                  {format(
+                    new Date(encounter.occurredAt),
+                    "dd MMM yyyy, hh:mm a"
+                  )}
+                  {encounter.clinician?.username &&
+                    ` · ${encounter.clinician.username}`}
+                </p>
+                {encounter.complaint && (
+                  <p className="text-gray-600">
+                    Complaint: {encounter.complaint}
+                  </p>
+                )}
+                <p className="text-gray-600">
+                  Assessment: {encounter.assessment}
+                </p>
+                {encounter.treatment && (
+                  <p className="text-gray-600">
+                    Treatment: {encounter.treatment}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500">No encounters recorded.</p>
+        )}
+      </div>
+
+      {medicalForm && (
+        <MedicalForm
+          type={medicalForm.type}
+          inmate={inmate}
+          entry={medicalForm.entry}
+          onClose={() => setMedicalForm(null)}
+          onFormSuccess={handleRecordChange}
+        />
+      )}
+    </div>
+  );
+};
+
+export default InmateMedicalRecord;
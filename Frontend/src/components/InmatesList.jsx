@@ -7,11 +7,14 @@
  * - Lists all inmates with profile images and details.
  * - Supports pagination, filtering, and searching.
  * - Provides "View" and "Edit" actions.
+ * - Shows badges for the alerts in force on each inmate.
  * - Dynamically adjusts UI based on `actionType` (inmates or visitors).
  *
  * @requires react - React library for UI components.
  * @requires framer-motion - Animation library for smooth transitions.
  * @requires react-router-dom - Provides navigation capabilities.
+ * @requires axios - Fetches the alerts in force on the listed inmates.
+ * @requires AlertBadges - Displays alert badges.
  */
 
 /**
@@ -31,10 +34,12 @@
  * @param {String} [props.actionType="inmate"] - Determines if the list is for "inmate" or "visitor" actions.
  */
 
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
+import axios from "axios";
 import ProfileImgPlacehoder from "../assets/images/ProfilePlaceholder.png";
+import AlertBadges from "./AlertBadges";
 
 const InmateList = ({
   inmates,
@@ -49,6 +54,47 @@ const InmateList = ({
   actionType = "inmate", // "inmate" (default) or "visitor"
 }) => {
   const navigate = useNavigate();
+  const [alertsByInmate, setAlertsByInmate] = useState({}); // Alerts in force, keyed by inmate ID
+
+  /**
+   * Fetches the alerts in force on the listed inmates, with the allergy and
+   * condition alerts from their medical records.
+   */
+  useEffect(() => {
+    if (!inmates.length) return;
+
+    const fetchAlerts = async () => {
+      const config = {
+        params: { inmates: inmates.map((inmate) => inmate._id).join(",") },
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("token")}`,
+        },
+      };
+
+      try {
+        const [alertsRes, medicalRes] = await Promise.all([
+          axios.get(
+            `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/alerts/active`,
+            config
+          ),
+          axios.get(
+            `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/medical/alerts`,
+            config
+          ),
+        ]);
+
+        const merged = { ...alertsRes.data };
+        Object.entries(medicalRes.data).forEach(([inmateId, alerts]) => {
+          merged[inmateId] = [...(merged[inmateId] || []), ...alerts];
+        });
+        setAlertsByInmate(merged);
+      } catch (error) {
+        console.error("Error fetching inmate alerts:", error);
+      }
+    };
+
+    fetchAlerts();
+  }, [inmates]);
 
   // Calculate the start and end record numbers dynamically
   const startRecord = totalInmates > 0 ? (page - 1) * limit + 1 : 0;
@@ -119,6 +165,7 @@ const InmateList = ({
                       </td>
                       <td className="p-3">
                         {inmate.firstName} {inmate.lastName}
+                        <AlertBadges alerts={alertsByInmate[inmate._id]} />
                       </td>
                       <td className="p-3">{inmate.inmateID}</td>
                       <td className="p-3">
@@ -0,0 +1,558 @@
+/**
+ * @file MedicalForm.jsx
+ * @description Form for adding to an inmate's medical record.
+ * @module components/MedicalForm
+ *
+ * This component:
+ * - Records allergies, conditions and medications.
+ * - Records the outcome of a medication dose (given, refused, missed or held).
+ * - Records encounters, completing the appointment they were scheduled under.
+ * - Schedules appointments.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation, with one schema per form type.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const ENCOUNTER_TYPES = [
+  "Intake Screening",
+  "Sick Call",
+  "Routine Checkup",
+  "Follow-up",
+  "Emergency",
+  "Mental Health",
+  "Dental",
+  "Specialist Referral",
+];
+const ALLERGY_SEVERITIES = ["Mild", "Moderate", "Severe", "Life-Threatening"];
+const MEDICATION_ROUTES = ["Oral", "Injection", "Topical", "Inhaled", "Other"];
+const ADMINISTRATION_STATUSES = ["Given", "Refused", "Missed", "Held"];
+
+/**
+ * Title, endpoint, validation schema and default values of each form type.
+ * - `entry` is the medication (doses) or appointment (encounters) the form refers to.
+ */
+const FORM_TYPES = {
+  allergy: {
+    title: "Record Allergy",
+    path: () => "allergies",
+    schema: yup.object().shape({
+      allergen: yup.string().trim().required("⚠ Please enter the allergen."),
+      reaction: yup.string(),
+      severity: yup
+        .string()
+        .oneOf(ALLERGY_SEVERITIES, "⚠ Please select a valid severity."),
+    }),
+    defaultValues: () => ({ allergen: "", reaction: "", severity: "Moderate" }),
+  },
+  condition: {
+    title: "Record Condition",
+    path: () => "conditions",
+    schema: yup.object().shape({
+      name: yup.string().trim().required("⚠ Please enter the diagnosis."),
+      diagnosedAt: yup.string(),
+      notes: yup.string(),
+      staffAlert: yup.boolean(),
+    }),
+    defaultValues: () => ({
+      name: "",
+      diagnosedAt: "",
+      notes: "",
+      staffAlert: false,
+    }),
+  },
+  medication: {
+    title: "Prescribe Medication",
+    path: () => "medications",
+    schema: yup.object().shape({
+      name: yup.string().trim().required("⚠ Please enter the medication."),
+      dose: yup.string().trim().required("⚠ Please enter the dose."),
+      route: yup
+        .string()
+        .oneOf(MEDICATION_ROUTES, "⚠ Please select a valid route."),
+      frequency: yup
+        .string()
+        .trim()
+        .required("⚠ Please enter how often it is given."),
+      prescriber: yup.string(),
+      startDate: yup.string().required("⚠ Please enter the start date."),
+      endDate: yup
+        .string()
+        .test(
+          "after-start",
+          "⚠ The end date cannot be before the start date.",
+          (value, { parent }) => !value || value >= parent.startDate
+        ),
+      instructions: yup.string(),
+    }),
+    defaultValues: () => ({
+      name: "",
+      dose: "",
+      route: "Oral",
+      frequency: "",
+      prescriber: "",
+      startDate: new Date().toISOString().split("T")[0],
+      endDate: "",
+      instructions: "",
+    }),
+  },
+  dose: {
+    title: "Record Dose",
+    path: (entry) => `medications/${entry._id}/administrations`,
+    schema: yup.object().shape({
+      status: yup
+        .string()
+        .oneOf(ADMINISTRATION_STATUSES, "⚠ Please select the outcome.")
+        .required("⚠ Please select the outcome."),
+      notes: yup.string().when("status", {
+        is: (status) => status && status !== "Given",
+        then: (schema) =>
+          schema.trim().required("⚠ Please note why the dose was not given."),
+      }),
+    }),
+    defaultValues: () => ({ status: "Given", notes: "" }),
+  },
+  encounter: {
+    title: "Record Encounter",
+    path: () => "encounters",
+    schema: yup.object().shape({
+      type: yup
+        .string()
+        .oneOf(ENCOUNTER_TYPES, "⚠ Please select a valid encounter type.")
+        .required("⚠ Please select a valid encounter type."),
+      complaint: yup.string(),
+      assessment: yup
+        .string()
+        .trim()
+        .required("⚠ Please enter the assessment."),
+      treatment: yup.string(),
+    }),
+    defaultValues: (entry) => ({
+      type: entry?.type || "Sick Call",
+      complaint: entry?.reason || "",
+      assessment: "",
+      treatment: "",
+    }),
+  },
+  appointment: {
+    title: "Schedule Appointment",
+    path: () => "appointments",
+    schema: yup.object().shape({
+      type: yup
+        .string()
+        .oneOf(ENCOUNTER_TYPES, "⚠ Please select a valid appointment type.")
+        .required("⚠ Please select a valid appointment type."),
+      scheduledFor: yup
+        .string()
+        .required("⚠ Please enter the appointment date and time."),
+      reason: yup.string(),
+    }),
+    defaultValues: () => ({
+      type: "Routine Checkup",
+      scheduledFor: "",
+      reason: "",
+    }),
+  },
+};
+
+/**
+ * MedicalForm Component
+ * ---------------------
+ * - Adds an allergy, condition, medication, dose, encounter or appointment
+ *   to the medical record of `inmate`.
+ *
+ * @component
+ * @param {String} type - "allergy", "condition", "medication", "dose", "encounter" or "appointment".
+ * @param {Object} inmate - The patient.
+ * @param {Object} [entry] - The medication a dose is for, or the appointment an encounter completes.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the medical record after saving.
+ * @returns {JSX.Element} - The medical form UI component.
+ */
+const MedicalForm = ({ type, inmate, entry, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+  const { title, path, schema, defaultValues } = FORM_TYPES[type];
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(schema),
+    defaultValues: defaultValues(entry),
+  });
+
+  const doseStatus = watch("status");
+
+  /**
+   * Handles form submission.
+   * - Sends the entry to the medical record API.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/medical/inmate/${
+          inmate._id
+        }/${path(entry)}`,
+        type === "encounter" ? { ...data, appointmentId: entry?._id } : data,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+
+      toast.success(response.data.message, {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh the medical record
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">{title}</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {inmate.inmateID} ({inmate.firstName} {inmate.lastName})
+          {type === "dose" && ` · ${entry.name} ${entry.dose}, ${entry.route}`}
+        </p>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {type === "allergy" && (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block">Allergen</label>
+                  <input
+                    {...register("allergen")}
+                    placeholder="e.g., Penicillin"
+                    className="w-full p-2 border rounded-md"
+                  />
+                  <p className="text-red-500 text-sm">
+                    {errors.allergen?.message}
+                  </p>
+                </div>
+                <div>
+                  <label className="block">Severity</label>
+                  <select
+                    {...register("severity")}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    {ALLERGY_SEVERITIES.map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div>
+                <label className="block">Reaction</label>
+                <input
+                  {...register("reaction")}
+                  placeholder="e.g., Rash, anaphylaxis"
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+            </>
+          )}
+
+          {type === "condition" && (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block">Diagnosis</label>
+                  <input
+                    {...register("name")}
+                    className="w-full p-2 border rounded-md"
+                  />
+                  <p className="text-red-500 text-sm">{errors.name?.message}</p>
+                </div>
+                <div>
+                  <label className="block">Diagnosed On</label>
+                  <input
+                    type="date"
+                    {...register("diagnosedAt")}
+                    className="w-full p-2 border rounded-md"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block">Notes</label>
+                <textarea
+                  {...register("notes")}
+                  rows="3"
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+              <label className="flex items-center space-x-2">
+                <input type="checkbox" {...register("staffAlert")} />
+                <span>
+                  Alert custody staff (shown as a medical condition alert,
+                  without the diagnosis)
+                </span>
+              </label>
+            </>
+          )}
+
+          {type === "medication" && (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block">Medication</label>
+                  <input
+                    {...register("name")}
+                    className="w-full p-2 border rounded-md"
+                  />
+                  <p className="text-red-500 text-sm">{errors.name?.message}</p>
+                </div>
+                <div>
+                  <label className="block">Dose</label>
+                  <input
+                    {...register("dose")}
+                    placeholder="e.g., 500 mg"
+                    className="w-full p-2 border rounded-md"
+                  />
+                  <p className="text-red-500 text-sm">{errors.dose?.message}</p>
+                </div>
+                <div>
+                  <label className="block">Route</label>
+                  <select
+                    {...register("route")}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    {MEDICATION_ROUTES.map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block">Frequency</label>
+                  <input
+                    {...register("frequency")}
+                    placeholder="e.g., Twice daily"
+                    className="w-full p-2 border rounded-md"
+                  />
+                  <p className="text-red-500 text-sm">
+                    {errors.frequency?.message}
+                  </p>
+                </div>
+                <div>
+                  <label className="block">Start Date</label>
+                  <input
+                    type="date"
+                    {...register("startDate")}
+                    className="w-full p-2 border rounded-md"
+                  />
+                  <p className="text-red-500 text-sm">
+                    {errors.startDate?.message}
+                  </p>
+                </div>
+                <div>
+                  <label className="block">End Date</label>
+                  <input
+                    type="date"
+                    {...register("endDate")}
+                    className="w-full p-2 border rounded-md"
+                  />
+                  <p className="text-red-500 text-sm">
+                    {errors.endDate?.message}
+                  </p>
+                </div>
+              </div>
+              <div>
+                <label className="block">Prescriber</label>
+                <input
+                  {...register("prescriber")}
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+              <div>
+                <label className="block">Instructions</label>
+                <textarea
+                  {...register("instructions")}
+                  rows="2"
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+            </>
+          )}
+
+          {type === "dose" && (
+            <>
+              <div>
+                <label className="block">Outcome</label>
+                <select
+                  {...register("status")}
+                  className="w-full p-2 border rounded-md"
+                >
+                  {ADMINISTRATION_STATUSES.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block">
+                  Notes{doseStatus !== "Given" && " (why it was not given)"}
+                </label>
+                <textarea
+                  {...register("notes")}
+                  rows="2"
+                  className="w-full p-2 border rounded-md"
+                />
+                <p className="text-red-500 text-sm">{errors.notes?.message}</p>
+              </div>
+            </>
+          )}
+
+          {(type === "encounter" || type === "appointment") && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block">Type</label>
+                <select
+                  {...register("type")}
+                  className="w-full p-2 border rounded-md"
+                >
+                  {ENCOUNTER_TYPES.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-red-500 text-sm">{errors.type?.message}</p>
+              </div>
+              {type === "appointment" && (
+                <div>
+                  <label className="block">Date & Time</label>
+                  <input
+                    type="datetime-local"
+                    {...register("scheduledFor")}
+                    className="w-full p-2 border rounded-md"
+                  />
+                  <p className="text-red-500 text-sm">
+                    {errors.scheduledFor?.message}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {type === "appointment" && (
+            <div>
+              <label className="block">Reason</label>
+              <input
+                {...register("reason")}
+                className="w-full p-2 border rounded-md"
+              />
+            </div>
+          )}
+
+          {type === "encounter" && (
+            <>
+              <div>
+                <label className="block">Complaint</label>
+                <input
+                  {...register("complaint")}
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+              <div>
+                <label className="block">Assessment</label>
+                <textarea
+                  {...register("assessment")}
+                  rows="3"
+                  className="w-full p-2 border rounded-md"
+                />
+                <p className="text-red-500 text-sm">
+                  {errors.assessment?.message}
+                </p>
+              </div>
+              <div>
+                <label className="block">Treatment</label>
+                <textarea
+                  {...register("treatment")}
+                  rows="2"
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+            </>
+          )}
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default MedicalForm;
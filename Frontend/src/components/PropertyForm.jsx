@@ -0,0 +1,315 @@
+/**
+ * @file PropertyForm.jsx
+ * @description Form for recording the personal property taken from an inmate at admission.
+ * @module components/PropertyForm
+ *
+ * This component:
+ * - Lists each item with its description, quantity, condition and storage location.
+ * - Records the signatures of the inmate and the officer on the inventory.
+ * - Pre-fills the current inventory when it is corrected (both parties sign again).
+ *
+ * Features:
+ * - Uses `react-hook-form` (with `useFieldArray` for the items) and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm, useFieldArray } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const PROPERTY_CONDITIONS = ["New", "Good", "Fair", "Poor", "Damaged"];
+
+/**
+ * Validation Schema for Property Form
+ */
+const propertySchema = yup.object().shape({
+  items: yup
+    .array()
+    .of(
+      yup.object().shape({
+        item: yup.string().trim().required("⚠ Please enter the item."),
+        description: yup.string(),
+        quantity: yup
+          .number()
+          .typeError("⚠ Quantity must be a number.")
+          .integer("⚠ Quantity must be a whole number.")
+          .min(1, "⚠ Quantity must be at least one."),
+        condition: yup.string().oneOf(PROPERTY_CONDITIONS),
+        storageLocation: yup
+          .string()
+          .trim()
+          .required("⚠ Please enter where it is stored."),
+      })
+    )
+    .min(1, "⚠ Please list at least one item."),
+  inmateSignature: yup
+    .string()
+    .trim()
+    .required("⚠ The inmate must sign the inventory."),
+  staffSignature: yup
+    .string()
+    .trim()
+    .required("⚠ The officer must sign the inventory."),
+});
+
+// An empty item row
+const EMPTY_ITEM = {
+  item: "",
+  description: "",
+  quantity: 1,
+  condition: "Good",
+  storageLocation: "",
+};
+
+/**
+ * PropertyForm Component
+ * ----------------------
+ * - Records (or corrects) the admission inventory of `inmate`.
+ *
+ * @component
+ * @param {Object} inmate - The inmate whose property is recorded.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the inmate after saving.
+ * @returns {JSX.Element} - The property form UI component.
+ */
+const PropertyForm = ({ inmate, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(propertySchema),
+    defaultValues: {
+      items: inmate.property?.items?.length
+        ? inmate.property.items.map(
+            ({
+              _id,
+              item,
+              description,
+              quantity,
+              condition,
+              storageLocation,
+            }) => ({
+              _id,
+              item,
+              description,
+              quantity,
+              condition,
+              storageLocation,
+            })
+          )
+        : [EMPTY_ITEM],
+      inmateSignature: "",
+      staffSignature: "",
+    },
+  });
+
+  const { fields, append, remove } = useFieldArray({
+    control,
+    name: "items",
+  });
+
+  /**
+   * Handles form submission.
+   * - Sends the inventory and signatures to the property API.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      await axios.put(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/inmates/${
+          inmate._id
+        }/property`,
+        data,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+
+      toast.success("Property inventory recorded successfully!", {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh the inmate's property
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-4xl max-h-[90vh] overflow-y-auto p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          Property Inventory
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {inmate.inmateID} ({inmate.firstName} {inmate.lastName})
+        </p>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {/* Items */}
+          <div>
+            <div className="grid grid-cols-12 gap-2 text-sm text-gray-600 mb-1">
+              <span className="col-span-3">Item</span>
+              <span className="col-span-3">Description</span>
+              <span className="col-span-1">Qty</span>
+              <span className="col-span-2">Condition</span>
+              <span className="col-span-2">Stored At</span>
+            </div>
+            {fields.map((field, index) => (
+              <div
+                key={field.id}
+                className="grid grid-cols-12 gap-2 items-start mb-2"
+              >
+                <input
+                  {...register(`items.${index}.item`)}
+                  placeholder="e.g. Wristwatch"
+                  className="col-span-3 p-2 border rounded-md"
+                />
+                <input
+                  {...register(`items.${index}.description`)}
+                  placeholder="Make, colour, serial no."
+                  className="col-span-3 p-2 border rounded-md"
+                />
+                <input
+                  type="number"
+                  {...register(`items.${index}.quantity`)}
+                  className="col-span-1 p-2 border rounded-md"
+                />
+                <select
+                  {...register(`items.${index}.condition`)}
+                  className="col-span-2 p-2 border rounded-md"
+                >
+                  {PROPERTY_CONDITIONS.map((condition) => (
+                    <option key={condition} value={condition}>
+                      {condition}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  {...register(`items.${index}.storageLocation`)}
+                  placeholder="e.g. Locker 12"
+                  className="col-span-2 p-2 border rounded-md"
+                />
+                <button
+                  type="button"
+                  onClick={() => remove(index)}
+                  disabled={fields.length === 1}
+                  className="col-span-1 mt-2 text-red-500 hover:text-red-700 disabled:text-gray-300"
+                >
+                  <IoClose size={20} />
+                </button>
+                <p className="col-span-12 text-red-500 text-sm">
+                  {errors.items?.[index]?.item?.message ||
+                    errors.items?.[index]?.quantity?.message ||
+                    errors.items?.[index]?.storageLocation?.message}
+                </p>
+              </div>
+            ))}
+            <p className="text-red-500 text-sm">{errors.items?.message}</p>
+            <button
+              type="button"
+              onClick={() => append(EMPTY_ITEM)}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+            >
+              + Add Item
+            </button>
+          </div>
+
+          {/* Signatures */}
+          <p className="text-gray-500 text-xs">
+            By signing, the inmate and the officer confirm the items above were
+            handed over and recorded correctly.
+          </p>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Inmate Signature (full name)</label>
+              <input
+                {...register("inmateSignature")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.inmateSignature?.message}
+              </p>
+            </div>
+            <div>
+              <label className="block">Officer Signature (full name)</label>
+              <input
+                {...register("staffSignature")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.staffSignature?.message}
+              </p>
+            </div>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default PropertyForm;
@@ -0,0 +1,260 @@
+/**
+ * @file PropertyReconcileForm.jsx
+ * @description Form for reconciling an inmate's stored property before release.
+ * @module components/PropertyReconcileForm
+ *
+ * This component:
+ * - Lists every inventoried item so the officer can mark it returned or missing.
+ * - Records the condition each returned item was handed back in.
+ * - Records the signatures of the inmate and the officer on the reconciliation.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const PROPERTY_CONDITIONS = ["New", "Good", "Fair", "Poor", "Damaged"];
+
+/**
+ * Validation Schema for Property Reconciliation Form
+ */
+const reconcileSchema = yup.object().shape({
+  items: yup.array().of(
+    yup.object().shape({
+      returned: yup.boolean(),
+      returnedCondition: yup.string(),
+      returnNotes: yup.string(),
+    })
+  ),
+  inmateSignature: yup
+    .string()
+    .trim()
+    .required("⚠ The inmate must sign the reconciliation."),
+  staffSignature: yup
+    .string()
+    .trim()
+    .required("⚠ The officer must sign the reconciliation."),
+});
+
+/**
+ * PropertyReconcileForm Component
+ * -------------------------------
+ * - Reconciles the stored property of `inmate` before the release.
+ *
+ * @component
+ * @param {Object} inmate - The inmate whose property is returned.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the inmate after saving.
+ * @returns {JSX.Element} - The property reconciliation form UI component.
+ */
+const PropertyReconcileForm = ({ inmate, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+  const storedItems = inmate.property.items;
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(reconcileSchema),
+    defaultValues: {
+      items: storedItems.map((item) => ({
+        returned: item.status !== "Missing",
+        returnedCondition: item.returnedCondition || item.condition,
+        returnNotes: item.returnNotes || "",
+      })),
+      inmateSignature: "",
+      staffSignature: "",
+    },
+  });
+
+  /**
+   * Handles form submission.
+   * - Sends each item's return status and the signatures to the property API.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/inmates/${
+          inmate._id
+        }/property/reconcile`,
+        {
+          ...data,
+          items: data.items.map((entry, index) => ({
+            ...entry,
+            _id: storedItems[index]._id,
+          })),
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+
+      const missing = response.data.missingItems.length;
+      toast[missing > 0 ? "warning" : "success"](response.data.message, {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh the inmate's property
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          Reconcile Property
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {inmate.inmateID} ({inmate.firstName} {inmate.lastName}) · Untick any
+          item that cannot be returned; it will be flagged as missing.
+        </p>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {/* Items */}
+          <div className="divide-y divide-gray-200">
+            {storedItems.map((item, index) => {
+              const returned = watch(`items.${index}.returned`);
+              return (
+                <div
+                  key={item._id}
+                  className="grid grid-cols-12 gap-2 items-center py-2"
+                >
+                  <label className="col-span-4 flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      {...register(`items.${index}.returned`)}
+                    />
+                    <span>
+                      <span className="font-medium">{item.item}</span>
+                      {item.quantity > 1 && ` ×${item.quantity}`}
+                      <span className="block text-xs text-gray-500">
+                        {item.condition} · {item.storageLocation}
+                      </span>
+                    </span>
+                  </label>
+                  <select
+                    {...register(`items.${index}.returnedCondition`)}
+                    disabled={!returned}
+                    className="col-span-3 p-2 border rounded-md disabled:bg-gray-100"
+                  >
+                    {PROPERTY_CONDITIONS.map((condition) => (
+                      <option key={condition} value={condition}>
+                        {condition}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    {...register(`items.${index}.returnNotes`)}
+                    placeholder={returned ? "Notes" : "Why is it missing?"}
+                    className={`col-span-5 p-2 border rounded-md ${
+                      returned ? "" : "border-red-300"
+                    }`}
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Signatures */}
+          <p className="text-gray-500 text-xs">
+            By signing, the inmate and the officer confirm the items marked as
+            returned were handed back.
+          </p>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Inmate Signature (full name)</label>
+              <input
+                {...register("inmateSignature")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.inmateSignature?.message}
+              </p>
+            </div>
+            <div>
+              <label className="block">Officer Signature (full name)</label>
+              <input
+                {...register("staffSignature")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.staffSignature?.message}
+              </p>
+            </div>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Reconcile"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default PropertyReconcileForm;
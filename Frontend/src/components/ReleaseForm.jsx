@@ -0,0 +1,266 @@
+/**
+ * @file ReleaseForm.jsx
+ * @description Discharge checklist form for releasing an inmate.
+ * @module components/ReleaseForm
+ *
+ * This component:
+ * - Records the discharge reason and where the inmate is released to.
+ * - Requires the officer to confirm the inmate's property has been returned, or shows
+ *   the reconciliation of the property inventory (required before the release) if one was recorded.
+ * - Shows the checklist results (work programs closed, paroles cancelled) once released.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const DISCHARGE_REASONS = [
+  "Sentence Completed",
+  "Court Order",
+  "Bail",
+  "Transfer to Another Facility",
+  "Pardon",
+  "Other",
+];
+
+/**
+ * Validation Schema for Release Form
+ * - Reason and destination are required.
+ * - Property return must be confirmed unless the inmate's property was inventoried
+ *   (the reconciliation replaces the confirmation).
+ */
+const releaseSchema = yup.object().shape({
+  reason: yup
+    .string()
+    .oneOf(DISCHARGE_REASONS, "⚠ Please select a discharge reason.")
+    .required("⚠ Please select a discharge reason."),
+  destination: yup
+    .string()
+    .required("⚠ Please enter where the inmate is released to."),
+  notes: yup.string(),
+  propertyReturned: yup.boolean().when("$inventoried", {
+    is: true,
+    then: (schema) => schema.notRequired(),
+    otherwise: (schema) =>
+      schema.oneOf(
+        [true],
+        "⚠ Please confirm the inmate's property has been returned."
+      ),
+  }),
+});
+
+/**
+ * ReleaseForm Component
+ * ---------------------
+ * - Releases an inmate through the discharge checklist.
+ *
+ * @component
+ * @param {Object} inmate - The inmate being released.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the inmate after the release.
+ * @returns {JSX.Element} - The release form UI component.
+ */
+const ReleaseForm = ({ inmate, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+  const inventoriedItems = inmate.property?.items || [];
+  const inventoried = inventoriedItems.length > 0;
+  const reconciled = Boolean(inmate.property?.release);
+  const missing = inventoriedItems.filter(
+    (item) => item.status === "Missing"
+  ).length;
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(releaseSchema),
+    context: { inventoried },
+    defaultValues: {
+      reason: "Sentence Completed",
+      destination: "",
+      notes: "",
+      propertyReturned: false,
+    },
+  });
+
+  /**
+   * Handles form submission.
+   * - Sends the discharge details to the release API.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/releases/inmate/${
+          inmate._id
+        }`,
+        data,
+        {
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+        }
+      );
+
+      const { checklist } = response.data;
+      toast.success(
+        `Inmate released. Work programs closed: ${checklist.workProgramsClosed}, paroles cancelled: ${checklist.parolesCancelled}.`,
+        { position: "top-right", autoClose: 2000 }
+      );
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh inmate and movement history
+      }, 1500);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          Release Inmate
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {inmate.firstName} {inmate.lastName} · {inmate.inmateID}
+        </p>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div>
+            <label className="block">Discharge Reason</label>
+            <select
+              {...register("reason")}
+              className="w-full p-2 border rounded-md"
+            >
+              {DISCHARGE_REASONS.map((reason) => (
+                <option key={reason} value={reason}>
+                  {reason}
+                </option>
+              ))}
+            </select>
+            <p className="text-red-500 text-sm">{errors.reason?.message}</p>
+          </div>
+
+          <div>
+            <label className="block">Released To</label>
+            <input
+              {...register("destination")}
+              placeholder="e.g., Home address, Regional Facility"
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">
+              {errors.destination?.message}
+            </p>
+          </div>
+
+          <div>
+            <label className="block">Notes</label>
+            <textarea
+              {...register("notes")}
+              rows={2}
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          {/* Discharge Checklist */}
+          <div className="p-3 bg-gray-50 rounded-md text-sm space-y-1">
+            <p className="font-semibold text-gray-700">Discharge Checklist</p>
+            {inventoried ? (
+              <p
+                className={
+                  !reconciled
+                    ? "text-red-500"
+                    : missing > 0
+                    ? "text-yellow-700"
+                    : "text-green-700"
+                }
+              >
+                {!reconciled
+                  ? "⚠ Please reconcile the inmate's property inventory before the release."
+                  : missing > 0
+                  ? `Property reconciled · ${missing} item(s) flagged as missing`
+                  : "Property reconciled · All items returned"}
+              </p>
+            ) : (
+              <>
+                <label className="flex items-center space-x-2">
+                  <input type="checkbox" {...register("propertyReturned")} />
+                  <span>Property has been returned to the inmate</span>
+                </label>
+                <p className="text-red-500 text-sm">
+                  {errors.propertyReturned?.message}
+                </p>
+              </>
+            )}
+            <p className="text-gray-500">
+              Active work programs and pending parole applications will be
+              closed automatically.
+            </p>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={inventoried && !reconciled}
+              className="px-4 py-2 bg-green-600 disabled:bg-gray-400 text-white rounded-md hover:bg-green-700"
+            >
+              {loading ? "Processing..." : "Release"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ReleaseForm;
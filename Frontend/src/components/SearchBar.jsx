@@ -5,13 +5,14 @@
  *
  * This component:
  * - Allows users to search for inmates by name or ID.
+ * - Optionally narrows the search to inmates charged with an offense category.
  * - Fetches filtered results from the backend API.
  * - Handles search errors and resets state when input is cleared.
  *
  * Features:
  * - Triggers search on "Enter" key press or button click.
  * - Provides real-time search updates when the query changes.
- * - Clears results and resets the search state when input is empty.
+ * - Clears results and resets the search state when input is empty and no category is selected.
  *
  * @requires react - React library for state management.
  * @requires axios - Library for making HTTP requests.
@@ -22,6 +23,18 @@ import React, { useState } from "react";
 import { AiOutlineSearch } from "react-icons/ai";
 import axios from "axios";
 
+const OFFENSE_CATEGORIES = [
+  "Violent",
+  "Sexual",
+  "Property",
+  "Drug",
+  "Fraud",
+  "Weapons",
+  "Public Order",
+  "Traffic",
+  "Other",
+];
+
 /**
  * SearchBar Component
  * -------------------
@@ -36,6 +49,7 @@ import axios from "axios";
  */
 const SearchBar = ({ setSearchResult, setIsSearching, setSearchQuery }) => {
   const [query, setQuery] = useState(""); // Stores the user's search input
+  const [category, setCategory] = useState(""); // Selected offense category
   const [error, setError] = useState(""); // Stores search error messages
 
   /**
@@ -44,8 +58,8 @@ const SearchBar = ({ setSearchResult, setIsSearching, setSearchQuery }) => {
    * - Updates the search result state in the parent component.
    * - Displays an error message if no records are found.
    */
-  const handleSearch = async () => {
-    if (!query.trim()) {
+  const handleSearch = async (selectedCategory = category) => {
+    if (!query.trim() && !selectedCategory) {
       setSearchQuery(""); // Reset search query
       setSearchResult([]); // Clear search results
       setIsSearching(false); // Exit search mode
@@ -55,17 +69,16 @@ const SearchBar = ({ setSearchResult, setIsSearching, setSearchQuery }) => {
     try {
       setError("");
       const response = await axios.get(
-        `${
-          import.meta.env.VITE_API_BASE_URL
-        }/prisonsphere/inmates/search?query=${query}`,
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/inmates/search`,
         {
+          params: { query: query.trim(), category: selectedCategory },
           headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
         }
       );
 
       setSearchResult(response.data);
       setIsSearching(true);
-      setSearchQuery(query);
+      setSearchQuery(query.trim() || selectedCategory);
     } catch (error) {
       setError("No inmates found.");
       setSearchResult([]);
@@ -95,13 +108,23 @@ const SearchBar = ({ setSearchResult, setIsSearching, setSearchQuery }) => {
     const value = e.target.value;
     setQuery(value);
 
-    if (value.trim() === "") {
+    if (value.trim() === "" && !category) {
       setSearchQuery(""); // Reset query state
       setSearchResult([]); // Clear search results
       setIsSearching(false); // Exit search mode
     }
   };
 
+  /**
+   * Handles offense category changes and re-runs the search.
+   *
+   * @param {Object} e - Event object for select change.
+   */
+  const handleCategoryChange = (e) => {
+    setCategory(e.target.value);
+    handleSearch(e.target.value);
+  };
+
   return (
     <div className="w-full flex items-center bg-white border border-gray-300 rounded-md px-3 py-2 shadow-sm transition-all focus-within:ring-2 focus-within:ring-gray-300">
       <AiOutlineSearch size={18} className="text-gray-400 mr-2" />
@@ -113,8 +136,20 @@ const SearchBar = ({ setSearchResult, setIsSearching, setSearchQuery }) => {
         onKeyDown={handleKeyDown} // Trigger search on Enter key
         className="flex-grow text-sm text-gray-700 placeholder-gray-400 bg-transparent outline-none"
       />
+      <select
+        value={category}
+        onChange={handleCategoryChange}
+        className="mr-2 text-sm text-gray-700 border border-gray-300 rounded-md px-2 py-2"
+      >
+        <option value="">All Offenses</option>
+        {OFFENSE_CATEGORIES.map((offenseCategory) => (
+          <option key={offenseCategory} value={offenseCategory}>
+            {offenseCategory}
+          </option>
+        ))}
+      </select>
       <button
-        onClick={handleSearch}
+        onClick={() => handleSearch()}
         className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-all cursor-pointer"
       >
         Search
@@ -0,0 +1,324 @@
+/**
+ * @file SentenceForm.jsx
+ * @description Form for editing an inmate's sentences or granting a sentence credit.
+ * @module components/SentenceForm
+ *
+ * This component:
+ * - Edits the list of sentences (length, start date, concurrent or consecutive).
+ * - Grants time-served or good-conduct credit days.
+ * - Shows the recomputed projected release date once saved.
+ *
+ * Features:
+ * - Uses `react-hook-form` (with `useFieldArray` for the sentence list) and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm, useFieldArray } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const SENTENCE_RELATIONS = ["Concurrent", "Consecutive"];
+const CREDIT_TYPES = ["Time Served", "Good Conduct"];
+
+/**
+ * Validation Schemas for Sentence Form
+ * - One schema per form type.
+ */
+const schemas = {
+  sentences: yup.object().shape({
+    sentences: yup
+      .array()
+      .of(
+        yup.object().shape({
+          description: yup.string(),
+          lengthMonths: yup
+            .number()
+            .typeError("⚠ Length must be a number.")
+            .integer("⚠ Length must be a whole number of months.")
+            .min(1, "⚠ Length must be at least one month.")
+            .required("⚠ Length is required."),
+          startDate: yup
+            .date()
+            .typeError("⚠ Please select a valid start date.")
+            .required("⚠ Start date is required."),
+          relation: yup.string().oneOf(SENTENCE_RELATIONS),
+        })
+      )
+      .min(1, "⚠ Please add at least one sentence."),
+  }),
+  credit: yup.object().shape({
+    type: yup.string().oneOf(CREDIT_TYPES).required(),
+    days: yup
+      .number()
+      .typeError("⚠ Days must be a number.")
+      .integer("⚠ Days must be a whole number.")
+      .min(1, "⚠ Credit must be at least one day.")
+      .required("⚠ Days are required."),
+    note: yup.string(),
+  }),
+};
+
+// Helper Function: Date as YYYY-MM-DD for date inputs
+const toDateInput = (date) =>
+  date ? new Date(date).toISOString().split("T")[0] : "";
+
+/**
+ * SentenceForm Component
+ * ----------------------
+ * - Edits sentences or grants a credit depending on `type`.
+ *
+ * @component
+ * @param {String} type - "sentences" or "credit".
+ * @param {Object} inmate - The inmate whose sentence is edited.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the inmate after saving.
+ * @returns {JSX.Element} - The sentence form UI component.
+ */
+const SentenceForm = ({ type, inmate, onClose, onFormSuccess }) => {
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(schemas[type]),
+    defaultValues:
+      type === "sentences"
+        ? {
+            sentences: (inmate.sentenceSummary?.sentences || []).map(
+              (sentence) => ({
+                description: sentence.description || "",
+                lengthMonths: sentence.lengthMonths,
+                startDate: toDateInput(sentence.startDate),
+                relation: sentence.relation || "Concurrent",
+              })
+            ),
+          }
+        : { type: "Good Conduct", days: "", note: "" },
+  });
+
+  const { fields, append, remove } = useFieldArray({
+    control,
+    name: "sentences",
+  });
+
+  /**
+   * Handles form submission.
+   * - Sends the sentences or the credit to the sentence API.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    const url = `${
+      import.meta.env.VITE_API_BASE_URL
+    }/prisonsphere/sentences/inmate/${inmate._id}`;
+    const headers = {
+      Authorization: `Bearer ${localStorage.getItem("token")}`,
+    };
+
+    try {
+      setLoading(true);
+      const response =
+        type === "sentences"
+          ? await axios.put(url, data, { headers })
+          : await axios.post(`${url}/credits`, data, { headers });
+
+      toast.success(
+        `Saved. Projected release: ${new Date(
+          response.data.sentence.projectedReleaseDate
+        ).toLocaleDateString()}`,
+        { position: "top-right", autoClose: 2000 }
+      );
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh inmate details
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-2xl p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          {type === "sentences" ? "Edit Sentences" : "Add Sentence Credit"}
+        </h2>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {type === "sentences" ? (
+            <>
+              {fields.map((field, index) => (
+                <div
+                  key={field.id}
+                  className="grid grid-cols-12 gap-2 items-start border-b pb-3"
+                >
+                  <div className="col-span-4">
+                    <label className="block text-sm">Offense / Reference</label>
+                    <input
+                      {...register(`sentences.${index}.description`)}
+                      className="w-full p-2 border rounded-md"
+                    />
+                  </div>
+                  <div className="col-span-2">
+                    <label className="block text-sm">Months</label>
+                    <input
+                      type="number"
+                      {...register(`sentences.${index}.lengthMonths`)}
+                      className="w-full p-2 border rounded-md"
+                    />
+                  </div>
+                  <div className="col-span-3">
+                    <label className="block text-sm">Start Date</label>
+                    <input
+                      type="date"
+                      {...register(`sentences.${index}.startDate`)}
+                      className="w-full p-2 border rounded-md"
+                    />
+                  </div>
+                  <div className="col-span-2">
+                    <label className="block text-sm">Runs</label>
+                    <select
+                      {...register(`sentences.${index}.relation`)}
+                      className="w-full p-2 border rounded-md"
+                    >
+                      {SENTENCE_RELATIONS.map((relation) => (
+                        <option key={relation} value={relation}>
+                          {relation}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => remove(index)}
+                    disabled={fields.length === 1}
+                    className="col-span-1 mt-6 text-red-500 hover:text-red-700 disabled:opacity-30"
+                  >
+                    <IoClose size={20} />
+                  </button>
+                  <p className="col-span-12 text-red-500 text-sm">
+                    {errors.sentences?.[index]?.lengthMonths?.message ||
+                      errors.sentences?.[index]?.startDate?.message}
+                  </p>
+                </div>
+              ))}
+              <p className="text-red-500 text-sm">
+                {errors.sentences?.message}
+              </p>
+              <p className="text-gray-500 text-xs">
+                A consecutive sentence starts when the sentence above it ends.
+              </p>
+              <button
+                type="button"
+                onClick={() =>
+                  append({
+                    description: "",
+                    lengthMonths: "",
+                    startDate: toDateInput(inmate.admissionDate),
+                    relation: "Consecutive",
+                  })
+                }
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+              >
+                + Add Sentence
+              </button>
+            </>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block">Credit Type</label>
+                  <select
+                    {...register("type")}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    {CREDIT_TYPES.map((creditType) => (
+                      <option key={creditType} value={creditType}>
+                        {creditType}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block">Days</label>
+                  <input
+                    type="number"
+                    {...register("days")}
+                    className="w-full p-2 border rounded-md"
+                  />
+                  <p className="text-red-500 text-sm">{errors.days?.message}</p>
+                </div>
+              </div>
+              <div>
+                <label className="block">Note</label>
+                <input
+                  {...register("note")}
+                  placeholder="e.g., Quarterly conduct review"
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+            </>
+          )}
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default SentenceForm;
@@ -6,6 +6,7 @@
  * This component:
  * - Provides a fixed navigation menu for managing different system modules.
  * - Includes links to Dashboard, Inmate Management, Visitors, Parole, Reports, etc.
+ * - Only shows the modules the signed-in user's role has permission to view.
  * - Features a logout button that securely logs the user out.
  *
  * Features:
@@ -20,11 +21,20 @@
  */
 import React from "react";
 import { NavLink, useNavigate } from "react-router-dom";
-import { FaChartLine, FaGavel, FaRegHandshake } from "react-icons/fa";
+import {
+  FaChartLine,
+  FaGavel,
+  FaRegHandshake,
+  FaUsersCog,
+  FaShieldAlt,
+  FaBuilding,
+  FaCommentDots,
+  FaClipboardList,
+} from "react-icons/fa";
 import { MdOutlineAccountBalance } from "react-icons/md";
 import { AiOutlineUsergroupAdd } from "react-icons/ai";
 import { FiFileText, FiLogOut } from "react-icons/fi";
-import { logoutUser } from "../services/authService";
+import { logoutUser, hasPermission } from "../services/authService";
 import logo from "../assets/images/logoBlue.png";
 
 /**
@@ -73,32 +83,73 @@ const Sidebar = () => {
       {/* Navigation Links */}
       <nav className="flex-grow mt-4">
         <ul className="space-y-2 px-4">
+          {hasPermission("dashboard:view") && (
+            <SidebarItem
+              to="/dashboard"
+              icon={<FaChartLine />}
+              text="Dashboard"
+            />
+          )}
+          {hasPermission("inmates:view") && (
+            <SidebarItem
+              to="/inmates"
+              icon={<MdOutlineAccountBalance />}
+              text="Inmate Management"
+            />
+          )}
+          {hasPermission("housing:view") && (
+            <SidebarItem to="/housing" icon={<FaBuilding />} text="Housing" />
+          )}
+          {hasPermission("headcounts:view") && (
+            <SidebarItem
+              to="/headcounts"
+              icon={<FaClipboardList />}
+              text="Headcounts"
+            />
+          )}
+          {hasPermission("visitors:view") && (
+            <SidebarItem
+              to="/visitors"
+              icon={<AiOutlineUsergroupAdd />}
+              text="Visitor Management"
+            />
+          )}
+          {hasPermission("paroles:view") && (
+            <SidebarItem
+              to="/paroles"
+              icon={<FaGavel />}
+              text="Parole Management"
+            />
+          )}
+          {hasPermission("workPrograms:view") && (
+            <SidebarItem
+              to="/rehabilitation"
+              icon={<FaRegHandshake />}
+              text="Rehabilitation & Work"
+            />
+          )}
+          {hasPermission("grievances:view") && (
+            <SidebarItem
+              to="/grievances"
+              icon={<FaCommentDots />}
+              text="Grievances"
+            />
+          )}
+          {hasPermission("reports:view") && (
+            <SidebarItem to="/reports" icon={<FiFileText />} text="Reports" />
+          )}
+          {hasPermission("users:manage") && (
+            <SidebarItem
+              to="/users"
+              icon={<FaUsersCog />}
+              text="User Management"
+            />
+          )}
           <SidebarItem
-            to="/dashboard"
-            icon={<FaChartLine />}
-            text="Dashboard"
+            to="/account"
+            icon={<FaShieldAlt />}
+            text="Account Security"
           />
-          <SidebarItem
-            to="/inmates"
-            icon={<MdOutlineAccountBalance />}
-            text="Inmate Management"
-          />
-          <SidebarItem
-            to="/visitors"
-            icon={<AiOutlineUsergroupAdd />}
-            text="Visitor Management"
-          />
-          <SidebarItem
-            to="/paroles"
-            icon={<FaGavel />}
-            text="Parole Management"
-          />
-          <SidebarItem
-            to="/rehabilitation"
-            icon={<FaRegHandshake />}
-            text="Rehabilitation & Work"
-          />
-          <SidebarItem to="/reports" icon={<FiFileText />} text="Reports" />
         </ul>
       </nav>
 
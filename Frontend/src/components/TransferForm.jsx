@@ -0,0 +1,274 @@
+/**
+ * @file TransferForm.jsx
+ * @description Form for transferring an inmate to another cell or an outside location.
+ * @module components/TransferForm
+ *
+ * This component:
+ * - Moves an inmate to another cell (and optionally a specific bed).
+ * - Sends an inmate to an outside location (e.g., hospital, court, another facility).
+ * - Requires a reason, which is stored in the inmate's movement history.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Only lists cells that are in use and have a free bed.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+/**
+ * Validation Schema for Transfer Form
+ * - A cell is required for cell transfers, a destination for outside transfers.
+ */
+const transferSchema = yup.object().shape({
+  transferType: yup.string().oneOf(["cell", "outside"]),
+  cell: yup.string().when("transferType", {
+    is: "cell",
+    then: (schema) => schema.required("⚠ Please select a cell."),
+  }),
+  bed: yup.string(),
+  destination: yup.string().when("transferType", {
+    is: "outside",
+    then: (schema) => schema.required("⚠ Please enter the destination."),
+  }),
+  reason: yup.string().required("⚠ Please give a reason for the transfer."),
+});
+
+/**
+ * TransferForm Component
+ * ----------------------
+ * - Transfers an inmate and records the movement.
+ *
+ * @component
+ * @param {Object} inmate - The inmate being transferred.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the inmate after the transfer.
+ * @returns {JSX.Element} - The transfer form UI component.
+ */
+const TransferForm = ({ inmate, onClose, onFormSuccess }) => {
+  const [cells, setCells] = useState([]); // Cells with a free bed
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(transferSchema),
+    defaultValues: { transferType: "cell", cell: "", bed: "" },
+  });
+
+  const transferType = watch("transferType");
+  const selectedCell = cells.find((cell) => cell._id === watch("cell"));
+
+  /**
+   * Fetches cells that are in use and still have a free bed.
+   */
+  useEffect(() => {
+    const fetchCells = async () => {
+      try {
+        const response = await axios.get(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/housing/cells?available=true`,
+          {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem("token")}`,
+            },
+          }
+        );
+        setCells(response.data);
+      } catch (error) {
+        console.error("Error fetching cells:", error);
+      }
+    };
+
+    fetchCells();
+  }, []);
+
+  /**
+   * Handles form submission.
+   * - Sends either the cell (and bed) or the outside destination.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/movements`,
+        {
+          inmate: inmate._id,
+          reason: data.reason,
+          ...(data.transferType === "cell"
+            ? { cell: data.cell, bed: data.bed }
+            : { destination: data.destination }),
+        },
+        {
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+        }
+      );
+
+      toast.success("Inmate transferred successfully!", {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh inmate and movement history
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          Transfer Inmate
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {inmate.firstName} {inmate.lastName} · currently in{" "}
+          {inmate.assignedCell
+            ? `${inmate.assignedCell} (Bed ${inmate.bed})`
+            : "no cell"}
+        </p>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {/* Transfer Type */}
+          <div className="flex space-x-6">
+            <label className="flex items-center space-x-2">
+              <input type="radio" value="cell" {...register("transferType")} />
+              <span>To another cell</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                value="outside"
+                {...register("transferType")}
+              />
+              <span>To an outside location</span>
+            </label>
+          </div>
+
+          {transferType === "cell" ? (
+            <div className="grid grid-cols-3 gap-4">
+              <div className="col-span-2">
+                <label className="block">Cell</label>
+                <select
+                  {...register("cell")}
+                  className="w-full p-2 border rounded-md"
+                >
+                  <option value="">Select Cell</option>
+                  {cells.map((cell) => (
+                    <option key={cell._id} value={cell._id}>
+                      {cell.label} · {cell.securityLevel} ({cell.occupied}/
+                      {cell.capacity} beds)
+                    </option>
+                  ))}
+                </select>
+                <p className="text-red-500 text-sm">{errors.cell?.message}</p>
+              </div>
+              <div>
+                <label className="block">Bed</label>
+                <select
+                  {...register("bed")}
+                  className="w-full p-2 border rounded-md"
+                  disabled={!selectedCell}
+                >
+                  <option value="">Any free bed</option>
+                  {selectedCell &&
+                    [...Array(selectedCell.capacity)].map((_, index) => (
+                      <option key={index + 1} value={index + 1}>
+                        Bed {index + 1}
+                      </option>
+                    ))}
+                </select>
+              </div>
+            </div>
+          ) : (
+            <div>
+              <label className="block">Destination</label>
+              <input
+                {...register("destination")}
+                placeholder="e.g., City Hospital"
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.destination?.message}
+              </p>
+            </div>
+          )}
+
+          <div>
+            <label className="block">Reason</label>
+            <textarea
+              {...register("reason")}
+              rows={3}
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">{errors.reason?.message}</p>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Transfer"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default TransferForm;
@@ -0,0 +1,256 @@
+/**
+ * @file TrustTransactionForm.jsx
+ * @description Form for posting a transaction to an inmate's trust account.
+ * @module components/TrustTransactionForm
+ *
+ * This component:
+ * - Posts deposits, withdrawals, commissary purchases and work wages.
+ * - Shows the available balance; the server refuses transactions that would overdraw it.
+ * - Links work wages to the inmate's active work program.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+const TRUST_TRANSACTION_TYPES = [
+  "Deposit",
+  "Withdrawal",
+  "Commissary Purchase",
+  "Work Wage",
+];
+
+/**
+ * Validation Schema for Trust Transaction Form
+ * - Amounts are positive with up to two decimals.
+ */
+const transactionSchema = yup.object().shape({
+  type: yup
+    .string()
+    .oneOf(TRUST_TRANSACTION_TYPES, "⚠ Please select a transaction type.")
+    .required("⚠ Please select a transaction type."),
+  amount: yup
+    .string()
+    .trim()
+    .required("⚠ Please enter the amount.")
+    .matches(
+      /^\d+(\.\d{1,2})?$/,
+      "⚠ Please enter an amount with up to two decimals."
+    )
+    .test("positive", "⚠ The amount must be greater than zero.", (value) =>
+      value ? Number(value) > 0 : true
+    ),
+  description: yup.string(),
+  reference: yup.string(),
+});
+
+/**
+ * TrustTransactionForm Component
+ * ------------------------------
+ * - Posts a transaction to the trust account of `inmate`.
+ *
+ * @component
+ * @param {Object} inmate - The account holder.
+ * @param {Number} balance - The available balance, in cents.
+ * @param {Object|null} workProgram - The inmate's active work program enrollment (for wages).
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the account after posting.
+ * @returns {JSX.Element} - The trust transaction form UI component.
+ */
+const TrustTransactionForm = ({
+  inmate,
+  balance,
+  workProgram,
+  onClose,
+  onFormSuccess,
+}) => {
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(transactionSchema),
+    defaultValues: {
+      type: "Deposit",
+      amount: "",
+      description: "",
+      reference: "",
+    },
+  });
+
+  const type = watch("type");
+
+  /**
+   * Handles form submission.
+   * - Sends the transaction to the trust account API.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      const response = await axios.post(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/trust-accounts/inmate/${inmate._id}/transactions`,
+        {
+          ...data,
+          enrollmentId: data.type === "Work Wage" ? workProgram?._id : null,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+
+      toast.success(response.data.message, {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh the balance and transactions
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          Post Transaction
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {inmate.inmateID} ({inmate.firstName} {inmate.lastName}) · Available
+          balance {(balance / 100).toFixed(2)}
+        </p>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Type</label>
+              <select
+                {...register("type")}
+                className="w-full p-2 border rounded-md"
+              >
+                {TRUST_TRANSACTION_TYPES.map((option) => (
+                  <option
+                    key={option}
+                    value={option}
+                    disabled={option === "Work Wage" && !workProgram}
+                  >
+                    {option}
+                  </option>
+                ))}
+              </select>
+              <p className="text-red-500 text-sm">{errors.type?.message}</p>
+            </div>
+            <div>
+              <label className="block">Amount</label>
+              <input
+                {...register("amount")}
+                inputMode="decimal"
+                placeholder="0.00"
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">{errors.amount?.message}</p>
+            </div>
+          </div>
+
+          {type === "Work Wage" && workProgram && (
+            <p className="text-sm text-gray-600">
+              Earned in {workProgram.workProgramId?.name}
+            </p>
+          )}
+
+          <div>
+            <label className="block">Description</label>
+            <input
+              {...register("description")}
+              placeholder={
+                type === "Commissary Purchase"
+                  ? "e.g., Toiletries, snacks"
+                  : "e.g., Deposit from family"
+              }
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          <div>
+            <label className="block">Reference</label>
+            <input
+              {...register("reference")}
+              placeholder="Receipt, order or payroll number"
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Post"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default TrustTransactionForm;
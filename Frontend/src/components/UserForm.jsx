@@ -0,0 +1,248 @@
+/**
+ * @file UserForm.js
+ * @description Form for creating staff accounts and resetting their passwords.
+ * @module components/UserForm
+ *
+ * This component:
+ * - Creates new staff accounts with a username, password and role.
+ * - Resets the password of an existing account.
+ * - Ensures proper validation before submitting user data.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Handles both account creation and password reset in a single form.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires authService - Provides the staff role labels.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import { ROLE_LABELS } from "../services/authService";
+
+/**
+ * Validation Schemas for User Form
+ * - Account creation requires every field.
+ * - Password reset only requires the new password.
+ */
+const passwordRules = {
+  password: yup
+    .string()
+    .min(8, "⚠ Password must be at least 8 characters.")
+    .required("⚠ Password is required."),
+  confirmPassword: yup
+    .string()
+    .oneOf([yup.ref("password")], "⚠ Passwords do not match.")
+    .required("⚠ Please confirm the password."),
+};
+
+const createUserSchema = yup.object().shape({
+  username: yup.string().required("⚠ Username is required."),
+  role: yup
+    .string()
+    .oneOf(Object.keys(ROLE_LABELS), "⚠ Please select a role.")
+    .required("⚠ Role is required."),
+  ...passwordRules,
+});
+
+const resetPasswordSchema = yup.object().shape(passwordRules);
+
+/**
+ * UserForm Component
+ * ------------------
+ * - Handles staff account creation and password resets.
+ * - Provides validation, error handling, and UI enhancements.
+ *
+ * @component
+ * @param {Object} userData - The account whose password is being reset (if applicable).
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback function to refresh the user list after submission.
+ * @returns {JSX.Element} - The user form UI component.
+ */
+const UserForm = ({ userData, onClose, onFormSuccess }) => {
+  const isResetMode = !!userData; // Check if resetting a password
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(isResetMode ? resetPasswordSchema : createUserSchema),
+    defaultValues: { role: "admin" },
+  });
+
+  /**
+   * Handles form submission.
+   * - Sends data to the API for account creation or password reset.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      const headers = {
+        Authorization: `Bearer ${localStorage.getItem("token")}`,
+      };
+
+      if (isResetMode) {
+        await axios.put(
+          `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/users/${
+            userData._id
+          }/password`,
+          { password: data.password },
+          { headers }
+        );
+      } else {
+        await axios.post(
+          `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/users`,
+          { username: data.username, password: data.password, role: data.role },
+          { headers }
+        );
+      }
+
+      toast.success(
+        isResetMode
+          ? "Password reset successfully!"
+          : "User account created successfully!",
+        { position: "top-right", autoClose: 2000 }
+      );
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(); // Refresh list
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+      console.error("Error:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          {isResetMode
+            ? `Reset Password for ${userData.username}`
+            : "Create User Account"}
+        </h2>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {!isResetMode && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block">Username</label>
+                <input
+                  {...register("username")}
+                  className="w-full p-2 border rounded-md"
+                />
+                <p className="text-red-500 text-sm">
+                  {errors.username?.message}
+                </p>
+              </div>
+
+              <div>
+                <label className="block">Role</label>
+                <select
+                  {...register("role")}
+                  className="w-full p-2 border rounded-md"
+                >
+                  {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-red-500 text-sm">{errors.role?.message}</p>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">
+                {isResetMode ? "New Password" : "Password"}
+              </label>
+              <input
+                type="password"
+                {...register("password")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">{errors.password?.message}</p>
+            </div>
+
+            <div>
+              <label className="block">Confirm Password</label>
+              <input
+                type="password"
+                {...register("confirmPassword")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.confirmPassword?.message}
+              </p>
+            </div>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading
+                ? "Processing..."
+                : isResetMode
+                ? "Reset Password"
+                : "Create User"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default UserForm;
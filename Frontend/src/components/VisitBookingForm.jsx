@@ -0,0 +1,363 @@
+/**
+ * @file VisitBookingForm.jsx
+ * @description Form for booking a visit to an inmate in a visiting slot.
+ * @module components/VisitBookingForm
+ *
+ * This component:
+ * - Lists the inmate's approved visitors.
+ * - Shows the slots in the visiting hours of the inmate's block on the chosen day,
+ *   with the places left in each visiting room.
+ * - Shows how many visits the inmate has used of the weekly quota.
+ * - Books the visit in the chosen slot and room, as a contact or non-contact visit.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+// Whether the visitor and inmate can touch, or meet through a screen
+const VISIT_CONTACT_TYPES = ["Contact", "Non-Contact"];
+
+/**
+ * VisitBookingForm Component
+ * --------------------------
+ *
+ * @component
+ * @param {String} inmateId - The inmate being visited.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback after the visit is booked.
+ * @returns {JSX.Element} - The visit booking form UI component.
+ */
+const VisitBookingForm = ({ inmateId, onClose, onFormSuccess }) => {
+  const [approvedVisitors, setApprovedVisitors] = useState([]);
+  const [visitorId, setVisitorId] = useState("");
+  const [date, setDate] = useState(new Date().toISOString().split("T")[0]);
+  const [availability, setAvailability] = useState(null); // Slots, rooms and quota for the day
+  const [slotError, setSlotError] = useState("");
+  const [selected, setSelected] = useState(null); // `{ start, roomId }` chosen
+  const [purposeOfVisit, setPurposeOfVisit] = useState("");
+  const [staffNotes, setStaffNotes] = useState("");
+  const [contactType, setContactType] = useState(VISIT_CONTACT_TYPES[0]);
+  const [loading, setLoading] = useState(false);
+
+  const headers = {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  };
+  const baseUrl = `${import.meta.env.VITE_API_BASE_URL}/prisonsphere`;
+
+  /**
+   * Fetches the inmate's approved visitors.
+   */
+  useEffect(() => {
+    const fetchApprovedVisitors = async () => {
+      try {
+        const response = await axios.get(
+          `${baseUrl}/visitor-registry/approvals?inmate=${inmateId}&status=Approved`,
+          { headers }
+        );
+        setApprovedVisitors(response.data);
+      } catch (error) {
+        console.error("Error fetching approved visitors:", error);
+      }
+    };
+    fetchApprovedVisitors();
+  }, [inmateId]);
+
+  /**
+   * Fetches the slots for the chosen day (and visitor).
+   */
+  useEffect(() => {
+    const fetchSlots = async () => {
+      try {
+        setSelected(null);
+        setSlotError("");
+        const response = await axios.get(
+          `${baseUrl}/visits/slots?inmateId=${inmateId}&date=${date}&visitorId=${visitorId}`,
+          { headers }
+        );
+        setAvailability(response.data);
+      } catch (error) {
+        setAvailability(null);
+        setSlotError(
+          error.response?.data?.message || "⚠ Could not load visiting slots."
+        );
+      }
+    };
+    if (date) fetchSlots();
+  }, [inmateId, date, visitorId]);
+
+  /**
+   * Books the visit in the chosen slot and room.
+   */
+  const handleSubmit = async () => {
+    if (!visitorId) {
+      toast.error("⚠ Please select a visitor.", { position: "top-right" });
+      return;
+    }
+    if (!selected) {
+      toast.error("⚠ Please select a visiting slot.", {
+        position: "top-right",
+      });
+      return;
+    }
+    if (!purposeOfVisit.trim()) {
+      toast.error("⚠ Purpose of visit is required.", {
+        position: "top-right",
+      });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.post(
+        `${baseUrl}/visits`,
+        {
+          inmateId,
+          visitorId,
+          roomId: selected.roomId,
+          visitTimestamp: selected.start,
+          purposeOfVisit,
+          staffNotes,
+          contactType,
+        },
+        { headers }
+      );
+
+      toast.success(response.data.message, {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess();
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const quotaUsed =
+    availability && availability.weeklyVisits >= availability.weeklyQuota;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-2xl p-6 rounded-lg shadow-lg relative max-h-[90vh] overflow-y-auto">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          Book Visit
+        </h2>
+
+        <ToastContainer />
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Visitor</label>
+              <select
+                value={visitorId}
+                onChange={(e) => setVisitorId(e.target.value)}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="">
+                  {approvedVisitors.length
+                    ? "Select visitor"
+                    : "No approved visitors"}
+                </option>
+                {approvedVisitors.map((approval) => (
+                  <option key={approval._id} value={approval.visitor?._id}>
+                    {approval.visitor?.fullName} (
+                    {approval.relationshipToInmate})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block">Date</label>
+              <input
+                type="date"
+                value={date}
+                onChange={(e) => setDate(e.target.value)}
+                className="w-full p-2 border rounded-md"
+              />
+            </div>
+          </div>
+
+          {/* Slots */}
+          <div>
+            <div className="flex justify-between items-center">
+              <label className="block">Visiting Slot</label>
+              {availability && (
+                <span
+                  className={`text-sm ${
+                    quotaUsed ? "text-red-600" : "text-gray-500"
+                  }`}
+                >
+                  {availability.block.name} · {availability.weeklyVisits} of{" "}
+                  {availability.weeklyQuota} visits used this week
+                </span>
+              )}
+            </div>
+
+            {slotError ? (
+              <p className="text-red-500 text-sm">{slotError}</p>
+            ) : !availability ? (
+              <p className="text-gray-500 text-sm">Loading...</p>
+            ) : availability.slots.length === 0 ? (
+              <p className="text-gray-500 text-sm">
+                No visiting hours on this day.
+              </p>
+            ) : (
+              <div className="border rounded-md divide-y text-sm">
+                {availability.slots.map((slot) => {
+                  const busy = slot.inmateBooked || slot.visitorBooked;
+                  return (
+                    <div
+                      key={slot.start}
+                      className="p-2 flex items-center justify-between"
+                    >
+                      <span className="w-32 font-medium">
+                        {new Date(slot.start).toLocaleTimeString([], {
+                          hour: "2-digit",
+                          minute: "2-digit",
+                        })}{" "}
+                        –{" "}
+                        {new Date(slot.end).toLocaleTimeString([], {
+                          hour: "2-digit",
+                          minute: "2-digit",
+                        })}
+                      </span>
+                      {busy ? (
+                        <span className="text-xs text-red-600">
+                          {slot.inmateBooked
+                            ? "Inmate already booked"
+                            : "Visitor already booked"}
+                        </span>
+                      ) : slot.rooms.length === 0 ? (
+                        <span className="text-xs text-gray-500">
+                          No visiting rooms
+                        </span>
+                      ) : (
+                        <div className="flex flex-wrap gap-2 justify-end">
+                          {slot.rooms.map((room) => {
+                            const isSelected =
+                              selected?.start === slot.start &&
+                              selected?.roomId === room._id;
+                            return (
+                              <button
+                                key={room._id}
+                                disabled={
+                                  room.available === 0 ||
+                                  new Date(slot.start) <= new Date()
+                                }
+                                onClick={() =>
+                                  setSelected({
+                                    start: slot.start,
+                                    roomId: room._id,
+                                  })
+                                }
+                                className={`px-2 py-1 border rounded-md text-xs transition ${
+                                  isSelected
+                                    ? "bg-blue-600 text-white"
+                                    : room.available === 0
+                                    ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                    : "hover:bg-blue-50"
+                                }`}
+                              >
+                                {room.name} · {room.available}/{room.capacity}{" "}
+                                free
+                              </button>
+                            );
+                          })}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="block">Visit Type</label>
+            <select
+              value={contactType}
+              onChange={(e) => setContactType(e.target.value)}
+              className="w-full p-2 border rounded-md"
+            >
+              {VISIT_CONTACT_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block">Purpose of Visit</label>
+            <input
+              value={purposeOfVisit}
+              onChange={(e) => setPurposeOfVisit(e.target.value)}
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          <div>
+            <label className="block">Staff Notes</label>
+            <textarea
+              value={staffNotes}
+              onChange={(e) => setStaffNotes(e.target.value)}
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={loading || quotaUsed}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {loading ? "Processing..." : "Book Visit"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default VisitBookingForm;
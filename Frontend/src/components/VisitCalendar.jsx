@@ -0,0 +1,355 @@
+/**
+ * @file VisitCalendar.jsx
+ * @description Week view of booked and past visits across the visiting rooms.
+ * @module components/VisitCalendar
+ *
+ * This component:
+ * - Shows a week of visits (Monday to Sunday), grouped by day and ordered by time.
+ * - Filters the week by visiting room.
+ * - Checks visitors in and out at the gate, cancels visits or marks them as no-shows.
+ *
+ * @requires react - React library for building UI components.
+ * @requires react-router-dom - Library for managing navigation.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires VisitCheckInForm - Modal component for checking visitors in.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import VisitCheckInForm from "./VisitCheckInForm";
+import { hasPermission } from "../services/authService";
+
+// Badge colour of each visit status
+const STATUS_STYLES = {
+  Booked: "bg-blue-100 text-blue-700",
+  "Checked In": "bg-yellow-100 text-yellow-700",
+  Completed: "bg-green-100 text-green-700",
+  Cancelled: "bg-gray-200 text-gray-700",
+  "No-Show": "bg-red-100 text-red-700",
+};
+
+/**
+ * Finds the Monday starting the week of a date.
+ *
+ * @param {Date} date - Any day in the week.
+ * @returns {Date} - Monday 00:00 of that week.
+ */
+const getWeekStart = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+/**
+ * VisitCalendar Component
+ * -----------------------
+ *
+ * @component
+ * @param {Number} [refreshKey] - Changes when visits change elsewhere, to refetch the week.
+ * @param {Function} [onVisitsChange] - Callback after a visit's status changes.
+ * @returns {JSX.Element} - The visiting calendar UI component.
+ */
+const VisitCalendar = ({ refreshKey, onVisitsChange }) => {
+  const navigate = useNavigate();
+  const [weekStart, setWeekStart] = useState(getWeekStart(new Date()));
+  const [rooms, setRooms] = useState([]);
+  const [roomId, setRoomId] = useState(""); // Room filter
+  const [visits, setVisits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [checkInVisit, setCheckInVisit] = useState(null); // Visit being checked in
+
+  const headers = {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  };
+  const baseUrl = `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/visits`;
+
+  const days = [...Array(7)].map((_, index) => {
+    const day = new Date(weekStart);
+    day.setDate(day.getDate() + index);
+    return day;
+  });
+  const weekEnd = new Date(weekStart);
+  weekEnd.setDate(weekEnd.getDate() + 7);
+
+  /**
+   * Fetches the visits in the week shown.
+   */
+  const fetchVisits = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        `${baseUrl}?from=${weekStart.toISOString()}&to=${weekEnd.toISOString()}&room=${roomId}`,
+        { headers }
+      );
+      setVisits(response.data);
+    } catch (error) {
+      console.error("Error fetching visits:", error);
+      setVisits([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const fetchRooms = async () => {
+      try {
+        const response = await axios.get(`${baseUrl}/rooms`, { headers });
+        setRooms(response.data);
+      } catch (error) {
+        console.error("Error fetching visiting rooms:", error);
+      }
+    };
+    fetchRooms();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    fetchVisits();
+  }, [weekStart, roomId, refreshKey]);
+
+  /**
+   * Moves the calendar by a number of weeks.
+   */
+  const shiftWeek = (weeks) => {
+    const start = new Date(weekStart);
+    start.setDate(start.getDate() + weeks * 7);
+    setWeekStart(start);
+  };
+
+  /**
+   * Refetches the week, and lets the page refresh anything else showing visits.
+   */
+  const handleVisitsChange = () =>
+    onVisitsChange ? onVisitsChange() : fetchVisits();
+
+  /**
+   * Cancels or marks a booked visit as a no-show; cancelling asks for a reason.
+   *
+   * @param {Object} visit - The booked visit.
+   * @param {String} status - "Cancelled" or "No-Show".
+   */
+  const handleStatus = async (visit, status) => {
+    let notes = "";
+    if (status === "Cancelled") {
+      notes = window.prompt(
+        `Reason the visit by ${visit.visitor?.fullName} is cancelled:`
+      );
+      if (!notes?.trim()) return;
+    }
+
+    try {
+      const response = await axios.put(
+        `${baseUrl}/${visit._id}/status`,
+        { status, notes },
+        { headers }
+      );
+      toast.success(response.data.message, { position: "top-right" });
+      handleVisitsChange();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    }
+  };
+
+  /**
+   * Checks a visitor out, warning when the visit overran its slot.
+   *
+   * @param {Object} visit - The visit being checked out.
+   */
+  const handleCheckOut = async (visit) => {
+    try {
+      const response = await axios.post(
+        `${baseUrl}/${visit._id}/check-out`,
+        {},
+        { headers }
+      );
+      if (response.data.visit.overstayMinutes) {
+        toast.warning(response.data.message, { position: "top-right" });
+      } else {
+        toast.success(response.data.message, { position: "top-right" });
+      }
+      handleVisitsChange();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    }
+  };
+
+  const canManage = hasPermission("visitors:log");
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <ToastContainer />
+
+      {/* Week navigation & room filter */}
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-800">
+          Visiting Calendar
+        </h3>
+        <div className="flex items-center space-x-2 text-sm">
+          <select
+            value={roomId}
+            onChange={(e) => setRoomId(e.target.value)}
+            className="p-2 border rounded-md"
+          >
+            <option value="">All rooms</option>
+            {rooms.map((room) => (
+              <option key={room._id} value={room._id}>
+                {room.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => shiftWeek(-1)}
+            className="px-3 py-1 bg-gray-100 rounded-md hover:bg-gray-200"
+          >
+            ←
+          </button>
+          <span className="w-48 text-center text-gray-700">
+            {days[0].toLocaleDateString()} – {days[6].toLocaleDateString()}
+          </span>
+          <button
+            onClick={() => shiftWeek(1)}
+            className="px-3 py-1 bg-gray-100 rounded-md hover:bg-gray-200"
+          >
+            →
+          </button>
+          <button
+            onClick={() => setWeekStart(getWeekStart(new Date()))}
+            className="px-3 py-1 bg-gray-100 rounded-md hover:bg-gray-200"
+          >
+            This Week
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : (
+        <div className="grid grid-cols-7 gap-2 text-xs">
+          {days.map((day) => {
+            const dayVisits = visits.filter(
+              (visit) =>
+                new Date(visit.visitTimestamp).toDateString() ===
+                day.toDateString()
+            );
+            return (
+              <div
+                key={day.toISOString()}
+                className="border rounded-md min-h-[8rem]"
+              >
+                <div
+                  className={`p-2 font-semibold border-b ${
+                    day.toDateString() === new Date().toDateString()
+                      ? "bg-blue-50 text-blue-700"
+                      : "bg-gray-50 text-gray-700"
+                  }`}
+                >
+                  {day.toLocaleDateString([], {
+                    weekday: "short",
+                    day: "numeric",
+                    month: "short",
+                  })}
+                </div>
+                <div className="p-1 space-y-1">
+                  {dayVisits.map((visit) => (
+                    <div key={visit._id} className="p-2 rounded-md bg-gray-50">
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium">
+                          {new Date(visit.visitTimestamp).toLocaleTimeString(
+                            [],
+                            { hour: "2-digit", minute: "2-digit" }
+                          )}
+                        </span>
+                        <span
+                          className={`px-2 rounded-full ${
+                            STATUS_STYLES[visit.status]
+                          }`}
+                        >
+                          {visit.status}
+                        </span>
+                      </div>
+                      <button
+                        onClick={() =>
+                          navigate(`/visitors/history/${visit.inmate?._id}`)
+                        }
+                        className="block text-left text-blue-600 hover:underline"
+                      >
+                        {visit.inmate?.firstName} {visit.inmate?.lastName}
+                      </button>
+                      <p className="text-gray-600">{visit.visitor?.fullName}</p>
+                      {visit.contactType === "Non-Contact" && (
+                        <p className="text-purple-600">Non-contact</p>
+                      )}
+                      {visit.room && (
+                        <p className="text-gray-500">{visit.room.name}</p>
+                      )}
+                      {canManage && visit.status === "Booked" && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          <button
+                            onClick={() => setCheckInVisit(visit)}
+                            className="px-1 border rounded text-green-600 hover:bg-green-50"
+                          >
+                            Check in
+                          </button>
+                          {new Date(visit.visitTimestamp) <= new Date() && (
+                            <button
+                              onClick={() => handleStatus(visit, "No-Show")}
+                              className="px-1 border rounded text-red-600 hover:bg-red-50"
+                            >
+                              No-show
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleStatus(visit, "Cancelled")}
+                            className="px-1 border rounded text-gray-600 hover:bg-gray-100"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      )}
+                      {canManage && visit.status === "Checked In" && (
+                        <button
+                          onClick={() => handleCheckOut(visit)}
+                          className="mt-1 px-1 border rounded text-blue-600 hover:bg-blue-50"
+                        >
+                          Check out
+                        </button>
+                      )}
+                      {visit.overstayMinutes > 0 && (
+                        <p className="text-red-600">
+                          ⚠ Overstayed {visit.overstayMinutes} min
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Check-In Modal */}
+      {checkInVisit && (
+        <VisitCheckInForm
+          visit={checkInVisit}
+          onClose={() => setCheckInVisit(null)}
+          onFormSuccess={handleVisitsChange}
+        />
+      )}
+    </div>
+  );
+};
+
+export default VisitCalendar;
@@ -0,0 +1,183 @@
+/**
+ * @file VisitCheckInForm.jsx
+ * @description Form for checking a visitor in at the gate.
+ * @module components/VisitCheckInForm
+ *
+ * This component:
+ * - Records the visitor badge issued and the ID document checked.
+ * - Starts the booked visit.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+// ID documents a visitor can present at the gate
+const ID_DOCUMENT_TYPES = [
+  "National ID",
+  "Passport",
+  "Driver's License",
+  "Other",
+];
+
+/**
+ * VisitCheckInForm Component
+ * --------------------------
+ *
+ * @component
+ * @param {Object} visit - The booked visit (with `visitor` and `inmate` populated).
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback after the visitor is checked in.
+ * @returns {JSX.Element} - The check-in form UI component.
+ */
+const VisitCheckInForm = ({ visit, onClose, onFormSuccess }) => {
+  const [badgeNumber, setBadgeNumber] = useState("");
+  const [idDocumentType, setIdDocumentType] = useState(ID_DOCUMENT_TYPES[0]);
+  const [idDocumentNumber, setIdDocumentNumber] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Checks the visitor in.
+   */
+  const handleSubmit = async () => {
+    if (!badgeNumber.trim()) {
+      toast.error("⚠ Badge number is required.", { position: "top-right" });
+      return;
+    }
+    if (!idDocumentNumber.trim()) {
+      toast.error("⚠ ID document number is required.", {
+        position: "top-right",
+      });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/visits/${
+          visit._id
+        }/check-in`,
+        { badgeNumber, idDocumentType, idDocumentNumber },
+        {
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+        }
+      );
+
+      toast.success(response.data.message, {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess();
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          Check In Visitor
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {visit.visitor?.fullName} visiting {visit.inmate?.firstName}{" "}
+          {visit.inmate?.lastName} ·{" "}
+          {new Date(visit.visitTimestamp).toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          })}
+          {visit.room && ` · ${visit.room.name}`}
+        </p>
+
+        <ToastContainer />
+
+        <div className="space-y-4">
+          <div>
+            <label className="block">Badge Number</label>
+            <input
+              value={badgeNumber}
+              onChange={(e) => setBadgeNumber(e.target.value)}
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">ID Document</label>
+              <select
+                value={idDocumentType}
+                onChange={(e) => setIdDocumentType(e.target.value)}
+                className="w-full p-2 border rounded-md"
+              >
+                {ID_DOCUMENT_TYPES.map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block">ID Number</label>
+              <input
+                value={idDocumentNumber}
+                onChange={(e) => setIdDocumentNumber(e.target.value)}
+                className="w-full p-2 border rounded-md"
+              />
+            </div>
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={loading}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading ? "Processing..." : "Check In"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default VisitCheckInForm;
@@ -0,0 +1,168 @@
+/**
+ * @file VisitVoidForm.jsx
+ * @description Form for voiding a visit record entered by mistake.
+ * @module components/VisitVoidForm
+ *
+ * This component:
+ * - Records why the visit is voided, with a reason code and notes.
+ * - Voids the record; it is kept for auditors but leaves the inmate's visits and reports.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+// Why a visit record is voided; "Other" needs notes
+const VISIT_VOID_REASONS = [
+  "Entered in Error",
+  "Duplicate Entry",
+  "Wrong Inmate",
+  "Wrong Visitor",
+  "Other",
+];
+
+/**
+ * VisitVoidForm Component
+ * -----------------------
+ *
+ * @component
+ * @param {Object} visit - The visit being voided (with `visitor` and `inmate` populated).
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback after the visit is voided.
+ * @returns {JSX.Element} - The void form UI component.
+ */
+const VisitVoidForm = ({ visit, onClose, onFormSuccess }) => {
+  const [reasonCode, setReasonCode] = useState(VISIT_VOID_REASONS[0]);
+  const [notes, setNotes] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Voids the visit.
+   */
+  const handleSubmit = async () => {
+    if (reasonCode === "Other" && !notes.trim()) {
+      toast.error("⚠ Please give a reason.", { position: "top-right" });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.delete(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/visitors/details/${
+          visit._id
+        }`,
+        {
+          data: { reasonCode, notes },
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+        }
+      );
+
+      toast.success(response.data.message, {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess();
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          Void Visit Record
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {visit.visitor?.fullName} visiting {visit.inmate?.firstName}{" "}
+          {visit.inmate?.lastName} ·{" "}
+          {new Date(visit.visitTimestamp).toLocaleString()}
+        </p>
+
+        <ToastContainer />
+
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 bg-gray-50 p-3 rounded-md">
+            The visit will no longer appear in the inmate&apos;s visits or count
+            in reports. The record is kept for auditors.
+          </p>
+
+          <div>
+            <label className="block">Reason</label>
+            <select
+              value={reasonCode}
+              onChange={(e) => setReasonCode(e.target.value)}
+              className="w-full p-2 border rounded-md"
+            >
+              {VISIT_VOID_REASONS.map((reason) => (
+                <option key={reason} value={reason}>
+                  {reason}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block">Notes</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={loading}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
+            >
+              {loading ? "Processing..." : "Void Record"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default VisitVoidForm;
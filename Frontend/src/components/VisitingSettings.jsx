@@ -0,0 +1,383 @@
+/**
+ * @file VisitingSettings.jsx
+ * @description Manages visiting rooms and the visiting hours of each housing block.
+ * @module components/VisitingSettings
+ *
+ * This component:
+ * - Lists visiting rooms, adds rooms and changes their capacity or availability.
+ * - Edits the weekly visiting hours of a housing block.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+// Days of the week, as stored in visiting hours (0 = Sunday)
+const DAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * VisitingSettings Component
+ * --------------------------
+ *
+ * @component
+ * @param {Function} onClose - Function to close the settings modal.
+ * @returns {JSX.Element} - The visiting settings UI component.
+ */
+const VisitingSettings = ({ onClose }) => {
+  const [facilities, setFacilities] = useState([]);
+  const [blocks, setBlocks] = useState([]);
+  const [rooms, setRooms] = useState([]);
+  const [newRoom, setNewRoom] = useState({
+    facility: "",
+    name: "",
+    capacity: "",
+  });
+  const [blockId, setBlockId] = useState(""); // Block whose hours are edited
+  const [hours, setHours] = useState([]); // Visiting hours being edited
+  const [saving, setSaving] = useState(false);
+
+  const headers = {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  };
+  const baseUrl = `${import.meta.env.VITE_API_BASE_URL}/prisonsphere`;
+
+  /**
+   * Shows the backend error message, or a generic one.
+   */
+  const showError = (error) =>
+    toast.error(
+      error.response?.data?.message || "⚠ Error processing request. Try again.",
+      { position: "top-right" }
+    );
+
+  const fetchRooms = async () => {
+    try {
+      const response = await axios.get(`${baseUrl}/visits/rooms`, { headers });
+      setRooms(response.data);
+    } catch (error) {
+      console.error("Error fetching visiting rooms:", error);
+    }
+  };
+
+  const fetchBlocks = async () => {
+    try {
+      const response = await axios.get(`${baseUrl}/housing/blocks`, {
+        headers,
+      });
+      setBlocks(response.data);
+    } catch (error) {
+      console.error("Error fetching blocks:", error);
+    }
+  };
+
+  /**
+   * Fetches facilities, blocks and rooms when the modal opens.
+   */
+  useEffect(() => {
+    const fetchFacilities = async () => {
+      try {
+        const response = await axios.get(`${baseUrl}/housing/facilities`, {
+          headers,
+        });
+        setFacilities(response.data);
+      } catch (error) {
+        console.error("Error fetching facilities:", error);
+      }
+    };
+    fetchFacilities();
+    fetchBlocks();
+    fetchRooms();
+  }, []);
+
+  /**
+   * Loads the selected block's visiting hours for editing.
+   */
+  useEffect(() => {
+    const block = blocks.find((candidate) => candidate._id === blockId);
+    setHours(block?.visitingHours || []);
+  }, [blockId, blocks]);
+
+  /**
+   * Adds a visiting room.
+   */
+  const handleAddRoom = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.post(`${baseUrl}/visits/rooms`, newRoom, {
+        headers,
+      });
+      toast.success(response.data.message, { position: "top-right" });
+      setNewRoom({ facility: newRoom.facility, name: "", capacity: "" });
+      fetchRooms();
+    } catch (error) {
+      showError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Changes a room's capacity or availability.
+   *
+   * @param {Object} room - The room to update.
+   * @param {Object} updates - `{ capacity }` or `{ isActive }`.
+   */
+  const handleUpdateRoom = async (room, updates) => {
+    try {
+      const response = await axios.put(
+        `${baseUrl}/visits/rooms/${room._id}`,
+        updates,
+        { headers }
+      );
+      toast.success(response.data.message, { position: "top-right" });
+      fetchRooms();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  /**
+   * Changes one field of a visiting period being edited.
+   */
+  const updatePeriod = (index, field, value) =>
+    setHours(
+      hours.map((period, i) =>
+        i === index ? { ...period, [field]: value } : period
+      )
+    );
+
+  /**
+   * Saves the selected block's visiting hours.
+   */
+  const handleSaveHours = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.put(
+        `${baseUrl}/visits/hours/${blockId}`,
+        { visitingHours: hours },
+        { headers }
+      );
+      toast.success(response.data.message, { position: "top-right" });
+      fetchBlocks();
+    } catch (error) {
+      showError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-3xl p-6 rounded-lg shadow-lg relative max-h-[90vh] overflow-y-auto">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          Visiting Rooms & Hours
+        </h2>
+
+        <ToastContainer />
+
+        {/* Visiting Rooms */}
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">
+          Visiting Rooms
+        </h3>
+        <table className="w-full border-collapse text-gray-700 text-sm mb-3">
+          <thead>
+            <tr className="bg-gray-100 text-left font-semibold">
+              <th className="p-2">Facility</th>
+              <th className="p-2">Room</th>
+              <th className="p-2">Capacity</th>
+              <th className="p-2">Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rooms.map((room) => (
+              <tr
+                key={room._id}
+                className={`border-b border-gray-200 ${
+                  room.isActive ? "" : "text-gray-400"
+                }`}
+              >
+                <td className="p-2">{room.facility?.name}</td>
+                <td className="p-2">{room.name}</td>
+                <td className="p-2">
+                  <input
+                    type="number"
+                    min="1"
+                    defaultValue={room.capacity}
+                    onBlur={(e) =>
+                      Number(e.target.value) !== room.capacity &&
+                      handleUpdateRoom(room, { capacity: e.target.value })
+                    }
+                    className="w-20 p-1 border rounded-md"
+                  />
+                </td>
+                <td className="p-2">
+                  <button
+                    onClick={() =>
+                      handleUpdateRoom(room, { isActive: !room.isActive })
+                    }
+                    className={`px-3 py-1 border rounded-md text-xs transition ${
+                      room.isActive
+                        ? "text-red-600 hover:bg-red-50"
+                        : "text-green-600 hover:bg-green-50"
+                    }`}
+                  >
+                    {room.isActive ? "Close" : "Reopen"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="bg-gray-50 p-3 rounded-md grid grid-cols-4 gap-3 items-end text-sm mb-6">
+          <select
+            value={newRoom.facility}
+            onChange={(e) =>
+              setNewRoom({ ...newRoom, facility: e.target.value })
+            }
+            className="p-2 border rounded-md"
+          >
+            <option value="">Select facility</option>
+            {facilities.map((facility) => (
+              <option key={facility._id} value={facility._id}>
+                {facility.name}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Room name"
+            value={newRoom.name}
+            onChange={(e) => setNewRoom({ ...newRoom, name: e.target.value })}
+            className="p-2 border rounded-md"
+          />
+          <input
+            type="number"
+            min="1"
+            placeholder="Capacity"
+            value={newRoom.capacity}
+            onChange={(e) =>
+              setNewRoom({ ...newRoom, capacity: e.target.value })
+            }
+            className="p-2 border rounded-md"
+          />
+          <button
+            onClick={handleAddRoom}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            + Add Room
+          </button>
+        </div>
+
+        {/* Visiting Hours */}
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">
+          Visiting Hours
+        </h3>
+        <select
+          value={blockId}
+          onChange={(e) => setBlockId(e.target.value)}
+          className="w-full p-2 border rounded-md text-sm mb-3"
+        >
+          <option value="">Select block</option>
+          {blocks.map((block) => (
+            <option key={block._id} value={block._id}>
+              {block.code} - {block.name}
+            </option>
+          ))}
+        </select>
+
+        {blockId && (
+          <div className="space-y-2 text-sm">
+            {hours.length === 0 && (
+              <p className="text-gray-500">No visiting hours set.</p>
+            )}
+            {hours.map((period, index) => (
+              <div key={index} className="grid grid-cols-4 gap-3">
+                <select
+                  value={period.day}
+                  onChange={(e) =>
+                    updatePeriod(index, "day", Number(e.target.value))
+                  }
+                  className="p-2 border rounded-md"
+                >
+                  {DAYS.map((day, dayIndex) => (
+                    <option key={day} value={dayIndex}>
+                      {day}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="time"
+                  value={period.start}
+                  onChange={(e) => updatePeriod(index, "start", e.target.value)}
+                  className="p-2 border rounded-md"
+                />
+                <input
+                  type="time"
+                  value={period.end}
+                  onChange={(e) => updatePeriod(index, "end", e.target.value)}
+                  className="p-2 border rounded-md"
+                />
+                <button
+                  onClick={() => setHours(hours.filter((_, i) => i !== index))}
+                  className="px-3 py-1 text-red-600 border rounded-md hover:bg-red-50"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <div className="flex justify-between">
+              <button
+                onClick={() =>
+                  setHours([...hours, { day: 6, start: "09:00", end: "12:00" }])
+                }
+                className="text-blue-600 hover:underline"
+              >
+                + Add visiting period
+              </button>
+              <button
+                onClick={handleSaveHours}
+                disabled={saving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                {saving ? "Processing..." : "Save Hours"}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default VisitingSettings;
@@ -1,16 +1,17 @@
 /**
  * @file VisitorForm.js
- * @description Form for logging and editing visitor records in the PrisonSphere system.
+ * @description Form for logging and editing visits in the PrisonSphere system.
  * @module components/VisitorForm
  *
  * This component:
- * - Logs new visitor entries or edits existing ones.
- * - Ensures proper validation before submitting visitor data.
+ * - Logs new visits by visitors on the inmate's approved-visitor list, or edits existing ones.
+ * - Records whether a new visit allowed contact or was held through a screen.
+ * - Ensures proper validation before submitting visit data.
  * - Provides a responsive and user-friendly UI.
  *
  * Features:
  * - Uses `react-hook-form` and `yup` for validation.
- * - Handles both visitor registration and editing in a single form.
+ * - Handles both visit logging and editing in a single form.
  * - Uses Framer Motion for smooth animations.
  * - Displays success and error notifications using `react-toastify`.
  *
@@ -32,57 +33,58 @@ import { IoClose } from "react-icons/io5";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 
+// Whether the visitor and inmate can touch, or meet through a screen
+const VISIT_CONTACT_TYPES = ["Contact", "Non-Contact"];
+
 /**
  * Validation Schema for Visitor Form
  * - Ensures valid input before submission.
+ * - The visitor is only chosen when a visit is logged.
  */
-const visitorSchema = yup.object().shape({
-  visitorName: yup.string().required("⚠ Visitor Name is required."),
-  relationshipToInmate: yup.string().required("⚠ Relationship is required."),
-  contactNumber: yup
-    .string()
-    .matches(/^\d{10,15}$/, "⚠ Enter a valid contact number.")
-    .required("⚠ Contact number is required."),
-  email: yup
-    .string()
-    .email("⚠ Enter a valid email.")
-    .required("⚠ Email is required."),
+const getVisitSchema = (isEditMode) =>
+  yup.object().shape({
+    visitorId: isEditMode
+      ? yup.string()
+      : yup.string().required("⚠ Please select an approved visitor."),
 
-  visitTimestamp: yup
-    .date()
-    .typeError("⚠ Please select a valid visit date & time.") // Catches invalid values
-    .required("⚠ Visit date & time is required.")
-    .transform((value, originalValue) =>
-      originalValue ? new Date(originalValue) : null
-    ),
+    visitTimestamp: yup
+      .date()
+      .typeError("⚠ Please select a valid visit date & time.") // Catches invalid values
+      .required("⚠ Visit date & time is required.")
+      .transform((value, originalValue) =>
+        originalValue ? new Date(originalValue) : null
+      ),
 
-  durationMinutes: yup
-    .number()
-    .typeError("⚠ Enter a valid number for duration (minutes).")
-    .positive("⚠ Duration must be greater than 0.")
-    .integer("⚠ Duration must be a whole number.")
-    .required("⚠ Duration is required."),
+    durationMinutes: yup
+      .number()
+      .typeError("⚠ Enter a valid number for duration (minutes).")
+      .positive("⚠ Duration must be greater than 0.")
+      .integer("⚠ Duration must be a whole number.")
+      .required("⚠ Duration is required."),
 
-  purposeOfVisit: yup.string().required("⚠ Purpose of visit is required."),
-  staffNotes: yup.string(),
-});
+    purposeOfVisit: yup.string().required("⚠ Purpose of visit is required."),
+    staffNotes: yup.string(),
+    contactType: yup.string(),
+  });
 
 /**
  * VisitorForm Component
  * ---------------------
- * - Handles visitor logging and editing.
+ * - Handles visit logging and editing.
+ * - Offers only the visitors approved for the inmate.
  * - Provides validation, error handling, and UI enhancements.
  *
  * @component
  * @param {string} inmateId - The ID of the inmate the visitor is visiting.
- * @param {Object} visitorData - The visitor data to be edited (if applicable).
+ * @param {Object} visitData - The visit to be edited (if applicable).
  * @param {Function} onClose - Function to close the form modal.
- * @param {Function} onFormSuccess - Callback function to refresh the visitor list after submission.
+ * @param {Function} onFormSuccess - Callback function to refresh the visit list after submission.
  * @returns {JSX.Element} - The visitor form UI component.
  */
-const VisitorForm = ({ inmateId, visitorData, onClose, onFormSuccess }) => {
-  const isEditMode = !!visitorData; // Check if editing
+const VisitorForm = ({ inmateId, visitData, onClose, onFormSuccess }) => {
+  const isEditMode = !!visitData; // Check if editing
   const [loading, setLoading] = useState(false);
+  const [approvedVisitors, setApprovedVisitors] = useState([]); // Visitors approved for the inmate
 
   const {
     register,
@@ -90,22 +92,45 @@ const VisitorForm = ({ inmateId, visitorData, onClose, onFormSuccess }) => {
     setValue,
     formState: { errors },
   } = useForm({
-    resolver: yupResolver(visitorSchema),
-    defaultValues: visitorData || {},
+    resolver: yupResolver(getVisitSchema(isEditMode)),
+    defaultValues: visitData || { contactType: "Contact" },
   });
 
   // Prefill form data if editing
   useEffect(() => {
-    if (isEditMode && visitorData) {
-      Object.keys(visitorData).forEach((key) => {
-        setValue(key, visitorData[key]);
+    if (isEditMode && visitData) {
+      Object.keys(visitData).forEach((key) => {
+        setValue(key, visitData[key]);
       });
     }
-  }, [isEditMode, visitorData, setValue]);
+  }, [isEditMode, visitData, setValue]);
+
+  // Fetch the visitors approved for the inmate when logging a visit
+  useEffect(() => {
+    if (isEditMode) return;
+    const fetchApprovedVisitors = async () => {
+      try {
+        const response = await axios.get(
+          `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/visitor-registry/approvals?inmate=${inmateId}&status=Approved`,
+          {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem("token")}`,
+            },
+          }
+        );
+        setApprovedVisitors(response.data);
+      } catch (error) {
+        console.error("Error fetching approved visitors:", error);
+      }
+    };
+    fetchApprovedVisitors();
+  }, [isEditMode, inmateId]);
 
   /**
    * Handles form submission.
-   * - Sends data to the API for visitor creation or update.
+   * - Sends data to the API for visit creation or update.
    * - Displays toast notifications for success or error.
    */
   const onSubmit = async (data) => {
@@ -136,9 +161,14 @@ const VisitorForm = ({ inmateId, visitorData, onClose, onFormSuccess }) => {
       if (isEditMode) {
         response = await axios.put(
           `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/visitors/details/${
-            visitorData._id
+            visitData._id
           }`,
-          data,
+          {
+            visitTimestamp: data.visitTimestamp,
+            durationMinutes: data.durationMinutes,
+            purposeOfVisit: data.purposeOfVisit,
+            staffNotes: data.staffNotes,
+          },
           {
             headers: {
               Authorization: `Bearer ${localStorage.getItem("token")}`,
@@ -161,8 +191,8 @@ const VisitorForm = ({ inmateId, visitorData, onClose, onFormSuccess }) => {
 
       toast.success(
         isEditMode
-          ? "Visitor details updated!"
-          : "New visitor logged successfully!",
+          ? "Visit details updated!"
+          : "New visit logged successfully!",
         { position: "top-right", autoClose: 2000 }
       );
 
@@ -171,9 +201,11 @@ const VisitorForm = ({ inmateId, visitorData, onClose, onFormSuccess }) => {
         onFormSuccess(); // Refresh list
       }, 1000);
     } catch (error) {
-      toast.error("⚠ Error processing request. Try again.", {
-        position: "top-right",
-      });
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
       console.error("Error:", error);
     } finally {
       setLoading(false);
@@ -204,49 +236,54 @@ const VisitorForm = ({ inmateId, visitorData, onClose, onFormSuccess }) => {
         <ToastContainer />
 
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="block">Visitor Name</label>
-              <input
-                {...register("visitorName")}
-                className="w-full p-2 border rounded-md"
-              />
-              <p className="text-red-500 text-sm">
-                {errors.visitorName?.message}
-              </p>
-            </div>
-
-            <div>
-              <label className="block">Relationship</label>
-              <input
-                {...register("relationshipToInmate")}
-                className="w-full p-2 border rounded-md"
-              />
-              <p className="text-red-500 text-sm">
-                {errors.relationshipToInmate?.message}
-              </p>
-            </div>
-
-            <div>
-              <label className="block">Contact Number</label>
-              <input
-                {...register("contactNumber")}
-                className="w-full p-2 border rounded-md"
-              />
-              <p className="text-red-500 text-sm">
-                {errors.contactNumber?.message}
+          {/* Visitor (fixed once the visit is logged) */}
+          <div>
+            <label className="block">Visitor</label>
+            {isEditMode ? (
+              <p className="w-full p-2 border rounded-md bg-gray-100 text-gray-700">
+                {visitData.visitor?.fullName} ({visitData.relationshipToInmate})
               </p>
-            </div>
+            ) : (
+              <>
+                <select
+                  {...register("visitorId")}
+                  className="w-full p-2 border rounded-md"
+                >
+                  <option value="">Select approved visitor</option>
+                  {approvedVisitors.map((approval) => (
+                    <option key={approval._id} value={approval.visitor?._id}>
+                      {approval.visitor?.fullName} (
+                      {approval.relationshipToInmate})
+                    </option>
+                  ))}
+                </select>
+                {approvedVisitors.length === 0 && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    No approved visitors. Put a visitor forward for approval
+                    first.
+                  </p>
+                )}
+              </>
+            )}
+            <p className="text-red-500 text-sm">{errors.visitorId?.message}</p>
+          </div>
 
+          {/* Visit type (fixed once the visit is logged) */}
+          {!isEditMode && (
             <div>
-              <label className="block">Email</label>
-              <input
-                {...register("email")}
+              <label className="block">Visit Type</label>
+              <select
+                {...register("contactType")}
                 className="w-full p-2 border rounded-md"
-              />
-              <p className="text-red-500 text-sm">{errors.email?.message}</p>
+              >
+                {VISIT_CONTACT_TYPES.map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
             </div>
-          </div>
+          )}
 
           <div className="grid grid-cols-2 gap-4">
             <div>
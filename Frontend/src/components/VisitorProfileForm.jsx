@@ -0,0 +1,208 @@
+/**
+ * @file VisitorProfileForm.jsx
+ * @description Form for registering and editing visitors in the visitor registry.
+ * @module components/VisitorProfileForm
+ *
+ * This component:
+ * - Registers a visitor once, so they can be put forward for any inmate's approved-visitor list.
+ * - Edits a registered visitor's contact details.
+ *
+ * Features:
+ * - Uses `react-hook-form` and `yup` for validation.
+ * - Uses Framer Motion for smooth animations.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-hook-form - Manages form validation and submission.
+ * @requires @hookform/resolvers/yup - Resolves validation rules with Yup.
+ * @requires yup - Schema validation library for form input.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ */
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+
+/**
+ * Validation Schema for Visitor Profile Form
+ */
+const visitorProfileSchema = yup.object().shape({
+  fullName: yup.string().trim().required("⚠ Visitor Name is required."),
+  contactNumber: yup
+    .string()
+    .matches(/^\d{10,15}$/, "⚠ Enter a valid contact number.")
+    .required("⚠ Contact number is required."),
+  email: yup
+    .string()
+    .email("⚠ Enter a valid email.")
+    .required("⚠ Email is required."),
+  idNumber: yup.string(),
+});
+
+/**
+ * VisitorProfileForm Component
+ * ----------------------------
+ * - Registers a new visitor, or edits one when `visitorData` is given.
+ *
+ * @component
+ * @param {Object} [visitorData] - The registered visitor to edit.
+ * @param {Function} onClose - Function to close the form modal.
+ * @param {Function} onFormSuccess - Callback receiving the saved visitor.
+ * @returns {JSX.Element} - The visitor profile form UI component.
+ */
+const VisitorProfileForm = ({ visitorData, onClose, onFormSuccess }) => {
+  const isEditMode = !!visitorData;
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: yupResolver(visitorProfileSchema),
+    defaultValues: {
+      fullName: visitorData?.fullName || "",
+      contactNumber: visitorData?.contactNumber || "",
+      email: visitorData?.email || "",
+      idNumber: visitorData?.idNumber || "",
+    },
+  });
+
+  /**
+   * Handles form submission.
+   * - Registers or updates the visitor.
+   * - Displays toast notifications for success or error.
+   */
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      const baseUrl = `${
+        import.meta.env.VITE_API_BASE_URL
+      }/prisonsphere/visitor-registry`;
+      const headers = {
+        Authorization: `Bearer ${localStorage.getItem("token")}`,
+      };
+
+      const response = isEditMode
+        ? await axios.put(`${baseUrl}/${visitorData._id}`, data, { headers })
+        : await axios.post(baseUrl, data, { headers });
+
+      toast.success(response.data.message, {
+        position: "top-right",
+        autoClose: 2000,
+      });
+
+      setTimeout(() => {
+        onClose();
+        onFormSuccess(response.data.visitor);
+      }, 1000);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-lg p-6 rounded-lg shadow-lg relative">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+          {isEditMode ? "Edit Visitor" : "Register Visitor"}
+        </h2>
+
+        <ToastContainer />
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div>
+            <label className="block">Full Name</label>
+            <input
+              {...register("fullName")}
+              className="w-full p-2 border rounded-md"
+            />
+            <p className="text-red-500 text-sm">{errors.fullName?.message}</p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block">Contact Number</label>
+              <input
+                {...register("contactNumber")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">
+                {errors.contactNumber?.message}
+              </p>
+            </div>
+
+            <div>
+              <label className="block">Email</label>
+              <input
+                {...register("email")}
+                className="w-full p-2 border rounded-md"
+              />
+              <p className="text-red-500 text-sm">{errors.email?.message}</p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block">ID Number (optional)</label>
+            <input
+              {...register("idNumber")}
+              placeholder="Number of the ID document presented"
+              className="w-full p-2 border rounded-md"
+            />
+          </div>
+
+          {/* Submit & Cancel Buttons */}
+          <div className="flex justify-end space-x-4 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              {loading
+                ? "Processing..."
+                : isEditMode
+                ? "Save Changes"
+                : "Register Visitor"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default VisitorProfileForm;
@@ -0,0 +1,361 @@
+/**
+ * @file VisitorRestrictions.jsx
+ * @description Lists and manages the restrictions placed on a registered visitor.
+ * @module components/VisitorRestrictions
+ *
+ * This component:
+ * - Shows the visitor's restrictions, in force, expired or lifted, with the reason
+ *   and the officer who issued them.
+ * - Bans a visitor, limits them to non-contact visits, or bars them from one of the
+ *   inmates they are on the list of, until an expiry date.
+ * - Lifts restrictions early, with a reason.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { IoClose } from "react-icons/io5";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import { hasPermission } from "../services/authService";
+
+// Restrictions that can be placed on a visitor
+const RESTRICTION_TYPES = ["Full Ban", "Non-Contact Only", "Inmate-Specific"];
+
+/**
+ * Describes whether a restriction is in force, expired or lifted.
+ *
+ * @param {Object} restriction - The restriction.
+ * @returns {String} - "Active", "Scheduled", "Expired" or "Lifted".
+ */
+const getRestrictionState = (restriction) => {
+  const now = new Date();
+  if (restriction.liftedAt) return "Lifted";
+  if (new Date(restriction.expiresAt) <= now) return "Expired";
+  if (new Date(restriction.startDate) > now) return "Scheduled";
+  return "Active";
+};
+
+// Badge colour of each restriction state
+const STATE_STYLES = {
+  Active: "bg-red-100 text-red-700",
+  Scheduled: "bg-yellow-100 text-yellow-700",
+  Expired: "bg-gray-200 text-gray-700",
+  Lifted: "bg-green-100 text-green-700",
+};
+
+/**
+ * VisitorRestrictions Component
+ * -----------------------------
+ *
+ * @component
+ * @param {Object} visitor - The registered visitor.
+ * @param {Function} onClose - Function to close the modal.
+ * @param {Function} [onChange] - Callback after a restriction is issued or lifted.
+ * @returns {JSX.Element} - The visitor restrictions UI component.
+ */
+const VisitorRestrictions = ({ visitor, onClose, onChange }) => {
+  const [restrictions, setRestrictions] = useState([]);
+  const [approvals, setApprovals] = useState([]); // Inmates the visitor is on the list of
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({
+    type: RESTRICTION_TYPES[0],
+    inmateId: "",
+    reason: "",
+    expiresAt: "",
+  });
+
+  const headers = {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  };
+  const baseUrl = `${
+    import.meta.env.VITE_API_BASE_URL
+  }/prisonsphere/visitor-registry`;
+
+  /**
+   * Fetches the visitor's restrictions and the inmates they are on the list of.
+   */
+  const fetchRestrictions = async () => {
+    try {
+      const response = await axios.get(`${baseUrl}/${visitor._id}`, {
+        headers,
+      });
+      setRestrictions(response.data.restrictions || []);
+      setApprovals(response.data.approvals || []);
+    } catch (error) {
+      console.error("Error fetching visitor restrictions:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRestrictions();
+  }, [visitor._id]);
+
+  /**
+   * Issues a restriction.
+   */
+  const handleRestrict = async () => {
+    if (form.type === "Inmate-Specific" && !form.inmateId) {
+      toast.error("⚠ Please select an inmate.", { position: "top-right" });
+      return;
+    }
+    if (!form.reason.trim()) {
+      toast.error("⚠ Please give a reason.", { position: "top-right" });
+      return;
+    }
+    if (!form.expiresAt) {
+      toast.error("⚠ Please select an expiry date.", {
+        position: "top-right",
+      });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await axios.post(
+        `${baseUrl}/${visitor._id}/restrictions`,
+        form,
+        { headers }
+      );
+      toast.success(response.data.message, { position: "top-right" });
+      setForm({ ...form, inmateId: "", reason: "", expiresAt: "" });
+      fetchRestrictions();
+      onChange?.();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Lifts a restriction before it expires; asks for a reason.
+   *
+   * @param {Object} restriction - The restriction being lifted.
+   */
+  const handleLift = async (restriction) => {
+    const reason = window.prompt(
+      `Reason the ${restriction.type.toLowerCase()} is lifted:`
+    );
+    if (!reason?.trim()) return;
+
+    try {
+      const response = await axios.put(
+        `${baseUrl}/restrictions/${restriction._id}/lift`,
+        { reason },
+        { headers }
+      );
+      toast.success(response.data.message, { position: "top-right" });
+      fetchRestrictions();
+      onChange?.();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    }
+  };
+
+  const canRestrict = hasPermission("visitors:restrict");
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0, scale: 0.95 }}
+      transition={{ duration: 0.3 }}
+      className="fixed inset-0 flex items-center justify-center z-50 bg-opacity-20 backdrop-blur-lg"
+    >
+      <div className="bg-white w-full max-w-3xl p-6 rounded-lg shadow-lg relative max-h-[90vh] overflow-y-auto">
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-500 hover:text-gray-800"
+        >
+          <IoClose size={24} />
+        </button>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+          Visitor Restrictions
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">{visitor.fullName}</p>
+
+        <ToastContainer />
+
+        {/* Restriction history */}
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : restrictions.length === 0 ? (
+          <p className="text-gray-500 text-center">
+            This visitor has no restrictions.
+          </p>
+        ) : (
+          <table className="w-full border-collapse text-gray-700 text-sm">
+            <thead>
+              <tr className="bg-gray-100 text-left font-semibold">
+                <th className="p-2">Restriction</th>
+                <th className="p-2">Reason</th>
+                <th className="p-2">Issued</th>
+                <th className="p-2">Expires</th>
+                <th className="p-2">Status</th>
+                {canRestrict && <th className="p-2">Action</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {restrictions.map((restriction) => {
+                const state = getRestrictionState(restriction);
+                return (
+                  <tr
+                    key={restriction._id}
+                    className="border-b border-gray-200"
+                  >
+                    <td className="p-2">
+                      {restriction.type}
+                      {restriction.inmate && (
+                        <p className="text-xs text-gray-500">
+                          {restriction.inmate.firstName}{" "}
+                          {restriction.inmate.lastName} (
+                          {restriction.inmate.inmateID})
+                        </p>
+                      )}
+                    </td>
+                    <td className="p-2">
+                      {restriction.reason}
+                      {restriction.liftedAt && (
+                        <p className="text-xs text-gray-500">
+                          Lifted by {restriction.liftedBy?.username || "—"}:{" "}
+                          {restriction.liftReason}
+                        </p>
+                      )}
+                    </td>
+                    <td className="p-2">
+                      {new Date(restriction.startDate).toLocaleDateString()}
+                      <p className="text-xs text-gray-500">
+                        by {restriction.issuedBy?.username || "—"}
+                      </p>
+                    </td>
+                    <td className="p-2">
+                      {new Date(restriction.expiresAt).toLocaleDateString()}
+                    </td>
+                    <td className="p-2">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full ${STATE_STYLES[state]}`}
+                      >
+                        {state}
+                      </span>
+                    </td>
+                    {canRestrict && (
+                      <td className="p-2">
+                        {["Active", "Scheduled"].includes(state) && (
+                          <button
+                            onClick={() => handleLift(restriction)}
+                            className="px-2 py-1 text-green-600 border rounded-md text-xs hover:bg-green-50 transition"
+                          >
+                            Lift
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        {/* New restriction */}
+        {canRestrict && (
+          <div className="mt-6 border-t pt-4 space-y-4">
+            <h3 className="text-lg font-semibold text-gray-800">
+              Restrict Visitor
+            </h3>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block">Restriction</label>
+                <select
+                  value={form.type}
+                  onChange={(e) => setForm({ ...form, type: e.target.value })}
+                  className="w-full p-2 border rounded-md"
+                >
+                  {RESTRICTION_TYPES.map((type) => (
+                    <option key={type} value={type}>
+                      {type}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block">Expires On</label>
+                <input
+                  type="date"
+                  value={form.expiresAt}
+                  min={new Date().toISOString().split("T")[0]}
+                  onChange={(e) =>
+                    setForm({ ...form, expiresAt: e.target.value })
+                  }
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+            </div>
+
+            {form.type === "Inmate-Specific" && (
+              <div>
+                <label className="block">Inmate</label>
+                <select
+                  value={form.inmateId}
+                  onChange={(e) =>
+                    setForm({ ...form, inmateId: e.target.value })
+                  }
+                  className="w-full p-2 border rounded-md"
+                >
+                  <option value="">Select inmate</option>
+                  {approvals.map((approval) => (
+                    <option key={approval._id} value={approval.inmate?._id}>
+                      {approval.inmate?.firstName} {approval.inmate?.lastName} (
+                      {approval.inmate?.inmateID})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <label className="block">Reason</label>
+              <textarea
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                placeholder="e.g., Attempted to pass contraband during a visit"
+                className="w-full p-2 border rounded-md"
+              />
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                onClick={handleRestrict}
+                disabled={saving}
+                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
+              >
+                {saving ? "Processing..." : "Issue Restriction"}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default VisitorRestrictions;
@@ -0,0 +1,185 @@
+/**
+ * @file VisitorsOnPremises.jsx
+ * @description Lists the visitors currently on the premises.
+ * @module components/VisitorsOnPremises
+ *
+ * This component:
+ * - Shows every visitor checked in and not yet checked out, with the badge issued.
+ * - Highlights visitors who have stayed past the end of their slot.
+ * - Checks visitors out at the gate.
+ * - Refreshes every 60 seconds, so the list can be used for emergency evacuations.
+ *
+ * @requires react - React library for building UI components.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import { hasPermission } from "../services/authService";
+
+/**
+ * VisitorsOnPremises Component
+ * ----------------------------
+ *
+ * @component
+ * @param {Number} [refreshKey] - Changes when visits change elsewhere, to refetch the list.
+ * @param {Function} [onVisitsChange] - Callback after a visitor is checked out.
+ * @returns {JSX.Element} - The visitors-on-premises UI component.
+ */
+const VisitorsOnPremises = ({ refreshKey, onVisitsChange }) => {
+  const [data, setData] = useState({ count: 0, overstaying: 0, visits: [] });
+  const [loading, setLoading] = useState(true);
+
+  const headers = {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  };
+  const baseUrl = `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/visits`;
+
+  /**
+   * Fetches the visitors on the premises.
+   */
+  const fetchOnPremises = async () => {
+    try {
+      const response = await axios.get(`${baseUrl}/on-premises`, { headers });
+      setData(response.data);
+    } catch (error) {
+      console.error("Error fetching visitors on premises:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Fetches the list and refreshes it every 60 seconds.
+   */
+  useEffect(() => {
+    fetchOnPremises();
+    const interval = setInterval(fetchOnPremises, 60000);
+    return () => clearInterval(interval);
+  }, [refreshKey]);
+
+  /**
+   * Checks a visitor out, warning when the visit overran its slot.
+   *
+   * @param {Object} visit - The visit being checked out.
+   */
+  const handleCheckOut = async (visit) => {
+    try {
+      const response = await axios.post(
+        `${baseUrl}/${visit._id}/check-out`,
+        {},
+        { headers }
+      );
+      if (response.data.visit.overstayMinutes) {
+        toast.warning(response.data.message, { position: "top-right" });
+      } else {
+        toast.success(response.data.message, { position: "top-right" });
+      }
+      onVisitsChange ? onVisitsChange() : fetchOnPremises();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    }
+  };
+
+  const canCheckOut = hasPermission("visitors:log");
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <ToastContainer />
+
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-800">
+          Visitors on Premises ({data.count})
+        </h3>
+        {data.overstaying > 0 && (
+          <span className="px-3 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700">
+            {data.overstaying} overstaying
+          </span>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : data.visits.length === 0 ? (
+        <p className="text-gray-500 text-center">
+          No visitors are on the premises.
+        </p>
+      ) : (
+        <table className="w-full border-collapse text-gray-700 text-sm">
+          <thead>
+            <tr className="bg-gray-100 text-left font-semibold">
+              <th className="p-2">Badge</th>
+              <th className="p-2">Visitor</th>
+              <th className="p-2">Visiting</th>
+              <th className="p-2">Room</th>
+              <th className="p-2">Checked In</th>
+              <th className="p-2">Time on Premises</th>
+              {canCheckOut && <th className="p-2">Action</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {data.visits.map((visit) => (
+              <tr
+                key={visit._id}
+                className={`border-b border-gray-200 ${
+                  visit.isOverstaying ? "bg-red-50" : ""
+                }`}
+              >
+                <td className="p-2 font-medium">
+                  {visit.checkIn?.badgeNumber}
+                </td>
+                <td className="p-2">
+                  {visit.visitor?.fullName}
+                  <p className="text-xs text-gray-500">
+                    {visit.checkIn?.idDocumentType}:{" "}
+                    {visit.checkIn?.idDocumentNumber}
+                  </p>
+                </td>
+                <td className="p-2">
+                  {visit.inmate?.firstName} {visit.inmate?.lastName}
+                  <p className="text-xs text-gray-500">
+                    {visit.inmate?.inmateID}
+                  </p>
+                </td>
+                <td className="p-2">{visit.room?.name || "—"}</td>
+                <td className="p-2">
+                  {new Date(visit.checkIn?.at).toLocaleTimeString([], {
+                    hour: "2-digit",
+                    minute: "2-digit",
+                  })}
+                </td>
+                <td className="p-2">
+                  {visit.minutesOnPremises} min
+                  {visit.isOverstaying && (
+                    <p className="text-xs text-red-600">
+                      ⚠ {visit.overstayMinutes} min past slot
+                    </p>
+                  )}
+                </td>
+                {canCheckOut && (
+                  <td className="p-2">
+                    <button
+                      onClick={() => handleCheckOut(visit)}
+                      className="px-3 py-1 text-blue-600 border rounded-md text-xs hover:bg-blue-50 transition"
+                    >
+                      Check Out
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default VisitorsOnPremises;
@@ -0,0 +1,113 @@
+/**
+ * @file VoidedVisits.jsx
+ * @description Lists voided visit records for auditors.
+ * @module components/VoidedVisits
+ *
+ * This component:
+ * - Shows every voided visit, newest first, with who voided it and why.
+ * - Links to each record's details.
+ *
+ * @requires react - React library for building UI components.
+ * @requires react-router-dom - Library for managing navigation.
+ * @requires axios - Library for making HTTP requests.
+ */
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+
+/**
+ * VoidedVisits Component
+ * ----------------------
+ *
+ * @component
+ * @returns {JSX.Element} - The voided visits UI component.
+ */
+const VoidedVisits = () => {
+  const navigate = useNavigate();
+  const [visits, setVisits] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  /**
+   * Fetches the voided visits.
+   */
+  useEffect(() => {
+    const fetchVoidedVisits = async () => {
+      try {
+        const response = await axios.get(
+          `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/visitors/voided`,
+          {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem("token")}`,
+            },
+          }
+        );
+        setVisits(response.data);
+      } catch (error) {
+        console.error("Error fetching voided visits:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchVoidedVisits();
+  }, []);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h3 className="text-lg font-semibold text-gray-800 mb-4">
+        Voided Visit Records ({visits.length})
+      </h3>
+
+      {loading ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : visits.length === 0 ? (
+        <p className="text-gray-500 text-center">No visits have been voided.</p>
+      ) : (
+        <table className="w-full border-collapse text-gray-700 text-sm">
+          <thead>
+            <tr className="bg-gray-100 text-left font-semibold">
+              <th className="p-2">Visit</th>
+              <th className="p-2">Visitor</th>
+              <th className="p-2">Inmate</th>
+              <th className="p-2">Reason</th>
+              <th className="p-2">Voided</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visits.map((visit) => (
+              <tr
+                key={visit._id}
+                onClick={() => navigate(`/visitors/details/${visit._id}`)}
+                className="border-b border-gray-200 hover:bg-gray-50 cursor-pointer transition"
+              >
+                <td className="p-2">
+                  {new Date(visit.visitTimestamp).toLocaleString()}
+                </td>
+                <td className="p-2">{visit.visitor?.fullName}</td>
+                <td className="p-2">
+                  {visit.inmate?.firstName} {visit.inmate?.lastName}
+                  <p className="text-xs text-gray-500">
+                    {visit.inmate?.inmateID}
+                  </p>
+                </td>
+                <td className="p-2">
+                  {visit.void?.reasonCode}
+                  {visit.void?.notes && (
+                    <p className="text-xs text-gray-500">{visit.void.notes}</p>
+                  )}
+                </td>
+                <td className="p-2">
+                  {new Date(visit.voidedAt).toLocaleDateString()}
+                  <p className="text-xs text-gray-500">
+                    by {visit.void?.by?.username || "—"}
+                  </p>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default VoidedVisits;
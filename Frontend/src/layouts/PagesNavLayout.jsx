@@ -22,6 +22,7 @@ import React, { useEffect, useState } from "react";
 import { useLocation } from "react-router-dom";
 import Sidebar from "../components/Sidebar";
 import TopNavbar from "../components/TopNavbar";
+import { ROLE_LABELS } from "../services/authService";
 
 /**
  * PagesNavLayout Component
@@ -56,12 +57,20 @@ const PagesNavLayout = ({ children }) => {
   const pageData = {
     "/dashboard": {
       title: "Dashboard Overview",
-      description: `Welcome back, ${userRole}`,
+      description: `Welcome back, ${ROLE_LABELS[userRole] || userRole}`,
     },
     "/inmates": {
       title: "Inmate Management",
       description: `Manage inmate records and profiles`,
     },
+    "/housing": {
+      title: "Housing",
+      description: "Block and cell occupancy",
+    },
+    "/headcounts": {
+      title: "Headcounts",
+      description: "Block roll calls and count history",
+    },
     "/visitors": {
       title: "Visitor Management",
       description: `Track visitor logs and history`,
@@ -72,9 +81,17 @@ const PagesNavLayout = ({ children }) => {
     },
     "/rehabilitation": {
       title: "Rehabilitation   & Work",
-      description: `Welcome back, ${userRole}`,
+      description: `Welcome back, ${ROLE_LABELS[userRole] || userRole}`,
     },
     "/reports": { title: "Reports", description: `Welcome back, ${userRole}` },
+    "/users": {
+      title: "User Management",
+      description: "Manage staff accounts and access",
+    },
+    "/account": {
+      title: "Account Security",
+      description: "Manage two-factor authentication for your account",
+    },
   };
 
   /**
@@ -98,8 +115,14 @@ const PagesNavLayout = ({ children }) => {
     }
     if (pathname.startsWith("/visitors/details/")) {
       return {
-        title: "Visitor Details",
-        description: "Viewing visitor's record",
+        title: "Visit Details",
+        description: "Viewing a visit record",
+      };
+    }
+    if (pathname.startsWith("/visitors/registry")) {
+      return {
+        title: "Visitor Registry",
+        description: "Registered visitors and approvals",
       };
     }
     if (pathname.startsWith("/work-programs/enrollments")) {
@@ -3,6 +3,10 @@ import ReactDom from "react-dom/client";
 import App from "./App";
 import "./index.css";
 import "@fontsource/inter";
+import { setupAuthInterceptors } from "./services/authService";
+
+// Silently refresh expired access tokens for every API request
+setupAuthInterceptors();
 
 ReactDom.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
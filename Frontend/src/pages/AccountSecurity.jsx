@@ -0,0 +1,293 @@
+/**
+ * @file AccountSecurity.js
+ * @description Lets staff manage two-factor authentication for their own account.
+ * @module pages/AccountSecurity
+ *
+ * This component:
+ * - Shows whether two-factor authentication is enabled or required for the account.
+ * - Walks the user through enrollment with an authenticator app.
+ * - Shows one-time recovery codes after enrollment or regeneration.
+ * - Allows the user to disable two-factor authentication (unless their role requires it).
+ *
+ * Features:
+ * - Displays the secret key and an `otpauth://` link for authenticator apps.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for UI rendering.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires PagesNavLayout - Layout wrapper including sidebar and top navbar.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import PagesNavLayout from "../layouts/PagesNavLayout";
+
+const API_URL = `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/auth/2fa`;
+
+/**
+ * AccountSecurity Component
+ * -------------------------
+ * - Displays the signed-in user's two-factor settings and the actions available.
+ *
+ * @component
+ * @returns {JSX.Element} - The account security UI component.
+ */
+const AccountSecurity = () => {
+  const [status, setStatus] = useState(null); // **Two-factor status of the account**
+  const [setupInfo, setSetupInfo] = useState(null); // **Secret and URI during enrollment**
+  const [code, setCode] = useState(""); // **Authenticator code input**
+  const [password, setPassword] = useState(""); // **Password input for disabling**
+  const [recoveryCodes, setRecoveryCodes] = useState([]); // **Codes shown once**
+
+  const headers = { Authorization: `Bearer ${localStorage.getItem("token")}` };
+
+  /**
+   * Fetches the two-factor status of the signed-in account.
+   */
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get(API_URL, { headers });
+      setStatus(response.data);
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  /**
+   * Starts enrollment and shows the secret for the authenticator app.
+   */
+  const handleStartSetup = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/setup`, {}, { headers });
+      setSetupInfo(response.data);
+      setRecoveryCodes([]);
+      setCode("");
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "⚠ Could not start enrollment."
+      );
+    }
+  };
+
+  /**
+   * Confirms enrollment with the first code from the authenticator app.
+   */
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(
+        `${API_URL}/enable`,
+        { code },
+        { headers }
+      );
+      toast.success("Two-factor authentication enabled.", { autoClose: 2000 });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetupInfo(null);
+      setCode("");
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "⚠ Invalid code.");
+    }
+  };
+
+  /**
+   * Replaces the recovery codes (requires a current authenticator code).
+   */
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(
+        `${API_URL}/recovery-codes`,
+        { code },
+        { headers }
+      );
+      toast.success("New recovery codes generated.", { autoClose: 2000 });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setCode("");
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "⚠ Invalid code.");
+    }
+  };
+
+  /**
+   * Disables two-factor authentication after confirming the password.
+   */
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    if (!window.confirm("Disable two-factor authentication?")) return;
+
+    try {
+      await axios.post(`${API_URL}/disable`, { password }, { headers });
+      toast.success("Two-factor authentication disabled.", {
+        autoClose: 2000,
+      });
+      setPassword("");
+      setRecoveryCodes([]);
+      fetchStatus();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "⚠ Could not disable two-factor."
+      );
+    }
+  };
+
+  return (
+    <PagesNavLayout>
+      <ToastContainer />
+      <div className="bg-white p-6 rounded-lg shadow-md space-y-6 max-w-2xl">
+        {!status ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : (
+          <>
+            {/* Status */}
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-800">
+                  Two-Factor Authentication
+                </h2>
+                <p className="text-sm text-gray-500">
+                  {status.enabled
+                    ? `Enabled on ${new Date(
+                        status.enabledAt
+                      ).toLocaleDateString()} · ${
+                        status.recoveryCodesRemaining
+                      } recovery code(s) left`
+                    : status.required
+                    ? "Required for your role. You will be asked to enroll at your next sign-in."
+                    : "Add a second step to your sign-in with an authenticator app."}
+                </p>
+              </div>
+              <span
+                className={`px-2 py-1 text-xs rounded-md ${
+                  status.enabled
+                    ? "bg-green-100 text-green-700"
+                    : "bg-gray-200 text-gray-600"
+                }`}
+              >
+                {status.enabled ? "Enabled" : "Disabled"}
+              </span>
+            </div>
+
+            {/* Enrollment */}
+            {!status.enabled && !setupInfo && (
+              <button
+                onClick={handleStartSetup}
+                className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition"
+              >
+                Set Up Two-Factor
+              </button>
+            )}
+
+            {!status.enabled && setupInfo && (
+              <form onSubmit={handleEnable} className="space-y-3 text-sm">
+                <p className="text-gray-700">
+                  Add this account to an authenticator app using the key below,
+                  then enter the 6-digit code it shows.
+                </p>
+                <p className="font-mono bg-gray-100 p-2 rounded-md break-all">
+                  {setupInfo.secret}
+                </p>
+                <a
+                  href={setupInfo.otpauthUrl}
+                  className="block text-blue-600 hover:underline"
+                >
+                  Open in authenticator app
+                </a>
+                <input
+                  type="text"
+                  value={code}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  placeholder="123456"
+                  onChange={(e) => setCode(e.target.value)}
+                  className="w-full p-2 border rounded-md text-gray-700 shadow-sm"
+                />
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition"
+                >
+                  Enable
+                </button>
+              </form>
+            )}
+
+            {/* Recovery Codes & Disable */}
+            {status.enabled && (
+              <>
+                <form onSubmit={handleRegenerate} className="space-y-3 text-sm">
+                  <label className="text-gray-600 font-medium">
+                    Regenerate recovery codes
+                  </label>
+                  <div className="flex space-x-3">
+                    <input
+                      type="text"
+                      value={code}
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      placeholder="Authenticator code"
+                      onChange={(e) => setCode(e.target.value)}
+                      className="flex-1 p-2 border rounded-md text-gray-700 shadow-sm"
+                    />
+                    <button
+                      type="submit"
+                      className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition"
+                    >
+                      Regenerate
+                    </button>
+                  </div>
+                </form>
+
+                {!status.required && (
+                  <form onSubmit={handleDisable} className="space-y-3 text-sm">
+                    <label className="text-gray-600 font-medium">
+                      Disable two-factor authentication
+                    </label>
+                    <div className="flex space-x-3">
+                      <input
+                        type="password"
+                        value={password}
+                        placeholder="Current password"
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="flex-1 p-2 border rounded-md text-gray-700 shadow-sm"
+                      />
+                      <button
+                        type="submit"
+                        className="px-4 py-2 bg-gray-100 text-red-600 rounded-md hover:bg-red-100 transition"
+                      >
+                        Disable
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </>
+            )}
+
+            {/* Recovery codes are only shown once */}
+            {recoveryCodes.length > 0 && (
+              <div className="space-y-2 text-sm">
+                <p className="text-gray-700">
+                  Save these recovery codes somewhere safe. Each code can be
+                  used once if you lose access to your authenticator app.
+                </p>
+                <ul className="grid grid-cols-2 gap-2 font-mono bg-gray-100 p-3 rounded-md">
+                  {recoveryCodes.map((recovery) => (
+                    <li key={recovery}>{recovery}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </PagesNavLayout>
+  );
+};
+
+export default AccountSecurity;
@@ -12,19 +12,33 @@
  * - Uses `PagesNavLayout` to maintain a consistent sidebar and navbar layout.
  * - Fetches and renders system statistics via `DashboardStats`.
  * - Displays recent user activities using `DashboardActivities`.
+ * - Lists inmates due for release soon with `DashboardReleases`.
+ * - Lists inmates due for a custody review with `DashboardClassificationReviews`.
+ * - Alerts staff to grievances past their response deadline with `DashboardGrievances`.
+ * - Shows medical staff the clinic schedule with `DashboardMedicalAppointments`.
  * - Presents analytical data visualizations with `DashboardAnalytics`.
  *
  * @requires react - React library for UI rendering.
  * @requires PagesNavLayout - Layout component for consistent page structure.
  * @requires DashboardStats - Component displaying key prison statistics.
  * @requires DashboardActivities - Component listing recent activities.
+ * @requires DashboardReleases - Component listing upcoming releases.
+ * @requires DashboardClassificationReviews - Component listing classification reviews due.
+ * @requires DashboardGrievances - Component listing overdue grievances.
+ * @requires DashboardMedicalAppointments - Component listing upcoming medical appointments.
  * @requires DashboardAnalytics - Component displaying analytical charts.
+ * @requires authService - Checks the signed-in user's permissions.
  */
 import React from "react";
 import PagesNavLayout from "../layouts/PagesNavLayout";
 import DashboardStats from "../components/DashboardStats";
 import DashboardActivities from "../components/DashboardActivities";
+import DashboardReleases from "../components/DashboardReleases";
+import DashboardClassificationReviews from "../components/DashboardClassificationReviews";
+import DashboardGrievances from "../components/DashboardGrievances";
+import DashboardMedicalAppointments from "../components/DashboardMedicalAppointments";
 import DashboardAnalytics from "../components/DashboardAnalytics";
+import { hasPermission } from "../services/authService";
 
 /**
  * Dashboard Page Component
@@ -42,6 +56,14 @@ const Dashboard = () => {
       <DashboardStats />
       {/* Recent Activities Section */}
       <DashboardActivities />
+      {/* Upcoming Releases */}
+      <DashboardReleases />
+      {/* Classification Reviews Due */}
+      {hasPermission("inmates:view") && <DashboardClassificationReviews />}
+      {/* Overdue Grievances */}
+      {hasPermission("grievances:view") && <DashboardGrievances />}
+      {/* Clinic Schedule */}
+      {hasPermission("medical:view") && <DashboardMedicalAppointments />}
       {/* Analytics */}
       <DashboardAnalytics />
     </PagesNavLayout>
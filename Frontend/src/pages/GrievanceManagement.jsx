@@ -0,0 +1,406 @@
+/**
+ * @file GrievanceManagement.jsx
+ * @description Handles the management of inmate grievances, including filtering, filing and responding.
+ * @module pages/GrievanceManagement
+ *
+ * This component:
+ * - Fetches and displays grievances, oldest deadline first.
+ * - Provides search and filter options (inmate ID/name, status, category, assignee, overdue).
+ * - Highlights open grievances past their response deadline.
+ * - Opens a grievance to view its history, respond, reassign it or lodge an appeal.
+ * - Supports pagination for better navigation.
+ *
+ * @requires react - React library for component-based UI.
+ * @requires axios - HTTP client for making API requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires GrievanceForm - Modal component for filing grievances.
+ * @requires GrievanceDetails - Modal component showing a grievance and its history.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+
+import { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import axios from "axios";
+import { motion } from "framer-motion";
+import PagesNavLayout from "../layouts/PagesNavLayout";
+import { AiOutlineSearch } from "react-icons/ai";
+import GrievanceForm from "../components/GrievanceForm";
+import GrievanceDetails from "../components/GrievanceDetails";
+import { hasPermission } from "../services/authService";
+
+const GRIEVANCE_STATUSES = ["Filed", "Under Review", "Resolved", "Appealed"];
+const GRIEVANCE_CATEGORIES = [
+  "Medical",
+  "Food",
+  "Housing Conditions",
+  "Staff Conduct",
+  "Safety",
+  "Property",
+  "Visitation",
+  "Discrimination",
+  "Other",
+];
+
+// Badge colour of each status
+const STATUS_STYLES = {
+  Filed: "bg-yellow-100 text-yellow-700",
+  "Under Review": "bg-blue-100 text-blue-700",
+  Resolved: "bg-green-100 text-green-700",
+  Appealed: "bg-orange-100 text-orange-700",
+};
+
+/**
+ * @component GrievanceManagement
+ * @description Displays and manages inmate grievances with filtering, searching and responses.
+ *
+ * @returns {JSX.Element} - Renders the grievance management UI.
+ */
+const GrievanceManagement = () => {
+  const [searchParams] = useSearchParams();
+  const [grievances, setGrievances] = useState([]); // Holds the list of grievances
+  const [searchQuery, setSearchQuery] = useState(""); // Stores search input
+  const [statusFilter, setStatusFilter] = useState(""); // Status filter
+  const [categoryFilter, setCategoryFilter] = useState(""); // Category filter
+  const [mineOnly, setMineOnly] = useState(false); // Only grievances assigned to me
+  const [overdueOnly, setOverdueOnly] = useState(
+    searchParams.get("overdue") === "true"
+  ); // Only grievances past their deadline
+  const [loading, setLoading] = useState(true); // Indicates data loading state
+  const [showForm, setShowForm] = useState(false); // Controls the filing form visibility
+  const [selectedId, setSelectedId] = useState(null); // Grievance opened in the details modal
+  const [page, setPage] = useState(1); // Tracks current pagination page
+  const [totalPages, setTotalPages] = useState(1); // Stores the total number of pages
+  const [totalGrievances, setTotalGrievances] = useState(0); // Total count of grievances
+  const limit = 8; // Ensures only 8 records per page
+
+  /**
+   * Fetches grievances from the backend based on filters and pagination.
+   */
+  const fetchGrievances = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/grievances?search=${searchQuery}&status=${statusFilter}&category=${categoryFilter}&assignedTo=${
+          mineOnly ? "me" : ""
+        }&overdue=${overdueOnly}&page=${page}&limit=${limit}`,
+        {
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+        }
+      );
+
+      setGrievances(response.data.grievances || []);
+      setTotalPages(response.data.totalPages);
+      setTotalGrievances(response.data.totalGrievances);
+    } catch (error) {
+      console.error("Error fetching grievances:", error);
+      setGrievances([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Fetches grievances when filters, search input, or page number changes.
+   */
+  useEffect(() => {
+    fetchGrievances();
+  }, [searchQuery, statusFilter, categoryFilter, mineOnly, overdueOnly, page]);
+
+  return (
+    <PagesNavLayout>
+      <motion.div
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+        className="space-y-4"
+      >
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <h3 className="text-xl font-semibold text-gray-800">Grievances</h3>
+          {hasPermission("grievances:file") && (
+            <button
+              onClick={() => setShowForm(true)}
+              className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition"
+            >
+              + File Grievance
+            </button>
+          )}
+        </div>
+
+        {/* Search & Filters */}
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="bg-white p-4 rounded-lg shadow-md flex items-end space-x-4"
+        >
+          {/* Search */}
+          <div className="flex-1">
+            <label className="text-gray-600 text-sm font-medium">Search</label>
+            <div className="relative flex items-center">
+              <AiOutlineSearch
+                size={18}
+                className="absolute left-3 text-gray-400"
+              />
+              <input
+                type="text"
+                placeholder="Search by inmate ID or name..."
+                value={searchQuery}
+                onChange={(e) => {
+                  setSearchQuery(e.target.value);
+                  setPage(1); // Reset to first page when searching
+                }}
+                className="w-full pl-10 p-2 border rounded-md text-gray-700 shadow-sm"
+              />
+            </div>
+          </div>
+
+          {/* Status Filter */}
+          <div className="flex-1">
+            <label className="text-gray-600 text-sm font-medium">Status</label>
+            <select
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setPage(1);
+              }}
+              className="w-full p-2 border rounded-md text-gray-700 shadow-sm"
+            >
+              <option value="">All</option>
+              {GRIEVANCE_STATUSES.map((status) => (
+                <option key={status} value={status}>
+                  {status}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Category Filter */}
+          <div className="flex-1">
+            <label className="text-gray-600 text-sm font-medium">
+              Category
+            </label>
+            <select
+              value={categoryFilter}
+              onChange={(e) => {
+                setCategoryFilter(e.target.value);
+                setPage(1);
+              }}
+              className="w-full p-2 border rounded-md text-gray-700 shadow-sm"
+            >
+              <option value="">All</option>
+              {GRIEVANCE_CATEGORIES.map((category) => (
+                <option key={category} value={category}>
+                  {category}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Assigned to me & Overdue */}
+          <div className="flex flex-col space-y-1 pb-1">
+            {hasPermission("grievances:respond") && (
+              <label className="flex items-center space-x-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={mineOnly}
+                  onChange={(e) => {
+                    setMineOnly(e.target.checked);
+                    setPage(1);
+                  }}
+                />
+                <span>Assigned to me</span>
+              </label>
+            )}
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={overdueOnly}
+                onChange={(e) => {
+                  setOverdueOnly(e.target.checked);
+                  setPage(1);
+                }}
+              />
+              <span>Overdue only</span>
+            </label>
+          </div>
+        </motion.div>
+
+        {/* Grievance Table */}
+        <motion.div
+          key={page}
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.3 }}
+          className="bg-white p-6 rounded-lg shadow-md"
+        >
+          {loading ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : grievances.length === 0 ? (
+            <p className="text-gray-500 text-center">No grievances found.</p>
+          ) : (
+            <>
+              <table className="w-full border-collapse text-gray-700">
+                <thead>
+                  <tr className="bg-gray-100 text-left text-sm font-semibold">
+                    <th className="p-3">Inmate</th>
+                    <th className="p-3">Category</th>
+                    <th className="p-3">Filed</th>
+                    <th className="p-3">Due</th>
+                    <th className="p-3">Assigned To</th>
+                    <th className="p-3">Status</th>
+                    <th className="p-3">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {grievances.map((grievance, index) => (
+                    <motion.tr
+                      key={grievance._id}
+                      initial={{ opacity: 0, x: -20 }}
+                      animate={{ opacity: 1, x: 0 }}
+                      transition={{ delay: index * 0.05 }}
+                      whileHover={{
+                        backgroundColor: "#f9fafb",
+                        boxShadow: "0px 3px 8px rgba(0, 0, 0, 0.05)",
+                      }}
+                      className={`border-b border-gray-200 transition ${
+                        grievance.overdue ? "bg-red-50" : ""
+                      }`}
+                    >
+                      <td className="p-3">
+                        {grievance.inmate?.firstName || "Unknown"}{" "}
+                        {grievance.inmate?.lastName || "Inmate"}
+                        <p className="text-xs text-gray-500">
+                          {grievance.inmate?.inmateID || "N/A"}
+                        </p>
+                      </td>
+
+                      <td className="p-3">{grievance.category}</td>
+
+                      <td className="p-3">
+                        {new Date(grievance.filedAt).toLocaleDateString()}
+                      </td>
+
+                      <td className="p-3">
+                        {grievance.status === "Resolved" ? (
+                          "—"
+                        ) : (
+                          <span
+                            className={
+                              grievance.overdue
+                                ? "text-red-600 font-semibold"
+                                : ""
+                            }
+                          >
+                            {new Date(grievance.dueDate).toLocaleDateString()}
+                            {grievance.overdue && " (Overdue)"}
+                          </span>
+                        )}
+                      </td>
+
+                      <td className="p-3">
+                        {grievance.assignedTo?.username || "Unassigned"}
+                      </td>
+
+                      <td className="p-3">
+                        <span
+                          className={`px-3 py-1 text-sm font-medium rounded-full ${
+                            STATUS_STYLES[grievance.status]
+                          }`}
+                        >
+                          {grievance.status}
+                        </span>
+                      </td>
+
+                      <td className="p-3">
+                        <button
+                          onClick={() => setSelectedId(grievance._id)}
+                          className="px-3 py-1 text-blue-600 border rounded-md text-sm hover:bg-blue-50 transition"
+                        >
+                          Open
+                        </button>
+                      </td>
+                    </motion.tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {/* Pagination */}
+              <div className="mt-4 flex items-center justify-between">
+                <p className="text-gray-500 text-sm">
+                  Showing {(page - 1) * limit + 1} to{" "}
+                  {Math.min(page * limit, totalGrievances)} of {totalGrievances}{" "}
+                  entries
+                </p>
+
+                <div className="flex items-center space-x-2">
+                  {/* Previous Button */}
+                  <button
+                    disabled={page === 1}
+                    onClick={() => setPage(page - 1)}
+                    className={`px-3 py-1 text-sm font-semibold rounded-md transition ${
+                      page === 1
+                        ? "bg-gray-300 cursor-not-allowed"
+                        : "bg-gray-100 hover:bg-gray-200"
+                    }`}
+                  >
+                    Previous
+                  </button>
+
+                  {/* Page Numbers */}
+                  {[...Array(totalPages)].map((_, index) => (
+                    <button
+                      key={index}
+                      onClick={() => setPage(index + 1)}
+                      className={`px-3 py-1 text-sm font-semibold rounded-md transition ${
+                        page === index + 1
+                          ? "bg-blue-600 text-white"
+                          : "bg-gray-100 hover:bg-gray-200"
+                      }`}
+                    >
+                      {index + 1}
+                    </button>
+                  ))}
+
+                  {/* Next Button */}
+                  <button
+                    disabled={page === totalPages}
+                    onClick={() => setPage(page + 1)}
+                    className={`px-3 py-1 text-sm font-semibold rounded-md transition ${
+                      page === totalPages
+                        ? "bg-gray-300 cursor-not-allowed"
+                        : "bg-gray-100 hover:bg-gray-200"
+                    }`}
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </motion.div>
+      </motion.div>
+
+      {/* Grievance Filing Form Modal */}
+      {showForm && (
+        <GrievanceForm
+          onClose={() => setShowForm(false)}
+          onFormSuccess={fetchGrievances}
+        />
+      )}
+
+      {/* Grievance Details Modal */}
+      {selectedId && (
+        <GrievanceDetails
+          grievanceId={selectedId}
+          onClose={() => setSelectedId(null)}
+          onFormSuccess={fetchGrievances}
+        />
+      )}
+    </PagesNavLayout>
+  );
+};
+
+export default GrievanceManagement;
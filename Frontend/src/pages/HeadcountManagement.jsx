@@ -0,0 +1,472 @@
+/**
+ * @file HeadcountManagement.jsx
+ * @description Handles block headcounts, including starting counts and reviewing the count history.
+ * @module pages/HeadcountManagement
+ *
+ * This component:
+ * - Starts a count for a housing block from its current housing assignments.
+ * - Fetches and displays the count history, newest first.
+ * - Provides filter options (block, status, discrepancies only).
+ * - Highlights counts with inmates not accounted for.
+ * - Opens a count to mark inmates, complete it or download its count sheet.
+ * - Supports pagination for better navigation.
+ *
+ * @requires react - React library for component-based UI.
+ * @requires axios - HTTP client for making API requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires HeadcountSheet - Modal component for conducting and reviewing a count.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+
+import { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import axios from "axios";
+import { motion } from "framer-motion";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import PagesNavLayout from "../layouts/PagesNavLayout";
+import HeadcountSheet from "../components/HeadcountSheet";
+import { hasPermission } from "../services/authService";
+
+const COUNT_TYPES = ["Morning", "Midday", "Evening", "Night", "Emergency"];
+const HEADCOUNT_STATUSES = ["In Progress", "Completed"];
+
+/**
+ * Returns the badge label and colour of a count.
+ *
+ * @param {Object} headcount - Count from the history.
+ * @returns {{label: String, style: String}} - Badge label and classes.
+ */
+const getStatusBadge = (headcount) => {
+  if (headcount.discrepancy) {
+    return { label: "Discrepancy", style: "bg-red-100 text-red-700" };
+  }
+  if (headcount.status === "In Progress") {
+    return { label: "In Progress", style: "bg-yellow-100 text-yellow-700" };
+  }
+  return { label: "Cleared", style: "bg-green-100 text-green-700" };
+};
+
+/**
+ * @component HeadcountManagement
+ * @description Displays block headcounts and starts new counts.
+ *
+ * @returns {JSX.Element} - Renders the headcount management UI.
+ */
+const HeadcountManagement = () => {
+  const [searchParams] = useSearchParams();
+  const [headcounts, setHeadcounts] = useState([]); // Holds the count history
+  const [blocks, setBlocks] = useState([]); // Housing blocks to count
+  const [blockId, setBlockId] = useState(""); // Block selected for a new count
+  const [countType, setCountType] = useState(COUNT_TYPES[0]); // Type of the new count
+  const [starting, setStarting] = useState(false); // Prevents starting a count twice
+  const [blockFilter, setBlockFilter] = useState(""); // Block filter
+  const [statusFilter, setStatusFilter] = useState(""); // Status filter
+  const [discrepancyOnly, setDiscrepancyOnly] = useState(
+    searchParams.get("discrepancy") === "true"
+  ); // Only counts with inmates not accounted for
+  const [loading, setLoading] = useState(true); // Indicates data loading state
+  const [selectedId, setSelectedId] = useState(null); // Count opened in the sheet modal
+  const [page, setPage] = useState(1); // Tracks current pagination page
+  const [totalPages, setTotalPages] = useState(1); // Stores the total number of pages
+  const [totalHeadcounts, setTotalHeadcounts] = useState(0); // Total count of headcounts
+  const limit = 8; // Ensures only 8 records per page
+
+  const headers = {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  };
+
+  /**
+   * Fetches the count history based on filters and pagination.
+   */
+  const fetchHeadcounts = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/headcounts?block=${blockFilter}&status=${statusFilter}&discrepancy=${discrepancyOnly}&page=${page}&limit=${limit}`,
+        { headers }
+      );
+
+      setHeadcounts(response.data.headcounts || []);
+      setTotalPages(response.data.totalPages);
+      setTotalHeadcounts(response.data.totalHeadcounts);
+    } catch (error) {
+      console.error("Error fetching headcounts:", error);
+      setHeadcounts([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Fetches the housing blocks for the start and filter controls.
+   */
+  const fetchBlocks = async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/housing/blocks`,
+        { headers }
+      );
+      setBlocks(response.data);
+    } catch (error) {
+      console.error("Error fetching blocks:", error);
+    }
+  };
+
+  /**
+   * Starts a count for the selected block and opens its count sheet.
+   */
+  const handleStart = async () => {
+    if (!blockId) {
+      toast.error("⚠ Please select a block.", { position: "top-right" });
+      return;
+    }
+
+    try {
+      setStarting(true);
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/headcounts`,
+        { blockId, countType },
+        { headers }
+      );
+      toast.success(response.data.message, { position: "top-right" });
+      setSelectedId(response.data.headcount._id);
+      fetchHeadcounts();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message ||
+          "⚠ Error processing request. Try again.",
+        { position: "top-right" }
+      );
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  /**
+   * Downloads the count sheet of a count as a PDF.
+   *
+   * @param {Object} headcount - Count from the history.
+   */
+  const downloadSheet = async (headcount) => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/headcounts/${
+          headcount._id
+        }/sheet`,
+        {
+          headers,
+          responseType: "blob", // Ensures response is treated as a file
+        }
+      );
+
+      const pdfUrl = URL.createObjectURL(
+        new Blob([response.data], { type: "application/pdf" })
+      );
+      const link = document.createElement("a");
+      link.href = pdfUrl;
+      link.download = `headcount_${headcount.blockName.split(" ")[0]}_${
+        headcount.countType
+      }.pdf`;
+      link.click();
+      URL.revokeObjectURL(pdfUrl);
+    } catch (error) {
+      console.error("Error downloading count sheet:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchBlocks();
+  }, []);
+
+  /**
+   * Fetches the count history when filters or page number change.
+   */
+  useEffect(() => {
+    fetchHeadcounts();
+  }, [blockFilter, statusFilter, discrepancyOnly, page]);
+
+  return (
+    <PagesNavLayout>
+      <ToastContainer />
+      <motion.div
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+        className="space-y-4"
+      >
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <h3 className="text-xl font-semibold text-gray-800">Headcounts</h3>
+          {hasPermission("headcounts:conduct") && (
+            <div className="flex items-center space-x-2">
+              <select
+                value={blockId}
+                onChange={(e) => setBlockId(e.target.value)}
+                className="p-2 border rounded-md text-gray-700 shadow-sm"
+              >
+                <option value="">Select block</option>
+                {blocks
+                  .filter((block) => block.isActive)
+                  .map((block) => (
+                    <option key={block._id} value={block._id}>
+                      {block.code} - {block.name}
+                    </option>
+                  ))}
+              </select>
+              <select
+                value={countType}
+                onChange={(e) => setCountType(e.target.value)}
+                className="p-2 border rounded-md text-gray-700 shadow-sm"
+              >
+                {COUNT_TYPES.map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleStart}
+                disabled={starting}
+                className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition disabled:bg-gray-300"
+              >
+                {starting ? "Starting..." : "+ Start Count"}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Filters */}
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="bg-white p-4 rounded-lg shadow-md flex items-end space-x-4"
+        >
+          {/* Block Filter */}
+          <div className="flex-1">
+            <label className="text-gray-600 text-sm font-medium">Block</label>
+            <select
+              value={blockFilter}
+              onChange={(e) => {
+                setBlockFilter(e.target.value);
+                setPage(1);
+              }}
+              className="w-full p-2 border rounded-md text-gray-700 shadow-sm"
+            >
+              <option value="">All</option>
+              {blocks.map((block) => (
+                <option key={block._id} value={block._id}>
+                  {block.code} - {block.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Status Filter */}
+          <div className="flex-1">
+            <label className="text-gray-600 text-sm font-medium">Status</label>
+            <select
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setPage(1);
+              }}
+              className="w-full p-2 border rounded-md text-gray-700 shadow-sm"
+            >
+              <option value="">All</option>
+              {HEADCOUNT_STATUSES.map((status) => (
+                <option key={status} value={status}>
+                  {status}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Discrepancies */}
+          <div className="flex flex-col space-y-1 pb-2">
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={discrepancyOnly}
+                onChange={(e) => {
+                  setDiscrepancyOnly(e.target.checked);
+                  setPage(1);
+                }}
+              />
+              <span>Discrepancies only</span>
+            </label>
+          </div>
+        </motion.div>
+
+        {/* Count History Table */}
+        <motion.div
+          key={page}
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.3 }}
+          className="bg-white p-6 rounded-lg shadow-md"
+        >
+          {loading ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : headcounts.length === 0 ? (
+            <p className="text-gray-500 text-center">No headcounts found.</p>
+          ) : (
+            <>
+              <table className="w-full border-collapse text-gray-700">
+                <thead>
+                  <tr className="bg-gray-100 text-left text-sm font-semibold">
+                    <th className="p-3">Block</th>
+                    <th className="p-3">Count</th>
+                    <th className="p-3">Started</th>
+                    <th className="p-3">Present</th>
+                    <th className="p-3">Out</th>
+                    <th className="p-3">Absent</th>
+                    <th className="p-3">Status</th>
+                    <th className="p-3">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {headcounts.map((headcount, index) => {
+                    const badge = getStatusBadge(headcount);
+                    return (
+                      <motion.tr
+                        key={headcount._id}
+                        initial={{ opacity: 0, x: -20 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        transition={{ delay: index * 0.05 }}
+                        whileHover={{
+                          backgroundColor: "#f9fafb",
+                          boxShadow: "0px 3px 8px rgba(0, 0, 0, 0.05)",
+                        }}
+                        className={`border-b border-gray-200 transition ${
+                          headcount.discrepancy ? "bg-red-50" : ""
+                        }`}
+                      >
+                        <td className="p-3">{headcount.blockName}</td>
+
+                        <td className="p-3">{headcount.countType}</td>
+
+                        <td className="p-3">
+                          {new Date(headcount.startedAt).toLocaleString()}
+                          <p className="text-xs text-gray-500">
+                            {headcount.startedBy?.username || "Unknown"}
+                          </p>
+                        </td>
+
+                        <td className="p-3">
+                          {headcount.tally.present} / {headcount.tally.expected}
+                        </td>
+
+                        <td className="p-3">{headcount.tally.out}</td>
+
+                        <td
+                          className={`p-3 ${
+                            headcount.tally.absent > 0
+                              ? "text-red-600 font-semibold"
+                              : ""
+                          }`}
+                        >
+                          {headcount.tally.absent}
+                        </td>
+
+                        <td className="p-3">
+                          <span
+                            className={`px-3 py-1 text-sm font-medium rounded-full ${badge.style}`}
+                          >
+                            {badge.label}
+                          </span>
+                        </td>
+
+                        <td className="p-3 space-x-2 whitespace-nowrap">
+                          <button
+                            onClick={() => setSelectedId(headcount._id)}
+                            className="px-3 py-1 text-blue-600 border rounded-md text-sm hover:bg-blue-50 transition"
+                          >
+                            Open
+                          </button>
+                          <button
+                            onClick={() => downloadSheet(headcount)}
+                            className="px-3 py-1 text-gray-600 border rounded-md text-sm hover:bg-gray-50 transition"
+                          >
+                            Sheet
+                          </button>
+                        </td>
+                      </motion.tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {/* Pagination */}
+              <div className="mt-4 flex items-center justify-between">
+                <p className="text-gray-500 text-sm">
+                  Showing {(page - 1) * limit + 1} to{" "}
+                  {Math.min(page * limit, totalHeadcounts)} of {totalHeadcounts}{" "}
+                  entries
+                </p>
+
+                <div className="flex items-center space-x-2">
+                  {/* Previous Button */}
+                  <button
+                    disabled={page === 1}
+                    onClick={() => setPage(page - 1)}
+                    className={`px-3 py-1 text-sm font-semibold rounded-md transition ${
+                      page === 1
+                        ? "bg-gray-300 cursor-not-allowed"
+                        : "bg-gray-100 hover:bg-gray-200"
+                    }`}
+                  >
+                    Previous
+                  </button>
+
+                  {/* Page Numbers */}
+                  {[...Array(totalPages)].map((_, index) => (
+                    <button
+                      key={index}
+                      onClick={() => setPage(index + 1)}
+                      className={`px-3 py-1 text-sm font-semibold rounded-md transition ${
+                        page === index + 1
+                          ? "bg-blue-600 text-white"
+                          : "bg-gray-100 hover:bg-gray-200"
+                      }`}
+                    >
+                      {index + 1}
+                    </button>
+                  ))}
+
+                  {/* Next Button */}
+                  <button
+                    disabled={page === totalPages}
+                    onClick={() => setPage(page + 1)}
+                    className={`px-3 py-1 text-sm font-semibold rounded-md transition ${
+                      page === totalPages
+                        ? "bg-gray-300 cursor-not-allowed"
+                        : "bg-gray-100 hover:bg-gray-200"
+                    }`}
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </motion.div>
+      </motion.div>
+
+      {/* Count Sheet Modal */}
+      {selectedId && (
+        <HeadcountSheet
+          headcountId={selectedId}
+          onClose={() => setSelectedId(null)}
+          onFormSuccess={fetchHeadcounts}
+        />
+      )}
+    </PagesNavLayout>
+  );
+};
+
+export default HeadcountManagement;
@@ -0,0 +1,285 @@
+/**
+ * @file HousingMap.js
+ * @description Shows how full each housing block and cell is.
+ * @module pages/HousingMap
+ *
+ * This component:
+ * - Displays facility-wide bed capacity, occupied beds and free beds.
+ * - Displays each block with its occupancy rate and a map of its cells.
+ * - Lists the inmates (and their beds) in a selected cell.
+ * - Allows users with the `housing:manage` permission to add facilities, blocks and cells.
+ *
+ * Features:
+ * - Filters the map by facility.
+ * - Colors cells by occupancy (free, partly occupied, full, out of use).
+ * - Uses a modal `HousingForm` for adding housing records.
+ *
+ * @requires react - React library for UI rendering.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-router-dom - Links occupants to their inmate profiles.
+ * @requires PagesNavLayout - Layout wrapper including sidebar and top navbar.
+ * @requires HousingForm - Component for adding facilities, blocks and cells.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { Link } from "react-router-dom";
+import PagesNavLayout from "../layouts/PagesNavLayout";
+import HousingForm from "../components/HousingForm";
+import { hasPermission } from "../services/authService";
+
+const API_URL = `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/housing`;
+
+/**
+ * HousingMap Component
+ * --------------------
+ * - Displays block and cell occupancy for the housing map.
+ *
+ * @component
+ * @returns {JSX.Element} - The housing map UI component.
+ */
+const HousingMap = () => {
+  const [facilities, setFacilities] = useState([]); // **Facilities for the filter**
+  const [blocks, setBlocks] = useState([]); // **Blocks for the cell form**
+  const [facilityFilter, setFacilityFilter] = useState(""); // **Selected facility**
+  const [occupancy, setOccupancy] = useState({ blocks: [], totals: {} }); // **Occupancy per block**
+  const [selectedCell, setSelectedCell] = useState(null); // **Cell whose occupants are shown**
+  const [formType, setFormType] = useState(null); // **Open housing form, if any**
+  const [loading, setLoading] = useState(true); // **Indicates loading state**
+
+  const headers = { Authorization: `Bearer ${localStorage.getItem("token")}` };
+  const canManage = hasPermission("housing:manage");
+
+  /**
+   * Fetches occupancy (for the selected facility), facilities and blocks.
+   */
+  const fetchHousing = async () => {
+    try {
+      setLoading(true);
+      const [occupancyResponse, facilitiesResponse, blocksResponse] =
+        await Promise.all([
+          axios.get(`${API_URL}/occupancy?facility=${facilityFilter}`, {
+            headers,
+          }),
+          axios.get(`${API_URL}/facilities`, { headers }),
+          axios.get(`${API_URL}/blocks`, { headers }),
+        ]);
+      setOccupancy(occupancyResponse.data);
+      setFacilities(facilitiesResponse.data);
+      setBlocks(blocksResponse.data);
+      setSelectedCell(null);
+      setLoading(false);
+    } catch (error) {
+      console.error("Error fetching housing:", error);
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Refetches the map whenever the facility filter changes.
+   */
+  useEffect(() => {
+    fetchHousing();
+  }, [facilityFilter]);
+
+  const { totals } = occupancy;
+
+  return (
+    <PagesNavLayout>
+      <div className="space-y-4">
+        {/* Facility Filter & Management Buttons */}
+        <div className="flex justify-between items-center">
+          <select
+            value={facilityFilter}
+            onChange={(e) => setFacilityFilter(e.target.value)}
+            className="p-2 border rounded-md text-gray-700 shadow-sm bg-white"
+          >
+            <option value="">All Facilities</option>
+            {facilities.map((facility) => (
+              <option key={facility._id} value={facility._id}>
+                {facility.name}
+              </option>
+            ))}
+          </select>
+
+          {canManage && (
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setFormType("facility")}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition"
+              >
+                + Facility
+              </button>
+              <button
+                onClick={() => setFormType("block")}
+                disabled={facilities.length === 0}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition disabled:opacity-50"
+              >
+                + Block
+              </button>
+              <button
+                onClick={() => setFormType("cell")}
+                disabled={blocks.length === 0}
+                className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                + Cell
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Capacity Summary */}
+        <div className="grid grid-cols-3 gap-4">
+          <SummaryCard label="Total Beds" value={totals.capacity} />
+          <SummaryCard label="Occupied" value={totals.occupied} />
+          <SummaryCard label="Available" value={totals.available} />
+        </div>
+
+        <div className="flex space-x-4 items-start">
+          {/* Block Map */}
+          <div className="flex-1 space-y-4">
+            {loading ? (
+              <p className="text-gray-500">Loading...</p>
+            ) : occupancy.blocks.length === 0 ? (
+              <p className="text-gray-500 text-center bg-white p-6 rounded-lg shadow-md">
+                No housing blocks found.
+              </p>
+            ) : (
+              occupancy.blocks.map((block) => (
+                <div
+                  key={block._id}
+                  className="bg-white p-4 rounded-lg shadow-md space-y-3"
+                >
+                  <div className="flex justify-between items-center">
+                    <div>
+                      <h3 className="font-semibold text-gray-800">
+                        Block {block.code} · {block.name}
+                      </h3>
+                      <p className="text-sm text-gray-500">
+                        {block.facility?.name} · {block.securityLevel} security
+                      </p>
+                    </div>
+                    <span className="text-sm text-gray-700">
+                      {block.occupied}/{block.capacity} beds (
+                      {block.occupancyRate}%)
+                    </span>
+                  </div>
+
+                  {/* Occupancy Bar */}
+                  <div className="w-full h-2 bg-gray-200 rounded-full">
+                    <div
+                      className={`h-2 rounded-full ${
+                        block.occupancyRate >= 100
+                          ? "bg-red-500"
+                          : block.occupancyRate >= 80
+                          ? "bg-yellow-500"
+                          : "bg-green-500"
+                      }`}
+                      style={{
+                        width: `${Math.min(block.occupancyRate, 100)}%`,
+                      }}
+                    />
+                  </div>
+
+                  {/* Cell Grid */}
+                  <div className="grid grid-cols-6 gap-2">
+                    {block.cells.map((cell) => (
+                      <button
+                        key={cell._id}
+                        onClick={() => setSelectedCell(cell)}
+                        className={`p-2 rounded-md text-xs text-left border ${getCellColor(
+                          cell
+                        )} ${
+                          selectedCell?._id === cell._id
+                            ? "ring-2 ring-blue-500"
+                            : ""
+                        }`}
+                      >
+                        <span className="block font-semibold">
+                          {cell.label}
+                        </span>
+                        {cell.isActive
+                          ? `${cell.occupied}/${cell.capacity} beds`
+                          : "Out of use"}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+
+          {/* Selected Cell Occupants */}
+          {selectedCell && (
+            <div className="w-72 bg-white p-4 rounded-lg shadow-md space-y-2">
+              <h3 className="font-semibold text-gray-800">
+                Cell {selectedCell.label}
+              </h3>
+              <p className="text-sm text-gray-500">
+                {selectedCell.securityLevel} security · {selectedCell.occupied}/
+                {selectedCell.capacity} beds
+              </p>
+              {selectedCell.occupants.length === 0 ? (
+                <p className="text-sm text-gray-500">No inmates assigned.</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {selectedCell.occupants.map((occupant) => (
+                    <li key={occupant._id} className="flex justify-between">
+                      <Link
+                        to={`/inmates/view/${occupant._id}`}
+                        className="text-blue-600 hover:underline"
+                      >
+                        {occupant.firstName} {occupant.lastName}
+                      </Link>
+                      <span className="text-gray-500">Bed {occupant.bed}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Show HousingForm modal when needed */}
+      {formType && (
+        <HousingForm
+          type={formType}
+          facilities={facilities}
+          blocks={blocks}
+          onClose={() => setFormType(null)}
+          onFormSuccess={fetchHousing}
+        />
+      )}
+    </PagesNavLayout>
+  );
+};
+
+/**
+ * SummaryCard Component
+ * ---------------------
+ * - Displays one capacity figure.
+ *
+ * @component
+ * @param {String} label - Figure label.
+ * @param {Number} value - Figure value.
+ * @returns {JSX.Element} - The summary card.
+ */
+const SummaryCard = ({ label, value }) => (
+  <div className="bg-white p-4 rounded-lg shadow-md">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className="text-2xl font-semibold text-gray-800">{value ?? 0}</p>
+  </div>
+);
+
+// Helper Function: Tile color for a cell's occupancy
+const getCellColor = (cell) => {
+  if (!cell.isActive) return "bg-gray-100 text-gray-500 border-gray-200";
+  if (cell.occupied >= cell.capacity)
+    return "bg-red-100 text-red-700 border-red-200";
+  if (cell.occupied > 0)
+    return "bg-yellow-100 text-yellow-700 border-yellow-200";
+  return "bg-green-100 text-green-700 border-green-200";
+};
+
+export default HousingMap;
@@ -1,11 +1,13 @@
 /**
  * @file LoginPage.js
- * @description Login page for Warden/Admin authentication in the PrisonSphere system.
+ * @description Login page for staff authentication in the PrisonSphere system.
  * @module pages/LoginPage
  *
  * This component:
- * - Provides a login interface for Warden/Admin users.
+ * - Provides a login interface for staff users.
  * - Handles user authentication using `loginUser` API.
+ * - Asks for a two-factor code (or recovery code) when the account uses two-factor authentication.
+ * - Walks users through required two-factor enrollment and shows their recovery codes once.
  * - Stores authentication tokens and roles in local storage upon successful login.
  *
  * Features:
@@ -24,15 +26,20 @@ import React, { useState } from "react";
 import { motion } from "framer-motion";
 import logo from "../assets/images/logoBlue.png";
 import Navbar from "../components/Navbar";
-import { loginUser } from "../services/authService";
+import {
+  loginUser,
+  verifyTwoFactor,
+  startTwoFactorSetup,
+  storeAuth,
+} from "../services/authService";
 import { useNavigate } from "react-router-dom";
 import { FaEye, FaEyeSlash } from "react-icons/fa";
 
 /**
  * LoginPage Component
  * -------------------
- * - Provides login functionality for PrisonSphere Warden/Admin users.
- * - Handles user authentication and redirection upon successful login.
+ * - Provides login functionality for PrisonSphere staff users.
+ * - Handles the password step, the two-factor step and redirection upon successful login.
  *
  * @component
  * @returns {JSX.Element} - The Login Page UI component.
@@ -43,14 +50,21 @@ const LoginPage = () => {
   const [password, setPassword] = useState(""); // State for password
   const [showPassword, setShowPassword] = useState(false); // State for visibility
   const [error, setError] = useState(""); // State for error rendering
+  const [step, setStep] = useState("credentials"); // credentials | verify | setup | recoveryCodes
+  const [challengeToken, setChallengeToken] = useState(""); // Issued after the password step
+  const [code, setCode] = useState(""); // TOTP or recovery code
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false); // Toggle recovery code entry
+  const [setupInfo, setSetupInfo] = useState(null); // Secret and URI for required enrollment
+  const [recoveryCodes, setRecoveryCodes] = useState([]); // Shown once after enrollment
   const navigate = useNavigate(); //redirect after login
 
   /**
    * Handles form submission for user login.
    * - Prevents default form submission.
    * - Calls `loginUser` API to authenticate the user.
-   * - Stores authentication tokens and user roles in local storage.
-   * - Redirects the user to the dashboard upon successful login.
+   * - Moves to the two-factor step when the account requires it.
+   * - Otherwise stores authentication tokens, user roles and permissions and
+   *   redirects the user to the dashboard.
    * - Displays an error message if authentication fails.
    *
    * @param {Object} e - The form submit event.
@@ -61,14 +75,67 @@ const LoginPage = () => {
 
     try {
       const data = await loginUser(username, password);
-      localStorage.setItem("token", data.token); // Store JWT
-      localStorage.setItem("role", data.role); // Store role
+
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        setCode("");
+        if (data.setupRequired) {
+          setSetupInfo(await startTwoFactorSetup(data.challengeToken));
+          setStep("setup");
+        } else {
+          setStep("verify");
+        }
+        return;
+      }
+
+      storeAuth(data); // Store JWT, role and permissions
       navigate("/dashboard"); // Redirect after login
     } catch (errMsg) {
       setError(errMsg);
     }
   };
 
+  /**
+   * Handles the two-factor step.
+   * - Sends the TOTP code (or recovery code) with the challenge token.
+   * - Shows the recovery codes once if this login completed enrollment.
+   *
+   * @param {Object} e - The form submit event.
+   */
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      const data = await verifyTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      );
+      storeAuth(data);
+
+      if (data.recoveryCodes) {
+        setRecoveryCodes(data.recoveryCodes);
+        setStep("recoveryCodes");
+        return;
+      }
+      navigate("/dashboard");
+    } catch (errMsg) {
+      setError(errMsg);
+    }
+  };
+
+  /**
+   * Returns to the username/password form (e.g., after the challenge expired).
+   */
+  const handleBackToLogin = () => {
+    setStep("credentials");
+    setChallengeToken("");
+    setCode("");
+    setUseRecoveryCode(false);
+    setSetupInfo(null);
+    setError("");
+  };
+
   return (
     <>
       <div className="h-screen flex items-center justify-center bg-gradient-to-b from-blue-200 to-blue-500 ">
@@ -87,55 +154,150 @@ const LoginPage = () => {
             <div className="flex flex-col items-center">
               <img src={logo} alt="Prisonsphere Logo" className="w-10 h-10" />
               <h2 className="text-xl font-semibold text-gray-800">
-                Warden/Admin
+                {step === "credentials"
+                  ? "Staff Sign In"
+                  : "Two-Factor Authentication"}
               </h2>
             </div>
 
             {/* Display Error Message */}
             {error && <p className="text-red-600 text-center mt-2">{error}</p>}
 
-            <form onSubmit={handleSubmit} className="mt-6">
-              {/* username input field */}
-              <div>
-                <label htmlFor="username" className="block text-gray-700">
-                  Username
+            {/* Username & Password Form */}
+            {step === "credentials" && (
+              <form onSubmit={handleSubmit} className="mt-6">
+                {/* username input field */}
+                <div>
+                  <label htmlFor="username" className="block text-gray-700">
+                    Username
+                  </label>
+                  <input
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400"
+                  />
+                </div>
+
+                {/* password input field with Visibility */}
+                <div className="mt-4 relative">
+                  <label className="block text-gray-700">Password</label>
+                  <input
+                    type={showPassword ? "text" : "password"} //  Toggle input type
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400"
+                  />
+                  {/* Toggle Button */}
+                  <button
+                    type="button"
+                    className="absolute right-3 top-9 text-gray-600 hover:text-gray-800"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? <FaEyeSlash /> : <FaEye />}
+                  </button>
+                </div>
+
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  type="submit"
+                  className="mt-6 w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition"
+                >
+                  Sign In
+                </motion.button>
+              </form>
+            )}
+
+            {/* Required Enrollment: Authenticator Setup */}
+            {step === "setup" && setupInfo && (
+              <div className="mt-6 space-y-3 text-sm text-gray-700">
+                <p>
+                  Your role requires two-factor authentication. Add this account
+                  to an authenticator app using the key below, then enter the
+                  6-digit code it shows.
+                </p>
+                <p className="font-mono text-center bg-gray-100 p-2 rounded-md break-all">
+                  {setupInfo.secret}
+                </p>
+                <a
+                  href={setupInfo.otpauthUrl}
+                  className="block text-center text-blue-600 hover:underline"
+                >
+                  Open in authenticator app
+                </a>
+              </div>
+            )}
+
+            {/* Two-Factor Code Form */}
+            {(step === "verify" || step === "setup") && (
+              <form onSubmit={handleVerify} className="mt-6">
+                <label className="block text-gray-700">
+                  {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
                 </label>
                 <input
                   type="text"
-                  value={username}
-                  onChange={(e) => setUsername(e.target.value)}
+                  value={code}
+                  autoComplete="one-time-code"
+                  inputMode={useRecoveryCode ? "text" : "numeric"}
+                  placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                  onChange={(e) => setCode(e.target.value)}
                   className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400"
                 />
-              </div>
 
-              {/* password input field with Visibility */}
-              <div className="mt-4 relative">
-                <label className="block text-gray-700">Password</label>
-                <input
-                  type={showPassword ? "text" : "password"} //  Toggle input type
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400"
-                />
-                {/* Toggle Button */}
+                {step === "verify" && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      setCode("");
+                    }}
+                    className="mt-2 text-sm text-blue-600 hover:underline"
+                  >
+                    {useRecoveryCode
+                      ? "Use authenticator code instead"
+                      : "Use a recovery code instead"}
+                  </button>
+                )}
+
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  type="submit"
+                  className="mt-6 w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition"
+                >
+                  Verify
+                </motion.button>
                 <button
                   type="button"
-                  className="absolute right-3 top-9 text-gray-600 hover:text-gray-800"
-                  onClick={() => setShowPassword(!showPassword)}
+                  onClick={handleBackToLogin}
+                  className="mt-3 w-full text-sm text-gray-600 hover:underline"
                 >
-                  {showPassword ? <FaEyeSlash /> : <FaEye />}
+                  Back to sign in
                 </button>
-              </div>
+              </form>
+            )}
 
-              <motion.button
-                whileHover={{ scale: 1.05 }}
-                whileTap={{ scale: 0.95 }}
-                type="submit"
-                className="mt-6 w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition"
-              >
-                Sign In
-              </motion.button>
-            </form>
+            {/* Recovery Codes (shown once after enrollment) */}
+            {step === "recoveryCodes" && (
+              <div className="mt-6 space-y-3 text-sm text-gray-700">
+                <p>
+                  Save these recovery codes somewhere safe. Each code can be
+                  used once if you lose access to your authenticator app.
+                </p>
+                <ul className="grid grid-cols-2 gap-2 font-mono bg-gray-100 p-3 rounded-md">
+                  {recoveryCodes.map((recovery) => (
+                    <li key={recovery}>{recovery}</li>
+                  ))}
+                </ul>
+                <button
+                  onClick={() => navigate("/dashboard")}
+                  className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition"
+                >
+                  Continue to Dashboard
+                </button>
+              </div>
+            )}
           </div>
         </motion.div>
       </div>
@@ -175,6 +175,10 @@ const ParoleDetails = () => {
                     : ""
                 } ${
                   parole.status === "Denied" ? "bg-red-100 text-red-700" : ""
+                } ${
+                  parole.status === "Cancelled"
+                    ? "bg-gray-100 text-gray-700"
+                    : ""
                 }`}
               >
                 {parole.status}
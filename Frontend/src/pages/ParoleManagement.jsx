@@ -174,6 +174,7 @@ const ParoleManagement = () => {
               <option value="Pending">Pending</option>
               <option value="Approved">Approved</option>
               <option value="Denied">Denied</option>
+              <option value="Cancelled">Cancelled</option>
             </select>
           </div>
         </motion.div>
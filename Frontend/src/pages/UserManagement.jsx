@@ -0,0 +1,423 @@
+/**
+ * @file UserManagement.js
+ * @description Lets wardens administer staff accounts from the browser.
+ * @module pages/UserManagement
+ *
+ * This component:
+ * - Fetches and displays all staff accounts.
+ * - Allows wardens to create accounts, assign staff roles and reset passwords.
+ * - Allows wardens to deactivate accounts that should no longer sign in.
+ * - Allows wardens to sign a user, or every user, out of all devices.
+ * - Flags accounts locked after repeated failed logins and lets wardens unlock them.
+ * - Shows which accounts use two-factor authentication and lets wardens reset it.
+ *
+ * Features:
+ * - Filters accounts by username, role and active state.
+ * - Uses a modal `UserForm` for account creation and password resets.
+ * - Displays success and error notifications using `react-toastify`.
+ *
+ * @requires react - React library for UI rendering.
+ * @requires axios - Library for making HTTP requests.
+ * @requires react-icons - Provides icons for better UI experience.
+ * @requires react-toastify - Displays toast notifications.
+ * @requires PagesNavLayout - Layout wrapper including sidebar and top navbar.
+ * @requires UserForm - Component for creating accounts and resetting passwords.
+ * @requires authService - Provides the staff role labels.
+ */
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { AiOutlineSearch } from "react-icons/ai";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import PagesNavLayout from "../layouts/PagesNavLayout";
+import UserForm from "../components/UserForm";
+import { ROLE_LABELS } from "../services/authService";
+
+/**
+ * UserManagement Component
+ * ------------------------
+ * - Displays staff accounts and the actions available on each.
+ *
+ * @component
+ * @returns {JSX.Element} - The user management UI component.
+ */
+const UserManagement = () => {
+  const [users, setUsers] = useState([]); // **Stores staff accounts**
+  const [searchQuery, setSearchQuery] = useState(""); // **Stores search input**
+  const [roleFilter, setRoleFilter] = useState(""); // **Stores role filter**
+  const [activeFilter, setActiveFilter] = useState("true"); // **Stores active-state filter**
+  const [loading, setLoading] = useState(true); // **Indicates loading state**
+  const [showForm, setShowForm] = useState(false); // **Toggles user form modal**
+  const [resetUser, setResetUser] = useState(null); // **Account whose password is being reset**
+
+  const headers = { Authorization: `Bearer ${localStorage.getItem("token")}` };
+
+  /**
+   * Fetches staff accounts matching the current filters.
+   */
+  const fetchUsers = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/users?search=${searchQuery}&role=${roleFilter}&active=${activeFilter}`,
+        { headers }
+      );
+      setUsers(response.data);
+      setLoading(false);
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Refetches accounts whenever the filters change.
+   */
+  useEffect(() => {
+    fetchUsers();
+  }, [searchQuery, roleFilter, activeFilter]);
+
+  /**
+   * Changes the role of an account.
+   */
+  const handleRoleChange = async (user, role) => {
+    try {
+      await axios.put(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/users/${
+          user._id
+        }/role`,
+        { role },
+        { headers }
+      );
+      toast.success(`${user.username} is now ${ROLE_LABELS[role]}.`, {
+        autoClose: 2000,
+      });
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "⚠ Could not update role.");
+    }
+  };
+
+  /**
+   * Deactivates an account after confirmation.
+   */
+  const handleDeactivate = async (user) => {
+    if (
+      !window.confirm(
+        `Deactivate ${user.username}? They will no longer be able to sign in.`
+      )
+    )
+      return;
+
+    try {
+      await axios.put(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/users/${
+          user._id
+        }/deactivate`,
+        {},
+        { headers }
+      );
+      toast.success(`${user.username} has been deactivated.`, {
+        autoClose: 2000,
+      });
+      fetchUsers();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "⚠ Could not deactivate user."
+      );
+    }
+  };
+
+  /**
+   * Unlocks an account locked after repeated failed logins.
+   */
+  const handleUnlock = async (user) => {
+    try {
+      await axios.put(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/users/${
+          user._id
+        }/unlock`,
+        {},
+        { headers }
+      );
+      toast.success(`${user.username} has been unlocked.`, {
+        autoClose: 2000,
+      });
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "⚠ Could not unlock user.");
+    }
+  };
+
+  /**
+   * Resets two-factor authentication for a user who lost their authenticator.
+   */
+  const handleResetTwoFactor = async (user) => {
+    if (
+      !window.confirm(
+        `Reset two-factor authentication for ${user.username}? They will need to enroll again.`
+      )
+    )
+      return;
+
+    try {
+      await axios.put(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/users/${
+          user._id
+        }/2fa/reset`,
+        {},
+        { headers }
+      );
+      toast.success(`Two-factor reset for ${user.username}.`, {
+        autoClose: 2000,
+      });
+      fetchUsers();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "⚠ Could not reset two-factor."
+      );
+    }
+  };
+
+  /**
+   * Revokes every session of one user, or of all users when `user` is null.
+   */
+  const handleRevokeSessions = async (user) => {
+    const prompt = user
+      ? `Sign ${user.username} out of all devices?`
+      : "Sign every user out of all devices? Your own session stays active.";
+    if (!window.confirm(prompt)) return;
+
+    try {
+      const url = user
+        ? `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/users/${
+            user._id
+          }/sessions/revoke`
+        : `${
+            import.meta.env.VITE_API_BASE_URL
+          }/prisonsphere/users/sessions/revoke-all`;
+      const response = await axios.put(url, {}, { headers });
+      toast.success(
+        `${response.data.revokedCount} session(s) revoked successfully.`,
+        { autoClose: 2000 }
+      );
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "⚠ Could not revoke sessions."
+      );
+    }
+  };
+
+  /**
+   * Refreshes the list after creating an account or resetting a password.
+   */
+  const handleFormSuccess = () => {
+    setShowForm(false);
+    setResetUser(null);
+    fetchUsers();
+  };
+
+  return (
+    <PagesNavLayout>
+      <ToastContainer />
+      <div className="space-y-4">
+        {/* Sign Out All & New User Buttons */}
+        <div className="flex justify-end items-center space-x-5">
+          <button
+            onClick={() => handleRevokeSessions(null)}
+            className="px-4 py-2 bg-gray-100 text-red-600 rounded-md hover:bg-red-100 transition"
+          >
+            Sign Out All Users
+          </button>
+          <button
+            onClick={() => {
+              setResetUser(null);
+              setShowForm(true);
+            }}
+            className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition"
+          >
+            + New User
+          </button>
+        </div>
+
+        {/* Search & Filter Section */}
+        <div className="bg-white p-4 rounded-lg shadow-md flex items-center space-x-4">
+          <div className="flex-1">
+            <label className="text-gray-600 text-sm font-medium">Search</label>
+            <div className="relative flex items-center">
+              <AiOutlineSearch
+                size={18}
+                className="absolute left-3 text-gray-400"
+              />
+              <input
+                type="text"
+                placeholder="Search by username..."
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                className="w-full pl-10 p-2 border rounded-md text-gray-700 shadow-sm"
+              />
+            </div>
+          </div>
+
+          <div className="flex-1">
+            <label className="text-gray-600 text-sm font-medium">Role</label>
+            <select
+              value={roleFilter}
+              onChange={(e) => setRoleFilter(e.target.value)}
+              className="w-full p-2 border rounded-md text-gray-700 shadow-sm"
+            >
+              <option value="">All Roles</option>
+              {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex-1">
+            <label className="text-gray-600 text-sm font-medium">Status</label>
+            <select
+              value={activeFilter}
+              onChange={(e) => setActiveFilter(e.target.value)}
+              className="w-full p-2 border rounded-md text-gray-700 shadow-sm"
+            >
+              <option value="true">Active</option>
+              <option value="false">Deactivated</option>
+              <option value="">All</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Users Table */}
+        <div className="bg-white p-6 rounded-lg shadow-md">
+          {loading ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : users.length === 0 ? (
+            <p className="text-gray-500 text-center">No users found.</p>
+          ) : (
+            <table className="w-full border-collapse text-gray-700">
+              <thead>
+                <tr className="bg-gray-100 text-left text-sm font-semibold">
+                  <th className="p-3">Username</th>
+                  <th className="p-3">Role</th>
+                  <th className="p-3">Status</th>
+                  <th className="p-3">Created</th>
+                  <th className="p-3">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((user) => (
+                  <tr
+                    key={user._id}
+                    className="border-b border-gray-200 hover:bg-gray-50 transition"
+                  >
+                    <td className="p-3">{user.username}</td>
+                    <td className="p-3">
+                      <select
+                        value={user.role}
+                        disabled={!user.isActive}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        className="p-1 border rounded-md text-sm"
+                      >
+                        {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="p-3">
+                      <span
+                        className={`px-2 py-1 text-xs rounded-md ${
+                          user.isActive
+                            ? "bg-green-100 text-green-700"
+                            : "bg-gray-200 text-gray-600"
+                        }`}
+                      >
+                        {user.isActive ? "Active" : "Deactivated"}
+                      </span>
+                      {isLocked(user) && (
+                        <span className="ml-2 px-2 py-1 text-xs rounded-md bg-red-100 text-red-700">
+                          Locked
+                        </span>
+                      )}
+                      {user.twoFactorEnabled && (
+                        <span className="ml-2 px-2 py-1 text-xs rounded-md bg-blue-100 text-blue-700">
+                          2FA
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-3">
+                      {new Date(user.createdAt).toLocaleDateString()}
+                    </td>
+                    <td className="p-3 flex space-x-2">
+                      <button
+                        onClick={() => {
+                          setResetUser(user);
+                          setShowForm(true);
+                        }}
+                        className="px-2 py-1 text-yellow-600 border rounded-md text-sm hover:bg-yellow-50 transition"
+                      >
+                        Reset Password
+                      </button>
+                      {isLocked(user) && (
+                        <button
+                          onClick={() => handleUnlock(user)}
+                          className="px-2 py-1 text-blue-600 border rounded-md text-sm hover:bg-blue-50 transition"
+                        >
+                          Unlock
+                        </button>
+                      )}
+                      {user.twoFactorEnabled && (
+                        <button
+                          onClick={() => handleResetTwoFactor(user)}
+                          className="px-2 py-1 text-purple-600 border rounded-md text-sm hover:bg-purple-50 transition"
+                        >
+                          Reset 2FA
+                        </button>
+                      )}
+                      {user.isActive && (
+                        <button
+                          onClick={() => handleRevokeSessions(user)}
+                          className="px-2 py-1 text-gray-600 border rounded-md text-sm hover:bg-gray-100 transition"
+                        >
+                          Sign Out
+                        </button>
+                      )}
+                      {user.isActive && (
+                        <button
+                          onClick={() => handleDeactivate(user)}
+                          className="px-2 py-1 text-red-600 border rounded-md text-sm hover:bg-red-50 transition"
+                        >
+                          Deactivate
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {/* Show UserForm modal when needed */}
+      {showForm && (
+        <UserForm
+          userData={resetUser}
+          onClose={() => setShowForm(false)}
+          onFormSuccess={handleFormSuccess}
+        />
+      )}
+    </PagesNavLayout>
+  );
+};
+
+// Helper Function: Whether an account is locked after repeated failed logins
+const isLocked = (user) =>
+  Boolean(user.lockedUntil && new Date(user.lockedUntil) > new Date());
+
+export default UserManagement;
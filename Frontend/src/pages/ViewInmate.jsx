@@ -13,9 +13,24 @@
  *   Work Program Status (Current Work Assignment)
  *   Behavioral Logs (Work Ethic, Incident Reports, Cooperation)
  *   Activity Logs (Education, Counseling, Work Performance)
- *   Parole & Visitation History
+ *   Parole, Visitation & Movement History
+ *   Charges (offense, statute, category, severity, outcome)
+ *   Custody Classification (level, suggested level, review date, history)
+ *   Alerts (medical, self-harm risk, keep separate, ...) as badges and in their own tab
+ *   Disciplinary incidents with hearing outcomes, sanctions and evidence
+ *   Personal property stored since admission, with items flagged missing at release
+ *   Trust account balance and transactions (deposits, purchases, wages, reversals)
+ *   Medical record, for medical staff only; other staff see allergy and condition
+ *   alerts without clinical details
  * - Supports:
  *   Editing inmate details via a modal form.
+ *   Transferring the inmate to another cell or an outside location.
+ *   Recording, editing and deleting charges.
+ *   Classifying and reclassifying the inmate's custody level.
+ *   Raising, editing and deactivating alerts.
+ *   Reporting incidents and recording the hearings of offenders.
+ *   Recording the property inventory, reconciling it and downloading its receipts.
+ *   Posting and reversing trust account transactions, and downloading statements.
  *   Pagination for activity logs.
  *   Adding behavioral and activity logs.
  *
@@ -27,6 +42,20 @@
  * @requires InmateForm - Component for editing inmate details.
  * @requires BehavioralLogForm - Component for adding behavior logs.
  * @requires ActivityLogForm - Component for adding activity logs.
+ * @requires TransferForm - Component for transferring the inmate.
+ * @requires SentenceForm - Component for editing sentences and credits.
+ * @requires ReleaseForm - Component for releasing the inmate through the discharge checklist.
+ * @requires ChargeForm - Component for recording and editing charges.
+ * @requires ClassificationForm - Component for classifying the inmate.
+ * @requires AlertForm - Component for raising and editing alerts.
+ * @requires AlertBadges - Component displaying the alerts in force.
+ * @requires IncidentForm - Component for reporting incidents.
+ * @requires HearingForm - Component for recording disciplinary hearings.
+ * @requires PropertyForm - Component for recording the property inventory.
+ * @requires PropertyReconcileForm - Component for reconciling the property at release.
+ * @requires TrustTransactionForm - Component for posting trust account transactions.
+ * @requires InmateMedicalRecord - Component displaying and updating the medical record.
+ * @requires authService - Checks the signed-in user's permissions.
  */
 import React, { useEffect, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
@@ -34,12 +63,26 @@ import axios from "axios";
 import { IoArrowBack } from "react-icons/io5";
 import { Rating, ThinStar } from "@smastrom/react-rating";
 import "@smastrom/react-rating/style.css";
-import { MdEdit } from "react-icons/md";
+import { MdEdit, MdExitToApp, MdDownload } from "react-icons/md";
 import ProfilePlaceholder from "../assets/images/ProfilePlaceholder.png";
 import PagesNavLayout from "../layouts/PagesNavLayout";
 import InmateForm from "../components/InmateForm";
 import BehavioralLogForm from "../components/BehavioralLogForm";
 import ActivityLogForm from "../components/ActivityLogForm";
+import TransferForm from "../components/TransferForm";
+import SentenceForm from "../components/SentenceForm";
+import ReleaseForm from "../components/ReleaseForm";
+import ChargeForm from "../components/ChargeForm";
+import ClassificationForm from "../components/ClassificationForm";
+import AlertForm from "../components/AlertForm";
+import AlertBadges from "../components/AlertBadges";
+import IncidentForm from "../components/IncidentForm";
+import HearingForm from "../components/HearingForm";
+import PropertyForm from "../components/PropertyForm";
+import PropertyReconcileForm from "../components/PropertyReconcileForm";
+import TrustTransactionForm from "../components/TrustTransactionForm";
+import InmateMedicalRecord from "../components/InmateMedicalRecord";
+import { hasPermission } from "../services/authService";
 import { formatDistanceToNow, format } from "date-fns";
 
 /**
@@ -64,12 +107,31 @@ const ViewInmate = () => {
   const [workProgram, setWorkProgram] = useState(null);
   const [behavioralLogs, setBehavioralLogs] = useState([]);
   const [activityLogs, setActivityLogs] = useState([]);
+  const [movements, setMovements] = useState([]);
+  const [charges, setCharges] = useState([]);
+  const [classification, setClassification] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [medicalAlerts, setMedicalAlerts] = useState([]); // Allergy and condition alerts, without details
+  const [incidents, setIncidents] = useState([]);
+  const [trustAccount, setTrustAccount] = useState(null); // { balance, transactions, totalPages, currentPage }
+  const [statementPeriod, setStatementPeriod] = useState({ from: "", to: "" });
 
   // UI State
   const [showEditForm, setShowEditForm] = useState(false);
   const [activeTab, setActiveTab] = useState("visitation");
   const [showBehaviorLogForm, setShowBehaviorLogForm] = useState(false);
   const [showActivityLogForm, setShowActivityLogForm] = useState(false);
+  const [showTransferForm, setShowTransferForm] = useState(false);
+  const [sentenceFormType, setSentenceFormType] = useState(null); // "sentences" | "credit"
+  const [showReleaseForm, setShowReleaseForm] = useState(false);
+  const [chargeForm, setChargeForm] = useState(null); // { charge } being recorded or edited
+  const [showClassificationForm, setShowClassificationForm] = useState(false);
+  const [alertForm, setAlertForm] = useState(null); // { alert } being raised or edited
+  const [showIncidentForm, setShowIncidentForm] = useState(false);
+  const [hearingForm, setHearingForm] = useState(null); // { incident, offender } being heard
+  const [showPropertyForm, setShowPropertyForm] = useState(false);
+  const [showReconcileForm, setShowReconcileForm] = useState(false);
+  const [showTrustForm, setShowTrustForm] = useState(false);
 
   // Pagination for activity logs
   const [currentPage, setCurrentPage] = useState(1);
@@ -180,6 +242,333 @@ const ViewInmate = () => {
     }
   };
 
+  /**
+   * Fetches the inmate's movement history (newest first).
+   */
+  const fetchMovements = async () => {
+    try {
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/movements/inmate/${id}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      setMovements(response.data);
+    } catch (error) {
+      console.error("Error fetching movements:", error);
+    }
+  };
+
+  /**
+   * Fetches the inmate's charges (most recent offense first).
+   */
+  const fetchCharges = async () => {
+    try {
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/charges/inmate/${id}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      setCharges(response.data);
+    } catch (error) {
+      console.error("Error fetching charges:", error);
+    }
+  };
+
+  /**
+   * Fetches the inmate's custody classification, suggested level and history.
+   */
+  const fetchClassification = async () => {
+    try {
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/classifications/inmate/${id}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      setClassification(response.data);
+    } catch (error) {
+      console.error("Error fetching classification:", error);
+    }
+  };
+
+  /**
+   * Fetches the inmate's alerts, including expired and deactivated ones.
+   */
+  const fetchAlerts = async () => {
+    try {
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/alerts/inmate/${id}?includeInactive=true`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      setAlerts(response.data);
+    } catch (error) {
+      console.error("Error fetching alerts:", error);
+    }
+  };
+
+  /**
+   * Fetches the inmate's allergy and condition alerts from the medical record.
+   */
+  const fetchMedicalAlerts = async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/medical/alerts`,
+        {
+          params: { inmates: id },
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      setMedicalAlerts(response.data[id] || []);
+    } catch (error) {
+      console.error("Error fetching medical alerts:", error);
+    }
+  };
+
+  /**
+   * Fetches the disciplinary incidents the inmate was involved in.
+   */
+  const fetchIncidents = async () => {
+    if (!hasPermission("incidents:view")) return;
+
+    try {
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/incidents/inmate/${id}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      setIncidents(response.data);
+    } catch (error) {
+      console.error("Error fetching incidents:", error);
+    }
+  };
+
+  /**
+   * Fetches the inmate's trust account balance and transactions (newest first).
+   *
+   * @param {Number} page - Page of transactions to fetch.
+   */
+  const fetchTrustAccount = async (page = 1) => {
+    if (!hasPermission("trust:view")) return;
+
+    try {
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/trust-accounts/inmate/${id}?page=${page}&limit=10`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      setTrustAccount(response.data);
+    } catch (error) {
+      console.error("Error fetching trust account:", error);
+    }
+  };
+
+  /**
+   * Corrects a trust account transaction by posting a reversal.
+   *
+   * @param {Object} transaction - The transaction to reverse.
+   */
+  const handleReverseTransaction = async (transaction) => {
+    const reason = window.prompt(
+      `Reason for reversing transaction #${transaction.sequence} (${transaction.type}):`
+    );
+    if (!reason?.trim()) return;
+
+    try {
+      await axios.post(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/trust-accounts/transactions/${transaction._id}/reverse`,
+        { reason },
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      fetchTrustAccount();
+    } catch (error) {
+      window.alert(
+        error.response?.data?.message || "Error reversing transaction."
+      );
+    }
+  };
+
+  /**
+   * Downloads the inmate's trust account statement for the selected period.
+   */
+  const downloadTrustStatement = async () => {
+    try {
+      const params = new URLSearchParams(
+        Object.entries(statementPeriod).filter(([, value]) => value)
+      );
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/trust-accounts/inmate/${id}/statement?${params}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+          responseType: "blob", // Ensures response is treated as a file
+        }
+      );
+
+      const pdfUrl = URL.createObjectURL(
+        new Blob([response.data], { type: "application/pdf" })
+      );
+      const link = document.createElement("a");
+      link.href = pdfUrl;
+      link.download = `trust_statement_${inmate.inmateID}.pdf`;
+      link.click();
+      URL.revokeObjectURL(pdfUrl);
+    } catch (error) {
+      console.error("Error downloading trust statement:", error);
+    }
+  };
+
+  /**
+   * Deactivates an alert that no longer applies.
+   *
+   * @param {Object} alert - The alert to deactivate.
+   */
+  const handleDeactivateAlert = async (alert) => {
+    if (!window.confirm(`Deactivate the "${alert.type}" alert?`)) return;
+
+    try {
+      await axios.put(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/alerts/${alert._id}`,
+        { isActive: false },
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      fetchAlerts();
+    } catch (error) {
+      console.error("Error deactivating alert:", error);
+    }
+  };
+
+  /**
+   * Deletes a charge entered in error.
+   *
+   * @param {Object} charge - The charge to delete.
+   */
+  const handleDeleteCharge = async (charge) => {
+    if (!window.confirm(`Delete the charge "${charge.description}"?`)) return;
+
+    try {
+      await axios.delete(
+        `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/charges/${
+          charge._id
+        }`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      );
+      fetchCharges();
+    } catch (error) {
+      console.error("Error deleting charge:", error);
+    }
+  };
+
+  /**
+   * Downloads the discharge certificate of a released inmate.
+   */
+  const downloadDischargeCertificate = async () => {
+    try {
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/releases/inmate/${id}/certificate`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+          responseType: "blob", // Ensures response is treated as a file
+        }
+      );
+
+      const pdfUrl = URL.createObjectURL(
+        new Blob([response.data], { type: "application/pdf" })
+      );
+      const link = document.createElement("a");
+      link.href = pdfUrl;
+      link.download = `discharge_certificate_${inmate.inmateID}.pdf`;
+      link.click();
+      URL.revokeObjectURL(pdfUrl);
+    } catch (error) {
+      console.error("Error downloading discharge certificate:", error);
+    }
+  };
+
+  /**
+   * Downloads a property receipt of the inmate.
+   *
+   * @param {String} type - "intake" (admission inventory) or "release" (reconciliation).
+   */
+  const downloadPropertyReceipt = async (type) => {
+    try {
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/inmates/${id}/property/receipt/${type}`,
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+          responseType: "blob", // Ensures response is treated as a file
+        }
+      );
+
+      const pdfUrl = URL.createObjectURL(
+        new Blob([response.data], { type: "application/pdf" })
+      );
+      const link = document.createElement("a");
+      link.href = pdfUrl;
+      link.download = `property_${type}_receipt_${inmate.inmateID}.pdf`;
+      link.click();
+      URL.revokeObjectURL(pdfUrl);
+    } catch (error) {
+      console.error("Error downloading property receipt:", error);
+    }
+  };
+
   /**
    * Fetches visitation history, parole records, and work programs for the inmate.
    */
@@ -188,6 +577,13 @@ const ViewInmate = () => {
     fetchWorkProgram();
     fetchBehavioralLogs();
     fetchActivityLogs();
+    fetchMovements();
+    fetchCharges();
+    fetchClassification();
+    fetchAlerts();
+    fetchMedicalAlerts();
+    fetchIncidents();
+    fetchTrustAccount();
 
     const fetchRelatedData = async () => {
       try {
@@ -212,7 +608,7 @@ const ViewInmate = () => {
           ),
         ]);
 
-        setVisitors(visitorRes.data.visitors || []);
+        setVisitors(visitorRes.data.visits || []);
         setParoleHistory(paroleRes.data);
       } catch (err) {
         console.error("Error fetching related data:", err);
@@ -225,6 +621,7 @@ const ViewInmate = () => {
   // Callback function to refresh inmates after register or edit
   const handleFormSuccess = () => {
     fetchInmateDetails(); // Refresh inmate list
+    fetchMovements(); // Housing changes are recorded as movements
   };
 
   if (loading)
@@ -269,6 +666,14 @@ const ViewInmate = () => {
               >
                 {inmate.status}
               </span>
+              <div className="mt-2">
+                <AlertBadges
+                  alerts={[
+                    ...alerts.filter((alert) => alert.active),
+                    ...medicalAlerts,
+                  ]}
+                />
+              </div>
             </div>
           </div>
 
@@ -289,6 +694,30 @@ const ViewInmate = () => {
             >
               <MdEdit size={18} className="mr-2" /> Edit Details
             </button>
+
+            {/* Release Button */}
+            {inmate.status === "Incarcerated" &&
+              hasPermission("inmates:update") && (
+                <button
+                  onClick={() => setShowReleaseForm(true)}
+                  className="flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition"
+                >
+                  <MdExitToApp size={18} className="mr-2" /> Release
+                </button>
+              )}
+
+            {/* Discharge Certificate Button */}
+            {inmate.status === "Released" &&
+              inmate.discharge &&
+              hasPermission("reports:view") && (
+                <button
+                  onClick={downloadDischargeCertificate}
+                  className="flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition"
+                >
+                  <MdDownload size={18} className="mr-2" /> Discharge
+                  Certificate
+                </button>
+              )}
           </div>
         </div>
 
@@ -316,6 +745,9 @@ const ViewInmate = () => {
                 <span>Cell Block</span>
                 <span className="font-bold">
                   {inmate.assignedCell || "Not Assigned"}
+                  {inmate.assignedCell && inmate.bed
+                    ? ` (Bed ${inmate.bed})`
+                    : ""}
                 </span>
               </div>
               <div className="flex justify-between text-gray-700 text-sm">
@@ -333,6 +765,143 @@ const ViewInmate = () => {
             </div>
           </div>
 
+          {/* Sentence Section */}
+          {inmate.sentenceSummary && (
+            <div className="mt-6 p-4 bg-gray-100 rounded-lg">
+              <div className="flex justify-between items-center">
+                <h3 className="text-lg font-semibold">Sentence</h3>
+                {inmate.status === "Incarcerated" &&
+                  hasPermission("inmates:update") && (
+                    <div className="space-x-2">
+                      <button
+                        onClick={() => setSentenceFormType("sentences")}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+                      >
+                        Edit Sentences
+                      </button>
+                      <button
+                        onClick={() => setSentenceFormType("credit")}
+                        className="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700"
+                      >
+                        + Add Credit
+                      </button>
+                    </div>
+                  )}
+              </div>
+              <div className="mt-2 space-y-2">
+                <div className="flex justify-between text-gray-700 text-sm">
+                  <span>Projected Release</span>
+                  <span className="font-bold">
+                    {format(
+                      new Date(inmate.sentenceSummary.projectedReleaseDate),
+                      "dd MMM yyyy"
+                    )}{" "}
+                    ({inmate.sentenceSummary.daysRemaining} days left)
+                  </span>
+                </div>
+                <div className="flex justify-between text-gray-700 text-sm">
+                  <span>Full Term</span>
+                  <span className="font-bold">
+                    {format(
+                      new Date(inmate.sentenceSummary.fullTermDate),
+                      "dd MMM yyyy"
+                    )}
+                  </span>
+                </div>
+                <div className="flex justify-between text-gray-700 text-sm">
+                  <span>Credits</span>
+                  <span className="font-bold">
+                    {inmate.sentenceSummary.timeServedDays} days time served,{" "}
+                    {inmate.sentenceSummary.goodConductDays} days good conduct
+                    {inmate.sentenceSummary.forfeitedDays > 0 &&
+                      `, ${inmate.sentenceSummary.forfeitedDays} days forfeited`}
+                  </span>
+                </div>
+              </div>
+              <ul className="mt-3 text-sm text-gray-600 list-disc ml-5">
+                {inmate.sentenceSummary.sentences.map((sentence, index) => (
+                  <li key={index}>
+                    {sentence.description || `Sentence ${index + 1}`}:{" "}
+                    {sentence.lengthMonths} months ({sentence.relation}),{" "}
+                    {format(
+                      new Date(sentence.effectiveStartDate),
+                      "dd MMM yyyy"
+                    )}{" "}
+                    – {format(new Date(sentence.endDate), "dd MMM yyyy")}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Classification Section */}
+          {classification && (
+            <div className="mt-6 p-4 bg-gray-100 rounded-lg">
+              <div className="flex justify-between items-center">
+                <h3 className="text-lg font-semibold">
+                  Custody Classification
+                </h3>
+                {inmate.status === "Incarcerated" &&
+                  hasPermission("inmates:update") && (
+                    <button
+                      onClick={() => setShowClassificationForm(true)}
+                      className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+                    >
+                      {classification.custodyLevel ? "Reclassify" : "Classify"}
+                    </button>
+                  )}
+              </div>
+              <div className="mt-2 space-y-2">
+                <div className="flex justify-between text-gray-700 text-sm">
+                  <span>Custody Level</span>
+                  <span className="font-bold">
+                    {classification.custodyLevel || "Not classified"}
+                  </span>
+                </div>
+                <div className="flex justify-between text-gray-700 text-sm">
+                  <span>Suggested Level</span>
+                  <span className="font-bold">
+                    {classification.suggestion.level} (score{" "}
+                    {classification.suggestion.score})
+                  </span>
+                </div>
+                <div className="flex justify-between text-gray-700 text-sm">
+                  <span>Next Review</span>
+                  <span className="font-bold">
+                    {classification.nextReviewDate
+                      ? format(
+                          new Date(classification.nextReviewDate),
+                          "dd MMM yyyy"
+                        )
+                      : "—"}
+                    {classification.reviewDue &&
+                      inmate.status === "Incarcerated" && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded bg-red-100 text-red-700">
+                          Review due
+                        </span>
+                      )}
+                  </span>
+                </div>
+              </div>
+              {classification.history.length > 0 && (
+                <ul className="mt-3 text-sm text-gray-600 list-disc ml-5">
+                  {classification.history.map((entry) => (
+                    <li key={entry._id}>
+                      {format(new Date(entry.createdAt), "dd MMM yyyy")}:{" "}
+                      {entry.previousLevel
+                        ? `${entry.previousLevel} → ${entry.level}`
+                        : entry.level}
+                      {entry.classifiedBy?.username &&
+                        ` by ${entry.classifiedBy.username}`}
+                      {entry.overrideReason &&
+                        ` (override of ${entry.suggestedLevel}: ${entry.overrideReason})`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           {/* Work Program Section */}
           <div className="mt-6 p-4 bg-gray-100 rounded-lg">
             <h3 className="text-lg font-semibold">Work Program Details</h3>
@@ -603,7 +1172,17 @@ const ViewInmate = () => {
 
         {/* Tabs Section */}
         <div className="shadow-sm mt-6">
-          {["visitation", "parole"].map((tab) => (
+          {[
+            "visitation",
+            "parole",
+            "movements",
+            "charges",
+            "alerts",
+            "property",
+            ...(hasPermission("trust:view") ? ["trust"] : []),
+            ...(hasPermission("incidents:view") ? ["incidents"] : []),
+            ...(hasPermission("medical:view") ? ["medical"] : []),
+          ].map((tab) => (
             <button
               key={tab}
               className={`px-4 py-2 font-semibold ${
@@ -613,7 +1192,23 @@ const ViewInmate = () => {
               }`}
               onClick={() => setActiveTab(tab)}
             >
-              {tab === "visitation" ? "Visitation History" : "Parole History"}
+              {tab === "visitation"
+                ? "Visitation History"
+                : tab === "parole"
+                ? "Parole History"
+                : tab === "movements"
+                ? "Movement History"
+                : tab === "charges"
+                ? "Charges"
+                : tab === "alerts"
+                ? "Alerts"
+                : tab === "property"
+                ? "Property"
+                : tab === "trust"
+                ? "Trust Account"
+                : tab === "medical"
+                ? "Medical"
+                : "Incidents"}
             </button>
           ))}
         </div>
@@ -632,7 +1227,7 @@ const ViewInmate = () => {
                           {/* Left Section: Visitor Name & Relationship */}
                           <div>
                             <p className="text-sm font-semibold text-gray-800">
-                              {v.visitorName}{" "}
+                              {v.visitor?.fullName}{" "}
                               <span className="text-gray-500">
                                 ({v.relationshipToInmate})
                               </span>
@@ -708,6 +1303,575 @@ const ViewInmate = () => {
               )}
             </div>
           )}
+
+          {activeTab === "movements" && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold">Movement Timeline</h3>
+                {inmate.status === "Incarcerated" &&
+                  hasPermission("inmates:update") && (
+                    <button
+                      onClick={() => setShowTransferForm(true)}
+                      className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                    >
+                      Transfer Inmate
+                    </button>
+                  )}
+              </div>
+              {movements.length > 0 ? (
+                <div className="bg-white shadow-md rounded-lg p-5">
+                  <ol className="relative border-l border-gray-200 ml-2">
+                    {movements.map((m) => (
+                      <li key={m._id} className="mb-6 ml-4">
+                        <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-500" />
+                        <div className="flex justify-between items-center">
+                          <p className="text-sm font-semibold text-gray-800">
+                            {m.movementType}:{" "}
+                            <span className="font-normal">
+                              {formatMovementLocation(m.from)} →{" "}
+                              {formatMovementLocation(m.to)}
+                            </span>
+                          </p>
+                          <span className="text-sm text-gray-700">
+                            {format(new Date(m.movedAt), "dd MMM yyyy, HH:mm")}
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-600 mt-1">{m.reason}</p>
+                        <p className="text-xs text-gray-500">
+                          Authorized by{" "}
+                          {m.authorizedBy?.username || "the system"}
+                        </p>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              ) : (
+                <p className="text-gray-500">No movements recorded.</p>
+              )}
+            </div>
+          )}
+
+          {activeTab === "charges" && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold">Charges</h3>
+                {hasPermission("inmates:update") && (
+                  <button
+                    onClick={() => setChargeForm({ charge: null })}
+                    className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                  >
+                    + Record Charge
+                  </button>
+                )}
+              </div>
+              {charges.length > 0 ? (
+                <div className="bg-white shadow-md rounded-lg p-5">
+                  <ul className="divide-y divide-gray-200">
+                    {charges.map((c) => (
+                      <li key={c._id} className="py-3">
+                        <div className="flex justify-between items-center">
+                          <div>
+                            <p className="text-sm font-semibold text-gray-800">
+                              {c.description}
+                              {c.statuteCode && (
+                                <span className="font-normal text-gray-500">
+                                  {" "}
+                                  · {c.statuteCode}
+                                </span>
+                              )}
+                            </p>
+                            <p className="text-xs text-gray-600 mt-1">
+                              {c.category} · {c.severity} · {c.status}
+                              {c.offenseDate &&
+                                ` · Offense ${format(
+                                  new Date(c.offenseDate),
+                                  "dd MMM yyyy"
+                                )}`}
+                            </p>
+                          </div>
+                          {hasPermission("inmates:update") && (
+                            <div className="space-x-3 text-sm">
+                              <button
+                                onClick={() => setChargeForm({ charge: c })}
+                                className="text-blue-600 hover:underline"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                onClick={() => handleDeleteCharge(c)}
+                                className="text-red-600 hover:underline"
+                              >
+                                Delete
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : (
+                <p className="text-gray-500">
+                  No charges recorded. Crime details: {inmate.crimeDetails}
+                </p>
+              )}
+            </div>
+          )}
+
+          {activeTab === "alerts" && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold">Alerts</h3>
+                {hasPermission("inmates:update") && (
+                  <button
+                    onClick={() => setAlertForm({ alert: null })}
+                    className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                  >
+                    + Raise Alert
+                  </button>
+                )}
+              </div>
+              {alerts.length > 0 ? (
+                <div className="bg-white shadow-md rounded-lg p-5">
+                  <ul className="divide-y divide-gray-200">
+                    {alerts.map((a) => {
+                      // Keep-separate alerts raised on the other inmate name this one
+                      const raisedHere = a.inmate?._id === id;
+                      const otherInmate = raisedHere
+                        ? a.separateFrom
+                        : a.inmate;
+                      return (
+                        <li
+                          key={a._id}
+                          className={`py-3 ${a.active ? "" : "opacity-50"}`}
+                        >
+                          <div className="flex justify-between items-center">
+                            <div>
+                              <p className="text-sm font-semibold text-gray-800">
+                                {a.type} · {a.severity}
+                                {otherInmate &&
+                                  ` · from ${otherInmate.inmateID} (${otherInmate.firstName} ${otherInmate.lastName})`}
+                                {!a.active && " · Inactive"}
+                              </p>
+                              <p className="text-sm text-gray-600">
+                                {a.description}
+                              </p>
+                              <p className="text-xs text-gray-500 mt-1">
+                                Raised{" "}
+                                {format(new Date(a.createdAt), "dd MMM yyyy")}
+                                {a.createdBy?.username &&
+                                  ` by ${a.createdBy.username}`}
+                                {a.expiresAt &&
+                                  ` · Expires ${format(
+                                    new Date(a.expiresAt),
+                                    "dd MMM yyyy"
+                                  )}`}
+                              </p>
+                            </div>
+                            {a.active &&
+                              raisedHere &&
+                              hasPermission("inmates:update") && (
+                                <div className="space-x-3 text-sm">
+                                  <button
+                                    onClick={() => setAlertForm({ alert: a })}
+                                    className="text-blue-600 hover:underline"
+                                  >
+                                    Edit
+                                  </button>
+                                  <button
+                                    onClick={() => handleDeactivateAlert(a)}
+                                    className="text-red-600 hover:underline"
+                                  >
+                                    Deactivate
+                                  </button>
+                                </div>
+                              )}
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ) : (
+                <p className="text-gray-500">No alerts recorded.</p>
+              )}
+            </div>
+          )}
+
+          {activeTab === "property" && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold">Personal Property</h3>
+                <div className="space-x-2">
+                  {inmate.property?.intake && (
+                    <button
+                      onClick={() => downloadPropertyReceipt("intake")}
+                      className="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                    >
+                      Admission Receipt
+                    </button>
+                  )}
+                  {inmate.property?.release && (
+                    <button
+                      onClick={() => downloadPropertyReceipt("release")}
+                      className="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                    >
+                      Release Receipt
+                    </button>
+                  )}
+                  {inmate.status === "Incarcerated" &&
+                    hasPermission("inmates:update") && (
+                      <>
+                        {!inmate.property?.release && (
+                          <button
+                            onClick={() => setShowPropertyForm(true)}
+                            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                          >
+                            {inmate.property?.items?.length
+                              ? "Edit Inventory"
+                              : "+ Record Inventory"}
+                          </button>
+                        )}
+                        {inmate.property?.items?.length > 0 && (
+                          <button
+                            onClick={() => setShowReconcileForm(true)}
+                            className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700"
+                          >
+                            Reconcile
+                          </button>
+                        )}
+                      </>
+                    )}
+                </div>
+              </div>
+              {inmate.property?.items?.length > 0 ? (
+                <div className="bg-white shadow-md rounded-lg p-5">
+                  <ul className="divide-y divide-gray-200">
+                    {inmate.property.items.map((item) => (
+                      <li
+                        key={item._id}
+                        className={`py-3 flex justify-between items-center ${
+                          item.status === "Missing" ? "bg-red-50" : ""
+                        }`}
+                      >
+                        <div>
+                          <p className="text-sm font-semibold text-gray-800">
+                            {item.item}
+                            {item.quantity > 1 && ` ×${item.quantity}`}
+                            {item.description && (
+                              <span className="font-normal text-gray-500">
+                                {" "}
+                                · {item.description}
+                              </span>
+                            )}
+                          </p>
+                          <p className="text-xs text-gray-600 mt-1">
+                            {item.condition} · Stored at {item.storageLocation}
+                            {item.status === "Returned" &&
+                              ` · Returned ${item.returnedCondition}`}
+                            {item.returnNotes && ` · ${item.returnNotes}`}
+                          </p>
+                        </div>
+                        <span
+                          className={`px-2 py-1 text-xs rounded-full ${
+                            item.status === "Missing"
+                              ? "bg-red-100 text-red-700"
+                              : item.status === "Returned"
+                              ? "bg-green-100 text-green-700"
+                              : "bg-gray-100 text-gray-700"
+                          }`}
+                        >
+                          {item.status}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="text-xs text-gray-500 mt-3">
+                    Inventoried{" "}
+                    {format(
+                      new Date(inmate.property.intake.signedAt),
+                      "dd MMM yyyy"
+                    )}{" "}
+                    · Signed by {inmate.property.intake.inmateSignature} and{" "}
+                    {inmate.property.intake.staffSignature}
+                  </p>
+                  {inmate.property.release && (
+                    <p className="text-xs text-gray-500">
+                      Reconciled{" "}
+                      {format(
+                        new Date(inmate.property.release.signedAt),
+                        "dd MMM yyyy"
+                      )}{" "}
+                      · Signed by {inmate.property.release.inmateSignature} and{" "}
+                      {inmate.property.release.staffSignature}
+                    </p>
+                  )}
+                </div>
+              ) : (
+                <p className="text-gray-500">No property inventoried.</p>
+              )}
+            </div>
+          )}
+
+          {activeTab === "trust" && trustAccount && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold">
+                  Trust Account · Balance{" "}
+                  {(trustAccount.balance / 100).toFixed(2)}
+                </h3>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="date"
+                    value={statementPeriod.from}
+                    onChange={(e) =>
+                      setStatementPeriod({
+                        ...statementPeriod,
+                        from: e.target.value,
+                      })
+                    }
+                    className="p-2 border rounded-md text-sm"
+                  />
+                  <input
+                    type="date"
+                    value={statementPeriod.to}
+                    onChange={(e) =>
+                      setStatementPeriod({
+                        ...statementPeriod,
+                        to: e.target.value,
+                      })
+                    }
+                    className="p-2 border rounded-md text-sm"
+                  />
+                  <button
+                    onClick={downloadTrustStatement}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                  >
+                    Statement
+                  </button>
+                  {hasPermission("trust:transact") && (
+                    <button
+                      onClick={() => setShowTrustForm(true)}
+                      className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                    >
+                      + Post Transaction
+                    </button>
+                  )}
+                </div>
+              </div>
+              {trustAccount.transactions.length > 0 ? (
+                <div className="bg-white shadow-md rounded-lg p-5">
+                  <ul className="divide-y divide-gray-200">
+                    {trustAccount.transactions.map((transaction) => {
+                      const change = transaction.entries
+                        .filter((entry) => entry.account === "Inmate Trust")
+                        .reduce(
+                          (sum, entry) => sum + entry.credit - entry.debit,
+                          0
+                        );
+                      return (
+                        <li
+                          key={transaction._id}
+                          className={`py-3 flex justify-between items-center ${
+                            transaction.reversed ? "opacity-50" : ""
+                          }`}
+                        >
+                          <div>
+                            <p className="text-sm font-semibold text-gray-800">
+                              #{transaction.sequence} · {transaction.type}
+                              {transaction.reverses &&
+                                ` of #${transaction.reverses.sequence}`}
+                              {transaction.reversed && " · Reversed"}
+                            </p>
+                            <p className="text-xs text-gray-600 mt-1">
+                              {format(
+                                new Date(transaction.createdAt),
+                                "dd MMM yyyy, hh:mm a"
+                              )}
+                              {transaction.createdBy?.username &&
+                                ` · ${transaction.createdBy.username}`}
+                              {transaction.workProgramEnrollment?.workProgramId
+                                ?.name &&
+                                ` · ${transaction.workProgramEnrollment.workProgramId.name}`}
+                              {transaction.reference &&
+                                ` · Ref ${transaction.reference}`}
+                              {transaction.description &&
+                                ` · ${transaction.description}`}
+                            </p>
+                          </div>
+                          <div className="flex items-center space-x-4 text-sm">
+                            <span
+                              className={`font-semibold ${
+                                change < 0 ? "text-red-600" : "text-green-600"
+                              }`}
+                            >
+                              {change < 0 ? "−" : "+"}
+                              {(Math.abs(change) / 100).toFixed(2)}
+                            </span>
+                            <span className="text-gray-500 w-20 text-right">
+                              {(transaction.balanceAfter / 100).toFixed(2)}
+                            </span>
+                            {hasPermission("trust:reverse") &&
+                              transaction.type !== "Reversal" &&
+                              !transaction.reversed && (
+                                <button
+                                  onClick={() =>
+                                    handleReverseTransaction(transaction)
+                                  }
+                                  className="text-red-600 hover:underline"
+                                >
+                                  Reverse
+                                </button>
+                              )}
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                  {trustAccount.totalPages > 1 && (
+                    <div className="flex justify-end space-x-2 mt-4">
+                      <button
+                        onClick={() =>
+                          fetchTrustAccount(trustAccount.currentPage - 1)
+                        }
+                        disabled={trustAccount.currentPage === 1}
+                        className="px-3 py-2 rounded-md bg-gray-200 hover:bg-gray-300 disabled:bg-gray-100 disabled:text-gray-400"
+                      >
+                        Previous
+                      </button>
+                      <button
+                        onClick={() =>
+                          fetchTrustAccount(trustAccount.currentPage + 1)
+                        }
+                        disabled={
+                          trustAccount.currentPage === trustAccount.totalPages
+                        }
+                        className="px-3 py-2 rounded-md bg-gray-200 hover:bg-gray-300 disabled:bg-gray-100 disabled:text-gray-400"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <p className="text-gray-500">No transactions posted.</p>
+              )}
+            </div>
+          )}
+
+          {activeTab === "medical" && (
+            <InmateMedicalRecord
+              inmate={inmate}
+              onRecordChange={fetchMedicalAlerts}
+            />
+          )}
+
+          {activeTab === "incidents" && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold">Disciplinary Incidents</h3>
+                {hasPermission("incidents:report") && (
+                  <button
+                    onClick={() => setShowIncidentForm(true)}
+                    className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                  >
+                    + Report Incident
+                  </button>
+                )}
+              </div>
+              {incidents.length > 0 ? (
+                <div className="bg-white shadow-md rounded-lg p-5">
+                  <ul className="divide-y divide-gray-200">
+                    {incidents.map((incident) => (
+                      <li key={incident._id} className="py-3">
+                        <div className="flex justify-between items-center">
+                          <p className="text-sm font-semibold text-gray-800">
+                            {incident.incidentType} · {incident.location}
+                          </p>
+                          <span
+                            className={`px-2 py-1 text-xs rounded-full ${
+                              incident.status === "Open"
+                                ? "bg-yellow-100 text-yellow-700"
+                                : "bg-gray-100 text-gray-700"
+                            }`}
+                          >
+                            {incident.status}
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {format(
+                            new Date(incident.occurredAt),
+                            "dd MMM yyyy, hh:mm a"
+                          )}
+                          {incident.reportedBy?.username &&
+                            ` · Reported by ${incident.reportedBy.username}`}
+                          {incident.involvedStaff.length > 0 &&
+                            ` · Staff: ${incident.involvedStaff.join(", ")}`}
+                        </p>
+                        <p className="text-sm text-gray-600 mt-1">
+                          {incident.narrative}
+                        </p>
+                        <ul className="mt-2 space-y-1 text-sm">
+                          {incident.involvedInmates.map((involved) => (
+                            <li key={involved._id} className="text-gray-700">
+                              {involved.inmate?.inmateID} (
+                              {involved.inmate?.firstName}{" "}
+                              {involved.inmate?.lastName}) · {involved.role}
+                              {involved.role === "Offender" &&
+                                ` · Hearing: ${involved.outcome}`}
+                              {involved.sanctions.map((sanction) => (
+                                <span
+                                  key={sanction._id}
+                                  className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700"
+                                >
+                                  {sanction.type}
+                                  {sanction.days > 0 &&
+                                    ` (${sanction.days} days)`}
+                                </span>
+                              ))}
+                              {involved.role === "Offender" &&
+                                involved.outcome === "Pending" &&
+                                hasPermission("incidents:adjudicate") && (
+                                  <button
+                                    onClick={() =>
+                                      setHearingForm({
+                                        incident,
+                                        offender: involved.inmate,
+                                      })
+                                    }
+                                    className="ml-3 text-blue-600 hover:underline"
+                                  >
+                                    Record Hearing
+                                  </button>
+                                )}
+                            </li>
+                          ))}
+                        </ul>
+                        {incident.evidence.length > 0 && (
+                          <p className="text-xs text-gray-500 mt-2">
+                            Evidence:{" "}
+                            {incident.evidence.map((file, index) => (
+                              <a
+                                key={file._id}
+                                href={file.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-blue-600 hover:underline mr-2"
+                              >
+                                {file.fileName || `File ${index + 1}`}
+                              </a>
+                            ))}
+                          </p>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : (
+                <p className="text-gray-500">No incidents recorded.</p>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
@@ -742,8 +1906,113 @@ const ViewInmate = () => {
           }}
         />
       )}
+
+      {showTransferForm && (
+        <TransferForm
+          inmate={inmate}
+          onClose={() => setShowTransferForm(false)}
+          onFormSuccess={handleFormSuccess}
+        />
+      )}
+
+      {chargeForm && (
+        <ChargeForm
+          inmateId={id}
+          charge={chargeForm.charge}
+          onClose={() => setChargeForm(null)}
+          onFormSuccess={fetchCharges}
+        />
+      )}
+
+      {alertForm && (
+        <AlertForm
+          inmateId={id}
+          alert={alertForm.alert}
+          onClose={() => setAlertForm(null)}
+          onFormSuccess={fetchAlerts}
+        />
+      )}
+
+      {showIncidentForm && (
+        <IncidentForm
+          inmate={inmate}
+          onClose={() => setShowIncidentForm(false)}
+          onFormSuccess={fetchIncidents}
+        />
+      )}
+
+      {hearingForm && (
+        <HearingForm
+          incident={hearingForm.incident}
+          offender={hearingForm.offender}
+          onClose={() => setHearingForm(null)}
+          onFormSuccess={() => {
+            fetchIncidents();
+            fetchInmateDetails(); // Forfeited credit moves the release date
+          }}
+        />
+      )}
+
+      {showPropertyForm && (
+        <PropertyForm
+          inmate={inmate}
+          onClose={() => setShowPropertyForm(false)}
+          onFormSuccess={fetchInmateDetails}
+        />
+      )}
+
+      {showReconcileForm && (
+        <PropertyReconcileForm
+          inmate={inmate}
+          onClose={() => setShowReconcileForm(false)}
+          onFormSuccess={fetchInmateDetails}
+        />
+      )}
+
+      {showTrustForm && (
+        <TrustTransactionForm
+          inmate={inmate}
+          balance={trustAccount.balance}
+          workProgram={workProgram}
+          onClose={() => setShowTrustForm(false)}
+          onFormSuccess={fetchTrustAccount}
+        />
+      )}
+
+      {showClassificationForm && (
+        <ClassificationForm
+          inmate={{ ...inmate, custodyLevel: classification.custodyLevel }}
+          suggestion={classification.suggestion}
+          onClose={() => setShowClassificationForm(false)}
+          onFormSuccess={fetchClassification}
+        />
+      )}
+
+      {showReleaseForm && (
+        <ReleaseForm
+          inmate={inmate}
+          onClose={() => setShowReleaseForm(false)}
+          onFormSuccess={handleFormSuccess}
+        />
+      )}
+
+      {sentenceFormType && (
+        <SentenceForm
+          type={sentenceFormType}
+          inmate={inmate}
+          onClose={() => setSentenceFormType(null)}
+          onFormSuccess={handleFormSuccess}
+        />
+      )}
     </PagesNavLayout>
   );
 };
 
+// Helper Function: Describe where an inmate moved from or to
+const formatMovementLocation = (location) => {
+  if (!location) return "Unassigned";
+  if (location.cell) return `${location.location} (Bed ${location.bed})`;
+  return location.location || "Unknown";
+};
+
 export default ViewInmate;
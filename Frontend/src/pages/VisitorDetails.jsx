@@ -6,6 +6,8 @@
  * This component:
  * - Fetches and displays detailed visitor information.
  * - Allows users to edit visitor details using a form modal.
+ * - Lets the warden void a record entered by mistake, and shows auditors why a
+ *   voided record was voided.
  *
  * Features:
  * - Uses `useParams` to dynamically retrieve visitor data based on ID.
@@ -19,6 +21,8 @@
  * @requires react-icons - Provides icons for better UI experience.
  * @requires PagesNavLayout - Layout wrapper including sidebar and top navbar.
  * @requires VisitorForm - Component for editing visitor details.
+ * @requires VisitVoidForm - Component for voiding a visit record.
+ * @requires authService - Checks the signed-in user's permissions.
  */
 
 import React, { useEffect, useState } from "react";
@@ -26,6 +30,8 @@ import { useParams, useNavigate } from "react-router-dom";
 import axios from "axios";
 import PagesNavLayout from "../layouts/PagesNavLayout";
 import VisitorForm from "../components/VisitorForm";
+import VisitVoidForm from "../components/VisitVoidForm";
+import { hasPermission } from "../services/authService";
 import {
   AiOutlineArrowLeft,
   AiOutlineMail,
@@ -48,6 +54,7 @@ const VisitorDetails = () => {
   const [visitor, setVisitor] = useState(null); // **Stores visitor details**
   const [loading, setLoading] = useState(true); // **Indicates loading state**
   const [showForm, setShowForm] = useState(false); // **Toggles edit modal visibility*
+  const [showVoidForm, setShowVoidForm] = useState(false); // Toggles the void modal
 
   /**
    * Fetches visitor details from the backend.
@@ -133,7 +140,7 @@ const VisitorDetails = () => {
           {/* Left Side: Visitor Profile */}
           <div className="w-1/3 bg-gray-100 p-4 rounded-lg">
             <h2 className="text-lg font-semibold text-gray-800">
-              {visitor.visitorName}
+              {visitor.visitor?.fullName}
             </h2>
             <p className="text-sm text-gray-500">
               {visitor.relationshipToInmate}
@@ -142,10 +149,11 @@ const VisitorDetails = () => {
             <div className="mt-4 space-y-2 text-sm text-gray-700">
               <p className="flex items-center">
                 <AiOutlinePhone className="text-blue-600 mr-2" />{" "}
-                {visitor.contactNumber}
+                {visitor.visitor?.contactNumber}
               </p>
               <p className="flex items-center">
-                <AiOutlineMail className="text-blue-600 mr-2" /> {visitor.email}
+                <AiOutlineMail className="text-blue-600 mr-2" />{" "}
+                {visitor.visitor?.email}
               </p>
             </div>
           </div>
@@ -156,14 +164,37 @@ const VisitorDetails = () => {
               <h3 className="text-lg font-semibold text-gray-800">
                 Visit Details
               </h3>
-              <button
-                onClick={() => setShowForm(true)} // Open Edit Form
-                className="flex items-center px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition"
-              >
-                <MdModeEdit className="mr-2" /> Edit Details
-              </button>
+              {!visitor.voidedAt && (
+                <div className="flex space-x-3">
+                  {hasPermission("visitors:void") &&
+                    !["Booked", "Checked In"].includes(visitor.status) && (
+                      <button
+                        onClick={() => setShowVoidForm(true)}
+                        className="px-4 py-2 text-red-600 border border-red-300 font-semibold rounded-md hover:bg-red-50 transition"
+                      >
+                        Void Record
+                      </button>
+                    )}
+                  <button
+                    onClick={() => setShowForm(true)} // Open Edit Form
+                    className="flex items-center px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition"
+                  >
+                    <MdModeEdit className="mr-2" /> Edit Details
+                  </button>
+                </div>
+              )}
             </div>
 
+            {/* Voided record (shown to auditors) */}
+            {visitor.voidedAt && (
+              <div className="mt-4 bg-red-50 text-red-700 p-3 rounded-md text-sm">
+                <strong>Voided</strong> on{" "}
+                {new Date(visitor.voidedAt).toLocaleString()} by{" "}
+                {visitor.void?.by?.username || "—"} · {visitor.void?.reasonCode}
+                {visitor.void?.notes && `: ${visitor.void.notes}`}
+              </div>
+            )}
+
             <div className="mt-4 space-y-3 text-sm text-gray-700">
               <p className="flex items-center">
                 <MdEvent className="text-blue-600 mr-2" />{" "}
@@ -172,7 +203,40 @@ const VisitorDetails = () => {
               </p>
               <p className="flex items-center">
                 <MdAccessTime className="text-blue-600 mr-2" />{" "}
-                <strong>Duration:</strong> {visitor.durationMinutes} minutes
+                <strong>Duration:</strong>{" "}
+                {visitor.actualDurationMinutes ?? visitor.durationMinutes}{" "}
+                minutes
+                {visitor.actualDurationMinutes != null &&
+                  ` (booked ${visitor.durationMinutes})`}
+              </p>
+              {visitor.checkIn && (
+                <div className="bg-gray-50 p-3 rounded-md space-y-1">
+                  <p>
+                    <strong>Checked In:</strong>{" "}
+                    {new Date(visitor.checkIn.at).toLocaleString()} · Badge{" "}
+                    {visitor.checkIn.badgeNumber}
+                  </p>
+                  <p>
+                    <strong>ID Checked:</strong>{" "}
+                    {visitor.checkIn.idDocumentType} ·{" "}
+                    {visitor.checkIn.idDocumentNumber}
+                  </p>
+                  <p>
+                    <strong>Checked Out:</strong>{" "}
+                    {visitor.checkOut
+                      ? new Date(visitor.checkOut.at).toLocaleString()
+                      : "Still on the premises"}
+                  </p>
+                  {visitor.overstayMinutes > 0 && (
+                    <p className="text-red-600">
+                      ⚠ Overstayed the booked slot by {visitor.overstayMinutes}{" "}
+                      minutes
+                    </p>
+                  )}
+                </div>
+              )}
+              <p>
+                <strong>Visit Type:</strong> {visitor.contactType || "Contact"}
               </p>
               <p>
                 <strong>Purpose of Visit:</strong> {visitor.purposeOfVisit}
@@ -189,12 +253,21 @@ const VisitorDetails = () => {
       {/* Show VisitorForm modal when needed */}
       {showForm && (
         <VisitorForm
-          inmateId={visitor.inmate} // Pass inmate ID
-          visitorData={visitor} //  Prefill form with visitor data
+          inmateId={visitor.inmate?._id} // Pass inmate ID
+          visitData={visitor} //  Prefill form with visit data
           onClose={() => setShowForm(false)}
           onFormSuccess={handleFormSuccess}
         />
       )}
+
+      {/* Void Record modal */}
+      {showVoidForm && (
+        <VisitVoidForm
+          visit={visitor}
+          onClose={() => setShowVoidForm(false)}
+          onFormSuccess={() => navigate(-1)}
+        />
+      )}
     </PagesNavLayout>
   );
 };
@@ -4,9 +4,11 @@
  * @module pages/VisitorHistory
  *
  * This component:
- * - Fetches and displays all visitor logs for an inmate.
+ * - Fetches and displays all visits to an inmate.
+ * - Shows the inmate's approved-visitor list and its approval workflow.
  * - Provides search, date filtering, and pagination functionality.
- * - Allows users to add new visitor logs or edit existing records.
+ * - Allows users to log new visits or edit existing records.
+ * - Books visits in advance in the visiting slots of the inmate's block.
  *
  * Features:
  * - Uses `useParams` to dynamically retrieve visitors for a specific inmate.
@@ -20,6 +22,8 @@
  * @requires react-icons - Provides icons for better UI experience.
  * @requires PagesNavLayout - Layout wrapper including sidebar and top navbar.
  * @requires VisitorForm - Component for adding/editing visitor records.
+ * @requires ApprovedVisitors - Component for the inmate's approved-visitor list.
+ * @requires VisitBookingForm - Component for booking visits in advance.
  */
 
 import React, { useEffect, useState } from "react";
@@ -28,6 +32,9 @@ import axios from "axios";
 import PagesNavLayout from "../layouts/PagesNavLayout";
 import { AiOutlineSearch } from "react-icons/ai";
 import VisitorForm from "../components/VisitorForm";
+import ApprovedVisitors from "../components/ApprovedVisitors";
+import VisitBookingForm from "../components/VisitBookingForm";
+import { hasPermission } from "../services/authService";
 
 /**
  * VisitorHistory Component
@@ -52,6 +59,7 @@ const VisitorHistory = () => {
   const [showForm, setShowForm] = useState(false); // **Toggles visitor form modal**
   const [editVisitor, setEditVisitor] = useState(null); // **Stores visitor data for editing**
   const [totalVisitors, setTotalVisitors] = useState(0); // **Stores total visitor count**
+  const [showBooking, setShowBooking] = useState(false); // **Toggles visit booking modal**
 
   /**
    * Fetches visitors for the inmate with pagination and filtering.
@@ -68,8 +76,8 @@ const VisitorHistory = () => {
         }
       );
 
-      setVisitors(response.data.visitors);
-      setTotalVisitors(response.data.totalVisitors);
+      setVisitors(response.data.visits);
+      setTotalVisitors(response.data.totalVisits);
       setTotalPages(response.data.totalPages);
       setLoading(false);
     } catch (error) {
@@ -107,6 +115,14 @@ const VisitorHistory = () => {
             >
               ← Back to Inmate
             </button>
+            {hasPermission("visitors:log") && (
+              <button
+                onClick={() => setShowBooking(true)}
+                className="px-4 py-2 bg-gray-100 text-blue-700 font-semibold rounded-md hover:bg-gray-200 transition"
+              >
+                Book Visit
+              </button>
+            )}
             <button
               onClick={() => {
                 setShowForm(true);
@@ -119,6 +135,9 @@ const VisitorHistory = () => {
           </div>
         </div>
 
+        {/* Approved-Visitor List */}
+        <ApprovedVisitors inmateId={inmateId} />
+
         {/* Search & Filter Section */}
         <div className="bg-white p-4 rounded-lg shadow-md flex items-center space-x-4">
           {/* Search Box */}
@@ -195,9 +214,20 @@ const VisitorHistory = () => {
                       key={visitor._id}
                       className="border-b border-gray-200 hover:bg-gray-50 transition"
                     >
-                      <td className="p-3">{visitor.visitorName}</td>
+                      <td className="p-3">
+                        {visitor.visitor?.fullName}
+                        <p className="text-xs text-gray-500">
+                          {visitor.relationshipToInmate}
+                        </p>
+                      </td>
                       <td className="p-3">
                         {new Date(visitor.visitTimestamp).toLocaleString()}
+                        {visitor.status !== "Completed" && (
+                          <p className="text-xs text-gray-500">
+                            {visitor.status}
+                            {visitor.room && ` · ${visitor.room.name}`}
+                          </p>
+                        )}
                       </td>
                       <td className="p-3">
                         <span className="px-2 py-1 text-xs rounded-md bg-blue-100 text-blue-700">
@@ -285,11 +315,20 @@ const VisitorHistory = () => {
       {showForm && (
         <VisitorForm
           inmateId={inmateId}
-          visitorData={editVisitor}
+          visitData={editVisitor}
           onClose={() => setShowForm(false)}
           onFormSuccess={handleFormSuccess}
         />
       )}
+
+      {/* Show VisitBookingForm modal when needed */}
+      {showBooking && (
+        <VisitBookingForm
+          inmateId={inmateId}
+          onClose={() => setShowBooking(false)}
+          onFormSuccess={fetchVisitors}
+        />
+      )}
     </PagesNavLayout>
   );
 };
@@ -7,6 +7,10 @@
  * - Fetches and displays a paginated list of inmates.
  * - Supports searching inmates by name or ID.
  * - Provides a gateway to visitor log management for each inmate.
+ * - Links to the visitor registry.
+ * - Shows the visitors currently on the premises, and the week's visits in a visiting calendar.
+ * - Opens the visiting rooms and hours settings for users who manage housing.
+ * - Shows voided visit records to users who can view the audit trail.
  *
  * Features:
  * - Uses `useState` for managing search queries, results, and pagination.
@@ -19,12 +23,22 @@
  * @requires PagesNavLayout - Layout wrapper including sidebar and top navbar.
  * @requires SearchBar - Component for searching inmates.
  * @requires InmateList - Component for displaying inmate list.
+ * @requires VisitorsOnPremises - Live list of visitors checked in at the gate.
+ * @requires VisitCalendar - Week view of visits across the visiting rooms.
+ * @requires VisitingSettings - Modal for visiting rooms and hours.
+ * @requires VoidedVisits - Lists voided visit records for auditors.
  */
 import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
 import PagesNavLayout from "../layouts/PagesNavLayout";
 import SearchBar from "../components/SearchBar";
 import InmateList from "../components/InmatesList";
 import axios from "axios";
+import VisitorsOnPremises from "../components/VisitorsOnPremises";
+import VisitCalendar from "../components/VisitCalendar";
+import VisitingSettings from "../components/VisitingSettings";
+import VoidedVisits from "../components/VoidedVisits";
+import { hasPermission } from "../services/authService";
 
 /**
  * VisitorManagement Component
@@ -36,6 +50,7 @@ import axios from "axios";
  * @returns {JSX.Element} - The visitor management UI component.
  */
 const VisitorManagement = () => {
+  const navigate = useNavigate();
   // **State Variables**
   const [searchQuery, setSearchQuery] = useState(""); // Stores search input
   const [searchResult, setSearchResult] = useState([]); // Stores search results
@@ -45,6 +60,9 @@ const VisitorManagement = () => {
   const [page, setPage] = useState(1); // Stores current page number
   const [totalPages, setTotalPages] = useState(1); // Stores total pages
   const [totalInmates, setTotalInmates] = useState(0); // Stores total number of inmates
+  const [showSettings, setShowSettings] = useState(false); // Toggles the visiting settings modal
+  const [visitsKey, setVisitsKey] = useState(0); // Refetches visits after settings or gate changes
+  const [showVoided, setShowVoided] = useState(false); // Toggles the voided visit records
   const limit = 5; // Number of entries per page
 
   /**
@@ -84,6 +102,45 @@ const VisitorManagement = () => {
 
   return (
     <PagesNavLayout>
+      {/* Visiting Settings & Visitor Registry */}
+      <div className="flex justify-end mb-4 space-x-5">
+        {hasPermission("audit:view") && (
+          <button
+            onClick={() => setShowVoided(!showVoided)}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition"
+          >
+            {showVoided ? "Hide Voided Records" : "Voided Records"}
+          </button>
+        )}
+        {hasPermission("housing:manage") && (
+          <button
+            onClick={() => setShowSettings(true)}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition"
+          >
+            Rooms & Hours
+          </button>
+        )}
+        <button
+          onClick={() => navigate("/visitors/registry")}
+          className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition"
+        >
+          Visitor Registry
+        </button>
+      </div>
+
+      {/* Visitors on Premises & Visiting Calendar */}
+      <div className="mb-4 space-y-4">
+        {showVoided && <VoidedVisits />}
+        <VisitorsOnPremises
+          refreshKey={visitsKey}
+          onVisitsChange={() => setVisitsKey(visitsKey + 1)}
+        />
+        <VisitCalendar
+          refreshKey={visitsKey}
+          onVisitsChange={() => setVisitsKey(visitsKey + 1)}
+        />
+      </div>
+
       {/* Search Bar */}
       <SearchBar
         setSearchResult={setSearchResult}
@@ -103,6 +160,16 @@ const VisitorManagement = () => {
         searchQuery={searchQuery}
         actionType="visitor"
       />
+
+      {/* Visiting Rooms & Hours Modal */}
+      {showSettings && (
+        <VisitingSettings
+          onClose={() => {
+            setShowSettings(false);
+            setVisitsKey(visitsKey + 1);
+          }}
+        />
+      )}
     </PagesNavLayout>
   );
 };
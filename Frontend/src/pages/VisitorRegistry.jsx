@@ -0,0 +1,297 @@
+/**
+ * @file VisitorRegistry.jsx
+ * @description Displays the visitor registry and the visitor approvals waiting for a decision.
+ * @module pages/VisitorRegistry
+ *
+ * This component:
+ * - Fetches and displays registered visitors, with search and pagination.
+ * - Registers new visitors and edits their contact details.
+ * - Flags visitors under a restriction, and opens each visitor's restrictions.
+ * - Shows the requests waiting for a decision to users who can approve visitors.
+ *
+ * @requires react - React library for component-based UI.
+ * @requires react-router-dom - Library for managing navigation.
+ * @requires axios - HTTP client for making API requests.
+ * @requires framer-motion - Animation library for smooth UI effects.
+ * @requires VisitorProfileForm - Modal component for registering and editing visitors.
+ * @requires ApprovedVisitors - Lists the approvals waiting for a decision.
+ * @requires VisitorRestrictions - Modal component for a visitor's restrictions.
+ * @requires authService - Checks the signed-in user's permissions.
+ */
+
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { motion } from "framer-motion";
+import PagesNavLayout from "../layouts/PagesNavLayout";
+import { AiOutlineSearch } from "react-icons/ai";
+import VisitorProfileForm from "../components/VisitorProfileForm";
+import ApprovedVisitors from "../components/ApprovedVisitors";
+import VisitorRestrictions from "../components/VisitorRestrictions";
+import { hasPermission } from "../services/authService";
+
+/**
+ * @component VisitorRegistry
+ * @description Displays and manages registered visitors.
+ *
+ * @returns {JSX.Element} - Renders the visitor registry UI.
+ */
+const VisitorRegistry = () => {
+  const navigate = useNavigate();
+  const [visitors, setVisitors] = useState([]); // Holds the registered visitors
+  const [searchQuery, setSearchQuery] = useState(""); // Stores search input
+  const [loading, setLoading] = useState(true); // Indicates data loading state
+  const [showForm, setShowForm] = useState(false); // Controls the registration form visibility
+  const [editVisitor, setEditVisitor] = useState(null); // Visitor being edited
+  const [restrictionsVisitor, setRestrictionsVisitor] = useState(null); // Visitor whose restrictions are open
+  const [page, setPage] = useState(1); // Tracks current pagination page
+  const [totalPages, setTotalPages] = useState(1); // Stores the total number of pages
+  const [totalVisitors, setTotalVisitors] = useState(0); // Total count of visitors
+  const limit = 8; // Ensures only 8 records per page
+
+  /**
+   * Fetches registered visitors based on search and pagination.
+   */
+  const fetchVisitors = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        `${
+          import.meta.env.VITE_API_BASE_URL
+        }/prisonsphere/visitor-registry?search=${encodeURIComponent(
+          searchQuery
+        )}&page=${page}&limit=${limit}`,
+        {
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+        }
+      );
+
+      setVisitors(response.data.visitors || []);
+      setTotalPages(response.data.totalPages);
+      setTotalVisitors(response.data.totalVisitors);
+    } catch (error) {
+      console.error("Error fetching visitors:", error);
+      setVisitors([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Fetches visitors when the search input or page number changes.
+   */
+  useEffect(() => {
+    fetchVisitors();
+  }, [searchQuery, page]);
+
+  return (
+    <PagesNavLayout>
+      <motion.div
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+        className="space-y-4"
+      >
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <h3 className="text-xl font-semibold text-gray-800">
+            Visitor Registry
+          </h3>
+          <div className="space-x-5">
+            <button
+              onClick={() => navigate("/visitors")}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition"
+            >
+              ← Back to Inmates
+            </button>
+            {hasPermission("visitors:log") && (
+              <button
+                onClick={() => {
+                  setEditVisitor(null);
+                  setShowForm(true);
+                }}
+                className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition"
+              >
+                + Register Visitor
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Requests waiting for a decision */}
+        {hasPermission("visitors:approve") && (
+          <ApprovedVisitors status="Pending" />
+        )}
+
+        {/* Search */}
+        <div className="bg-white p-4 rounded-lg shadow-md">
+          <label className="text-gray-600 text-sm font-medium">Search</label>
+          <div className="relative flex items-center">
+            <AiOutlineSearch
+              size={18}
+              className="absolute left-3 text-gray-400"
+            />
+            <input
+              type="text"
+              placeholder="Search by name, contact number, email or ID number..."
+              value={searchQuery}
+              onChange={(e) => {
+                setSearchQuery(e.target.value);
+                setPage(1); // Reset to first page when searching
+              }}
+              className="w-full pl-10 p-2 border rounded-md text-gray-700 shadow-sm"
+            />
+          </div>
+        </div>
+
+        {/* Visitor Table */}
+        <motion.div
+          key={page}
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.3 }}
+          className="bg-white p-6 rounded-lg shadow-md"
+        >
+          {loading ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : visitors.length === 0 ? (
+            <p className="text-gray-500 text-center">No visitors found.</p>
+          ) : (
+            <>
+              <table className="w-full border-collapse text-gray-700">
+                <thead>
+                  <tr className="bg-gray-100 text-left text-sm font-semibold">
+                    <th className="p-3">Name</th>
+                    <th className="p-3">Contact Number</th>
+                    <th className="p-3">Email</th>
+                    <th className="p-3">ID Number</th>
+                    <th className="p-3">Registered</th>
+                    <th className="p-3">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visitors.map((visitor) => (
+                    <tr
+                      key={visitor._id}
+                      className="border-b border-gray-200 hover:bg-gray-50 transition"
+                    >
+                      <td className="p-3">
+                        {visitor.fullName}
+                        {visitor.activeRestrictions?.map((restriction) => (
+                          <span
+                            key={restriction._id}
+                            title={restriction.reason}
+                            className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-700"
+                          >
+                            {restriction.type}
+                          </span>
+                        ))}
+                      </td>
+                      <td className="p-3">{visitor.contactNumber}</td>
+                      <td className="p-3">{visitor.email}</td>
+                      <td className="p-3">{visitor.idNumber || "—"}</td>
+                      <td className="p-3">
+                        {new Date(visitor.createdAt).toLocaleDateString()}
+                      </td>
+                      <td className="p-3 space-x-2">
+                        {hasPermission("visitors:update") && (
+                          <button
+                            onClick={() => {
+                              setEditVisitor(visitor);
+                              setShowForm(true);
+                            }}
+                            className="px-2 py-1 text-yellow-600 border rounded-md text-sm hover:bg-yellow-50 transition"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setRestrictionsVisitor(visitor)}
+                          className="px-2 py-1 text-red-600 border rounded-md text-sm hover:bg-red-50 transition"
+                        >
+                          Restrictions
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {/* Pagination */}
+              <div className="mt-4 flex items-center justify-between">
+                <p className="text-gray-500 text-sm">
+                  Showing {(page - 1) * limit + 1} to{" "}
+                  {Math.min(page * limit, totalVisitors)} of {totalVisitors}{" "}
+                  entries
+                </p>
+
+                <div className="flex items-center space-x-2">
+                  {/* Previous Button */}
+                  <button
+                    disabled={page === 1}
+                    onClick={() => setPage(page - 1)}
+                    className={`px-3 py-1 text-sm font-semibold rounded-md transition ${
+                      page === 1
+                        ? "bg-gray-300 cursor-not-allowed"
+                        : "bg-gray-100 hover:bg-gray-200"
+                    }`}
+                  >
+                    Previous
+                  </button>
+
+                  {/* Page Numbers */}
+                  {[...Array(totalPages)].map((_, index) => (
+                    <button
+                      key={index}
+                      onClick={() => setPage(index + 1)}
+                      className={`px-3 py-1 text-sm font-semibold rounded-md transition ${
+                        page === index + 1
+                          ? "bg-blue-600 text-white"
+                          : "bg-gray-100 hover:bg-gray-200"
+                      }`}
+                    >
+                      {index + 1}
+                    </button>
+                  ))}
+
+                  {/* Next Button */}
+                  <button
+                    disabled={page === totalPages}
+                    onClick={() => setPage(page + 1)}
+                    className={`px-3 py-1 text-sm font-semibold rounded-md transition ${
+                      page === totalPages
+                        ? "bg-gray-300 cursor-not-allowed"
+                        : "bg-gray-100 hover:bg-gray-200"
+                    }`}
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </motion.div>
+      </motion.div>
+
+      {/* Visitor Registration Modal */}
+      {showForm && (
+        <VisitorProfileForm
+          visitorData={editVisitor}
+          onClose={() => setShowForm(false)}
+          onFormSuccess={fetchVisitors}
+        />
+      )}
+
+      {/* Visitor Restrictions Modal */}
+      {restrictionsVisitor && (
+        <VisitorRestrictions
+          visitor={restrictionsVisitor}
+          onClose={() => setRestrictionsVisitor(null)}
+          onChange={fetchVisitors}
+        />
+      )}
+    </PagesNavLayout>
+  );
+};
+
+export default VisitorRegistry;
@@ -1,17 +1,21 @@
 /**
  * @file authService.js
- * @description Provides authentication services including login and logout functionality.
+ * @description Provides authentication services including login, logout and silent token refresh.
  * @module services/authService
  *
  * This module:
  * - Handles API requests for user authentication.
  * - Stores and clears authentication tokens in local storage.
  * - Uses cookie-based authentication for session management.
+ * - Refreshes expired access tokens without sending the user back to the login page.
+ * - Exposes the permissions granted to the signed-in user's role.
+ * - Completes the two-factor login step (TOTP or recovery code).
  *
  * Features:
  * - Uses `axios` for HTTP requests.
  * - Implements error handling for authentication failures.
  * - Ensures credentials are included in API requests for security.
+ * - Registers a global `axios` interceptor that retries requests after a refresh.
  *
  * @requires axios - HTTP client for making API requests.
  */
@@ -21,16 +25,60 @@ import axios from "axios";
 // **Base API URL for authentication endpoints**
 const API_URL = `${import.meta.env.VITE_API_BASE_URL}/prisonsphere/auth`;
 
+// **Display labels for the staff roles defined by the backend permission matrix**
+export const ROLE_LABELS = {
+  warden: "Warden",
+  admin: "Admin",
+  correctional_officer: "Correctional Officer",
+  counselor: "Counselor",
+  parole_board: "Parole Board Member",
+  visitation_clerk: "Visitation Clerk",
+  auditor: "Auditor",
+  medical_staff: "Medical Staff",
+};
+
+/**
+ * Checks whether the signed-in user's role grants a permission.
+ * - Reads the permissions returned by the login and refresh endpoints.
+ *
+ * @function hasPermission
+ * @param {string} permission - The permission to check (e.g., "inmates:update").
+ * @returns {boolean} - `true` if the permission is granted.
+ */
+export const hasPermission = (permission) => {
+  const permissions = JSON.parse(localStorage.getItem("permissions") || "[]");
+  return permissions.includes(permission);
+};
+
+/**
+ * Stores the token, role and permissions returned by a successful login.
+ *
+ * @function storeAuth
+ * @param {Object} data - Login response containing `token`, `role` and `permissions`.
+ */
+export const storeAuth = (data) => {
+  localStorage.setItem("token", data.token);
+  localStorage.setItem("role", data.role);
+  localStorage.setItem("permissions", JSON.stringify(data.permissions || []));
+};
+
+// Removes all authentication data from local storage
+const clearStoredAuth = () => {
+  localStorage.removeItem("role");
+  localStorage.removeItem("permissions");
+  localStorage.removeItem("token");
+};
+
 /**
  * Logs in a user by sending credentials to the authentication API.
  * - Sends a `POST` request with `username` and `password`.
- * - Stores the returned authentication token and user role in local storage.
+ * - Returns the authentication token, user role and role permissions.
  *
  * @async
  * @function loginUser
  * @param {string} username - The username of the user attempting to log in.
  * @param {string} password - The user's password.
- * @returns {Promise<Object>} - Returns an object containing authentication token and user role.
+ * @returns {Promise<Object>} - Returns an object containing authentication token, user role and permissions.
  * @throws {string} - Throws an error message if login fails.
  */
 export const loginUser = async (username, password) => {
@@ -40,12 +88,55 @@ export const loginUser = async (username, password) => {
       { username, password },
       { withCredentials: true } // Ensures cookies/sessions are included
     );
-    return response.data; // Returns token and user role
+    return response.data; // Returns token, user role and permissions
   } catch (error) {
     throw error.response?.data?.message || "Login failed";
   }
 };
 
+/**
+ * Completes a two-factor login with a TOTP code or a recovery code.
+ *
+ * @async
+ * @function verifyTwoFactor
+ * @param {string} challengeToken - Challenge token returned by the password step.
+ * @param {Object} factor - Either `{ code }` or `{ recoveryCode }`.
+ * @returns {Promise<Object>} - Login response (token, role, permissions and, after enrollment, recovery codes).
+ * @throws {string} - Throws an error message if verification fails.
+ */
+export const verifyTwoFactor = async (challengeToken, factor) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/2fa/verify`,
+      { challengeToken, ...factor },
+      { withCredentials: true }
+    );
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || "Verification failed";
+  }
+};
+
+/**
+ * Starts two-factor enrollment during login (roles that require two-factor).
+ *
+ * @async
+ * @function startTwoFactorSetup
+ * @param {string} challengeToken - Challenge token returned by the password step.
+ * @returns {Promise<Object>} - The new `secret` and its `otpauthUrl`.
+ * @throws {string} - Throws an error message if setup fails.
+ */
+export const startTwoFactorSetup = async (challengeToken) => {
+  try {
+    const response = await axios.post(`${API_URL}/2fa/login-setup`, {
+      challengeToken,
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.message || "Two-factor setup failed";
+  }
+};
+
 /**
  * Logs out the current user by calling the API logout endpoint.
  * - Sends a `GET` request to invalidate the session.
@@ -58,11 +149,85 @@ export const loginUser = async (username, password) => {
 export const logoutUser = async () => {
   try {
     await axios.get(`${API_URL}/logout`, { withCredentials: true });
-    localStorage.removeItem("role"); // Clear role from storage
-    localStorage.removeItem("token"); // Clear token from storage
+    clearStoredAuth(); // Clear token, role and permissions from storage
     return true;
   } catch (error) {
     console.error("Logout Error:", error);
     return false;
   }
 };
+
+/**
+ * Exchanges the refresh token cookie for a new access token.
+ * - Sends a `POST` request to the refresh endpoint (the refresh token is rotated server-side).
+ * - Stores the new access token, role and permissions in local storage.
+ *
+ * @async
+ * @function refreshAccessToken
+ * @returns {Promise<string>} - The new access token.
+ * @throws {Error} - Throws if the session has expired or was revoked.
+ */
+export const refreshAccessToken = async () => {
+  const response = await axios.post(
+    `${API_URL}/refresh`,
+    {},
+    { withCredentials: true }
+  );
+  storeAuth(response.data);
+  return response.data.token;
+};
+
+// Sign-in endpoints whose 401s mean bad credentials rather than an expired token
+const SIGN_IN_URLS = [
+  `${API_URL}/login`,
+  `${API_URL}/refresh`,
+  `${API_URL}/logout`,
+  `${API_URL}/2fa/verify`,
+  `${API_URL}/2fa/login-setup`,
+];
+
+// Shared refresh request so parallel 401s trigger a single refresh
+let pendingRefresh = null;
+
+/**
+ * Registers the silent-refresh interceptor on the global `axios` instance.
+ * - On a `401` from any endpoint other than the sign-in endpoints, refreshes the access token once and retries the request.
+ * - If the refresh fails (session expired or revoked), clears local storage and redirects to `/login`.
+ *
+ * @function setupAuthInterceptors
+ */
+export const setupAuthInterceptors = () => {
+  axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const originalRequest = error.config;
+      const isAuthRequest = SIGN_IN_URLS.some((url) =>
+        originalRequest?.url?.startsWith(url)
+      );
+
+      if (
+        error.response?.status !== 401 ||
+        !originalRequest ||
+        originalRequest._retry ||
+        isAuthRequest
+      ) {
+        return Promise.reject(error);
+      }
+
+      originalRequest._retry = true;
+
+      try {
+        pendingRefresh = pendingRefresh || refreshAccessToken();
+        const token = await pendingRefresh;
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return axios(originalRequest);
+      } catch (refreshError) {
+        clearStoredAuth();
+        window.location.assign("/login");
+        return Promise.reject(refreshError);
+      } finally {
+        pendingRefresh = null;
+      }
+    }
+  );
+};